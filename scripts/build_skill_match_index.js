@@ -0,0 +1,58 @@
+/**
+ * BUILD SKILL MATCH INDEX
+ *
+ * Builds the SkillMatchIndex collection from existing students and jobs and
+ * recalculates matchedCandidates for every active job. After this one-off
+ * backfill the index is updated incrementally whenever a student's skills or
+ * a job changes. Re-run after changing skill aliases or parent skills (or use
+ * POST /api/v1/skills/reindex).
+ *
+ * Run once after deploying the match index, and again after upgrading from
+ * the earlier layout with one document per key (safe to re-run):
+ * node scripts/build_skill_match_index.js
+ */
+
+import mongoose from 'mongoose';
+import { rebuildSkillMatchIndex } from '../src/services/skillMatchIndex.service.js';
+import { loadSkillTaxonomy } from '../src/services/skillTaxonomy.service.js';
+
+// Database connection (update with your actual connection string)
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/talentbridge';
+
+async function main() {
+    console.log('🚀 Building TalentBridge skill match index');
+    console.log('='.repeat(60));
+
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        // Index keys are canonical skill IDs, so the taxonomy must be loaded first
+        const skillCount = await loadSkillTaxonomy();
+        console.log(`🧩 Skills in taxonomy: ${skillCount}`);
+
+        const { studentsIndexed, jobsRefreshed, totalMatches } = await rebuildSkillMatchIndex();
+
+        console.log(`📊 Students indexed: ${studentsIndexed}`);
+        console.log(`📊 Jobs refreshed: ${jobsRefreshed}`);
+        console.log(`🎯 Matches stored: ${totalMatches}`);
+
+        await mongoose.connection.close();
+        console.log('\n✅ Database connection closed');
+        process.exit(0);
+
+    } catch (error) {
+        console.error('💥 Building the skill match index failed:', error);
+
+        if (mongoose.connection.readyState === 1) {
+            await mongoose.connection.close();
+        }
+
+        process.exit(1);
+    }
+}
+
+// Run if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main();
+}
@@ -9,13 +9,24 @@ import schoolRouter from "./routes/school.routes.js";
 import subscriptionRouter from "./routes/subscription.routes.js";
 import paymentRouter from "./routes/payment.routes.js";
 import webhookRouter from "./routes/webhook.routes.js";
+import invoiceRouter from "./routes/invoice.routes.js";
+import couponRouter from "./routes/coupon.routes.js";
+import payoutRouter from "./routes/payout.routes.js";
+import reviewRouter from "./routes/review.routes.js";
+import cohortRouter from "./routes/cohort.routes.js";
+import attendanceRouter from "./routes/attendance.routes.js";
 import notificationRouter from "./routes/notification.routes.js";
 import limiter from "./middlewares/rateLimit.middlewares.js";
 import employerRouter from "./routes/employer.routes.js";
 import jobsRouter from "./routes/jobs.routes.js";
+import interviewRouter from "./routes/interview.routes.js";
+import savedJobSearchRouter from "./routes/savedJobSearch.routes.js";
+import skillRouter from "./routes/skill.routes.js";
 import studentRouter from "./routes/student.routes.js";
 import kycRouter from "./routes/kyc.routes.js";
 import enrollmentRouter from "./routes/enrollment.routes.js";
+import quizRouter from "./routes/quiz.routes.js";
+import certificateRouter from "./routes/certificate.routes.js";
 // CHAT FEATURE: mount chat routes
 import chatConversationRouter from "./routes/chat.conversation.routes.js";
 import chatMessageRouter from "./routes/chat.message.routes.js";
@@ -62,6 +73,9 @@ app.options("*", cors());
 // Apply rate limiting
 app.use(limiter);
 
+// Stripe signs the exact request body, so the webhook needs it unparsed
+app.post("/api/v1/webhooks/stripe", express.raw({ type: "application/json" }));
+
 // Parse JSON and URL-encoded data
 app.use(
   express.json({
@@ -99,14 +113,25 @@ app.get("/", (req, res) => {
       availableEndpoints: [
         "/api/v1/users",
         "/api/v1/courses",
+        "/api/v1/reviews",
+        "/api/v1/cohorts",
+        "/api/v1/attendance",
         "/api/v1/schools",
         "/api/v1/employer",
         "/api/v1/jobs",
+        "/api/v1/interviews",
+        "/api/v1/saved-searches",
+        "/api/v1/skills",
         "/api/v1/students",
         "/api/v1/kyc",
         "/api/v1/enrollments",
+        "/api/v1/quizzes",
+        "/api/v1/certificates",
         "/api/v1/subscriptions",
         "/api/v1/payments",
+        "/api/v1/invoices",
+        "/api/v1/coupons",
+        "/api/v1/payouts",
         "/api/v1/webhooks",
         "/api/v1/notifications",
         "/api/v1/chat", // CHAT FEATURE: chat endpoints
@@ -121,10 +146,20 @@ app.get("/", (req, res) => {
 import './cronJobs/emailCron.js';
 import { startSubscriptionCleanup } from './cronJobs/subscriptionCleanup.js';
 import { startAutoRenewal } from './cronJobs/autoRenewal.js'; // Add this
+import { startCourseRecommendations } from './cronJobs/courseRecommendations.js';
+import { startSavedSearchDigests } from './cronJobs/savedSearchDigest.js';
+import { startPayoutStatements } from './cronJobs/payoutStatements.js';
+import { startCohortWaitlists } from './cronJobs/cohortWaitlist.js';
+import { startCouponReservations } from './cronJobs/couponReservations.js';
 
 // Start cron jobs
 startSubscriptionCleanup();
 startAutoRenewal(); // Add this
+startCourseRecommendations(() => app.get("io"));
+startSavedSearchDigests(() => app.get("io"));
+startPayoutStatements();
+startCohortWaitlists(() => app.get("io"));
+startCouponReservations();
 
 // ---------- Routes ---------- //
 
@@ -137,6 +172,15 @@ app.use("/api/v1/admin" , adminRouter)
 // Course routes
 app.use("/api/v1/courses", courseRouter);
 
+// Course review routes
+app.use("/api/v1/reviews", reviewRouter);
+
+// Course cohort and waitlist routes
+app.use("/api/v1/cohorts", cohortRouter);
+
+// Course session and attendance routes
+app.use("/api/v1/attendance", attendanceRouter);
+
 // Training provider/school routes
 app.use("/api/v1/schools", schoolRouter);
 
@@ -146,6 +190,15 @@ app.use("/api/v1/employers", employerRouter);
 // jobs routes
 app.use("/api/v1/jobs", jobsRouter);
 
+// interview routes
+app.use("/api/v1/interviews", interviewRouter);
+
+// saved job search routes
+app.use("/api/v1/saved-searches", savedJobSearchRouter);
+
+// skill taxonomy routes
+app.use("/api/v1/skills", skillRouter);
+
 // Student routes
 app.use("/api/v1/students", studentRouter );
 
@@ -155,13 +208,28 @@ app.use("/api/v1/kyc", kycRouter);
 // Enrollment routes
 app.use("/api/v1/enrollments", enrollmentRouter);
 
+// Quiz and assessment routes
+app.use("/api/v1/quizzes", quizRouter);
+
+// Course certificate routes
+app.use("/api/v1/certificates", certificateRouter);
+
 // Subscription routes
 app.use("/api/v1/subscriptions", subscriptionRouter);
 
 // Payment routes
 app.use("/api/v1/payments", paymentRouter);
 
-// Webhook routes (Note: /webhooks/stripe should be before other middleware for raw body parsing)
+// Invoice routes
+app.use("/api/v1/invoices", invoiceRouter);
+
+// Coupon routes
+app.use("/api/v1/coupons", couponRouter);
+
+// Institute payout statements
+app.use("/api/v1/payouts", payoutRouter);
+
+// Webhook routes (the raw body for /webhooks/stripe is kept by the parser registered above)
 app.use("/api/v1/webhooks", webhookRouter);
 
 // Notification routes
@@ -11,11 +11,18 @@ export const NOTIFICATION_TYPES = [
   'course_approved',
   'course_rejected',
   'course_created',
+  'course_recommendation',
+  'course_review',
+  'review_reply',
+  'waitlist_seat_offered',
   'certificate_issued',
   
   // Job Related
   'job_application',
+  'application_update',
   'interview_scheduled',
+  'interview_updated',
+  'saved_search_alert',
   
   // Payment Related
   'payment_received',
@@ -56,7 +63,12 @@ export const ENTITY_TYPES = {
   APPLICATION: 'application',
   PAYMENT: 'payment',
   USER: 'user',
-  MESSAGE: 'message'
+  MESSAGE: 'message',
+  INTERVIEW: 'interview',
+  SAVED_SEARCH: 'saved_search',
+  CERTIFICATE: 'certificate',
+  SUBSCRIPTION: 'subscription',
+  REVIEW: 'review'
 };
 
 // Socket Events
@@ -0,0 +1,421 @@
+/**
+ * JOB APPLICATION CONTROLLERS
+ *
+ * Students apply to active job posts with a cover note and a snapshot of
+ * their profile. Employers review the applications for their own jobs and
+ * move them through the hiring stages (applied -> shortlisted -> interview ->
+ * offered -> hired, or rejected). Every stage change notifies the applicant.
+ *
+ * Roles:
+ * - Students: apply, view and withdraw their own applications
+ * - Employers: list applications for their jobs and change stages
+ */
+
+import mongoose from "mongoose";
+import { Job, Student, Employer, Application } from "../models/index.js";
+import { APPLICATION_STAGE_TRANSITIONS } from "../models/contents/application.models.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import {
+    createJobApplicationNotification,
+    createApplicationStageNotification,
+    sendRealTimeNotification
+} from "../services/notification.service.js";
+import { calculateMatchPercentage, getStudentSkillProfile } from "../utils/matchingUtils.js";
+
+// ===== HELPERS =====
+
+// Build the profile snapshot stored with an application
+const buildProfileSnapshot = (student) => ({
+    firstName: student.firstName,
+    lastName: student.lastName,
+    email: student.email,
+    phone: student.phone,
+    location: student.location,
+    bio: student.bio,
+    website: student.website,
+    skills: student.skills || [],
+    certifications: (student.certifications || []).map(cert => ({
+        name: cert.name,
+        issuedBy: cert.issuedBy,
+        issueDate: cert.issueDate
+    })),
+    experience: (student.experience || []).map(exp => ({
+        title: exp.title,
+        company: exp.company,
+        startDate: exp.startDate,
+        endDate: exp.endDate
+    }))
+});
+
+// Load a job and make sure the logged in employer owns it
+const getOwnedJob = async (jobId, userId) => {
+    const employer = await Employer.findOne({ userId });
+    if (!employer) {
+        return { error: notFoundResponse("Employer profile not found") };
+    }
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+        return { error: notFoundResponse("Job not found") };
+    }
+
+    if (job.postedBy.toString() !== employer._id.toString()) {
+        return { error: forbiddenResponse("You can only manage applications for your own job posts") };
+    }
+
+    return { job, employer };
+};
+
+// ===============================
+// APPLY TO JOB (STUDENT)
+// ===============================
+const applyToJob = asyncHandler(async (req, res) => {
+    try {
+        const { id: jobId } = req.params;
+        const { coverNote } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId)) {
+            return res.json(badRequestResponse("Invalid job ID format"));
+        }
+
+        if (coverNote && coverNote.length > 3000) {
+            return res.json(badRequestResponse("Cover note cannot exceed 3000 characters"));
+        }
+
+        const job = await Job.findById(jobId);
+        if (!job) {
+            return res.json(notFoundResponse("Job not found"));
+        }
+
+        if (job.status !== "active" || !job.isActive) {
+            return res.json(badRequestResponse("This job is not accepting applications"));
+        }
+
+        const student = await Student.findOne({ userId: req.user._id })
+            .populate("certifications", "name issuedBy issueDate")
+            .populate("experience", "title company startDate endDate");
+        if (!student) {
+            return res.json(notFoundResponse("Student profile not found. Please complete your profile first."));
+        }
+
+        const existingApplication = await Application.findOne({ job: job._id, student: student._id });
+        if (existingApplication && existingApplication.stage !== "withdrawn") {
+            return res.json(conflictResponse("You have already applied for this job"));
+        }
+
+        const submission = {
+            coverNote: coverNote?.trim(),
+            profileSnapshot: buildProfileSnapshot(student),
+            matchPercentage: calculateMatchPercentage(getStudentSkillProfile(student), job.skillsRequired)
+        };
+
+        let application;
+        if (existingApplication) {
+            // A student has one application per job, so applying again reopens the withdrawn one
+            application = await Application.findOneAndUpdate(
+                { _id: existingApplication._id, stage: "withdrawn" },
+                {
+                    $set: { ...submission, stage: "applied" },
+                    $push: { stageHistory: { from: "withdrawn", to: "applied", note: "Applied again", changedBy: req.user._id } }
+                },
+                { new: true, runValidators: true }
+            );
+            if (!application) {
+                return res.json(conflictResponse("You have already applied for this job"));
+            }
+        } else {
+            application = await Application.create({
+                job: job._id,
+                student: student._id,
+                applicant: req.user._id,
+                employer: job.postedBy,
+                ...submission,
+                stage: "applied",
+                stageHistory: [{ to: "applied", changedBy: req.user._id }]
+            });
+        }
+
+        // Notify the employer about the new application
+        try {
+            const employer = await Employer.findById(job.postedBy).select("userId");
+            if (employer?.userId) {
+                const notification = await createJobApplicationNotification(
+                    employer.userId,
+                    `${student.firstName} ${student.lastName}`,
+                    job.jobTitle,
+                    application._id
+                );
+                sendRealTimeNotification(req.app.get("io"), employer.userId, notification);
+            }
+        } catch (notificationError) {
+            console.error("Failed to send job application notification:", notificationError.message);
+        }
+
+        return res.json(createdResponse(application, "Application submitted successfully"));
+    } catch (error) {
+        // Two submissions at once: the unique index keeps only the first
+        if (error.code === 11000) {
+            return res.json(conflictResponse("You have already applied for this job"));
+        }
+        console.error("Error applying to job:", error);
+        throw internalServer("Failed to submit application");
+    }
+});
+
+// ===============================
+// GET APPLICATIONS FOR A JOB (EMPLOYER)
+// ===============================
+const getJobApplications = asyncHandler(async (req, res) => {
+    try {
+        const { id: jobId } = req.params;
+        const { stage, page = 1, limit = 20 } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId)) {
+            return res.json(badRequestResponse("Invalid job ID format"));
+        }
+
+        const { job, error } = await getOwnedJob(jobId, req.user._id);
+        if (error) {
+            return res.json(error);
+        }
+
+        const filter = { job: job._id };
+        if (stage) filter.stage = stage;
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [applications, total, stageCounts] = await Promise.all([
+            Application.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .select("-stageHistory")
+                .lean(),
+            Application.countDocuments(filter),
+            Application.aggregate([
+                { $match: { job: job._id } },
+                { $group: { _id: "$stage", count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const stages = stageCounts.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {});
+
+        return res.json(successResponse({
+            job: { _id: job._id, jobTitle: job.jobTitle, status: job.status },
+            applications,
+            stages,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Applications retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching job applications:", error);
+        throw internalServer("Failed to fetch applications");
+    }
+});
+
+// ===============================
+// GET SINGLE APPLICATION (EMPLOYER OR APPLICANT)
+// ===============================
+const getApplicationById = asyncHandler(async (req, res) => {
+    try {
+        const { id: jobId, applicationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId) || !mongoose.Types.ObjectId.isValid(applicationId)) {
+            return res.json(badRequestResponse("Invalid ID format"));
+        }
+
+        const application = await Application.findOne({ _id: applicationId, job: jobId })
+            .populate("job", "jobTitle department location employmentType status")
+            .populate("stageHistory.changedBy", "fullName role");
+        if (!application) {
+            return res.json(notFoundResponse("Application not found"));
+        }
+
+        if (req.user.role === "employer") {
+            const employer = await Employer.findOne({ userId: req.user._id });
+            if (!employer || application.employer.toString() !== employer._id.toString()) {
+                return res.json(forbiddenResponse("You can only view applications for your own job posts"));
+            }
+        } else if (application.applicant.toString() !== req.user._id.toString()) {
+            return res.json(forbiddenResponse("You can only view your own applications"));
+        }
+
+        return res.json(successResponse(application, "Application retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching application:", error);
+        throw internalServer("Failed to fetch application");
+    }
+});
+
+// ===============================
+// UPDATE APPLICATION STAGE (EMPLOYER)
+// ===============================
+const updateApplicationStage = asyncHandler(async (req, res) => {
+    try {
+        const { id: jobId, applicationId } = req.params;
+        const { stage, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId) || !mongoose.Types.ObjectId.isValid(applicationId)) {
+            return res.json(badRequestResponse("Invalid ID format"));
+        }
+
+        if (!stage) {
+            return res.json(badRequestResponse("Stage is required"));
+        }
+
+        const { job, error } = await getOwnedJob(jobId, req.user._id);
+        if (error) {
+            return res.json(error);
+        }
+
+        const application = await Application.findOne({ _id: applicationId, job: job._id });
+        if (!application) {
+            return res.json(notFoundResponse("Application not found"));
+        }
+
+        const allowedStages = APPLICATION_STAGE_TRANSITIONS[application.stage] || [];
+        if (!allowedStages.includes(stage)) {
+            return res.json(badRequestResponse(
+                `Cannot move application from '${application.stage}' to '${stage}'. Allowed: ${allowedStages.join(", ") || "none"}`
+            ));
+        }
+
+        application.stageHistory.push({
+            from: application.stage,
+            to: stage,
+            note: note?.trim(),
+            changedBy: req.user._id
+        });
+        application.stage = stage;
+        await application.save();
+
+        // Notify the applicant about the stage change
+        try {
+            const notification = await createApplicationStageNotification(
+                application.applicant,
+                job.jobTitle,
+                stage,
+                application._id,
+                note?.trim()
+            );
+            sendRealTimeNotification(req.app.get("io"), application.applicant, notification);
+        } catch (notificationError) {
+            console.error("Failed to send application stage notification:", notificationError.message);
+        }
+
+        return res.json(successResponse(application, `Application moved to ${stage}`));
+    } catch (error) {
+        console.error("Error updating application stage:", error);
+        throw internalServer("Failed to update application stage");
+    }
+});
+
+// ===============================
+// WITHDRAW APPLICATION (STUDENT)
+// ===============================
+const withdrawApplication = asyncHandler(async (req, res) => {
+    try {
+        const { id: jobId, applicationId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId) || !mongoose.Types.ObjectId.isValid(applicationId)) {
+            return res.json(badRequestResponse("Invalid ID format"));
+        }
+
+        const application = await Application.findOne({
+            _id: applicationId,
+            job: jobId,
+            applicant: req.user._id
+        });
+        if (!application) {
+            return res.json(notFoundResponse("Application not found"));
+        }
+
+        if (["hired", "rejected", "withdrawn"].includes(application.stage)) {
+            return res.json(badRequestResponse(`Cannot withdraw an application that is already ${application.stage}`));
+        }
+
+        application.stageHistory.push({
+            from: application.stage,
+            to: "withdrawn",
+            changedBy: req.user._id
+        });
+        application.stage = "withdrawn";
+        await application.save();
+
+        return res.json(successResponse(application, "Application withdrawn successfully"));
+    } catch (error) {
+        console.error("Error withdrawing application:", error);
+        throw internalServer("Failed to withdraw application");
+    }
+});
+
+// ===============================
+// GET MY APPLICATIONS (STUDENT)
+// ===============================
+const getMyApplications = asyncHandler(async (req, res) => {
+    try {
+        const { stage, page = 1, limit = 20 } = req.query;
+
+        const filter = { applicant: req.user._id };
+        if (stage) filter.stage = stage;
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+        const skip = (pageNum - 1) * limitNum;
+
+        const [applications, total] = await Promise.all([
+            Application.find(filter)
+                .populate({
+                    path: "job",
+                    select: "jobTitle department location employmentType status postedBy",
+                    populate: { path: "postedBy", select: "name" }
+                })
+                .select("-profileSnapshot")
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .lean(),
+            Application.countDocuments(filter)
+        ]);
+
+        return res.json(successResponse({
+            applications,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Applications retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching my applications:", error);
+        throw internalServer("Failed to fetch applications");
+    }
+});
+
+export {
+    applyToJob,
+    getJobApplications,
+    getApplicationById,
+    updateApplicationStage,
+    withdrawApplication,
+    getMyApplications
+};
@@ -0,0 +1,325 @@
+/**
+ * ATTENDANCE CONTROLLERS
+ *
+ * Schools schedule the sessions of their instructor-led courses, for the
+ * whole course or for one cohort, and mark who attended each of them: one
+ * student at a time or from a CSV export. Students follow their own rates.
+ */
+
+import mongoose from "mongoose";
+import { Attendance, Cohort, Course, CourseSession, TrainingInstitute } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse
+} from "../utils/ApiResponse.js";
+import {
+    summarizeAttendance,
+    parseAttendanceCsv,
+    parseSessionInput,
+    getAttendanceRecordError
+} from "../utils/attendance.js";
+import {
+    getSessionRoster,
+    markAttendance,
+    getCourseAttendance,
+    getStudentAttendanceSummary
+} from "../services/attendance.service.js";
+
+const MAX_RECORDS = 1000;
+
+// ===== HELPERS =====
+
+// Whether the user runs the institute; admins manage every course
+const canManageInstitute = async (instituteId, user) => {
+    if (user.role === "admin") return true;
+    const school = await TrainingInstitute.findOne({ userId: user._id }).select("_id");
+    return Boolean(school) && instituteId?.toString() === school._id.toString();
+};
+
+// Load a course the requesting school (or an admin) manages
+const findManagedCourse = async (courseId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return { error: badRequestResponse("Invalid course ID") };
+    }
+    const course = await Course.findById(courseId).select("title trainingProvider");
+    if (!course) {
+        return { error: notFoundResponse("Course not found") };
+    }
+    if (!(await canManageInstitute(course.trainingProvider, user))) {
+        return { error: forbiddenResponse("You can only manage the attendance of your own courses") };
+    }
+    return { course };
+};
+
+// Load a session the requesting school (or an admin) manages
+const findManagedSession = async (sessionId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return { error: badRequestResponse("Invalid session ID") };
+    }
+    const session = await CourseSession.findById(sessionId);
+    if (!session) {
+        return { error: notFoundResponse("Session not found") };
+    }
+    if (!(await canManageInstitute(session.institute, user))) {
+        return { error: forbiddenResponse("You can only manage the attendance of your own courses") };
+    }
+    return { session };
+};
+
+// Attendance counts per session
+const summarizeSessions = async (sessionIds) => {
+    const rows = await Attendance.aggregate([
+        { $match: { session: { $in: sessionIds } } },
+        { $group: { _id: { session: "$session", status: "$status" }, count: { $sum: 1 } } }
+    ]);
+
+    const counts = new Map();
+    rows.forEach(({ _id, count }) => {
+        const key = _id.session.toString();
+        counts.set(key, { ...counts.get(key), [_id.status]: count });
+    });
+    return counts;
+};
+
+// ===============================
+// SESSIONS
+// ===============================
+
+const createSession = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req.params.courseId, req.user);
+        if (error) return res.json(error);
+
+        const { fields, error: inputError } = parseSessionInput(req.body);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        // A cohort session is attended by the students of that cohort only
+        const { cohortId } = req.body;
+        if (cohortId) {
+            if (!mongoose.Types.ObjectId.isValid(cohortId)) {
+                return res.json(badRequestResponse("Invalid cohort ID"));
+            }
+            const cohort = await Cohort.findOne({ _id: cohortId, course: course._id }).select("status");
+            if (!cohort) {
+                return res.json(notFoundResponse("Cohort not found for this course"));
+            }
+            if (cohort.status === "cancelled") {
+                return res.json(badRequestResponse("Sessions cannot be added to a cancelled cohort"));
+            }
+        }
+
+        const session = await CourseSession.create({
+            ...fields,
+            course: course._id,
+            cohort: cohortId || undefined,
+            institute: course.trainingProvider,
+            createdBy: req.user._id
+        });
+
+        return res.json(createdResponse({ session }, "Session created successfully"));
+    } catch (error) {
+        console.error("Create session error:", error);
+        throw internalServer("Failed to create session");
+    }
+});
+
+const getCourseSessions = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req.params.courseId, req.user);
+        if (error) return res.json(error);
+
+        const filter = { course: course._id };
+        if (req.query.cohortId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.cohortId)) {
+                return res.json(badRequestResponse("Invalid cohort ID"));
+            }
+            filter.cohort = req.query.cohortId;
+        }
+
+        const sessions = await CourseSession.find(filter).sort({ startsAt: 1 });
+        const counts = await summarizeSessions(sessions.map(session => session._id));
+
+        return res.json(successResponse(
+            {
+                sessions: sessions.map(session => ({
+                    ...session.toObject(),
+                    attendance: summarizeAttendance(counts.get(session._id.toString()))
+                }))
+            },
+            "Sessions fetched successfully"
+        ));
+    } catch (error) {
+        console.error("Get course sessions error:", error);
+        throw internalServer("Failed to fetch sessions");
+    }
+});
+
+const updateSession = asyncHandler(async (req, res) => {
+    try {
+        const { session, error } = await findManagedSession(req.params.id, req.user);
+        if (error) return res.json(error);
+
+        const { fields, error: inputError } = parseSessionInput(req.body, session);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        session.set(fields);
+        await session.save();
+
+        return res.json(successResponse({ session }, "Session updated successfully"));
+    } catch (error) {
+        console.error("Update session error:", error);
+        throw internalServer("Failed to update session");
+    }
+});
+
+const deleteSession = asyncHandler(async (req, res) => {
+    try {
+        const { session, error } = await findManagedSession(req.params.id, req.user);
+        if (error) return res.json(error);
+
+        const { deletedCount } = await Attendance.deleteMany({ session: session._id });
+        await session.deleteOne();
+
+        return res.json(successResponse({ attendanceDeleted: deletedCount }, "Session deleted successfully"));
+    } catch (error) {
+        console.error("Delete session error:", error);
+        throw internalServer("Failed to delete session");
+    }
+});
+
+// ===============================
+// ATTENDANCE
+// ===============================
+
+const getSessionAttendance = asyncHandler(async (req, res) => {
+    try {
+        const { session, error } = await findManagedSession(req.params.id, req.user);
+        if (error) return res.json(error);
+
+        const [roster, records] = await Promise.all([
+            getSessionRoster(session),
+            Attendance.find({ session: session._id }).select("student status note markedAt").lean()
+        ]);
+        const marks = new Map(records.map(record => [record.student.toString(), record]));
+
+        // Every expected student is listed; the ones not marked yet have no status
+        const students = roster.map(enrollment => {
+            const mark = marks.get(enrollment.studentId._id.toString());
+            return {
+                student: enrollment.studentId,
+                enrollmentId: enrollment._id,
+                status: mark?.status || null,
+                note: mark?.note,
+                markedAt: mark?.markedAt
+            };
+        });
+        const counts = records.reduce((total, { status }) => ({ ...total, [status]: (total[status] || 0) + 1 }), {});
+
+        return res.json(successResponse(
+            { session, students, summary: summarizeAttendance(counts) },
+            "Session attendance fetched successfully"
+        ));
+    } catch (error) {
+        console.error("Get session attendance error:", error);
+        throw internalServer("Failed to fetch session attendance");
+    }
+});
+
+const markSessionAttendance = asyncHandler(async (req, res) => {
+    try {
+        const { session, error } = await findManagedSession(req.params.id, req.user);
+        if (error) return res.json(error);
+
+        const { records } = req.body;
+        if (!Array.isArray(records) || records.length === 0 || records.length > MAX_RECORDS) {
+            return res.json(badRequestResponse(`Records must be a list of 1 to ${MAX_RECORDS} attendance marks`));
+        }
+        for (const [index, record] of records.entries()) {
+            const recordError = getAttendanceRecordError(record);
+            if (recordError) return res.json(badRequestResponse(`Record ${index + 1}: ${recordError}`));
+        }
+
+        const result = await markAttendance(
+            session,
+            records.map(({ studentId, status, note }) => ({ studentId, status, note: note?.trim() })),
+            req.user._id
+        );
+
+        return res.json(successResponse(result, `Attendance marked for ${result.marked} student(s)`));
+    } catch (error) {
+        console.error("Mark attendance error:", error);
+        throw internalServer("Failed to mark attendance");
+    }
+});
+
+const uploadSessionAttendance = asyncHandler(async (req, res) => {
+    try {
+        const { session, error } = await findManagedSession(req.params.id, req.user);
+        if (error) return res.json(error);
+
+        if (!req.file) {
+            return res.json(badRequestResponse("A CSV file is required"));
+        }
+
+        const { records, errors, error: csvError } = parseAttendanceCsv(req.file.buffer.toString("utf8"));
+        if (csvError) return res.json(badRequestResponse(csvError));
+
+        // Rows that cannot be read or matched to a student are reported; the others are saved
+        const result = records.length
+            ? await markAttendance(session, records, req.user._id)
+            : { marked: 0, errors: [] };
+        const rowErrors = [...errors, ...result.errors].sort((a, b) => a.line - b.line);
+
+        return res.json(successResponse(
+            { marked: result.marked, errors: rowErrors },
+            `Attendance marked for ${result.marked} student(s)${rowErrors.length ? `, ${rowErrors.length} row(s) skipped` : ""}`
+        ));
+    } catch (error) {
+        console.error("Upload attendance error:", error);
+        throw internalServer("Failed to upload attendance");
+    }
+});
+
+const getCourseAttendanceSummary = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req.params.courseId, req.user);
+        if (error) return res.json(error);
+
+        const attendance = await getCourseAttendance(course._id);
+
+        return res.json(successResponse(
+            { course: { _id: course._id, title: course.title }, ...attendance },
+            "Course attendance fetched successfully"
+        ));
+    } catch (error) {
+        console.error("Get course attendance error:", error);
+        throw internalServer("Failed to fetch course attendance");
+    }
+});
+
+const getMyAttendance = asyncHandler(async (req, res) => {
+    try {
+        const attendance = await getStudentAttendanceSummary(req.user._id);
+        return res.json(successResponse(attendance, "Attendance fetched successfully"));
+    } catch (error) {
+        console.error("Get my attendance error:", error);
+        throw internalServer("Failed to fetch attendance");
+    }
+});
+
+export {
+    createSession,
+    getCourseSessions,
+    updateSession,
+    deleteSession,
+    getSessionAttendance,
+    markSessionAttendance,
+    uploadSessionAttendance,
+    getCourseAttendanceSummary,
+    getMyAttendance
+};
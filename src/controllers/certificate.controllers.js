@@ -0,0 +1,215 @@
+/**
+ * CERTIFICATE CONTROLLERS
+ *
+ * Certificates are issued automatically when an enrollment is completed.
+ * Anyone can verify one by its code (employers checking a candidate's course
+ * certification); schools can issue missing certificates and revoke them.
+ */
+
+import mongoose from "mongoose";
+import { Course, CourseCertificate, Enrollment, TrainingInstitute } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse
+} from "../utils/ApiResponse.js";
+import { normalizeVerificationCode } from "../utils/certificate.js";
+import {
+    getVerificationUrl,
+    hasValidSignature,
+    issueCourseCertificate,
+    renderCertificatePdf,
+    revokeCourseCertificate
+} from "../services/certificate.service.js";
+
+// ===== HELPERS =====
+
+// Only the school that owns the course (or an admin) manages its certificates
+const canManageCourse = async (user, courseId) => {
+    if (user.role === "admin") return true;
+    const [school, course] = await Promise.all([
+        TrainingInstitute.findOne({ userId: user._id }).select("_id"),
+        Course.findById(courseId).select("trainingProvider")
+    ]);
+    return Boolean(school && course) && course.trainingProvider?.toString() === school._id.toString();
+};
+
+// Look up a certificate by a code from the URL
+const findByCode = async (rawCode) => {
+    const code = normalizeVerificationCode(rawCode);
+    if (!code) {
+        return { error: badRequestResponse("Invalid verification code") };
+    }
+
+    const certificate = await CourseCertificate.findOne({ verificationCode: code });
+    if (!certificate) {
+        return { error: notFoundResponse("No certificate matches this code") };
+    }
+    return { certificate };
+};
+
+// Public view of a certificate; holds only what is printed on it
+const formatCertificate = (certificate) => ({
+    _id: certificate._id,
+    verificationCode: certificate.verificationCode,
+    recipientName: certificate.recipientName,
+    courseTitle: certificate.courseTitle,
+    providerName: certificate.providerName,
+    course: certificate.course,
+    level: certificate.level,
+    skills: certificate.skills,
+    assessments: certificate.assessments,
+    completedAt: certificate.completedAt,
+    issuedAt: certificate.issuedAt,
+    status: certificate.status,
+    revokedAt: certificate.revokedAt || null,
+    revokedReason: certificate.revokedReason || null,
+    verificationUrl: getVerificationUrl(certificate.verificationCode),
+    pdfUrl: `${getVerificationUrl(certificate.verificationCode)}/pdf`
+});
+
+// ===============================
+// VERIFY CERTIFICATE (PUBLIC)
+// ===============================
+const verifyCertificate = asyncHandler(async (req, res) => {
+    try {
+        const { certificate, error } = await findByCode(req.params.code);
+        if (error) return res.json(error);
+
+        // A record changed outside the platform no longer matches its signature
+        const signatureValid = hasValidSignature(certificate);
+        const isValid = signatureValid && certificate.status === "valid";
+
+        let message = "Certificate is valid";
+        if (!signatureValid) message = "Certificate record has been altered and cannot be trusted";
+        else if (certificate.status === "revoked") message = "Certificate has been revoked";
+
+        return res.json(successResponse({
+            valid: isValid,
+            signatureValid,
+            certificate: formatCertificate(certificate)
+        }, message));
+    } catch (error) {
+        console.error("Error verifying certificate:", error);
+        throw internalServer("Failed to verify certificate");
+    }
+});
+
+// ===============================
+// DOWNLOAD CERTIFICATE PDF (PUBLIC)
+// ===============================
+const downloadCertificatePdf = asyncHandler(async (req, res) => {
+    try {
+        const { certificate, error } = await findByCode(req.params.code);
+        if (error) return res.json(error);
+
+        const pdf = await renderCertificatePdf(certificate);
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `inline; filename="certificate-${certificate.verificationCode}.pdf"`);
+        return res.send(pdf);
+    } catch (error) {
+        console.error("Error rendering certificate PDF:", error);
+        throw internalServer("Failed to render certificate");
+    }
+});
+
+// ===============================
+// MY CERTIFICATES (STUDENT)
+// ===============================
+const getMyCertificates = asyncHandler(async (req, res) => {
+    try {
+        const certificates = await CourseCertificate.find({ student: req.user._id }).sort({ issuedAt: -1 });
+
+        return res.json(successResponse({
+            certificates: certificates.map(formatCertificate),
+            total: certificates.length
+        }, "Certificates retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching certificates:", error);
+        throw internalServer("Failed to fetch certificates");
+    }
+});
+
+// ===============================
+// ISSUE CERTIFICATE (SCHOOL/ADMIN)
+// ===============================
+const issueEnrollmentCertificate = asyncHandler(async (req, res) => {
+    try {
+        const { enrollmentId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(enrollmentId)) {
+            return res.json(badRequestResponse("Invalid enrollment ID"));
+        }
+
+        const enrollment = await Enrollment.findById(enrollmentId);
+        if (!enrollment) {
+            return res.json(notFoundResponse("Enrollment not found"));
+        }
+        if (!(await canManageCourse(req.user, enrollment.courseId))) {
+            return res.json(forbiddenResponse("You can only issue certificates for your own courses"));
+        }
+        if (enrollment.status !== "completed") {
+            return res.json(badRequestResponse("Certificates are only issued for completed enrollments"));
+        }
+
+        const { certificate, created } = await issueCourseCertificate(enrollment, req.app.get("io"));
+        if (!created) {
+            return res.json(successResponse(
+                { certificate: formatCertificate(certificate) },
+                "A certificate was already issued for this enrollment"
+            ));
+        }
+
+        return res.json(createdResponse({ certificate: formatCertificate(certificate) }, "Certificate issued successfully"));
+    } catch (error) {
+        console.error("Error issuing certificate:", error);
+        throw internalServer("Failed to issue certificate");
+    }
+});
+
+// ===============================
+// REVOKE CERTIFICATE (SCHOOL/ADMIN)
+// ===============================
+const revokeCertificate = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid certificate ID"));
+        }
+        if (typeof reason !== "string" || !reason.trim()) {
+            return res.json(badRequestResponse("A reason is required to revoke a certificate"));
+        }
+
+        const certificate = await CourseCertificate.findById(id);
+        if (!certificate) {
+            return res.json(notFoundResponse("Certificate not found"));
+        }
+        if (!(await canManageCourse(req.user, certificate.course))) {
+            return res.json(forbiddenResponse("You can only revoke certificates for your own courses"));
+        }
+        if (certificate.status === "revoked") {
+            return res.json(badRequestResponse("Certificate is already revoked"));
+        }
+
+        await revokeCourseCertificate(certificate, reason.trim().substring(0, 500));
+
+        return res.json(successResponse({ certificate: formatCertificate(certificate) }, "Certificate revoked successfully"));
+    } catch (error) {
+        console.error("Error revoking certificate:", error);
+        throw internalServer("Failed to revoke certificate");
+    }
+});
+
+export {
+    verifyCertificate,
+    downloadCertificatePdf,
+    getMyCertificates,
+    issueEnrollmentCertificate,
+    revokeCertificate
+};
@@ -4,18 +4,41 @@ import { Certification } from "../models/student models/certification.models.js"
 import { successResponse, createdResponse, updatedResponse, serverErrorResponse, notFoundResponse, badRequestResponse } from "../utils/ApiResponse.js";
 import { badRequest, internalServer, notFound, forbidden } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { Student } from "../models/index.js";
+import { CourseCertificate, Student } from "../models/index.js";
+import { PROFICIENCY_LEVELS } from "../utils/matchingUtils.js";
+import { refreshStudentMatches } from "../services/skillMatchIndex.service.js";
+import { removeSkillEvidence, syncCertificationEvidence } from "../services/skillProficiency.service.js";
+
+// Skills can arrive as an array (JSON) or a comma-separated string (multipart forms)
+const parseCertificationSkills = (skills) => {
+    if (skills === undefined) return undefined;
+    const list = Array.isArray(skills) ? skills : String(skills).split(",");
+    return list.filter((skill) => typeof skill === "string" && skill.trim()).map((skill) => skill.trim());
+};
+
+// Evidence failures are logged only; the certification itself has already been saved
+const syncEvidenceSafely = async (student, certification) => {
+    try {
+        await syncCertificationEvidence(student, certification);
+    } catch (error) {
+        console.error(`Failed to sync skill evidence for certification ${certification._id}:`, error.message);
+    }
+};
 
 // =====================
 // CREATE CERTIFICATION
 // =====================
 const createCertification = asyncHandler(async (req, res) => {
     try {
-        const { name, issuedBy, issueDate } = req.body;
+        const { name, issuedBy, issueDate, level } = req.body;
+        const skills = parseCertificationSkills(req.body.skills) || [];
 
         if (!name || !issuedBy) {
                   return res.json( badRequestResponse("Certificate name and issuer is required"));
         }
+        if (level && !PROFICIENCY_LEVELS.includes(level)) {
+                  return res.json( badRequestResponse(`Level must be one of: ${PROFICIENCY_LEVELS.join(", ")}`));
+        }
 
         // Duplicate check
         const existingCert = await Certification.findOne({
@@ -46,7 +69,9 @@ const createCertification = asyncHandler(async (req, res) => {
             name: name.trim(),
             issuedBy: issuedBy.trim(),
             issueDate: issueDate || null,
-            certificateFile: imageUrl.secure_url
+            certificateFile: imageUrl.secure_url,
+            skills,
+            level: level || undefined
         });
 
         if (!certification) {
@@ -66,6 +91,11 @@ const createCertification = asyncHandler(async (req, res) => {
             : [certification._id];
         await student.save();
 
+        // The certification's skills become evidence on the student's profile
+        if (certification.skills?.length) {
+            await syncEvidenceSafely(student, certification);
+        }
+
         return res.status(201).json(
             createdResponse(
                 certification ,
@@ -169,7 +199,8 @@ const getCertificationById = asyncHandler(async (req, res) => {
 const updateCertification = asyncHandler(async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, issuedBy, issueDate, certificateFile, extracted } = req.body;
+        const { name, issuedBy, issueDate, certificateFile, extracted, level } = req.body;
+        const skills = parseCertificationSkills(req.body.skills);
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.json(badRequestResponse("Invalid certification ID"));
@@ -179,6 +210,12 @@ const updateCertification = asyncHandler(async (req, res) => {
         if (!certification) {
             return res.json( notFoundResponse("Certification not found"))
         }
+        if (certification.courseCertificate) {
+            return res.json(badRequestResponse("Certificates issued by the platform cannot be edited"));
+        }
+        if (level && !PROFICIENCY_LEVELS.includes(level)) {
+            return res.json(badRequestResponse(`Level must be one of: ${PROFICIENCY_LEVELS.join(", ")}`));
+        }
 
         // Check for duplicate if name or issuer is being changed
         if (name || issuedBy) {
@@ -205,10 +242,17 @@ const updateCertification = asyncHandler(async (req, res) => {
         if (issueDate !== undefined) updateData.issueDate = issueDate ? new Date(issueDate) : null;
         if (certificateFile !== undefined) updateData.certificateFile = certificateFile;
         if (extracted !== undefined) updateData.extracted = Boolean(extracted);
+        if (skills !== undefined) updateData.skills = skills;
+        if (level !== undefined) updateData.level = level || undefined;
 
         Object.assign(certification, updateData);
         await certification.save();
 
+        if (skills !== undefined || level !== undefined || name !== undefined || issuedBy !== undefined) {
+            const student = await Student.findOne({ certifications: certification._id });
+            if (student) await syncEvidenceSafely(student, certification);
+        }
+
         return res.json(
             updatedResponse(
                 {
@@ -217,7 +261,9 @@ const updateCertification = asyncHandler(async (req, res) => {
                         name: certification.name,
                         issuedBy: certification.issuedBy,
                         issueDate: certification.issueDate,
-                        extracted: certification.extracted
+                        extracted: certification.extracted,
+                        skills: certification.skills,
+                        level: certification.level
                     }
                 },
                 "Certification updated successfully"
@@ -243,6 +289,20 @@ const deleteCertification = asyncHandler(async (req, res) => {
             return res.json (notFoundResponse("Certification not found"));
         }
 
+        // A platform certificate stays verifiable; it is only removed from the profile
+        if (certification.courseCertificate) {
+            await CourseCertificate.updateOne({ _id: certification.courseCertificate }, { $unset: { certification: 1 } });
+        }
+
+        // Drop the evidence this certification provided
+        const student = await Student.findOne({ certifications: certification._id });
+        if (student && removeSkillEvidence(student, { source: "certification", certification: certification._id }) > 0) {
+            await student.save();
+            await refreshStudentMatches(student).catch((error) =>
+                console.error(`Failed to refresh job matches for student ${student._id}:`, error.message)
+            );
+        }
+
         return res.json(
             successResponse(null, "Certification deleted successfully")
         );
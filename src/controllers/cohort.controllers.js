@@ -0,0 +1,284 @@
+/**
+ * COHORT CONTROLLERS
+ *
+ * Schools run their courses in cohorts: intakes with a start and end date,
+ * a weekly schedule, a place or an online link and a number of seats.
+ * Students enroll in a cohort through the enrollment endpoint; when it is
+ * full they are put on its waitlist, which they can follow and leave here.
+ */
+
+import mongoose from "mongoose";
+import { Cohort, CohortWaitlist, Course, Enrollment, TrainingInstitute } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import { OPEN_WAITLIST_STATUSES, getSeatsLeft, isEnrollmentOpen, parseCohortInput } from "../utils/cohort.js";
+import { getWaitlistPosition, leaveWaitlist, offerFreeSeats } from "../services/cohort.service.js";
+
+// ===== HELPERS =====
+
+// Load a course and tell whether the user manages it (its school or an admin)
+const findCourse = async (courseId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(courseId)) {
+        return { error: badRequestResponse("Invalid course ID") };
+    }
+    const course = await Course.findById(courseId).select("title status trainingProvider");
+    if (!course) {
+        return { error: notFoundResponse("Course not found") };
+    }
+
+    let canManage = user.role === "admin";
+    if (user.role === "school") {
+        const school = await TrainingInstitute.findOne({ userId: user._id }).select("_id");
+        canManage = Boolean(school) && course.trainingProvider?.toString() === school._id.toString();
+    }
+    return { course, canManage };
+};
+
+// Load a cohort the requesting school (or an admin) manages
+const findManagedCohort = async (cohortId, user) => {
+    if (!mongoose.Types.ObjectId.isValid(cohortId)) {
+        return { error: badRequestResponse("Invalid cohort ID") };
+    }
+    const cohort = await Cohort.findById(cohortId);
+    if (!cohort) {
+        return { error: notFoundResponse("Cohort not found") };
+    }
+
+    if (user.role !== "admin") {
+        const school = await TrainingInstitute.findOne({ userId: user._id }).select("_id");
+        if (!school || cohort.institute.toString() !== school._id.toString()) {
+            return { error: forbiddenResponse("You can only manage the cohorts of your own courses") };
+        }
+    }
+    return { cohort };
+};
+
+const countWaiting = async (cohortIds) => {
+    const counts = await CohortWaitlist.aggregate([
+        { $match: { cohort: { $in: cohortIds }, status: "waiting" } },
+        { $group: { _id: "$cohort", count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const toCohortView = (cohort, waiting = 0) => ({
+    ...cohort.toObject(),
+    seatsLeft: getSeatsLeft(cohort),
+    waitlistLength: waiting,
+    enrollmentOpen: isEnrollmentOpen(cohort)
+});
+
+// ===============================
+// COURSE COHORTS
+// ===============================
+
+const getCourseCohorts = asyncHandler(async (req, res) => {
+    try {
+        const { course, canManage, error } = await findCourse(req.params.courseId, req.user);
+        if (error) return res.json(error);
+        if (!canManage && course.status !== "approved") {
+            return res.json(notFoundResponse("Course not found"));
+        }
+
+        // Students see the upcoming cohorts; the school can also list past and cancelled ones
+        const filter = { course: course._id };
+        if (!canManage || req.query.includePast !== "true") {
+            filter.status = "scheduled";
+            filter.startDate = { $gt: new Date() };
+        }
+
+        const cohorts = await Cohort.find(filter).sort({ startDate: 1 });
+        const waiting = await countWaiting(cohorts.map(cohort => cohort._id));
+
+        return res.json(successResponse(
+            { cohorts: cohorts.map(cohort => toCohortView(cohort, waiting.get(cohort._id.toString()))) },
+            "Cohorts fetched successfully"
+        ));
+    } catch (error) {
+        console.error("Get course cohorts error:", error);
+        throw internalServer("Failed to fetch cohorts");
+    }
+});
+
+const createCohort = asyncHandler(async (req, res) => {
+    try {
+        const { course, canManage, error } = await findCourse(req.params.courseId, req.user);
+        if (error) return res.json(error);
+        if (!canManage) {
+            return res.json(forbiddenResponse("You can only add cohorts to your own courses"));
+        }
+
+        const { fields, error: inputError } = parseCohortInput(req.body);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        const cohort = await Cohort.create({
+            ...fields,
+            course: course._id,
+            institute: course.trainingProvider
+        });
+
+        return res.json(createdResponse({ cohort: toCohortView(cohort) }, "Cohort created successfully"));
+    } catch (error) {
+        console.error("Create cohort error:", error);
+        throw internalServer("Failed to create cohort");
+    }
+});
+
+const updateCohort = asyncHandler(async (req, res) => {
+    try {
+        const { cohort, error } = await findManagedCohort(req.params.id, req.user);
+        if (error) return res.json(error);
+        if (cohort.status === "cancelled") {
+            return res.json(conflictResponse("Cancelled cohorts cannot be changed"));
+        }
+
+        const { fields, error: inputError } = parseCohortInput(req.body, cohort);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        // Seats are taken concurrently, so the capacity check is repeated in the update
+        const updated = await Cohort.findOneAndUpdate(
+            { _id: cohort._id, status: "scheduled", ...(fields.capacity ? { seatsTaken: { $lte: fields.capacity } } : {}) },
+            { $set: fields },
+            { new: true }
+        );
+        if (!updated) {
+            return res.json(conflictResponse("More seats were taken in the meantime, please reload the cohort"));
+        }
+
+        // Added seats go to the waitlist first
+        const offers = fields.capacity > cohort.capacity ? await offerFreeSeats(updated._id, req.app.get("io")) : [];
+        const waiting = await countWaiting([updated._id]);
+
+        return res.json(successResponse(
+            {
+                cohort: toCohortView(await Cohort.findById(updated._id), waiting.get(updated._id.toString())),
+                seatsOffered: offers.length
+            },
+            "Cohort updated successfully"
+        ));
+    } catch (error) {
+        console.error("Update cohort error:", error);
+        throw internalServer("Failed to update cohort");
+    }
+});
+
+const cancelCohort = asyncHandler(async (req, res) => {
+    try {
+        const { cohort, error } = await findManagedCohort(req.params.id, req.user);
+        if (error) return res.json(error);
+        if (cohort.status === "cancelled") {
+            return res.json(conflictResponse("Cohort is already cancelled"));
+        }
+
+        const hasStudents = await Enrollment.exists({
+            cohort: cohort._id,
+            status: { $nin: ["withdrawn", "suspended"] }
+        });
+        if (hasStudents) {
+            return res.json(conflictResponse("Students are enrolled in this cohort; they must be withdrawn before it can be cancelled"));
+        }
+
+        cohort.status = "cancelled";
+        cohort.cancelledAt = new Date();
+        await cohort.save();
+
+        const { modifiedCount } = await CohortWaitlist.updateMany(
+            { cohort: cohort._id, status: { $in: OPEN_WAITLIST_STATUSES } },
+            { $set: { status: "cancelled", closedAt: new Date() } }
+        );
+
+        return res.json(successResponse(
+            { cohort: toCohortView(cohort), waitlistCancelled: modifiedCount },
+            "Cohort cancelled successfully"
+        ));
+    } catch (error) {
+        console.error("Cancel cohort error:", error);
+        throw internalServer("Failed to cancel cohort");
+    }
+});
+
+// ===============================
+// WAITLISTS
+// ===============================
+
+const getCohortWaitlist = asyncHandler(async (req, res) => {
+    try {
+        const { cohort, error } = await findManagedCohort(req.params.id, req.user);
+        if (error) return res.json(error);
+
+        const entries = await CohortWaitlist.find({ cohort: cohort._id, status: { $in: OPEN_WAITLIST_STATUSES } })
+            .populate("student", "fullName email")
+            .sort({ joinedAt: 1 });
+
+        // Students holding an offer come first, then the line in order
+        const offered = entries.filter(entry => entry.status === "offered");
+        const waiting = entries.filter(entry => entry.status === "waiting")
+            .map((entry, index) => ({ ...entry.toObject(), position: index + 1 }));
+
+        return res.json(successResponse(
+            { cohort: toCohortView(cohort, waiting.length), offered, waiting },
+            "Waitlist fetched successfully"
+        ));
+    } catch (error) {
+        console.error("Get cohort waitlist error:", error);
+        throw internalServer("Failed to fetch waitlist");
+    }
+});
+
+const getMyWaitlists = asyncHandler(async (req, res) => {
+    try {
+        const entries = await CohortWaitlist.find({ student: req.user._id, status: { $in: OPEN_WAITLIST_STATUSES } })
+            .populate("cohort", "name startDate endDate location onlineLink")
+            .populate("course", "title coverImage")
+            .sort({ joinedAt: 1 });
+
+        const waitlists = await Promise.all(entries.map(async entry => ({
+            ...entry.toObject(),
+            position: await getWaitlistPosition(entry)
+        })));
+
+        return res.json(successResponse({ waitlists }, "Waitlists fetched successfully"));
+    } catch (error) {
+        console.error("Get my waitlists error:", error);
+        throw internalServer("Failed to fetch waitlists");
+    }
+});
+
+const leaveCohortWaitlist = asyncHandler(async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.json(badRequestResponse("Invalid cohort ID"));
+        }
+
+        const entry = await leaveWaitlist(req.params.id, req.user._id, req.app.get("io"));
+        if (!entry) {
+            return res.json(notFoundResponse("You are not on the waitlist of this cohort"));
+        }
+
+        return res.json(successResponse(
+            null,
+            entry.status === "offered" ? "Seat offer declined, you left the waitlist" : "You left the waitlist"
+        ));
+    } catch (error) {
+        console.error("Leave cohort waitlist error:", error);
+        throw internalServer("Failed to leave waitlist");
+    }
+});
+
+export {
+    getCourseCohorts,
+    createCohort,
+    updateCohort,
+    cancelCohort,
+    getCohortWaitlist,
+    getMyWaitlists,
+    leaveCohortWaitlist
+};
@@ -0,0 +1,325 @@
+/**
+ * COUPON CONTROLLERS
+ *
+ * Admins create and manage discount codes and follow their redemptions.
+ * Users check a code against a plan before checkout; the discount itself is
+ * applied when the payment intent is created (see createPaymentIntent).
+ */
+
+import mongoose from "mongoose";
+import { Coupon, SubscriptionPlan } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    badRequestResponse,
+    notFoundResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import { COUPON_CODE_PATTERN, COUPON_TYPES, normalizeCouponCode } from "../utils/coupon.js";
+import { getRedemptionReport, priceCoupon } from "../services/coupon.service.js";
+
+// Fields an admin may change once a coupon has been redeemed
+const EDITABLE_AFTER_REDEMPTION = ["description", "startsAt", "expiresAt", "maxRedemptions", "perUserLimit", "applicablePlans", "isActive"];
+
+// ===== HELPERS =====
+
+const parseDate = (value) => {
+    if (value === null) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Optional positive whole number; null clears the limit
+const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 1);
+
+// Validate coupon fields from the request body; updates pass the current coupon
+const parseCouponInput = async (body, current = null) => {
+    const partial = Boolean(current);
+    const fields = {};
+
+    if (!partial || body.code !== undefined) {
+        const code = normalizeCouponCode(body.code);
+        if (!COUPON_CODE_PATTERN.test(code)) {
+            return { error: "Code must be 3-32 letters, numbers, dashes or underscores" };
+        }
+        fields.code = code;
+    }
+    if (!partial || body.discountType !== undefined) {
+        if (!COUPON_TYPES.includes(body.discountType)) {
+            return { error: `Discount type must be one of: ${COUPON_TYPES.join(", ")}` };
+        }
+        fields.discountType = body.discountType;
+    }
+    if (!partial || body.amount !== undefined) {
+        const amount = Number(body.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return { error: "Amount must be a positive number" };
+        }
+        fields.amount = amount;
+    }
+    const discountType = fields.discountType ?? current?.discountType;
+    const amount = fields.amount ?? current?.amount;
+    if (discountType === "percent" && amount > 100) {
+        return { error: "A percentage discount cannot be more than 100" };
+    }
+
+    if (body.description !== undefined) fields.description = String(body.description);
+    if (body.currency !== undefined) fields.currency = String(body.currency).toLowerCase();
+    if (body.isActive !== undefined) fields.isActive = Boolean(body.isActive);
+
+    for (const key of ["startsAt", "expiresAt"]) {
+        if (body[key] === undefined) continue;
+        const date = parseDate(body[key]);
+        if (date === undefined) return { error: `${key} must be a valid date` };
+        fields[key] = date;
+    }
+    if (fields.startsAt && fields.expiresAt && fields.startsAt >= fields.expiresAt) {
+        return { error: "expiresAt must be after startsAt" };
+    }
+
+    for (const key of ["maxRedemptions", "perUserLimit"]) {
+        if (body[key] === undefined) continue;
+        if (!isLimit(body[key])) return { error: `${key} must be a whole number of at least 1, or null for unlimited` };
+        fields[key] = body[key];
+    }
+
+    if (body.applicablePlans !== undefined) {
+        if (!Array.isArray(body.applicablePlans) || !body.applicablePlans.every(id => mongoose.Types.ObjectId.isValid(id))) {
+            return { error: "applicablePlans must be an array of plan IDs" };
+        }
+        const found = await SubscriptionPlan.countDocuments({ _id: { $in: body.applicablePlans } });
+        if (found !== new Set(body.applicablePlans.map(String)).size) {
+            return { error: "One or more plans in applicablePlans were not found" };
+        }
+        fields.applicablePlans = body.applicablePlans;
+    }
+
+    return { fields };
+};
+
+// ===============================
+// LIST COUPONS
+// ===============================
+const getCoupons = asyncHandler(async (req, res) => {
+    try {
+        const { active, search, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+        if (active !== undefined) filter.isActive = active === "true";
+        if (search) filter.code = { $regex: normalizeCouponCode(search).replace(/[^A-Z0-9_-]/g, ""), $options: "i" };
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const [coupons, total] = await Promise.all([
+            Coupon.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .populate("applicablePlans", "name displayName")
+                .lean(),
+            Coupon.countDocuments(filter)
+        ]);
+
+        return res.json(successResponse({
+            coupons,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Coupons retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching coupons:", error);
+        throw internalServer("Failed to fetch coupons");
+    }
+});
+
+// ===============================
+// CREATE COUPON
+// ===============================
+const createCoupon = asyncHandler(async (req, res) => {
+    try {
+        const { fields, error } = await parseCouponInput(req.body);
+        if (error) return res.json(badRequestResponse(error));
+
+        if (await Coupon.exists({ code: fields.code })) {
+            return res.json(conflictResponse(`Coupon code ${fields.code} already exists`));
+        }
+
+        const coupon = await Coupon.create({ ...fields, createdBy: req.user._id });
+
+        return res.json(successResponse({ coupon }, "Coupon created successfully"));
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.json(conflictResponse("Coupon code already exists"));
+        }
+        console.error("Error creating coupon:", error);
+        throw internalServer("Failed to create coupon");
+    }
+});
+
+// ===============================
+// GET COUPON
+// ===============================
+const getCouponById = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid coupon ID"));
+        }
+
+        const coupon = await Coupon.findById(id).populate("applicablePlans", "name displayName price");
+        if (!coupon) return res.json(notFoundResponse("Coupon not found"));
+
+        return res.json(successResponse({ coupon }, "Coupon retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching coupon:", error);
+        throw internalServer("Failed to fetch coupon");
+    }
+});
+
+// ===============================
+// UPDATE COUPON
+// ===============================
+const updateCoupon = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid coupon ID"));
+        }
+
+        const coupon = await Coupon.findById(id);
+        if (!coupon) return res.json(notFoundResponse("Coupon not found"));
+
+        const { fields, error } = await parseCouponInput(req.body, coupon);
+        if (error) return res.json(badRequestResponse(error));
+
+        // Redeemed coupons keep their code and discount so the report stays meaningful
+        if (coupon.redemptionCount > 0) {
+            const locked = Object.keys(fields).filter(key => !EDITABLE_AFTER_REDEMPTION.includes(key));
+            if (locked.length > 0) {
+                return res.json(badRequestResponse(`${locked.join(", ")} cannot be changed after the coupon has been redeemed`));
+            }
+        }
+        if (fields.code && fields.code !== coupon.code && await Coupon.exists({ code: fields.code })) {
+            return res.json(conflictResponse(`Coupon code ${fields.code} already exists`));
+        }
+
+        const startsAt = fields.startsAt !== undefined ? fields.startsAt : coupon.startsAt;
+        const expiresAt = fields.expiresAt !== undefined ? fields.expiresAt : coupon.expiresAt;
+        if (startsAt && expiresAt && startsAt >= expiresAt) {
+            return res.json(badRequestResponse("expiresAt must be after startsAt"));
+        }
+
+        coupon.set(fields);
+        await coupon.save();
+
+        return res.json(successResponse({ coupon }, "Coupon updated successfully"));
+    } catch (error) {
+        console.error("Error updating coupon:", error);
+        throw internalServer("Failed to update coupon");
+    }
+});
+
+// ===============================
+// DELETE COUPON
+// ===============================
+const deleteCoupon = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid coupon ID"));
+        }
+
+        const coupon = await Coupon.findById(id);
+        if (!coupon) return res.json(notFoundResponse("Coupon not found"));
+
+        // Redeemed coupons are deactivated instead, keeping their redemptions reportable
+        if (coupon.redemptionCount > 0) {
+            coupon.isActive = false;
+            await coupon.save();
+            return res.json(successResponse({ coupon }, "Coupon has redemptions and was deactivated instead of deleted"));
+        }
+
+        await coupon.deleteOne();
+        return res.json(successResponse({ couponId: id }, "Coupon deleted successfully"));
+    } catch (error) {
+        console.error("Error deleting coupon:", error);
+        throw internalServer("Failed to delete coupon");
+    }
+});
+
+// ===============================
+// REDEMPTION REPORT
+// ===============================
+const getCouponReport = asyncHandler(async (req, res) => {
+    try {
+        const { couponId } = req.query;
+        if (couponId && !mongoose.Types.ObjectId.isValid(couponId)) {
+            return res.json(badRequestResponse("Invalid coupon ID"));
+        }
+
+        const from = req.query.from ? parseDate(req.query.from) : undefined;
+        const to = req.query.to ? parseDate(req.query.to) : undefined;
+        if ((req.query.from && !from) || (req.query.to && !to)) {
+            return res.json(badRequestResponse("from and to must be valid dates"));
+        }
+
+        const report = await getRedemptionReport({ couponId, from, to });
+
+        return res.json(successResponse({ ...report, filters: { couponId, from, to } }, "Coupon report generated successfully"));
+    } catch (error) {
+        console.error("Error generating coupon report:", error);
+        throw internalServer("Failed to generate coupon report");
+    }
+});
+
+// ===============================
+// VALIDATE COUPON (CHECKOUT PREVIEW)
+// ===============================
+const validateCoupon = asyncHandler(async (req, res) => {
+    try {
+        const { code, planId } = req.body;
+
+        if (!code || typeof code !== "string") {
+            return res.json(badRequestResponse("Coupon code is required"));
+        }
+        if (!mongoose.Types.ObjectId.isValid(planId)) {
+            return res.json(badRequestResponse("A valid plan ID is required"));
+        }
+
+        const plan = await SubscriptionPlan.findById(planId);
+        if (!plan || !plan.isActive) {
+            return res.json(notFoundResponse("Subscription plan not found"));
+        }
+
+        const priced = await priceCoupon({ code, userId: req.user._id, plan });
+        if (priced.error) {
+            return res.json(badRequestResponse(priced.error, priced.code));
+        }
+
+        return res.json(successResponse({
+            code: priced.coupon.code,
+            description: priced.coupon.description,
+            discountType: priced.coupon.discountType,
+            currency: plan.currency || "usd",
+            ...priced.discount
+        }, "Coupon applied"));
+    } catch (error) {
+        console.error("Error validating coupon:", error);
+        throw internalServer("Failed to validate coupon");
+    }
+});
+
+export {
+    getCoupons,
+    createCoupon,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon,
+    getCouponReport,
+    validateCoupon
+};
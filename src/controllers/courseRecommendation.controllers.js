@@ -0,0 +1,55 @@
+/**
+ * COURSE RECOMMENDATION CONTROLLERS
+ *
+ * Suggests approved courses that teach the skills a student is missing for
+ * the jobs they nearly match, best match improvement first.
+ */
+
+import { Student } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import { successResponse, notFoundResponse } from "../utils/ApiResponse.js";
+import {
+    NEAR_MATCH_MIN_PERCENTAGE,
+    getCourseRecommendations
+} from "../services/courseRecommendation.service.js";
+
+// ===============================
+// GET MY COURSE RECOMMENDATIONS (STUDENT)
+// ===============================
+const getMyCourseRecommendations = asyncHandler(async (req, res) => {
+    try {
+        const limitNum = Math.min(20, Math.max(1, parseInt(req.query.limit) || 10));
+
+        const student = await Student.findOne({ userId: req.user._id })
+            .select("userId skills skillProficiencies communicationPreferences");
+        if (!student) {
+            return res.json(notFoundResponse("Student profile not found"));
+        }
+
+        const { gaps, recommendations } = await getCourseRecommendations(student, { limit: limitNum });
+
+        return res.json(successResponse({
+            recommendations,
+            skillGaps: gaps.map(({ skill, requiredLevel, studentLevel, missing, potentialGain, jobs }) => ({
+                skill,
+                requiredLevel,
+                studentLevel,
+                missing,
+                potentialGain,
+                jobs: jobs.length
+            })),
+            nearMatchThreshold: NEAR_MATCH_MIN_PERCENTAGE,
+            notificationsEnabled: Boolean(student.communicationPreferences?.isCourseRecomendations)
+        }, recommendations.length > 0
+            ? "Course recommendations retrieved successfully"
+            : "No courses found for your current skill gaps"));
+    } catch (error) {
+        console.error("Error fetching course recommendations:", error);
+        throw internalServer("Failed to fetch course recommendations");
+    }
+});
+
+export {
+    getMyCourseRecommendations
+};
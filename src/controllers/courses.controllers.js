@@ -7,19 +7,58 @@ import {
   serverErrorResponse,
   notFoundResponse,
   conflictResponse,
+  forbiddenResponse,
 } from "../utils/ApiResponse.js";
 import { uploadOnCloudinary } from "../utils/cloudinary.js";
-import { createCourseCreationNotifications } from "../services/notification.service.js";
+import { PROFICIENCY_LEVELS } from "../utils/matchingUtils.js";
+import { parseCourseSearchFilters } from "../utils/courseSearch.js";
+import { searchCourseCatalog } from "../services/courseSearch.service.js";
+import { COURSE_STATUSES, getSubmissionIssues, parseRejection } from "../utils/courseApproval.js";
+import { applyApprovalAction, notifyApprovalDecision } from "../services/courseApproval.service.js";
 import fs from 'fs'
 import { internalServer } from "../utils/ApiError.js";
 
+// Orderings offered by the course list
+const COURSE_LIST_SORTS = {
+  newest: { createdAt: -1 },
+  rating: { "rating.average": -1, "rating.count": -1, createdAt: -1 },
+};
+
+// Fields a school cannot change through a course update; they are managed by
+// the approval workflow, reviews and enrollments
+const PROTECTED_COURSE_FIELDS = [
+  "status",
+  "approval",
+  "approvalHistory",
+  "rating",
+  "currentEnrollments",
+  "trainingProvider",
+];
+
+// Load a course and check that it belongs to the school of the requesting user
+const findOwnCourse = async (courseId, userId) => {
+  const course = await Course.findById(courseId);
+  if (!course) return { error: notFoundResponse("Course not found") };
+
+  const school = await TrainingInstitute.findOne({ userId }).select("_id");
+  if (!school || course.trainingProvider?.toString() !== school._id.toString()) {
+    return { error: forbiddenResponse("You can only manage your own courses") };
+  }
+  return { course };
+};
+
 // ===============================
 // GET ALL COURSES
 // ===============================
 const getCourses = asyncHandler(async (req, res) => {
   try {
-    const { page = 1, limit = 10, category } = req.query;
-    const filter = {};
+    const { page = 1, limit = 10, category, sort = "newest" } = req.query;
+    // Only approved courses are listed; the list is cached for all users alike
+    const filter = { status: "approved" };
+
+    if (!COURSE_LIST_SORTS[sort]) {
+      return res.json(badRequestResponse(`Sort must be one of: ${Object.keys(COURSE_LIST_SORTS).join(", ")}`));
+    }
 
     if (category) {
       filter.category = { $regex: category, $options: "i" };
@@ -50,12 +89,13 @@ const getCourses = asyncHandler(async (req, res) => {
           price: 1,
           category: 1,
           status: 1,
+          rating: 1,
           createdAt: 1,
           updatedAt: 1,
           trainingProvider: { $arrayElemAt: ["$provider", 0] },
         },
       },
-      { $sort: { createdAt: -1 } },
+      { $sort: COURSE_LIST_SORTS[sort] },
       { $skip: skip },
       { $limit: limitNum },
     ];
@@ -99,8 +139,25 @@ const getCoursesById = asyncHandler(async (req, res) => {
       return res.json (notFoundResponse("Course not found"));
     }
 
+    const payload = course.toObject();
+
+    // Courses that are not approved yet are only visible to their school and admins
+    if (req.user.role !== "admin") {
+      const school = req.user.role === "school"
+        ? await TrainingInstitute.findOne({ userId: req.user._id }).select("_id")
+        : null;
+      const isOwner = school && course.trainingProvider?.toString() === school._id.toString();
+
+      if (!isOwner) {
+        if (course.status !== "approved") {
+          return res.json(notFoundResponse("Course not found"));
+        }
+        delete payload.approvalHistory;
+      }
+    }
+
     return res
-      .json(successResponse({ course }, "Course fetched successfully"));
+      .json(successResponse({ course: payload }, "Course fetched successfully"));
   } catch (error) {
     throw internalServer("Failed to fetch course");
   }
@@ -123,6 +180,7 @@ const createCourse = asyncHandler(async (req, res) => {
       skills,
       category,
       maxEnrollments,
+      level,
     } = req.body;
 
     const school = await TrainingInstitute.findOne({ userId: req.user._id });
@@ -150,6 +208,12 @@ const createCourse = asyncHandler(async (req, res) => {
       );
     }
 
+    if (level && !PROFICIENCY_LEVELS.includes(level)) {
+      return res.json(
+        badRequestResponse(`Level must be one of: ${PROFICIENCY_LEVELS.join(", ")}`)
+      );
+    }
+
     const existingCourses = await Course.findOne({
       trainingProvider,
       title,
@@ -192,24 +256,17 @@ const createCourse = asyncHandler(async (req, res) => {
       description,
       objectives,
       skills,
+      level: level || undefined,
       category,
       trainingProvider,
       maxEnrollments: maxEnrollments ?? 50,
-      status: "approved",
+      // Students are told about the course once an admin approves it
+      status: "draft",
     });
 
     school.courses.push(course._id);
     await school.save();
 
-    // // Send notifications to students who have enrolled in courses from this school
-    try {
-      const io = req.app.get("io"); // Get socket.io instance
-      await createCourseCreationNotifications(course, school.name, io);
-    } catch (notificationError) {
-      // Log the error but don't fail the course creation
-      console.error("Failed to send course creation notifications:", notificationError);
-    }
-
     return res.json(
       createdResponse({ course }, "Course created successfully")
     );
@@ -225,62 +282,184 @@ const createCourse = asyncHandler(async (req, res) => {
 const updateCourse = asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    const userId = req.user._id;
+    const updates = { ...req.body };
+    PROTECTED_COURSE_FIELDS.forEach((field) => delete updates[field]);
 
-    const existingCourse = await Course.findById(id);
-    if (!existingCourse) {
-      return res.json (notFoundResponse("Course not found"));
+    const { course: existingCourse, error } = await findOwnCourse(id, req.user._id);
+    if (error) {
+      return res.json(error);
     }
 
-    if (existingCourse.trainingProvider?.toString() !== userId.toString()) {
-      return res.json (badRequestResponse("You can only update your own courses"));
+    // Only the fields whose value actually changes count as an edit
+    existingCourse.set(updates);
+    const changedFields = existingCourse.modifiedPaths().filter((path) => !path.includes("."));
+    if (changedFields.length === 0) {
+      return res.json(successResponse({ course: existingCourse }, "Course unchanged"));
     }
-
-    const course = await Course.findByIdAndUpdate(id, updates, {
-      new: true,
-      runValidators: true,
-    });
-    if (!course) {
-      return res.json (notFoundResponse("Course update failed"));
+    await existingCourse.validate();
+
+    // A listed course goes back to the approval queue with its changes
+    if (existingCourse.status === "approved") {
+      const values = existingCourse.toObject();
+      const changes = Object.fromEntries(changedFields.map((field) => [field, values[field]]));
+      const result = await applyApprovalAction(existingCourse, "edited", { by: req.user._id, updates: changes });
+      if (result.error) {
+        return res.json(conflictResponse(result.error));
+      }
+      return res.json(successResponse(
+        { course: result.course },
+        "Course updated and sent back for approval; it is unlisted until an admin approves the changes"
+      ));
     }
 
+    const course = await existingCourse.save();
     return res
       .json(successResponse({ course }, "Course updated successfully"));
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.json(badRequestResponse(error.message));
+    }
     throw internalServer("Failed to update course");
   }
 });
 
 // ===============================
-// UPDATE COURSE STATUS (ADMIN)
+// SUBMIT COURSE FOR APPROVAL (SCHOOL)
+// ===============================
+const submitCourseForApproval = asyncHandler(async (req, res) => {
+  try {
+    const { course: existingCourse, error } = await findOwnCourse(req.params.id, req.user._id);
+    if (error) {
+      return res.json(error);
+    }
+
+    const issues = getSubmissionIssues(existingCourse);
+    if (issues.length) {
+      return res.json(badRequestResponse(`Before submitting, the course needs ${issues.join(", ")}`));
+    }
+
+    const result = await applyApprovalAction(existingCourse, "submitted", { by: req.user._id });
+    if (result.error) {
+      return res.json(conflictResponse(result.error));
+    }
+
+    return res.json(successResponse({ course: result.course }, "Course submitted for approval"));
+  } catch (error) {
+    console.error("Submit course error:", error);
+    throw internalServer("Failed to submit course for approval");
+  }
+});
+
+// ===============================
+// WITHDRAW COURSE SUBMISSION (SCHOOL)
+// ===============================
+const withdrawCourseSubmission = asyncHandler(async (req, res) => {
+  try {
+    const { course: existingCourse, error } = await findOwnCourse(req.params.id, req.user._id);
+    if (error) {
+      return res.json(error);
+    }
+
+    const result = await applyApprovalAction(existingCourse, "withdrawn", { by: req.user._id });
+    if (result.error) {
+      return res.json(conflictResponse(result.error));
+    }
+
+    return res.json(successResponse({ course: result.course }, "Course submission withdrawn"));
+  } catch (error) {
+    console.error("Withdraw course submission error:", error);
+    throw internalServer("Failed to withdraw course submission");
+  }
+});
+
+// ===============================
+// COURSE APPROVAL QUEUE (ADMIN)
+// ===============================
+const getCourseApprovalQueue = asyncHandler(async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = "pending_approval" } = req.query;
+
+    if (!COURSE_STATUSES.includes(status)) {
+      return res.json(badRequestResponse(`Status must be one of: ${COURSE_STATUSES.join(", ")}`));
+    }
+
+    const limitNum = Math.min(Number(limit) || 20, 100);
+    const skip = (Math.max(Number(page) || 1, 1) - 1) * limitNum;
+
+    // Oldest submissions first, so courses are reviewed in the order they came in
+    const [courses, total] = await Promise.all([
+      Course.find({ status })
+        .select("title instructor category price type status approval createdAt updatedAt trainingProvider")
+        .populate("trainingProvider", "name email")
+        .sort({ "approval.submittedAt": 1, createdAt: 1 })
+        .skip(skip)
+        .limit(limitNum),
+      Course.countDocuments({ status }),
+    ]);
+
+    return res.json(
+      successResponse(
+        {
+          courses,
+          pagination: {
+            page: Number(page),
+            limit: limitNum,
+            total,
+            pages: Math.ceil(total / limitNum),
+          },
+        },
+        "Course approval queue fetched successfully"
+      )
+    );
+  } catch (error) {
+    console.error("Course approval queue error:", error);
+    throw internalServer("Failed to fetch course approval queue");
+  }
+});
+
+// ===============================
+// APPROVE OR REJECT COURSE (ADMIN)
 // ===============================
 const updateCourseStatus = asyncHandler(async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
-    if (req.user?.role !== "admin") {
-      return res.json(badRequestResponse("Only admin can update course status"));
+    if (!["approved", "rejected"].includes(status)) {
+      return res.json(badRequestResponse("Status must be either approved or rejected"));
     }
 
-    const validStatuses = ["draft", "pending_approval", "approved", "rejected"];
-    if (!validStatuses.includes(status)) {
-      return res.json (badRequestResponse("Invalid status value"));
+    let details = {
+      reason: typeof req.body.reason === "string" ? req.body.reason.trim() : undefined,
+      changesRequested: [],
+    };
+    if (status === "rejected") {
+      details = parseRejection(req.body);
+      if (details.error) {
+        return res.json(badRequestResponse(details.error));
+      }
     }
 
-    const course = await Course.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    );
-    if (!course) {
-      return res.json (notFoundResponse("Course not found or update failed"));
+    const existingCourse = await Course.findById(id);
+    if (!existingCourse) {
+      return res.json(notFoundResponse("Course not found"));
     }
 
-    return res
-      .json(successResponse({ course }, "Course status updated successfully"));
+    const result = await applyApprovalAction(existingCourse, status, { by: req.user._id, ...details });
+    if (result.error) {
+      return res.json(conflictResponse(result.error));
+    }
+
+    await notifyApprovalDecision(result.course, status, req.app.get("io"));
+
+    return res.json(
+      successResponse(
+        { course: result.course },
+        status === "approved" ? "Course approved successfully" : "Course rejected successfully"
+      )
+    );
   } catch (error) {
+    console.error("Update course status error:", error);
     throw internalServer("Failed to update course status");
   }
 });
@@ -305,60 +484,38 @@ const deleteCourseById = asyncHandler(async (req, res) => {
 });
 
 // ===============================
-// SEARCH COURSES (category, title, instructor)
+// SEARCH COURSES (text, facets, filters)
 // ===============================
 const searchCourses = asyncHandler(async (req, res) => {
   try {
-    const { q, title, category, location, page = 1, limit = 10 } = req.query;
-
-    const searchFilter = {};
-
-    if (q) {
-      // Broad search when `q` is present
-      searchFilter.$or = [
-        { title: { $regex: q, $options: "i" } },
-        { instructor: { $regex: q, $options: "i" } },
-        { category: { $regex: q, $options: "i" } },
-        { location: { $regex: q, $options: "i" } },
-      ];
-    } else {
-      // Specific filtering when `q` is NOT passed
-      if (title) {
-        searchFilter.title = { $regex: title, $options: "i" };
-      }
-      if (category) {
-        searchFilter.category = { $regex: category, $options: "i" };
-      }
-      if (location) {
-        searchFilter.location = { $regex: location, $options: "i" };
-      }
+    const { filters, sort, page, limit, error } = parseCourseSearchFilters(req.query);
+    if (error) {
+      return res.json(badRequestResponse(error));
     }
 
-    const skip = (page - 1) * limit;
-
-    const courses = await Course.find(searchFilter)
-      .populate("trainingProvider", "name email")
-      .skip(skip)
-      .limit(Number(limit))
-      .sort({ createdAt: -1 });
-
-    const total = await Course.countDocuments(searchFilter);
+    const { courses, total, facets, corrections } = await searchCourseCatalog({ filters, sort, page, limit });
 
     return res.json(
       successResponse(
         {
           courses,
+          facets,
           pagination: {
-            page: Number(page),
-            limit: Number(limit),
+            page,
+            limit,
             total,
             pages: Math.ceil(total / limit),
           },
+          searchQuery: filters.q || null,
+          // Misspelled words that were also searched as the closest catalog word
+          corrections,
+          sort,
         },
         "Search results fetched successfully"
       )
     );
   } catch (error) {
+    console.error("Course search error:", error);
     throw internalServer("Failed to search courses");
   }
 });
@@ -368,7 +525,7 @@ const searchCourses = asyncHandler(async (req, res) => {
 // ===============================
 const getCoursesByProvider = asyncHandler(async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
     const userId = req.user._id; // Fixed: was 'request.user._id'
     
     const provider = await TrainingInstitute.findOne({ userId: userId });
@@ -378,8 +535,13 @@ const getCoursesByProvider = asyncHandler(async (req, res) => {
 
     const providerId = provider._id;
 
+    if (status && !COURSE_STATUSES.includes(status)) {
+      return res.json(badRequestResponse(`Status must be one of: ${COURSE_STATUSES.join(", ")}`));
+    }
+    const filter = status ? { trainingProvider: providerId, status } : { trainingProvider: providerId };
+
     const skip = (page - 1) * limit;
-    const courses = await Course.find({ trainingProvider: providerId })
+    const courses = await Course.find(filter)
       .skip(skip)
       .limit(Number(limit))
       .sort({ createdAt: -1 });
@@ -388,7 +550,7 @@ const getCoursesByProvider = asyncHandler(async (req, res) => {
       return res.json(notFoundResponse("No courses found for this provider"));
     }
 
-    const total = await Course.countDocuments({ trainingProvider: providerId });
+    const total = await Course.countDocuments(filter);
 
     return res.json(
       successResponse(
@@ -420,8 +582,14 @@ const getCoursesByProviderId = asyncHandler(async (req, res) => {
     }
 
 
+    // Only the school itself sees its courses that are not approved yet
+    const filter = { trainingProvider: providerId };
+    if (req.user.role !== "school" || !provider.userId?.equals(req.user._id)) {
+      filter.status = "approved";
+    }
+
     const skip = (page - 1) * limit;
-    const courses = await Course.find({ trainingProvider: providerId })
+    const courses = await Course.find(filter)
       .skip(skip)
       .limit(Number(limit))
       .sort({ createdAt: -1 });
@@ -430,7 +598,7 @@ const getCoursesByProviderId = asyncHandler(async (req, res) => {
       return res.json(notFoundResponse("No courses found for this provider"));
     }
 
-    const total = await Course.countDocuments({ trainingProvider: providerId });
+    const total = await Course.countDocuments(filter);
 
     return res.json(
       successResponse(
@@ -461,5 +629,8 @@ export {
   deleteCourseById,
   searchCourses,
   getCoursesByProvider,
-  getCoursesByProviderId
+  getCoursesByProviderId,
+  submitCourseForApproval,
+  withdrawCourseSubmission,
+  getCourseApprovalQueue
 };
@@ -0,0 +1,524 @@
+/**
+ * CURRICULUM CONTROLLERS
+ *
+ * Schools build a course curriculum from ordered modules and lessons (video,
+ * document, text or quiz). Enrolled students record lesson progress; the
+ * enrollment completes automatically once every required lesson is done.
+ */
+
+import mongoose from "mongoose";
+import { Course, Enrollment, Quiz, TrainingInstitute } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import {
+    LESSON_CONTENT_FIELDS,
+    LESSON_PROGRESS_STATUSES,
+    calculateCourseProgress,
+    findCourseLesson,
+    getCourseLessons,
+    validateLessonContent
+} from "../utils/courseProgress.js";
+import { recalculateCourseProgress, updateLessonProgress } from "../services/courseProgress.service.js";
+import { applyApprovalAction } from "../services/courseApproval.service.js";
+
+const LESSON_FIELDS = ["title", "contentType", "videoUrl", "documentUrl", "text", "quiz", "durationMinutes", "isRequired", "order"];
+
+// ===== HELPERS =====
+
+// Load a course the current school owns (admins can manage any course)
+const findManagedCourse = async (req) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { error: badRequestResponse("Invalid course ID") };
+    }
+
+    const course = await Course.findById(id);
+    if (!course) {
+        return { error: notFoundResponse("Course not found") };
+    }
+
+    if (req.user.role !== "admin") {
+        const school = await TrainingInstitute.findOne({ userId: req.user._id }).select("_id");
+        if (!school || course.trainingProvider?.toString() !== school._id.toString()) {
+            return { error: forbiddenResponse("You can only manage the curriculum of your own courses") };
+        }
+    }
+
+    return { course };
+};
+
+const findModule = (course, moduleId) =>
+    mongoose.Types.ObjectId.isValid(moduleId) ? course.modules.id(moduleId) : null;
+
+const nextOrder = (items) => items.reduce((max, item) => Math.max(max, item.order ?? 0), 0) + 1;
+
+// Validate module fields from the request body
+const parseModuleInput = (body, isCreate) => {
+    const { title, description, order } = body;
+    const values = {};
+
+    if (title !== undefined || isCreate) {
+        if (typeof title !== "string" || !title.trim()) return { error: "Module title is required" };
+        values.title = title.trim();
+    }
+    if (description !== undefined) values.description = description;
+    if (order !== undefined) {
+        if (!Number.isInteger(Number(order))) return { error: "Order must be an integer" };
+        values.order = Number(order);
+    }
+    return { values };
+};
+
+// Validate lesson fields; `existing` is the lesson being updated
+const parseLessonInput = (body, existing = {}) => {
+    const values = {};
+    LESSON_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) values[field] = body[field];
+    });
+
+    if (values.title !== undefined || !existing.title) {
+        if (typeof values.title !== "string" || !values.title.trim()) return { error: "Lesson title is required" };
+        values.title = values.title.trim();
+    }
+    if (values.durationMinutes !== undefined) {
+        const minutes = Number(values.durationMinutes);
+        if (!Number.isFinite(minutes) || minutes < 0) return { error: "durationMinutes must be a positive number" };
+        values.durationMinutes = minutes;
+    }
+    if (values.isRequired !== undefined && typeof values.isRequired !== "boolean") {
+        return { error: "isRequired must be a boolean" };
+    }
+    if (values.order !== undefined && !Number.isInteger(Number(values.order))) {
+        return { error: "Order must be an integer" };
+    }
+    if (values.quiz !== undefined && values.quiz !== null && !mongoose.Types.ObjectId.isValid(values.quiz)) {
+        return { error: "Invalid quiz ID" };
+    }
+
+    const merged = { ...(existing.toObject ? existing.toObject() : existing), ...values };
+    const contentError = validateLessonContent(merged);
+    if (contentError) return { error: contentError };
+
+    // Only keep the content field that belongs to the lesson type
+    Object.entries(LESSON_CONTENT_FIELDS).forEach(([type, field]) => {
+        if (type !== merged.contentType) values[field] = undefined;
+    });
+
+    return { values };
+};
+
+// Quiz lessons must point at a quiz of the same course
+const validateLessonQuiz = async (course, lesson) => {
+    if (lesson.contentType !== "quiz") return null;
+    const exists = await Quiz.exists({ _id: lesson.quiz, course: course._id });
+    return exists ? null : "Quiz not found in this course";
+};
+
+// Curriculum in order; without content the outline only lists titles, types and durations
+const formatCurriculum = (course, includeContent) => {
+    const modules = [...course.modules].sort((a, b) => a.order - b.order).map((module) => ({
+        _id: module._id,
+        title: module.title,
+        description: module.description,
+        order: module.order,
+        lessons: [...module.lessons].sort((a, b) => a.order - b.order).map((lesson) => {
+            const base = {
+                _id: lesson._id,
+                title: lesson.title,
+                contentType: lesson.contentType,
+                durationMinutes: lesson.durationMinutes,
+                isRequired: lesson.isRequired,
+                order: lesson.order
+            };
+            if (!includeContent) return base;
+            const field = LESSON_CONTENT_FIELDS[lesson.contentType];
+            return { ...base, [field]: lesson[field] };
+        })
+    }));
+
+    const lessons = getCourseLessons(course).map(({ lesson }) => lesson);
+    return {
+        modules,
+        totalModules: modules.length,
+        totalLessons: lessons.length,
+        requiredLessons: lessons.filter((lesson) => lesson.isRequired !== false).length,
+        totalDurationMinutes: lessons.reduce((sum, lesson) => sum + (lesson.durationMinutes || 0), 0)
+    };
+};
+
+// Save curriculum changes; a school editing its approved course sends it back for approval
+const saveCurriculum = async (req, course) => {
+    if (req.user.role === "admin" || course.status !== "approved") {
+        await course.save();
+        return {};
+    }
+
+    await course.validate();
+    const { error } = await applyApprovalAction(course, "edited", {
+        by: req.user._id,
+        updates: { modules: course.toObject().modules }
+    });
+    return error ? { error: conflictResponse(error) } : { resubmitted: true };
+};
+
+const savedMessage = (message, resubmitted) =>
+    resubmitted ? `${message}; the course was sent back for approval` : message;
+
+// Progress of enrolled students is recalculated in the background after curriculum changes
+const refreshProgress = (req, course) => {
+    recalculateCourseProgress(course, req.app.get("io")).catch((error) =>
+        console.error("Failed to recalculate course progress:", error)
+    );
+};
+
+// ===============================
+// GET COURSE CURRICULUM
+// ===============================
+const getCourseCurriculum = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid course ID"));
+        }
+
+        const course = await Course.findById(id).select("title trainingProvider modules");
+        if (!course) {
+            return res.json(notFoundResponse("Course not found"));
+        }
+
+        // Lesson content is for the owning school, admins and enrolled students
+        let includeContent = req.user.role === "admin";
+        if (req.user.role === "school") {
+            const school = await TrainingInstitute.findOne({ userId: req.user._id }).select("_id");
+            includeContent = Boolean(school) && course.trainingProvider?.toString() === school._id.toString();
+        } else if (req.user.role === "student") {
+            includeContent = Boolean(await Enrollment.exists({
+                courseId: course._id,
+                studentId: req.user._id,
+                status: { $in: ["enrolled", "completed"] }
+            }));
+        }
+
+        return res.json(successResponse({
+            courseId: course._id,
+            title: course.title,
+            includesContent: includeContent,
+            ...formatCurriculum(course, includeContent)
+        }, "Curriculum retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching curriculum:", error);
+        throw internalServer("Failed to fetch curriculum");
+    }
+});
+
+// ===============================
+// ADD MODULE
+// ===============================
+const addModule = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req);
+        if (error) return res.json(error);
+
+        const { values, error: inputError } = parseModuleInput(req.body, true);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        course.modules.push({ order: nextOrder(course.modules), ...values, lessons: [] });
+        const { resubmitted, error: saveError } = await saveCurriculum(req, course);
+        if (saveError) return res.json(saveError);
+
+        return res.json(createdResponse(
+            { module: course.modules[course.modules.length - 1] },
+            savedMessage("Module added successfully", resubmitted)
+        ));
+    } catch (error) {
+        console.error("Error adding module:", error);
+        throw internalServer("Failed to add module");
+    }
+});
+
+// ===============================
+// UPDATE MODULE
+// ===============================
+const updateModule = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req);
+        if (error) return res.json(error);
+
+        const module = findModule(course, req.params.moduleId);
+        if (!module) return res.json(notFoundResponse("Module not found"));
+
+        const { values, error: inputError } = parseModuleInput(req.body, false);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        module.set(values);
+        const { resubmitted, error: saveError } = await saveCurriculum(req, course);
+        if (saveError) return res.json(saveError);
+
+        return res.json(successResponse({ module }, savedMessage("Module updated successfully", resubmitted)));
+    } catch (error) {
+        console.error("Error updating module:", error);
+        throw internalServer("Failed to update module");
+    }
+});
+
+// ===============================
+// DELETE MODULE
+// ===============================
+const deleteModule = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req);
+        if (error) return res.json(error);
+
+        const module = findModule(course, req.params.moduleId);
+        if (!module) return res.json(notFoundResponse("Module not found"));
+
+        const removedLessons = module.lessons.length;
+        module.deleteOne();
+        const { resubmitted, error: saveError } = await saveCurriculum(req, course);
+        if (saveError) return res.json(saveError);
+        if (removedLessons > 0) refreshProgress(req, course);
+
+        return res.json(successResponse(
+            { moduleId: module._id, removedLessons },
+            savedMessage("Module deleted successfully", resubmitted)
+        ));
+    } catch (error) {
+        console.error("Error deleting module:", error);
+        throw internalServer("Failed to delete module");
+    }
+});
+
+// ===============================
+// ADD LESSON
+// ===============================
+const addLesson = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req);
+        if (error) return res.json(error);
+
+        const module = findModule(course, req.params.moduleId);
+        if (!module) return res.json(notFoundResponse("Module not found"));
+
+        const { values, error: inputError } = parseLessonInput(req.body);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        const quizError = await validateLessonQuiz(course, values);
+        if (quizError) return res.json(badRequestResponse(quizError));
+
+        module.lessons.push({ order: nextOrder(module.lessons), ...values });
+        const { resubmitted, error: saveError } = await saveCurriculum(req, course);
+        if (saveError) return res.json(saveError);
+        refreshProgress(req, course);
+
+        return res.json(createdResponse(
+            { moduleId: module._id, lesson: module.lessons[module.lessons.length - 1] },
+            savedMessage("Lesson added successfully", resubmitted)
+        ));
+    } catch (error) {
+        console.error("Error adding lesson:", error);
+        throw internalServer("Failed to add lesson");
+    }
+});
+
+// ===============================
+// UPDATE LESSON
+// ===============================
+const updateLesson = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req);
+        if (error) return res.json(error);
+
+        const module = findModule(course, req.params.moduleId);
+        const lesson = module && mongoose.Types.ObjectId.isValid(req.params.lessonId)
+            ? module.lessons.id(req.params.lessonId)
+            : null;
+        if (!lesson) return res.json(notFoundResponse("Lesson not found"));
+
+        const { values, error: inputError } = parseLessonInput(req.body, lesson);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        const quizError = await validateLessonQuiz(course, { ...lesson.toObject(), ...values });
+        if (quizError) return res.json(badRequestResponse(quizError));
+
+        const requiredChanged = values.isRequired !== undefined && values.isRequired !== lesson.isRequired;
+        lesson.set(values);
+        const { resubmitted, error: saveError } = await saveCurriculum(req, course);
+        if (saveError) return res.json(saveError);
+        if (requiredChanged) refreshProgress(req, course);
+
+        return res.json(successResponse(
+            { moduleId: module._id, lesson },
+            savedMessage("Lesson updated successfully", resubmitted)
+        ));
+    } catch (error) {
+        console.error("Error updating lesson:", error);
+        throw internalServer("Failed to update lesson");
+    }
+});
+
+// ===============================
+// DELETE LESSON
+// ===============================
+const deleteLesson = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req);
+        if (error) return res.json(error);
+
+        const module = findModule(course, req.params.moduleId);
+        const lesson = module && mongoose.Types.ObjectId.isValid(req.params.lessonId)
+            ? module.lessons.id(req.params.lessonId)
+            : null;
+        if (!lesson) return res.json(notFoundResponse("Lesson not found"));
+
+        lesson.deleteOne();
+        const { resubmitted, error: saveError } = await saveCurriculum(req, course);
+        if (saveError) return res.json(saveError);
+        refreshProgress(req, course);
+
+        return res.json(successResponse(
+            { moduleId: module._id, lessonId: lesson._id },
+            savedMessage("Lesson deleted successfully", resubmitted)
+        ));
+    } catch (error) {
+        console.error("Error deleting lesson:", error);
+        throw internalServer("Failed to delete lesson");
+    }
+});
+
+// ===============================
+// GET ENROLLMENT PROGRESS
+// ===============================
+const getEnrollmentProgress = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid enrollment ID"));
+        }
+
+        const enrollment = await Enrollment.findById(id);
+        if (!enrollment) {
+            return res.json(notFoundResponse("Enrollment not found"));
+        }
+
+        const course = await Course.findById(enrollment.courseId).select("title trainingProvider modules");
+        if (!course) {
+            return res.json(notFoundResponse("Course not found"));
+        }
+
+        const isStudent = enrollment.studentId.toString() === req.user._id.toString();
+        if (!isStudent && req.user.role !== "admin") {
+            const school = await TrainingInstitute.findOne({ userId: req.user._id }).select("_id");
+            if (!school || course.trainingProvider?.toString() !== school._id.toString()) {
+                return res.json(forbiddenResponse("Access denied"));
+            }
+        }
+
+        const progressByLesson = new Map(enrollment.lessonProgress.map((item) => [item.lesson.toString(), item]));
+        const lessons = getCourseLessons(course).map(({ lesson, module }) => {
+            const progress = progressByLesson.get(lesson._id.toString());
+            return {
+                lessonId: lesson._id,
+                moduleId: module._id,
+                title: lesson.title,
+                contentType: lesson.contentType,
+                isRequired: lesson.isRequired,
+                status: progress?.status || "not_started",
+                startedAt: progress?.startedAt || null,
+                completedAt: progress?.completedAt || null
+            };
+        });
+
+        return res.json(successResponse({
+            enrollmentId: enrollment._id,
+            course: { _id: course._id, title: course.title },
+            status: enrollment.status,
+            completedAt: enrollment.completedAt || null,
+            lastAccessedAt: enrollment.lastAccessedAt || null,
+            ...calculateCourseProgress(course, enrollment.lessonProgress),
+            lessons
+        }, "Enrollment progress retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching enrollment progress:", error);
+        throw internalServer("Failed to fetch enrollment progress");
+    }
+});
+
+// ===============================
+// UPDATE LESSON PROGRESS (STUDENT)
+// ===============================
+const updateLessonProgressStatus = asyncHandler(async (req, res) => {
+    try {
+        const { id, lessonId } = req.params;
+        const { status = "completed" } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(lessonId)) {
+            return res.json(badRequestResponse("Invalid enrollment or lesson ID"));
+        }
+        if (!LESSON_PROGRESS_STATUSES.includes(status)) {
+            return res.json(badRequestResponse(`Status must be one of: ${LESSON_PROGRESS_STATUSES.join(", ")}`));
+        }
+
+        const enrollment = await Enrollment.findById(id);
+        if (!enrollment) {
+            return res.json(notFoundResponse("Enrollment not found"));
+        }
+        if (enrollment.studentId.toString() !== req.user._id.toString()) {
+            return res.json(forbiddenResponse("You can only update progress for your own enrollments"));
+        }
+        if (!["enrolled", "completed"].includes(enrollment.status)) {
+            return res.json(badRequestResponse(`Progress cannot be recorded for a ${enrollment.status} enrollment`));
+        }
+
+        const course = await Course.findById(enrollment.courseId).select("title modules");
+        if (!course) {
+            return res.json(notFoundResponse("Course not found"));
+        }
+
+        // Quiz lessons are completed by passing their quiz
+        const found = findCourseLesson(course, lessonId);
+        if (found?.lesson.contentType === "quiz" && status === "completed") {
+            const passed = enrollment.quizResults.some(
+                (result) => result.passed && result.quiz.toString() === String(found.lesson.quiz)
+            );
+            if (!passed) {
+                return res.json(badRequestResponse("Pass the quiz to complete this lesson"));
+            }
+        }
+
+        const result = await updateLessonProgress(enrollment, course, lessonId, status, req.app.get("io"));
+        if (result.error) {
+            return res.json(notFoundResponse(result.error));
+        }
+
+        return res.json(successResponse({
+            enrollmentId: enrollment._id,
+            lessonId,
+            enrollmentStatus: enrollment.status,
+            completedCourse: result.completedCourse,
+            ...result.progress
+        }, result.completedCourse ? "Lesson completed. Course completed!" : "Lesson progress updated successfully"));
+    } catch (error) {
+        console.error("Error updating lesson progress:", error);
+        throw internalServer("Failed to update lesson progress");
+    }
+});
+
+export {
+    getCourseCurriculum,
+    addModule,
+    updateModule,
+    deleteModule,
+    addLesson,
+    updateLesson,
+    deleteLesson,
+    getEnrollmentProgress,
+    updateLessonProgressStatus
+};
@@ -9,6 +9,7 @@ import {
     fuzzyTextSearch,
     fuzzyFilter 
 } from "./jobs.controllers.js";
+import { getStudentSkillProfile } from "../utils/matchingUtils.js";
 
 // ==============================
 // HELPER FUNCTIONS
@@ -752,48 +753,8 @@ const getMatchedCandidates = asyncHandler(async (req, res) => {
             isActive: true 
         }).select('_id jobTitle matchedCandidates skillsRequired');
         
-        // Process all jobs to ensure they have up-to-date matches
-        await Promise.all(employerJobs.map(async (job) => {
-            // Always recalculate matches for all jobs to ensure fresh data
-            if (job.skillsRequired && Array.isArray(job.skillsRequired) && job.skillsRequired.length > 0) {
-                console.log(`Calculating matches for job: ${job.jobTitle}`);
-                
-                // Get all active students (updated to respect privacy)
-                const students = await Student.find({
-                    skills: { $exists: true, $ne: [] },
-                    isPublic: true,  // Only public profiles
-                    isOpenToWork: true  // Only students open to work
-                }).select('skills firstName lastName email location');  // Include privacy flags for conditional response
-                
-                // Find matching students with ≥90% match
-                const skillNameMatchingOptions = {
-                    fuzzyThreshold: 0.85,
-                    exactMatchWeight: 1.0,
-                    abbreviationMatchWeight: 0.98,
-                    partialMatchWeight: 0.85,
-                    fuzzyMatchWeight: 0.6
-                };
-                const matchedStudents = findMatchingStudents(students, job.skillsRequired, 90, skillNameMatchingOptions);
-                
-                // Format matched candidates for storage
-                const formattedMatches = matchedStudents.map(match => ({
-                    student: match.student,
-                    matchPercentage: match.matchPercentage,
-                    matchedAt: new Date()
-                }));
-                
-                // Update the job with matched candidates
-                await Job.findByIdAndUpdate(job._id, {
-                    matchedCandidates: formattedMatches
-                });
-                
-                // Update the job object in our array for immediate use
-                job.matchedCandidates = formattedMatches;
-                
-                console.log(`Updated job ${job.jobTitle} with ${formattedMatches.length} matches`);
-            }
-        }));
-        
+        // matchedCandidates is kept current by the skill match index
+        // (services/skillMatchIndex.service.js), so no recalculation is needed here
         if (!employerJobs || employerJobs.length === 0) {
             return res.json(successResponse(
                 {
@@ -994,7 +955,7 @@ const getPotentialStudents = asyncHandler(async (req, res) => {
             skills: { $exists: true, $ne: [] },
             isPublic: true,  // Only public profiles
             isOpenToWork: true  // Only students open to work
-        }).select('userId firstName lastName email location skills bio enrollments gsceResult isContactPublic isProgressPublic')  // Include privacy flags
+        }).select('userId firstName lastName email location skills skillProficiencies bio enrollments gsceResult isContactPublic isProgressPublic')  // Include privacy flags
       .populate('userId', 'profilePicture');
         
         if (!students || students.length === 0) {
@@ -1029,7 +990,7 @@ const getPotentialStudents = asyncHandler(async (req, res) => {
                     partialMatchWeight: 0.85, // Good weight for partial skill name matches
                     fuzzyMatchWeight: 0.6 // Lower weight for fuzzy matches to prioritize exact names
                 };
-                const matchPercentage = calculateMatchPercentage(student.skills, job.skillsRequired, skillNameMatchingOptions);
+                const matchPercentage = calculateMatchPercentage(getStudentSkillProfile(student), job.skillsRequired, skillNameMatchingOptions);
                 
                 if (matchPercentage > bestMatch) {
                     bestMatch = matchPercentage;
@@ -1353,7 +1314,7 @@ const getEmployerPotentialStudentsById = asyncHandler(async (req, res) => {
             skills: { $exists: true, $ne: [] },
             isPublic: true,  // Only public profiles
             isOpenToWork: true  // Only students open to work
-        }).select('firstName lastName email location skills bio enrollments gsceResult isContactPublic isProgressPublic')
+        }).select('firstName lastName email location skills skillProficiencies bio enrollments gsceResult isContactPublic isProgressPublic')
           .populate('userId', 'profilePicture');
         
         if (!students || students.length === 0) {
@@ -1388,7 +1349,7 @@ const getEmployerPotentialStudentsById = asyncHandler(async (req, res) => {
                     partialMatchWeight: 0.85, // Good weight for partial skill name matches
                     fuzzyMatchWeight: 0.6 // Lower weight for fuzzy matches to prioritize exact names
                 };
-                const matchPercentage = calculateMatchPercentage(student.skills, job.skillsRequired, skillNameMatchingOptions);
+                const matchPercentage = calculateMatchPercentage(getStudentSkillProfile(student), job.skillsRequired, skillNameMatchingOptions);
                 
                 if (matchPercentage > bestMatch) {
                     bestMatch = matchPercentage;
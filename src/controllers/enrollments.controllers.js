@@ -1,22 +1,39 @@
 import {
     Enrollment,
     Course,
-    Student,
-    User,
     TrainingInstitute
 } from '../models/index.js';
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { badRequest, notFound, internalServer } from "../utils/ApiError.js";
-import { successResponse, createdResponse, badRequestResponse, notFoundResponse } from "../utils/ApiResponse.js";
-import { createCourseEnrollmentNotification, createNotification, sendRealTimeNotification, createSchoolEnrollmentNotification } from '../services/notification.service.js';
+import { successResponse, createdResponse, badRequestResponse, notFoundResponse, forbiddenResponse } from "../utils/ApiResponse.js";
+import { handleEnrollmentCompleted } from '../services/courseProgress.service.js';
+import {
+    finalizeEnrollment,
+    startCoursePurchase,
+    confirmCoursePayment,
+    refundEnrollment
+} from '../services/coursePayment.service.js';
+import { checkRefundEligibility, isPaidCourse } from '../utils/coursePayment.js';
+import { takeEnrollmentSeat, releaseSeat, leaveCourseWaitlists } from '../services/cohort.service.js';
+import stripe from '../config/stripe.config.js';
+
+// Whether the user runs the institute; admins manage every course
+const canManageInstitute = async (instituteId, user) => {
+    if (user.role === 'admin') return true;
+    const school = await TrainingInstitute.findOne({ userId: user._id }).select('_id');
+    return Boolean(school) && instituteId?.toString() === school._id.toString();
+};
 
 // ===============================
 // CREATE ENROLLMENT
 // ===============================
 const createEnrollment = asyncHandler(async (req, res) => {
+    // Cohort whose seat was taken by this request, given back if enrolling fails
+    let seatCohortId = null;
     try {
-        const { courseId } = req.body;
+        const { courseId, cohortId } = req.body;
         const studentId = req.user._id;
+        const io = req.app.get('io');
 
         // Validate course exists and is active
         // Updated populate to include userId for notification
@@ -25,9 +42,10 @@ const createEnrollment = asyncHandler(async (req, res) => {
             return res.json(notFoundResponse("Course not found"));
         }
 
-        // if (course.status !== 'approved') {
-        //     return res.json(badRequestResponse("Course is not available for enrollment"));
-        // }
+        // Only courses approved by an admin are open for enrollment
+        if (course.status !== 'approved') {
+            return res.json(badRequestResponse("Course is not available for enrollment"));
+        }
 
         // Check if student already enrolled
         const existingEnrollment = await Enrollment.findOne({
@@ -36,94 +54,74 @@ const createEnrollment = asyncHandler(async (req, res) => {
             status: { $nin: ['withdrawn', 'suspended'] }
         });
 
-        if (existingEnrollment) {
+        if (existingEnrollment && existingEnrollment.status !== 'pending_payment') {
             return res.json(badRequestResponse("Already enrolled in this course"));
         }
 
-        // Create enrollment
-        const enrollment = await Enrollment.create({
-            studentId,
-            courseId
-        });
-
-        let notification = null;
-        
-        if (enrollment) {
-            // Update course enrollment count
-            await Course.findByIdAndUpdate(courseId, { $inc: { currentEnrollments: 1 } });
-            
-            // Add enrollment to student's enrollments array
-            await Student.findOneAndUpdate(
-                { userId: studentId },
-                { $addToSet: { enrollments: enrollment._id } }
-            );
-
-            // Get student name for school notification
-            const student = await User.findById(studentId).select('fullName');
-            const studentName = student?.fullName || 'A student';
-
-            // Sending notification to SCHOOL (training provider)
-            try {
-                console.log("=== SENDING NOTIFICATION TO SCHOOL ===");
-                console.log("Training provider user ID:", course.trainingProvider?.userId);
-                
-                if (course.trainingProvider?.userId) {
-                    const schoolNotification = await createSchoolEnrollmentNotification(
-                        course.trainingProvider.userId, 
-                        studentName, 
-                        course.title, 
-                        courseId
-                    );
-                    
-                    console.log("School notification created successfully:", schoolNotification ? "YES" : "NO");
-                    if (schoolNotification) {
-                        console.log("School notification ID:", schoolNotification._id);
-                        console.log("School notification recipient:", schoolNotification.recipient);
-                        
-                        // Send real-time notification to the school
-                        if (req.app.get('io')) {
-                            try {
-                                sendRealTimeNotification(req.app.get('io'), course.trainingProvider.userId, schoolNotification);
-                                console.log("Real-time notification sent to school");
-                            } catch (socketError) {
-                                console.error("Failed to send real-time notification to school:", socketError);
-                            }
-                        }
-                    }
-                } else {
-                    console.warn("⚠️ No training provider user ID found for course:", courseId);
-                }
-            } catch (schoolNotificationError) {
-                console.error("Failed to create school enrollment notification:", schoolNotificationError);
-                console.error("Error stack:", schoolNotificationError.stack);
-                // Don't throw error - enrollment was successful, notification failure shouldn't break it
+        // An unpaid enrollment already holds its seat; otherwise take one (or a place on the waitlist)
+        let cohort = existingEnrollment?.cohort || null;
+        if (existingEnrollment) {
+            if (cohortId && cohortId.toString() !== cohort?.toString()) {
+                return res.json(badRequestResponse("Withdraw your unpaid enrollment to choose another cohort"));
+            }
+        } else {
+            const seat = await takeEnrollmentSeat(course, cohortId, studentId);
+            if (seat.error) {
+                return res.json(badRequestResponse(seat.error));
             }
+            if (seat.waitlist) {
+                return res.json(
+                    createdResponse(
+                        { waitlist: seat.waitlist, position: seat.position },
+                        seat.position
+                            ? `This cohort is full. You are number ${seat.position} on its waitlist`
+                            : "Your seat offer in this cohort has expired"
+                    )
+                );
+            }
+            cohort = seat.cohort?._id || null;
+            seatCohortId = cohort;
+        }
 
-            // Optional: Also send confirmation to student (you can remove this if not needed)
-            try {
-                console.log("=== SENDING NOTIFICATION TO STUDENT ===");
-                const studentNotification = await createCourseEnrollmentNotification(studentId, course.title, courseId);
-                
-                console.log("Student notification created successfully:", studentNotification ? "YES" : "NO");
-                if (studentNotification) {
-                    console.log("Student notification ID:", studentNotification._id);
-                    
-                    // Send real-time notification to the student
-                    if (req.app.get('io')) {
-                        try {
-                            sendRealTimeNotification(req.app.get('io'), studentId, studentNotification);
-                            console.log("Real-time notification sent to student");
-                        } catch (socketError) {
-                            console.error("Failed to send real-time notification to student:", socketError);
+        // Paid courses: the enrollment waits for the payment (see confirmEnrollmentPayment)
+        if (isPaidCourse(course)) {
+            const purchase = await startCoursePurchase(course, req.user, existingEnrollment, cohort);
+            seatCohortId = null;
+            if (cohort) await leaveCourseWaitlists(course._id, studentId, io);
+
+            return res.json(
+                createdResponse(
+                    {
+                        enrollment: purchase.enrollment,
+                        payment: {
+                            clientSecret: purchase.clientSecret,
+                            paymentIntentId: purchase.paymentIntentId,
+                            amount: purchase.amount,
+                            currency: purchase.currency
                         }
-                    }
-                }
-            } catch (studentNotificationError) {
-                console.error("Failed to create student enrollment notification:", studentNotificationError);
-                // Don't throw error - enrollment was successful, notification failure shouldn't break it
-            }
+                    },
+                    "Complete the payment to enroll in this course"
+                )
+            );
         }
 
+        // Create enrollment
+        const enrollment = existingEnrollment || await Enrollment.create({
+            studentId,
+            courseId,
+            cohort: cohort || undefined
+        });
+        seatCohortId = null;
+        if (existingEnrollment) {
+            // The course became free while the payment was pending
+            enrollment.status = 'enrolled';
+            enrollment.payment = undefined;
+            await enrollment.save();
+        }
+
+        await finalizeEnrollment(enrollment, course, io);
+        if (cohort) await leaveCourseWaitlists(course._id, studentId, io);
+
         // Populate enrollment with course and student details
         const populatedEnrollment = await Enrollment.findById(enrollment._id)
             .populate('courseId', 'title instructor duration category')
@@ -136,10 +134,67 @@ const createEnrollment = asyncHandler(async (req, res) => {
             )
         );
     } catch (error) {
+        console.error("Create enrollment error:", error);
+        if (seatCohortId) {
+            await releaseSeat(seatCohortId, req.app.get('io')).catch(releaseError =>
+                console.error("Failed to give back cohort seat:", releaseError)
+            );
+        }
+        if (error.type?.startsWith('Stripe')) {
+            return res.json(badRequestResponse(`Payment could not be started: ${error.message}`));
+        }
         throw internalServer("Failed to create enrollment");
     }
 });
 
+// ===============================
+// CONFIRM ENROLLMENT PAYMENT
+// ===============================
+const confirmEnrollmentPayment = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { paymentIntentId } = req.body;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.json(badRequestResponse("Invalid enrollment ID format"));
+        }
+        if (!paymentIntentId || typeof paymentIntentId !== 'string') {
+            return res.json(badRequestResponse("PaymentIntent ID is required"));
+        }
+
+        const enrollment = await Enrollment.findOne({ _id: id, studentId: req.user._id });
+        if (!enrollment) {
+            return res.json(notFoundResponse("Enrollment not found"));
+        }
+        if (enrollment.payment?.paymentIntentId !== paymentIntentId) {
+            return res.json(badRequestResponse("Payment does not belong to this enrollment"));
+        }
+
+        const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+        if (paymentIntent.status !== 'succeeded') {
+            return res.json(badRequestResponse(`Payment not completed. Status: ${paymentIntent.status}`));
+        }
+
+        const result = await confirmCoursePayment(paymentIntent, req.app.get('io'));
+        const populatedEnrollment = await Enrollment.findById(result.enrollment._id)
+            .populate('courseId', 'title instructor duration category')
+            .populate('studentId', 'fullName email');
+
+        return res.json(
+            successResponse(
+                { enrollment: populatedEnrollment },
+                "Payment confirmed, successfully enrolled in course"
+            )
+        );
+    } catch (error) {
+        console.error("Confirm enrollment payment error:", error);
+        if (error.type?.startsWith('Stripe')) {
+            return res.json(badRequestResponse(`Payment could not be verified: ${error.message}`));
+        }
+        throw internalServer("Failed to confirm enrollment payment");
+    }
+});
+
 // ===============================
 // GET USER ENROLLMENTS
 // ===============================
@@ -283,10 +338,34 @@ const updateEnrollmentStatus = asyncHandler(async (req, res) => {
       return res.json(badRequestResponse(`Invalid status. Must be one of: ${validStatuses.join(", ")}`));
     }
 
+    const previous = await Enrollment.findById(id).select("status cohort courseId payment");
+    if (!previous) {
+      return res.json(notFoundResponse("Enrollment not found"));
+    }
+    // Completing issues a certificate and skill evidence, so only the course's own school may do it
+    const course = await Course.findById(previous.courseId).select("trainingProvider");
+    if (!course || !(await canManageInstitute(course.trainingProvider, req.user))) {
+      return res.json(forbiddenResponse("You can only update enrollments in your own courses"));
+    }
+    // Unpaid enrollments are activated by their payment only; the student can still withdraw
+    if (previous.status === "pending_payment") {
+      return res.json(badRequestResponse("This enrollment is waiting for its payment and cannot be changed"));
+    }
+    // Withdrawing a paid enrollment owes the student a refund, which only their own withdrawal handles
+    if (status === "withdrawn" && previous.payment?.status === "paid") {
+      return res.json(badRequestResponse("Paid enrollments can only be withdrawn by the student, who is refunded within the refund window"));
+    }
+    const isNewlyCompleted = status === "completed" && previous.status !== "completed";
+    const isNewlyWithdrawn = status === "withdrawn" && previous.status !== "withdrawn";
+    const freesSeat = isNewlyWithdrawn && previous.cohort &&
+      ["enrolled", "in-progress"].includes(previous.status);
+
     // Find and update enrollment in one operation
-    const enrollment = await Enrollment.findByIdAndUpdate(
-      id,
-      { status: status },
+    const filter = { _id: id, status: { $ne: "pending_payment" } };
+    if (status === "withdrawn") filter["payment.status"] = { $ne: "paid" };
+    const enrollment = await Enrollment.findOneAndUpdate(
+      filter,
+      isNewlyCompleted ? { status, completedAt: new Date() } : { status },
       { new: true } // Return updated document
     ).populate("courseId", "title")
      .populate("studentId", "fullName email");
@@ -297,6 +376,19 @@ const updateEnrollmentStatus = asyncHandler(async (req, res) => {
 
     console.log("✅ Enrollment status updated successfully");
 
+    // Same follow-up as automatic completion: skill evidence and a notification
+    if (isNewlyCompleted) {
+      await handleEnrollmentCompleted(enrollment, req.app.get("io"));
+    }
+
+    if (isNewlyWithdrawn) {
+      await Course.findByIdAndUpdate(previous.courseId, { $inc: { currentEnrollments: -1 } });
+    }
+
+    if (freesSeat) {
+      await releaseSeat(previous.cohort, req.app.get("io"));
+    }
+
     return res.json(
       successResponse(
         { enrollment },
@@ -447,7 +539,7 @@ const withdrawFromCourse = asyncHandler(async (req, res) => {
         const userId = req.user._id;
 
         const enrollment = await Enrollment.findById(id)
-            .populate('courseId', 'title currentEnrollments');
+            .populate('courseId', 'title currentEnrollments price');
 
         if (!enrollment) {
             return res.json(notFoundResponse("Enrollment not found"));
@@ -463,6 +555,36 @@ const withdrawFromCourse = asyncHandler(async (req, res) => {
         if (enrollment.status === 'completed') {
             return res.json(badRequestResponse("Cannot withdraw from completed course"));
         }
+
+        // An unpaid enrollment is simply dropped, with its payment
+        if (enrollment.status === 'pending_payment') {
+            if (enrollment.payment?.paymentIntentId) {
+                try {
+                    await stripe.paymentIntents.cancel(enrollment.payment.paymentIntentId);
+                } catch (cancelError) {
+                    console.error("Failed to cancel enrollment payment:", cancelError.message);
+                }
+            }
+            enrollment.status = 'withdrawn';
+            await enrollment.save();
+            if (enrollment.cohort) await releaseSeat(enrollment.cohort, req.app.get('io'));
+            return res.json(successResponse({ enrollment, refund: null }, "Enrollment cancelled"));
+        }
+
+        // Paid enrollments are refunded within the refund window
+        let refund = null;
+        let message = "Successfully withdrawn from course";
+        if (enrollment.payment?.status === 'paid') {
+            const eligibility = checkRefundEligibility(enrollment);
+            if (eligibility.eligible) {
+                const stripeRefund = await refundEnrollment(enrollment, enrollment.courseId);
+                refund = { refundId: stripeRefund.id, amount: enrollment.payment.amount, currency: enrollment.payment.currency };
+                message = `Successfully withdrawn from course. ${enrollment.payment.amount.toFixed(2)} ${enrollment.payment.currency.toUpperCase()} will be refunded`;
+            } else {
+                message = `Successfully withdrawn from course. No refund: ${eligibility.reason}`;
+            }
+        }
+
         // Update enrollment status
         enrollment.status = 'withdrawn';
         await enrollment.save();
@@ -470,13 +592,21 @@ const withdrawFromCourse = asyncHandler(async (req, res) => {
         // Decrease course enrollment count
         await Course.findByIdAndUpdate(enrollment.courseId._id, { $inc: { currentEnrollments: -1 } });
 
+        // The seat goes to the next student on the cohort's waitlist
+        if (enrollment.cohort) await releaseSeat(enrollment.cohort, req.app.get('io'));
+
         return res.json(
             successResponse(
-                { enrollment },
-                "Successfully withdrawn from course"
+                { enrollment, refund },
+                message
             )
         );
-    } catch (error) {throw internalServer("Failed to withdraw from course");
+    } catch (error) {
+        console.error("Withdraw enrollment error:", error);
+        if (error.type?.startsWith('Stripe')) {
+            return res.json(badRequestResponse(`Refund failed, you are still enrolled: ${error.message}`));
+        }
+        throw internalServer("Failed to withdraw from course");
     }
 });
 
@@ -522,6 +652,7 @@ const debugEnrollments = asyncHandler(async (req, res) => {
 
 export {
     createEnrollment,
+    confirmEnrollmentPayment,
     getUserEnrollments,
     getEnrollmentById,
     updateEnrollmentStatus,
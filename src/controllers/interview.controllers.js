@@ -0,0 +1,616 @@
+/**
+ * INTERVIEW CONTROLLERS
+ *
+ * Employers propose interview time slots to a candidate for one of their jobs.
+ * The other party accepts one slot (booking the interview) or the student
+ * declines. Either side can reschedule (propose new slots) or cancel.
+ * Every booking, reschedule and cancellation sends an RFC 5545 .ics invite
+ * by email and a real-time notification.
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Job, Student, Employer, Application, Interview, User } from "../models/index.js";
+import { APPLICATION_STAGE_TRANSITIONS } from "../models/contents/application.models.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse
+} from "../utils/ApiResponse.js";
+import { buildIcsEvent } from "../utils/ics.js";
+import { sendInterviewEmail } from "../services/email.service.js";
+import { createInterviewNotification, sendRealTimeNotification } from "../services/notification.service.js";
+
+const MAX_PROPOSED_SLOTS = 5;
+const MAX_SLOT_HOURS = 8;
+
+// ===== HELPERS =====
+
+// Validate and normalize proposed slots from the request body
+const parseSlots = (slots) => {
+    if (!Array.isArray(slots) || slots.length === 0) {
+        return { error: "At least one time slot is required" };
+    }
+    if (slots.length > MAX_PROPOSED_SLOTS) {
+        return { error: `You can propose at most ${MAX_PROPOSED_SLOTS} time slots` };
+    }
+
+    const now = new Date();
+    const parsed = [];
+    for (const slot of slots) {
+        const start = new Date(slot?.start);
+        const end = new Date(slot?.end);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return { error: "Each slot needs a valid start and end date" };
+        }
+        if (start <= now) {
+            return { error: "Time slots must be in the future" };
+        }
+        if (end <= start) {
+            return { error: "Slot end time must be after its start time" };
+        }
+        if (end - start > MAX_SLOT_HOURS * 60 * 60 * 1000) {
+            return { error: `A slot cannot be longer than ${MAX_SLOT_HOURS} hours` };
+        }
+        parsed.push({ start, end });
+    }
+
+    return { slots: parsed.sort((a, b) => a.start - b.start) };
+};
+
+const isHttpUrl = (value) => {
+    try {
+        return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Interviews are only proposed to candidates who applied and are still in the running
+const canInterview = (application) =>
+    application.stage === "interview" || (APPLICATION_STAGE_TRANSITIONS[application.stage] || []).includes("interview");
+
+// Which side of the interview the user is on, or null if not a participant
+const getParticipantRole = (interview, userId) => {
+    const id = userId.toString();
+    if (interview.employerUser.toString() === id) return "employer";
+    if (interview.candidateUser.toString() === id) return "student";
+    return null;
+};
+
+const formatSlot = (slot) => `${new Date(slot.start).toUTCString()} - ${new Date(slot.end).toUTCString()}`;
+
+// Email both participants an .ics invite (REQUEST) or cancellation (CANCEL)
+const sendCalendarEmails = async (interview, method, heading) => {
+    try {
+        const [employerUser, candidateUser, job] = await Promise.all([
+            User.findById(interview.employerUser).select("fullName email"),
+            User.findById(interview.candidateUser).select("fullName email"),
+            Job.findById(interview.job).select("jobTitle")
+        ]);
+
+        if (!employerUser || !candidateUser) {
+            console.warn(`Interview ${interview._id}: participant not found, skipping calendar emails`);
+            return;
+        }
+
+        const slot = interview.scheduledSlot;
+        const where = interview.mode === "online" ? interview.meetingLink : interview.location;
+        const icsContent = buildIcsEvent({
+            uid: interview.icsUid,
+            sequence: interview.sequence,
+            method,
+            start: slot.start,
+            end: slot.end,
+            summary: interview.title,
+            description: [
+                `Interview for ${job?.jobTitle || "a position"} on Talent Bridge`,
+                interview.notes
+            ].filter(Boolean).join("\n\n"),
+            location: where,
+            url: interview.mode === "online" ? interview.meetingLink : undefined,
+            organizer: { name: employerUser.fullName, email: employerUser.email },
+            attendees: [{ name: candidateUser.fullName, email: candidateUser.email }]
+        });
+
+        const details = [
+            { label: "Position", value: job?.jobTitle || "N/A" },
+            { label: "When", value: formatSlot(slot) },
+            { label: "Mode", value: interview.mode },
+        ];
+        if (interview.mode === "online" && where) {
+            details.push({ label: "Meeting link", value: where, href: where });
+        } else if (where) {
+            details.push({ label: "Location", value: where });
+        }
+        if (interview.notes) details.push({ label: "Notes", value: interview.notes });
+
+        const subject = method === "CANCEL"
+            ? `Interview cancelled: ${interview.title}`
+            : `Interview confirmed: ${interview.title}`;
+
+        await Promise.all([employerUser, candidateUser].map(user => sendInterviewEmail({
+            email: user.email,
+            name: user.fullName,
+            subject,
+            heading,
+            details,
+            icsContent,
+            method
+        })));
+    } catch (error) {
+        console.error(`Failed to send interview calendar emails for ${interview._id}:`, error.message);
+    }
+};
+
+// Create and push an interview notification to one participant
+const notifyParticipant = async (req, recipientId, title, message, interview, isNewBooking) => {
+    try {
+        const notification = await createInterviewNotification(recipientId, title, message, interview._id, isNewBooking);
+        sendRealTimeNotification(req.app.get("io"), recipientId, notification);
+    } catch (error) {
+        console.error("Failed to send interview notification:", error.message);
+    }
+};
+
+// ===============================
+// PROPOSE INTERVIEW (EMPLOYER)
+// ===============================
+const proposeInterview = asyncHandler(async (req, res) => {
+    try {
+        const { jobId, studentId, slots, mode = "online", location, meetingLink, notes, title } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(jobId) || !mongoose.Types.ObjectId.isValid(studentId)) {
+            return res.json(badRequestResponse("Valid jobId and studentId are required"));
+        }
+
+        if (!["online", "onsite", "phone"].includes(mode)) {
+            return res.json(badRequestResponse("Mode must be one of: online, onsite, phone"));
+        }
+        if (mode === "online" && !meetingLink) {
+            return res.json(badRequestResponse("A meeting link is required for online interviews"));
+        }
+        if (meetingLink && !isHttpUrl(String(meetingLink).trim())) {
+            return res.json(badRequestResponse("The meeting link must be an http(s) URL"));
+        }
+        if (mode === "onsite" && !location) {
+            return res.json(badRequestResponse("A location is required for onsite interviews"));
+        }
+
+        const { slots: proposedSlots, error: slotError } = parseSlots(slots);
+        if (slotError) {
+            return res.json(badRequestResponse(slotError));
+        }
+
+        const employer = await Employer.findOne({ userId: req.user._id });
+        if (!employer) {
+            return res.json(notFoundResponse("Employer profile not found"));
+        }
+
+        const job = await Job.findById(jobId);
+        if (!job) {
+            return res.json(notFoundResponse("Job not found"));
+        }
+        if (job.postedBy.toString() !== employer._id.toString()) {
+            return res.json(forbiddenResponse("You can only schedule interviews for your own job posts"));
+        }
+
+        const student = await Student.findById(studentId).select("userId firstName lastName");
+        if (!student) {
+            return res.json(notFoundResponse("Student not found"));
+        }
+
+        const application = await Application.findOne({ job: job._id, student: student._id });
+        if (!application) {
+            return res.json(badRequestResponse("This student has not applied to this job"));
+        }
+        if (!canInterview(application)) {
+            return res.json(badRequestResponse(`An application that is ${application.stage} cannot be moved to interview`));
+        }
+
+        const openInterview = await Interview.findOne({
+            job: job._id,
+            student: student._id,
+            status: { $in: ["proposed", "scheduled"] }
+        });
+        if (openInterview) {
+            return res.json(badRequestResponse("An interview is already open with this candidate for this job. Reschedule it instead."));
+        }
+
+        const interview = await Interview.create({
+            job: job._id,
+            application: application._id,
+            employer: employer._id,
+            employerUser: req.user._id,
+            student: student._id,
+            candidateUser: student.userId,
+            title: title?.trim() || `Interview: ${job.jobTitle} at ${employer.name}`,
+            mode,
+            location: location?.trim(),
+            meetingLink: meetingLink?.trim(),
+            notes: notes?.trim(),
+            proposedSlots,
+            proposedBy: "employer",
+            icsUid: `${crypto.randomUUID()}@talentbridge`,
+            history: [{ action: "proposed", by: req.user._id }]
+        });
+
+        if (application.stage !== "interview") {
+            application.stageHistory.push({
+                from: application.stage,
+                to: "interview",
+                note: "Interview proposed",
+                changedBy: req.user._id
+            });
+            application.stage = "interview";
+            await application.save();
+        }
+
+        await notifyParticipant(
+            req,
+            student.userId,
+            "Interview Invitation",
+            `${employer.name} invited you to interview for ${job.jobTitle}. Pick one of ${proposedSlots.length} proposed time slot(s).`,
+            interview,
+            true
+        );
+
+        return res.json(createdResponse(interview, "Interview proposed successfully"));
+    } catch (error) {
+        console.error("Error proposing interview:", error);
+        throw internalServer("Failed to propose interview");
+    }
+});
+
+// ===============================
+// GET MY INTERVIEWS (EMPLOYER OR STUDENT)
+// ===============================
+const getMyInterviews = asyncHandler(async (req, res) => {
+    try {
+        const { status, upcoming, page = 1, limit = 20 } = req.query;
+
+        const filter = req.user.role === "employer"
+            ? { employerUser: req.user._id }
+            : { candidateUser: req.user._id };
+        if (status) filter.status = status;
+        if (upcoming === "true") filter["scheduledSlot.start"] = { $gte: new Date() };
+
+        const pageNum = Math.max(1, parseInt(page));
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+
+        const [interviews, total] = await Promise.all([
+            Interview.find(filter)
+                .populate("job", "jobTitle location employmentType")
+                .populate("employer", "name")
+                .populate("student", "firstName lastName")
+                .select("-history")
+                .sort({ "scheduledSlot.start": 1, createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            Interview.countDocuments(filter)
+        ]);
+
+        return res.json(successResponse({
+            interviews,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Interviews retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching interviews:", error);
+        throw internalServer("Failed to fetch interviews");
+    }
+});
+
+// ===============================
+// GET INTERVIEW BY ID
+// ===============================
+const getInterviewById = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid interview ID format"));
+        }
+
+        const interview = await Interview.findById(id)
+            .populate("job", "jobTitle location employmentType")
+            .populate("employer", "name")
+            .populate("student", "firstName lastName");
+        if (!interview) {
+            return res.json(notFoundResponse("Interview not found"));
+        }
+        if (!getParticipantRole(interview, req.user._id)) {
+            return res.json(forbiddenResponse("You are not a participant of this interview"));
+        }
+
+        return res.json(successResponse(interview, "Interview retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching interview:", error);
+        throw internalServer("Failed to fetch interview");
+    }
+});
+
+// ===============================
+// ACCEPT A PROPOSED SLOT
+// ===============================
+const acceptInterview = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { slotId } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid interview ID format"));
+        }
+
+        const interview = await Interview.findById(id);
+        if (!interview) {
+            return res.json(notFoundResponse("Interview not found"));
+        }
+
+        const role = getParticipantRole(interview, req.user._id);
+        if (!role) {
+            return res.json(forbiddenResponse("You are not a participant of this interview"));
+        }
+        if (interview.status !== "proposed") {
+            return res.json(badRequestResponse(`Cannot accept an interview that is ${interview.status}`));
+        }
+        if (role === interview.proposedBy) {
+            return res.json(forbiddenResponse("The other participant must accept the slots you proposed"));
+        }
+
+        const slot = interview.proposedSlots.id(slotId);
+        if (!slot) {
+            return res.json(badRequestResponse("slotId must be one of the proposed slots"));
+        }
+        if (slot.start <= new Date()) {
+            return res.json(badRequestResponse("This slot is in the past. Ask for a reschedule instead."));
+        }
+
+        interview.scheduledSlot = { start: slot.start, end: slot.end };
+        interview.status = "scheduled";
+        interview.sequence += 1;
+        interview.history.push({ action: "accepted", by: req.user._id, note: formatSlot(slot) });
+        await interview.save();
+
+        await sendCalendarEmails(interview, "REQUEST", "Your interview has been booked. Add it to your calendar using the attached invite.");
+
+        const otherUser = role === "student" ? interview.employerUser : interview.candidateUser;
+        await notifyParticipant(
+            req,
+            otherUser,
+            "Interview Scheduled",
+            `${interview.title} is booked for ${formatSlot(slot)}.`,
+            interview,
+            true
+        );
+
+        return res.json(successResponse(interview, "Interview scheduled successfully"));
+    } catch (error) {
+        console.error("Error accepting interview:", error);
+        throw internalServer("Failed to accept interview");
+    }
+});
+
+// ===============================
+// DECLINE INTERVIEW (STUDENT)
+// ===============================
+const declineInterview = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid interview ID format"));
+        }
+
+        const interview = await Interview.findById(id);
+        if (!interview) {
+            return res.json(notFoundResponse("Interview not found"));
+        }
+        if (interview.candidateUser.toString() !== req.user._id.toString()) {
+            return res.json(forbiddenResponse("Only the candidate can decline an interview"));
+        }
+        if (interview.status !== "proposed") {
+            return res.json(badRequestResponse(`Cannot decline an interview that is ${interview.status}. Cancel it instead.`));
+        }
+
+        interview.status = "declined";
+        interview.declineReason = reason?.trim();
+        interview.history.push({ action: "declined", by: req.user._id, note: reason?.trim() });
+        await interview.save();
+
+        await notifyParticipant(
+            req,
+            interview.employerUser,
+            "Interview Declined",
+            `The candidate declined ${interview.title}.${reason ? ` Reason: ${reason.trim()}` : ""}`,
+            interview,
+            false
+        );
+
+        return res.json(successResponse(interview, "Interview declined"));
+    } catch (error) {
+        console.error("Error declining interview:", error);
+        throw internalServer("Failed to decline interview");
+    }
+});
+
+// ===============================
+// RESCHEDULE INTERVIEW (EITHER PARTICIPANT)
+// ===============================
+const rescheduleInterview = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { slots, reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid interview ID format"));
+        }
+
+        const { slots: proposedSlots, error: slotError } = parseSlots(slots);
+        if (slotError) {
+            return res.json(badRequestResponse(slotError));
+        }
+
+        const interview = await Interview.findById(id);
+        if (!interview) {
+            return res.json(notFoundResponse("Interview not found"));
+        }
+
+        const role = getParticipantRole(interview, req.user._id);
+        if (!role) {
+            return res.json(forbiddenResponse("You are not a participant of this interview"));
+        }
+        if (!["proposed", "scheduled"].includes(interview.status)) {
+            return res.json(badRequestResponse(`Cannot reschedule an interview that is ${interview.status}`));
+        }
+
+        const wasScheduled = interview.status === "scheduled";
+        if (wasScheduled) {
+            // The booked time no longer holds: cancel it in both calendars
+            interview.sequence += 1;
+            await sendCalendarEmails(interview, "CANCEL", "Your interview is being rescheduled. The previous time has been removed from your calendar; a new invite follows once a new slot is agreed.");
+        }
+
+        interview.proposedSlots = proposedSlots;
+        interview.proposedBy = role;
+        interview.status = "proposed";
+        interview.history.push({ action: "rescheduled", by: req.user._id, note: reason?.trim() });
+        await interview.save();
+
+        const otherUser = role === "student" ? interview.employerUser : interview.candidateUser;
+        await notifyParticipant(
+            req,
+            otherUser,
+            "Interview Reschedule Requested",
+            `New time slots were proposed for ${interview.title}. Please pick one.${reason ? ` Reason: ${reason.trim()}` : ""}`,
+            interview,
+            false
+        );
+
+        return res.json(successResponse(interview, "New interview slots proposed"));
+    } catch (error) {
+        console.error("Error rescheduling interview:", error);
+        throw internalServer("Failed to reschedule interview");
+    }
+});
+
+// ===============================
+// CANCEL INTERVIEW (EITHER PARTICIPANT)
+// ===============================
+const cancelInterview = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid interview ID format"));
+        }
+
+        const interview = await Interview.findById(id);
+        if (!interview) {
+            return res.json(notFoundResponse("Interview not found"));
+        }
+
+        const role = getParticipantRole(interview, req.user._id);
+        if (!role) {
+            return res.json(forbiddenResponse("You are not a participant of this interview"));
+        }
+        if (!["proposed", "scheduled"].includes(interview.status)) {
+            return res.json(badRequestResponse(`Cannot cancel an interview that is ${interview.status}`));
+        }
+
+        const wasScheduled = interview.status === "scheduled";
+        interview.status = "cancelled";
+        interview.cancellationReason = reason?.trim();
+        interview.history.push({ action: "cancelled", by: req.user._id, note: reason?.trim() });
+        if (wasScheduled) interview.sequence += 1;
+        await interview.save();
+
+        if (wasScheduled) {
+            await sendCalendarEmails(interview, "CANCEL", `This interview has been cancelled.${reason ? ` Reason: ${reason.trim()}` : ""}`);
+        }
+
+        const otherUser = role === "student" ? interview.employerUser : interview.candidateUser;
+        await notifyParticipant(
+            req,
+            otherUser,
+            "Interview Cancelled",
+            `${interview.title} has been cancelled.${reason ? ` Reason: ${reason.trim()}` : ""}`,
+            interview,
+            false
+        );
+
+        return res.json(successResponse(interview, "Interview cancelled"));
+    } catch (error) {
+        console.error("Error cancelling interview:", error);
+        throw internalServer("Failed to cancel interview");
+    }
+});
+
+// ===============================
+// DOWNLOAD .ICS FOR A BOOKED INTERVIEW
+// ===============================
+const downloadInterviewIcs = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid interview ID format"));
+        }
+
+        const interview = await Interview.findById(id)
+            .populate("employerUser", "fullName email")
+            .populate("candidateUser", "fullName email");
+        if (!interview) {
+            return res.json(notFoundResponse("Interview not found"));
+        }
+
+        const userId = req.user._id.toString();
+        if (interview.employerUser._id.toString() !== userId && interview.candidateUser._id.toString() !== userId) {
+            return res.json(forbiddenResponse("You are not a participant of this interview"));
+        }
+        if (!interview.scheduledSlot?.start) {
+            return res.json(badRequestResponse("This interview has not been booked yet"));
+        }
+
+        const method = interview.status === "scheduled" ? "REQUEST" : "CANCEL";
+        const icsContent = buildIcsEvent({
+            uid: interview.icsUid,
+            sequence: interview.sequence,
+            method,
+            start: interview.scheduledSlot.start,
+            end: interview.scheduledSlot.end,
+            summary: interview.title,
+            description: interview.notes,
+            location: interview.mode === "online" ? interview.meetingLink : interview.location,
+            organizer: { name: interview.employerUser.fullName, email: interview.employerUser.email },
+            attendees: [{ name: interview.candidateUser.fullName, email: interview.candidateUser.email }]
+        });
+
+        res.setHeader("Content-Type", `text/calendar; charset=utf-8; method=${method}`);
+        res.setHeader("Content-Disposition", `attachment; filename="interview-${interview._id}.ics"`);
+        return res.send(icsContent);
+    } catch (error) {
+        console.error("Error generating interview ics:", error);
+        throw internalServer("Failed to generate calendar file");
+    }
+});
+
+export {
+    proposeInterview,
+    getMyInterviews,
+    getInterviewById,
+    acceptInterview,
+    declineInterview,
+    rescheduleInterview,
+    cancelInterview,
+    downloadInterviewIcs
+};
@@ -0,0 +1,153 @@
+/**
+ * INVOICE CONTROLLERS
+ *
+ * Invoices are issued automatically for every completed subscription payment.
+ * Users list, view and download their own; admins (finance) see all of them.
+ */
+
+import mongoose from "mongoose";
+import { Invoice } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse
+} from "../utils/ApiResponse.js";
+import { emailInvoice, renderInvoicePdf } from "../services/invoice.service.js";
+
+const INVOICE_STATUSES = ["paid", "refunded", "void"];
+
+// ===== HELPERS =====
+
+// Load an invoice the current user may see
+const findAccessibleInvoice = async (user, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { error: badRequestResponse("Invalid invoice ID") };
+    }
+
+    const invoice = await Invoice.findById(id);
+    if (!invoice) {
+        return { error: notFoundResponse("Invoice not found") };
+    }
+    if (user.role !== "admin" && invoice.user.toString() !== user._id.toString()) {
+        return { error: forbiddenResponse("You can only access your own invoices") };
+    }
+    return { invoice };
+};
+
+// ===============================
+// LIST INVOICES
+// ===============================
+const getInvoices = asyncHandler(async (req, res) => {
+    try {
+        const { status, userId, page = 1, limit = 20 } = req.query;
+        const isAdmin = req.user.role === "admin";
+
+        if (status && !INVOICE_STATUSES.includes(status)) {
+            return res.json(badRequestResponse(`Status must be one of: ${INVOICE_STATUSES.join(", ")}`));
+        }
+        if (userId && (!isAdmin || !mongoose.Types.ObjectId.isValid(userId))) {
+            return res.json(badRequestResponse("Filtering by user is only available to admins with a valid user ID"));
+        }
+
+        // Admins see every invoice unless they filter by user
+        const filter = {};
+        if (!isAdmin) filter.user = req.user._id;
+        else if (userId) filter.user = userId;
+        if (status) filter.status = status;
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .sort({ issuedAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .populate("plan", "name displayName")
+                .lean(),
+            Invoice.countDocuments(filter)
+        ]);
+
+        return res.json(successResponse({
+            invoices,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Invoices retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching invoices:", error);
+        throw internalServer("Failed to fetch invoices");
+    }
+});
+
+// ===============================
+// GET INVOICE
+// ===============================
+const getInvoiceById = asyncHandler(async (req, res) => {
+    try {
+        const { invoice, error } = await findAccessibleInvoice(req.user, req.params.id);
+        if (error) return res.json(error);
+
+        await invoice.populate("plan", "name displayName billingCycle");
+
+        return res.json(successResponse({ invoice }, "Invoice retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching invoice:", error);
+        throw internalServer("Failed to fetch invoice");
+    }
+});
+
+// ===============================
+// DOWNLOAD INVOICE PDF
+// ===============================
+const downloadInvoicePdf = asyncHandler(async (req, res) => {
+    try {
+        const { invoice, error } = await findAccessibleInvoice(req.user, req.params.id);
+        if (error) return res.json(error);
+
+        const pdf = await renderInvoicePdf(invoice);
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+        return res.send(pdf);
+    } catch (error) {
+        console.error("Error rendering invoice PDF:", error);
+        throw internalServer("Failed to render invoice");
+    }
+});
+
+// ===============================
+// EMAIL INVOICE AGAIN
+// ===============================
+const resendInvoiceEmail = asyncHandler(async (req, res) => {
+    try {
+        const { invoice, error } = await findAccessibleInvoice(req.user, req.params.id);
+        if (error) return res.json(error);
+
+        const sent = await emailInvoice(invoice);
+        if (!sent) {
+            return res.json(badRequestResponse("The invoice email could not be sent, please try again later"));
+        }
+
+        return res.json(successResponse(
+            { invoiceNumber: invoice.invoiceNumber, emailedAt: invoice.emailedAt },
+            `Invoice sent to ${invoice.billingDetails.email}`
+        ));
+    } catch (error) {
+        console.error("Error emailing invoice:", error);
+        throw internalServer("Failed to email invoice");
+    }
+});
+
+export {
+    getInvoices,
+    getInvoiceById,
+    downloadInvoicePdf,
+    resendInvoiceEmail
+};
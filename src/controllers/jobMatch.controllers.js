@@ -0,0 +1,209 @@
+/**
+ * JOB MATCH CONTROLLERS
+ *
+ * Explains how a student's match score for a job is built: for every skill
+ * the job asks for, the student skill it matched, how it matched and how much
+ * it contributed to the percentage. Employers can explain matches for their
+ * own jobs; students can explain and list their own matches.
+ */
+
+import mongoose from "mongoose";
+import { Job, Student, Employer, Application } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse
+} from "../utils/ApiResponse.js";
+import {
+    DEFAULT_MATCHING_OPTIONS,
+    calculateMatchBreakdown,
+    getStudentSkillProfile
+} from "../utils/matchingUtils.js";
+
+// ===== HELPERS =====
+
+// Resolve the student whose match is explained and check the caller may see it
+const getExplainableStudent = async (req, job, studentId) => {
+    const { role, _id: userId } = req.user;
+
+    if (role === "student") {
+        const student = await Student.findOne({ userId });
+        if (!student) {
+            return { error: notFoundResponse("Student profile not found") };
+        }
+        if (studentId !== "me" && studentId !== student._id.toString()) {
+            return { error: forbiddenResponse("You can only view explanations for your own matches") };
+        }
+        return { student };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+        return { error: badRequestResponse("Invalid student ID") };
+    }
+
+    const student = await Student.findById(studentId);
+    if (!student) {
+        return { error: notFoundResponse("Student not found") };
+    }
+    if (role === "admin") {
+        return { student };
+    }
+
+    const employer = await Employer.findOne({ userId }).select("_id");
+    if (!employer || job.postedBy.toString() !== employer._id.toString()) {
+        return { error: forbiddenResponse("You can only view matches for your own job posts") };
+    }
+
+    // Employers see students who are matched, applied, or have a public profile
+    const isMatched = (job.matchedCandidates || []).some(
+        (match) => match.student.toString() === student._id.toString()
+    );
+    if (!isMatched && !student.isPublic) {
+        const hasApplied = await Application.exists({ job: job._id, student: student._id });
+        if (!hasApplied) {
+            return { error: forbiddenResponse("This student's profile is private") };
+        }
+    }
+
+    return { student };
+};
+
+// ===============================
+// EXPLAIN JOB MATCH
+// ===============================
+const explainJobMatch = asyncHandler(async (req, res) => {
+    try {
+        const { id, studentId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid job ID"));
+        }
+
+        const job = await Job.findById(id).select("jobTitle postedBy skillsRequired matchedCandidates status");
+        if (!job) {
+            return res.json(notFoundResponse("Job not found"));
+        }
+
+        const { student, error } = await getExplainableStudent(req, job, studentId);
+        if (error) return res.json(error);
+
+        const { matchPercentage, requirements } = calculateMatchBreakdown(
+            getStudentSkillProfile(student),
+            job.skillsRequired,
+            DEFAULT_MATCHING_OPTIONS
+        );
+        const storedMatch = (job.matchedCandidates || []).find(
+            (match) => match.student.toString() === student._id.toString()
+        );
+
+        return res.json(successResponse({
+            job: { _id: job._id, jobTitle: job.jobTitle, status: job.status },
+            student: { _id: student._id, firstName: student.firstName, lastName: student.lastName },
+            matchPercentage,
+            // Stored matches are refreshed when skills or the job change, so they can briefly differ
+            storedMatch: storedMatch
+                ? { matchPercentage: storedMatch.matchPercentage, matchedAt: storedMatch.matchedAt }
+                : null,
+            requirements,
+            summary: {
+                matchedSkills: requirements.filter((item) => item.matched).length,
+                totalSkills: requirements.length,
+                missingRequiredSkills: requirements.filter((item) => item.required && !item.matched).map((item) => item.skill),
+                missingNiceToHaveSkills: requirements.filter((item) => !item.required && !item.matched).map((item) => item.skill),
+                skillsBelowRequiredLevel: requirements.filter((item) => item.levelGap > 0).map((item) => item.skill)
+            }
+        }, "Match explanation generated successfully"));
+    } catch (error) {
+        console.error("Error explaining job match:", error);
+        throw internalServer("Failed to explain job match");
+    }
+});
+
+// ===============================
+// GET MY JOB MATCHES (STUDENT)
+// ===============================
+const getMyJobMatches = asyncHandler(async (req, res) => {
+    try {
+        const { minMatch = 0, page = 1, limit = 20 } = req.query;
+
+        const student = await Student.findOne({ userId: req.user._id }).select("_id");
+        if (!student) {
+            return res.json(notFoundResponse("Student profile not found"));
+        }
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+        const minMatchNum = Math.max(0, parseFloat(minMatch) || 0);
+
+        const pipeline = [
+            { $match: { status: "active", isActive: true, "matchedCandidates.student": student._id } },
+            { $unwind: "$matchedCandidates" },
+            {
+                $match: {
+                    "matchedCandidates.student": student._id,
+                    "matchedCandidates.matchPercentage": { $gte: minMatchNum }
+                }
+            },
+            { $sort: { "matchedCandidates.matchPercentage": -1, createdAt: -1 } },
+            {
+                $facet: {
+                    matches: [
+                        { $skip: (pageNum - 1) * limitNum },
+                        { $limit: limitNum },
+                        {
+                            $lookup: {
+                                from: "employers",
+                                localField: "postedBy",
+                                foreignField: "_id",
+                                as: "employer"
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                job: {
+                                    _id: "$_id",
+                                    jobTitle: "$jobTitle",
+                                    location: "$location",
+                                    employmentType: "$employmentType",
+                                    applicationDeadline: "$applicationDeadline",
+                                    employer: {
+                                        _id: { $arrayElemAt: ["$employer._id", 0] },
+                                        name: { $arrayElemAt: ["$employer.name", 0] }
+                                    }
+                                },
+                                matchPercentage: "$matchedCandidates.matchPercentage",
+                                matchedAt: "$matchedCandidates.matchedAt"
+                            }
+                        }
+                    ],
+                    total: [{ $count: "count" }]
+                }
+            }
+        ];
+
+        const [result] = await Job.aggregate(pipeline);
+        const total = result?.total[0]?.count || 0;
+
+        return res.json(successResponse({
+            matches: result?.matches || [],
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Job matches retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching my job matches:", error);
+        throw internalServer("Failed to fetch job matches");
+    }
+});
+
+export {
+    explainJobMatch,
+    getMyJobMatches
+};
@@ -0,0 +1,286 @@
+/**
+ * PAYOUT CONTROLLERS
+ *
+ * Schools follow their earnings from course sales and download their monthly
+ * payout statements. Admins (finance) see every statement, generate them on
+ * demand and mark payouts as settled once the money has been sent.
+ */
+
+import mongoose from "mongoose";
+import { PayoutStatement, TrainingInstitute } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import { PAYOUT_STATUSES, formatPeriod, getPreviousPeriod, getStatementPeriod } from "../utils/payout.js";
+import { getInstituteRevenue } from "../services/coursePayment.service.js";
+import {
+    generateStatements,
+    generateStatementsForPeriod,
+    getStatementEntries,
+    renderStatementCsv,
+    renderStatementPdf
+} from "../services/payout.service.js";
+
+const DOWNLOAD_FORMATS = ["csv", "pdf"];
+
+// ===== HELPERS =====
+
+const findOwnInstitute = (user) => TrainingInstitute.findOne({ userId: user._id }).select("_id name email");
+
+// Load a statement the current user may see
+const findAccessibleStatement = async (user, id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { error: badRequestResponse("Invalid statement ID") };
+    }
+
+    const statement = await PayoutStatement.findById(id).populate("institute", "name email userId");
+    if (!statement) {
+        return { error: notFoundResponse("Payout statement not found") };
+    }
+    if (user.role !== "admin" && statement.institute?.userId?.toString() !== user._id.toString()) {
+        return { error: forbiddenResponse("You can only access your own payout statements") };
+    }
+    return { statement };
+};
+
+// ===============================
+// LIST STATEMENTS
+// ===============================
+const getPayoutStatements = asyncHandler(async (req, res) => {
+    try {
+        const { status, instituteId, page = 1, limit = 12 } = req.query;
+        const isAdmin = req.user.role === "admin";
+
+        if (status && !PAYOUT_STATUSES.includes(status)) {
+            return res.json(badRequestResponse(`Status must be one of: ${PAYOUT_STATUSES.join(", ")}`));
+        }
+        if (instituteId && (!isAdmin || !mongoose.Types.ObjectId.isValid(instituteId))) {
+            return res.json(badRequestResponse("Filtering by institute is only available to admins with a valid institute ID"));
+        }
+
+        // Schools only see their own institute's statements
+        const filter = {};
+        if (!isAdmin) {
+            const institute = await findOwnInstitute(req.user);
+            if (!institute) return res.json(notFoundResponse("Training institute profile not found"));
+            filter.institute = institute._id;
+        } else if (instituteId) {
+            filter.institute = instituteId;
+        }
+        if (status) filter.status = status;
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 12));
+
+        const [statements, total, pendingTotals] = await Promise.all([
+            PayoutStatement.find(filter)
+                .sort({ periodStart: -1, createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .populate("institute", "name email")
+                .lean(),
+            PayoutStatement.countDocuments(filter),
+            PayoutStatement.aggregate([
+                { $match: { ...filter, status: "pending" } },
+                { $group: { _id: "$currency", amount: { $sum: "$netPayable" }, statements: { $sum: 1 } } }
+            ])
+        ]);
+
+        return res.json(successResponse({
+            statements,
+            // Still to be paid out, per currency
+            outstanding: pendingTotals.map(({ _id, amount, statements: count }) => ({
+                currency: _id,
+                amount: Math.round(amount * 100) / 100,
+                statements: count
+            })),
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Payout statements retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching payout statements:", error);
+        throw internalServer("Failed to fetch payout statements");
+    }
+});
+
+// ===============================
+// CURRENT PERIOD EARNINGS
+// ===============================
+const getCurrentEarnings = asyncHandler(async (req, res) => {
+    try {
+        const institute = await findOwnInstitute(req.user);
+        if (!institute) return res.json(notFoundResponse("Training institute profile not found"));
+
+        const period = getStatementPeriod(new Date());
+        const earnings = await getInstituteRevenue(institute._id, { from: period.periodStart, to: period.periodEnd });
+
+        return res.json(successResponse({
+            period: formatPeriod(period.periodStart),
+            periodStart: period.periodStart,
+            periodEnd: period.periodEnd,
+            // Per currency, paid out as separate statements
+            earnings
+        }, "Earnings for the current period retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching current earnings:", error);
+        throw internalServer("Failed to fetch current earnings");
+    }
+});
+
+// ===============================
+// GET STATEMENT
+// ===============================
+const getPayoutStatementById = asyncHandler(async (req, res) => {
+    try {
+        const { statement, error } = await findAccessibleStatement(req.user, req.params.id);
+        if (error) return res.json(error);
+
+        await statement.populate("settledBy", "fullName email");
+
+        return res.json(successResponse({ statement }, "Payout statement retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching payout statement:", error);
+        throw internalServer("Failed to fetch payout statement");
+    }
+});
+
+// ===============================
+// DOWNLOAD STATEMENT (CSV / PDF)
+// ===============================
+const downloadPayoutStatement = asyncHandler(async (req, res) => {
+    try {
+        const format = (req.query.format || "pdf").toLowerCase();
+        if (!DOWNLOAD_FORMATS.includes(format)) {
+            return res.json(badRequestResponse(`Format must be one of: ${DOWNLOAD_FORMATS.join(", ")}`));
+        }
+
+        const { statement, error } = await findAccessibleStatement(req.user, req.params.id);
+        if (error) return res.json(error);
+
+        const entries = await getStatementEntries(statement);
+        const filename = `payout-statement-${formatPeriod(statement.periodStart)}-${statement.currency}.${format}`;
+
+        if (format === "csv") {
+            res.setHeader("Content-Type", "text/csv; charset=utf-8");
+            res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+            return res.send(renderStatementCsv(statement, entries));
+        }
+
+        const pdf = await renderStatementPdf(statement, statement.institute, entries);
+
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        return res.send(pdf);
+    } catch (error) {
+        console.error("Error rendering payout statement:", error);
+        throw internalServer("Failed to render payout statement");
+    }
+});
+
+// ===============================
+// GENERATE STATEMENTS (ADMIN)
+// ===============================
+const generatePayoutStatements = asyncHandler(async (req, res) => {
+    try {
+        const { period: periodName, instituteId } = req.body;
+
+        const period = periodName ? getStatementPeriod(periodName) : getPreviousPeriod();
+        if (!period) {
+            return res.json(badRequestResponse("Period must be a month in the format YYYY-MM"));
+        }
+        if (period.periodEnd > new Date()) {
+            return res.json(badRequestResponse("Statements can only be generated for months that have ended"));
+        }
+
+        if (instituteId) {
+            if (!mongoose.Types.ObjectId.isValid(instituteId)) {
+                return res.json(badRequestResponse("Invalid institute ID"));
+            }
+            if (!(await TrainingInstitute.exists({ _id: instituteId }))) {
+                return res.json(notFoundResponse("Training institute not found"));
+            }
+
+            // One statement per currency the institute sold in
+            const results = await generateStatements(instituteId, period);
+            const updated = results.filter((result) => result.updated).length;
+            let message = "Payout statements generated successfully";
+            if (results.length === 0) message = "The institute has no sales or refunds in this period";
+            else if (updated === 0) message = "Payout statements are already settled and were not changed";
+
+            return res.json(successResponse(
+                { statements: results.map((result) => result.statement), updated },
+                message
+            ));
+        }
+
+        const stats = await generateStatementsForPeriod(period);
+        return res.json(successResponse(stats, `Payout statements for ${stats.period} generated`));
+    } catch (error) {
+        console.error("Error generating payout statements:", error);
+        throw internalServer("Failed to generate payout statements");
+    }
+});
+
+// ===============================
+// SETTLE STATEMENT (ADMIN)
+// ===============================
+const settlePayoutStatement = asyncHandler(async (req, res) => {
+    try {
+        const { reference, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.json(badRequestResponse("Invalid statement ID"));
+        }
+        if (typeof reference !== "string" || !reference.trim() || reference.length > 100) {
+            return res.json(badRequestResponse("A payment reference of up to 100 characters is required"));
+        }
+        if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+            return res.json(badRequestResponse("Note must be text of up to 500 characters"));
+        }
+
+        const statement = await PayoutStatement.findOneAndUpdate(
+            { _id: req.params.id, status: "pending" },
+            {
+                $set: {
+                    status: "settled",
+                    settledAt: new Date(),
+                    settledBy: req.user._id,
+                    settlementReference: reference.trim(),
+                    note: note?.trim()
+                }
+            },
+            { new: true }
+        );
+
+        if (!statement) {
+            const existing = await PayoutStatement.exists({ _id: req.params.id });
+            return res.json(existing
+                ? conflictResponse("This payout statement is already settled")
+                : notFoundResponse("Payout statement not found"));
+        }
+
+        return res.json(successResponse({ statement }, "Payout marked as settled"));
+    } catch (error) {
+        console.error("Error settling payout statement:", error);
+        throw internalServer("Failed to settle payout statement");
+    }
+});
+
+export {
+    getPayoutStatements,
+    getCurrentEarnings,
+    getPayoutStatementById,
+    downloadPayoutStatement,
+    generatePayoutStatements,
+    settlePayoutStatement
+};
@@ -0,0 +1,742 @@
+/**
+ * QUIZ CONTROLLERS
+ *
+ * Schools keep a question bank per course and build quizzes from it, each
+ * attached to a course module with a pass mark, attempt limit and optional
+ * time limit. Enrolled students take published quizzes; attempts are graded
+ * automatically and the best result is kept on their Enrollment.
+ */
+
+import mongoose from "mongoose";
+import { Course, Enrollment, Quiz, QuizAttempt, QuizQuestion, TrainingInstitute } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import {
+    QUESTION_TYPES,
+    isAttemptOverdue,
+    pickQuizQuestions,
+    toStudentQuestion,
+    validateQuestion
+} from "../utils/quizGrading.js";
+import { getCourseLessons } from "../utils/courseProgress.js";
+import { finalizeQuizAttempt, getAttemptQuestions, getOrCreateQuizResult } from "../services/quiz.service.js";
+
+const QUESTION_FIELDS = ["type", "prompt", "options", "correctAnswer", "acceptedAnswers", "points", "explanation"];
+const QUIZ_FIELDS = ["module", "title", "description", "questions", "questionCount", "shuffleQuestions", "timeLimitMinutes", "maxAttempts", "passMark", "skills", "isPublished"];
+
+// ===== HELPERS =====
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Whether the user is the school that owns the course (admins manage every course)
+const canManageCourse = async (user, course) => {
+    if (user.role === "admin") return true;
+    if (user.role !== "school") return false;
+    const school = await TrainingInstitute.findOne({ userId: user._id }).select("_id");
+    return Boolean(school) && course.trainingProvider?.toString() === school._id.toString();
+};
+
+// Load a course the current school owns
+const findManagedCourse = async (user, courseId) => {
+    if (!isValidId(courseId)) {
+        return { error: badRequestResponse("Invalid course ID") };
+    }
+
+    const course = await Course.findById(courseId).select("title trainingProvider modules skills");
+    if (!course) {
+        return { error: notFoundResponse("Course not found") };
+    }
+    if (!(await canManageCourse(user, course))) {
+        return { error: forbiddenResponse("You can only manage quizzes of your own courses") };
+    }
+    return { course };
+};
+
+// Load a quiz whose course the current school owns
+const findManagedQuiz = async (user, quizId) => {
+    if (!isValidId(quizId)) {
+        return { error: badRequestResponse("Invalid quiz ID") };
+    }
+
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+        return { error: notFoundResponse("Quiz not found") };
+    }
+
+    const { course, error } = await findManagedCourse(user, quiz.course);
+    if (error) return { error };
+    return { quiz, course };
+};
+
+// Active enrollment of a student in a course
+const findStudentEnrollment = (userId, courseId) => Enrollment.findOne({
+    courseId,
+    studentId: userId,
+    status: { $in: ["enrolled", "completed"] }
+});
+
+// Validate question fields; `existing` is the question being updated
+const parseQuestionInput = (body, existing = {}) => {
+    const values = {};
+    QUESTION_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) values[field] = body[field];
+    });
+
+    if (values.options !== undefined) {
+        if (!Array.isArray(values.options)) return { error: "options must be an array" };
+        values.options = values.options.map((option) => ({
+            text: typeof option?.text === "string" ? option.text.trim() : option?.text,
+            isCorrect: option?.isCorrect === true
+        }));
+    }
+    if (values.acceptedAnswers !== undefined) {
+        if (!Array.isArray(values.acceptedAnswers)) return { error: "acceptedAnswers must be an array" };
+        values.acceptedAnswers = values.acceptedAnswers.map((answer) => String(answer).trim()).filter(Boolean);
+    }
+    if (values.points !== undefined) values.points = Number(values.points);
+
+    const merged = { ...(existing.toObject ? existing.toObject() : existing), ...values };
+    const questionError = validateQuestion(merged);
+    if (questionError) return { error: questionError };
+
+    // Only keep the answer fields that belong to the question type
+    if (merged.type === "true_false" || merged.type === "short_answer") values.options = [];
+    if (merged.type !== "true_false") values.correctAnswer = undefined;
+    if (merged.type !== "short_answer") values.acceptedAnswers = [];
+
+    return { values };
+};
+
+// Validate quiz fields against the course; `existing` is the quiz being updated
+const parseQuizInput = async (body, course, existing = null) => {
+    const values = {};
+    QUIZ_FIELDS.forEach((field) => {
+        if (body[field] !== undefined) values[field] = body[field];
+    });
+
+    if (values.title !== undefined || !existing) {
+        if (typeof values.title !== "string" || !values.title.trim()) return { error: "Quiz title is required" };
+        values.title = values.title.trim();
+    }
+    if (values.module !== undefined || !existing) {
+        if (!isValidId(values.module) || !course.modules.id(values.module)) {
+            return { error: "module must be a module of this course" };
+        }
+    }
+    if (values.questions !== undefined) {
+        if (!Array.isArray(values.questions) || values.questions.some((id) => !isValidId(id))) {
+            return { error: "questions must be an array of question IDs" };
+        }
+        values.questions = [...new Set(values.questions.map(String))];
+        const found = await QuizQuestion.countDocuments({ _id: { $in: values.questions }, course: course._id });
+        if (found !== values.questions.length) {
+            return { error: "Every question must belong to this course's question bank" };
+        }
+    }
+
+    for (const field of ["questionCount", "timeLimitMinutes"]) {
+        if (values[field] === null || values[field] === "") {
+            values[field] = undefined;
+        } else if (values[field] !== undefined) {
+            if (!Number.isInteger(Number(values[field])) || Number(values[field]) < 1) {
+                return { error: `${field} must be a positive integer` };
+            }
+            values[field] = Number(values[field]);
+        }
+    }
+    if (values.maxAttempts !== undefined) {
+        if (!Number.isInteger(Number(values.maxAttempts)) || Number(values.maxAttempts) < 0) {
+            return { error: "maxAttempts must be 0 (unlimited) or a positive integer" };
+        }
+        values.maxAttempts = Number(values.maxAttempts);
+    }
+    if (values.passMark !== undefined) {
+        const passMark = Number(values.passMark);
+        if (!Number.isFinite(passMark) || passMark < 0 || passMark > 100) {
+            return { error: "passMark must be a percentage between 0 and 100" };
+        }
+        values.passMark = passMark;
+    }
+    if (values.skills !== undefined && !Array.isArray(values.skills)) {
+        return { error: "skills must be an array" };
+    }
+    for (const field of ["shuffleQuestions", "isPublished"]) {
+        if (values[field] !== undefined && typeof values[field] !== "boolean") {
+            return { error: `${field} must be a boolean` };
+        }
+    }
+
+    const questionCount = values.questions ? values.questions.length : existing?.questions.length || 0;
+    const isPublished = values.isPublished ?? existing?.isPublished;
+    if (isPublished && questionCount === 0) {
+        return { error: "Add questions before publishing the quiz" };
+    }
+
+    return { values };
+};
+
+const getAttemptsRemaining = (quiz, attemptsUsed) =>
+    quiz.maxAttempts > 0 ? Math.max(0, quiz.maxAttempts - attemptsUsed) : null;
+
+// Quiz settings as shown to students (no question IDs)
+const formatQuizForStudent = (quiz) => ({
+    _id: quiz._id,
+    course: quiz.course,
+    module: quiz.module,
+    title: quiz.title,
+    description: quiz.description,
+    questionCount: quiz.questionCount && quiz.questionCount < quiz.questions.length ? quiz.questionCount : quiz.questions.length,
+    timeLimitMinutes: quiz.timeLimitMinutes || null,
+    maxAttempts: quiz.maxAttempts,
+    passMark: quiz.passMark
+});
+
+const formatAttempt = (attempt) => ({
+    _id: attempt._id,
+    quiz: attempt.quiz,
+    enrollment: attempt.enrollment,
+    attemptNumber: attempt.attemptNumber,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt || null,
+    submittedAt: attempt.submittedAt || null,
+    ...(attempt.status !== "in_progress" && {
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percentage: attempt.percentage,
+        passMark: attempt.passMark,
+        passed: attempt.passed
+    })
+});
+
+// Submitted answers with the correct answers and explanations, for review after grading
+const formatAttemptReview = (attempt, questions) => {
+    const answerByQuestion = new Map(attempt.answers.map((answer) => [answer.question.toString(), answer]));
+    return questions.map((question) => {
+        const answer = answerByQuestion.get(question._id.toString());
+        return {
+            ...toStudentQuestion(question),
+            selectedOptions: answer?.selectedOptions || [],
+            booleanAnswer: answer?.booleanAnswer ?? null,
+            textAnswer: answer?.textAnswer ?? null,
+            isCorrect: Boolean(answer?.isCorrect),
+            pointsAwarded: answer?.pointsAwarded || 0,
+            correctOptions: question.options.filter((option) => option.isCorrect).map((option) => option._id),
+            correctAnswer: question.correctAnswer ?? null,
+            acceptedAnswers: question.acceptedAnswers,
+            explanation: question.explanation || null
+        };
+    });
+};
+
+// ===============================
+// QUESTION BANK
+// ===============================
+const getQuestionBank = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req.user, req.params.courseId);
+        if (error) return res.json(error);
+
+        const filter = { course: course._id };
+        if (req.query.type) {
+            if (!QUESTION_TYPES.includes(req.query.type)) {
+                return res.json(badRequestResponse(`type must be one of: ${QUESTION_TYPES.join(", ")}`));
+            }
+            filter.type = req.query.type;
+        }
+
+        const questions = await QuizQuestion.find(filter).sort({ createdAt: -1 });
+
+        return res.json(successResponse({
+            courseId: course._id,
+            questions,
+            total: questions.length
+        }, "Question bank retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching question bank:", error);
+        throw internalServer("Failed to fetch question bank");
+    }
+});
+
+const addQuestion = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req.user, req.params.courseId);
+        if (error) return res.json(error);
+
+        const { values, error: inputError } = parseQuestionInput(req.body);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        const question = await QuizQuestion.create({ ...values, course: course._id, createdBy: req.user._id });
+
+        return res.json(createdResponse({ question }, "Question added successfully"));
+    } catch (error) {
+        console.error("Error adding question:", error);
+        throw internalServer("Failed to add question");
+    }
+});
+
+const updateQuestion = asyncHandler(async (req, res) => {
+    try {
+        const { questionId } = req.params;
+        if (!isValidId(questionId)) {
+            return res.json(badRequestResponse("Invalid question ID"));
+        }
+
+        const question = await QuizQuestion.findById(questionId);
+        if (!question) {
+            return res.json(notFoundResponse("Question not found"));
+        }
+
+        const { error } = await findManagedCourse(req.user, question.course);
+        if (error) return res.json(error);
+
+        const { values, error: inputError } = parseQuestionInput(req.body, question);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        // Changes apply to attempts submitted from now on; graded attempts keep their score
+        question.set(values);
+        await question.save();
+
+        return res.json(successResponse({ question }, "Question updated successfully"));
+    } catch (error) {
+        console.error("Error updating question:", error);
+        throw internalServer("Failed to update question");
+    }
+});
+
+const deleteQuestion = asyncHandler(async (req, res) => {
+    try {
+        const { questionId } = req.params;
+        if (!isValidId(questionId)) {
+            return res.json(badRequestResponse("Invalid question ID"));
+        }
+
+        const question = await QuizQuestion.findById(questionId);
+        if (!question) {
+            return res.json(notFoundResponse("Question not found"));
+        }
+
+        const { error } = await findManagedCourse(req.user, question.course);
+        if (error) return res.json(error);
+
+        const inPublishedQuiz = await Quiz.exists({
+            course: question.course,
+            isPublished: true,
+            questions: { $size: 1, $all: [question._id] }
+        });
+        if (inPublishedQuiz) {
+            return res.json(badRequestResponse("This is the only question of a published quiz; unpublish the quiz first"));
+        }
+
+        await question.deleteOne();
+        const { modifiedCount } = await Quiz.updateMany(
+            { course: question.course, questions: question._id },
+            { $pull: { questions: question._id } }
+        );
+
+        return res.json(successResponse(
+            { questionId: question._id, removedFromQuizzes: modifiedCount },
+            "Question deleted successfully"
+        ));
+    } catch (error) {
+        console.error("Error deleting question:", error);
+        throw internalServer("Failed to delete question");
+    }
+});
+
+// ===============================
+// QUIZZES
+// ===============================
+const getCourseQuizzes = asyncHandler(async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        if (!isValidId(courseId)) {
+            return res.json(badRequestResponse("Invalid course ID"));
+        }
+
+        const course = await Course.findById(courseId).select("title trainingProvider");
+        if (!course) {
+            return res.json(notFoundResponse("Course not found"));
+        }
+
+        if (await canManageCourse(req.user, course)) {
+            const quizzes = await Quiz.find({ course: course._id }).sort({ createdAt: 1 });
+            return res.json(successResponse({ courseId: course._id, quizzes }, "Quizzes retrieved successfully"));
+        }
+
+        const enrollment = req.user.role === "student"
+            ? await findStudentEnrollment(req.user._id, course._id)
+            : null;
+        if (!enrollment) {
+            return res.json(forbiddenResponse("Only students enrolled in this course can view its quizzes"));
+        }
+
+        const quizzes = await Quiz.find({ course: course._id, isPublished: true }).sort({ createdAt: 1 });
+        const resultByQuiz = new Map(enrollment.quizResults.map((result) => [result.quiz.toString(), result]));
+
+        return res.json(successResponse({
+            courseId: course._id,
+            enrollmentId: enrollment._id,
+            quizzes: quizzes.map((quiz) => {
+                const result = resultByQuiz.get(quiz._id.toString());
+                return {
+                    ...formatQuizForStudent(quiz),
+                    attemptsUsed: result?.attempts || 0,
+                    attemptsRemaining: getAttemptsRemaining(quiz, result?.attempts || 0),
+                    bestPercentage: result?.bestPercentage ?? null,
+                    passed: Boolean(result?.passed)
+                };
+            })
+        }, "Quizzes retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching course quizzes:", error);
+        throw internalServer("Failed to fetch quizzes");
+    }
+});
+
+const createQuiz = asyncHandler(async (req, res) => {
+    try {
+        const { course, error } = await findManagedCourse(req.user, req.params.courseId);
+        if (error) return res.json(error);
+
+        const { values, error: inputError } = await parseQuizInput(req.body, course);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        const quiz = await Quiz.create({ ...values, course: course._id, createdBy: req.user._id });
+
+        return res.json(createdResponse({ quiz }, "Quiz created successfully"));
+    } catch (error) {
+        console.error("Error creating quiz:", error);
+        throw internalServer("Failed to create quiz");
+    }
+});
+
+const getQuizById = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.json(badRequestResponse("Invalid quiz ID"));
+        }
+
+        const quiz = await Quiz.findById(id);
+        if (!quiz) {
+            return res.json(notFoundResponse("Quiz not found"));
+        }
+
+        const course = await Course.findById(quiz.course).select("title trainingProvider");
+        if (course && await canManageCourse(req.user, course)) {
+            await quiz.populate("questions");
+            return res.json(successResponse({ quiz }, "Quiz retrieved successfully"));
+        }
+
+        const enrollment = req.user.role === "student" && quiz.isPublished
+            ? await findStudentEnrollment(req.user._id, quiz.course)
+            : null;
+        if (!enrollment) {
+            return res.json(notFoundResponse("Quiz not found"));
+        }
+
+        const result = enrollment.quizResults.find((item) => item.quiz.toString() === quiz._id.toString());
+        const inProgress = await QuizAttempt.findOne({ quiz: quiz._id, enrollment: enrollment._id, status: "in_progress" })
+            .select("_id expiresAt");
+
+        return res.json(successResponse({
+            quiz: formatQuizForStudent(quiz),
+            enrollmentId: enrollment._id,
+            attemptsUsed: result?.attempts || 0,
+            attemptsRemaining: getAttemptsRemaining(quiz, result?.attempts || 0),
+            bestPercentage: result?.bestPercentage ?? null,
+            passed: Boolean(result?.passed),
+            inProgressAttempt: inProgress && !isAttemptOverdue(inProgress) ? inProgress._id : null
+        }, "Quiz retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching quiz:", error);
+        throw internalServer("Failed to fetch quiz");
+    }
+});
+
+const updateQuiz = asyncHandler(async (req, res) => {
+    try {
+        const { quiz, course, error } = await findManagedQuiz(req.user, req.params.id);
+        if (error) return res.json(error);
+
+        const { values, error: inputError } = await parseQuizInput(req.body, course, quiz);
+        if (inputError) return res.json(badRequestResponse(inputError));
+
+        // Attempts already started keep the questions and pass mark they were given
+        quiz.set(values);
+        await quiz.save();
+
+        return res.json(successResponse({ quiz }, "Quiz updated successfully"));
+    } catch (error) {
+        console.error("Error updating quiz:", error);
+        throw internalServer("Failed to update quiz");
+    }
+});
+
+const deleteQuiz = asyncHandler(async (req, res) => {
+    try {
+        const { quiz, course, error } = await findManagedQuiz(req.user, req.params.id);
+        if (error) return res.json(error);
+
+        const usedByLesson = getCourseLessons(course).some(({ lesson }) => String(lesson.quiz) === quiz._id.toString());
+        if (usedByLesson) {
+            return res.json(badRequestResponse("This quiz is used by a course lesson; remove the lesson first"));
+        }
+
+        const hasAttempts = await QuizAttempt.exists({ quiz: quiz._id });
+        if (hasAttempts) {
+            return res.json(badRequestResponse("Students have already attempted this quiz; unpublish it instead"));
+        }
+
+        await quiz.deleteOne();
+
+        return res.json(successResponse({ quizId: quiz._id }, "Quiz deleted successfully"));
+    } catch (error) {
+        console.error("Error deleting quiz:", error);
+        throw internalServer("Failed to delete quiz");
+    }
+});
+
+// ===============================
+// ATTEMPTS (STUDENT)
+// ===============================
+const startQuizAttempt = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.json(badRequestResponse("Invalid quiz ID"));
+        }
+
+        const quiz = await Quiz.findById(id);
+        if (!quiz || !quiz.isPublished) {
+            return res.json(notFoundResponse("Quiz not found"));
+        }
+
+        const enrollment = await findStudentEnrollment(req.user._id, quiz.course);
+        if (!enrollment) {
+            return res.json(forbiddenResponse("You must be enrolled in this course to take its quizzes"));
+        }
+
+        // Resume the open attempt; one that ran out of time is closed first
+        const open = await QuizAttempt.findOne({ quiz: quiz._id, enrollment: enrollment._id, status: "in_progress" });
+        if (open && !isAttemptOverdue(open)) {
+            const questions = await getAttemptQuestions(open);
+            return res.json(successResponse({
+                attempt: formatAttempt(open),
+                quiz: formatQuizForStudent(quiz),
+                questions: questions.map(toStudentQuestion),
+                resumed: true
+            }, "Quiz attempt resumed"));
+        }
+        if (open) {
+            await finalizeQuizAttempt(open, quiz, enrollment, [], req.app.get("io"));
+        }
+
+        const attemptsUsed = await QuizAttempt.countDocuments({ quiz: quiz._id, enrollment: enrollment._id });
+        if (quiz.maxAttempts > 0 && attemptsUsed >= quiz.maxAttempts) {
+            return res.json(badRequestResponse(`You have used all ${quiz.maxAttempts} attempt(s) for this quiz`));
+        }
+
+        const questionIds = pickQuizQuestions(quiz.questions, {
+            questionCount: quiz.questionCount,
+            shuffle: quiz.shuffleQuestions
+        });
+        if (questionIds.length === 0) {
+            return res.json(badRequestResponse("This quiz has no questions yet"));
+        }
+
+        const startedAt = new Date();
+        let attempt;
+        try {
+            attempt = await QuizAttempt.create({
+                quiz: quiz._id,
+                course: quiz.course,
+                enrollment: enrollment._id,
+                student: req.user._id,
+                attemptNumber: attemptsUsed + 1,
+                questions: questionIds,
+                startedAt,
+                expiresAt: quiz.timeLimitMinutes
+                    ? new Date(startedAt.getTime() + quiz.timeLimitMinutes * 60 * 1000)
+                    : undefined
+            });
+        } catch (error) {
+            // Two start requests at once would both get the same attempt number
+            if (error.code === 11000) {
+                return res.json(conflictResponse("An attempt for this quiz is already being started"));
+            }
+            throw error;
+        }
+
+        const result = getOrCreateQuizResult(enrollment, quiz._id);
+        result.attempts = attempt.attemptNumber;
+        result.lastAttemptAt = startedAt;
+        await enrollment.save();
+
+        const questions = await getAttemptQuestions(attempt);
+
+        return res.json(createdResponse({
+            attempt: formatAttempt(attempt),
+            quiz: formatQuizForStudent(quiz),
+            questions: questions.map(toStudentQuestion),
+            attemptsRemaining: getAttemptsRemaining(quiz, attempt.attemptNumber)
+        }, "Quiz attempt started"));
+    } catch (error) {
+        console.error("Error starting quiz attempt:", error);
+        throw internalServer("Failed to start quiz attempt");
+    }
+});
+
+const submitQuizAttempt = asyncHandler(async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const { answers = [] } = req.body;
+
+        if (!isValidId(attemptId)) {
+            return res.json(badRequestResponse("Invalid attempt ID"));
+        }
+        if (!Array.isArray(answers)) {
+            return res.json(badRequestResponse("answers must be an array of { question, answer }"));
+        }
+
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            return res.json(notFoundResponse("Attempt not found"));
+        }
+        if (attempt.student.toString() !== req.user._id.toString()) {
+            return res.json(forbiddenResponse("You can only submit your own attempts"));
+        }
+        if (attempt.status !== "in_progress") {
+            return res.json(badRequestResponse("This attempt has already been submitted"));
+        }
+
+        const [quiz, enrollment] = await Promise.all([
+            Quiz.findById(attempt.quiz),
+            Enrollment.findById(attempt.enrollment)
+        ]);
+        if (!quiz || !enrollment) {
+            return res.json(notFoundResponse("Quiz or enrollment not found"));
+        }
+
+        const { questions, result, passedNow, completedCourse } = await finalizeQuizAttempt(
+            attempt, quiz, enrollment, answers, req.app.get("io")
+        );
+
+        let message = attempt.passed ? "Quiz passed" : "Quiz submitted";
+        if (attempt.status === "expired") message = "The time limit had passed; the attempt was closed without a score";
+        if (completedCourse) message = "Quiz passed. Course completed!";
+
+        return res.json(successResponse({
+            attempt: formatAttempt(attempt),
+            review: formatAttemptReview(attempt, questions),
+            bestPercentage: result.bestPercentage,
+            passedQuiz: result.passed,
+            passedNow,
+            completedCourse,
+            attemptsRemaining: getAttemptsRemaining(quiz, result.attempts)
+        }, message));
+    } catch (error) {
+        console.error("Error submitting quiz attempt:", error);
+        throw internalServer("Failed to submit quiz attempt");
+    }
+});
+
+// ===============================
+// ATTEMPT HISTORY
+// ===============================
+const getQuizAttempts = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidId(id)) {
+            return res.json(badRequestResponse("Invalid quiz ID"));
+        }
+
+        const quiz = await Quiz.findById(id).select("course title");
+        if (!quiz) {
+            return res.json(notFoundResponse("Quiz not found"));
+        }
+
+        const filter = { quiz: quiz._id };
+        const course = await Course.findById(quiz.course).select("trainingProvider");
+        const isManager = course && await canManageCourse(req.user, course);
+        if (!isManager) {
+            filter.student = req.user._id;
+        } else if (req.query.studentId) {
+            if (!isValidId(req.query.studentId)) {
+                return res.json(badRequestResponse("Invalid student ID"));
+            }
+            filter.student = req.query.studentId;
+        }
+
+        const query = QuizAttempt.find(filter).select("-answers -questions").sort({ createdAt: -1 });
+        if (isManager) query.populate("student", "fullName email");
+        const attempts = await query;
+
+        return res.json(successResponse({
+            quiz: { _id: quiz._id, title: quiz.title },
+            attempts
+        }, "Quiz attempts retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching quiz attempts:", error);
+        throw internalServer("Failed to fetch quiz attempts");
+    }
+});
+
+const getQuizAttemptById = asyncHandler(async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        if (!isValidId(attemptId)) {
+            return res.json(badRequestResponse("Invalid attempt ID"));
+        }
+
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            return res.json(notFoundResponse("Attempt not found"));
+        }
+
+        if (attempt.student.toString() !== req.user._id.toString()) {
+            const course = await Course.findById(attempt.course).select("trainingProvider");
+            if (!course || !(await canManageCourse(req.user, course))) {
+                return res.json(forbiddenResponse("Access denied"));
+            }
+        }
+
+        const questions = await getAttemptQuestions(attempt);
+
+        // Answers are only revealed once the attempt is closed
+        return res.json(successResponse({
+            attempt: formatAttempt(attempt),
+            ...(attempt.status === "in_progress"
+                ? { questions: questions.map(toStudentQuestion) }
+                : { review: formatAttemptReview(attempt, questions) })
+        }, "Quiz attempt retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching quiz attempt:", error);
+        throw internalServer("Failed to fetch quiz attempt");
+    }
+});
+
+export {
+    getQuestionBank,
+    addQuestion,
+    updateQuestion,
+    deleteQuestion,
+    getCourseQuizzes,
+    createQuiz,
+    getQuizById,
+    updateQuiz,
+    deleteQuiz,
+    startQuizAttempt,
+    submitQuizAttempt,
+    getQuizAttempts,
+    getQuizAttemptById
+};
@@ -0,0 +1,402 @@
+/**
+ * REVIEW CONTROLLERS
+ *
+ * Students who completed a course (or got far enough into it) rate and
+ * review it. The course's school can answer each review with one public
+ * reply; anyone signed in can report a review, and admins decide whether
+ * reported reviews stay visible.
+ */
+
+import mongoose from "mongoose";
+import { Course, Enrollment, Review } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    forbiddenResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import {
+    MODERATION_ACTIONS,
+    REPORT_REASONS,
+    checkReviewEligibility,
+    isValidRating
+} from "../utils/review.js";
+import {
+    getCourseRatingSummary,
+    notifyReviewerOfReply,
+    notifySchoolOfReview,
+    refreshRatings
+} from "../services/review.service.js";
+
+const REVIEW_SORTS = {
+    newest: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 }
+};
+
+// ===== HELPERS =====
+
+const isText = (value, maxLength) => typeof value === "string" && value.trim().length <= maxLength;
+
+// Validate the rating, title and comment of a new or edited review
+const parseReviewInput = (body, partial = false) => {
+    const fields = {};
+
+    if (body.rating !== undefined || !partial) {
+        if (!isValidRating(body.rating)) {
+            return { error: badRequestResponse("Rating must be a whole number from 1 to 5") };
+        }
+        fields.rating = body.rating;
+    }
+    if (body.title !== undefined) {
+        if (!isText(body.title, 100)) return { error: badRequestResponse("Title must be text of up to 100 characters") };
+        fields.title = body.title.trim();
+    }
+    if (body.comment !== undefined) {
+        if (!isText(body.comment, 2000)) return { error: badRequestResponse("Comment must be text of up to 2000 characters") };
+        fields.comment = body.comment.trim();
+    }
+
+    if (partial && Object.keys(fields).length === 0) {
+        return { error: badRequestResponse("Nothing to update: provide a rating, title or comment") };
+    }
+    return { fields };
+};
+
+const findReview = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { error: badRequestResponse("Invalid review ID") };
+    }
+    const review = await Review.findById(id);
+    if (!review) {
+        return { error: notFoundResponse("Review not found") };
+    }
+    return { review };
+};
+
+const isAuthor = (review, user) => review.student.toString() === user._id.toString();
+
+// ===============================
+// LIST COURSE REVIEWS
+// ===============================
+const getCourseReviews = asyncHandler(async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        const { sort = "newest", rating, page = 1, limit = 10 } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(courseId)) {
+            return res.json(badRequestResponse("Invalid course ID"));
+        }
+        if (!REVIEW_SORTS[sort]) {
+            return res.json(badRequestResponse(`Sort must be one of: ${Object.keys(REVIEW_SORTS).join(", ")}`));
+        }
+        if (rating !== undefined && !isValidRating(Number(rating))) {
+            return res.json(badRequestResponse("Rating filter must be a whole number from 1 to 5"));
+        }
+        if (!(await Course.exists({ _id: courseId }))) {
+            return res.json(notFoundResponse("Course not found"));
+        }
+
+        const filter = { course: courseId, status: "published" };
+        if (rating !== undefined) filter.rating = Number(rating);
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+
+        const [reviews, total, summary, myReview] = await Promise.all([
+            Review.find(filter)
+                .sort(REVIEW_SORTS[sort])
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select("-reports -moderation -flagged")
+                .populate("student", "fullName")
+                .lean(),
+            Review.countDocuments(filter),
+            getCourseRatingSummary(courseId),
+            // Students also get their own review, even while it is hidden
+            req.user.role === "student"
+                ? Review.findOne({ course: courseId, student: req.user._id }).select("-reports").lean()
+                : null
+        ]);
+
+        return res.json(successResponse({
+            summary,
+            reviews,
+            myReview,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Reviews retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching reviews:", error);
+        throw internalServer("Failed to fetch reviews");
+    }
+});
+
+// ===============================
+// CREATE REVIEW
+// ===============================
+const createReview = asyncHandler(async (req, res) => {
+    try {
+        const { courseId } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(courseId)) {
+            return res.json(badRequestResponse("Invalid course ID"));
+        }
+
+        const { fields, error } = parseReviewInput(req.body);
+        if (error) return res.json(error);
+
+        const course = await Course.findById(courseId).populate("trainingProvider", "name userId");
+        if (!course) {
+            return res.json(notFoundResponse("Course not found"));
+        }
+
+        // A completed enrollment wins over an ongoing one
+        const enrollments = await Enrollment.find({
+            studentId: req.user._id,
+            courseId,
+            status: { $in: ["enrolled", "completed"] }
+        }).select("status progressPercentage");
+        const enrollment = enrollments.find(entry => entry.status === "completed") || enrollments[0];
+
+        const eligibility = checkReviewEligibility(enrollment);
+        if (!eligibility.eligible) {
+            return res.json(forbiddenResponse(eligibility.reason));
+        }
+
+        if (await Review.exists({ course: courseId, student: req.user._id })) {
+            return res.json(conflictResponse("You have already reviewed this course; edit your review instead"));
+        }
+
+        let review;
+        try {
+            review = await Review.create({
+                ...fields,
+                course: course._id,
+                institute: course.trainingProvider?._id,
+                student: req.user._id,
+                enrollment: enrollment._id
+            });
+        } catch (createError) {
+            if (createError.code === 11000) {
+                return res.json(conflictResponse("You have already reviewed this course; edit your review instead"));
+            }
+            throw createError;
+        }
+
+        await refreshRatings(course._id, course.trainingProvider?._id);
+        await notifySchoolOfReview(review, course, req.app.get("io"));
+
+        return res.json(createdResponse({ review }, "Review published successfully"));
+    } catch (error) {
+        console.error("Error creating review:", error);
+        throw internalServer("Failed to create review");
+    }
+});
+
+// ===============================
+// UPDATE OWN REVIEW
+// ===============================
+const updateReview = asyncHandler(async (req, res) => {
+    try {
+        const { review, error } = await findReview(req.params.id);
+        if (error) return res.json(error);
+
+        if (!isAuthor(review, req.user)) {
+            return res.json(forbiddenResponse("You can only edit your own reviews"));
+        }
+
+        const { fields, error: inputError } = parseReviewInput(req.body, true);
+        if (inputError) return res.json(inputError);
+
+        Object.assign(review, fields, { editedAt: new Date() });
+        await review.save();
+        await refreshRatings(review.course, review.institute);
+
+        return res.json(successResponse({ review }, "Review updated successfully"));
+    } catch (error) {
+        console.error("Error updating review:", error);
+        throw internalServer("Failed to update review");
+    }
+});
+
+// ===============================
+// DELETE REVIEW
+// ===============================
+const deleteReview = asyncHandler(async (req, res) => {
+    try {
+        const { review, error } = await findReview(req.params.id);
+        if (error) return res.json(error);
+
+        if (req.user.role !== "admin" && !isAuthor(review, req.user)) {
+            return res.json(forbiddenResponse("You can only delete your own reviews"));
+        }
+
+        await review.deleteOne();
+        await refreshRatings(review.course, review.institute);
+
+        return res.json(successResponse(null, "Review deleted successfully"));
+    } catch (error) {
+        console.error("Error deleting review:", error);
+        throw internalServer("Failed to delete review");
+    }
+});
+
+// ===============================
+// SCHOOL REPLY
+// ===============================
+const replyToReview = asyncHandler(async (req, res) => {
+    try {
+        const { text } = req.body;
+        if (typeof text !== "string" || !text.trim() || text.trim().length > 1000) {
+            return res.json(badRequestResponse("Reply text of up to 1000 characters is required"));
+        }
+
+        const { review, error } = await findReview(req.params.id);
+        if (error) return res.json(error);
+
+        const course = await Course.findById(review.course).select("title trainingProvider").populate("trainingProvider", "userId");
+        if (course?.trainingProvider?.userId?.toString() !== req.user._id.toString()) {
+            return res.json(forbiddenResponse("Only the school offering this course can reply to its reviews"));
+        }
+
+        // One public reply per review; the school may reword it
+        const isNewReply = !review.reply?.text;
+        review.reply = { text: text.trim(), repliedBy: req.user._id, repliedAt: new Date() };
+        await review.save();
+
+        if (isNewReply) await notifyReviewerOfReply(review, course, req.app.get("io"));
+
+        return res.json(successResponse({ review }, isNewReply ? "Reply posted successfully" : "Reply updated successfully"));
+    } catch (error) {
+        console.error("Error replying to review:", error);
+        throw internalServer("Failed to reply to review");
+    }
+});
+
+// ===============================
+// REPORT REVIEW
+// ===============================
+const reportReview = asyncHandler(async (req, res) => {
+    try {
+        const { reason, details } = req.body;
+        if (!REPORT_REASONS.includes(reason)) {
+            return res.json(badRequestResponse(`Reason must be one of: ${REPORT_REASONS.join(", ")}`));
+        }
+        if (details !== undefined && !isText(details, 500)) {
+            return res.json(badRequestResponse("Details must be text of up to 500 characters"));
+        }
+
+        const { review, error } = await findReview(req.params.id);
+        if (error) return res.json(error);
+
+        if (isAuthor(review, req.user)) {
+            return res.json(badRequestResponse("You cannot report your own review"));
+        }
+
+        // One report per user; a new report sends the review back to the moderation queue
+        const updated = await Review.findOneAndUpdate(
+            { _id: review._id, "reports.reportedBy": { $ne: req.user._id } },
+            {
+                $push: { reports: { reportedBy: req.user._id, reason, details: details?.trim() } },
+                $set: { flagged: true }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            return res.json(conflictResponse("You have already reported this review"));
+        }
+
+        return res.json(successResponse(null, "Review reported. Our team will look into it"));
+    } catch (error) {
+        console.error("Error reporting review:", error);
+        throw internalServer("Failed to report review");
+    }
+});
+
+// ===============================
+// REPORTED REVIEWS (ADMIN)
+// ===============================
+const getReportedReviews = asyncHandler(async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const filter = { flagged: true };
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .sort({ updatedAt: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .populate("course", "title")
+                .populate("student", "fullName email")
+                .populate("reports.reportedBy", "fullName email")
+                .lean(),
+            Review.countDocuments(filter)
+        ]);
+
+        return res.json(successResponse({
+            reviews,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Reported reviews retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching reported reviews:", error);
+        throw internalServer("Failed to fetch reported reviews");
+    }
+});
+
+// ===============================
+// MODERATE REVIEW (ADMIN)
+// ===============================
+const moderateReview = asyncHandler(async (req, res) => {
+    try {
+        const { action, note } = req.body;
+        if (!MODERATION_ACTIONS.includes(action)) {
+            return res.json(badRequestResponse(`Action must be one of: ${MODERATION_ACTIONS.join(", ")}`));
+        }
+        if (note !== undefined && !isText(note, 500)) {
+            return res.json(badRequestResponse("Note must be text of up to 500 characters"));
+        }
+
+        const { review, error } = await findReview(req.params.id);
+        if (error) return res.json(error);
+
+        review.status = action === "hide" ? "hidden" : "published";
+        review.flagged = false;
+        review.moderation = { action, note: note?.trim(), moderatedBy: req.user._id, moderatedAt: new Date() };
+        await review.save();
+        await refreshRatings(review.course, review.institute);
+
+        return res.json(successResponse(
+            { review },
+            action === "hide" ? "Review hidden from the course page" : "Review kept on the course page"
+        ));
+    } catch (error) {
+        console.error("Error moderating review:", error);
+        throw internalServer("Failed to moderate review");
+    }
+});
+
+export {
+    getCourseReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    replyToReview,
+    reportReview,
+    getReportedReviews,
+    moderateReview
+};
@@ -0,0 +1,260 @@
+/**
+ * SAVED JOB SEARCH CONTROLLERS
+ *
+ * Students and schools can save job searches (same filters as the advanced
+ * job search) and receive a daily or weekly digest of new matching jobs.
+ * Each search has its own unsubscribe link, used from the digest email.
+ */
+
+import mongoose from "mongoose";
+import { Job, SavedJobSearch } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse
+} from "../utils/ApiResponse.js";
+import { buildJobSearchFilter, parseJobSearchFilters } from "../utils/jobSearch.js";
+import { DIGEST_INTERVALS } from "../services/savedJobSearch.service.js";
+
+const MAX_SAVED_SEARCHES = 20;
+
+// The unsubscribe token is only shared through the digest email
+const PUBLIC_FIELDS = "-unsubscribeToken -__v";
+
+// ===== HELPERS =====
+
+// Validate the filters object from the request body; at least one filter is required
+const parseSearchFilters = (filters) => {
+    if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+        return { error: "Filters must be an object" };
+    }
+    const result = parseJobSearchFilters(filters);
+    if (!result.error && Object.keys(result.filters).length === 0) {
+        return { error: "Add at least one filter to save a search" };
+    }
+    return result;
+};
+
+const isValidFrequency = (frequency) => Object.keys(DIGEST_INTERVALS).includes(frequency);
+
+// Find a saved search owned by the current user
+const findOwnSearch = async (req) => {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        return { error: badRequestResponse("Invalid saved search ID") };
+    }
+
+    const search = await SavedJobSearch.findOne({ _id: id, user: req.user._id });
+    if (!search) {
+        return { error: notFoundResponse("Saved search not found") };
+    }
+    return { search };
+};
+
+const toPublicSearch = (search) => {
+    const { unsubscribeToken, __v, ...rest } = search.toObject();
+    return rest;
+};
+
+// ===============================
+// CREATE SAVED SEARCH
+// ===============================
+const createSavedSearch = asyncHandler(async (req, res) => {
+    try {
+        const { name, frequency = "weekly" } = req.body;
+
+        if (!name || typeof name !== "string" || !name.trim()) {
+            return res.json(badRequestResponse("Search name is required"));
+        }
+        if (!isValidFrequency(frequency)) {
+            return res.json(badRequestResponse(`Frequency must be one of: ${Object.keys(DIGEST_INTERVALS).join(", ")}`));
+        }
+
+        const { filters, error } = parseSearchFilters(req.body.filters);
+        if (error) return res.json(badRequestResponse(error));
+
+        const count = await SavedJobSearch.countDocuments({ user: req.user._id });
+        if (count >= MAX_SAVED_SEARCHES) {
+            return res.json(badRequestResponse(`You can save at most ${MAX_SAVED_SEARCHES} searches. Delete one to save a new search.`));
+        }
+
+        const search = await SavedJobSearch.create({
+            user: req.user._id,
+            name: name.trim(),
+            filters,
+            frequency
+        });
+
+        return res.json(createdResponse({ savedSearch: toPublicSearch(search) }, "Search saved successfully"));
+    } catch (error) {
+        console.error("Error saving job search:", error);
+        throw internalServer("Failed to save job search");
+    }
+});
+
+// ===============================
+// GET MY SAVED SEARCHES
+// ===============================
+const getMySavedSearches = asyncHandler(async (req, res) => {
+    try {
+        const savedSearches = await SavedJobSearch.find({ user: req.user._id })
+            .select(PUBLIC_FIELDS)
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return res.json(successResponse({ savedSearches }, "Saved searches retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching saved searches:", error);
+        throw internalServer("Failed to fetch saved searches");
+    }
+});
+
+// ===============================
+// RUN SAVED SEARCH
+// ===============================
+const getSavedSearchJobs = asyncHandler(async (req, res) => {
+    try {
+        const { search, error } = await findOwnSearch(req);
+        if (error) return res.json(error);
+
+        const { page = 1, limit = 10 } = req.query;
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+        const filter = buildJobSearchFilter(search.filters);
+
+        const [jobs, total, newSinceLastDigest] = await Promise.all([
+            Job.find(filter)
+                .populate("postedBy", "name")
+                .select("-__v -matchedCandidates")
+                .sort("-createdAt")
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            Job.countDocuments(filter),
+            Job.countDocuments({ ...filter, createdAt: { $gt: search.lastCheckedAt } })
+        ]);
+
+        return res.json(successResponse({
+            savedSearch: toPublicSearch(search),
+            jobs,
+            newSinceLastDigest,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Saved search results retrieved successfully"));
+    } catch (error) {
+        console.error("Error running saved search:", error);
+        throw internalServer("Failed to run saved search");
+    }
+});
+
+// ===============================
+// UPDATE SAVED SEARCH
+// ===============================
+const updateSavedSearch = asyncHandler(async (req, res) => {
+    try {
+        const { search, error } = await findOwnSearch(req);
+        if (error) return res.json(error);
+
+        const { name, frequency, alertsEnabled } = req.body;
+
+        if (name !== undefined) {
+            if (typeof name !== "string" || !name.trim()) {
+                return res.json(badRequestResponse("Search name cannot be empty"));
+            }
+            search.name = name.trim();
+        }
+
+        if (frequency !== undefined) {
+            if (!isValidFrequency(frequency)) {
+                return res.json(badRequestResponse(`Frequency must be one of: ${Object.keys(DIGEST_INTERVALS).join(", ")}`));
+            }
+            search.frequency = frequency;
+        }
+
+        if (req.body.filters !== undefined) {
+            const { filters, error: filterError } = parseSearchFilters(req.body.filters);
+            if (filterError) return res.json(badRequestResponse(filterError));
+            search.filters = filters;
+        }
+
+        if (alertsEnabled !== undefined) {
+            if (typeof alertsEnabled !== "boolean") {
+                return res.json(badRequestResponse("alertsEnabled must be a boolean"));
+            }
+            // Turning alerts back on starts from now instead of sending everything missed
+            if (alertsEnabled && !search.alertsEnabled) {
+                search.lastCheckedAt = new Date();
+            }
+            search.alertsEnabled = alertsEnabled;
+        }
+
+        await search.save();
+
+        return res.json(successResponse({ savedSearch: toPublicSearch(search) }, "Saved search updated successfully"));
+    } catch (error) {
+        console.error("Error updating saved search:", error);
+        throw internalServer("Failed to update saved search");
+    }
+});
+
+// ===============================
+// DELETE SAVED SEARCH
+// ===============================
+const deleteSavedSearch = asyncHandler(async (req, res) => {
+    try {
+        const { search, error } = await findOwnSearch(req);
+        if (error) return res.json(error);
+
+        await SavedJobSearch.deleteOne({ _id: search._id });
+
+        return res.json(successResponse({ savedSearchId: search._id }, "Saved search deleted successfully"));
+    } catch (error) {
+        console.error("Error deleting saved search:", error);
+        throw internalServer("Failed to delete saved search");
+    }
+});
+
+// ===============================
+// UNSUBSCRIBE FROM DIGEST (EMAIL LINK)
+// ===============================
+const unsubscribeSavedSearch = asyncHandler(async (req, res) => {
+    try {
+        const { token } = req.params;
+        if (!token || !/^[a-f0-9]{48}$/.test(token)) {
+            return res.json(badRequestResponse("Invalid unsubscribe link"));
+        }
+
+        const search = await SavedJobSearch.findOneAndUpdate(
+            { unsubscribeToken: token },
+            { $set: { alertsEnabled: false } },
+            { new: true }
+        ).select("name alertsEnabled");
+        if (!search) {
+            return res.json(notFoundResponse("Saved search not found. It may have been deleted."));
+        }
+
+        return res.json(successResponse(
+            { savedSearchId: search._id, name: search.name, alertsEnabled: search.alertsEnabled },
+            `You will no longer receive job alerts for "${search.name}"`
+        ));
+    } catch (error) {
+        console.error("Error unsubscribing from saved search:", error);
+        throw internalServer("Failed to unsubscribe from saved search");
+    }
+});
+
+export {
+    createSavedSearch,
+    getMySavedSearches,
+    getSavedSearchJobs,
+    updateSavedSearch,
+    deleteSavedSearch,
+    unsubscribeSavedSearch
+};
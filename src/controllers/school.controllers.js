@@ -10,6 +10,11 @@ import {
 } from "../models/index.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import {
+  DEFAULT_MATCHING_OPTIONS,
+  calculateMatchBreakdown,
+  getStudentSkillProfile,
+} from "../utils/matchingUtils.js";
 import {
   successResponse,
   notFoundResponse,
@@ -20,6 +25,8 @@ import {
   createdResponse,
   updatedResponse,
 } from "../utils/ApiResponse.js";
+import { getInstituteRevenue } from "../services/coursePayment.service.js";
+import { getInstituteAttendance } from "../services/attendance.service.js";
 // Create training provider profile
 const createProfile = asyncHandler(async (req, res) => {
   try {
@@ -209,8 +216,8 @@ const getTrainingProviderById = asyncHandler(async (req, res) => {
       return res.json(notFoundResponse("Failed to find the training provider"));
     }
 
-    // Get courses offered by this provider
-    const courses = await Course.find({ trainingProvider: provider.userId })
+    // Get approved courses offered by this provider
+    const courses = await Course.find({ trainingProvider: provider._id, status: "approved" })
       .select("title instructor duration price category status")
       .limit(5);
 
@@ -340,20 +347,24 @@ const getTrainingProviderStats = asyncHandler(async (req, res) => {
 
     // Get course statistics
     const totalCourses = await Course.countDocuments({
-      trainingProvider: userId,
+      trainingProvider: provider._id,
     });
     const activeCourses = await Course.countDocuments({
-      trainingProvider: userId,
+      trainingProvider: provider._id,
       status: "approved",
     });
     const pendingCourses = await Course.countDocuments({
-      trainingProvider: userId,
+      trainingProvider: provider._id,
       status: "pending_approval",
     });
+    const rejectedCourses = await Course.countDocuments({
+      trainingProvider: provider._id,
+      status: "rejected",
+    });
 
     // Get course categories breakdown
     const coursesByCategory = await Course.aggregate([
-      { $match: { trainingProvider: userId } },
+      { $match: { trainingProvider: provider._id } },
       { $group: { _id: "$category", count: { $sum: 1 } } },
       { $sort: { count: -1 } },
     ]);
@@ -371,6 +382,7 @@ const getTrainingProviderStats = asyncHandler(async (req, res) => {
           total: totalCourses,
           active: activeCourses,
           pending: pendingCourses,
+          rejected: rejectedCourses,
           byCategory: coursesByCategory,
         },
       },
@@ -399,11 +411,8 @@ const matchStudents = asyncHandler(async (req, res) => {
         notFoundResponse("Job not found")
       );
     }
-    // Extract only skill names (ignore proficiency levels)
-    const requiredSkills = (job.skillsRequired || []).map((s) =>
-      typeof s === "string"
-        ? s.trim().toLowerCase()
-        : (s.skill || "").trim().toLowerCase()
+    const requiredSkills = (job.skillsRequired || []).filter((s) =>
+      (typeof s === "string" ? s : s.skill || "").trim()
     );
     if (!requiredSkills.length) {
       return res.json(
@@ -414,7 +423,7 @@ const matchStudents = asyncHandler(async (req, res) => {
 
     // Fetch all students with skills
     const students = await Student.find({ skills: { $exists: true, $ne: [] } })
-      .select("_id userId skills")
+      .select("_id userId skills skillProficiencies")
       .lean();
 
     // Prepare userId list for batch user lookup
@@ -430,19 +439,19 @@ const matchStudents = asyncHandler(async (req, res) => {
       return acc;
     }, {});
 
-    // Match students based on skill overlap
+    // Score students with the same skill matcher used for job matches, so aliases ("JS"),
+    // related skills, proficiency levels and nice-to-have skills count the same way everywhere
     const matched = students
       .map((student) => {
-        const studentSkills = (student.skills || []).map((s) =>
-          s.toLowerCase()
+        const { matchPercentage, requirements } = calculateMatchBreakdown(
+          getStudentSkillProfile(student),
+          requiredSkills,
+          DEFAULT_MATCHING_OPTIONS
         );
-        const matchedSkills = requiredSkills.filter((skill) =>
-          studentSkills.includes(skill)
-        );
-        const matchPercent =
-          requiredSkills.length > 0
-            ? Math.round((matchedSkills.length / requiredSkills.length) * 100)
-            : 0;
+        const matchedSkills = requirements
+          .filter((requirement) => requirement.matched)
+          .map((requirement) => requirement.skill);
+        const matchPercent = Math.round(matchPercentage);
         return {
           studentId: student._id,
           user: usersMap[student.userId?.toString()] || null,
@@ -464,7 +473,7 @@ const matchStudents = asyncHandler(async (req, res) => {
         matchedStudents: matched,
       },
     }  , 
-     `Found ${matched.length} students matching at least 70% of required skills.`)
+     `Found ${matched.length} students with a skill match of at least 70%.`)
   );
   } catch (error) {throw internalServer("Failed to match students for the job");
   }
@@ -849,8 +858,15 @@ const dashboardController = asyncHandler(async (req, res) => {
           {
             totalEnrollments: 0,
             completionRate: 0,
+            averageProgress: 0,
             totalRevenue: 0,
+            platformFees: 0,
+            netEarnings: 0,
+            refunds: 0,
             activeCourses: 0,
+            attendanceRate: null,
+            sessions: 0,
+            courseAttendance: [],
           },
           "Training institute profile not found - showing default values"
         )
@@ -865,10 +881,10 @@ const dashboardController = asyncHandler(async (req, res) => {
     const courseIds = schoolCourses.map(course => course._id);
 
     // Calculate school-specific metrics using aggregation
-    const [enrollmentStats, revenueData] = await Promise.all([
-      // Enrollment statistics for this school's courses
+    const [enrollmentStats, revenue, attendance] = await Promise.all([
+      // Enrollment statistics for this school's courses (unpaid checkouts excluded)
       Enrollment.aggregate([
-        { $match: { courseId: { $in: courseIds } } },
+        { $match: { courseId: { $in: courseIds }, status: { $ne: "pending_payment" } } },
         {
           $group: {
             _id: null,
@@ -876,6 +892,10 @@ const dashboardController = asyncHandler(async (req, res) => {
             completedEnrollments: {
               $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] }
             },
+            // Lesson progress of enrollments that are still running
+            averageProgress: {
+              $avg: { $cond: [{ $eq: ["$status", "enrolled"] }, { $ifNull: ["$progressPercentage", 0] }, null] }
+            },
             uniqueStudents: { $addToSet: "$studentId" }
           }
         },
@@ -883,6 +903,7 @@ const dashboardController = asyncHandler(async (req, res) => {
           $project: {
             totalEnrollments: 1,
             completedEnrollments: 1,
+            averageProgress: { $round: [{ $ifNull: ["$averageProgress", 0] }, 2] },
             completionRate: {
               $cond: [
                 { $gt: ["$totalEnrollments", 0] },
@@ -904,35 +925,18 @@ const dashboardController = asyncHandler(async (req, res) => {
         }
       ]),
       
-      // Revenue calculation for this school's courses
-      Enrollment.aggregate([
-        { $match: { courseId: { $in: courseIds } } },
-        {
-          $lookup: {
-            from: "courses",
-            localField: "courseId",
-            foreignField: "_id",
-            as: "courseDetails"
-          }
-        },
-        { $unwind: "$courseDetails" },
-        {
-          $group: {
-            _id: null,
-            totalRevenue: { $sum: "$courseDetails.price" }
-          }
-        }
-      ])
+      // Course sales net of refunds, from the revenue ledger
+      getInstituteRevenue(school._id),
+
+      // Attendance at the sessions of instructor-led courses
+      getInstituteAttendance(school._id)
     ]);
 
     // Extract results with defaults
     const enrollmentResult = enrollmentStats[0] || {
       totalEnrollments: 0,
-      completionRate: 0
-    };
-
-    const revenueResult = revenueData[0] || {
-      totalRevenue: 0
+      completionRate: 0,
+      averageProgress: 0
     };
 
     // Count active courses (approved status)
@@ -941,15 +945,27 @@ const dashboardController = asyncHandler(async (req, res) => {
     // Extract values for response
     const totalEnrollments = enrollmentResult.totalEnrollments;
     const completionRate = enrollmentResult.completionRate;
-    const totalRevenue = revenueResult.totalRevenue;
+    const averageProgress = enrollmentResult.averageProgress;
+    // Revenue is kept per currency; the headline figures are those of the currency with the most sales
+    const [mainRevenue] = revenue;
+    const totalRevenue = mainRevenue?.netSales || 0;
 
     return res.json(
       successResponse(
         {
           totalEnrollments,
           completionRate,
+          averageProgress,
           totalRevenue,
+          platformFees: mainRevenue?.platformFees || 0,
+          netEarnings: mainRevenue?.netEarnings || 0,
+          refunds: mainRevenue?.refunds || 0,
+          currency: mainRevenue?.currency || null,
+          revenueByCurrency: revenue,
           activeCourses,
+          attendanceRate: attendance.overall.rate,
+          sessions: attendance.sessions,
+          courseAttendance: attendance.courses,
         },
         "Dashboard statistics calculated successfully"
       )
@@ -0,0 +1,332 @@
+/**
+ * SKILL TAXONOMY CONTROLLERS
+ *
+ * Public lookup of canonical skills (for autocomplete and normalizing input)
+ * and admin management of skills, aliases and parent/child relations.
+ * Every admin change reloads the in-memory taxonomy used by the matchers.
+ */
+
+import mongoose from "mongoose";
+import { Skill } from "../models/index.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    createdResponse,
+    badRequestResponse,
+    notFoundResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import {
+    getCanonicalSkillId,
+    getSkillAncestors,
+    normalizeSkillTerm,
+    resolveSkill,
+    slugifySkill
+} from "../utils/skillTaxonomy.js";
+import {
+    createsParentCycle,
+    findConflictingSkill,
+    loadSkillTaxonomy
+} from "../services/skillTaxonomy.service.js";
+import { rebuildSkillMatchIndex } from "../services/skillMatchIndex.service.js";
+
+const MAX_RESOLVE_NAMES = 50;
+
+// ===== HELPERS =====
+
+// Validate and normalize an aliases array from the request body
+const parseAliases = (aliases) => {
+    if (aliases === undefined) return { aliases: undefined };
+    if (!Array.isArray(aliases) || !aliases.every((alias) => typeof alias === "string")) {
+        return { error: "Aliases must be an array of strings" };
+    }
+    return { aliases: [...new Set(aliases.map(normalizeSkillTerm).filter(Boolean))] };
+};
+
+// Look up a parent skill given as an ID or slug; null clears the parent
+const findParentSkill = async (parent) => {
+    if (parent === null || parent === "") return { parent: null };
+
+    const filter = mongoose.Types.ObjectId.isValid(parent)
+        ? { _id: parent }
+        : { slug: normalizeSkillTerm(parent) };
+    const parentSkill = await Skill.findOne(filter);
+    if (!parentSkill) return { error: "Parent skill not found" };
+    return { parent: parentSkill };
+};
+
+// Reload the taxonomy; stored job matches only pick the change up after a reindex
+const reloadTaxonomy = async () => {
+    try {
+        await loadSkillTaxonomy();
+    } catch (error) {
+        console.error("Failed to reload skill taxonomy:", error.message);
+    }
+};
+
+// ===============================
+// LIST / SEARCH SKILLS
+// ===============================
+const getSkills = asyncHandler(async (req, res) => {
+    try {
+        const { q, category, page = 1, limit = 50 } = req.query;
+
+        const filter = { isActive: true };
+        if (category) filter.category = category;
+        if (q) {
+            const pattern = new RegExp(normalizeSkillTerm(q).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+            filter.$or = [{ name: pattern }, { aliases: pattern }, { slug: pattern }];
+        }
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
+
+        const [skills, total] = await Promise.all([
+            Skill.find(filter)
+                .populate("parent", "slug name")
+                .sort({ name: 1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            Skill.countDocuments(filter)
+        ]);
+
+        return res.json(successResponse({
+            skills,
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
+            }
+        }, "Skills retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching skills:", error);
+        throw internalServer("Failed to fetch skills");
+    }
+});
+
+// ===============================
+// RESOLVE SKILL NAMES
+// ===============================
+const resolveSkillNames = asyncHandler(async (req, res) => {
+    try {
+        const names = String(req.query.names || "")
+            .split(",")
+            .map((name) => name.trim())
+            .filter(Boolean);
+
+        if (names.length === 0) {
+            return res.json(badRequestResponse("Provide at least one skill name in 'names'"));
+        }
+        if (names.length > MAX_RESOLVE_NAMES) {
+            return res.json(badRequestResponse(`You can resolve at most ${MAX_RESOLVE_NAMES} skills at once`));
+        }
+
+        const skills = names.map((input) => {
+            const skill = resolveSkill(input);
+            return {
+                input,
+                id: getCanonicalSkillId(input),
+                name: skill?.name || input,
+                known: Boolean(skill),
+                parents: skill ? getSkillAncestors(skill.id) : []
+            };
+        });
+
+        return res.json(successResponse({ skills }, "Skills resolved successfully"));
+    } catch (error) {
+        console.error("Error resolving skills:", error);
+        throw internalServer("Failed to resolve skills");
+    }
+});
+
+// ===============================
+// GET SKILL BY ID
+// ===============================
+const getSkillById = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid skill ID"));
+        }
+
+        const skill = await Skill.findById(id).populate("parent", "slug name").lean();
+        if (!skill) {
+            return res.json(notFoundResponse("Skill not found"));
+        }
+
+        const children = await Skill.find({ parent: skill._id }).select("slug name isActive").sort({ name: 1 }).lean();
+
+        return res.json(successResponse({ skill, children }, "Skill retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching skill:", error);
+        throw internalServer("Failed to fetch skill");
+    }
+});
+
+// ===============================
+// CREATE SKILL (ADMIN)
+// ===============================
+const createSkill = asyncHandler(async (req, res) => {
+    try {
+        const { name, category, description } = req.body;
+
+        if (!name || typeof name !== "string" || !name.trim()) {
+            return res.json(badRequestResponse("Skill name is required"));
+        }
+
+        const { aliases = [], error: aliasError } = parseAliases(req.body.aliases);
+        if (aliasError) return res.json(badRequestResponse(aliasError));
+
+        const slug = req.body.slug ? slugifySkill(req.body.slug) : slugifySkill(name);
+        if (!slug) {
+            return res.json(badRequestResponse("Skill name must contain letters or numbers"));
+        }
+
+        const conflict = findConflictingSkill([name, slug, ...aliases]);
+        if (conflict || await Skill.exists({ slug })) {
+            return res.json(conflictResponse(
+                conflict
+                    ? `'${conflict.term}' is already used by skill '${conflict.skill.name}'`
+                    : `A skill with ID '${slug}' already exists`
+            ));
+        }
+
+        let parent = null;
+        if (req.body.parent !== undefined) {
+            const result = await findParentSkill(req.body.parent);
+            if (result.error) return res.json(notFoundResponse(result.error));
+            parent = result.parent;
+        }
+
+        const skill = await Skill.create({
+            slug,
+            name: name.trim(),
+            aliases: aliases.filter((alias) => alias !== normalizeSkillTerm(name)),
+            parent: parent?._id || null,
+            category,
+            description
+        });
+
+        await reloadTaxonomy();
+        console.log(`🧩 Skill '${skill.name}' (${skill.slug}) created by admin ${req.user._id}`);
+
+        return res.json(createdResponse({ skill }, "Skill created successfully"));
+    } catch (error) {
+        console.error("Error creating skill:", error);
+        throw internalServer("Failed to create skill");
+    }
+});
+
+// ===============================
+// UPDATE SKILL (ADMIN)
+// ===============================
+const updateSkill = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid skill ID"));
+        }
+
+        const skill = await Skill.findById(id);
+        if (!skill) {
+            return res.json(notFoundResponse("Skill not found"));
+        }
+
+        const { name, category, description, isActive } = req.body;
+        if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+            return res.json(badRequestResponse("Skill name cannot be empty"));
+        }
+
+        const { aliases, error: aliasError } = parseAliases(req.body.aliases);
+        if (aliasError) return res.json(badRequestResponse(aliasError));
+
+        // The slug is the canonical skill ID and never changes
+        const conflict = findConflictingSkill([name, ...(aliases || [])].filter(Boolean), skill.slug);
+        if (conflict) {
+            return res.json(conflictResponse(`'${conflict.term}' is already used by skill '${conflict.skill.name}'`));
+        }
+
+        if (req.body.parent !== undefined) {
+            const result = await findParentSkill(req.body.parent);
+            if (result.error) return res.json(notFoundResponse(result.error));
+            if (result.parent && createsParentCycle(skill.slug, result.parent.slug)) {
+                return res.json(badRequestResponse("A skill cannot be a parent of itself or of one of its parents"));
+            }
+            skill.parent = result.parent?._id || null;
+        }
+
+        if (name !== undefined) skill.name = name.trim();
+        if (aliases !== undefined) skill.aliases = aliases.filter((alias) => alias !== normalizeSkillTerm(skill.name));
+        if (category !== undefined) skill.category = category;
+        if (description !== undefined) skill.description = description;
+        if (isActive !== undefined) skill.isActive = Boolean(isActive);
+
+        await skill.save();
+        await reloadTaxonomy();
+        console.log(`🧩 Skill '${skill.name}' (${skill.slug}) updated by admin ${req.user._id}`);
+
+        return res.json(successResponse({ skill }, "Skill updated successfully"));
+    } catch (error) {
+        console.error("Error updating skill:", error);
+        throw internalServer("Failed to update skill");
+    }
+});
+
+// ===============================
+// DELETE SKILL (ADMIN)
+// ===============================
+const deleteSkill = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.json(badRequestResponse("Invalid skill ID"));
+        }
+
+        const skill = await Skill.findById(id);
+        if (!skill) {
+            return res.json(notFoundResponse("Skill not found"));
+        }
+
+        // Child skills move up to the deleted skill's parent
+        const { modifiedCount } = await Skill.updateMany({ parent: skill._id }, { $set: { parent: skill.parent || null } });
+        await Skill.deleteOne({ _id: skill._id });
+        await reloadTaxonomy();
+        console.log(`🧩 Skill '${skill.name}' (${skill.slug}) deleted by admin ${req.user._id}`);
+
+        return res.json(successResponse(
+            { skillId: skill._id, reparentedChildren: modifiedCount },
+            "Skill deleted successfully"
+        ));
+    } catch (error) {
+        console.error("Error deleting skill:", error);
+        throw internalServer("Failed to delete skill");
+    }
+});
+
+// ===============================
+// REBUILD SKILL MATCH INDEX (ADMIN)
+// ===============================
+const reindexSkillMatches = asyncHandler(async (req, res) => {
+    try {
+        await loadSkillTaxonomy();
+        const stats = await rebuildSkillMatchIndex();
+
+        return res.json(successResponse(stats, "Skill match index rebuilt successfully"));
+    } catch (error) {
+        console.error("Error rebuilding skill match index:", error);
+        throw internalServer("Failed to rebuild skill match index");
+    }
+});
+
+export {
+    getSkills,
+    resolveSkillNames,
+    getSkillById,
+    createSkill,
+    updateSkill,
+    deleteSkill,
+    reindexSkillMatches
+};
@@ -16,8 +16,23 @@ import {
     internalServer,
 } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { refreshStudentMatches, removeStudentFromIndex } from "../services/skillMatchIndex.service.js";
+import { getCanonicalSkillId, normalizeSkillName } from "../utils/skillTaxonomy.js";
+import { PROFICIENCY_LEVELS, getStudentSkillProfile } from "../utils/matchingUtils.js";
+import { getOrCreateProficiency } from "../services/skillProficiency.service.js";
+import { getStudentAttendanceSummary } from "../services/attendance.service.js";
 import mongoose from "mongoose";
 
+// Keep job matches in sync after a student's skills or visibility change.
+// Failures are logged only; the profile update itself has already succeeded.
+const syncStudentMatches = async (student) => {
+  try {
+    await refreshStudentMatches(student);
+  } catch (error) {
+    console.error(`Failed to refresh job matches for student ${student?._id}:`, error.message);
+  }
+};
+
 // ===============================
 // CREATE STUDENT PROFILE
 // ===============================
@@ -117,7 +132,7 @@ const getAllStudents = asyncHandler(async (req, res) => {
     if (skills) {
       const skillsArray = skills
         .split(",")
-        .map((s) => s.trim())
+        .map((s) => normalizeSkillName(s))
         .filter(Boolean);
       if (skillsArray.length) studentFilter.skills = { $in: skillsArray };
     }
@@ -214,6 +229,7 @@ const getStudentById = asyncHandler(async (req, res) => {
           bio: student.bio,
         location: student.location,
         skills: student.skills,
+        skillLevels: getStudentSkillProfile(student),
         certifications: student.certifications,
         isPublic: student.isPublic,
         // Only show contact info if contact is public
@@ -221,6 +237,10 @@ const getStudentById = asyncHandler(async (req, res) => {
           email: student.email,
           phone: student.phone,
           website: student.website
+        }),
+        // Attendance rates are shared along with the rest of the progress
+        ...(student.isProgressPublic && {
+          attendance: await getStudentAttendanceSummary(student.userId._id)
         })
       };
       return res
@@ -271,6 +291,8 @@ const getMyStudentProfile = asyncHandler(async (req, res) => {
       .select("profilePicture status")
       .lean();
 
+    const attendance = await getStudentAttendanceSummary(reqUser._id);
+
     // Get enrollments - if the student's enrollments array is empty, fetch directly from Enrollment collection
     let enrollments = studentProfile.enrollments || [];
     
@@ -315,7 +337,9 @@ const getMyStudentProfile = asyncHandler(async (req, res) => {
       kycVerification: studentProfile.kycVerification,
       experience: studentProfile.experience,
       enrollments,
+      attendance,
       skills: studentProfile.skills,
+      skillProficiencies: studentProfile.skillProficiencies || [],
       gsceResult: studentProfile.gsceResult,
       isPublic: studentProfile.isPublic,
       isOpenToWork: studentProfile.isOpenToWork,
@@ -378,6 +402,8 @@ const updateStudentProfile = asyncHandler(async (req, res) => {
 
     // Don't allow updating certain sensitive fields directly
     delete studentUpdates.userId;
+    // Levels go through PUT /skills/:skill/proficiency; evidence is only recorded by the platform
+    delete studentUpdates.skillProficiencies;
 
     // Update user fields if any (mainly profilePicture and fullName)
     let updatedUser = user;
@@ -396,6 +422,10 @@ const updateStudentProfile = asyncHandler(async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    if (["skills", "isPublic", "isOpenToWork"].some((field) => studentUpdates[field] !== undefined)) {
+      await syncStudentMatches(updatedStudent);
+    }
+
     // Merge updated user data with student profile
     const completeProfile = {
       studentId: updatedStudent._id,
@@ -411,6 +441,7 @@ const updateStudentProfile = asyncHandler(async (req, res) => {
       location: updatedStudent.location,
       website: updatedStudent.website,
       skills: updatedStudent.skills,
+      skillProficiencies: updatedStudent.skillProficiencies || [],
       gsceResult: updatedStudent.gsceResult,
       isPublic: updatedStudent.isPublic,
       isOpenToWork: updatedStudent.isOpenToWork,
@@ -454,6 +485,7 @@ const deleteStudentProfile = asyncHandler(async (req, res) => {
     }
 
     await Student.findByIdAndDelete(id);
+    await removeStudentFromIndex(student._id);
 
     return res
       .json(successResponse(null, "Student profile deleted successfully"));
@@ -647,11 +679,15 @@ const addSkills = asyncHandler(async (req, res) => {
      return res.json (badRequestResponse("Skills must be a non-empty array"));
     }
 
-    // Validate each skill
-    for (const skill of skills) {
+    // Validate each skill: a name, or { skill, level } to record a proficiency level
+    for (const item of skills) {
+      const skill = typeof item === "string" ? item : item?.skill;
       if (!skill || typeof skill !== "string" || !skill.trim()) {
        return res.json (badRequestResponse("Each skill must be a non-empty string"));
       }
+      if (typeof item === "object" && item.level !== undefined && !PROFICIENCY_LEVELS.includes(item.level)) {
+       return res.json (badRequestResponse(`Level must be one of: ${PROFICIENCY_LEVELS.join(", ")}`));
+      }
     }
 
     // Fetch student
@@ -660,27 +696,32 @@ const addSkills = asyncHandler(async (req, res) => {
       return res.json (notFoundResponse("Student profile not found. Please create a student profile first."));
     }
 
-    // Existing skills (case-insensitive set)
+    // Existing skills by canonical skill ID, so "JS" and "JavaScript" count as the same skill
     const existingSkills = new Set(
-      (student.skills || []).map((s) => s.toLowerCase())
+      (student.skills || []).map((s) => getCanonicalSkillId(s))
     );
 
     // Filter out duplicates
     const newSkills = [];
-    for (const skill of skills) {
-      if (existingSkills.has(skill.toLowerCase())) {
-        return res.json (conflictResponse(`Skill '${skill}' already exists`));
+    for (const item of skills) {
+      const skill = typeof item === "string" ? item : item.skill;
+      if (existingSkills.has(getCanonicalSkillId(skill))) {
+        return res.json (conflictResponse(`Skill '${normalizeSkillName(skill)}' already exists`));
       }
       newSkills.push(skill.trim());
+      if (item.level) {
+        getOrCreateProficiency(student, normalizeSkillName(skill)).level = item.level;
+      }
     }
 
     // Merge skills
     student.skills = [...(student.skills || []), ...newSkills];
     await student.save();
+    await syncStudentMatches(student);
 
     return res.json(
       successResponse(
-        { skills: student.skills },
+        { skills: student.skills, skillProficiencies: student.skillProficiencies },
         "Skills updated successfully"
       )
     );
@@ -704,13 +745,18 @@ const removeSkill = asyncHandler(async (req, res) => {
       return res.json (notFoundResponse("Student profile not found"));
     }
     const skillLength = student.skills.length;
+    const skillId = getCanonicalSkillId(skill);
     student.skills = student.skills.filter(
-      (s) => s.toLowerCase() !== skill.toLowerCase()
+      (s) => getCanonicalSkillId(s) !== skillId
     );
     if (student.skills.length === skillLength) {
       return res.json (notFoundResponse("Skill not found"));
     }
+    student.skillProficiencies = student.skillProficiencies.filter(
+      (p) => getCanonicalSkillId(p.skill) !== skillId
+    );
     await student.save();
+    await syncStudentMatches(student);
     return res.json(
       successResponse(
         { skills: student.skills },
@@ -723,6 +769,46 @@ const removeSkill = asyncHandler(async (req, res) => {
   }
 });
 
+// Controller to set the self-assessed proficiency level of a skill
+const setSkillProficiency = asyncHandler(async (req, res) => {
+  try {
+    const skill = req.params.skill;
+    const { level } = req.body;
+    if (!PROFICIENCY_LEVELS.includes(level)) {
+      return res.json (badRequestResponse(`Level must be one of: ${PROFICIENCY_LEVELS.join(", ")}`));
+    }
+
+    const student = await Student.findOne({ userId: req.user._id });
+    if (!student) {
+      return res.json (notFoundResponse("Student profile not found"));
+    }
+
+    const skillId = getCanonicalSkillId(skill);
+    const profileSkill = student.skills.find((s) => getCanonicalSkillId(s) === skillId);
+    if (!profileSkill) {
+      return res.json (notFoundResponse("Skill not found. Add it to your skills first."));
+    }
+
+    const proficiency = getOrCreateProficiency(student, profileSkill);
+    proficiency.level = level;
+    await student.save();
+    await syncStudentMatches(student);
+
+    return res.json(
+      successResponse(
+        {
+          proficiency,
+          effectiveLevel: getStudentSkillProfile(student).find((entry) => entry.skill === profileSkill)?.level,
+        },
+        `Proficiency for '${profileSkill}' set to ${level}`
+      )
+    );
+  } catch (error) {
+    console.error("Error in setSkillProficiency:", error);
+    throw internalServer(error.message);
+  }
+});
+
 // Add or update GSCE results for the authenticated student
 const addResult = asyncHandler(async (req, res) => {
   try {
@@ -819,6 +905,11 @@ const updatePrivacySettings = asyncHandler(async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // Only public, open-to-work students are matched to jobs
+    if (privacyUpdates.isPublic !== undefined || privacyUpdates.isOpenToWork !== undefined) {
+      await syncStudentMatches(updatedStudent);
+    }
+
     const privacySettings = {
       isPublic: updatedStudent.isPublic,
       isOpenToWork: updatedStudent.isOpenToWork,
@@ -1048,6 +1139,7 @@ export {
   addSkills,
   addResult,
   removeSkill,
+  setSkillProficiency,
   updatePrivacySettings,
   updateCommunicationPreferences,
   getPrivacySettings,
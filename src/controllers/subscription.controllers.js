@@ -3,6 +3,32 @@ import { ApiError, internalServer , validationError} from "../utils/ApiError.js"
 import { Subscription, SubscriptionPlan, User } from "../models/index.js";
 import { successResponse, badRequestResponse, conflictResponse, noContentResponse } from "../utils/ApiResponse.js";
 import stripe from "../config/stripe.config.js";
+import { PLAN_CHANGE_TIMINGS } from "../utils/proration.js";
+import { parseEntitlements } from "../utils/entitlements.js";
+import { MAX_TRIAL_DAYS, canStartTrial, isValidTrialDays } from "../utils/trial.js";
+import { getUsageReport } from "../services/entitlement.service.js";
+import {
+    priceCoupon,
+    recordCouponReservation,
+    redeemCoupon,
+    releaseCoupon,
+    releaseCouponReservation,
+    reserveCoupon
+} from "../services/coupon.service.js";
+import {
+    quotePlanChange,
+    changePlanNow,
+    schedulePlanChange,
+    cancelScheduledPlanChange
+} from "../services/planChange.service.js";
+import { issueInvoiceForTransaction } from "../services/invoice.service.js";
+import {
+    renewSubscription,
+    expirePastDueSubscription,
+    extendGracePeriod,
+    markPastDuePaid
+} from "../services/subscriptionRenewal.service.js";
+import { hasHadTrial, startTrial } from "../services/trial.service.js";
 
 // ===========================================
 // SUBSCRIPTION PLAN CONTROLLERS
@@ -18,6 +44,8 @@ const createPlan = asyncHandler(async (req, res) => {
             price, 
             billingCycle, 
             features,
+            entitlements,
+            trialDays,
             stripePriceId,
             stripeProductId  // ✅ Fixed: removed 'internalServer'
         } = req.body;
@@ -71,6 +99,24 @@ const createPlan = asyncHandler(async (req, res) => {
             return res.json(badRequestResponse("Features must be a non-empty array of strings", "INVALID_FEATURES_TYPE"));
         }
 
+        // Validate entitlements (optional, limits left out are unlimited)
+        let planEntitlements;
+        if (entitlements !== undefined) {
+            const parsed = parseEntitlements(entitlements);
+            if (parsed.error) {
+                return res.json(badRequestResponse(parsed.error, "INVALID_ENTITLEMENTS"));
+            }
+            planEntitlements = parsed.entitlements;
+        }
+
+        // Validate trial length (optional, paid plans only)
+        if (trialDays !== undefined && !isValidTrialDays(trialDays)) {
+            return res.json(badRequestResponse(`Trial days must be a whole number between 0 and ${MAX_TRIAL_DAYS}`, "INVALID_TRIAL_DAYS"));
+        }
+        if (trialDays > 0 && !(price > 0)) {
+            return res.json(badRequestResponse("Only paid plans can offer a free trial", "TRIAL_ON_FREE_PLAN"));
+        }
+
         // Create the plan
         const plan = await SubscriptionPlan.create({
             name,
@@ -79,6 +125,8 @@ const createPlan = asyncHandler(async (req, res) => {
             price,
             billingCycle,
             features,
+            entitlements: planEntitlements,
+            trialDays,
             stripePriceId,
             stripeProductId  // ✅ Fixed: removed 'internalServer'
         });
@@ -196,12 +244,35 @@ const updatePlan = asyncHandler(async (req, res) => {
             return res.json(badRequestResponse("Features must be an array of strings", "INVALID_FEATURES_TYPE"));
         }
 
+        if (updates.trialDays !== undefined && !isValidTrialDays(updates.trialDays)) {
+            return res.json(badRequestResponse(`Trial days must be a whole number between 0 and ${MAX_TRIAL_DAYS}`, "INVALID_TRIAL_DAYS"));
+        }
+
+        // Only the entitlements sent are changed
+        if (updates.entitlements !== undefined) {
+            const parsed = parseEntitlements(updates.entitlements);
+            if (parsed.error) {
+                return res.json(badRequestResponse(parsed.error, "INVALID_ENTITLEMENTS"));
+            }
+            delete updates.entitlements;
+            for (const [field, limit] of Object.entries(parsed.entitlements)) {
+                updates[`entitlements.${field}`] = limit;
+            }
+        }
+
         // Check if plan exists
         const existingPlan = await SubscriptionPlan.findById(id);
         if (!existingPlan) {
             return res.json(noContentResponse("Subscription plan not found", "PLAN_NOT_FOUND"));
         }
 
+        // Trials already running keep their length; a free plan cannot offer one
+        const newPrice = updates.price ?? existingPlan.price;
+        const newTrialDays = updates.trialDays ?? existingPlan.trialDays;
+        if (newTrialDays > 0 && newPrice <= 0) {
+            return res.json(badRequestResponse("Only paid plans can offer a free trial", "TRIAL_ON_FREE_PLAN"));
+        }
+
         // Check for conflicts if updating unique fields
         if (updates.name && updates.name !== existingPlan.name) {
             const nameConflict = await SubscriptionPlan.findOne({ name: updates.name });
@@ -301,12 +372,19 @@ const createSubscription = asyncHandler(async (req, res) => {
         // ✅ FIX: Uncomment and improve the check to prevent multiple subscriptions
         const existingSubscription = await Subscription.findOne({
             userId,
-            status: { $in: ['active', 'pending'] }
+            status: { $in: ['active', 'trialing', 'past_due', 'pending'] }
         });
 
         if (existingSubscription) {
+            const hints = {
+                active: 'Use change-plan to switch to another plan.',
+                trialing: 'Cancel the trial before creating a new subscription.',
+                past_due: 'Pay the overdue renewal with retry-payment instead.',
+                pending: 'Cancel or complete it before creating a new one.'
+            };
+            const hint = hints[existingSubscription.status];
             return res.json(badRequestResponse(
-                `User already has an ${existingSubscription.status} subscription. Cancel or complete it before creating a new one.`,
+                `User already has an ${existingSubscription.status} subscription. ${hint}`,
                 "ACTIVE_SUBSCRIPTION_EXISTS"
             ));
         }
@@ -359,6 +437,14 @@ const createSubscription = asyncHandler(async (req, res) => {
             );
         }
 
+        // Paid plans with a trial start trialing, once per user; the card is charged when it ends
+        if (canStartTrial(plan, await hasHadTrial(userId))) {
+            const subscription = await startTrial(userId, plan, startDate);
+            return res.json(
+                successResponse({ subscription }, `Free trial started, ending ${subscription.trial.endsAt.toDateString()}`)
+            );
+        }
+
         // Create subscription (simplified - no Stripe logic)
         const subscription = await Subscription.create({
             userId,
@@ -415,6 +501,38 @@ const getUserSubscription = asyncHandler(async (req, res) => {
     }
 });
 
+// Get usage of the current subscription against its plan limits
+const getSubscriptionUsage = asyncHandler(async (req, res) => {
+    try {
+        const subscription = await Subscription.findOne({
+            userId: req.user._id,
+            status: { $in: ['active', 'trialing', 'past_due'] }
+        });
+        if (!subscription) {
+            return res.json(noContentResponse("No active subscription found for this user", "ACTIVE_SUBSCRIPTION_NOT_FOUND"));
+        }
+
+        const plan = await SubscriptionPlan.findById(subscription.planId);
+        if (!plan) {
+            return res.json(badRequestResponse("Subscription plan not found", "PLAN_NOT_FOUND"));
+        }
+
+        const { period, entitlements } = await getUsageReport(subscription, plan);
+
+        res.json(
+            successResponse({
+                plan: { _id: plan._id, name: plan.name, displayName: plan.displayName },
+                period,
+                entitlements
+            }, "Subscription usage retrieved successfully")
+        );
+    } catch (error) {
+        console.error('Subscription usage error:', error);
+        if (error instanceof ApiError) throw error;
+        throw internalServer("Failed to fetch subscription usage", "SUBSCRIPTION_USAGE_ERROR");
+    }
+});
+
 // Get all subscriptions (Admin only)
 const getAllSubscriptions = asyncHandler(async (req, res) => {
     try {
@@ -430,7 +548,7 @@ const getAllSubscriptions = asyncHandler(async (req, res) => {
 
         const filter = {};
         if (status) {
-            const validStatuses = ["active", "inactive", "cancelled", "expired", "pending"];
+            const validStatuses = ["active", "trialing", "past_due", "inactive", "cancelled", "expired", "pending"];
             if (!validStatuses.includes(status)) {
                 return res.json(badRequestResponse(`Status must be one of: ${validStatuses.join(', ')}`, "INVALID_STATUS"));
             }
@@ -478,7 +596,7 @@ const updateSubscriptionStatus = asyncHandler(async (req, res) => {
             return res.json(badRequestResponse("Status is required", "MISSING_STATUS"));
         }
 
-        const validStatuses = ["active", "inactive", "cancelled", "expired", "pending"];
+        const validStatuses = ["active", "trialing", "past_due", "inactive", "cancelled", "expired", "pending"];
         if (!validStatuses.includes(status)) {
             return res.json(badRequestResponse(`Status must be one of: ${validStatuses.join(', ')}`, "INVALID_STATUS"));
         }
@@ -516,13 +634,21 @@ const cancelSubscription = asyncHandler(async (req, res) => {
 
         const subscription = await Subscription.findOne({
             userId,
-            status: 'active'
+            status: { $in: ['active', 'trialing'] }
         });
 
         if (!subscription) {
             return res.json(noContentResponse("No active subscription found for this user", "ACTIVE_SUBSCRIPTION_NOT_FOUND"));
         }
 
+        // A cancelled trial is never charged
+        if (subscription.status === 'trialing') {
+            subscription.trial.endedAt = new Date();
+            subscription.trial.outcome = 'cancelled';
+            subscription.billing.autoRenew = false;
+            subscription.billing.nextBillingDate = undefined;
+        }
+
         // Check if subscription is already being cancelled
         if (subscription.status === 'cancelled') {
             return res.json(conflictResponse("Subscription is already cancelled", "SUBSCRIPTION_ALREADY_CANCELLED"));
@@ -551,19 +677,320 @@ const cancelSubscription = asyncHandler(async (req, res) => {
     }
 });
 
+// Load the user's active subscription and the plans on both sides of a plan change
+const loadPlanChange = async (userId, planId) => {
+    if (!planId || !String(planId).match(/^[0-9a-fA-F]{24}$/)) {
+        return { error: badRequestResponse("A valid plan ID is required", "INVALID_PLAN_ID") };
+    }
+
+    const subscription = await Subscription.findOne({ userId, status: 'active' });
+    if (!subscription) {
+        return { error: noContentResponse("No active subscription found for this user", "ACTIVE_SUBSCRIPTION_NOT_FOUND") };
+    }
+
+    const [currentPlan, newPlan] = await Promise.all([
+        SubscriptionPlan.findById(subscription.planId),
+        SubscriptionPlan.findById(planId)
+    ]);
+
+    if (!currentPlan) {
+        return { error: badRequestResponse("Current subscription plan not found", "PLAN_NOT_FOUND") };
+    }
+    if (!newPlan) {
+        return { error: badRequestResponse("Subscription plan not found", "PLAN_NOT_FOUND") };
+    }
+    if (!newPlan.isActive) {
+        return { error: badRequestResponse("Subscription plan is not active", "PLAN_INACTIVE") };
+    }
+    if (currentPlan._id.equals(newPlan._id)) {
+        return { error: badRequestResponse("Subscription is already on this plan", "PLAN_UNCHANGED") };
+    }
+
+    return { subscription, currentPlan, newPlan };
+};
+
+// Proration figures returned to the client
+const formatQuote = (quote, currentPlan, newPlan) => ({
+    fromPlan: { _id: currentPlan._id, name: currentPlan.name, displayName: currentPlan.displayName, price: currentPlan.price },
+    toPlan: { _id: newPlan._id, name: newPlan.name, displayName: newPlan.displayName, price: newPlan.price },
+    currency: newPlan.currency || 'usd',
+    remainingFraction: quote.remainingFraction,
+    unusedCredit: quote.unusedCredit,
+    newPlanCost: quote.newPlanCost,
+    creditApplied: quote.creditApplied,
+    amountToCharge: quote.amountToCharge,
+    creditBalance: quote.creditBalance,
+    restartsBillingPeriod: quote.restartPeriod,
+    billing: quote.period
+});
+
+// Preview the cost of changing plan now
+const previewPlanChange = asyncHandler(async (req, res) => {
+    try {
+        const { subscription, currentPlan, newPlan, error } = await loadPlanChange(req.user._id, req.query.planId);
+        if (error) return res.json(error);
+
+        const quote = quotePlanChange(subscription, currentPlan, newPlan);
+
+        res.json(
+            successResponse({ proration: formatQuote(quote, currentPlan, newPlan) }, "Plan change preview calculated successfully")
+        );
+    } catch (error) {
+        console.error('Plan change preview error:', error);
+        if (error instanceof ApiError) throw error;
+        throw internalServer("Failed to preview plan change", "PLAN_CHANGE_PREVIEW_ERROR");
+    }
+});
+
+// Change plan, now (prorated) or at the end of the billing period
+const changePlan = asyncHandler(async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { planId, timing = 'immediately' } = req.body;
+
+        if (!PLAN_CHANGE_TIMINGS.includes(timing)) {
+            return res.json(badRequestResponse(`Timing must be one of: ${PLAN_CHANGE_TIMINGS.join(', ')}`, "INVALID_PLAN_CHANGE_TIMING"));
+        }
+
+        const { subscription, currentPlan, newPlan, error } = await loadPlanChange(userId, planId);
+        if (error) return res.json(error);
+
+        if (timing === 'period_end') {
+            // Only renewing plans have a period end at which the switch can happen
+            if (currentPlan.billingCycle !== 'monthly' || newPlan.billingCycle !== 'monthly' || !subscription.billing.autoRenew) {
+                return res.json(badRequestResponse(
+                    "Only changes between renewing monthly plans can wait for the end of the billing period",
+                    "PERIOD_END_CHANGE_NOT_SUPPORTED"
+                ));
+            }
+
+            await schedulePlanChange(subscription, currentPlan, newPlan, userId);
+
+            return res.json(
+                successResponse({
+                    subscription,
+                    effectiveAt: subscription.pendingPlanChange.effectiveAt
+                }, `Your plan will change to ${newPlan.displayName} at the end of the current billing period`)
+            );
+        }
+
+        let result;
+        try {
+            result = await changePlanNow(subscription, currentPlan, newPlan, userId);
+        } catch (changeError) {
+            if (changeError.code === 'PAYMENT_METHOD_REQUIRED') {
+                return res.json(badRequestResponse(changeError.message, changeError.code));
+            }
+            if (changeError.code === 'PLAN_CHANGE_PAYMENT_FAILED' || changeError.type?.startsWith('Stripe')) {
+                console.error('Plan change payment error:', changeError);
+                return res.json(badRequestResponse(`Payment for the plan change failed: ${changeError.message}`, "PLAN_CHANGE_PAYMENT_FAILED"));
+            }
+            throw changeError;
+        }
+
+        res.json(
+            successResponse({
+                subscription: result.subscription,
+                proration: formatQuote(result.quote, currentPlan, newPlan),
+                transactionId: result.transactionId
+            }, `Your plan has been changed to ${newPlan.displayName}`)
+        );
+    } catch (error) {
+        console.error('Plan change error:', error);
+        if (error instanceof ApiError) throw error;
+        throw internalServer("Failed to change plan", "PLAN_CHANGE_ERROR");
+    }
+});
+
+// Cancel a plan change scheduled for the end of the billing period
+const cancelPlanChange = asyncHandler(async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const subscription = await Subscription.findOne({ userId, status: 'active' });
+        if (!subscription) {
+            return res.json(noContentResponse("No active subscription found for this user", "ACTIVE_SUBSCRIPTION_NOT_FOUND"));
+        }
+        if (!subscription.pendingPlanChange?.planId) {
+            return res.json(badRequestResponse("No plan change is scheduled", "NO_PENDING_PLAN_CHANGE"));
+        }
+
+        await cancelScheduledPlanChange(subscription, userId);
+
+        res.json(
+            successResponse({ subscription }, "Scheduled plan change cancelled successfully")
+        );
+    } catch (error) {
+        if (error instanceof ApiError) throw error;throw internalServer("Failed to cancel plan change", "PLAN_CHANGE_CANCEL_ERROR");
+    }
+});
+
+// Manual retries of a past-due renewal are limited to one an hour
+const RETRY_COOLDOWN_MS = 60 * 60 * 1000;
+const DUNNING_ACTIONS = ['retry', 'extend_grace', 'mark_paid', 'expire'];
+
+// Response for a renewal charge attempted on request
+const formatRetryResult = (res, result, subscription) => {
+    if (result.renewed) {
+        return res.json(
+            successResponse({ subscription, transactionId: result.transactionId }, "Payment received, your subscription is active again")
+        );
+    }
+    return res.json(badRequestResponse(
+        `Payment failed: ${subscription.dunning?.lastError || 'the card was declined'}. You have access until ${subscription.dunning?.graceEndsAt?.toDateString()}.`,
+        "RENEWAL_PAYMENT_FAILED"
+    ));
+};
+
+// Retry the overdue renewal charge, optionally with a new payment method
+const retryPastDuePayment = asyncHandler(async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { paymentMethodId } = req.body;
+
+        const subscription = await Subscription.findOne({ userId, status: 'past_due' }).populate('planId');
+        if (!subscription) {
+            return res.json(noContentResponse("No past-due subscription found for this user", "PAST_DUE_SUBSCRIPTION_NOT_FOUND"));
+        }
+
+        const lastAttemptAt = subscription.dunning?.lastAttemptAt;
+        if (lastAttemptAt && Date.now() - new Date(lastAttemptAt).getTime() < RETRY_COOLDOWN_MS) {
+            return res.json(badRequestResponse("Payment was attempted less than an hour ago, please try again later", "RETRY_TOO_SOON"));
+        }
+
+        if (paymentMethodId) {
+            if (typeof paymentMethodId !== 'string') {
+                return res.json(badRequestResponse("Payment method ID must be a string", "INVALID_PAYMENT_METHOD"));
+            }
+            await stripe.paymentMethods.attach(paymentMethodId, { customer: subscription.billing.stripeCustomerId });
+            subscription.billing.stripePaymentMethodId = paymentMethodId;
+        }
+        if (!subscription.billing.stripeCustomerId || !subscription.billing.stripePaymentMethodId) {
+            return res.json(badRequestResponse("Add a payment method to pay for your subscription", "PAYMENT_METHOD_REQUIRED"));
+        }
+
+        const result = await renewSubscription(subscription, subscription.planId, { io: req.app.get("io") });
+
+        return formatRetryResult(res, result, subscription);
+    } catch (error) {
+        console.error('Past-due payment retry error:', error);
+        if (error instanceof ApiError) throw error;
+        if (error.type?.startsWith('Stripe')) {
+            return res.json(badRequestResponse(`Payment could not be attempted: ${error.message}`, "RENEWAL_PAYMENT_FAILED"));
+        }
+        throw internalServer("Failed to retry payment", "PAYMENT_RETRY_ERROR");
+    }
+});
+
+// Resolve a past-due subscription (Admin only)
+const resolvePastDueSubscription = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { action, days, reference, note } = req.body;
+        const adminId = req.user._id;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.json(badRequestResponse("Invalid subscription ID format", "INVALID_SUBSCRIPTION_ID"));
+        }
+        if (!DUNNING_ACTIONS.includes(action)) {
+            return res.json(badRequestResponse(`Action must be one of: ${DUNNING_ACTIONS.join(', ')}`, "INVALID_DUNNING_ACTION"));
+        }
+
+        const subscription = await Subscription.findById(id).populate('planId');
+        if (!subscription) {
+            return res.json(noContentResponse("Subscription not found", "SUBSCRIPTION_NOT_FOUND"));
+        }
+        if (subscription.status !== 'past_due') {
+            return res.json(badRequestResponse(`Subscription is ${subscription.status}, not past due`, "SUBSCRIPTION_NOT_PAST_DUE"));
+        }
+
+        const plan = subscription.planId;
+
+        // Charge the saved payment method again
+        if (action === 'retry') {
+            const result = await renewSubscription(subscription, plan, { io: req.app.get("io") });
+            return formatRetryResult(res, result, subscription);
+        }
+
+        // Give the subscriber more time to pay
+        if (action === 'extend_grace') {
+            const extraDays = Number(days);
+            if (!Number.isInteger(extraDays) || extraDays < 1 || extraDays > 30) {
+                return res.json(badRequestResponse("Days must be a whole number between 1 and 30", "INVALID_GRACE_DAYS"));
+            }
+            await extendGracePeriod(subscription, extraDays, { note, performedBy: adminId });
+            return res.json(
+                successResponse({ subscription }, `Grace period extended until ${subscription.dunning.graceEndsAt.toDateString()}`)
+            );
+        }
+
+        // Paid outside Stripe
+        if (action === 'mark_paid') {
+            if (reference && typeof reference !== 'string') {
+                return res.json(badRequestResponse("Payment reference must be a string", "INVALID_REFERENCE"));
+            }
+            await markPastDuePaid(subscription, plan, { reference, performedBy: adminId });
+            return res.json(
+                successResponse({ subscription }, "Subscription marked as paid and reactivated")
+            );
+        }
+
+        await expirePastDueSubscription(subscription, plan, {
+            note: note || 'Expired by an admin',
+            performedBy: adminId,
+            io: req.app.get("io")
+        });
+        res.json(
+            successResponse({ subscription }, "Subscription expired")
+        );
+    } catch (error) {
+        console.error('Resolve past-due subscription error:', error);
+        if (error instanceof ApiError) throw error;
+        if (error.type?.startsWith('Stripe')) {
+            return res.json(badRequestResponse(`Payment could not be attempted: ${error.message}`, "RENEWAL_PAYMENT_FAILED"));
+        }
+        throw internalServer("Failed to resolve past-due subscription", "DUNNING_RESOLVE_ERROR");
+    }
+});
+
 // ===========================================
 // PAYMENT CONTROLLERS
 // ===========================================
 
+// Stripe customer of a user, reused across their subscriptions
+const findOrCreateStripeCustomer = async (user) => {
+    const existingSubscription = await Subscription.findOne({
+        userId: user._id,
+        'billing.stripeCustomerId': { $exists: true }
+    });
+
+    if (existingSubscription?.billing?.stripeCustomerId) {
+        console.log('Using existing Stripe customer:', existingSubscription.billing.stripeCustomerId);
+        return { id: existingSubscription.billing.stripeCustomerId };
+    }
+
+    console.log('Creating new Stripe customer for user:', user._id);
+    const customer = await stripe.customers.create({
+        email: user.email,
+        name: user.fullName,
+        metadata: { userId: user._id.toString() }
+    });
+    console.log('Created Stripe customer:', customer.id);
+    return customer;
+};
+
 // Create payment intent (ENHANCED - handles Stripe customer & payment method)
 const createPaymentIntent = asyncHandler(async (req, res) => {
     try {
-        const { subscriptionId } = req.body;
+        const { subscriptionId, couponCode } = req.body;
         const userId = req.user._id;
 
         if (!subscriptionId) {
             return res.json(badRequestResponse("Subscription ID is required", "MISSING_SUBSCRIPTION_ID"));
         }
+        if (couponCode !== undefined && couponCode !== null && typeof couponCode !== 'string') {
+            return res.json(badRequestResponse("Coupon code must be a string", "INVALID_COUPON_CODE"));
+        }
 
         if (!subscriptionId.match(/^[0-9a-fA-F]{24}$/)) {
             return res.json(badRequestResponse("Invalid subscription ID format", "INVALID_SUBSCRIPTION_ID"));
@@ -600,46 +1027,58 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
             );
         }
 
+        // A new checkout replaces the previous one and gives back the coupon it held
+        if (subscription.discount?.paymentIntentId) {
+            await releaseCouponReservation(subscription.discount.paymentIntentId);
+        }
+
+        // Apply the coupon entered at checkout
+        let coupon = null;
+        let discount = null;
+        if (couponCode) {
+            const priced = await priceCoupon({ code: couponCode, userId, plan });
+            if (priced.error) {
+                return res.json(badRequestResponse(priced.error, priced.code));
+            }
+            ({ coupon, discount } = priced);
+
+            // Hold one redemption for this checkout until it is paid or released
+            if (!(await reserveCoupon(coupon))) {
+                return res.json(badRequestResponse("This coupon has been fully redeemed", "COUPON_REDEMPTION_LIMIT_REACHED"));
+            }
+        }
+        const amountToCharge = discount ? discount.finalAmount : plan.price;
+
         // ✅ NEW: Create Stripe customer and payment intent together
         try {
             // Check if Stripe is properly configured
             if (!stripe) {
                 console.error('Stripe not configured');
+                if (coupon) await releaseCoupon(coupon._id);
                 return res.json(badRequestResponse("Payment service not available", "STRIPE_NOT_CONFIGURED"));
             }
 
             // Create or get existing Stripe customer
-            let customer;
-            const existingSubscription = await Subscription.findOne({
-                userId,
-                'billing.stripeCustomerId': { $exists: true }
-            });
-
-            if (existingSubscription?.billing?.stripeCustomerId) {
-                customer = { id: existingSubscription.billing.stripeCustomerId };
-                console.log('Using existing Stripe customer:', customer.id);
-            } else {
-                console.log('Creating new Stripe customer for user:', userId);
-                customer = await stripe.customers.create({
-                    email: req.user.email,
-                    name: req.user.fullName,
-                    metadata: { userId: userId.toString() }
-                });
-                console.log('Created Stripe customer:', customer.id);
-            }
+            const customer = await findOrCreateStripeCustomer(req.user);
 
             // Create payment intent (customer will provide payment method on frontend)
-            console.log('Creating payment intent for plan:', plan.name, 'amount:', plan.price);
+            console.log('Creating payment intent for plan:', plan.name, 'amount:', amountToCharge);
             const paymentIntent = await stripe.paymentIntents.create({
-                amount: Math.round(plan.price * 100),
+                amount: Math.round(amountToCharge * 100),
                 currency: (plan.currency || 'usd').toLowerCase(),
                 customer: customer.id,
                 payment_method_types: ['card'],
                 setup_future_usage: plan.billingCycle === 'monthly' ? 'off_session' : undefined,
+                description: discount ? `${plan.displayName} (coupon ${coupon.code}: -${discount.discountAmount.toFixed(2)})` : undefined,
                 metadata: {
                     subscriptionId: subscription._id.toString(),
                     userId: userId.toString(),
-                    planType: plan.billingCycle
+                    planType: plan.billingCycle,
+                    ...(discount && {
+                        couponCode: coupon.code,
+                        originalAmount: discount.originalAmount.toFixed(2),
+                        discountAmount: discount.discountAmount.toFixed(2)
+                    })
                 }
             });
 
@@ -647,17 +1086,26 @@ const createPaymentIntent = asyncHandler(async (req, res) => {
 
             // ✅ Update subscription with Stripe customer ID
             subscription.billing.stripeCustomerId = customer.id;
+            // The discount belongs to this payment intent only; a new checkout without a coupon clears it
+            subscription.discount = discount
+                ? { coupon: coupon._id, code: coupon.code, ...discount, paymentIntentId: paymentIntent.id, appliedAt: new Date() }
+                : undefined;
             await subscription.save();
+            if (discount) await recordCouponReservation(subscription);
 
             res.json(
                 successResponse({
                     clientSecret: paymentIntent.client_secret,
                     paymentIntentId: paymentIntent.id,
-                    customerId: customer.id
+                    customerId: customer.id,
+                    amount: amountToCharge,
+                    currency: (plan.currency || 'usd').toLowerCase(),
+                    discount: discount ? { code: coupon.code, ...discount } : null
                 }, "Payment intent created successfully")
             );
         } catch (stripeError) {
             console.error('Stripe error in createPaymentIntent:', stripeError);
+            if (coupon) await releaseCoupon(coupon._id);
             return res.json(badRequestResponse(`Stripe error: ${stripeError.message}`, "STRIPE_PAYMENT_INTENT_ERROR"));
         }
     } catch (error) {
@@ -720,6 +1168,7 @@ const confirmPayment = asyncHandler(async (req, res) => {
                 };
                 
                 subscription.payments.push(paymentRecord);
+                subscription.billing.amountPaid = paymentRecord.amount;
                 console.log('🔍 Added payment record:', paymentRecord);
 
                 // ✅ Store the Stripe PaymentMethod ID for renewals
@@ -766,6 +1215,22 @@ const confirmPayment = asyncHandler(async (req, res) => {
                     // Don't fail the payment for user update errors
                 }
 
+                // ✅ Count the coupon used at checkout
+                try {
+                    await redeemCoupon(subscription, paymentIntent.id);
+                } catch (couponError) {
+                    console.error('❌ Coupon redemption error:', couponError);
+                    // Don't fail the payment for coupon errors
+                }
+
+                // ✅ Issue the invoice (emailed to the user)
+                try {
+                    await issueInvoiceForTransaction(subscription, paymentIntent.id, 'subscription_create');
+                } catch (invoiceError) {
+                    console.error('❌ Invoice error:', invoiceError);
+                    // Don't fail the payment for invoice errors
+                }
+
                 // ✅ Send success notification
                 try {
                     await Notification.create({
@@ -851,6 +1316,85 @@ const confirmPayment = asyncHandler(async (req, res) => {
     }
 });
 
+// Start saving a card for the end of a free trial (confirmed on the frontend with Stripe.js)
+const createTrialSetupIntent = asyncHandler(async (req, res) => {
+    try {
+        const subscription = await Subscription.findOne({ userId: req.user._id, status: 'trialing' });
+        if (!subscription) {
+            return res.json(noContentResponse("No free trial found for this user", "TRIAL_NOT_FOUND"));
+        }
+
+        const customer = await findOrCreateStripeCustomer(req.user);
+        const setupIntent = await stripe.setupIntents.create({
+            customer: customer.id,
+            payment_method_types: ['card'],
+            usage: 'off_session',
+            metadata: {
+                subscriptionId: subscription._id.toString(),
+                userId: req.user._id.toString(),
+                purpose: 'trial_payment_method'
+            }
+        });
+
+        subscription.billing.stripeCustomerId = customer.id;
+        await subscription.save();
+
+        res.json(
+            successResponse({
+                clientSecret: setupIntent.client_secret,
+                setupIntentId: setupIntent.id,
+                customerId: customer.id,
+                trialEndsAt: subscription.trial.endsAt
+            }, "Setup intent created successfully")
+        );
+    } catch (error) {
+        console.error('Trial setup intent error:', error);
+        if (error instanceof ApiError) throw error;
+        if (error.type?.startsWith('Stripe')) {
+            return res.json(badRequestResponse(`Stripe error: ${error.message}`, "STRIPE_SETUP_INTENT_ERROR"));
+        }
+        throw internalServer("Failed to create setup intent", "SETUP_INTENT_CREATION_ERROR");
+    }
+});
+
+// Save the card confirmed for a free trial; it is charged when the trial ends
+const saveTrialPaymentMethod = asyncHandler(async (req, res) => {
+    try {
+        const { setupIntentId } = req.body;
+        if (!setupIntentId || typeof setupIntentId !== 'string') {
+            return res.json(badRequestResponse("SetupIntent ID is required", "MISSING_SETUP_INTENT_ID"));
+        }
+
+        const subscription = await Subscription.findOne({ userId: req.user._id, status: 'trialing' });
+        if (!subscription) {
+            return res.json(noContentResponse("No free trial found for this user", "TRIAL_NOT_FOUND"));
+        }
+
+        const setupIntent = await stripe.setupIntents.retrieve(setupIntentId);
+        if (setupIntent.metadata?.subscriptionId !== subscription._id.toString()) {
+            return res.json(badRequestResponse("SetupIntent does not belong to this subscription", "SETUP_INTENT_MISMATCH"));
+        }
+        if (setupIntent.status !== 'succeeded') {
+            return res.json(badRequestResponse(`Card setup not completed. Status: ${setupIntent.status}`, "SETUP_INTENT_NOT_SUCCEEDED"));
+        }
+
+        subscription.billing.stripeCustomerId = setupIntent.customer;
+        subscription.billing.stripePaymentMethodId = setupIntent.payment_method;
+        await subscription.save();
+
+        res.json(
+            successResponse({ subscription }, `Card saved. It will be charged when your trial ends on ${subscription.trial.endsAt.toDateString()}`)
+        );
+    } catch (error) {
+        console.error('Trial payment method error:', error);
+        if (error instanceof ApiError) throw error;
+        if (error.type?.startsWith('Stripe')) {
+            return res.json(badRequestResponse(`Stripe error: ${error.message}`, "STRIPE_SETUP_INTENT_ERROR"));
+        }
+        throw internalServer("Failed to save payment method", "PAYMENT_METHOD_SAVE_ERROR");
+    }
+});
+
 // Get subscription usage/stats
 const getSubscriptionStats = asyncHandler(async (req, res) => {
     try {
@@ -929,12 +1473,20 @@ export {
     // Subscription controllers
     createSubscription,
     getUserSubscription,
+    getSubscriptionUsage,
     getAllSubscriptions,
     updateSubscriptionStatus,
     cancelSubscription,
+    previewPlanChange,
+    changePlan,
+    cancelPlanChange,
+    retryPastDuePayment,
+    resolvePastDueSubscription,
     
     // Payment controllers
     createPaymentIntent,
     confirmPayment,
+    createTrialSetupIntent,
+    saveTrialPaymentMethod,
     getSubscriptionStats
 };
@@ -1,471 +1,150 @@
-import stripe from "../config/stripe.config.js";
-import { Subscription, SubscriptionPlan, User, Notification } from "../models/index.js";
+/**
+ * WEBHOOK CONTROLLERS
+ *
+ * Stripe posts payment and subscription events to the webhook endpoint. Only
+ * deliveries with a valid Stripe-Signature are accepted, and every event is
+ * recorded in the StripeEvent ledger so a redelivery is never applied twice.
+ * The HTTP status is what Stripe acts on: anything but 2xx is retried.
+ *
+ * Admins can list recorded events and re-process the ones that failed.
+ */
+
+import { StripeEvent } from "../models/index.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { ApiError } from "../utils/ApiError.js";
-import { successResponse } from "../utils/ApiResponse.js";
+import { internalServer } from "../utils/ApiError.js";
+import {
+    successResponse,
+    badRequestResponse,
+    notFoundResponse,
+    conflictResponse
+} from "../utils/ApiResponse.js";
+import { STRIPE_EVENT_STATUSES } from "../utils/stripeEvents.js";
+import {
+    constructStripeEvent,
+    processStripeEvent,
+    reprocessStripeEvent
+} from "../services/stripeWebhook.service.js";
+
+// ===== HELPERS =====
+
+// Ledger entry without the full payload, for listings
+const formatEvent = (entry) => ({
+    _id: entry._id,
+    eventId: entry.eventId,
+    type: entry.type,
+    livemode: entry.livemode,
+    status: entry.status,
+    attempts: entry.attempts,
+    lastError: entry.lastError || null,
+    stripeCreatedAt: entry.stripeCreatedAt,
+    lastAttemptAt: entry.lastAttemptAt,
+    processedAt: entry.processedAt || null,
+    createdAt: entry.createdAt
+});
 
-// Main Stripe webhook handler
+// ===============================
+// STRIPE WEBHOOK
+// ===============================
 const handleStripeWebhook = async (req, res) => {
-  try {
-    const event = req.body; // Parsed Stripe event
-
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        const subscriptionId = paymentIntent.metadata.subscriptionId;
-        const userId = paymentIntent.metadata.userId;
-
-        if (subscriptionId && userId) {
-          const subscription = await Subscription.findById(subscriptionId);
-          if (subscription) {
-            // ✅ Prevent duplicate payment records
-            const alreadyExists = subscription.payments.some(
-              p => p.transactionId === paymentIntent.id
-            );
-
-            if (!alreadyExists) {
-              // Add payment record only if not already present
-              const paymentRecord = {
-                amount: paymentIntent.amount / 100,
-                currency: paymentIntent.currency,
-                paymentDate: new Date(),
-                paymentMethod: 'card',
-                transactionId: paymentIntent.id,
-                status: 'completed'
-              };
-              subscription.payments.push(paymentRecord);
-
-              // ✅ Update nextBillingDate for monthly plans
-              const plan = await SubscriptionPlan.findById(subscription.planId);
-              if (plan && plan.billingCycle === 'monthly') {
-  const currentNextBilling = subscription.billing.nextBillingDate
-    ? new Date(subscription.billing.nextBillingDate)
-    : new Date();
-  currentNextBilling.setMonth(currentNextBilling.getMonth() + 1);
-  subscription.billing.nextBillingDate = currentNextBilling;
-  subscription.billing.endDate = currentNextBilling;
-}
-              console.log('✅ Webhook - Added payment record:', paymentRecord);
-            } else {
-              console.log('⚠️ Payment record already exists for this transactionId, skipping duplicate.');
-            }
-
-            // ✅ Update subscription status
-            subscription.status = 'active';
-
-            // ✅ Store payment method ID for renewals
-            if (paymentIntent.payment_method) {
-              subscription.billing.stripePaymentMethodId = paymentIntent.payment_method;
-              console.log('✅ Webhook - Set payment method ID:', paymentIntent.payment_method);
-            } else {
-              console.warn('⚠️ Webhook - PaymentIntent has no payment_method');
-            }
-
-            try {
-              await subscription.save();
-              console.log('✅ Webhook - Subscription saved successfully');
-            } catch (saveError) {
-              console.error('❌ Webhook - Subscription save error:', saveError);
-              return res.status(400).json({ error: 'Failed to save subscription' });
-            }
-
-            // ✅ Update user role based on plan
-            try {
-              const plan = await SubscriptionPlan.findById(subscription.planId);
-              let userUpdate = { status: 'approved' };
-              
-              if (plan?.name === "learner") {
-                userUpdate.role = "student";
-              } else if (plan?.name === "employer") {
-                userUpdate.role = "employer";
-              } else if (plan?.name === "trainingInstitue") {
-                userUpdate.role = "school";
-              }
-
-              await User.findByIdAndUpdate(userId, userUpdate);
-              console.log('✅ Webhook - User role updated:', userUpdate);
-            } catch (userError) {
-              console.error('❌ Webhook - User update error:', userError);
-            }
-
-            // ✅ Send notification
-            try {
-              const user = await User.findById(userId).select('fullName').lean();
-              if (user) {
-                await createNotification({
-                  recipient: userId,
-                  title: "Payment Successful",
-                  message: "Your payment has been confirmed, and your subscription is now active.",
-                  type: "payment_success",
-                  priority: "normal",
-                });
-              }
-            } catch (notifError) {
-              console.error('❌ Webhook - Notification error:', notifError);
-            }
-          }
-
-          console.log(`✅ Webhook - Updated subscription ${subscriptionId} to active`);
-        }
-        break;
-
-      case 'payment_intent.payment_failed':
-        const failedPaymentIntent = event.data.object;
-        await handlePaymentIntentFailed(failedPaymentIntent);
-        break;
-
-      case 'invoice.payment_succeeded':
-        const invoice = event.data.object;
-        await handleInvoicePaymentSucceededWebhook(invoice);
-        break;
-
-      case 'invoice.payment_failed':
-        const failedInvoice = event.data.object;
-        await handleInvoicePaymentFailedWebhook(failedInvoice);
-        break;
-
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+    let event;
+    try {
+        event = constructStripeEvent(req.body, req.headers["stripe-signature"]);
+    } catch (error) {
+        console.error("Rejected Stripe webhook:", error.message);
+        return res.status(400).json({ error: "Invalid webhook signature" });
     }
 
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(400).json({ error: 'Webhook handler failed' });
-  }
-};
-
-// Handle successful payment intent
-const handlePaymentIntentSucceeded = async (paymentIntent) => {
     try {
-        const { metadata } = paymentIntent;
-        
-        if (metadata.subscriptionId) {
-            const subscription = await Subscription.findById(metadata.subscriptionId);
-            
-            if (subscription) {
-                // Update subscription status to active
-                subscription.status = 'active';
-                subscription.payments.push({
-                    amount: paymentIntent.amount / 100, // Convert from cents
-                    currency: paymentIntent.currency,
-                    paymentMethod: 'stripe',
-                    transactionId: paymentIntent.id,
-                    status: 'completed',
-                    paidAt: new Date()
-                });
-                
-                await subscription.save();
+        const { status } = await processStripeEvent(event, req.app.get("io"));
 
-                // Create notification for user
-                await createNotification(
-                    subscription.userId,
-                    'payment_success',
-                    'Payment Successful',
-                    `Your payment of ${paymentIntent.currency.toUpperCase()} ${(paymentIntent.amount / 100).toFixed(2)} has been processed successfully.`,
-                    { paymentIntentId: paymentIntent.id, subscriptionId: subscription._id }
-                );}
+        // Another delivery of this event is being handled right now; Stripe will retry
+        if (status === "in_progress") {
+            return res.status(409).json({ error: "Event is already being processed" });
         }
-    } catch (error) {}
-};
-
-// Handle failed payment intent
-const handlePaymentIntentFailed = async (paymentIntent) => {
-    try {
-        const { metadata } = paymentIntent;
-        
-        if (metadata.subscriptionId) {
-            const subscription = await Subscription.findById(metadata.subscriptionId);
-            
-            if (subscription) {
-                // Add failed payment record
-                subscription.payments.push({
-                    amount: paymentIntent.amount / 100,
-                    currency: paymentIntent.currency,
-                    paymentMethod: 'stripe',
-                    transactionId: paymentIntent.id,
-                    status: 'failed',
-                    paidAt: new Date()
-                });
-                
-                await subscription.save();
 
-                // Create notification for user
-                await createNotification(
-                    subscription.userId,
-                    'payment_failed',
-                    'Payment Failed',
-                    `Your payment of ${paymentIntent.currency.toUpperCase()} ${(paymentIntent.amount / 100).toFixed(2)} could not be processed. Please update your payment method.`,
-                    { paymentIntentId: paymentIntent.id, subscriptionId: subscription._id }
-                );}
-        }
-    } catch (error) {}
+        return res.status(200).json({ received: true, duplicate: status === "duplicate" });
+    } catch (error) {
+        console.error(`Stripe webhook ${event.id} (${event.type}) failed:`, error);
+        return res.status(500).json({ error: "Webhook handler failed" });
+    }
 };
 
-// Handle invoice payment succeeded
-const handleInvoicePaymentSucceededWebhook = async (invoice) => {
+// ===============================
+// LIST STRIPE EVENTS (ADMIN)
+// ===============================
+const getStripeEvents = asyncHandler(async (req, res) => {
     try {
-        const { subscription: stripeSubscriptionId, customer } = invoice;
-        
-        // Find subscription by Stripe subscription ID or customer ID
-        const subscription = await Subscription.findOne({
-            $or: [
-                { 'metadata.stripeSubscriptionId': stripeSubscriptionId },
-                { 'metadata.stripeCustomerId': customer }
-            ]
-        });
+        const { status, type, page = 1, limit = 20 } = req.query;
 
-        if (subscription) {
-            // Update subscription status and add payment record
-            subscription.status = 'active';
-            subscription.payments.push({
-                amount: invoice.amount_paid / 100,
-                currency: invoice.currency,
-                paymentMethod: 'stripe',
-                transactionId: invoice.id,
-                status: 'completed',
-                paidAt: new Date(invoice.status_transitions.paid_at * 1000)
-            });
+        if (status && !STRIPE_EVENT_STATUSES.includes(status)) {
+            return res.json(badRequestResponse(`Status must be one of: ${STRIPE_EVENT_STATUSES.join(", ")}`));
+        }
 
-            // Update next billing date
-            if (invoice.period_end) {
-                subscription.billing.nextBillingDate = new Date(invoice.period_end * 1000);
+        const filter = {};
+        if (status) filter.status = status;
+        if (type) filter.type = String(type);
+
+        const pageNum = Math.max(1, parseInt(page) || 1);
+        const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+        const [events, total] = await Promise.all([
+            StripeEvent.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select("-payload"),
+            StripeEvent.countDocuments(filter)
+        ]);
+
+        return res.json(successResponse({
+            events: events.map(formatEvent),
+            pagination: {
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum),
+                limit: limitNum
             }
+        }, "Stripe events retrieved successfully"));
+    } catch (error) {
+        console.error("Error fetching Stripe events:", error);
+        throw internalServer("Failed to fetch Stripe events");
+    }
+});
 
-            await subscription.save();
-
-            // Create notification
-            await createNotification(
-                subscription.userId,
-                'invoice_paid',
-                'Invoice Paid Successfully',
-                `Your invoice for ${invoice.currency.toUpperCase()} ${(invoice.amount_paid / 100).toFixed(2)} has been paid successfully.`,
-                { invoiceId: invoice.id, subscriptionId: subscription._id }
-            );
-        }
-    } catch (error) {}
-};
-
-// Handle invoice payment failed
-const handleInvoicePaymentFailedWebhook = async (invoice) => {
+// ===============================
+// REPROCESS STRIPE EVENT (ADMIN)
+// ===============================
+const reprocessStripeEventById = asyncHandler(async (req, res) => {
     try {
-        const { subscription: stripeSubscriptionId, customer } = invoice;
-        
-        const subscription = await Subscription.findOne({
-            $or: [
-                { 'metadata.stripeSubscriptionId': stripeSubscriptionId },
-                { 'metadata.stripeCustomerId': customer }
-            ]
-        });
-
-        if (subscription) {
-            // Add failed payment record
-            subscription.payments.push({
-                amount: invoice.amount_due / 100,
-                currency: invoice.currency,
-                paymentMethod: 'stripe',
-                transactionId: invoice.id,
-                status: 'failed',
-                paidAt: new Date()
-            });
-
-            await subscription.save();
-
-            // Create notification
-            await createNotification(
-                subscription.userId,
-                'invoice_failed',
-                'Invoice Payment Failed',
-                `Your invoice payment of ${invoice.currency.toUpperCase()} ${(invoice.amount_due / 100).toFixed(2)} failed. Please update your payment method.`,
-                { invoiceId: invoice.id, subscriptionId: subscription._id }
-            );
+        const entry = await StripeEvent.findOne({ eventId: req.params.eventId });
+        if (!entry) {
+            return res.json(notFoundResponse("Stripe event not found"));
         }
-    } catch (error) {}
-};
-
-// Handle customer subscription updated
-const handleCustomerSubscriptionUpdated = async (stripeSubscription) => {
-    try {
-        const subscription = await Subscription.findOne({
-            'metadata.stripeSubscriptionId': stripeSubscription.id
-        });
-
-        if (subscription) {
-            // Update subscription status based on Stripe status
-            const statusMap = {
-                'active': 'active',
-                'canceled': 'cancelled',
-                'incomplete': 'pending',
-                'incomplete_expired': 'expired',
-                'past_due': 'inactive',
-                'unpaid': 'inactive'
-            };
-
-            const newStatus = statusMap[stripeSubscription.status] || 'inactive';
-            
-            if (subscription.status !== newStatus) {
-                subscription.status = newStatus;
-                await subscription.save();
-
-                // Create notification
-                await createNotification(
-                    subscription.userId,
-                    'subscription_updated',
-                    'Subscription Updated',
-                    `Your subscription status has been updated to ${newStatus}.`,
-                    { subscriptionId: subscription._id, stripeStatus: stripeSubscription.status }
-                );
-            }
+        if (entry.status !== "failed") {
+            return res.json(badRequestResponse(`Only failed events can be re-processed; this one is ${entry.status}`));
         }
-    } catch (error) {}
-};
-
-// Handle customer subscription deleted
-const handleCustomerSubscriptionDeleted = async (stripeSubscription) => {
-    try {
-        const subscription = await Subscription.findOne({
-            'metadata.stripeSubscriptionId': stripeSubscription.id
-        });
 
-        if (subscription) {
-            subscription.status = 'cancelled';
-            subscription.cancellation = {
-                cancelledAt: new Date(),
-                reason: 'Cancelled via Stripe'
-            };
-            
-            await subscription.save();
-
-            // Create notification
-            await createNotification(
-                subscription.userId,
-                'subscription_cancelled',
-                'Subscription Cancelled',
-                'Your subscription has been cancelled. You will continue to have access until the end of your current billing period.',
-                { subscriptionId: subscription._id }
-            );
+        let result;
+        try {
+            result = await reprocessStripeEvent(entry, req.app.get("io"));
+        } catch (error) {
+            console.error(`Re-processing Stripe event ${entry.eventId} failed:`, error);
+            return res.json(badRequestResponse(`Event failed again: ${error.message}`));
         }
-    } catch (error) {}
-};
-
-// Handle subscription trial will end
-const handleSubscriptionTrialWillEnd = async (stripeSubscription) => {
-    try {
-        const subscription = await Subscription.findOne({
-            'metadata.stripeSubscriptionId': stripeSubscription.id
-        });
 
-        if (subscription) {
-            // Create notification
-            await createNotification(
-                subscription.userId,
-                'trial_ending',
-                'Trial Ending Soon',
-                'Your trial period will end soon. Please add a payment method to continue your subscription.',
-                { 
-                    subscriptionId: subscription._id,
-                    trialEnd: new Date(stripeSubscription.trial_end * 1000)
-                }
-            );
+        if (!result) {
+            return res.json(conflictResponse("This event is already being processed"));
         }
-    } catch (error) {}
-};
-
-// Helper function to create notifications
-const createNotification = async (userId, type, title, message, metadata = {}) => {
-    try {
-        await Notification.create({
-            userId,
-            type,
-            title,
-            message,
-            metadata,
-            isRead: false
-        });
-    } catch (error) {}
-};
-
-// Test webhook handlers (for development)
-const handlePaymentSuccess = asyncHandler(async (req, res) => {
-    const { subscriptionId, paymentIntentId } = req.body;
-    
-    await handlePaymentIntentSucceeded({
-        id: paymentIntentId,
-        amount: 2999, // $29.99 in cents
-        currency: 'usd',
-        metadata: { subscriptionId }
-    });
-
-    res.status(200).json(
-        new successResponse(200, null, "Payment success webhook processed")
-    );
-});
-
-const handlePaymentFailed = asyncHandler(async (req, res) => {
-    const { subscriptionId, paymentIntentId } = req.body;
-    
-    await handlePaymentIntentFailed({
-        id: paymentIntentId,
-        amount: 2999,
-        currency: 'usd',
-        metadata: { subscriptionId }
-    });
-
-    res.status(200).json(
-        new successResponse(200, null, "Payment failed webhook processed")
-    );
-});
-
-const handleSubscriptionUpdated = asyncHandler(async (req, res) => {
-    const { subscriptionId, status } = req.body;
-    
-    await handleCustomerSubscriptionUpdated({
-        id: subscriptionId,
-        status: status || 'active'
-    });
-
-    res.status(200).json(
-        new successResponse(200, null, "Subscription updated webhook processed")
-    );
-});
-
-const handleInvoicePaymentSucceeded = asyncHandler(async (req, res) => {
-    const { subscriptionId, invoiceId } = req.body;
-    
-    await handleInvoicePaymentSucceededWebhook({
-        id: invoiceId,
-        subscription: subscriptionId,
-        amount_paid: 2999,
-        currency: 'usd',
-        status_transitions: { paid_at: Math.floor(Date.now() / 1000) },
-        period_end: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // +30 days
-    });
 
-    res.status(200).json(
-        new successResponse(200, null, "Invoice payment succeeded webhook processed")
-    );
-});
-
-const handleInvoicePaymentFailed = asyncHandler(async (req, res) => {
-    const { subscriptionId, invoiceId } = req.body;
-    
-    await handleInvoicePaymentFailedWebhook({
-        id: invoiceId,
-        subscription: subscriptionId,
-        amount_due: 2999,
-        currency: 'usd'
-    });
-
-    res.status(200).json(
-        new successResponse(200, null, "Invoice payment failed webhook processed")
-    );
+        return res.json(successResponse({ event: formatEvent(result.entry) }, "Event re-processed successfully"));
+    } catch (error) {
+        console.error("Error re-processing Stripe event:", error);
+        throw internalServer("Failed to re-process Stripe event");
+    }
 });
 
 export {
     handleStripeWebhook,
-    handlePaymentSuccess,
-    handlePaymentFailed,
-    handleSubscriptionUpdated,
-    handleInvoicePaymentSucceeded,
-    handleInvoicePaymentFailed
+    getStripeEvents,
+    reprocessStripeEventById
 };
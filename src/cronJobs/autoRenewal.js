@@ -1,185 +1,130 @@
 import cron from 'node-cron';
 import { Subscription, SubscriptionPlan } from '../models/index.js';
-import stripe from '../config/stripe.config.js';
+import { applyScheduledPlanChange } from '../services/planChange.service.js';
+import {
+    renewSubscription,
+    findDueRetries,
+    expireLapsedSubscriptions
+} from '../services/subscriptionRenewal.service.js';
+import { sendDueTrialReminders, endFinishedTrials } from '../services/trial.service.js';
+
+// Charge one subscription and tally the outcome; temporary errors are left for the next run
+const processRenewal = async (subscription, plan, now, results) => {
+    try {
+        console.log(`💳 Processing renewal for subscription ${subscription._id}`);
+        console.log(`   - User: ${subscription.userId}`);
+        console.log(`   - Plan: ${plan.name} ($${plan.price})`);
+        console.log(`   - Next billing date: ${subscription.billing.nextBillingDate}`);
+
+        const { renewed, transactionId, stage } = await renewSubscription(subscription, plan, { now });
+
+        if (renewed) {
+            console.log(`✅ Successfully renewed subscription ${subscription._id}`);
+            console.log(`   - New end date: ${subscription.billing.endDate}`);
+            console.log(`   - Transaction ID: ${transactionId || 'account credit'}`);
+            results.successCount++;
+        } else {
+            console.log(`❌ Payment not successful for subscription ${subscription._id} (${stage})`);
+            console.log(`   - Next retry: ${subscription.dunning?.nextRetryAt || 'none, grace period only'}`);
+            console.log(`   - Grace period ends: ${subscription.dunning?.graceEndsAt}`);
+            results.failureCount++;
+        }
+    } catch (paymentError) {
+        console.error(`💥 Error processing renewal for subscription ${subscription._id}:`, paymentError.message);
+        console.log(`🔄 Temporary error, will retry next time: ${paymentError.message}`);
+    }
+};
+
+// Due renewals, dunning retries, lapsed grace periods and free trials
+const runRenewals = async () => {
+    const now = new Date();
+    const tomorrow = new Date(now);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const results = {
+        successCount: 0,
+        failureCount: 0,
+        retriedCount: 0,
+        expiredCount: 0,
+        trialRemindersCount: 0,
+        trialsConvertedCount: 0,
+        trialsExpiredCount: 0
+    };
+
+    // Find subscriptions due for renewal (next billing date is today or past)
+    const subscriptions = await Subscription.find({
+        'billing.autoRenew': true,
+        'billing.nextBillingDate': { $lte: tomorrow },
+        status: 'active',
+        'billing.stripeCustomerId': { $exists: true },
+        'billing.stripePaymentMethodId': { $exists: true }
+    }).populate('planId');
+
+    console.log(`📋 Found ${subscriptions.length} subscriptions for renewal`);
+
+    for (const subscription of subscriptions) {
+        let plan = subscription.planId;
+
+        // A plan change scheduled for the end of this period applies before the renewal is charged
+        if (subscription.pendingPlanChange?.planId) {
+            try {
+                const newPlan = await SubscriptionPlan.findById(subscription.pendingPlanChange.planId);
+                if (await applyScheduledPlanChange(subscription, newPlan, tomorrow)) {
+                    plan = newPlan;
+                    console.log(`🔀 Switched subscription ${subscription._id} to plan ${plan.name}`);
+                }
+            } catch (planChangeError) {
+                console.error(`💥 Error applying plan change for subscription ${subscription._id}:`, planChangeError.message);
+            }
+        }
+
+        // Skip if plan is invalid or free
+        if (!plan || plan.price <= 0) {
+            console.log(`⏭️ Skipping subscription ${subscription._id} - invalid or free plan`);
+            continue;
+        }
+
+        await processRenewal(subscription, plan, now, results);
+
+        // Small delay between processing subscriptions to avoid rate limits
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    // Past-due subscriptions whose next retry is due
+    const retries = await findDueRetries(now);
+    console.log(`📋 Found ${retries.length} past-due subscriptions to retry`);
+
+    for (const subscription of retries) {
+        const plan = subscription.planId;
+        if (!plan || plan.price <= 0) continue;
+
+        results.retriedCount++;
+        await processRenewal(subscription, plan, now, results);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    // Grace period over without payment
+    results.expiredCount = await expireLapsedSubscriptions(now);
+
+    // Free trials: reminders before the end, then charge the saved card or expire
+    results.trialRemindersCount = await sendDueTrialReminders(now);
+    const trials = await endFinishedTrials(now);
+    results.trialsConvertedCount = trials.converted;
+    results.trialsExpiredCount = trials.expired;
+
+    return results;
+};
 
 const autoRenewalJob = () => {
     // Run daily at 2 AM (adjust as needed)
     cron.schedule('0 2 * * *', async () => {
         console.log('🔄 Running auto-renewal cron job...');
-        
-        try {
-            const now = new Date();
-            const tomorrow = new Date(now);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            
-            // Find subscriptions due for renewal (next billing date is today or past)
-            const subscriptions = await Subscription.find({
-                'billing.autoRenew': true,
-                'billing.nextBillingDate': { $lte: tomorrow },
-                status: 'active',
-                'billing.stripeCustomerId': { $exists: true },
-                'billing.stripePaymentMethodId': { $exists: true }
-            }).populate('planId');
-            
-            console.log(`📋 Found ${subscriptions.length} subscriptions for renewal`);
-
-            let successCount = 0;
-            let failureCount = 0;
 
-            for (const subscription of subscriptions) {
-                const plan = subscription.planId;
-                
-                // Skip if plan is invalid or free
-                if (!plan || plan.price <= 0) {
-                    console.log(`⏭️ Skipping subscription ${subscription._id} - invalid or free plan`);
-                    continue;
-                }
-                
-                try {
-                    console.log(`💳 Processing renewal for subscription ${subscription._id}`);
-                    console.log(`   - User: ${subscription.userId}`);
-                    console.log(`   - Plan: ${plan.name} ($${plan.price})`);
-                    console.log(`   - Next billing date: ${subscription.billing.nextBillingDate}`);
-                    
-                    // Create payment intent for renewal
-                    const paymentIntent = await stripe.paymentIntents.create({
-                        amount: Math.round(plan.price * 100), // Convert to cents
-                        currency: plan.currency || 'usd',
-                        customer: subscription.billing.stripeCustomerId,
-                        payment_method: subscription.billing.stripePaymentMethodId,
-                        off_session: true, // Indicates this is for a payment without customer present
-                        confirm: true,
-                        metadata: {
-                            subscriptionId: subscription._id.toString(),
-                            renewalDate: now.toISOString(),
-                            planId: plan._id.toString(),
-                            userId: subscription.userId.toString()
-                        }
-                    });
-                    
-                    if (paymentIntent.status === 'succeeded') {
-                        // Payment successful - extend subscription
-                        const currentNextBilling = new Date(subscription.billing.nextBillingDate);
-                        const newNextBilling = new Date(currentNextBilling);
-                        newNextBilling.setMonth(newNextBilling.getMonth() + 1);
-                        
-                        const newEndDate = new Date(newNextBilling);
-                        
-                        // Update subscription
-                        subscription.billing.endDate = newEndDate;
-                        subscription.billing.nextBillingDate = newEndDate;
-                        subscription.billing.lastBillingDate = now;
-                        
-                        const alreadyExists = subscription.payments.some(
-                          p => p.transactionId === paymentIntent.id
-                        );
+        try {
+            const results = await runRenewals();
 
-                        if (!alreadyExists) {
-                          // Add payment record
-                          subscription.payments.push({
-                              amount: plan.price,
-                              currency: plan.currency || 'usd',
-                              paymentDate: now,
-                              paymentMethod: 'stripe',
-                              transactionId: paymentIntent.id,
-                              status: 'completed'
-                          });
-                          await subscription.save();
-                        }
-                        
-                        console.log(`✅ Successfully renewed subscription ${subscription._id}`);
-                        console.log(`   - New end date: ${newEndDate}`);
-                        console.log(`   - Next billing: ${newNextBilling}`);
-                        console.log(`   - Transaction ID: ${paymentIntent.id}`);
-                        
-                        successCount++;
-                        
-                        // TODO: Send renewal confirmation email to user
-                        
-                    } else if (paymentIntent.status === 'requires_action') {
-                        console.log(`⚠️ Payment requires action for subscription ${subscription._id}: ${paymentIntent.status}`);
-                        
-                        // For now, mark as expired. In production, you might want to notify the user
-                        subscription.status = 'expired';
-                        subscription.billing.autoRenew = false;
-                        
-                        // Add failed payment record
-                        subscription.payments.push({
-                            amount: plan.price,
-                            currency: plan.currency || 'usd',
-                            paymentDate: now,
-                            paymentMethod: 'stripe',
-                            transactionId: paymentIntent.id,
-                            status: 'failed'
-                        });
-                        
-                        await subscription.save();
-                        failureCount++;
-                        
-                    } else {
-                        console.log(`❌ Payment not successful for subscription ${subscription._id}: ${paymentIntent.status}`);
-                        
-                        // Mark subscription as expired
-                        subscription.status = 'expired';
-                        subscription.billing.autoRenew = false;
-                        
-                        // Add failed payment record
-                        subscription.payments.push({
-                            amount: plan.price,
-                            currency: plan.currency || 'usd',
-                            paymentDate: now,
-                            paymentMethod: 'stripe',
-                            transactionId: paymentIntent.id,
-                            status: 'failed'
-                        });
-                        
-                        await subscription.save();
-                        failureCount++;
-                        
-                        // TODO: Send payment failure notification to user
-                    }
-                    
-                } catch (paymentError) {
-                    console.error(`💥 Error processing renewal for subscription ${subscription._id}:`, paymentError.message);
-                    
-                    // Check if it's a card-related error
-                    if (paymentError.code === 'card_declined' || 
-                        paymentError.code === 'insufficient_funds' ||
-                        paymentError.code === 'expired_card') {
-                        
-                        console.log(`💳 Card issue detected: ${paymentError.code}`);
-                        
-                        // Mark subscription as expired on payment error
-                        subscription.status = 'expired';
-                        subscription.billing.autoRenew = false;
-                        
-                        // Add failed payment record
-                        subscription.payments.push({
-                            amount: plan.price,
-                            currency: plan.currency || 'usd',
-                            paymentDate: now,
-                            paymentMethod: 'stripe',
-                            transactionId: null,
-                            status: 'failed'
-                        });
-                        
-                        await subscription.save();
-                        failureCount++;
-                        
-                        // TODO: Send payment failure notification to user
-                    } else {
-                        // For other errors, you might want to retry later
-                        console.log(`🔄 Temporary error, will retry next time: ${paymentError.message}`);
-                    }
-                }
-                
-                // Small delay between processing subscriptions to avoid rate limits
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-            
             console.log('🏁 Auto-renewal cron job completed');
-            console.log(`📊 Results: ${successCount} successful, ${failureCount} failed`);
-            
+            console.log(`📊 Results: ${results.successCount} successful, ${results.failureCount} failed, ${results.retriedCount} retries, ${results.expiredCount} expired after grace period`);
+            console.log(`🎁 Trials: ${results.trialRemindersCount} reminders sent, ${results.trialsConvertedCount} converted, ${results.trialsExpiredCount} expired`);
         } catch (error) {
             console.error('🚨 Auto-renewal cron job error:', error);
         }
@@ -189,85 +134,20 @@ const autoRenewalJob = () => {
 // Manual test function for development
 export const testAutoRenewal = async () => {
     console.log('🧪 Testing auto-renewal manually...');
-    let successCount = 0;
-    let failureCount = 0;
 
     try {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-
-        const subscriptions = await Subscription.find({
-            'billing.autoRenew': true,
-            'billing.nextBillingDate': { $lte: tomorrow },
-            status: 'active',
-            'billing.stripeCustomerId': { $exists: true },
-            'billing.stripePaymentMethodId': { $exists: true }
-        }).populate('planId');
-
-        for (const subscription of subscriptions) {
-            const plan = subscription.planId;
-            if (!plan || plan.price <= 0) continue;
-
-            try {
-                const paymentIntent = await stripe.paymentIntents.create({
-                    amount: Math.round(plan.price * 100),
-                    currency: plan.currency || 'usd',
-                    customer: subscription.billing.stripeCustomerId,
-                    payment_method: subscription.billing.stripePaymentMethodId,
-                    off_session: true,
-                    confirm: true,
-                    metadata: {
-                        subscriptionId: subscription._id.toString(),
-                        renewalDate: now.toISOString(),
-                        planId: plan._id.toString(),
-                        userId: subscription.userId.toString()
-                    }
-                });
-
-                if (paymentIntent.status === 'succeeded') {
-                    const currentNextBilling = new Date(subscription.billing.nextBillingDate);
-                    const newNextBilling = new Date(currentNextBilling);
-                    newNextBilling.setMonth(newNextBilling.getMonth() + 1);
-                    const newEndDate = new Date(newNextBilling);
-
-                    subscription.billing.endDate = newEndDate;
-                    subscription.billing.nextBillingDate = newNextBilling;
-                    subscription.billing.lastBillingDate = now;
-
-
-                    successCount++;
-                } else {
-                    subscription.status = 'expired';
-                    subscription.billing.autoRenew = false;
-                    subscription.payments.push({
-                        amount: plan.price,
-                        currency: plan.currency || 'usd',
-                        paymentDate: now,
-                        paymentMethod: 'stripe',
-                        transactionId: paymentIntent.id,
-                        status: 'failed'
-                    });
-                    await subscription.save();
-                    failureCount++;
-                }
-            } catch (paymentError) {
-                subscription.status = 'expired';
-                subscription.billing.autoRenew = false;
-                subscription.payments.push({
-                    amount: plan.price,
-                    currency: plan.currency || 'usd',
-                    paymentDate: now,
-                    paymentMethod: 'stripe',
-                    transactionId: null,
-                    status: 'failed'
-                });
-                await subscription.save();
-                failureCount++;
-            }
-        }
+        const results = await runRenewals();
 
-        return { success: true, renewedSubscriptions: successCount, failedSubscriptions: failureCount };
+        return {
+            success: true,
+            renewedSubscriptions: results.successCount,
+            failedSubscriptions: results.failureCount,
+            retriedSubscriptions: results.retriedCount,
+            expiredSubscriptions: results.expiredCount,
+            trialReminders: results.trialRemindersCount,
+            convertedTrials: results.trialsConvertedCount,
+            expiredTrials: results.trialsExpiredCount
+        };
     } catch (error) {
         return { success: false, error: error.message };
     }
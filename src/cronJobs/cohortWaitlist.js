@@ -0,0 +1,47 @@
+import cron from 'node-cron';
+import { expireSeatOffers } from '../services/cohort.service.js';
+import { expirePendingPurchases } from '../services/coursePayment.service.js';
+
+let getSocketServer = () => null;
+
+/**
+ * Cancel unpaid cohort enrollments past the checkout hold, expire unclaimed seat offers
+ * and offer the freed seats to the next students in line.
+ * Scheduled: every 15 minutes.
+ */
+const processCohortWaitlists = async () => {
+    try {
+        const purchases = await expirePendingPurchases(getSocketServer());
+        if (purchases.expired || purchases.confirmed || purchases.failed) {
+            console.log(`🎟️ Unpaid cohort enrollments: ${purchases.expired} cancelled, ${purchases.confirmed} paid meanwhile, ${purchases.failed} failed`);
+        }
+
+        const stats = await expireSeatOffers(getSocketServer());
+        if (stats.expired || stats.offered || stats.failed) {
+            console.log(`🎟️ Cohort waitlists: ${stats.expired} offers expired, ${stats.offered} seats offered, ${stats.failed} failed`);
+        }
+    } catch (error) {
+        console.error('🚨 Cohort waitlist cron job error:', error);
+    }
+};
+
+const cohortWaitlistJob = cron.schedule('*/15 * * * *', processCohortWaitlists, {
+    scheduled: false, // Started from app.js
+    timezone: 'UTC'
+});
+
+/**
+ * Start the cohort waitlist job
+ * @param {Function} getIo - Returns the socket.io server once it exists (used for real-time delivery)
+ */
+export const startCohortWaitlists = (getIo) => {
+    if (typeof getIo === 'function') getSocketServer = getIo;
+    cohortWaitlistJob.start();
+    console.log('🚀 Cohort waitlist cron job started (runs every 15 minutes)');
+};
+
+export const stopCohortWaitlists = () => {
+    cohortWaitlistJob.stop();
+};
+
+export { processCohortWaitlists };
@@ -0,0 +1,36 @@
+import cron from 'node-cron';
+import { expireCouponReservations } from '../services/coupon.service.js';
+
+/**
+ * Release the coupon redemptions held by checkouts left unpaid.
+ * Scheduled: every 15 minutes.
+ */
+const releaseUnpaidCouponReservations = async () => {
+    try {
+        const stats = await expireCouponReservations();
+        if (stats.released || stats.redeemed || stats.failed) {
+            console.log(`🏷️ Coupon reservations: ${stats.released} released, ${stats.redeemed} paid meanwhile, ${stats.failed} failed`);
+        }
+    } catch (error) {
+        console.error('🚨 Coupon reservation cron job error:', error);
+    }
+};
+
+const couponReservationJob = cron.schedule('*/15 * * * *', releaseUnpaidCouponReservations, {
+    scheduled: false, // Started from app.js
+    timezone: 'UTC'
+});
+
+/**
+ * Start the coupon reservation job
+ */
+export const startCouponReservations = () => {
+    couponReservationJob.start();
+    console.log('🚀 Coupon reservation cron job started (runs every 15 minutes)');
+};
+
+export const stopCouponReservations = () => {
+    couponReservationJob.stop();
+};
+
+export { releaseUnpaidCouponReservations };
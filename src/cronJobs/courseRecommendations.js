@@ -0,0 +1,40 @@
+import cron from 'node-cron';
+import { notifyAllCourseRecommendations } from '../services/courseRecommendation.service.js';
+
+let getSocketServer = () => null;
+
+/**
+ * Weekly course recommendations for students who opted in.
+ * Scheduled: Mondays at 10:00 AM UTC.
+ */
+const sendCourseRecommendations = async () => {
+    console.log('📚 Running course recommendation cron job...');
+
+    try {
+        const stats = await notifyAllCourseRecommendations(getSocketServer());
+        console.log(`📊 Course recommendations: ${stats.notifications} sent to ${stats.notified} of ${stats.students} students, ${stats.failed} failed`);
+    } catch (error) {
+        console.error('🚨 Course recommendation cron job error:', error);
+    }
+};
+
+const courseRecommendationJob = cron.schedule('0 10 * * 1', sendCourseRecommendations, {
+    scheduled: false, // Started from app.js
+    timezone: 'UTC'
+});
+
+/**
+ * Start the weekly course recommendation job
+ * @param {Function} getIo - Returns the socket.io server once it exists (used for real-time delivery)
+ */
+export const startCourseRecommendations = (getIo) => {
+    if (typeof getIo === 'function') getSocketServer = getIo;
+    courseRecommendationJob.start();
+    console.log('🚀 Course recommendation cron job started (runs weekly on Mondays)');
+};
+
+export const stopCourseRecommendations = () => {
+    courseRecommendationJob.stop();
+};
+
+export { sendCourseRecommendations };
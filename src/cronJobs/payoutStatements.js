@@ -0,0 +1,36 @@
+import cron from 'node-cron';
+import { generateStatementsForPeriod } from '../services/payout.service.js';
+
+/**
+ * Monthly payout statements for the month that just ended.
+ * Scheduled: 1st of every month at 3:00 AM UTC.
+ */
+const generateMonthlyStatements = async () => {
+    console.log('💸 Running payout statement cron job...');
+
+    try {
+        const stats = await generateStatementsForPeriod();
+        console.log(`📊 Payout statements ${stats.period}: ${stats.generated} generated, ${stats.unchanged} already settled, ${stats.failed} failed`);
+    } catch (error) {
+        console.error('🚨 Payout statement cron job error:', error);
+    }
+};
+
+const payoutStatementJob = cron.schedule('0 3 1 * *', generateMonthlyStatements, {
+    scheduled: false, // Started from app.js
+    timezone: 'UTC'
+});
+
+/**
+ * Start the monthly payout statement job
+ */
+export const startPayoutStatements = () => {
+    payoutStatementJob.start();
+    console.log('🚀 Payout statement cron job started (runs monthly on the 1st at 3:00 UTC)');
+};
+
+export const stopPayoutStatements = () => {
+    payoutStatementJob.stop();
+};
+
+export { generateMonthlyStatements };
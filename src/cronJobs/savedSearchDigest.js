@@ -0,0 +1,41 @@
+import cron from 'node-cron';
+import { runDueSavedSearches } from '../services/savedJobSearch.service.js';
+
+let getSocketServer = () => null;
+
+/**
+ * Saved job search digests. Daily searches run every day, weekly searches
+ * seven days after their last run.
+ * Scheduled: Daily at 8:00 AM UTC.
+ */
+const sendSavedSearchDigests = async () => {
+    console.log('🔎 Running saved search digest cron job...');
+
+    try {
+        const stats = await runDueSavedSearches(getSocketServer());
+        console.log(`📊 Saved searches: ${stats.searches} checked, ${stats.digests} digests with ${stats.jobs} jobs sent, ${stats.failed} failed`);
+    } catch (error) {
+        console.error('🚨 Saved search digest cron job error:', error);
+    }
+};
+
+const savedSearchDigestJob = cron.schedule('0 8 * * *', sendSavedSearchDigests, {
+    scheduled: false, // Started from app.js
+    timezone: 'UTC'
+});
+
+/**
+ * Start the daily saved search digest job
+ * @param {Function} getIo - Returns the socket.io server once it exists (used for real-time delivery)
+ */
+export const startSavedSearchDigests = (getIo) => {
+    if (typeof getIo === 'function') getSocketServer = getIo;
+    savedSearchDigestJob.start();
+    console.log('🚀 Saved search digest cron job started (runs daily at 8:00 UTC)');
+};
+
+export const stopSavedSearchDigests = () => {
+    savedSearchDigestJob.stop();
+};
+
+export { sendSavedSearchDigests };
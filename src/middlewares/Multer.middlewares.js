@@ -37,4 +37,18 @@ const upload = multer({
   },
 });
 
-export { upload };
\ No newline at end of file
+// CSV imports are read from memory and never stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 1024 * 1024 }, // 1MB file size limit
+  fileFilter: (req, file, cb) => {
+    const isCsv = ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith('.csv');
+    if (!isCsv) {
+      return cb(new Error('Only CSV files are allowed!'), false);
+    }
+    cb(null, true);
+  },
+});
+
+export { upload, csvUpload };
\ No newline at end of file
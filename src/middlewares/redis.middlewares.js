@@ -98,6 +98,9 @@ export const invalidateCacheMiddleware = (pattern) => {
 // Cache for courses with 5 minute TTL
 export const coursesCache = cacheMiddleware('courses', 300);
 
+// Cache for course views that depend on the user (own courses, unapproved courses)
+export const userCoursesCache = cacheMiddleware('courses', 300, true);
+
 // Cache for jobs with 3 minute TTL  
 export const jobsCache = cacheMiddleware('jobs', 180);
 
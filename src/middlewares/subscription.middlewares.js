@@ -1,31 +1,63 @@
-import { Subscription, Course } from "../models/index.js";
+import { Subscription, SubscriptionPlan } from "../models/index.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
+import { getGraceDaysLeft, isWithinGracePeriod } from "../utils/dunning.js";
+import {
+    ENTITLEMENTS,
+    FREE_TIER_ENTITLEMENTS,
+    checkQuota,
+    getEntitlementLimit,
+    isLimitedRole
+} from "../utils/entitlements.js";
+import { consumeUsage, getUsage } from "../services/entitlement.service.js";
 
-// Middleware to check if user has an active subscription
-export const requireActiveSubscription = asyncHandler(async (req, res, next) => {
-    try {
-        const userId = req.user._id;
-        
-        const subscription = await Subscription.findOne({
-            userId,
-            status: 'active'
-        });
-
-        if (!subscription) {
-            throw new ApiError(403, "Active subscription required to access this feature");
+// Subscription the user currently has access through (active, trialing, or past due within the grace period)
+const loadAccessibleSubscription = async (req, res) => {
+    const subscription = await Subscription.findOne({
+        userId: req.user._id,
+        status: { $in: ['active', 'trialing', 'past_due'] }
+    });
+
+    if (!subscription) {
+        throw new ApiError(403, "Active subscription required to access this feature");
+    }
+
+    // A failed renewal keeps access until the grace period ends
+    if (subscription.status === 'past_due') {
+        if (!isWithinGracePeriod(subscription.dunning)) {
+            throw new ApiError(403, "Your subscription payment is overdue. Please update your payment method to continue.");
         }
 
-        // Check if subscription is expired
-        if (subscription.billing.endDate < new Date()) {
-            // Update subscription status to expired
-            subscription.status = 'expired';
-            await subscription.save();
-            throw new ApiError(403, "Subscription has expired. Please renew to continue.");
+        const daysLeft = getGraceDaysLeft(subscription.dunning);
+        req.subscriptionWarning = `Your last payment failed. Update your payment method within ${daysLeft} day${daysLeft === 1 ? '' : 's'} to keep access.`;
+        res.setHeader('X-Subscription-Warning', req.subscriptionWarning);
+        return subscription;
+    }
+
+    // An ended trial is converted or expired by the renewal job; no access in between
+    if (subscription.status === 'trialing') {
+        if (new Date(subscription.trial.endsAt) <= new Date()) {
+            throw new ApiError(403, "Your free trial has ended. Your subscription will be activated once the payment goes through.");
         }
+        return subscription;
+    }
+
+    // Check if subscription is expired
+    if (subscription.billing.endDate < new Date()) {
+        // Update subscription status to expired
+        subscription.status = 'expired';
+        await subscription.save();
+        throw new ApiError(403, "Subscription has expired. Please renew to continue.");
+    }
+
+    return subscription;
+};
 
+// Middleware to check if user has an active subscription
+export const requireActiveSubscription = asyncHandler(async (req, res, next) => {
+    try {
         // Attach subscription to request for use in controllers
-        req.subscription = subscription;
+        req.subscription = await loadAccessibleSubscription(req, res);
         next();
     } catch (error) {
         if (error instanceof ApiError) throw error;
@@ -33,58 +65,106 @@ export const requireActiveSubscription = asyncHandler(async (req, res, next) =>
     }
 });
 
-// Middleware to check course creation limits
-export const checkCourseLimit = asyncHandler(async (req, res, next) => {
-    try {
-        const userId = req.user._id;
-        const subscription = req.subscription;
+// Plan of the request's subscription, loading the subscription first if needed
+const loadPlan = async (req, res) => {
+    if (!req.subscription) {
+        req.subscription = await loadAccessibleSubscription(req, res);
+    }
+    if (!req.subscriptionPlan) {
+        req.subscriptionPlan = await SubscriptionPlan.findById(req.subscription.planId);
+    }
+    if (!req.subscriptionPlan) {
+        throw new ApiError(403, "Subscription plan not found");
+    }
+    return req.subscriptionPlan;
+};
 
-        if (!subscription) {
-            throw new ApiError(403, "Active subscription required");
+// Limits of the request's user: their plan's, or the free tier when they have no subscription
+// giving access (none, expired, or overdue past the grace period)
+const loadEntitlements = async (req, res) => {
+    if (!req.subscription) {
+        try {
+            req.subscription = await loadAccessibleSubscription(req, res);
+        } catch (error) {
+            if (!(error instanceof ApiError) || error.statusCode !== 403) throw error;
+            return { entitlements: FREE_TIER_ENTITLEMENTS, planName: 'free' };
         }
+    }
 
-        // Count current courses
-        const currentCourses = await Course.countDocuments({
-            trainingProvider: userId
-        });
-
-        
-        // Determine maxCourses (example: based on plan name, or set a default)
-        let maxCourses = Infinity;
-        // if (subscription.planId) {
-        //     // Optionally fetch plan details for more advanced logic
-        //     // import SubscriptionPlan if needed
-        //     // const plan = await SubscriptionPlan.findById(subscription.planId);
-        //     // if (plan && plan.name === 'trainingInstitue') maxCourses = 10;
-        //     // else if (plan && plan.name === 'learner') maxCourses = 1;
-        //     // else if (plan && plan.name === 'employer') maxCourses = 0;
-        //     // For now, set a default or unlimited
-        //     maxCourses = 10; // Set your default or plan-based value here
-        // }
-
-        if (currentCourses >= maxCourses) {
-            throw new ApiError(403, `Course limit reached. Your plan allows ${maxCourses} courses. Upgrade your plan to create more courses.`);
+    const plan = await loadPlan(req, res);
+    return { entitlements: plan.entitlements, planName: plan.displayName };
+};
+
+/**
+ * Middleware enforcing a plan entitlement (see utils/entitlements.js). Only schools and
+ * employers are limited; without a subscription they get the free tier limits.
+ * Responds 403 when the plan does not include it and 429 once its limit is used up.
+ * @param {String} metric - Key of ENTITLEMENTS
+ * @param {Object} options
+ * @param {Function} options.appliesTo - (req) => Boolean, whether this request uses the entitlement
+ * @param {Function} options.getKey - (req) => String, what a periodic allowance counts (e.g. the
+ *   profile viewed); repeats within the period are free. Returning null skips counting.
+ */
+export const checkEntitlement = (metric, { appliesTo, getKey } = {}) => {
+    const { label, type } = ENTITLEMENTS[metric];
+
+    return asyncHandler(async (req, res, next) => {
+        try {
+            if (!isLimitedRole(req.user.role) || (appliesTo && !appliesTo(req))) {
+                return next();
+            }
+
+            const { entitlements, planName } = await loadEntitlements(req, res);
+            const limit = getEntitlementLimit(entitlements, metric);
+
+            if (limit === 0) {
+                throw new ApiError(403, `${label} are not included in your ${planName} plan. Please upgrade to access them.`);
+            }
+
+            if (type === 'total') {
+                if (limit === null) return next();
+
+                const used = await getUsage(metric, req.user._id, req.subscription || null);
+                if (!checkQuota(limit, used).allowed) {
+                    throw new ApiError(429, `${label} limit reached. Your plan allows ${limit}. Upgrade your plan to add more.`);
+                }
+                return next();
+            }
+
+            const key = getKey ? getKey(req) : null;
+            if (!key) return next();
+
+            const { allowed } = await consumeUsage({
+                metric,
+                userId: req.user._id,
+                subscription: req.subscription || null,
+                limit,
+                key
+            });
+            if (!allowed) {
+                throw new ApiError(429, `${label} limit reached. Your plan allows ${limit} per month. Upgrade your plan for more.`);
+            }
+            next();
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, "Failed to check plan limits");
         }
+    });
+};
 
-        next();
-    } catch (error) {
-        if (error instanceof ApiError) throw error;
-        throw new ApiError(500, "Failed to check course limit");
-    }
-});
+// Middleware to check course creation limits
+export const checkCourseLimit = checkEntitlement('courses');
 
-// Middleware to check if feature is available in subscription
+// Middleware to check if feature is available in subscription (not set to 0 on the plan)
 export const checkFeatureAccess = (feature) => {
     return asyncHandler(async (req, res, next) => {
         try {
-            const subscription = req.subscription;
+            if (req.user.role === 'admin') return next();
 
-            if (!subscription) {
-                throw new ApiError(403, "Active subscription required");
-            }
+            const plan = await loadPlan(req, res);
 
-            if (!subscription.features[feature]) {
-                throw new ApiError(403, `This feature is not available in your current plan. Please upgrade to access ${feature}.`);
+            if (getEntitlementLimit(plan.entitlements, feature) === 0) {
+                throw new ApiError(403, `This feature is not available in your current plan. Please upgrade to access ${ENTITLEMENTS[feature].label.toLowerCase()}.`);
             }
 
             next();
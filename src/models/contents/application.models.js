@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+// Review stages an application can move through. "withdrawn" is only set by the student.
+export const APPLICATION_STAGES = ["applied", "shortlisted", "interview", "offered", "hired", "rejected", "withdrawn"];
+
+// Stages an employer may move an application to from its current stage
+export const APPLICATION_STAGE_TRANSITIONS = {
+    applied: ["shortlisted", "interview", "rejected"],
+    shortlisted: ["interview", "offered", "rejected"],
+    interview: ["offered", "rejected"],
+    offered: ["hired", "rejected"],
+    hired: [],
+    rejected: [],
+    withdrawn: []
+};
+
+const applicationSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Job",
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student",
+        required: true
+    },
+    // User account of the applicant (used for notifications)
+    applicant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    employer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Employer",
+        required: true
+    },
+    coverNote: {
+        type: String,
+        trim: true,
+        maxLength: 3000
+    },
+    // Copy of the student profile at the time of applying, so later profile edits
+    // don't change what the employer reviewed
+    profileSnapshot: {
+        firstName: String,
+        lastName: String,
+        email: String,
+        phone: String,
+        location: String,
+        bio: String,
+        website: String,
+        skills: [String],
+        certifications: [{
+            name: String,
+            issuedBy: String,
+            issueDate: Date
+        }],
+        experience: [{
+            title: String,
+            company: String,
+            startDate: Date,
+            endDate: Date
+        }]
+    },
+    matchPercentage: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    stage: {
+        type: String,
+        enum: APPLICATION_STAGES,
+        default: "applied"
+    },
+    stageHistory: [{
+        from: { type: String, enum: APPLICATION_STAGES },
+        to: { type: String, enum: APPLICATION_STAGES, required: true },
+        note: { type: String, trim: true, maxLength: 1000 },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+// One application per student and job; applying again after withdrawing reopens it
+applicationSchema.index({ job: 1, student: 1 }, { unique: true });
+applicationSchema.index({ job: 1, stage: 1, createdAt: -1 });
+applicationSchema.index({ applicant: 1, createdAt: -1 });
+applicationSchema.index({ employer: 1, stage: 1 });
+
+export const Application = mongoose.model("Application", applicationSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import { ATTENDANCE_STATUSES } from "../../utils/attendance.js";
+
+// Attendance of one student at one course session. Course and institute are
+// copied from the session so rates can be computed without a lookup.
+const attendanceSchema = new mongoose.Schema({
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CourseSession",
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    institute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TrainingInstitute",
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Enrollment",
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ATTENDANCE_STATUSES,
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: 300
+    },
+    markedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    markedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+attendanceSchema.index({ session: 1, student: 1 }, { unique: true });
+attendanceSchema.index({ student: 1, course: 1 });
+attendanceSchema.index({ institute: 1, course: 1 });
+
+export const Attendance = mongoose.model("Attendance", attendanceSchema);
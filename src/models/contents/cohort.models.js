@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import { COHORT_STATUSES, WEEKDAYS } from "../../utils/cohort.js";
+
+// A weekly session of a cohort, in the cohort's timezone
+const scheduleSlotSchema = new mongoose.Schema({
+    day: {
+        type: String,
+        enum: WEEKDAYS,
+        required: true
+    },
+    startTime: {
+        type: String,
+        required: true
+    },
+    endTime: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+// One intake of a course. seatsTaken counts the enrolled students, the unpaid
+// enrollments and the seats held for waitlisted students who were offered one.
+const cohortSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    institute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TrainingInstitute",
+        required: true
+    },
+    name: {
+        type: String,
+        trim: true,
+        required: true,
+        maxLength: 100
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true
+    },
+    capacity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    seatsTaken: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    schedule: [scheduleSlotSchema],
+    timezone: {
+        type: String,
+        default: "UTC"
+    },
+    location: {
+        type: String,
+        trim: true
+    },
+    onlineLink: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: COHORT_STATUSES,
+        default: "scheduled"
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+cohortSchema.index({ course: 1, startDate: 1 });
+cohortSchema.index({ institute: 1, startDate: -1 });
+
+export const Cohort = mongoose.model("Cohort", cohortSchema);
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import { WAITLIST_STATUSES } from "../../utils/cohort.js";
+
+// A student waiting for a seat in a full cohort. Students are served in the
+// order they joined; an offered seat is held for them until offerExpiresAt.
+const cohortWaitlistSchema = new mongoose.Schema({
+    cohort: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Cohort",
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    status: {
+        type: String,
+        enum: WAITLIST_STATUSES,
+        default: "waiting"
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    },
+    offeredAt: Date,
+    offerExpiresAt: Date,
+    // Set once the entry leaves the line (claimed, expired or cancelled)
+    closedAt: Date
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+// A student is in a cohort's line at most once at a time
+cohortWaitlistSchema.index(
+    { cohort: 1, student: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ["waiting", "offered"] } } }
+);
+cohortWaitlistSchema.index({ cohort: 1, status: 1, joinedAt: 1 });
+cohortWaitlistSchema.index({ status: 1, offerExpiresAt: 1 });
+cohortWaitlistSchema.index({ student: 1, status: 1 });
+
+export const CohortWaitlist = mongoose.model("CohortWaitlist", cohortWaitlistSchema);
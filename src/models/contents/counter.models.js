@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Named sequences (e.g. invoice numbers). Each increment is a single atomic
+// update, so concurrent callers never receive the same value.
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Next value of a sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+export const Counter = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { COUPON_TYPES } from "../../utils/coupon.js";
+
+// Discount code managed by admins and applied at subscription checkout
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    discountType: {
+        type: String,
+        enum: COUPON_TYPES,
+        required: true
+    },
+    // Percentage (1-100) or amount off in `currency`
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Only used by fixed amount coupons
+    currency: {
+        type: String,
+        lowercase: true,
+        default: "usd"
+    },
+    startsAt: Date,
+    expiresAt: Date,
+    // Total redemptions allowed (null = unlimited)
+    maxRedemptions: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    // Redemptions allowed per user (null = unlimited)
+    perUserLimit: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    // Plans the coupon can be used for (empty = all plans)
+    applicablePlans: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubscriptionPlan"
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Redemptions plus the ones held by checkouts not paid yet
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+couponSchema.index({ code: 1 }, { unique: true });
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+export const Coupon = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// A coupon used on a completed checkout payment, with the discount given.
+// While the payment is open the redemption is only reserved.
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        required: true
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+        required: true
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubscriptionPlan"
+    },
+    paymentIntentId: {
+        type: String,
+        required: true
+    },
+    originalAmount: {
+        type: Number,
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        required: true
+    },
+    finalAmount: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: "usd"
+    },
+    status: {
+        type: String,
+        enum: ["reserved", "redeemed"],
+        default: "redeemed"
+    },
+    // Reservations not paid by then are released
+    expiresAt: Date,
+    redeemedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+couponRedemptionSchema.index({ paymentIntentId: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ redeemedAt: -1 });
+couponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+export const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
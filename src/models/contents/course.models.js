@@ -1,4 +1,102 @@
 import mongoose from "mongoose";
+import { normalizeSkillList, normalizeSkillName } from "../../utils/skillTaxonomy.js";
+import { PROFICIENCY_LEVELS } from "../../utils/matchingUtils.js";
+import { LESSON_CONTENT_TYPES } from "../../utils/courseProgress.js";
+import { APPROVAL_ACTIONS, COURSE_STATUSES } from "../../utils/courseApproval.js";
+
+// A lesson inside a course module. Exactly one content field is used,
+// depending on contentType (videoUrl, documentUrl, text or quiz).
+const lessonSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 150
+    },
+    contentType: {
+        type: String,
+        enum: LESSON_CONTENT_TYPES,
+        required: true
+    },
+    videoUrl: {
+        type: String,
+        trim: true
+    },
+    documentUrl: {
+        type: String,
+        trim: true
+    },
+    text: {
+        type: String,
+        maxLength: 20000
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz"
+    },
+    durationMinutes: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Only required lessons count towards automatic course completion
+    isRequired: {
+        type: Boolean,
+        default: true
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+});
+
+const moduleSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 150
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxLength: 1000
+    },
+    order: {
+        type: Number,
+        default: 0
+    },
+    lessons: [lessonSchema]
+});
+
+// One step of the approval workflow (submission, withdrawal or admin decision)
+const approvalEventSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: APPROVAL_ACTIONS,
+        required: true
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxLength: 1000
+    },
+    changesRequested: [{
+        type: String,
+        trim: true,
+        maxLength: 300
+    }],
+    // Fields the school changed (edits of an approved course)
+    fields: [String]
+}, { _id: false });
 
 const courseSchema = new mongoose.Schema({
     // course image
@@ -38,6 +136,11 @@ const courseSchema = new mongoose.Schema({
             min: 0
     },
 
+    currency: {
+        type: String,
+        default: "usd"
+    },
+
     // Language
     language: {
         type: String,
@@ -68,9 +171,16 @@ const courseSchema = new mongoose.Schema({
         required: true,
         maxLength: 1000
     },
+    // Proficiency reached in the course skills; recorded as evidence on completion
+    level: {
+        type: String,
+        enum: PROFICIENCY_LEVELS,
+        default: "Beginner"
+    },
     // Skills to Learn
     skills: {
-        type: [String], // Array of skills
+        type: [{ type: String, set: normalizeSkillName }], // Array of skills (canonical taxonomy names)
+        set: normalizeSkillList,
         required: true,
         validate: {
             validator: function (value) {
@@ -80,6 +190,9 @@ const courseSchema = new mongoose.Schema({
         }
     },
     
+    // Curriculum: ordered modules, each with ordered lessons
+    modules: [moduleSchema],
+
     // Training Provider Reference
     trainingProvider: {
         type: mongoose.Schema.Types.ObjectId,
@@ -92,12 +205,25 @@ const courseSchema = new mongoose.Schema({
         required:true
     },    
     
-    // Course Status
+    // Course Status: only approved courses are listed to students and open for enrollment
     status: {
         type: String,
-        enum: ["draft", "pending_approval", "approved", "rejected"],
-        default: "active"
+        enum: COURSE_STATUSES,
+        default: "draft"
+    },
+
+    // Latest submission and admin decision; the full trail is in approvalHistory
+    approval: {
+        submittedAt: Date,
+        reviewedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        reason: String,
+        changesRequested: [String]
     },
+    approvalHistory: [approvalEventSchema],
     
     // Enrollment Limits
     maxEnrollments: {
@@ -109,6 +235,18 @@ const courseSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+
+    // Published reviews, kept up to date by the review service
+    rating: {
+        average: {
+            type: Number,
+            default: 0
+        },
+        count: {
+            type: Number,
+            default: 0
+        }
+    },
     
     
     // Timestamps
@@ -116,5 +254,21 @@ const courseSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// ===== Indexes for Performance =====
+// Catalog search. The `language` field holds the course language (e.g. "Urdu"), not a
+// text search language, so the language override points at a field courses never have.
+courseSchema.index(
+    { title: "text", skills: "text", objectives: "text", description: "text" },
+    {
+        name: "course_text_search",
+        weights: { title: 10, skills: 5, objectives: 2, description: 1 },
+        default_language: "english",
+        language_override: "textSearchLanguage"
+    }
+);
+courseSchema.index({ trainingProvider: 1, createdAt: -1 });
+courseSchema.index({ category: 1 });
+courseSchema.index({ status: 1, "approval.submittedAt": 1 });
+courseSchema.index({ "rating.average": -1, "rating.count": -1 });
 
 export const Course = mongoose.model("Course", courseSchema);
\ No newline at end of file
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import { PROFICIENCY_LEVELS } from "../../utils/matchingUtils.js";
+
+// Certificate issued by the platform when an enrollment is completed. The
+// printed fields are copied from the course and student at issue time and
+// signed, so the record can be verified publicly by its code.
+const courseCertificateSchema = new mongoose.Schema({
+    verificationCode: {
+        type: String,
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Enrollment",
+        required: true
+    },
+    trainingProvider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TrainingInstitute"
+    },
+    // Entry on the student's profile (Student.certifications) linked to this certificate
+    certification: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Certification"
+    },
+    recipientName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    courseTitle: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    providerName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    level: {
+        type: String,
+        enum: PROFICIENCY_LEVELS
+    },
+    skills: [String],
+    // Passed course quizzes at issue time
+    assessments: [{
+        quiz: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Quiz"
+        },
+        title: String,
+        percentage: Number,
+        _id: false
+    }],
+    completedAt: Date,
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // HMAC of the printed fields (see utils/certificate.js)
+    signature: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["valid", "revoked"],
+        default: "valid"
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        trim: true,
+        maxLength: 500
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+courseCertificateSchema.index({ verificationCode: 1 }, { unique: true });
+courseCertificateSchema.index({ enrollment: 1 }, { unique: true });
+courseCertificateSchema.index({ student: 1, issuedAt: -1 });
+courseCertificateSchema.index({ course: 1 });
+
+export const CourseCertificate = mongoose.model("CourseCertificate", courseCertificateSchema);
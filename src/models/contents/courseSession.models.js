@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// A scheduled class of an instructor-led course. Sessions of a course run in
+// cohorts belong to one cohort; attendance is taken for its students only.
+const courseSessionSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    cohort: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Cohort"
+    },
+    institute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TrainingInstitute",
+        required: true
+    },
+    title: {
+        type: String,
+        trim: true,
+        required: true,
+        maxLength: 150
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    location: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+courseSessionSchema.index({ course: 1, startsAt: 1 });
+courseSessionSchema.index({ cohort: 1, startsAt: 1 }, { sparse: true });
+
+export const CourseSession = mongoose.model("CourseSession", courseSessionSchema);
@@ -1,4 +1,46 @@
 import mongoose from "mongoose";
+import { LESSON_PROGRESS_STATUSES } from "../../utils/courseProgress.js";
+
+// Progress on one lesson of the course curriculum (lesson is a Course.modules.lessons _id)
+const lessonProgressSchema = new mongoose.Schema({
+    lesson: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: LESSON_PROGRESS_STATUSES,
+        default: "in_progress"
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    completedAt: Date
+}, { _id: false });
+
+// Best result on one course quiz; the attempts themselves are QuizAttempt documents
+const quizResultSchema = new mongoose.Schema({
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    bestPercentage: {
+        type: Number,
+        default: 0
+    },
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    passedAt: Date,
+    lastAttemptAt: Date
+}, { _id: false });
 
 const enrollmentSchema = new mongoose.Schema({
     studentId: {
@@ -11,19 +53,52 @@ const enrollmentSchema = new mongoose.Schema({
         ref: "Course", 
         required: true
     },
+    // Intake of the course the student enrolled in, for courses run in cohorts
+    cohort: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Cohort"
+    },
     enrollmentDate: {
         type: Date,
         default: Date.now
     },
     status: {
         type: String,
-        enum: ["enrolled", "completed", "withdrawn", "suspended"],
+        // "pending_payment" until a paid course has been paid for
+        enum: ["pending_payment", "enrolled", "completed", "withdrawn", "suspended"],
         default: "enrolled"
-    },    
-    
+    },
+    // Purchase of a paid course
+    payment: {
+        amount: Number,
+        currency: String,
+        paymentIntentId: String,
+        status: {
+            type: String,
+            enum: ["pending", "paid", "failed", "refunded"]
+        },
+        paidAt: Date,
+        refundId: String,
+        refundedAt: Date
+    },
+    lessonProgress: [lessonProgressSchema],
+    // Share of required lessons completed (0-100)
+    progressPercentage: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    quizResults: [quizResultSchema],
+    lastAccessedAt: Date,
+    completedAt: Date,
+
 }, { 
     timestamps: true 
 });
 
+// ===== Indexes for Performance =====
+enrollmentSchema.index({ "payment.paymentIntentId": 1 }, { sparse: true });
+enrollmentSchema.index({ cohort: 1, status: 1 }, { sparse: true });
 
 export const Enrollment = mongoose.model("Enrollment", enrollmentSchema);
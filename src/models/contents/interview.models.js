@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+
+const slotSchema = new mongoose.Schema({
+    start: {
+        type: Date,
+        required: true
+    },
+    end: {
+        type: Date,
+        required: true
+    }
+});
+
+const interviewSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Job",
+        required: true
+    },
+    // Set when the interview was booked from a job application
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Application"
+    },
+    employer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Employer",
+        required: true
+    },
+    employerUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student",
+        required: true
+    },
+    candidateUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 200
+    },
+    mode: {
+        type: String,
+        enum: ["online", "onsite", "phone"],
+        default: "online"
+    },
+    location: {
+        type: String,
+        trim: true
+    },
+    meetingLink: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxLength: 2000
+    },
+    // Slots currently on offer; the other party picks one of them
+    proposedSlots: [slotSchema],
+    // Which side proposed the current slots ("employer" or "student")
+    proposedBy: {
+        type: String,
+        enum: ["employer", "student"],
+        default: "employer"
+    },
+    scheduledSlot: {
+        start: Date,
+        end: Date
+    },
+    status: {
+        type: String,
+        enum: ["proposed", "scheduled", "declined", "cancelled"],
+        default: "proposed"
+    },
+    // iCalendar identity: the UID stays stable, SEQUENCE increments on every change
+    icsUid: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    sequence: {
+        type: Number,
+        default: 0
+    },
+    declineReason: String,
+    cancellationReason: String,
+    history: [{
+        action: {
+            type: String,
+            enum: ["proposed", "accepted", "declined", "rescheduled", "cancelled"],
+            required: true
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+interviewSchema.index({ employerUser: 1, status: 1, createdAt: -1 });
+interviewSchema.index({ candidateUser: 1, status: 1, createdAt: -1 });
+interviewSchema.index({ job: 1, student: 1 });
+
+export const Interview = mongoose.model("Interview", interviewSchema);
@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import { INVOICE_BILLING_REASONS } from "../../utils/invoice.js";
+
+// Invoice issued for a completed subscription payment. Billing details and
+// line items are copied at issue time so later profile or plan changes do not
+// alter an invoice that was already sent.
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+        required: true
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubscriptionPlan"
+    },
+    // Entry of subscription.payments this invoice is for
+    payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    transactionId: String,
+    billingReason: {
+        type: String,
+        enum: INVOICE_BILLING_REASONS,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["paid", "refunded", "void"],
+        default: "paid"
+    },
+    billingDetails: {
+        name: {
+            type: String,
+            required: true
+        },
+        email: {
+            type: String,
+            required: true
+        },
+        organization: String
+    },
+    lineItems: [{
+        description: {
+            type: String,
+            required: true
+        },
+        quantity: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        unitAmount: {
+            type: Number,
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true
+        },
+        periodStart: Date,
+        periodEnd: Date
+    }],
+    currency: {
+        type: String,
+        default: "usd"
+    },
+    // Coupon taken off the plan price (shown as a negative line item)
+    discount: {
+        code: String,
+        amount: Number
+    },
+    subtotal: {
+        type: Number,
+        required: true
+    },
+    // Percentage included in the prices
+    taxRate: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    amountPaid: {
+        type: Number,
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    paidAt: Date,
+    emailedAt: Date
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+invoiceSchema.index({ invoiceNumber: 1 }, { unique: true });
+// One invoice per payment, so a replayed payment never issues a second one
+invoiceSchema.index({ subscription: 1, payment: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ transactionId: 1 });
+
+export const Invoice = mongoose.model("Invoice", invoiceSchema);
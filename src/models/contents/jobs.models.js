@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { normalizeSkillName } from "../../utils/skillTaxonomy.js";
+import { PROFICIENCY_LEVELS } from "../../utils/matchingUtils.js";
 
 const jobSchema = new mongoose.Schema(
   {
@@ -48,12 +50,25 @@ const jobSchema = new mongoose.Schema(
     skillsRequired: [{
       skill: {
         type: String,
-        required: true
+        required: true,
+        set: normalizeSkillName // canonical taxonomy name
       },
       proficiency: {
         type: String,
-        enum: ["Beginner", "Intermediate", "Advanced"],
+        enum: PROFICIENCY_LEVELS,
         default: "Intermediate"
+      },
+      // Nice-to-have skills (required: false) count for less in match scores
+      required: {
+        type: Boolean,
+        default: true
+      },
+      // Relative importance of the skill in match scores
+      weight: {
+        type: Number,
+        min: 1,
+        max: 5,
+        default: 1
       }
     }],
     
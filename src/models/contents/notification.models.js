@@ -31,7 +31,10 @@ const notificationSchema = new mongoose.Schema({
             "payment_received",
             "payment_failed",
             "job_application",
+            "application_update",
             "interview_scheduled",
+            "interview_updated",
+            "saved_search_alert",
             "profile_verified",
             "message_received",
             "system_update",
@@ -40,6 +43,10 @@ const notificationSchema = new mongoose.Schema({
             "course_approved",
             "course_rejected",
             "course_created",
+            "course_recommendation",
+            "course_review",
+            "review_reply",
+            "waitlist_seat_offered",
             "kyc_update",
             "job_posted"
         ],
@@ -50,7 +57,7 @@ const notificationSchema = new mongoose.Schema({
     relatedEntity: {
         entityType: {
             type: String,
-            enum: ["course", "job", "application", "payment", "user", "message"]
+            enum: ["course", "job", "application", "payment", "user", "message", "interview", "saved_search", "certificate", "subscription", "review"]
         },
         entityId: {
             type: mongoose.Schema.Types.ObjectId
@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+import { PAYOUT_STATUSES } from "../../utils/payout.js";
+
+// What the platform owes a training institute for one month of course sales
+// in one currency; an institute selling in several currencies gets one per currency.
+// Totals are copied from the revenue ledger and refreshed until the payout is
+// settled; a settled statement keeps the figures that were paid.
+const payoutStatementSchema = new mongoose.Schema({
+    institute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TrainingInstitute",
+        required: true
+    },
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    // Exclusive
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: "usd"
+    },
+    grossSales: {
+        type: Number,
+        default: 0
+    },
+    refunds: {
+        type: Number,
+        default: 0
+    },
+    platformFees: {
+        type: Number,
+        default: 0
+    },
+    // Institute earnings for the period; negative when refunds exceed sales
+    netPayable: {
+        type: Number,
+        default: 0
+    },
+    salesCount: {
+        type: Number,
+        default: 0
+    },
+    refundsCount: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: PAYOUT_STATUSES,
+        default: "pending"
+    },
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    settledAt: Date,
+    settledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Bank transfer or other payment reference
+    settlementReference: {
+        type: String,
+        trim: true,
+        maxLength: 100
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: 500
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+payoutStatementSchema.index({ institute: 1, periodStart: 1, currency: 1 }, { unique: true });
+payoutStatementSchema.index({ status: 1, periodStart: -1 });
+
+export const PayoutStatement = mongoose.model("PayoutStatement", payoutStatementSchema);
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+import { normalizeSkillList, normalizeSkillName } from "../../utils/skillTaxonomy.js";
+
+// An assessment attached to a course module. Questions come from the course
+// question bank; quiz lessons point at a quiz and are completed by passing it.
+const quizSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    // Course.modules _id
+    module: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 150
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxLength: 2000
+    },
+    questions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "QuizQuestion"
+    }],
+    // Draw this many questions at random for each attempt; all questions when empty
+    questionCount: {
+        type: Number,
+        min: 1
+    },
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
+    // Untimed when empty
+    timeLimitMinutes: {
+        type: Number,
+        min: 1
+    },
+    // 0 allows unlimited attempts
+    maxAttempts: {
+        type: Number,
+        min: 0,
+        default: 3
+    },
+    // Percentage of the points needed to pass
+    passMark: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 70
+    },
+    // Skills a pass demonstrates; the course skills when empty
+    skills: {
+        type: [{ type: String, set: normalizeSkillName }],
+        set: normalizeSkillList,
+        default: []
+    },
+    // Students can only see and attempt published quizzes
+    isPublished: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+quizSchema.index({ course: 1, module: 1 });
+
+export const Quiz = mongoose.model("Quiz", quizSchema);
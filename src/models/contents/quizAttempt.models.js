@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import { ATTEMPT_STATUSES } from "../../utils/quizGrading.js";
+
+const attemptAnswerSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "QuizQuestion",
+        required: true
+    },
+    selectedOptions: [mongoose.Schema.Types.ObjectId],
+    booleanAnswer: Boolean,
+    textAnswer: String,
+    isCorrect: {
+        type: Boolean,
+        default: false
+    },
+    pointsAwarded: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// One attempt at a quiz by an enrolled student. The questions served are fixed
+// when the attempt starts; answers are graded when it is submitted.
+const quizAttemptSchema = new mongoose.Schema({
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Enrollment",
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    attemptNumber: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ATTEMPT_STATUSES,
+        default: "in_progress"
+    },
+    questions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "QuizQuestion"
+    }],
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set for timed quizzes
+    expiresAt: Date,
+    submittedAt: Date,
+    answers: [attemptAnswerSchema],
+    score: {
+        type: Number,
+        default: 0
+    },
+    maxScore: {
+        type: Number,
+        default: 0
+    },
+    percentage: {
+        type: Number,
+        default: 0
+    },
+    passMark: Number,
+    passed: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+quizAttemptSchema.index({ quiz: 1, enrollment: 1, attemptNumber: 1 }, { unique: true });
+quizAttemptSchema.index({ student: 1, createdAt: -1 });
+
+export const QuizAttempt = mongoose.model("QuizAttempt", quizAttemptSchema);
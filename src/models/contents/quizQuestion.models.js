@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import { QUESTION_TYPES } from "../../utils/quizGrading.js";
+
+const optionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 500
+    },
+    isCorrect: {
+        type: Boolean,
+        default: false
+    }
+});
+
+// A question in a course's question bank. Quizzes of the course pick their
+// questions from the bank; the answer fields used depend on the type.
+const quizQuestionSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: QUESTION_TYPES,
+        required: true
+    },
+    prompt: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 2000
+    },
+    // multiple_choice (one correct) and multi_select (one or more correct)
+    options: [optionSchema],
+    // true_false
+    correctAnswer: Boolean,
+    // short_answer, compared ignoring case and extra whitespace
+    acceptedAnswers: [{
+        type: String,
+        trim: true
+    }],
+    points: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    // Shown to the student once an attempt is submitted
+    explanation: {
+        type: String,
+        trim: true,
+        maxLength: 2000
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+quizQuestionSchema.index({ course: 1, createdAt: -1 });
+
+export const QuizQuestion = mongoose.model("QuizQuestion", quizQuestionSchema);
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+import { LEDGER_ENTRY_TYPES } from "../../utils/coursePayment.js";
+
+// A course sale or refund, split between the platform commission and the institute's earnings.
+// Refund entries carry negative amounts, so sums over a period give the net figures.
+const revenueLedgerSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: LEDGER_ENTRY_TYPES,
+        required: true
+    },
+    institute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TrainingInstitute",
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Enrollment",
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    // Stripe PaymentIntent for a sale, Stripe refund for a refund
+    transactionId: {
+        type: String,
+        required: true
+    },
+    grossAmount: {
+        type: Number,
+        required: true
+    },
+    commissionRate: {
+        type: Number,
+        required: true
+    },
+    platformFee: {
+        type: Number,
+        required: true
+    },
+    instituteEarnings: {
+        type: Number,
+        required: true
+    },
+    currency: {
+        type: String,
+        default: "usd"
+    },
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+revenueLedgerSchema.index({ type: 1, transactionId: 1 }, { unique: true });
+revenueLedgerSchema.index({ institute: 1, occurredAt: -1 });
+revenueLedgerSchema.index({ enrollment: 1 });
+
+export const RevenueLedger = mongoose.model("RevenueLedger", revenueLedgerSchema);
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import { MODERATION_ACTIONS, REPORT_REASONS, REVIEW_STATUSES } from "../../utils/review.js";
+
+const reviewReportSchema = new mongoose.Schema({
+    reportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxLength: 500
+    },
+    reportedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A student's rating and review of a course. One per student and course; the
+// course's training provider may answer it with one public reply.
+const reviewSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    institute: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "TrainingInstitute"
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Enrollment",
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxLength: 100
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxLength: 2000
+    },
+    status: {
+        type: String,
+        enum: REVIEW_STATUSES,
+        default: "published"
+    },
+    reply: {
+        text: {
+            type: String,
+            trim: true,
+            maxLength: 1000
+        },
+        repliedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        repliedAt: Date
+    },
+    reports: [reviewReportSchema],
+    // Reported and waiting for an admin decision
+    flagged: {
+        type: Boolean,
+        default: false
+    },
+    moderation: {
+        action: {
+            type: String,
+            enum: MODERATION_ACTIONS
+        },
+        note: {
+            type: String,
+            trim: true,
+            maxLength: 500
+        },
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        moderatedAt: Date
+    },
+    editedAt: Date
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+reviewSchema.index({ course: 1, student: 1 }, { unique: true });
+reviewSchema.index({ course: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ institute: 1, status: 1 });
+reviewSchema.index({ flagged: 1, updatedAt: -1 });
+
+export const Review = mongoose.model("Review", reviewSchema);
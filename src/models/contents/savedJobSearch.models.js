@@ -0,0 +1,62 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { EMPLOYMENT_TYPES } from "../../utils/jobSearch.js";
+
+// A job search saved by a student or school. The digest cron re-runs it daily
+// or weekly and sends only jobs posted since `lastCheckedAt`.
+const savedJobSearchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 100
+    },
+    // Same filters as GET /api/v1/jobs/search/advanced
+    filters: {
+        q: { type: String, trim: true },
+        location: { type: String, trim: true },
+        category: { type: String, trim: true },
+        employmentType: { type: String, enum: EMPLOYMENT_TYPES },
+        minSalary: { type: Number, min: 0 },
+        maxSalary: { type: Number, min: 0 },
+        skills: [{ type: String, trim: true }]
+    },
+    frequency: {
+        type: String,
+        enum: ["daily", "weekly"],
+        default: "weekly"
+    },
+    // Digest emails and notifications for this search; turned off by the unsubscribe link
+    alertsEnabled: {
+        type: Boolean,
+        default: true
+    },
+    unsubscribeToken: {
+        type: String,
+        default: () => crypto.randomBytes(24).toString("hex")
+    },
+    // Jobs created after this date are "new" for the next digest
+    lastCheckedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSentAt: Date,
+    lastResultCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+savedJobSearchSchema.index({ user: 1, createdAt: -1 });
+savedJobSearchSchema.index({ alertsEnabled: 1, frequency: 1, lastCheckedAt: 1 });
+savedJobSearchSchema.index({ unsubscribeToken: 1 }, { unique: true });
+
+export const SavedJobSearch = mongoose.model("SavedJobSearch", savedJobSearchSchema);
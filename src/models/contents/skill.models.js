@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// Canonical skill in the shared taxonomy. `slug` is the stable skill ID used by
+// the matchers; names and aliases are resolved to it (e.g. "JS" -> "javascript").
+const skillSchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxLength: 100
+    },
+    aliases: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Broader skill this one belongs to (Express -> Node.js -> JavaScript)
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Skill",
+        default: null
+    },
+    category: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxLength: 500
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+skillSchema.index({ slug: 1 }, { unique: true });
+skillSchema.index({ aliases: 1 });
+skillSchema.index({ parent: 1 });
+
+export const Skill = mongoose.model("Skill", skillSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Kinds of documents listed in the match index
+export const SKILL_MATCH_INDEX_KINDS = ["student", "job"];
+
+// Inverted index used for candidate matching: one entry per normalized skill key
+// and matchable student or active job that mentions it. "primary" marks keys that
+// are one of the document's own skills rather than a parent skill or a word of one.
+const skillMatchIndexSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    kind: {
+        type: String,
+        enum: SKILL_MATCH_INDEX_KINDS,
+        required: true
+    },
+    // Student or Job ID, depending on kind
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    primary: {
+        type: Boolean,
+        default: false
+    },
+    // Last time the entry was written; a rebuild removes entries it did not write
+    indexedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+skillMatchIndexSchema.index({ kind: 1, key: 1, entityId: 1 }, { unique: true });
+skillMatchIndexSchema.index({ kind: 1, entityId: 1 });
+
+export const SkillMatchIndex = mongoose.model("SkillMatchIndex", skillMatchIndexSchema);
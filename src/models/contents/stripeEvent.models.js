@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { STRIPE_EVENT_STATUSES } from "../../utils/stripeEvents.js";
+
+// Ledger of Stripe webhook events. An event is recorded before it is handled,
+// so redelivered events are skipped and failed ones can be processed again.
+const stripeEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    livemode: {
+        type: Boolean,
+        default: false
+    },
+    apiVersion: String,
+    // When Stripe created the event
+    stripeCreatedAt: Date,
+    // Verified event as received, replayed when the event is processed again
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: STRIPE_EVENT_STATUSES,
+        default: "processing"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: Date,
+    processedAt: Date,
+    lastError: String
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+stripeEventSchema.index({ eventId: 1 }, { unique: true });
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+stripeEventSchema.index({ type: 1, createdAt: -1 });
+
+export const StripeEvent = mongoose.model("StripeEvent", stripeEventSchema);
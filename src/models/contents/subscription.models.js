@@ -1,4 +1,20 @@
 import mongoose from "mongoose";
+import { DUNNING_STAGES } from "../../utils/dunning.js";
+
+// Entries of a subscription's history
+export const SUBSCRIPTION_HISTORY_EVENTS = [
+    "plan_changed",
+    "plan_change_scheduled",
+    "plan_change_cancelled",
+    "past_due",
+    "payment_retry_failed",
+    "payment_recovered",
+    "grace_period_extended",
+    "expired_unpaid",
+    "trial_started",
+    "trial_converted",
+    "trial_expired"
+];
 
 const subscriptionSchema = new mongoose.Schema({
     userId: {
@@ -13,7 +29,7 @@ const subscriptionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ["pending", "active", "expired", "cancelled"],
+        enum: ["pending", "trialing", "active", "past_due", "expired", "cancelled"],
         default: "pending"
     },
     billing: {
@@ -34,8 +50,104 @@ const subscriptionSchema = new mongoose.Schema({
         // Add these fields for Stripe integration
         stripeCustomerId: String,
         stripePaymentMethodId: String,
-        stripeSubscriptionId: String // Optional: for future Stripe Subscription API migration
+        stripeSubscriptionId: String, // Optional: for future Stripe Subscription API migration
+        // Paid for the current period after discounts and credit; plan changes prorate from it
+        amountPaid: {
+            type: Number,
+            min: 0
+        },
+        // Owed to the subscriber (e.g. after a downgrade), used up by later charges
+        creditBalance: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    // Failed renewal being retried (status "past_due"); cleared once it is paid
+    dunning: {
+        failedAt: Date,
+        failures: {
+            type: Number,
+            default: 0
+        },
+        lastAttemptAt: Date,
+        nextRetryAt: Date,
+        // Access continues until then
+        graceEndsAt: Date,
+        // Last reminder sent
+        stage: {
+            type: String,
+            enum: DUNNING_STAGES
+        },
+        lastError: String
+    },
+    // Free trial (status "trialing" until it converts or ends)
+    trial: {
+        startedAt: Date,
+        endsAt: Date,
+        // Days-before-end reminders already sent
+        remindersSent: [Number],
+        endedAt: Date,
+        outcome: {
+            type: String,
+            enum: ["converted", "expired", "cancelled"]
+        }
+    },
+    // Coupon applied at checkout, for the first payment only
+    discount: {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Coupon"
+        },
+        code: String,
+        originalAmount: Number,
+        discountAmount: Number,
+        finalAmount: Number,
+        // Checkout payment the discount was applied to
+        paymentIntentId: String,
+        appliedAt: Date
     },
+    // Plan switch requested for the end of the current period
+    pendingPlanChange: {
+        planId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "SubscriptionPlan"
+        },
+        requestedAt: Date,
+        effectiveAt: Date
+    },
+    history: [{
+        event: {
+            type: String,
+            enum: SUBSCRIPTION_HISTORY_EVENTS,
+            required: true
+        },
+        fromPlan: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "SubscriptionPlan"
+        },
+        toPlan: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "SubscriptionPlan"
+        },
+        effectiveAt: Date,
+        // Proration of an immediate change
+        unusedCredit: Number,
+        newPlanCost: Number,
+        amountCharged: Number,
+        creditApplied: Number,
+        creditAdded: Number,
+        transactionId: String,
+        note: String,
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     payments: [{
         amount: Number,
         currency: String,
@@ -56,5 +168,9 @@ subscriptionSchema.index({ userId: 1 });
 subscriptionSchema.index({ status: 1 });
 subscriptionSchema.index({ "billing.nextBillingDate": 1 });
 subscriptionSchema.index({ "billing.autoRenew": 1 });
+subscriptionSchema.index({ status: 1, "dunning.nextRetryAt": 1 });
+subscriptionSchema.index({ status: 1, "dunning.graceEndsAt": 1 });
+subscriptionSchema.index({ status: 1, "trial.endsAt": 1 });
+subscriptionSchema.index({ userId: 1, "trial.startedAt": 1 });
 
 export const Subscription = mongoose.model("Subscription", subscriptionSchema);
@@ -1,5 +1,12 @@
 import mongoose from "mongoose";
 
+// Role a user gets once their subscription to a plan is active
+export const PLAN_ROLES = {
+    learner: "student",
+    employer: "employer",
+    trainingInstitue: "school"
+};
+
 const subscriptionPlanSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -40,6 +47,23 @@ const subscriptionPlanSchema = new mongoose.Schema({
         required:true,
 
     },
+
+    // Usage limits enforced for subscribers (null = unlimited, 0 = not included)
+    entitlements: {
+        maxCourses: { type: Number, min: 0, default: null },
+        maxActiveJobPosts: { type: Number, min: 0, default: null },
+        // Per monthly usage period
+        maxProfileViews: { type: Number, min: 0, default: null },
+        maxConversations: { type: Number, min: 0, default: null }
+    },
+    
+    // Free trial offered to new subscribers of a paid plan (0 = none)
+    trialDays: {
+        type: Number,
+        min: 0,
+        max: 90,
+        default: 0
+    },
     
     isAmountPayed:{
         type:Boolean,
@@ -84,6 +84,15 @@ const instituteSchema = new mongoose.Schema({
             default: 0,
             min: 0,
             max: 100
+        },
+        // Over the published reviews of all the institute's courses
+        averageRating: {
+            type: Number,
+            default: 0
+        },
+        reviewCount: {
+            type: Number,
+            default: 0
         }
     },
     
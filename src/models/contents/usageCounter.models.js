@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import { ENTITLEMENTS } from "../../utils/entitlements.js";
+
+// Use of a periodic plan allowance (e.g. candidate profile views) by one user
+// in one monthly usage period. `keys` holds what was counted so that viewing
+// the same profile again in the period is free.
+const usageCounterSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    metric: {
+        type: String,
+        enum: Object.keys(ENTITLEMENTS),
+        required: true
+    },
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    keys: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// ===== Indexes for Performance =====
+usageCounterSchema.index({ user: 1, metric: 1, periodStart: 1 }, { unique: true });
+usageCounterSchema.index({ periodEnd: 1 });
+
+export const UsageCounter = mongoose.model("UsageCounter", usageCounterSchema);
@@ -16,4 +16,27 @@ export { Experience } from './student models/experience.models.js';
 
 // CHAT FEATURE: Chat models
 export { ChatConversation } from './contents/chat.conversation.models.js';
-export { ChatMessage } from './contents/chat.message.models.js';
\ No newline at end of file
+export { ChatMessage } from './contents/chat.message.models.js';
+// JOB APPLICATIONS
+export { Application } from './contents/application.models.js';
+export { Interview } from './contents/interview.models.js';
+export { SkillMatchIndex } from './contents/skillMatchIndex.models.js';
+export { Skill } from './contents/skill.models.js';
+export { SavedJobSearch } from './contents/savedJobSearch.models.js';
+export { QuizQuestion } from './contents/quizQuestion.models.js';
+export { Quiz } from './contents/quiz.models.js';
+export { QuizAttempt } from './contents/quizAttempt.models.js';
+export { CourseCertificate } from './contents/courseCertificate.models.js';
+export { StripeEvent } from './contents/stripeEvent.models.js';
+export { Counter } from './contents/counter.models.js';
+export { Invoice } from './contents/invoice.models.js';
+export { UsageCounter } from './contents/usageCounter.models.js';
+export { Coupon } from './contents/coupon.models.js';
+export { CouponRedemption } from './contents/couponRedemption.models.js';
+export { RevenueLedger } from './contents/revenueLedger.models.js';
+export { PayoutStatement } from './contents/payoutStatement.models.js';
+export { Review } from './contents/review.models.js';
+export { Cohort } from './contents/cohort.models.js';
+export { CohortWaitlist } from './contents/cohortWaitlist.models.js';
+export { CourseSession } from './contents/courseSession.models.js';
+export { Attendance } from './contents/attendance.models.js';
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { normalizeSkillList, normalizeSkillName } from "../../utils/skillTaxonomy.js";
+import { PROFICIENCY_LEVELS } from "../../utils/matchingUtils.js";
 
 const certificationSchema = new mongoose.Schema({
   name: { 
@@ -17,6 +19,21 @@ const certificationSchema = new mongoose.Schema({
   certificateFile: {
      type: String 
     },
+  // Skills the certification demonstrates, added as evidence to the student's skills
+  skills: {
+    type: [{ type: String, trim: true, set: normalizeSkillName }],
+    set: normalizeSkillList,
+  },
+  level: {
+    type: String,
+    enum: PROFICIENCY_LEVELS,
+  },
+  // Set when the platform issued this certification on course completion; it is
+  // verified by its code and cannot be edited by the student
+  courseCertificate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CourseCertificate",
+  },
 }, { timestamps: true });
 
 // ===== Indexes for Performance =====
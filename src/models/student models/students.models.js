@@ -1,4 +1,44 @@
 import mongoose from "mongoose";
+import { normalizeSkillList, normalizeSkillName } from "../../utils/skillTaxonomy.js";
+import { PROFICIENCY_LEVELS } from "../../utils/matchingUtils.js";
+
+// Proof that a student has a skill: a completed course or an uploaded certification
+const skillEvidenceSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        enum: ["course", "certification", "quiz"],
+        required: true
+    },
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course"
+    },
+    enrollment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Enrollment"
+    },
+    certification: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Certification"
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz"
+    },
+    title: {
+        type: String,
+        trim: true
+    },
+    // Level the evidence demonstrates, if known (e.g. the course level)
+    level: {
+        type: String,
+        enum: PROFICIENCY_LEVELS
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const studentSchema = new mongoose.Schema({
     userId : {
@@ -41,11 +81,30 @@ const studentSchema = new mongoose.Schema({
         type : mongoose.Schema.Types.ObjectId,
         ref : 'KYC'
     },
-    skills:[{
-        type :String,
-        required : true,
-        trim : true,
-     }],
+    // Stored under canonical taxonomy names ("js" -> "JavaScript"), without duplicates
+    skills: {
+        type: [{
+            type :String,
+            required : true,
+            trim : true,
+            set: normalizeSkillName,
+        }],
+        set: normalizeSkillList,
+    },
+    // Level per skill: self-assessed `level` plus evidence; matching uses the highest of them
+    skillProficiencies: [{
+        skill: {
+            type: String,
+            required: true,
+            trim: true,
+            set: normalizeSkillName,
+        },
+        level: {
+            type: String,
+            enum: PROFICIENCY_LEVELS,
+        },
+        evidence: [skillEvidenceSchema],
+    }],
     experience:[{
         type : mongoose.Schema.Types.ObjectId,
         ref: 'Experience'
@@ -0,0 +1,457 @@
+import express from "express";
+import {
+    createSession,
+    getCourseSessions,
+    updateSession,
+    deleteSession,
+    getSessionAttendance,
+    markSessionAttendance,
+    uploadSessionAttendance,
+    getCourseAttendanceSummary,
+    getMyAttendance
+} from '../controllers/attendance.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+import { csvUpload } from '../middlewares/Multer.middlewares.js';
+
+const attendanceRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseSessionInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 150
+ *           example: "Week 3: REST APIs"
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-01-26T17:00:00.000Z"
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: After startsAt, at most 12 hours later
+ *           example: "2026-01-26T19:00:00.000Z"
+ *         location:
+ *           type: string
+ *           example: "Campus B, room 204"
+ *         notes:
+ *           type: string
+ *     CourseSession:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CourseSessionInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             course:
+ *               type: string
+ *             cohort:
+ *               type: string
+ *               description: Set when only the students of one cohort attend the session
+ *             institute:
+ *               type: string
+ *     AttendanceSummary:
+ *       type: object
+ *       properties:
+ *         sessions:
+ *           type: integer
+ *           description: Sessions the student was marked for
+ *         present:
+ *           type: integer
+ *         late:
+ *           type: integer
+ *         absent:
+ *           type: integer
+ *         excused:
+ *           type: integer
+ *         rate:
+ *           type: number
+ *           nullable: true
+ *           description: Percentage of sessions attended, counting late as attended and leaving excused absences out
+ *           example: 87.5
+ *     AttendanceRowError:
+ *       type: object
+ *       properties:
+ *         line:
+ *           type: integer
+ *           description: CSV line (uploads only)
+ *         student:
+ *           type: string
+ *         message:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/attendance/me:
+ *   get:
+ *     summary: The student's attendance
+ *     description: Attendance rate over all sessions, and per course.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attendance fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     overall:
+ *                       $ref: '#/components/schemas/AttendanceSummary'
+ *                     courses:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/AttendanceSummary'
+ *                           - type: object
+ *                             properties:
+ *                               course:
+ *                                 type: object
+ *                                 properties:
+ *                                   _id:
+ *                                     type: string
+ *                                   title:
+ *                                     type: string
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+attendanceRouter.get('/me', requestLogger, verifyJWT, authorizeRoles('student'), getMyAttendance);
+
+/**
+ * @swagger
+ * /api/v1/attendance/courses/{courseId}/sessions:
+ *   get:
+ *     summary: List a course's sessions (school or admin)
+ *     description: Sessions in chronological order with their attendance counts.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cohortId
+ *         schema:
+ *           type: string
+ *         description: Only the sessions of this cohort
+ *     responses:
+ *       200:
+ *         description: Sessions fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/CourseSession'
+ *                           - type: object
+ *                             properties:
+ *                               attendance:
+ *                                 $ref: '#/components/schemas/AttendanceSummary'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Course not found
+ *   post:
+ *     summary: Schedule a session for a course (school or admin)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CourseSessionInput'
+ *               - type: object
+ *                 required: [title, startsAt, endsAt]
+ *                 properties:
+ *                   cohortId:
+ *                     type: string
+ *                     description: Limit the session to the students of one cohort of the course
+ *     responses:
+ *       201:
+ *         description: Session created successfully
+ *       400:
+ *         description: Invalid session fields, or the cohort is cancelled
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Course or cohort not found
+ */
+attendanceRouter.get('/courses/:courseId/sessions', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), getCourseSessions);
+attendanceRouter.post('/courses/:courseId/sessions', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), createSession);
+
+/**
+ * @swagger
+ * /api/v1/attendance/courses/{courseId}/summary:
+ *   get:
+ *     summary: Attendance of a course's students (school or admin)
+ *     description: Rate per student, lowest first, and for the course as a whole.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course attendance fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     overall:
+ *                       $ref: '#/components/schemas/AttendanceSummary'
+ *                     sessions:
+ *                       type: integer
+ *                     students:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/AttendanceSummary'
+ *                           - type: object
+ *                             properties:
+ *                               student:
+ *                                 type: object
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Course not found
+ */
+attendanceRouter.get('/courses/:courseId/summary', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), getCourseAttendanceSummary);
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions/{id}:
+ *   get:
+ *     summary: A session's attendance sheet (school or admin)
+ *     description: Every student expected at the session (enrolled in the course, or in the session's cohort) with their mark; students not marked yet have a null status.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session attendance fetched successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Session not found
+ *   patch:
+ *     summary: Update a session (school or admin)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseSessionInput'
+ *     responses:
+ *       200:
+ *         description: Session updated successfully
+ *       400:
+ *         description: Invalid session fields
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Session not found
+ *   delete:
+ *     summary: Delete a session and its attendance (school or admin)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Session not found
+ */
+attendanceRouter.get('/sessions/:id', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), getSessionAttendance);
+attendanceRouter.patch('/sessions/:id', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), updateSession);
+attendanceRouter.delete('/sessions/:id', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), deleteSession);
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions/{id}/attendance:
+ *   put:
+ *     summary: Mark attendance at a session (school or admin)
+ *     description: Marking a student again replaces the earlier mark. Students who are not expected at the session are reported and skipped.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [records]
+ *             properties:
+ *               records:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 1000
+ *                 items:
+ *                   type: object
+ *                   required: [studentId, status]
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                       description: The student's user ID
+ *                     status:
+ *                       type: string
+ *                       enum: [present, late, absent, excused]
+ *                     note:
+ *                       type: string
+ *                       maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Attendance marked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     marked:
+ *                       type: integer
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AttendanceRowError'
+ *       400:
+ *         description: Invalid records
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Session not found
+ */
+attendanceRouter.put('/sessions/:id/attendance', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), markSessionAttendance);
+
+/**
+ * @swagger
+ * /api/v1/attendance/sessions/{id}/attendance/upload:
+ *   post:
+ *     summary: Mark attendance from a CSV file (school or admin)
+ *     description: |
+ *       The header row names the columns: `status` and `email` or `studentId`, plus an optional `note`.
+ *       Up to 1000 rows and 1MB. Rows that cannot be read or do not match a student expected at the
+ *       session are reported with their line number; the other rows are saved.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Attendance marked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     marked:
+ *                       type: integer
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AttendanceRowError'
+ *       400:
+ *         description: Missing file, empty file or unknown columns
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Session not found
+ */
+attendanceRouter.post(
+    '/sessions/:id/attendance/upload',
+    requestLogger,
+    verifyJWT,
+    authorizeRoles('school', 'admin'),
+    csvUpload.single('file'),
+    uploadSessionAttendance
+);
+
+export default attendanceRouter;
@@ -0,0 +1,246 @@
+import express from "express";
+import {
+    verifyCertificate,
+    downloadCertificatePdf,
+    getMyCertificates,
+    issueEnrollmentCertificate,
+    revokeCertificate
+} from '../controllers/certificate.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const certificateRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseCertificate:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         verificationCode:
+ *           type: string
+ *           example: "TB-7KQM-X2PD-9WHT"
+ *         recipientName:
+ *           type: string
+ *           example: "Jane Doe"
+ *         courseTitle:
+ *           type: string
+ *         providerName:
+ *           type: string
+ *         course:
+ *           type: string
+ *         level:
+ *           type: string
+ *           enum: [Beginner, Intermediate, Advanced, Expert]
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *         assessments:
+ *           type: array
+ *           description: Course quizzes passed at issue time
+ *           items:
+ *             type: object
+ *             properties:
+ *               quiz:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               percentage:
+ *                 type: number
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [valid, revoked]
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedReason:
+ *           type: string
+ *           nullable: true
+ *         verificationUrl:
+ *           type: string
+ *         pdfUrl:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/certificates/verify/{code}:
+ *   get:
+ *     summary: Verify a course certificate
+ *     description: |
+ *       Public endpoint for employers and anyone else holding a certificate code. Codes are not case sensitive
+ *       and dashes are optional. `valid` is true only when the certificate is not revoked and its signature still
+ *       matches the printed fields.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "TB-7KQM-X2PD-9WHT"
+ *     responses:
+ *       200:
+ *         description: Certificate found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     valid:
+ *                       type: boolean
+ *                     signatureValid:
+ *                       type: boolean
+ *                     certificate:
+ *                       $ref: '#/components/schemas/CourseCertificate'
+ *       400:
+ *         description: Malformed verification code
+ *       404:
+ *         description: No certificate matches this code
+ */
+certificateRouter.get('/verify/:code', requestLogger, verifyCertificate);
+
+/**
+ * @swagger
+ * /api/v1/certificates/verify/{code}/pdf:
+ *   get:
+ *     summary: Download a course certificate as PDF
+ *     description: Public, like the verify endpoint. Revoked certificates are rendered with a REVOKED watermark.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Malformed verification code
+ *       404:
+ *         description: No certificate matches this code
+ */
+certificateRouter.get('/verify/:code/pdf', requestLogger, downloadCertificatePdf);
+
+/**
+ * @swagger
+ * /api/v1/certificates/mine:
+ *   get:
+ *     summary: List my course certificates
+ *     description: Certificates issued to the student when their enrollments were completed. Each is also listed in the profile certifications.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Certificates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     certificates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CourseCertificate'
+ *                     total:
+ *                       type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+certificateRouter.get('/mine', requestLogger, verifyJWT, authorizeRoles('student'), getMyCertificates);
+
+/**
+ * @swagger
+ * /api/v1/certificates/enrollments/{enrollmentId}:
+ *   post:
+ *     summary: Issue the certificate for a completed enrollment (owning school or admin)
+ *     description: |
+ *       Certificates are issued automatically on completion; use this for enrollments completed before
+ *       certificates existed or when automatic issuing failed. Returns the existing certificate if there is one.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: enrollmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A certificate was already issued for this enrollment
+ *       201:
+ *         description: Certificate issued successfully
+ *       400:
+ *         description: The enrollment is not completed
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Enrollment not found
+ */
+certificateRouter.post('/enrollments/:enrollmentId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), issueEnrollmentCertificate);
+
+/**
+ * @swagger
+ * /api/v1/certificates/{id}/revoke:
+ *   patch:
+ *     summary: Revoke a course certificate (owning school or admin)
+ *     description: The certificate stays verifiable but is reported as revoked, and it is removed from the student's profile.
+ *     tags: [Certificates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Issued in error"
+ *     responses:
+ *       200:
+ *         description: Certificate revoked successfully
+ *       400:
+ *         description: Missing reason or already revoked
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Certificate not found
+ */
+certificateRouter.patch('/:id/revoke', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), revokeCertificate);
+
+export default certificateRouter;
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import { verifyJWT } from "../middlewares/Auth.middlewares.js";
+import { checkEntitlement } from "../middlewares/subscription.middlewares.js";
 import { 
   startConversation, 
   listConversations, 
@@ -17,6 +18,12 @@ const router = Router();
 // Apply JWT verification to all chat routes
 router.use(verifyJWT);
 
+// Each person a user starts chatting with counts once per usage period
+const conversationPartner = (req) => {
+  const targetUserId = String(req.body.targetUserId);
+  return targetUserId === req.user._id.toString() ? null : targetUserId;
+};
+
 /**
  * @swagger
  * tags:
@@ -89,12 +96,15 @@ router.use(verifyJWT);
  *         description: Invalid participant ID or cannot start conversation with self
  *       401:
  *         description: Unauthorized
+ *       429:
+ *         description: New conversations for this month used up (schools and employers; plan maxConversations, or the free tier without a subscription)
  */
 // Start or get existing conversation
 router.post(
   "/conversations/start", 
   startConversationSchema, 
   handleValidationErrors,
+  checkEntitlement("conversations", { getKey: conversationPartner }),
   startConversation
 );
 
@@ -0,0 +1,341 @@
+import express from "express";
+import {
+    getCourseCohorts,
+    createCohort,
+    updateCohort,
+    cancelCohort,
+    getCohortWaitlist,
+    getMyWaitlists,
+    leaveCohortWaitlist
+} from '../controllers/cohort.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const cohortRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CohortInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "January 2026 evening intake"
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-01-12T17:00:00.000Z"
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-03-20T19:00:00.000Z"
+ *         capacity:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           example: 25
+ *         schedule:
+ *           type: array
+ *           maxItems: 14
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: string
+ *                 enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *               startTime:
+ *                 type: string
+ *                 example: "18:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "20:00"
+ *         timezone:
+ *           type: string
+ *           example: "Europe/Berlin"
+ *         location:
+ *           type: string
+ *           description: Where the sessions take place; a location or an online link is required
+ *           example: "Campus B, room 204"
+ *         onlineLink:
+ *           type: string
+ *           example: "https://meet.example.com/web-dev-jan"
+ *     Cohort:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CohortInput'
+ *         - type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             course:
+ *               type: string
+ *             institute:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [scheduled, cancelled]
+ *             seatsTaken:
+ *               type: integer
+ *               description: Enrolled and unpaid students, plus seats held for waitlist offers
+ *             seatsLeft:
+ *               type: integer
+ *             waitlistLength:
+ *               type: integer
+ *             enrollmentOpen:
+ *               type: boolean
+ *               description: Whether students can still enroll (until the cohort starts)
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         cohort:
+ *           type: string
+ *         course:
+ *           type: string
+ *         student:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, claimed, expired, cancelled]
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ *         offeredAt:
+ *           type: string
+ *           format: date-time
+ *         offerExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Enroll in the cohort before this time to claim the offered seat (COHORT_CLAIM_HOURS, 48 by default)
+ *         position:
+ *           type: integer
+ *           description: Place in line while waiting
+ */
+
+/**
+ * @swagger
+ * /api/v1/cohorts/waitlist/me:
+ *   get:
+ *     summary: The student's waitlists
+ *     description: Cohorts the student is waiting for or holds an offered seat in, with their place in line.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waitlists fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     waitlists:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WaitlistEntry'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+cohortRouter.get('/waitlist/me', requestLogger, verifyJWT, authorizeRoles('student'), getMyWaitlists);
+
+/**
+ * @swagger
+ * /api/v1/cohorts/courses/{courseId}:
+ *   get:
+ *     summary: List a course's cohorts
+ *     description: Upcoming cohorts with the seats left and the waitlist length. The course's school and admins can include past and cancelled cohorts.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includePast
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Cohorts fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cohorts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Cohort'
+ *       404:
+ *         description: Course not found
+ *   post:
+ *     summary: Add a cohort to a course (school only)
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CohortInput'
+ *               - type: object
+ *                 required: [name, startDate, endDate, capacity]
+ *     responses:
+ *       201:
+ *         description: Cohort created successfully
+ *       400:
+ *         description: Invalid dates, capacity, schedule, location or link
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Course not found
+ */
+cohortRouter.get('/courses/:courseId', requestLogger, verifyJWT, authorizeRoles('student', 'school', 'admin'), getCourseCohorts);
+cohortRouter.post('/courses/:courseId', requestLogger, verifyJWT, authorizeRoles('school'), createCohort);
+
+/**
+ * @swagger
+ * /api/v1/cohorts/{id}:
+ *   patch:
+ *     summary: Update a cohort (school or admin)
+ *     description: Capacity cannot go below the seats taken. Added seats are offered to the waitlist first.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CohortInput'
+ *     responses:
+ *       200:
+ *         description: Cohort updated successfully
+ *       400:
+ *         description: Invalid cohort fields
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Cohort not found
+ *       409:
+ *         description: The cohort is cancelled, or more seats were taken in the meantime
+ */
+cohortRouter.patch('/:id', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), updateCohort);
+
+/**
+ * @swagger
+ * /api/v1/cohorts/{id}/cancel:
+ *   post:
+ *     summary: Cancel a cohort (school or admin)
+ *     description: Only cohorts without enrolled students can be cancelled; their waitlist is closed.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cohort cancelled successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Cohort not found
+ *       409:
+ *         description: Already cancelled, or students are enrolled
+ */
+cohortRouter.post('/:id/cancel', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), cancelCohort);
+
+/**
+ * @swagger
+ * /api/v1/cohorts/{id}/waitlist:
+ *   get:
+ *     summary: A cohort's waitlist (school or admin)
+ *     description: Students holding an offered seat, then the students waiting in line.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Waitlist fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cohort:
+ *                       $ref: '#/components/schemas/Cohort'
+ *                     offered:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WaitlistEntry'
+ *                     waiting:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WaitlistEntry'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Cohort not found
+ *   delete:
+ *     summary: Leave a cohort's waitlist (student)
+ *     description: Also declines a seat the student was offered; the seat goes to the next student in line.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       404:
+ *         description: Not on the waitlist of this cohort
+ */
+cohortRouter.get('/:id/waitlist', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), getCohortWaitlist);
+cohortRouter.delete('/:id/waitlist', requestLogger, verifyJWT, authorizeRoles('student'), leaveCohortWaitlist);
+
+export default cohortRouter;
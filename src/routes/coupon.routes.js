@@ -0,0 +1,350 @@
+import express from "express";
+import {
+    getCoupons,
+    createCoupon,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon,
+    getCouponReport,
+    validateCoupon
+} from '../controllers/coupon.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const couponRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "SCHOOLS20"
+ *         description:
+ *           type: string
+ *           example: "20% off for training institutes this autumn"
+ *         discountType:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         amount:
+ *           type: number
+ *           description: Percentage (1-100) or amount off in the coupon currency
+ *           example: 20
+ *         currency:
+ *           type: string
+ *           description: Currency of fixed amount coupons
+ *           example: "usd"
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         maxRedemptions:
+ *           type: integer
+ *           nullable: true
+ *           description: Total redemptions allowed, null for unlimited
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *           default: 1
+ *         applicablePlans:
+ *           type: array
+ *           description: Plans the coupon applies to; empty for all plans
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ *         redemptionCount:
+ *           type: integer
+ *           description: Completed redemptions plus the ones held by unpaid checkouts
+ *     CouponInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: "SCHOOLS20"
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         amount:
+ *           type: number
+ *           example: 20
+ *         currency:
+ *           type: string
+ *           example: "usd"
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         maxRedemptions:
+ *           type: integer
+ *           nullable: true
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *         applicablePlans:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/coupons/validate:
+ *   post:
+ *     summary: Check a coupon code for a plan
+ *     description: |
+ *       Returns the discount the code gives on the plan for the current user. The discount is
+ *       applied by passing the code as couponCode to /subscriptions/create-payment-intent.
+ *       Checkout always charges at least 0.50.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, planId]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "SCHOOLS20"
+ *               planId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Coupon applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     discountType:
+ *                       type: string
+ *                     currency:
+ *                       type: string
+ *                     originalAmount:
+ *                       type: number
+ *                       example: 49.99
+ *                     discountAmount:
+ *                       type: number
+ *                       example: 10
+ *                     finalAmount:
+ *                       type: number
+ *                       example: 39.99
+ *       400:
+ *         description: Unknown, expired, fully redeemed or ineligible coupon
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+couponRouter.post('/validate', requestLogger, verifyJWT, validateCoupon);
+
+/**
+ * @swagger
+ * /api/v1/coupons/report:
+ *   get:
+ *     summary: Coupon redemption report (Admin only)
+ *     description: Redemptions per coupon with the discount given and the revenue collected.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: couponId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Coupon report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coupons:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           couponId:
+ *                             type: string
+ *                           code:
+ *                             type: string
+ *                           redemptions:
+ *                             type: integer
+ *                           uniqueUsers:
+ *                             type: integer
+ *                           discountGiven:
+ *                             type: number
+ *                           revenue:
+ *                             type: number
+ *                     totals:
+ *                       type: object
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+couponRouter.get('/report', requestLogger, verifyJWT, authorizeRoles('admin'), getCouponReport);
+
+/**
+ * @swagger
+ * /api/v1/coupons:
+ *   get:
+ *     summary: List coupons (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the code
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Coupons retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: Create a coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CouponInput'
+ *               - required: [code, discountType, amount]
+ *     responses:
+ *       200:
+ *         description: Coupon created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Code already exists
+ */
+couponRouter.get('/', requestLogger, verifyJWT, authorizeRoles('admin'), getCoupons);
+couponRouter.post('/', requestLogger, verifyJWT, authorizeRoles('admin'), createCoupon);
+
+/**
+ * @swagger
+ * /api/v1/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon (Admin only)
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon retrieved successfully
+ *       404:
+ *         description: Coupon not found
+ *   patch:
+ *     summary: Update a coupon (Admin only)
+ *     description: Once redeemed, only the description, validity dates, limits, plans and active flag can change.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: Coupon updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     summary: Delete a coupon (Admin only)
+ *     description: Coupons that have been redeemed are deactivated instead.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ *       404:
+ *         description: Coupon not found
+ */
+couponRouter.get('/:id', requestLogger, verifyJWT, authorizeRoles('admin'), getCouponById);
+couponRouter.patch('/:id', requestLogger, verifyJWT, authorizeRoles('admin'), updateCoupon);
+couponRouter.delete('/:id', requestLogger, verifyJWT, authorizeRoles('admin'), deleteCoupon);
+
+export default couponRouter;
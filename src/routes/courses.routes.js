@@ -8,14 +8,26 @@ import {
     deleteCourseById,
     searchCourses,
     getCoursesByProvider,
-    getCoursesByProviderId
+    getCoursesByProviderId,
+    submitCourseForApproval,
+    withdrawCourseSubmission,
+    getCourseApprovalQueue
 } from '../controllers/courses.controllers.js';
+import {
+    getCourseCurriculum,
+    addModule,
+    updateModule,
+    deleteModule,
+    addLesson,
+    updateLesson,
+    deleteLesson
+} from '../controllers/curriculum.controllers.js';
 import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
 import { verifyJWT } from '../middlewares/Auth.middlewares.js';
 import { authorizeRoles } from '../middlewares/Role.middlewares.js';
 import { requireActiveSubscription, checkCourseLimit } from '../middlewares/subscription.middlewares.js';
 import { upload } from '../middlewares/Multer.middlewares.js'
-import { coursesCache, invalidateUserCache } from '../middlewares/redis.middlewares.js';
+import { coursesCache, userCoursesCache, invalidateCourseCache, invalidateUserCache } from '../middlewares/redis.middlewares.js';
 
 const courseRouter = express.Router();
 
@@ -71,6 +83,13 @@ const courseRouter = express.Router();
  *           minimum: 0
  *         description: Maximum price filter
  *         example: 500
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, rating]
+ *           default: newest
+ *         description: Newest first, or best rated first (average rating, then number of reviews)
  *     responses:
  *       200:
  *         description: Courses retrieved successfully
@@ -108,53 +127,71 @@ courseRouter.get('/', requestLogger,verifyJWT , authorizeRoles('school' , 'stude
  * @swagger
  * /api/v1/courses/search:
  *   get:
- *     summary: Search courses by title, instructor, or category
- *     description: Perform advanced search across courses with multiple filter options and full-text search capabilities
+ *     summary: Search the course catalog
+ *     description: |
+ *       Full-text search over course titles, skills, objectives and descriptions, ranked by relevance
+ *       (title matches weigh most). Query words that do not appear in any course title, skill or category
+ *       are also searched as the closest catalog word, so small typos still find results; the
+ *       replacements are listed in `corrections`. Every response carries facet counts for the
+ *       matching courses. Without a query, the filters alone are applied and newest courses come first.
  *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: q
  *         schema:
  *           type: string
- *           minLength: 3
- *         required: true
- *         description: Search query for course title, instructor, or description (minimum 3 characters)
+ *           maxLength: 100
+ *         description: Search words
  *         example: "web development"
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by course category
+ *         description: Exact category (case-insensitive), as listed in the category facet
  *         example: "Technology"
  *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *         example: "English"
+ *       - in: query
  *         name: type
  *         schema:
  *           type: string
- *           enum: ["online", "offline", "hybrid"]
- *         description: Filter by course delivery type
+ *         description: Course delivery type
  *         example: "online"
  *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Training provider ID
+ *       - in: query
  *         name: priceMin
  *         schema:
  *           type: number
  *           minimum: 0
- *         description: Minimum price filter
  *         example: 100
  *       - in: query
  *         name: priceMax
  *         schema:
  *           type: number
  *           minimum: 0
- *         description: Maximum price filter
+ *         description: Courses without a price count as free
  *         example: 500
  *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, rating, price_asc, price_desc]
+ *         description: Defaults to relevance with a query, newest otherwise
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           minimum: 1
  *           default: 1
- *         description: Page number for pagination
- *         example: 1
  *       - in: query
  *         name: limit
  *         schema:
@@ -162,8 +199,6 @@ courseRouter.get('/', requestLogger,verifyJWT , authorizeRoles('school' , 'stude
  *           minimum: 1
  *           maximum: 50
  *           default: 10
- *         description: Number of courses per page (max 50)
- *         example: 10
  *     responses:
  *       200:
  *         description: Search results retrieved successfully
@@ -184,23 +219,90 @@ courseRouter.get('/', requestLogger,verifyJWT , authorizeRoles('school' , 'stude
  *                     courses:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Course'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Course'
+ *                           - type: object
+ *                             properties:
+ *                               score:
+ *                                 type: number
+ *                                 description: Relevance, only present for text searches
+ *                     facets:
+ *                       type: object
+ *                       properties:
+ *                         category:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               value:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *                         language:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         type:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         priceBand:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               key:
+ *                                 type: string
+ *                                 enum: [free, under_50, 50_100, 100_250, 250_plus]
+ *                               label:
+ *                                 type: string
+ *                               min:
+ *                                 type: number
+ *                               max:
+ *                                 type: number
+ *                                 nullable: true
+ *                               count:
+ *                                 type: integer
+ *                         provider:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
  *                     pagination:
  *                       $ref: '#/components/schemas/PaginationInfo'
  *                     searchQuery:
  *                       type: string
  *                       example: "web development"
+ *                     corrections:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                             example: "pyhton"
+ *                           to:
+ *                             type: string
+ *                             example: "python"
+ *                     sort:
+ *                       type: string
  *                 message:
  *                   type: string
- *                   example: "Search completed successfully"
+ *                   example: "Search results fetched successfully"
  *       400:
- *         $ref: '#/components/responses/ValidationError'
- *       404:
- *         $ref: '#/components/responses/NotFoundError'
+ *         description: Invalid search parameters
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-courseRouter.get('/search', requestLogger,authorizeRoles('school' , 'student'), coursesCache, searchCourses);
+courseRouter.get('/search', requestLogger, verifyJWT, authorizeRoles('school', 'student', 'admin'), coursesCache, searchCourses);
 
 
 /**
@@ -234,7 +336,7 @@ courseRouter.get('/search', requestLogger,authorizeRoles('school' , 'student'),
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["draft", "pending_approval", "approved", "rejected", "archived"]
+ *           enum: ["draft", "pending_approval", "approved", "rejected"]
  *         description: Filter by course status
  *         example: "approved"
  *     responses:
@@ -274,10 +376,71 @@ courseRouter.get(
   '/provider',
   requestLogger,
   verifyJWT,
-  coursesCache,
+  userCoursesCache,
   getCoursesByProvider
 );
 
+/**
+ * @swagger
+ * /api/v1/courses/approval-queue:
+ *   get:
+ *     summary: Courses awaiting approval (Admin only)
+ *     description: Courses in the given status, oldest submission first. Defaults to the courses pending approval.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: ["draft", "pending_approval", "approved", "rejected"]
+ *           default: "pending_approval"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Course approval queue fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     courses:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Course'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/PaginationInfo'
+ *                 message:
+ *                   type: string
+ *                   example: "Course approval queue fetched successfully"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+courseRouter.get('/approval-queue', requestLogger, verifyJWT, authorizeRoles('admin'), getCourseApprovalQueue);
+
 
 
 /**
@@ -316,7 +479,7 @@ courseRouter.get(
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["draft", "pending_approval", "approved", "rejected", "archived"]
+ *           enum: ["draft", "pending_approval", "approved", "rejected"]
  *         description: Filter by course status
  *         example: "approved"
  *     responses:
@@ -459,11 +622,12 @@ courseRouter.get('/provider/:providerId', requestLogger, verifyJWT , authorizeRo
  *                   type: string
  *                 description: Course prerequisites (optional)
  *                 example: ["Basic computer skills", "No prior coding experience required"]
- *               difficulty:
+ *               level:
  *                 type: string
- *                 enum: ["beginner", "intermediate", "advanced"]
- *                 description: Course difficulty level (optional)
- *                 example: "beginner"
+ *                 enum: ["Beginner", "Intermediate", "Advanced"]
+ *                 default: "Beginner"
+ *                 description: Proficiency students reach in the course skills (optional). Recorded as skill evidence when a student completes the course.
+ *                 example: "Beginner"
  *               maxStudents:
  *                 type: integer
  *                 minimum: 1
@@ -512,7 +676,7 @@ courseRouter.get('/provider/:providerId', requestLogger, verifyJWT , authorizeRo
  *                       example: "John Doe"
  *                     status:
  *                       type: string
- *                       example: "pending_approval"
+ *                       example: "draft"
  *                     coverImageUrl:
  *                       type: string
  *                       example: "https://res.cloudinary.com/talentbridge/image/upload/v1234567890/courses/cover_abc123.jpg"
@@ -618,6 +782,7 @@ courseRouter.post(
         { name: 'coverImage', maxCount: 1 },
         { name: 'instructorImage', maxCount: 1 }
     ]),
+    invalidateCourseCache,
     createCourse
 );
 
@@ -630,7 +795,7 @@ courseRouter.post(
  * /api/v1/courses/{id}:
  *   get:
  *     summary: Get course by ID
- *     description: Retrieve detailed information about a specific course including instructor details and enrollment information
+ *     description: Retrieve detailed information about a specific course including instructor details and enrollment information. Courses that are not approved are only visible to their school and admins; the approval history is only included for them.
  *     tags: [Courses]
  *     parameters:
  *       - in: path
@@ -667,13 +832,14 @@ courseRouter.post(
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-courseRouter.get('/:id', requestLogger,verifyJWT ,authorizeRoles('school' , 'student'), coursesCache, getCoursesById);
+courseRouter.get('/:id', requestLogger,verifyJWT ,authorizeRoles('school' , 'student', 'admin'), userCoursesCache, getCoursesById);
 
 /**
  * @swagger
  * /api/v1/courses/{id}:
  *   put:
  *     summary: Update a course
+ *     description: Editing an approved course sends it back for approval with the changed fields recorded in its approval history; it is unlisted until an admin approves the changes.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -730,13 +896,14 @@ courseRouter.get('/:id', requestLogger,verifyJWT ,authorizeRoles('school' , 'stu
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-courseRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('school'), requireActiveSubscription, updateCourse);
+courseRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('school'), requireActiveSubscription, invalidateCourseCache, updateCourse);
 
 /**
  * @swagger
  * /api/v1/courses/{id}/status:
  *   patch:
- *     summary: Update course status (Admin only)
+ *     summary: Approve or reject a course (Admin only)
+ *     description: Decides on a course pending approval. An approved course can also be rejected to take it down. Rejections need a reason and may list the changes the school has to make; the school is notified of the decision and every decision is added to the course's approval history.
  *     tags: [Courses]
  *     security:
  *       - bearerAuth: []
@@ -758,11 +925,23 @@ courseRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('school'), req
  *             properties:
  *               status:
  *                 type: string
- *                 enum: ["draft", "pending_approval", "approved", "rejected", "archived"]
- *                 example: "approved"
+ *                 enum: ["approved", "rejected"]
+ *                 example: "rejected"
+ *               reason:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Required when rejecting
+ *                 example: "The curriculum does not cover the advertised skills"
+ *               changesRequested:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                   maxLength: 300
+ *                 example: ["Add a module on testing", "Use a clearer cover image"]
  *     responses:
  *       200:
- *         description: Course status updated successfully
+ *         description: Course approved or rejected
  *         content:
  *           application/json:
  *             schema:
@@ -775,8 +954,76 @@ courseRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('school'), req
  *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The course is not in a status this decision applies to
  */
-courseRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles('school'), updateCourseStatus);
+courseRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles('admin'), invalidateCourseCache, updateCourseStatus);
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/submit:
+ *   post:
+ *     summary: Submit a course for approval (school only)
+ *     description: Sends a draft or rejected course to the admins for review. The course needs a description, objectives, skills and at least one lesson.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Course submitted for approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Course'
+ *       400:
+ *         description: The course is not complete enough to be reviewed
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The course is already pending approval or approved
+ */
+courseRouter.post('/:id/submit', requestLogger, verifyJWT, authorizeRoles('school'), requireActiveSubscription, invalidateCourseCache, submitCourseForApproval);
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw a course from review (school only)
+ *     description: Moves a course pending approval back to draft.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Course ID
+ *     responses:
+ *       200:
+ *         description: Course submission withdrawn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Course'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The course is not pending approval
+ */
+courseRouter.post('/:id/withdraw', requestLogger, verifyJWT, authorizeRoles('school'), invalidateCourseCache, withdrawCourseSubmission);
 
 /**
  * @swagger
@@ -807,7 +1054,325 @@ courseRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles('scho
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-courseRouter.delete('/:id', requestLogger, verifyJWT, authorizeRoles('school'), deleteCourseById);
+courseRouter.delete('/:id', requestLogger, verifyJWT, authorizeRoles('school'), invalidateCourseCache, deleteCourseById);
+
+// =============================================
+// CURRICULUM (MODULES AND LESSONS)
+// =============================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CourseLesson:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *           example: "Introduction to React components"
+ *         contentType:
+ *           type: string
+ *           enum: [video, document, text, quiz]
+ *         videoUrl:
+ *           type: string
+ *           description: Used by video lessons
+ *         documentUrl:
+ *           type: string
+ *           description: Used by document lessons
+ *         text:
+ *           type: string
+ *           description: Used by text lessons
+ *         quiz:
+ *           type: string
+ *           description: Quiz ID, used by quiz lessons
+ *         durationMinutes:
+ *           type: number
+ *           example: 15
+ *         isRequired:
+ *           type: boolean
+ *           description: Only required lessons count towards automatic course completion
+ *           default: true
+ *         order:
+ *           type: integer
+ *     CourseModule:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *           example: "Getting started"
+ *         description:
+ *           type: string
+ *         order:
+ *           type: integer
+ *         lessons:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CourseLesson'
+ */
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/curriculum:
+ *   get:
+ *     summary: Get a course curriculum
+ *     description: |
+ *       Modules and lessons in order, with totals. Lesson content (URLs, text, quiz) is only included for the
+ *       owning school, admins and students enrolled in the course; everyone else gets the outline.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Curriculum retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     includesContent:
+ *                       type: boolean
+ *                     modules:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/CourseModule'
+ *                     totalModules:
+ *                       type: integer
+ *                     totalLessons:
+ *                       type: integer
+ *                     requiredLessons:
+ *                       type: integer
+ *                     totalDurationMinutes:
+ *                       type: number
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+courseRouter.get('/:id/curriculum', requestLogger, verifyJWT, authorizeRoles('school', 'student', 'admin'), getCourseCurriculum);
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/modules:
+ *   post:
+ *     summary: Add a module to a course (owning school or admin)
+ *     description: When a school changes the curriculum of an approved course, the course is sent back for approval and unlisted until an admin approves the changes.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *                 description: Defaults to after the last module
+ *     responses:
+ *       201:
+ *         description: Module added successfully
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+courseRouter.post('/:id/modules', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), addModule);
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/modules/{moduleId}:
+ *   put:
+ *     summary: Update a course module (owning school or admin)
+ *     description: When a school changes the curriculum of an approved course, the course is sent back for approval and unlisted until an admin approves the changes.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Module updated successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete a course module and its lessons (owning school or admin)
+ *     description: When a school changes the curriculum of an approved course, the course is sent back for approval and unlisted until an admin approves the changes.
+ *     description: Progress of enrolled students is recalculated; students who have now done every remaining required lesson complete the course.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Module deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+courseRouter.put('/:id/modules/:moduleId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), updateModule);
+courseRouter.delete('/:id/modules/:moduleId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), deleteModule);
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/modules/{moduleId}/lessons:
+ *   post:
+ *     summary: Add a lesson to a module (owning school or admin)
+ *     description: When a school changes the curriculum of an approved course, the course is sent back for approval and unlisted until an admin approves the changes.
+ *     description: The content field must match the content type (videoUrl, documentUrl, text or quiz).
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseLesson'
+ *     responses:
+ *       201:
+ *         description: Lesson added successfully
+ *       400:
+ *         description: Missing title or content for the content type
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+courseRouter.post('/:id/modules/:moduleId/lessons', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), addLesson);
+
+/**
+ * @swagger
+ * /api/v1/courses/{id}/modules/{moduleId}/lessons/{lessonId}:
+ *   put:
+ *     summary: Update a lesson (owning school or admin)
+ *     description: When a school changes the curriculum of an approved course, the course is sent back for approval and unlisted until an admin approves the changes.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CourseLesson'
+ *     responses:
+ *       200:
+ *         description: Lesson updated successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete a lesson (owning school or admin)
+ *     description: When a school changes the curriculum of an approved course, the course is sent back for approval and unlisted until an admin approves the changes.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lesson deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+courseRouter.put('/:id/modules/:moduleId/lessons/:lessonId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), updateLesson);
+courseRouter.delete('/:id/modules/:moduleId/lessons/:lessonId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), deleteLesson);
 
 // Export the router
 export default courseRouter;
@@ -1,6 +1,7 @@
 import express from "express";
 import {
     createEnrollment,
+    confirmEnrollmentPayment,
     getUserEnrollments,
     getEnrollmentById,
     updateEnrollmentStatus,
@@ -9,6 +10,7 @@ import {
     withdrawFromCourse,
     debugEnrollments
 } from '../controllers/enrollments.controllers.js';
+import { getEnrollmentProgress, updateLessonProgressStatus } from '../controllers/curriculum.controllers.js';
 import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
 import { verifyJWT } from '../middlewares/Auth.middlewares.js';
 import { authorizeRoles } from '../middlewares/Role.middlewares.js';
@@ -20,7 +22,17 @@ const enrollmentRouter = express.Router();
  * /api/v1/enrollments:
  *   post:
  *     summary: Enroll in a course
- *     description: Create a new enrollment for a student in a specific course with payment and preferences
+ *     description: |
+ *       Create a new enrollment for a student in a specific course with payment and preferences.
+ *       For a paid course the enrollment is created as "pending_payment" and the response holds a
+ *       Stripe payment (clientSecret, paymentIntentId, amount, currency); it becomes "enrolled"
+ *       once the payment succeeds. Calling again for the same course resumes the payment.
+ *
+ *       Courses with upcoming cohorts are enrolled in one cohort (cohortId). When the cohort is
+ *       full the student is added to its waitlist instead and the response holds the waitlist
+ *       entry and position. A student offered a freed seat claims it by enrolling again before
+ *       the offer expires. An unpaid cohort enrollment holds its seat for COHORT_CHECKOUT_HOLD_MINUTES
+ *       (60 by default); after that, or once its payment is cancelled, it is withdrawn and the seat freed.
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -39,6 +51,11 @@ const enrollmentRouter = express.Router();
  *                 format: objectId
  *                 description: Unique identifier of the course to enroll in
  *                 example: "64abc123def456789012def1"
+ *               cohortId:
+ *                 type: string
+ *                 format: objectId
+ *                 description: Cohort to enroll in; required when the course has upcoming cohorts
+ *                 example: "64abc123def456789012def9"
  *               paymentMethod:
  *                 type: string
  *                 enum: [stripe, paypal, credit_card, bank_transfer, free]
@@ -77,6 +94,7 @@ const enrollmentRouter = express.Router();
  *                     example: true
  *           example:
  *             courseId: "64abc123def456789012def1"
+ *             cohortId: "64abc123def456789012def9"
  *             paymentMethod: "stripe"
  *             couponCode: "SAVE20"
  *             enrollmentType: "full"
@@ -196,7 +214,7 @@ enrollmentRouter.post('/', requestLogger, verifyJWT, authorizeRoles('student'),
  *         name: status
  *         schema:
  *           type: string
- *           enum: [enrolled, in-progress, completed, withdrawn, suspended]
+ *           enum: [pending_payment, enrolled, in-progress, completed, withdrawn, suspended]
  *         description: Filter by enrollment status
  *       - in: query
  *         name: paymentStatus
@@ -278,7 +296,7 @@ enrollmentRouter.get('/', requestLogger, verifyJWT, authorizeRoles('student' , '
  *         name: status
  *         schema:
  *           type: string
- *           enum: [enrolled, in-progress, completed, withdrawn, suspended]
+ *           enum: [pending_payment, enrolled, in-progress, completed, withdrawn, suspended]
  *         description: Filter by enrollment status
  *       - in: query
  *         name: paymentStatus
@@ -439,6 +457,13 @@ enrollmentRouter.get('/:id', requestLogger, verifyJWT, getEnrollmentById);
  * /api/v1/enrollments/{id}/status:
  *   patch:
  *     summary: Update enrollment status
+ *     description: |
+ *       Marking an enrollment `completed` adds the course skills to the student's profile and issues a signed
+ *       course certificate (see /api/v1/certificates). Enrollments waiting for their payment
+ *       (`pending_payment`) cannot be changed here; they are activated by the payment only.
+ *       Schools can only update enrollments in their own courses. A paid enrollment cannot be set to
+ *       `withdrawn` here: the student withdraws it (PATCH /api/v1/enrollments/{id}/withdraw), which
+ *       refunds the payment within the refund window.
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -473,9 +498,11 @@ enrollmentRouter.get('/:id', requestLogger, verifyJWT, getEnrollmentById);
  *       200:
  *         description: Enrollment status updated successfully
  *       400:
- *         description: Invalid status value or access denied
+ *         description: Invalid status value, a paid enrollment to withdraw, or the enrollment is waiting for its payment
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The course belongs to another school
  *       404:
  *         description: Enrollment not found
  */
@@ -486,6 +513,10 @@ enrollmentRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles(
  * /api/v1/enrollments/{id}/withdraw:
  *   patch:
  *     summary: Withdraw from course
+ *     description: |
+ *       A paid enrollment is refunded in full when withdrawn within COURSE_REFUND_DAYS (default 14)
+ *       of payment and before completion; the response includes the refund. An unpaid enrollment
+ *       is cancelled with its payment.
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -508,6 +539,155 @@ enrollmentRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles(
  */
 enrollmentRouter.patch('/:id/withdraw', requestLogger, verifyJWT, authorizeRoles('student'), withdrawFromCourse);
 
+/**
+ * @swagger
+ * /api/v1/enrollments/{id}/confirm-payment:
+ *   post:
+ *     summary: Confirm the payment of a paid course enrollment
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Enrollment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paymentIntentId
+ *             properties:
+ *               paymentIntentId:
+ *                 type: string
+ *                 example: "pi_1234567890"
+ *     responses:
+ *       200:
+ *         description: Payment confirmed and enrollment active
+ *       400:
+ *         description: Payment not completed or not for this enrollment
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Enrollment not found
+ */
+enrollmentRouter.post('/:id/confirm-payment', requestLogger, verifyJWT, authorizeRoles('student'), confirmEnrollmentPayment);
+
+/**
+ * @swagger
+ * /api/v1/enrollments/{id}/progress:
+ *   get:
+ *     summary: Get lesson progress for an enrollment
+ *     description: Available to the enrolled student, the school that owns the course and admins.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Enrollment ID
+ *     responses:
+ *       200:
+ *         description: Enrollment progress retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     progressPercentage:
+ *                       type: number
+ *                       example: 62.5
+ *                     totalLessons:
+ *                       type: integer
+ *                     completedLessons:
+ *                       type: integer
+ *                     requiredLessons:
+ *                       type: integer
+ *                     completedRequiredLessons:
+ *                       type: integer
+ *                     isComplete:
+ *                       type: boolean
+ *                     lessons:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           lessonId:
+ *                             type: string
+ *                           moduleId:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [not_started, in_progress, completed]
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Enrollment not found
+ */
+enrollmentRouter.get('/:id/progress', requestLogger, verifyJWT, authorizeRoles('student', 'school', 'admin'), getEnrollmentProgress);
+
+/**
+ * @swagger
+ * /api/v1/enrollments/{id}/lessons/{lessonId}:
+ *   patch:
+ *     summary: Record progress on a lesson
+ *     description: |
+ *       Marks a lesson as started or completed for the student's own enrollment. When every required lesson is
+ *       completed the enrollment becomes `completed` automatically, the course skills are added to the student's
+ *       profile, a certificate is issued and the school dashboard completion rate includes it. Quiz lessons are completed by passing their
+ *       quiz (see /api/v1/quizzes); marking one completed directly is only accepted once the quiz is passed.
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Enrollment ID
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [in_progress, completed]
+ *                 default: completed
+ *     responses:
+ *       200:
+ *         description: Lesson progress updated successfully
+ *       400:
+ *         description: Invalid status, the enrollment is withdrawn/suspended, or the lesson's quiz is not passed yet
+ *       403:
+ *         description: Not your enrollment
+ *       404:
+ *         description: Enrollment or lesson not found
+ */
+enrollmentRouter.patch('/:id/lessons/:lessonId', requestLogger, verifyJWT, authorizeRoles('student'), updateLessonProgressStatus);
+
 // DEBUG ROUTE - Remove in production
 enrollmentRouter.get('/debug/all', requestLogger, verifyJWT, authorizeRoles('admin', 'school'), debugEnrollments);
 
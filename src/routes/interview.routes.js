@@ -0,0 +1,352 @@
+import express from "express";
+import {
+    proposeInterview,
+    getMyInterviews,
+    getInterviewById,
+    acceptInterview,
+    declineInterview,
+    rescheduleInterview,
+    cancelInterview,
+    downloadInterviewIcs
+} from '../controllers/interview.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const interviewRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InterviewSlot:
+ *       type: object
+ *       required: [start, end]
+ *       properties:
+ *         _id:
+ *           type: string
+ *         start:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-06-10T09:00:00.000Z"
+ *         end:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-06-10T09:45:00.000Z"
+ *     Interview:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         job:
+ *           type: string
+ *         application:
+ *           type: string
+ *         employer:
+ *           type: string
+ *         student:
+ *           type: string
+ *         title:
+ *           type: string
+ *         mode:
+ *           type: string
+ *           enum: [online, onsite, phone]
+ *         location:
+ *           type: string
+ *         meetingLink:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         proposedSlots:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/InterviewSlot'
+ *         proposedBy:
+ *           type: string
+ *           enum: [employer, student]
+ *         scheduledSlot:
+ *           $ref: '#/components/schemas/InterviewSlot'
+ *         status:
+ *           type: string
+ *           enum: [proposed, scheduled, declined, cancelled]
+ *         sequence:
+ *           type: integer
+ *           description: iCalendar SEQUENCE, incremented on every calendar change
+ */
+
+/**
+ * @swagger
+ * /api/v1/interviews:
+ *   post:
+ *     summary: Propose an interview
+ *     description: Employers propose one to five time slots to a candidate who applied to one of their jobs and whose application can still move to the interview stage (applied, shortlisted or interview). The application moves to the interview stage and the candidate is notified in real time.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [jobId, studentId, slots]
+ *             properties:
+ *               jobId:
+ *                 type: string
+ *               studentId:
+ *                 type: string
+ *                 description: Student profile ID (as returned by matched candidates / potential students)
+ *               title:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [online, onsite, phone]
+ *                 default: online
+ *               meetingLink:
+ *                 type: string
+ *                 description: Required for online interviews (http or https URL)
+ *               location:
+ *                 type: string
+ *                 description: Required for onsite interviews
+ *               notes:
+ *                 type: string
+ *               slots:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   $ref: '#/components/schemas/InterviewSlot'
+ *     responses:
+ *       201:
+ *         description: Interview proposed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Interview'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+interviewRouter.post('/', requestLogger, verifyJWT, authorizeRoles('employer'), proposeInterview);
+
+/**
+ * @swagger
+ * /api/v1/interviews/my:
+ *   get:
+ *     summary: Get my interviews
+ *     description: Employers see the interviews they scheduled, students see the interviews they were invited to
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [proposed, scheduled, declined, cancelled]
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only booked interviews that have not started yet
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Interviews retrieved successfully
+ */
+interviewRouter.get('/my', requestLogger, verifyJWT, authorizeRoles('employer', 'student'), getMyInterviews);
+
+/**
+ * @swagger
+ * /api/v1/interviews/{id}:
+ *   get:
+ *     summary: Get interview by ID
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Interview retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+interviewRouter.get('/:id', requestLogger, verifyJWT, authorizeRoles('employer', 'student'), getInterviewById);
+
+/**
+ * @swagger
+ * /api/v1/interviews/{id}/ics:
+ *   get:
+ *     summary: Download the calendar invite
+ *     description: Returns the RFC 5545 .ics file for a booked (or cancelled) interview
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar file
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ */
+interviewRouter.get('/:id/ics', requestLogger, verifyJWT, authorizeRoles('employer', 'student'), downloadInterviewIcs);
+
+/**
+ * @swagger
+ * /api/v1/interviews/{id}/accept:
+ *   patch:
+ *     summary: Accept a proposed slot
+ *     description: The participant who did not propose the slots picks one. The interview is booked and both participants receive an .ics invite by email.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slotId]
+ *             properties:
+ *               slotId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview scheduled successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+interviewRouter.patch('/:id/accept', requestLogger, verifyJWT, authorizeRoles('employer', 'student'), acceptInterview);
+
+/**
+ * @swagger
+ * /api/v1/interviews/{id}/decline:
+ *   patch:
+ *     summary: Decline an interview invitation
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview declined
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+interviewRouter.patch('/:id/decline', requestLogger, verifyJWT, authorizeRoles('student'), declineInterview);
+
+/**
+ * @swagger
+ * /api/v1/interviews/{id}/reschedule:
+ *   patch:
+ *     summary: Propose new slots for an interview
+ *     description: Either participant can propose new slots. A booked interview is removed from both calendars (METHOD:CANCEL) until the other participant accepts a new slot.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slots]
+ *             properties:
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/InterviewSlot'
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New interview slots proposed
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+interviewRouter.patch('/:id/reschedule', requestLogger, verifyJWT, authorizeRoles('employer', 'student'), rescheduleInterview);
+
+/**
+ * @swagger
+ * /api/v1/interviews/{id}/cancel:
+ *   patch:
+ *     summary: Cancel an interview
+ *     description: Either participant can cancel. Booked interviews send an .ics cancellation to both participants.
+ *     tags: [Interviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Interview cancelled
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+interviewRouter.patch('/:id/cancel', requestLogger, verifyJWT, authorizeRoles('employer', 'student'), cancelInterview);
+
+export default interviewRouter;
@@ -0,0 +1,238 @@
+import express from "express";
+import {
+    getInvoices,
+    getInvoiceById,
+    downloadInvoicePdf,
+    resendInvoiceEmail
+} from '../controllers/invoice.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+
+const invoiceRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         invoiceNumber:
+ *           type: string
+ *           example: "INV-000042"
+ *         user:
+ *           type: string
+ *         subscription:
+ *           type: string
+ *         plan:
+ *           type: object
+ *         transactionId:
+ *           type: string
+ *           example: "pi_1234567890"
+ *         billingReason:
+ *           type: string
+ *           enum: [subscription_create, subscription_renewal, plan_change, invoice_payment]
+ *         status:
+ *           type: string
+ *           enum: [paid, refunded, void]
+ *         billingDetails:
+ *           type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *             organization:
+ *               type: string
+ *         lineItems:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unitAmount:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *               periodStart:
+ *                 type: string
+ *                 format: date-time
+ *               periodEnd:
+ *                 type: string
+ *                 format: date-time
+ *         currency:
+ *           type: string
+ *           example: "usd"
+ *         subtotal:
+ *           type: number
+ *         taxRate:
+ *           type: number
+ *           description: Percentage included in the prices (INVOICE_TAX_RATE)
+ *         taxAmount:
+ *           type: number
+ *         total:
+ *           type: number
+ *         amountPaid:
+ *           type: number
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         emailedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/invoices:
+ *   get:
+ *     summary: List invoices
+ *     description: Users get their own invoices, newest first. Admins get all invoices and can filter by user.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [paid, refunded, void]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoices:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invoice'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+invoiceRouter.get('/', requestLogger, verifyJWT, getInvoices);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}:
+ *   get:
+ *     summary: Get an invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       $ref: '#/components/schemas/Invoice'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Invoice not found
+ */
+invoiceRouter.get('/:id', requestLogger, verifyJWT, getInvoiceById);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}/pdf:
+ *   get:
+ *     summary: Download an invoice as PDF
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Invoice not found
+ */
+invoiceRouter.get('/:id/pdf', requestLogger, verifyJWT, downloadInvoicePdf);
+
+/**
+ * @swagger
+ * /api/v1/invoices/{id}/email:
+ *   post:
+ *     summary: Email an invoice again
+ *     description: Sends the invoice with its PDF to the billing email on the invoice.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invoice sent
+ *       400:
+ *         description: The email could not be sent
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Invoice not found
+ */
+invoiceRouter.post('/:id/email', requestLogger, verifyJWT, resendInvoiceEmail);
+
+export default invoiceRouter;
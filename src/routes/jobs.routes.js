@@ -9,13 +9,26 @@ import {
     getMyJobs,
     updateJobStatus
 } from '../controllers/jobs.controllers.js';
+import {
+    applyToJob,
+    getJobApplications,
+    getApplicationById,
+    updateApplicationStage,
+    withdrawApplication,
+    getMyApplications
+} from '../controllers/application.controllers.js';
+import { explainJobMatch, getMyJobMatches } from '../controllers/jobMatch.controllers.js';
 import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
 import { verifyJWT } from '../middlewares/Auth.middlewares.js';
 import { authorizeRoles } from '../middlewares/Role.middlewares.js';
 import { jobsCache, invalidateUserCache } from '../middlewares/redis.middlewares.js';
+import { checkEntitlement } from '../middlewares/subscription.middlewares.js';
 
 const jobsRouter = express.Router();
 
+// Setting a job (back) to active counts against the plan's active job posts
+const reactivatesJob = (req) => req.body?.status === 'active';
+
 /**
  * @swagger
  * /api/v1/jobs:
@@ -246,8 +259,16 @@ jobsRouter.get('/', requestLogger, jobsCache, verifyJWT, authorizeRoles('school'
  *                       example: "Advanced"
  *                     required:
  *                       type: boolean
- *                       description: Whether this skill is mandatory
+ *                       default: true
+ *                       description: Whether this skill is mandatory. Nice-to-have skills (false) count half as much in match scores.
  *                       example: true
+ *                     weight:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 5
+ *                       default: 1
+ *                       description: Relative importance of the skill in match scores
+ *                       example: 2
  *                     experience:
  *                       type: integer
  *                       minimum: 0
@@ -419,7 +440,7 @@ jobsRouter.get('/', requestLogger, jobsCache, verifyJWT, authorizeRoles('school'
  *                   type: boolean
  *                   example: false
  *       429:
- *         description: Rate limit exceeded or job posting limit reached
+ *         description: Rate limit exceeded or job posting limit reached (plan maxActiveJobPosts, or the free tier without a subscription)
  *         content:
  *           application/json:
  *             schema:
@@ -437,7 +458,7 @@ jobsRouter.get('/', requestLogger, jobsCache, verifyJWT, authorizeRoles('school'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-jobsRouter.post('/', requestLogger, verifyJWT, authorizeRoles('employer'), createJobPost);
+jobsRouter.post('/', requestLogger, verifyJWT, authorizeRoles('employer'), checkEntitlement('activeJobPosts'), createJobPost);
 
 /**
  * @swagger
@@ -491,6 +512,13 @@ jobsRouter.post('/', requestLogger, verifyJWT, authorizeRoles('employer'), creat
  *                     proficiency:
  *                       type: string
  *                       enum: ["Beginner", "Intermediate", "Advanced"]
+ *                     required:
+ *                       type: boolean
+ *                       description: false marks a nice-to-have skill
+ *                     weight:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 5
  *               benefits:
  *                 type: string
  *               category:
@@ -512,7 +540,7 @@ jobsRouter.post('/', requestLogger, verifyJWT, authorizeRoles('employer'), creat
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-jobsRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('employer'), updateJobPost);
+jobsRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('employer'), checkEntitlement('activeJobPosts', { appliesTo: reactivatesJob }), updateJobPost);
 
 /**
  * @swagger
@@ -662,6 +690,78 @@ jobsRouter.get('/search/advanced', requestLogger, jobsCache, authorizeRoles('sch
  */
 jobsRouter.get('/my/posts', requestLogger, verifyJWT, authorizeRoles('employer'), getMyJobs);
 
+/**
+ * @swagger
+ * /api/v1/jobs/applications/my:
+ *   get:
+ *     summary: Get my job applications
+ *     description: Students can list the applications they have submitted along with their current stage
+ *     tags: [Job Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           enum: [applied, shortlisted, interview, offered, hired, rejected, withdrawn]
+ *         description: Filter by application stage
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+jobsRouter.get('/applications/my', requestLogger, verifyJWT, authorizeRoles('student'), getMyApplications);
+
+/**
+ * @swagger
+ * /api/v1/jobs/matches/my:
+ *   get:
+ *     summary: Get my job matches (Student)
+ *     description: Active jobs the authenticated student is matched to, best match first. Use the explain endpoint for the breakdown of a match.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: minMatch
+ *         schema:
+ *           type: number
+ *           default: 0
+ *         description: Minimum match percentage
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Job matches retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+jobsRouter.get('/matches/my', requestLogger, verifyJWT, authorizeRoles('student'), getMyJobMatches);
+
 // =============================================
 // PARAMETRIC ID ROUTES (MUST BE AT END)
 // =============================================
@@ -735,6 +835,288 @@ jobsRouter.get('/:id', requestLogger, jobsCache,authorizeRoles('school', 'employ
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-jobsRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles('employer'), updateJobStatus);
+jobsRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles('employer'), checkEntitlement('activeJobPosts', { appliesTo: reactivatesJob }), updateJobStatus);
+
+// =============================================
+// JOB APPLICATION ROUTES
+// =============================================
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/applications:
+ *   post:
+ *     summary: Apply to a job
+ *     description: Students apply to an active job with an optional cover note. A snapshot of the student profile is stored with the application and the employer is notified. A student who withdrew can apply again; their withdrawn application is reopened at the "applied" stage with the new cover note and profile.
+ *     tags: [Job Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               coverNote:
+ *                 type: string
+ *                 maxLength: 3000
+ *                 example: "I have built several React projects and would love to join your team."
+ *     responses:
+ *       201:
+ *         description: Application submitted successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Student has an application for this job that is not withdrawn
+ *   get:
+ *     summary: Get applications for a job
+ *     description: Employers list the applications received for one of their job posts, with counts per stage
+ *     tags: [Job Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           enum: [applied, shortlisted, interview, offered, hired, rejected, withdrawn]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Applications retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+jobsRouter.post('/:id/applications', requestLogger, verifyJWT, authorizeRoles('student'), applyToJob);
+jobsRouter.get('/:id/applications', requestLogger, verifyJWT, authorizeRoles('employer'), getJobApplications);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/applications/{applicationId}:
+ *   get:
+ *     summary: Get a job application
+ *     description: Employers can view applications for their jobs; students can view their own application including its stage history
+ *     tags: [Job Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+jobsRouter.get('/:id/applications/:applicationId', requestLogger, verifyJWT, authorizeRoles('employer', 'student'), getApplicationById);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/applications/{applicationId}/stage:
+ *   patch:
+ *     summary: Move an application to another stage
+ *     description: |
+ *       Employers move applications through the review pipeline. Allowed transitions:
+ *       applied -> shortlisted | interview | rejected,
+ *       shortlisted -> interview | offered | rejected,
+ *       interview -> offered | rejected,
+ *       offered -> hired | rejected.
+ *       The applicant is notified of every change.
+ *     tags: [Job Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [stage]
+ *             properties:
+ *               stage:
+ *                 type: string
+ *                 enum: [shortlisted, interview, offered, hired, rejected]
+ *               note:
+ *                 type: string
+ *                 example: "Strong portfolio, moving to interview"
+ *     responses:
+ *       200:
+ *         description: Application stage updated
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+jobsRouter.patch('/:id/applications/:applicationId/stage', requestLogger, verifyJWT, authorizeRoles('employer'), updateApplicationStage);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/applications/{applicationId}/withdraw:
+ *   patch:
+ *     summary: Withdraw a job application
+ *     tags: [Job Applications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: applicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Application withdrawn successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+jobsRouter.patch('/:id/applications/:applicationId/withdraw', requestLogger, verifyJWT, authorizeRoles('student'), withdrawApplication);
+
+/**
+ * @swagger
+ * /api/v1/jobs/{id}/matches/{studentId}/explain:
+ *   get:
+ *     summary: Explain a student's match score for a job
+ *     description: |
+ *       Breaks the match percentage down per required skill: the student skill it matched, the match type, the proficiency gap and the weighted contribution to the percentage.
+ *       Employers can explain matches for their own jobs (matched candidates, applicants and public profiles). Students can explain their own match by passing their student ID or `me`.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student profile ID, or `me` for the authenticated student
+ *     responses:
+ *       200:
+ *         description: Match explanation generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 matchPercentage:
+ *                   type: number
+ *                   example: 62.5
+ *                 storedMatch:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Match stored in the job's matched candidates, if any
+ *                 requirements:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       skill:
+ *                         type: string
+ *                         example: "JavaScript"
+ *                       requiredLevel:
+ *                         type: string
+ *                         example: "Advanced"
+ *                       required:
+ *                         type: boolean
+ *                       weight:
+ *                         type: number
+ *                       matched:
+ *                         type: boolean
+ *                       matchedSkill:
+ *                         type: string
+ *                         nullable: true
+ *                         example: "JS"
+ *                       matchType:
+ *                         type: string
+ *                         enum: [exact, abbreviation, related, partial, fuzzy, none]
+ *                       nameScore:
+ *                         type: number
+ *                         description: Skill name similarity (0-1)
+ *                       studentLevel:
+ *                         type: string
+ *                         nullable: true
+ *                       levelGap:
+ *                         type: integer
+ *                       levelFactor:
+ *                         type: number
+ *                       verified:
+ *                         type: boolean
+ *                         description: Whether a completed course or certification backs the skill
+ *                       score:
+ *                         type: number
+ *                         description: Requirement score (0-1) after match type and level adjustments
+ *                       contribution:
+ *                         type: number
+ *                         description: Percentage points this requirement adds to matchPercentage
+ *                 summary:
+ *                   type: object
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+jobsRouter.get('/:id/matches/:studentId/explain', requestLogger, verifyJWT, authorizeRoles('employer', 'student', 'admin'), explainJobMatch);
 
 export default jobsRouter;
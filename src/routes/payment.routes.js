@@ -186,29 +186,5 @@ paymentRouter.post('/create-intent', requestLogger, verifyJWT, createPaymentInte
  */
 paymentRouter.post('/confirm', requestLogger, verifyJWT, confirmPayment);
 
-/**
- * @swagger
- * /api/v1/payments/webhook:
- *   post:
- *     summary: Stripe webhook endpoint
- *     tags: [Payments]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *     responses:
- *       200:
- *         description: Webhook processed successfully
- *       400:
- *         description: Invalid webhook signature
- */
-paymentRouter.post('/webhook', requestLogger, (req, res) => {
-    // Webhook handler would go here
-    // This would handle Stripe webhook events like successful payments, failed payments, etc.
-    res.status(200).json({ received: true });
-});
-
 // Export the router
 export default paymentRouter;
@@ -0,0 +1,351 @@
+import express from "express";
+import {
+    getPayoutStatements,
+    getCurrentEarnings,
+    getPayoutStatementById,
+    downloadPayoutStatement,
+    generatePayoutStatements,
+    settlePayoutStatement
+} from '../controllers/payout.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const payoutRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayoutStatement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         institute:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *           example: "2026-03-01T00:00:00.000Z"
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *           description: Exclusive
+ *           example: "2026-04-01T00:00:00.000Z"
+ *         currency:
+ *           type: string
+ *           example: "usd"
+ *         grossSales:
+ *           type: number
+ *         refunds:
+ *           type: number
+ *           description: Refunds made during the period
+ *         platformFees:
+ *           type: number
+ *           description: Commission kept by the platform, net of refunded commission
+ *         netPayable:
+ *           type: number
+ *           description: Owed to the institute; negative when refunds exceed sales
+ *         salesCount:
+ *           type: integer
+ *         refundsCount:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, settled]
+ *         generatedAt:
+ *           type: string
+ *           format: date-time
+ *         settledAt:
+ *           type: string
+ *           format: date-time
+ *         settledBy:
+ *           type: string
+ *         settlementReference:
+ *           type: string
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/payouts:
+ *   get:
+ *     summary: List payout statements
+ *     description: Schools get their own monthly statements, newest first. Admins get every institute's statements and can filter by institute. The outstanding amount sums the pending statements matching the filter, per currency.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, settled]
+ *       - in: query
+ *         name: instituteId
+ *         schema:
+ *           type: string
+ *         description: Admins only
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Payout statements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     statements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PayoutStatement'
+ *                     outstanding:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           currency:
+ *                             type: string
+ *                           amount:
+ *                             type: number
+ *                           statements:
+ *                             type: integer
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Training institute profile not found
+ */
+payoutRouter.get('/', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), getPayoutStatements);
+
+/**
+ * @swagger
+ * /api/v1/payouts/current:
+ *   get:
+ *     summary: Earnings for the current month
+ *     description: Running totals for the month in progress, per currency. They become a payout statement per currency after the month ends.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Earnings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                       example: "2026-04"
+ *                     earnings:
+ *                       type: array
+ *                       description: Most sales first
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           currency:
+ *                             type: string
+ *                             example: "usd"
+ *                           grossSales:
+ *                             type: number
+ *                           refunds:
+ *                             type: number
+ *                           netSales:
+ *                             type: number
+ *                           platformFees:
+ *                             type: number
+ *                           netEarnings:
+ *                             type: number
+ *                           salesCount:
+ *                             type: integer
+ *                           refundsCount:
+ *                             type: integer
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Training institute profile not found
+ */
+payoutRouter.get('/current', requestLogger, verifyJWT, authorizeRoles('school'), getCurrentEarnings);
+
+/**
+ * @swagger
+ * /api/v1/payouts/generate:
+ *   post:
+ *     summary: Generate payout statements (admin)
+ *     description: Creates or recalculates the statements of a month that has ended, for one institute or every institute with sales or refunds in it. An institute gets one statement per currency it sold in. Settled statements are not changed. Runs automatically on the 1st of each month for the previous month.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               period:
+ *                 type: string
+ *                 example: "2026-03"
+ *                 description: Defaults to the previous month
+ *               instituteId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Statements generated
+ *       400:
+ *         description: Invalid period or the month has not ended
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Training institute not found
+ */
+payoutRouter.post('/generate', requestLogger, verifyJWT, authorizeRoles('admin'), generatePayoutStatements);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}:
+ *   get:
+ *     summary: Get a payout statement
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payout statement retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     statement:
+ *                       $ref: '#/components/schemas/PayoutStatement'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Payout statement not found
+ */
+payoutRouter.get('/:id', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), getPayoutStatementById);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}/download:
+ *   get:
+ *     summary: Download a payout statement
+ *     description: The CSV lists every sale and refund of the period followed by a total row; the PDF shows the totals and the same entries.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, csv]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Payout statement file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unsupported format
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Payout statement not found
+ */
+payoutRouter.get('/:id/download', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), downloadPayoutStatement);
+
+/**
+ * @swagger
+ * /api/v1/payouts/{id}/settle:
+ *   patch:
+ *     summary: Mark a payout as settled (admin)
+ *     description: Records that the net payable was sent to the institute. The statement is no longer recalculated afterwards.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reference]
+ *             properties:
+ *               reference:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "TRF-2026-04-0012"
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Payout marked as settled
+ *       400:
+ *         description: Missing payment reference
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Payout statement not found
+ *       409:
+ *         description: Already settled
+ */
+payoutRouter.patch('/:id/settle', requestLogger, verifyJWT, authorizeRoles('admin'), settlePayoutStatement);
+
+export default payoutRouter;
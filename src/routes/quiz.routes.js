@@ -0,0 +1,606 @@
+import express from "express";
+import {
+    getQuestionBank,
+    addQuestion,
+    updateQuestion,
+    deleteQuestion,
+    getCourseQuizzes,
+    createQuiz,
+    getQuizById,
+    updateQuiz,
+    deleteQuiz,
+    startQuizAttempt,
+    submitQuizAttempt,
+    getQuizAttempts,
+    getQuizAttemptById
+} from '../controllers/quiz.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const quizRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuizQuestion:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         course:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [multiple_choice, multi_select, short_answer, true_false]
+ *         prompt:
+ *           type: string
+ *           example: "Which hook stores local component state?"
+ *         options:
+ *           type: array
+ *           description: Choice questions only. Multiple choice has exactly one correct option, multi-select one or more.
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               text:
+ *                 type: string
+ *                 example: "useState"
+ *               isCorrect:
+ *                 type: boolean
+ *         correctAnswer:
+ *           type: boolean
+ *           description: True/false questions only
+ *         acceptedAnswers:
+ *           type: array
+ *           description: Short answer questions only; compared ignoring case and extra whitespace
+ *           items:
+ *             type: string
+ *         points:
+ *           type: number
+ *           default: 1
+ *         explanation:
+ *           type: string
+ *           description: Shown to the student after the attempt is submitted
+ *     Quiz:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         course:
+ *           type: string
+ *         module:
+ *           type: string
+ *           description: Course module the quiz belongs to
+ *         title:
+ *           type: string
+ *           example: "React basics check"
+ *         description:
+ *           type: string
+ *         questions:
+ *           type: array
+ *           description: Question IDs from the course question bank
+ *           items:
+ *             type: string
+ *         questionCount:
+ *           type: integer
+ *           description: Draw this many questions at random per attempt; all questions when empty
+ *         shuffleQuestions:
+ *           type: boolean
+ *           default: false
+ *         timeLimitMinutes:
+ *           type: integer
+ *           description: Untimed when empty
+ *         maxAttempts:
+ *           type: integer
+ *           description: 0 allows unlimited attempts
+ *           default: 3
+ *         passMark:
+ *           type: number
+ *           description: Percentage of the points needed to pass
+ *           default: 70
+ *         skills:
+ *           type: array
+ *           description: Skills a pass adds as evidence; the course skills when empty
+ *           items:
+ *             type: string
+ *         isPublished:
+ *           type: boolean
+ *           description: Students can only see and attempt published quizzes
+ *     QuizAttempt:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         quiz:
+ *           type: string
+ *         enrollment:
+ *           type: string
+ *         attemptNumber:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [in_progress, submitted, expired]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Time limit of a timed quiz
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *         score:
+ *           type: number
+ *         maxScore:
+ *           type: number
+ *         percentage:
+ *           type: number
+ *         passMark:
+ *           type: number
+ *         passed:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/quizzes/course/{courseId}/questions:
+ *   get:
+ *     summary: Get a course question bank (owning school or admin)
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [multiple_choice, multi_select, short_answer, true_false]
+ *     responses:
+ *       200:
+ *         description: Question bank retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuizQuestion'
+ *                     total:
+ *                       type: integer
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   post:
+ *     summary: Add a question to a course question bank (owning school or admin)
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, prompt]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [multiple_choice, multi_select, short_answer, true_false]
+ *               prompt:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                     isCorrect:
+ *                       type: boolean
+ *               correctAnswer:
+ *                 type: boolean
+ *               acceptedAnswers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               points:
+ *                 type: number
+ *               explanation:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Question added successfully
+ *       400:
+ *         description: Invalid question (e.g. a multiple choice question without exactly one correct option)
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+quizRouter.get('/course/:courseId/questions', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), getQuestionBank);
+quizRouter.post('/course/:courseId/questions', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), addQuestion);
+
+/**
+ * @swagger
+ * /api/v1/quizzes/questions/{questionId}:
+ *   put:
+ *     summary: Update a question bank entry (owning school or admin)
+ *     description: Applies to attempts submitted from now on; graded attempts keep their score.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuizQuestion'
+ *     responses:
+ *       200:
+ *         description: Question updated successfully
+ *       400:
+ *         description: Invalid question
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete a question bank entry (owning school or admin)
+ *     description: The question is also removed from the quizzes that use it.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question deleted successfully
+ *       400:
+ *         description: The question is the only question of a published quiz
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+quizRouter.put('/questions/:questionId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), updateQuestion);
+quizRouter.delete('/questions/:questionId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), deleteQuestion);
+
+/**
+ * @swagger
+ * /api/v1/quizzes/course/{courseId}:
+ *   get:
+ *     summary: List the quizzes of a course
+ *     description: |
+ *       The owning school and admins get every quiz. Enrolled students get the published quizzes with their
+ *       attempts used, attempts remaining, best percentage and whether they passed.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quizzes retrieved successfully
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   post:
+ *     summary: Create a quiz for a course module (owning school or admin)
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Quiz'
+ *               - type: object
+ *                 required: [title, module]
+ *     responses:
+ *       201:
+ *         description: Quiz created successfully
+ *       400:
+ *         description: Invalid settings, unknown module, or questions outside the course question bank
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+quizRouter.get('/course/:courseId', requestLogger, verifyJWT, authorizeRoles('school', 'student', 'admin'), getCourseQuizzes);
+quizRouter.post('/course/:courseId', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), createQuiz);
+
+/**
+ * @swagger
+ * /api/v1/quizzes/attempts/{attemptId}:
+ *   get:
+ *     summary: Get a quiz attempt
+ *     description: |
+ *       The student who made the attempt, the owning school or an admin. While the attempt is in progress only the
+ *       questions are returned; once closed, the review includes the correct answers and explanations.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz attempt retrieved successfully
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Attempt not found
+ */
+quizRouter.get('/attempts/:attemptId', requestLogger, verifyJWT, authorizeRoles('school', 'student', 'admin'), getQuizAttemptById);
+
+/**
+ * @swagger
+ * /api/v1/quizzes/attempts/{attemptId}/submit:
+ *   post:
+ *     summary: Submit a quiz attempt for grading
+ *     description: |
+ *       Grades the attempt automatically and keeps the best result on the enrollment. Unanswered questions score
+ *       zero. An attempt submitted after its time limit (plus 30 seconds grace) is closed as expired without a score.
+ *       The first pass adds the quiz skills to the student's profile as evidence and completes the quiz lessons
+ *       pointing at the quiz, which can complete the course.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                     answer:
+ *                       description: Option ID (multiple choice), option IDs (multi-select), boolean (true/false) or text (short answer)
+ *                       oneOf:
+ *                         - type: string
+ *                         - type: boolean
+ *                         - type: array
+ *                           items:
+ *                             type: string
+ *     responses:
+ *       200:
+ *         description: Attempt graded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempt:
+ *                       $ref: '#/components/schemas/QuizAttempt'
+ *                     review:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     bestPercentage:
+ *                       type: number
+ *                     passedQuiz:
+ *                       type: boolean
+ *                     passedNow:
+ *                       type: boolean
+ *                       description: Whether this attempt was the first pass
+ *                     completedCourse:
+ *                       type: boolean
+ *                     attemptsRemaining:
+ *                       type: integer
+ *                       nullable: true
+ *       400:
+ *         description: Invalid answers or the attempt was already submitted
+ *       403:
+ *         description: Not your attempt
+ *       404:
+ *         description: Attempt not found
+ */
+quizRouter.post('/attempts/:attemptId/submit', requestLogger, verifyJWT, authorizeRoles('student'), submitQuizAttempt);
+
+/**
+ * @swagger
+ * /api/v1/quizzes/{id}:
+ *   get:
+ *     summary: Get a quiz
+ *     description: |
+ *       The owning school and admins get the quiz with its questions and answers. Enrolled students get the
+ *       settings of a published quiz with their attempts and best result, never the questions.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     summary: Update a quiz (owning school or admin)
+ *     description: Attempts already started keep the questions and pass mark they were given.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Quiz'
+ *     responses:
+ *       200:
+ *         description: Quiz updated successfully
+ *       400:
+ *         description: Invalid settings, or publishing a quiz without questions
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: Delete a quiz (owning school or admin)
+ *     description: Only quizzes that no lesson uses and nobody has attempted can be deleted; unpublish the others.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz deleted successfully
+ *       400:
+ *         description: The quiz is used by a lesson or has attempts
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+quizRouter.get('/:id', requestLogger, verifyJWT, authorizeRoles('school', 'student', 'admin'), getQuizById);
+quizRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), updateQuiz);
+quizRouter.delete('/:id', requestLogger, verifyJWT, authorizeRoles('school', 'admin'), deleteQuiz);
+
+/**
+ * @swagger
+ * /api/v1/quizzes/{id}/attempts:
+ *   post:
+ *     summary: Start (or resume) a quiz attempt
+ *     description: |
+ *       For students enrolled in the course. Returns the questions without their answers and, for timed quizzes,
+ *       when the attempt expires. An open attempt is resumed instead of starting a new one; starting fails once
+ *       the quiz's attempt limit is used up.
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quiz attempt resumed
+ *       201:
+ *         description: Quiz attempt started
+ *       400:
+ *         description: No attempts left or the quiz has no questions
+ *       403:
+ *         description: Not enrolled in the course
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: An attempt is already being started
+ *   get:
+ *     summary: List attempts at a quiz
+ *     description: Students get their own attempts; the owning school and admins get everyone's (filter with studentId).
+ *     tags: [Quizzes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         description: Student user ID (school and admin only)
+ *     responses:
+ *       200:
+ *         description: Quiz attempts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/QuizAttempt'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+quizRouter.post('/:id/attempts', requestLogger, verifyJWT, authorizeRoles('student'), startQuizAttempt);
+quizRouter.get('/:id/attempts', requestLogger, verifyJWT, authorizeRoles('school', 'student', 'admin'), getQuizAttempts);
+
+export default quizRouter;
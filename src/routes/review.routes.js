@@ -0,0 +1,399 @@
+import express from "express";
+import {
+    getCourseReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    replyToReview,
+    reportReview,
+    getReportedReviews,
+    moderateReview
+} from '../controllers/review.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+import { invalidateCourseCache } from '../middlewares/redis.middlewares.js';
+
+const reviewRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         course:
+ *           type: string
+ *         institute:
+ *           type: string
+ *         student:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         comment:
+ *           type: string
+ *           maxLength: 2000
+ *         status:
+ *           type: string
+ *           enum: [published, hidden]
+ *         reply:
+ *           type: object
+ *           properties:
+ *             text:
+ *               type: string
+ *             repliedAt:
+ *               type: string
+ *               format: date-time
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     RatingSummary:
+ *       type: object
+ *       properties:
+ *         average:
+ *           type: number
+ *           example: 4.3
+ *         count:
+ *           type: integer
+ *           example: 27
+ *         distribution:
+ *           type: object
+ *           description: Number of reviews per star rating
+ *           example: { "1": 1, "2": 0, "3": 3, "4": 9, "5": 14 }
+ */
+
+/**
+ * @swagger
+ * /api/v1/reviews/reported:
+ *   get:
+ *     summary: Reported reviews waiting for moderation (admin)
+ *     description: Oldest first, with the reports received.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Reported reviews retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+reviewRouter.get('/reported', requestLogger, verifyJWT, authorizeRoles('admin'), getReportedReviews);
+
+/**
+ * @swagger
+ * /api/v1/reviews/courses/{courseId}:
+ *   get:
+ *     summary: List a course's reviews
+ *     description: Published reviews with the course rating summary. Students also get their own review (myReview), even if it was hidden.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Only reviews with this rating
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Reviews retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     summary:
+ *                       $ref: '#/components/schemas/RatingSummary'
+ *                     reviews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Review'
+ *                     myReview:
+ *                       $ref: '#/components/schemas/Review'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Invalid course ID or filter
+ *       404:
+ *         description: Course not found
+ *   post:
+ *     summary: Review a course
+ *     description: Open to students who completed the course or reached the progress set by REVIEW_MIN_PROGRESS (80% by default). One review per student and course.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rating]
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               title:
+ *                 type: string
+ *                 maxLength: 100
+ *               comment:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Review published successfully
+ *       400:
+ *         description: Invalid rating, title or comment
+ *       403:
+ *         description: Not enrolled, or not far enough into the course
+ *       404:
+ *         description: Course not found
+ *       409:
+ *         description: Already reviewed
+ */
+reviewRouter.get('/courses/:courseId', requestLogger, verifyJWT, authorizeRoles('student', 'school', 'admin'), getCourseReviews);
+reviewRouter.post('/courses/:courseId', requestLogger, verifyJWT, authorizeRoles('student'), invalidateCourseCache, createReview);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}:
+ *   patch:
+ *     summary: Edit your review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review updated successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Review not found
+ *   delete:
+ *     summary: Delete a review
+ *     description: Students delete their own review; admins can delete any review.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Review not found
+ */
+reviewRouter.patch('/:id', requestLogger, verifyJWT, authorizeRoles('student'), invalidateCourseCache, updateReview);
+reviewRouter.delete('/:id', requestLogger, verifyJWT, authorizeRoles('student', 'admin'), invalidateCourseCache, deleteReview);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}/reply:
+ *   put:
+ *     summary: Reply to a review (school)
+ *     description: The school offering the course can post one public reply per review and reword it later. The reviewer is notified of the first reply.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Reply posted or updated
+ *       400:
+ *         description: Missing reply text
+ *       403:
+ *         description: Not the school offering this course
+ *       404:
+ *         description: Review not found
+ */
+reviewRouter.put('/:id/reply', requestLogger, verifyJWT, authorizeRoles('school'), replyToReview);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}/report:
+ *   post:
+ *     summary: Report a review
+ *     description: Puts the review in the admin moderation queue. Each user can report a review once.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, offensive, off_topic, fake, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Review reported
+ *       400:
+ *         description: Invalid reason, or reporting your own review
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Already reported by this user
+ */
+reviewRouter.post('/:id/report', requestLogger, verifyJWT, reportReview);
+
+/**
+ * @swagger
+ * /api/v1/reviews/{id}/moderate:
+ *   patch:
+ *     summary: Keep or hide a review (admin)
+ *     description: Hidden reviews disappear from the course page and no longer count in the course and institute ratings. Keeping a hidden review publishes it again.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [keep, hide]
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Review moderated
+ *       400:
+ *         description: Invalid action
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Review not found
+ */
+reviewRouter.patch('/:id/moderate', requestLogger, verifyJWT, authorizeRoles('admin'), invalidateCourseCache, moderateReview);
+
+export default reviewRouter;
@@ -0,0 +1,291 @@
+import express from "express";
+import {
+    createSavedSearch,
+    getMySavedSearches,
+    getSavedSearchJobs,
+    updateSavedSearch,
+    deleteSavedSearch,
+    unsubscribeSavedSearch
+} from '../controllers/savedJobSearch.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const savedJobSearchRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     JobSearchFilters:
+ *       type: object
+ *       description: Same filters as GET /api/v1/jobs/search/advanced (at least one is required)
+ *       properties:
+ *         q:
+ *           type: string
+ *           description: Text searched in job title, description and department
+ *           example: "frontend"
+ *         location:
+ *           type: string
+ *           example: "London"
+ *         category:
+ *           type: string
+ *           example: "Technology"
+ *         employmentType:
+ *           type: string
+ *           enum: [Full-time, Part-time, Internship, Contract]
+ *         minSalary:
+ *           type: number
+ *           example: 30000
+ *         maxSalary:
+ *           type: number
+ *           example: 60000
+ *         skills:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["React", "TypeScript"]
+ *     SavedJobSearch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Frontend jobs in London"
+ *         filters:
+ *           $ref: '#/components/schemas/JobSearchFilters'
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly]
+ *         alertsEnabled:
+ *           type: boolean
+ *           description: Whether digest emails and notifications are sent for this search
+ *         lastCheckedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Jobs posted after this date are included in the next digest
+ *         lastSentAt:
+ *           type: string
+ *           format: date-time
+ *         lastResultCount:
+ *           type: number
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/saved-searches:
+ *   post:
+ *     summary: Save a job search
+ *     description: |
+ *       Saves a job search with its filters. A daily cron re-runs saved searches on their schedule and sends the
+ *       jobs posted since the previous run as an email digest and an in-app notification. Up to 20 searches per user.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, filters]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Frontend jobs in London"
+ *               filters:
+ *                 $ref: '#/components/schemas/JobSearchFilters'
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly]
+ *                 default: weekly
+ *     responses:
+ *       201:
+ *         description: Search saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearch:
+ *                       $ref: '#/components/schemas/SavedJobSearch'
+ *       400:
+ *         description: Invalid name, filters or frequency, or the saved search limit was reached
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   get:
+ *     summary: List my saved job searches
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearches:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SavedJobSearch'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+savedJobSearchRouter.post('/', requestLogger, verifyJWT, authorizeRoles('student', 'school'), createSavedSearch);
+savedJobSearchRouter.get('/', requestLogger, verifyJWT, authorizeRoles('student', 'school'), getMySavedSearches);
+
+/**
+ * @swagger
+ * /api/v1/saved-searches/unsubscribe/{token}:
+ *   get:
+ *     summary: Unsubscribe from a saved search digest
+ *     description: Link included in every digest email. Turns off alerts for that one search; no login required.
+ *     tags: [Saved Searches]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alerts turned off for the search
+ *       400:
+ *         description: Invalid unsubscribe link
+ *       404:
+ *         description: Saved search not found
+ */
+savedJobSearchRouter.get('/unsubscribe/:token', requestLogger, unsubscribeSavedSearch);
+
+/**
+ * @swagger
+ * /api/v1/saved-searches/{id}/jobs:
+ *   get:
+ *     summary: Run a saved job search
+ *     description: Returns all active jobs matching the saved filters, newest first, and how many were posted since the last digest.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Saved search results retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     savedSearch:
+ *                       $ref: '#/components/schemas/SavedJobSearch'
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Job'
+ *                     newSinceLastDigest:
+ *                       type: number
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Saved search not found
+ */
+savedJobSearchRouter.get('/:id/jobs', requestLogger, verifyJWT, authorizeRoles('student', 'school'), getSavedSearchJobs);
+
+/**
+ * @swagger
+ * /api/v1/saved-searches/{id}:
+ *   put:
+ *     summary: Update a saved job search
+ *     description: Rename the search, change its filters or frequency, or turn its alerts on or off. Turning alerts back on only sends jobs posted from then on.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               filters:
+ *                 $ref: '#/components/schemas/JobSearchFilters'
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly]
+ *               alertsEnabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Saved search updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Saved search not found
+ *   delete:
+ *     summary: Delete a saved job search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Saved search not found
+ */
+savedJobSearchRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('student', 'school'), updateSavedSearch);
+savedJobSearchRouter.delete('/:id', requestLogger, verifyJWT, authorizeRoles('student', 'school'), deleteSavedSearch);
+
+export default savedJobSearchRouter;
@@ -562,6 +562,13 @@ schoolRouter.get(
  * /api/v1/schools/dashboard:
  *   get:
  *     summary: Get dashboard analytics for a school
+ *     description: |
+ *       totalRevenue is course sales net of refunds, from the revenue ledger; platformFees is the
+ *       platform commission on them and netEarnings what the school earned. These figures are in
+ *       `currency`, the currency with the most sales; revenueByCurrency has the same totals for every
+ *       currency the school sold in.
+ *       attendanceRate is the share of marked session attendances that were present or late, excused
+ *       absences left out (null before any attendance is taken); courseAttendance gives it per course.
  *     tags: [Training Providers]
  *     parameters:
  *       - in: query
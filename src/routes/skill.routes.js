@@ -0,0 +1,266 @@
+import express from "express";
+import {
+    getSkills,
+    resolveSkillNames,
+    getSkillById,
+    createSkill,
+    updateSkill,
+    deleteSkill,
+    reindexSkillMatches
+} from '../controllers/skill.controllers.js';
+import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
+
+const skillRouter = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Skill:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: Canonical skill ID used by the matchers
+ *           example: "javascript"
+ *         name:
+ *           type: string
+ *           description: Canonical display name stored on students, jobs and courses
+ *           example: "JavaScript"
+ *         aliases:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["js", "ecmascript"]
+ *         parent:
+ *           type: string
+ *           description: Broader skill (e.g. Express -> Node.js)
+ *         category:
+ *           type: string
+ *           example: "Programming Languages"
+ *         description:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/skills:
+ *   get:
+ *     summary: List or search skills
+ *     description: Searches canonical skills by name, alias or ID. Useful for autocomplete so users pick canonical names.
+ *     tags: [Skills]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Skills retrieved successfully
+ */
+skillRouter.get('/', requestLogger, getSkills);
+
+/**
+ * @swagger
+ * /api/v1/skills/resolve:
+ *   get:
+ *     summary: Resolve skill names to canonical skills
+ *     description: Returns the canonical ID, display name and parent skills for each name. Unknown skills are returned with known=false and keep their own name.
+ *     tags: [Skills]
+ *     parameters:
+ *       - in: query
+ *         name: names
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comma-separated skill names
+ *         example: "js,ReactJS,Rust"
+ *     responses:
+ *       200:
+ *         description: Skills resolved successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+skillRouter.get('/resolve', requestLogger, resolveSkillNames);
+
+/**
+ * @swagger
+ * /api/v1/skills/reindex:
+ *   post:
+ *     summary: Rebuild the skill match index
+ *     description: Reloads the taxonomy and recalculates stored job matches. Run after changing aliases or parent skills so existing matches reflect the change.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Skill match index rebuilt successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+skillRouter.post('/reindex', requestLogger, verifyJWT, authorizeRoles('admin'), reindexSkillMatches);
+
+/**
+ * @swagger
+ * /api/v1/skills:
+ *   post:
+ *     summary: Create a skill (Admin)
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Next.js"
+ *               slug:
+ *                 type: string
+ *                 description: Canonical ID, generated from the name when omitted. Cannot be changed later.
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["nextjs", "next"]
+ *               parent:
+ *                 type: string
+ *                 description: Parent skill ID or slug
+ *                 example: "react"
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Skill created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Skill'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       409:
+ *         description: Name, ID or alias already used by another skill
+ */
+skillRouter.post('/', requestLogger, verifyJWT, authorizeRoles('admin'), createSkill);
+
+/**
+ * @swagger
+ * /api/v1/skills/{id}:
+ *   get:
+ *     summary: Get skill by ID
+ *     description: Returns the skill with its parent and direct child skills
+ *     tags: [Skills]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Skill retrieved successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+skillRouter.get('/:id', requestLogger, getSkillById);
+
+/**
+ * @swagger
+ * /api/v1/skills/{id}:
+ *   put:
+ *     summary: Update a skill (Admin)
+ *     description: Updates the name, aliases, parent, category or active flag. The canonical ID (slug) is fixed.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Parent skill ID or slug, null to remove the parent
+ *               category:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Skill updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Name or alias already used by another skill
+ */
+skillRouter.put('/:id', requestLogger, verifyJWT, authorizeRoles('admin'), updateSkill);
+
+/**
+ * @swagger
+ * /api/v1/skills/{id}:
+ *   delete:
+ *     summary: Delete a skill (Admin)
+ *     description: Child skills are moved to the deleted skill's parent. Skills already stored on profiles keep their names.
+ *     tags: [Skills]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Skill deleted successfully
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+skillRouter.delete('/:id', requestLogger, verifyJWT, authorizeRoles('admin'), deleteSkill);
+
+export default skillRouter;
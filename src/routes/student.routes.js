@@ -1,4 +1,5 @@
 import express from "express";
+import mongoose from "mongoose";
 import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
 import { verifyJWT } from '../middlewares/Auth.middlewares.js';
 import { authorizeRoles } from '../middlewares/Role.middlewares.js';
@@ -14,6 +15,7 @@ import {
     profileConpletion,
     addSkills,
     removeSkill,
+    setSkillProficiency,
     addResult,
     updatePrivacySettings,
     updateCommunicationPreferences,
@@ -39,9 +41,14 @@ import {
     searchCertifications,
     getCertificationsByIssuer
 } from '../controllers/certification.controller.js';
+import { getMyCourseRecommendations } from '../controllers/courseRecommendation.controllers.js';
+import { checkEntitlement } from '../middlewares/subscription.middlewares.js';
 
 const studentRouter = express.Router();
 
+// Each distinct profile viewed in the usage period counts once
+const viewedProfile = (req) => (mongoose.Types.ObjectId.isValid(req.params.id) ? req.params.id : null);
+
 // =============================================
 // =============================================
 // STUDENT PROFILE ROUTES
@@ -803,6 +810,14 @@ studentRouter.delete('/experiences/:id', requestLogger, verifyJWT, authorizeRole
  *                 type: string
  *                 format: date
  *                 example: "2023-06-15"
+ *               skills:
+ *                 type: string
+ *                 description: Comma-separated skills the certification demonstrates; added as evidence to your skills
+ *                 example: "AWS, Cloud Architecture"
+ *               level:
+ *                 type: string
+ *                 enum: [Beginner, Intermediate, Advanced]
+ *                 description: Proficiency level the certification demonstrates (optional)
  *               image:
  *                 type: string
  *                 format: binary
@@ -1086,9 +1101,19 @@ studentRouter.delete('/certifications/:id', requestLogger, verifyJWT, authorizeR
  *             properties:
  *               skills:
  *                 type: array
+ *                 description: Skill names, or objects with a self-assessed proficiency level
  *                 items:
- *                   type: string
- *                 example: ["JavaScript", "React", "Node.js"]
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [skill]
+ *                       properties:
+ *                         skill:
+ *                           type: string
+ *                         level:
+ *                           type: string
+ *                           enum: [Beginner, Intermediate, Advanced]
+ *                 example: ["JavaScript", {"skill": "React", "level": "Advanced"}, "Node.js"]
  *     responses:
  *       200:
  *         description: Skills added successfully
@@ -1139,6 +1164,44 @@ studentRouter.post('/skills', requestLogger, verifyJWT, authorizeRoles('student'
  */
 studentRouter.delete('/skills/:skill', requestLogger, verifyJWT, authorizeRoles('student'), removeSkill);
 
+/**
+ * @swagger
+ * /api/v1/students/skills/{skill}/proficiency:
+ *   put:
+ *     summary: Set the proficiency level of a skill
+ *     description: Records the student's own assessment of a skill. Job matching uses the highest of this level and the levels shown by evidence (completed courses and certifications).
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: skill
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Skill name or alias
+ *         example: "React"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [level]
+ *             properties:
+ *               level:
+ *                 type: string
+ *                 enum: [Beginner, Intermediate, Advanced]
+ *     responses:
+ *       200:
+ *         description: Proficiency updated; returns the proficiency entry with its evidence and the effective level
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+studentRouter.put('/skills/:skill/proficiency', requestLogger, verifyJWT, authorizeRoles('student'), setSkillProficiency);
+
 // =============================================
 // PRIVACY SETTINGS ROUTES
 // =============================================
@@ -1217,7 +1280,7 @@ studentRouter.get('/privacy-settings', requestLogger, verifyJWT, authorizeRoles(
  *                 example: false
  *               isProgressPublic:
  *                 type: boolean
- *                 description: Whether learning progress and achievements should be public
+ *                 description: Whether learning progress, achievements and attendance rates should be public
  *                 example: true
  *           example:
  *             isPublic: true
@@ -1585,6 +1648,125 @@ studentRouter.get('/dashboard', requestLogger, verifyJWT, authorizeRoles('studen
  */
 studentRouter.get('/currently-enrolled', requestLogger, verifyJWT, authorizeRoles('student'), getCurrentlyEnrolledCourses);
 
+/**
+ * @swagger
+ * /api/v1/students/recommendations/courses:
+ *   get:
+ *     summary: Get course recommendations for my skill gaps
+ *     description: |
+ *       Finds the skills the authenticated student is missing (or below the required level in) for active jobs
+ *       they nearly match (stored match of at least 40% and below 100%), and ranks approved courses by how many
+ *       match percentage points they would add across those jobs. Courses the student is enrolled in or has
+ *       completed, and full courses, are left out. Students who enabled
+ *       `communicationPreferences.isCourseRecomendations` also receive the top suggestions as weekly notifications.
+ *     tags: [Students]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 10
+ *         description: Maximum number of courses to return
+ *     responses:
+ *       200:
+ *         description: Course recommendations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Course recommendations retrieved successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recommendations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           course:
+ *                             type: object
+ *                             description: Course summary (title, level, skills, price, duration, trainingProvider, ...)
+ *                           score:
+ *                             type: number
+ *                             description: Match percentage points the course would add, summed over the near-matched jobs
+ *                             example: 42.5
+ *                           closesSkills:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 skill:
+ *                                   type: string
+ *                                   example: "React"
+ *                                 requiredLevel:
+ *                                   type: string
+ *                                   example: "Intermediate"
+ *                                 courseLevel:
+ *                                   type: string
+ *                                   example: "Beginner"
+ *                                 reachesRequiredLevel:
+ *                                   type: boolean
+ *                                   example: false
+ *                           jobs:
+ *                             type: array
+ *                             description: Near-matched jobs the course helps with
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 _id:
+ *                                   type: string
+ *                                 jobTitle:
+ *                                   type: string
+ *                                   example: "Junior Frontend Developer"
+ *                     skillGaps:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           skill:
+ *                             type: string
+ *                             example: "React"
+ *                           requiredLevel:
+ *                             type: string
+ *                             example: "Intermediate"
+ *                           studentLevel:
+ *                             type: string
+ *                             nullable: true
+ *                             description: Null when the student does not have the skill
+ *                           missing:
+ *                             type: boolean
+ *                           potentialGain:
+ *                             type: number
+ *                             example: 30
+ *                           jobs:
+ *                             type: integer
+ *                             description: Number of near-matched jobs asking for the skill
+ *                             example: 2
+ *                     nearMatchThreshold:
+ *                       type: number
+ *                       example: 40
+ *                     notificationsEnabled:
+ *                       type: boolean
+ *                       example: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+studentRouter.get('/recommendations/courses', requestLogger, verifyJWT, authorizeRoles('student'), getMyCourseRecommendations);
+
 // =============================================admin
 // PARAMETRIC ID ROUTES (MUST BE AT END)
 // =============================================
@@ -1594,6 +1776,7 @@ studentRouter.get('/currently-enrolled', requestLogger, verifyJWT, authorizeRole
  * /api/v1/students/{id}:
  *   get:
  *     summary: Get student by ID
+ *     description: Other users see the public profile; contact details are included when isContactPublic is set and attendance rates (overall and per course) when isProgressPublic is set.
  *     tags: [Students]
  *     security:
  *       - bearerAuth: []
@@ -1615,8 +1798,10 @@ studentRouter.get('/currently-enrolled', requestLogger, verifyJWT, authorizeRole
  *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       429:
+ *         description: Candidate profile views for this month used up (plan maxProfileViews, or the free tier without a subscription)
  */
-studentRouter.get('/:id', requestLogger, verifyJWT, authorizeRoles('school' , 'employer'), getStudentById);
+studentRouter.get('/:id', requestLogger, verifyJWT, authorizeRoles('school' , 'employer'), checkEntitlement('profileViews', { getKey: viewedProfile }), getStudentById);
 
 /**
  * @swagger
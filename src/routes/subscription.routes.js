@@ -10,13 +10,21 @@ import {
     // Subscription controllers
     createSubscription,
     getUserSubscription,
+    getSubscriptionUsage,
     getAllSubscriptions,
     updateSubscriptionStatus,
     cancelSubscription,
+    previewPlanChange,
+    changePlan,
+    cancelPlanChange,
+    retryPastDuePayment,
+    resolvePastDueSubscription,
     
     // Payment controllers
     createPaymentIntent,
     confirmPayment,
+    createTrialSetupIntent,
+    saveTrialPaymentMethod,
     getSubscriptionStats
 } from '../controllers/subscription.controllers.js';
 import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
@@ -25,6 +33,104 @@ import { authorizeRoles } from '../middlewares/Role.middlewares.js';
 
 const subscriptionRouter = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlanChangeProration:
+ *       type: object
+ *       properties:
+ *         fromPlan:
+ *           type: object
+ *         toPlan:
+ *           type: object
+ *         currency:
+ *           type: string
+ *           example: "usd"
+ *         remainingFraction:
+ *           type: number
+ *           description: Share of the current billing period still ahead (0-1)
+ *           example: 0.5
+ *         unusedCredit:
+ *           type: number
+ *           description: Unused part of what was paid for the current period (after discounts)
+ *           example: 14.99
+ *         newPlanCost:
+ *           type: number
+ *           description: Cost of the new plan for the rest of the period (a full period if it restarts)
+ *           example: 24.99
+ *         creditApplied:
+ *           type: number
+ *           description: Credit balance used towards the difference
+ *         amountToCharge:
+ *           type: number
+ *           description: Charged to the saved card. Differences under 0.50 are waived.
+ *           example: 10
+ *         creditBalance:
+ *           type: number
+ *           description: Credit balance after the change
+ *         restartsBillingPeriod:
+ *           type: boolean
+ *         billing:
+ *           type: object
+ *           properties:
+ *             startDate:
+ *               type: string
+ *               format: date-time
+ *             endDate:
+ *               type: string
+ *               format: date-time
+ *             nextBillingDate:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *     PlanEntitlements:
+ *       type: object
+ *       description: Usage limits of a plan. null is unlimited, 0 means not included.
+ *       properties:
+ *         maxCourses:
+ *           type: integer
+ *           nullable: true
+ *           example: 10
+ *         maxActiveJobPosts:
+ *           type: integer
+ *           nullable: true
+ *           example: 5
+ *         maxProfileViews:
+ *           type: integer
+ *           nullable: true
+ *           description: Distinct candidate profiles per month
+ *           example: 100
+ *         maxConversations:
+ *           type: integer
+ *           nullable: true
+ *           description: New chat partners per month
+ *           example: 50
+ *     EntitlementUsage:
+ *       type: object
+ *       properties:
+ *         metric:
+ *           type: string
+ *           enum: [courses, activeJobPosts, profileViews, conversations]
+ *         label:
+ *           type: string
+ *           example: "Active job posts"
+ *         type:
+ *           type: string
+ *           enum: [total, period]
+ *         limit:
+ *           type: integer
+ *           nullable: true
+ *         used:
+ *           type: integer
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *         percentage:
+ *           type: integer
+ *           nullable: true
+ */
+
 // ===========================================
 // SUBSCRIPTION PLAN ROUTES
 // ===========================================
@@ -113,17 +219,18 @@ subscriptionRouter.get('/plans/:id', requestLogger, getPlanById);
  *                 enum: ["monthly", "quarterly", "yearly"]
  *                 example: "monthly"
  *               features:
- *                 type: object
- *                 properties:
- *                   maxCourses:
- *                     type: number
- *                     example: 50
- *                   maxStudents:
- *                     type: number
- *                     example: 1000
- *                   analyticsAccess:
- *                     type: boolean
- *                     example: true
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Up to 10 courses", "Student analytics"]
+ *               entitlements:
+ *                 $ref: '#/components/schemas/PlanEntitlements'
+ *               trialDays:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 90
+ *                 description: Free trial for new subscribers (paid plans only, 0 = none)
+ *                 example: 14
  *               stripePriceId:
  *                 type: string
  *                 example: "price_1234567890"
@@ -173,7 +280,16 @@ subscriptionRouter.post('/plans', requestLogger, verifyJWT, authorizeRoles('admi
  *               price:
  *                 type: number
  *               features:
- *                 type: object
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               entitlements:
+ *                 $ref: '#/components/schemas/PlanEntitlements'
+ *               trialDays:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 90
+ *                 description: Applies to trials started from now on
  *               isActive:
  *                 type: boolean
  *     responses:
@@ -236,7 +352,7 @@ subscriptionRouter.delete('/plans/:id', requestLogger, verifyJWT, authorizeRoles
  *         name: status
  *         schema:
  *           type: string
- *           enum: ["active", "inactive", "cancelled", "expired", "pending"]
+ *           enum: ["active", "trialing", "past_due", "inactive", "cancelled", "expired", "pending"]
  *         description: Filter by subscription status
  *       - in: query
  *         name: page
@@ -278,12 +394,60 @@ subscriptionRouter.get('/', requestLogger, verifyJWT, authorizeRoles('admin'), g
  */
 subscriptionRouter.get('/my-subscription', requestLogger, verifyJWT, getUserSubscription);
 
+/**
+ * @swagger
+ * /api/v1/subscriptions/usage:
+ *   get:
+ *     summary: Get usage against the plan limits
+ *     description: |
+ *       Consumption of each plan entitlement. Courses and active job posts are current totals;
+ *       profile views and conversations count distinct profiles and people in the monthly usage
+ *       period, which starts on the day of the month the subscription started.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plan:
+ *                       type: object
+ *                     period:
+ *                       type: object
+ *                       properties:
+ *                         periodStart:
+ *                           type: string
+ *                           format: date-time
+ *                         periodEnd:
+ *                           type: string
+ *                           format: date-time
+ *                     entitlements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/EntitlementUsage'
+ *       204:
+ *         description: No active subscription found
+ *       401:
+ *         description: Unauthorized
+ */
+subscriptionRouter.get('/usage', requestLogger, verifyJWT, getSubscriptionUsage);
+
 /**
  * @swagger
  * /api/v1/subscriptions:
  *   post:
  *     summary: Create a new subscription
- *     description: Create a new subscription for the authenticated user with a selected plan and payment details
+ *     description: |
+ *       Create a new subscription for the authenticated user with a selected plan and payment details.
+ *       A paid plan with trialDays starts a free trial instead ("trialing", full plan access) if the
+ *       user has never had one; save a card with /trial/setup-intent to continue after the trial.
  *     tags: [Subscriptions]
  *     security:
  *       - bearerAuth: []
@@ -507,7 +671,7 @@ subscriptionRouter.post('/', requestLogger, verifyJWT,  createSubscription);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: ["active", "inactive", "cancelled", "expired", "pending"]
+ *                 enum: ["active", "trialing", "past_due", "inactive", "cancelled", "expired", "pending"]
  *                 example: "active"
  *     responses:
  *       200:
@@ -527,6 +691,7 @@ subscriptionRouter.post('/', requestLogger, verifyJWT,  createSubscription);
  * /api/v1/subscriptions/cancel:
  *   post:
  *     summary: Cancel current user's subscription
+ *     description: Also cancels a free trial, which is then never charged.
  *     tags: [Subscriptions]
  *     security:
  *       - bearerAuth: []
@@ -550,6 +715,150 @@ subscriptionRouter.post('/', requestLogger, verifyJWT,  createSubscription);
  */
 subscriptionRouter.post('/cancel', requestLogger, verifyJWT, cancelSubscription);
 
+/**
+ * @swagger
+ * /api/v1/subscriptions/change-plan/preview:
+ *   get:
+ *     summary: Preview the cost of switching plans now
+ *     description: |
+ *       Prorates against the time left in the current billing period: the unused part of the current plan is
+ *       credited against the new plan for the same time. Switching between monthly and one-time billing starts
+ *       a fresh period on the new plan. Nothing is charged.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Plan to switch to
+ *     responses:
+ *       200:
+ *         description: Plan change preview calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     proration:
+ *                       $ref: '#/components/schemas/PlanChangeProration'
+ *       400:
+ *         description: Invalid, inactive or unchanged plan
+ *       401:
+ *         description: Unauthorized
+ */
+subscriptionRouter.get('/change-plan/preview', requestLogger, verifyJWT, previewPlanChange);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/change-plan:
+ *   post:
+ *     summary: Upgrade or downgrade the current subscription
+ *     description: |
+ *       With `timing: immediately` (default) the plan switches now. A positive difference is charged to the saved
+ *       card (after any credit balance); a negative one is added to the credit balance and used for later renewals.
+ *       With `timing: period_end` the switch happens when the current period renews, without proration; only
+ *       between monthly plans. Every change is recorded in the subscription `history`.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planId
+ *             properties:
+ *               planId:
+ *                 type: string
+ *                 example: "60d0fe4f5311236168a109cb"
+ *               timing:
+ *                 type: string
+ *                 enum: [immediately, period_end]
+ *                 default: immediately
+ *     responses:
+ *       200:
+ *         description: Plan changed, or change scheduled for the end of the period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     subscription:
+ *                       type: object
+ *                     proration:
+ *                       $ref: '#/components/schemas/PlanChangeProration'
+ *                     transactionId:
+ *                       type: string
+ *                       nullable: true
+ *                     effectiveAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Only for period_end changes
+ *       400:
+ *         description: Invalid plan or timing, no saved payment method, or the charge failed
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Cancel a plan change scheduled for the end of the period
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduled plan change cancelled successfully
+ *       400:
+ *         description: No plan change is scheduled
+ *       401:
+ *         description: Unauthorized
+ */
+subscriptionRouter.post('/change-plan', requestLogger, verifyJWT, changePlan);
+subscriptionRouter.delete('/change-plan', requestLogger, verifyJWT, cancelPlanChange);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/retry-payment:
+ *   post:
+ *     summary: Pay an overdue renewal
+ *     description: |
+ *       Charges the renewal of a past-due subscription again, with the saved card or a new
+ *       payment method. Allowed once an hour. While past due the subscription keeps working
+ *       until the grace period ends; protected endpoints add an X-Subscription-Warning header.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentMethodId:
+ *                 type: string
+ *                 description: Stripe payment method to use from now on
+ *                 example: "pm_1234567890"
+ *     responses:
+ *       200:
+ *         description: Payment received, subscription active again
+ *       204:
+ *         description: No past-due subscription found
+ *       400:
+ *         description: Payment failed, no payment method, or retried within the hour
+ *       401:
+ *         description: Unauthorized
+ */
+subscriptionRouter.post('/retry-payment', requestLogger, verifyJWT, retryPastDuePayment);
+
 /**
  * @swagger
  * /api/v1/subscriptions/stats:
@@ -592,11 +901,15 @@ subscriptionRouter.get('/stats', requestLogger, verifyJWT, getSubscriptionStats)
  *               subscriptionId:
  *                 type: string
  *                 example: "60d0fe4f5311236168a109ca"
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount applied to this first payment. One redemption is held for the checkout until it is paid, cancelled or left unpaid for COUPON_RESERVATION_MINUTES (default 60).
+ *                 example: "SCHOOLS20"
  *     responses:
  *       200:
- *         description: Payment intent created successfully
+ *         description: Payment intent created successfully (amount after any coupon discount)
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the coupon cannot be used
  *       401:
  *         description: Unauthorized
  *       404:
@@ -640,6 +953,61 @@ subscriptionRouter.post('/create-payment-intent', requestLogger, verifyJWT, crea
  */
 subscriptionRouter.post('/confirm-payment', requestLogger, verifyJWT, confirmPayment);
 
+/**
+ * @swagger
+ * /api/v1/subscriptions/trial/setup-intent:
+ *   post:
+ *     summary: Start saving a card for the end of a free trial
+ *     description: |
+ *       Creates a Stripe SetupIntent to confirm on the frontend with Stripe.js. The card is
+ *       charged the plan price when the trial ends; without a card the trial expires.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Setup intent created (clientSecret, setupIntentId, trialEndsAt)
+ *       204:
+ *         description: No free trial found
+ *       400:
+ *         description: Stripe error
+ *       401:
+ *         description: Unauthorized
+ */
+subscriptionRouter.post('/trial/setup-intent', requestLogger, verifyJWT, createTrialSetupIntent);
+
+/**
+ * @swagger
+ * /api/v1/subscriptions/trial/payment-method:
+ *   post:
+ *     summary: Save the card confirmed for a free trial
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - setupIntentId
+ *             properties:
+ *               setupIntentId:
+ *                 type: string
+ *                 example: "seti_1234567890"
+ *     responses:
+ *       200:
+ *         description: Card saved for the end of the trial
+ *       204:
+ *         description: No free trial found
+ *       400:
+ *         description: SetupIntent not succeeded or not for this trial
+ *       401:
+ *         description: Unauthorized
+ */
+subscriptionRouter.post('/trial/payment-method', requestLogger, verifyJWT, saveTrialPaymentMethod);
+
 // =============================================
 // PARAMETRIC ID ROUTES (MUST BE AT END)
 // =============================================
@@ -668,7 +1036,7 @@ subscriptionRouter.post('/confirm-payment', requestLogger, verifyJWT, confirmPay
  *             properties:
  *               status:
  *                 type: string
- *                 enum: ["active", "inactive", "cancelled", "expired"]
+ *                 enum: ["active", "trialing", "past_due", "inactive", "cancelled", "expired"]
  *     responses:
  *       200:
  *         description: Subscription status updated successfully
@@ -683,5 +1051,60 @@ subscriptionRouter.post('/confirm-payment', requestLogger, verifyJWT, confirmPay
  */
 subscriptionRouter.patch('/:id/status', requestLogger, verifyJWT, authorizeRoles('admin'), updateSubscriptionStatus);
 
+/**
+ * @swagger
+ * /api/v1/subscriptions/{id}/dunning:
+ *   post:
+ *     summary: Resolve a past-due subscription (Admin only)
+ *     description: |
+ *       - retry: charge the saved payment method now
+ *       - extend_grace: keep access for `days` more days
+ *       - mark_paid: record a payment made outside Stripe and reactivate
+ *       - expire: end the subscription without waiting for the grace period
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subscription ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [retry, extend_grace, mark_paid, expire]
+ *               days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 description: For extend_grace
+ *               reference:
+ *                 type: string
+ *                 description: Payment reference, for mark_paid
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       204:
+ *         description: Subscription not found
+ *       400:
+ *         description: Invalid action, subscription not past due, or the retry failed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+subscriptionRouter.post('/:id/dunning', requestLogger, verifyJWT, authorizeRoles('admin'), resolvePastDueSubscription);
+
 // Export the router
 export default subscriptionRouter;
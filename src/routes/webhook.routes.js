@@ -1,44 +1,179 @@
 import express from "express";
-import { 
+import {
     handleStripeWebhook,
-    handlePaymentSuccess,
-    handlePaymentFailed,
-    handleSubscriptionUpdated,
-    handleInvoicePaymentSucceeded,
-    handleInvoicePaymentFailed
+    getStripeEvents,
+    reprocessStripeEventById
 } from '../controllers/webhook.controllers.js';
 import { requestLogger } from '../middlewares/ReqLog.middlewares.js';
+import { verifyJWT } from '../middlewares/Auth.middlewares.js';
+import { authorizeRoles } from '../middlewares/Role.middlewares.js';
 
 const webhookRouter = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StripeEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *           example: "evt_1PQ2xYZ"
+ *         type:
+ *           type: string
+ *           example: "payment_intent.succeeded"
+ *         livemode:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [processing, processed, failed, ignored]
+ *           description: "`ignored` events were verified but concern no subscription on the platform"
+ *         attempts:
+ *           type: integer
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         stripeCreatedAt:
+ *           type: string
+ *           format: date-time
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
 /**
  * @swagger
  * /api/v1/webhooks/stripe:
  *   post:
  *     summary: Handle Stripe webhooks
+ *     description: |
+ *       Called by Stripe only. The body must be the raw event signed with `STRIPE_WEBHOOK_SECRET` and sent with a
+ *       `Stripe-Signature` header. Each event is handled once; redeliveries are acknowledged with `duplicate: true`.
  *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: Stripe-Signature
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             description: Stripe webhook payload
+ *             description: Stripe event payload
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Event received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 received:
+ *                   type: boolean
+ *                 duplicate:
+ *                   type: boolean
  *       400:
- *         description: Invalid webhook signature or payload
+ *         description: Missing or invalid webhook signature
+ *       409:
+ *         description: The same event is being processed by another delivery
  *       500:
- *         description: Internal server error
+ *         description: Handling the event failed; Stripe will retry it
  */
 webhookRouter.post('/stripe', express.raw({ type: 'application/json' }), handleStripeWebhook);
 
-// Internal webhook handlers (for testing)
-webhookRouter.post('/payment/success', requestLogger, handlePaymentSuccess);
-webhookRouter.post('/payment/failed', requestLogger, handlePaymentFailed);
-webhookRouter.post('/subscription/updated', requestLogger, handleSubscriptionUpdated);
-webhookRouter.post('/invoice/payment_succeeded', requestLogger, handleInvoicePaymentSucceeded);
-webhookRouter.post('/invoice/payment_failed', requestLogger, handleInvoicePaymentFailed);
+/**
+ * @swagger
+ * /api/v1/webhooks/stripe/events:
+ *   get:
+ *     summary: List received Stripe events (admin only)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, processed, failed, ignored]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         example: "invoice.payment_failed"
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Stripe events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/StripeEvent'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+webhookRouter.get('/stripe/events', requestLogger, verifyJWT, authorizeRoles('admin'), getStripeEvents);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/stripe/events/{eventId}/reprocess:
+ *   post:
+ *     summary: Re-process a failed Stripe event (admin only)
+ *     description: Runs the stored event through its handler again. Only events with status `failed` can be re-processed.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "evt_1PQ2xYZ"
+ *     responses:
+ *       200:
+ *         description: Event re-processed successfully
+ *       400:
+ *         description: The event has not failed, or it failed again
+ *       404:
+ *         description: Stripe event not found
+ *       409:
+ *         description: The event is already being processed
+ */
+webhookRouter.post('/stripe/events/:eventId/reprocess', requestLogger, verifyJWT, authorizeRoles('admin'), reprocessStripeEventById);
 
 export default webhookRouter;
@@ -6,6 +6,7 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import registerChatSockets from './sockets/chat.socket.js';
 import { initNotificationSocket } from './sockets/notification.socket.js';
+import { loadSkillTaxonomy } from './services/skillTaxonomy.service.js';
 
 dotenv.config({
     path: './.env'
@@ -17,7 +18,15 @@ if (!process.env.MONGODB_URI) {process.exit(1);
 
 // Connect to MongoDB
 connectDB()
-.then(() => {
+.then(async () => {
+    // Skill taxonomy used by the matchers and the skill setters on Student/Job/Course
+    try {
+        const skillCount = await loadSkillTaxonomy();
+        console.log(`[${new Date().toISOString()}] 🧩 Loaded ${skillCount} skills into the taxonomy`);
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ⚠️ Failed to load skill taxonomy, using built-in skills:`, error.message);
+    }
+
     // CHAT FEATURE: socket.io bootstrap
     console.log(`[${new Date().toISOString()}] 🚀 Initializing HTTP Server with Socket.IO support`);
     const httpServer = createServer(app);
@@ -0,0 +1,179 @@
+import mongoose from "mongoose";
+import { Attendance, Course, CourseSession, Enrollment, User } from "../models/index.js";
+import { summarizeAttendance } from "../utils/attendance.js";
+
+/**
+ * Attendance
+ *
+ * Attendance is taken per session for the students enrolled in the
+ * session's course (and cohort, when the session belongs to one). Rates are
+ * computed from the records on demand: per student for their profile, per
+ * course for the school, and per institute for the school dashboard.
+ */
+
+// Enrollments whose students are expected at the sessions
+const ROSTER_STATUSES = ["enrolled", "completed"];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Attendance counts per status, grouped by one field of the records
+const countByStatus = async (match, field) => {
+  const rows = await Attendance.aggregate([
+    { $match: match },
+    { $group: { _id: { key: `$${field}`, status: "$status" }, count: { $sum: 1 } } },
+  ]);
+
+  const counts = new Map();
+  rows.forEach(({ _id, count }) => {
+    const key = _id.key.toString();
+    counts.set(key, { ...counts.get(key), [_id.status]: count });
+  });
+  return counts;
+};
+
+const sumCounts = (counts) => {
+  const total = {};
+  counts.forEach((statusCounts) => {
+    Object.entries(statusCounts).forEach(([status, count]) => {
+      total[status] = (total[status] || 0) + count;
+    });
+  });
+  return total;
+};
+
+/**
+ * Enrollments expected at a session, with the students' name and email
+ * @param {Object} session - CourseSession
+ * @returns {Promise<Array<Object>>} Lean enrollments with studentId populated
+ */
+export async function getSessionRoster(session) {
+  const filter = { courseId: session.course, status: { $in: ROSTER_STATUSES } };
+  if (session.cohort) filter.cohort = session.cohort;
+
+  const enrollments = await Enrollment.find(filter)
+    .select("studentId cohort status")
+    .populate("studentId", "fullName email")
+    .lean();
+  return enrollments.filter((enrollment) => enrollment.studentId);
+}
+
+/**
+ * Record attendance at a session. Students are matched to the roster by
+ * studentId (their user ID) or email; marking a student again replaces the
+ * earlier mark.
+ * @param {Object} session - CourseSession
+ * @param {Array<Object>} records - [{ studentId | email, status, note, line }]
+ * @param {string} markedBy - User marking the attendance
+ * @returns {Promise<Object>} { marked, errors: [{ line, student, message }] }
+ */
+export async function markAttendance(session, records, markedBy) {
+  const roster = await getSessionRoster(session);
+  const byStudent = new Map(roster.map((enrollment) => [enrollment.studentId._id.toString(), enrollment]));
+  const byEmail = new Map(roster.map((enrollment) => [enrollment.studentId.email?.toLowerCase(), enrollment]));
+
+  const errors = [];
+  const operations = [];
+  const now = new Date();
+
+  records.forEach((record) => {
+    const enrollment = record.studentId ? byStudent.get(record.studentId) : byEmail.get(record.email);
+    if (!enrollment) {
+      errors.push({
+        line: record.line,
+        student: record.studentId || record.email,
+        message: "Not enrolled in the course or cohort of this session",
+      });
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { session: session._id, student: enrollment.studentId._id },
+        update: {
+          $set: {
+            course: session.course,
+            institute: session.institute,
+            enrollment: enrollment._id,
+            status: record.status,
+            markedBy,
+            markedAt: now,
+            ...(record.note !== undefined && { note: record.note }),
+          },
+        },
+        upsert: true,
+      },
+    });
+  });
+
+  if (operations.length) await Attendance.bulkWrite(operations, { ordered: false });
+  return { marked: operations.length, errors };
+}
+
+/**
+ * A student's attendance, overall and per course
+ * @param {string} studentUserId - Student user ID
+ * @returns {Promise<Object>} { overall, courses: [{ course, ...summary }] }
+ */
+export async function getStudentAttendanceSummary(studentUserId) {
+  const counts = await countByStatus({ student: toObjectId(studentUserId) }, "course");
+  const courses = await Course.find({ _id: { $in: [...counts.keys()] } }).select("title").lean();
+  const titles = new Map(courses.map((course) => [course._id.toString(), course.title]));
+
+  return {
+    overall: summarizeAttendance(sumCounts(counts)),
+    courses: [...counts.entries()].map(([courseId, statusCounts]) => ({
+      course: { _id: courseId, title: titles.get(courseId) || null },
+      ...summarizeAttendance(statusCounts),
+    })),
+  };
+}
+
+/**
+ * Attendance of every student of a course
+ * @param {string} courseId
+ * @returns {Promise<Object>} { overall, sessions, students: [{ student, ...summary }] }
+ */
+export async function getCourseAttendance(courseId) {
+  const course = toObjectId(courseId);
+  const [counts, sessions] = await Promise.all([
+    countByStatus({ course }, "student"),
+    CourseSession.countDocuments({ course }),
+  ]);
+  const users = await User.find({ _id: { $in: [...counts.keys()] } }).select("fullName email").lean();
+  const students = new Map(users.map((user) => [user._id.toString(), user]));
+
+  return {
+    overall: summarizeAttendance(sumCounts(counts)),
+    sessions,
+    students: [...counts.entries()]
+      .map(([studentId, statusCounts]) => ({
+        student: students.get(studentId) || { _id: studentId },
+        ...summarizeAttendance(statusCounts),
+      }))
+      .sort((a, b) => (a.rate ?? 101) - (b.rate ?? 101)),
+  };
+}
+
+/**
+ * Attendance across an institute's courses, for the school dashboard
+ * @param {string} instituteId - TrainingInstitute ID
+ * @returns {Promise<Object>} { overall, sessions, courses: [{ course, ...summary }] }
+ */
+export async function getInstituteAttendance(instituteId) {
+  const institute = toObjectId(instituteId);
+  const [counts, sessions] = await Promise.all([
+    countByStatus({ institute }, "course"),
+    CourseSession.countDocuments({ institute }),
+  ]);
+  const courses = await Course.find({ _id: { $in: [...counts.keys()] } }).select("title").lean();
+  const titles = new Map(courses.map((course) => [course._id.toString(), course.title]));
+
+  return {
+    overall: summarizeAttendance(sumCounts(counts)),
+    sessions,
+    courses: [...counts.entries()].map(([courseId, statusCounts]) => ({
+      course: { _id: courseId, title: titles.get(courseId) || null },
+      ...summarizeAttendance(statusCounts),
+    })),
+  };
+}
@@ -0,0 +1,264 @@
+import PDFDocument from "pdfkit";
+import {
+  Certification,
+  Course,
+  CourseCertificate,
+  Quiz,
+  Student,
+  TrainingInstitute,
+  User,
+} from "../models/index.js";
+import { generateVerificationCode, signCertificate, verifyCertificateSignature } from "../utils/certificate.js";
+import { createCertificateIssuedNotification, sendRealTimeNotification } from "./notification.service.js";
+
+/**
+ * Course certificates
+ *
+ * Issues a signed certificate when an enrollment is completed, adds it to the
+ * student's certifications and renders it as a PDF. Anyone holding the
+ * verification code can check it through the public verify endpoint.
+ */
+
+const MAX_CODE_ATTEMPTS = 5;
+
+// Kept apart from the JWT secrets so certificates never share a key with sessions
+const getSigningSecret = () => {
+  const secret = process.env.CERTIFICATE_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error("CERTIFICATE_SIGNING_SECRET is not configured");
+  }
+  return secret;
+};
+
+/**
+ * Public link that verifies a certificate (handled by the API, no login needed)
+ * @param {string} code - Verification code
+ * @returns {string}
+ */
+export function getVerificationUrl(code) {
+  const apiUrl = process.env.API_URL || "http://localhost:4000";
+  return `${apiUrl}/api/v1/certificates/verify/${code}`;
+}
+
+/**
+ * Whether a certificate's signature still matches its printed fields
+ * @param {Object} certificate - CourseCertificate document
+ * @returns {boolean}
+ */
+export function hasValidSignature(certificate) {
+  return verifyCertificateSignature(certificate, getSigningSecret());
+}
+
+// Quizzes the student passed in the course, as printed on the certificate
+const getPassedAssessments = async (enrollment) => {
+  const passed = (enrollment.quizResults || []).filter((result) => result.passed);
+  if (passed.length === 0) return [];
+
+  const quizzes = await Quiz.find({ _id: { $in: passed.map((result) => result.quiz) } }).select("title");
+  const titles = new Map(quizzes.map((quiz) => [quiz._id.toString(), quiz.title]));
+  return passed
+    .filter((result) => titles.has(result.quiz.toString()))
+    .map((result) => ({
+      quiz: result.quiz,
+      title: titles.get(result.quiz.toString()),
+      percentage: result.bestPercentage,
+    }));
+};
+
+// Add the certificate to the student's profile certifications
+const linkToStudentProfile = async (certificate, student) => {
+  const certification = await Certification.create({
+    name: certificate.courseTitle,
+    issuedBy: certificate.providerName,
+    issueDate: certificate.issuedAt,
+    certificateFile: `${getVerificationUrl(certificate.verificationCode)}/pdf`,
+    skills: certificate.skills,
+    level: certificate.level,
+    courseCertificate: certificate._id,
+  });
+
+  student.certifications.push(certification._id);
+  await student.save();
+
+  certificate.certification = certification._id;
+  await certificate.save();
+};
+
+/**
+ * Issue the certificate for a completed enrollment. Safe to call more than
+ * once: an enrollment only ever gets one certificate.
+ * @param {Object} enrollment - Completed enrollment (studentId/courseId may be populated)
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object>} { certificate, created }
+ * @throws {Error} When CERTIFICATE_SIGNING_SECRET is not configured
+ */
+export async function issueCourseCertificate(enrollment, io = null) {
+  const secret = getSigningSecret();
+  const existing = await CourseCertificate.findOne({ enrollment: enrollment._id });
+  if (existing) return { certificate: existing, created: false };
+
+  const courseId = enrollment.courseId?._id || enrollment.courseId;
+  const userId = enrollment.studentId?._id || enrollment.studentId;
+
+  const [course, user, student] = await Promise.all([
+    Course.findById(courseId).select("title trainingProvider skills level"),
+    User.findById(userId).select("fullName"),
+    Student.findOne({ userId }),
+  ]);
+  if (!course || !user) {
+    throw new Error(`Cannot issue certificate for enrollment ${enrollment._id}: course or student not found`);
+  }
+
+  const provider = course.trainingProvider
+    ? await TrainingInstitute.findById(course.trainingProvider).select("name")
+    : null;
+
+  const fields = {
+    student: userId,
+    course: course._id,
+    enrollment: enrollment._id,
+    trainingProvider: provider?._id,
+    recipientName: student ? `${student.firstName} ${student.lastName}`.trim() : user.fullName,
+    courseTitle: course.title,
+    providerName: provider?.name || "Talent Bridge",
+    level: course.level,
+    skills: course.skills,
+    assessments: await getPassedAssessments(enrollment),
+    completedAt: enrollment.completedAt || new Date(),
+    issuedAt: new Date(),
+  };
+
+  let certificate = null;
+  for (let attempt = 1; !certificate; attempt++) {
+    const candidate = new CourseCertificate({ ...fields, verificationCode: generateVerificationCode() });
+    candidate.signature = signCertificate(candidate, secret);
+
+    try {
+      certificate = await candidate.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Issued concurrently for the same enrollment
+      if (error.keyPattern?.enrollment) {
+        return { certificate: await CourseCertificate.findOne({ enrollment: enrollment._id }), created: false };
+      }
+      // Verification code collision; try another one
+      if (attempt >= MAX_CODE_ATTEMPTS) throw error;
+    }
+  }
+
+  if (student) {
+    try {
+      await linkToStudentProfile(certificate, student);
+    } catch (error) {
+      console.error(`Failed to add certificate ${certificate.verificationCode} to the student profile:`, error);
+    }
+  }
+
+  try {
+    const notification = await createCertificateIssuedNotification(userId, certificate);
+    sendRealTimeNotification(io, userId, notification);
+  } catch (error) {
+    console.error("Failed to send certificate notification:", error);
+  }
+
+  return { certificate, created: true };
+}
+
+/**
+ * Revoke a certificate and remove it from the student's profile
+ * @param {Object} certificate - CourseCertificate document
+ * @param {string} reason - Shown on the verify endpoint
+ * @returns {Promise<Object>} The revoked certificate
+ */
+export async function revokeCourseCertificate(certificate, reason) {
+  certificate.status = "revoked";
+  certificate.revokedAt = new Date();
+  certificate.revokedReason = reason;
+
+  if (certificate.certification) {
+    await Promise.all([
+      Certification.deleteOne({ _id: certificate.certification }),
+      Student.updateOne({ userId: certificate.student }, { $pull: { certifications: certificate.certification } }),
+    ]);
+    certificate.certification = undefined;
+  }
+
+  await certificate.save();
+  return certificate;
+}
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+
+/**
+ * Render a certificate as a landscape A4 PDF
+ * @param {Object} certificate - CourseCertificate document
+ * @returns {Promise<Buffer>}
+ */
+export function renderCertificatePdf(certificate) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 60,
+      info: {
+        Title: `Certificate - ${certificate.courseTitle}`,
+        Author: "Talent Bridge",
+        Subject: `Certificate ${certificate.verificationCode}`,
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 120;
+
+    doc.lineWidth(3).strokeColor("#667eea").rect(25, 25, width - 50, height - 50).stroke();
+    doc.lineWidth(1).strokeColor("#764ba2").rect(35, 35, width - 70, height - 70).stroke();
+
+    doc.fillColor("#667eea").font("Helvetica-Bold").fontSize(34)
+      .text("Certificate of Completion", 60, 85, { width: contentWidth, align: "center" });
+
+    doc.fillColor("#555555").font("Helvetica").fontSize(14)
+      .text("This certifies that", 60, 150, { width: contentWidth, align: "center" });
+    doc.moveDown(0.6).fillColor("#222222").font("Helvetica-Bold").fontSize(28)
+      .text(certificate.recipientName, { width: contentWidth, align: "center" });
+    doc.moveDown(0.6).fillColor("#555555").font("Helvetica").fontSize(14)
+      .text("has successfully completed", { width: contentWidth, align: "center" });
+    doc.moveDown(0.6).fillColor("#222222").font("Helvetica-Bold").fontSize(22)
+      .text(certificate.courseTitle, { width: contentWidth, align: "center" });
+    doc.moveDown(0.4).fillColor("#555555").font("Helvetica").fontSize(13)
+      .text(`offered by ${certificate.providerName}${certificate.level ? ` - ${certificate.level} level` : ""}`, {
+        width: contentWidth,
+        align: "center",
+      });
+
+    if (certificate.skills?.length) {
+      doc.moveDown(0.8).fontSize(11)
+        .text(`Skills: ${certificate.skills.join(", ")}`, { width: contentWidth, align: "center" });
+    }
+    if (certificate.assessments?.length) {
+      const assessments = certificate.assessments.map((item) => `${item.title} (${item.percentage}%)`).join(", ");
+      doc.moveDown(0.3).fontSize(11)
+        .text(`Assessments passed: ${assessments}`, { width: contentWidth, align: "center" });
+    }
+
+    doc.fillColor("#333333").font("Helvetica").fontSize(11)
+      .text(`Issued on ${formatDate(certificate.issuedAt)}`, 60, height - 140, { width: contentWidth / 2 })
+      .text(`Verification code: ${certificate.verificationCode}`, 60, height - 120, { width: contentWidth / 2 });
+    doc.fillColor("#667eea").fontSize(9)
+      .text(`Verify at ${getVerificationUrl(certificate.verificationCode)}`, 60, height - 100, { width: contentWidth });
+
+    if (certificate.status === "revoked") {
+      doc.save().rotate(-20, { origin: [width / 2, height / 2] })
+        .fillColor("#dc2626").opacity(0.35).font("Helvetica-Bold").fontSize(110)
+        .text("REVOKED", 0, height / 2 - 60, { width, align: "center" })
+        .restore();
+    }
+
+    doc.end();
+  });
+}
@@ -0,0 +1,235 @@
+import mongoose from "mongoose";
+import { Cohort, CohortWaitlist, Course } from "../models/index.js";
+import { getOfferExpiry, isEnrollmentOpen, OPEN_WAITLIST_STATUSES } from "../utils/cohort.js";
+import { createWaitlistOfferNotification, sendRealTimeNotification } from "./notification.service.js";
+
+/**
+ * Cohort seats and waitlists
+ *
+ * Seats are counted on the cohort (seatsTaken) and only ever taken with a
+ * conditional update, so concurrent enrollments cannot overbook it. Once a
+ * cohort has a waitlist, freed seats go to the students in line first: the
+ * seat stays taken while it is offered, and goes to the next student when
+ * the offer expires (see cronJobs/cohortWaitlist.js).
+ */
+
+const sendNotification = async (io, recipient, create) => {
+  try {
+    const notification = await create();
+    if (notification && io) sendRealTimeNotification(io, recipient, notification);
+  } catch (error) {
+    console.error("Failed to send waitlist notification:", error);
+  }
+};
+
+// Take one seat if the cohort is open and not full
+const reserveSeat = (cohortId) =>
+  Cohort.findOneAndUpdate(
+    {
+      _id: cohortId,
+      status: "scheduled",
+      startDate: { $gt: new Date() },
+      $expr: { $lt: ["$seatsTaken", "$capacity"] },
+    },
+    { $inc: { seatsTaken: 1 } },
+    { new: true }
+  );
+
+/**
+ * Place of a waiting student in the cohort's line
+ * @param {Object} entry - CohortWaitlist entry
+ * @returns {Promise<number|null>} 1 for the next student, null when the entry is not waiting
+ */
+export async function getWaitlistPosition(entry) {
+  if (entry.status !== "waiting") return null;
+  const ahead = await CohortWaitlist.countDocuments({
+    cohort: entry.cohort,
+    status: "waiting",
+    joinedAt: { $lt: entry.joinedAt },
+  });
+  return ahead + 1;
+}
+
+// Add a student to the cohort's line; joining twice keeps the original place
+const joinWaitlist = async (cohort, studentId) => {
+  let entry;
+  try {
+    entry = await CohortWaitlist.create({ cohort: cohort._id, course: cohort.course, student: studentId });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    entry = await CohortWaitlist.findOne({
+      cohort: cohort._id,
+      student: studentId,
+      status: { $in: OPEN_WAITLIST_STATUSES },
+    });
+  }
+  return { waitlist: entry, position: await getWaitlistPosition(entry) };
+};
+
+/**
+ * Take a seat for a student enrolling in a course. Courses without upcoming
+ * cohorts are limited by their maxEnrollments instead.
+ * @param {Object} course - Course document
+ * @param {string} cohortId - Chosen cohort, if any
+ * @param {string} studentId - Enrolling student
+ * @returns {Promise<Object>} { cohort } when a seat was taken (null for courses
+ * without cohorts), { waitlist, position } when the student was put in line,
+ * or { error }
+ */
+export async function takeEnrollmentSeat(course, cohortId, studentId) {
+  if (!cohortId) {
+    const runsInCohorts = await Cohort.exists({ course: course._id, status: "scheduled", startDate: { $gt: new Date() } });
+    if (runsInCohorts) return { error: "Choose a cohort to enroll in" };
+
+    if (course.maxEnrollments && course.currentEnrollments >= course.maxEnrollments) {
+      return { error: "This course is full" };
+    }
+    return { cohort: null };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(cohortId)) return { error: "Invalid cohort ID" };
+  const cohort = await Cohort.findOne({ _id: cohortId, course: course._id });
+  if (!cohort) return { error: "Cohort not found for this course" };
+  if (!isEnrollmentOpen(cohort)) return { error: "This cohort is no longer open for enrollment" };
+
+  // A seat offered to the student from the waitlist is already held for them
+  const offer = await CohortWaitlist.findOneAndUpdate(
+    { cohort: cohort._id, student: studentId, status: "offered", offerExpiresAt: { $gt: new Date() } },
+    { $set: { status: "claimed", closedAt: new Date() } },
+    { new: true }
+  );
+  if (offer) return { cohort };
+
+  // Nobody skips the line: free seats go to waiting students first
+  const inLine = await CohortWaitlist.exists({ cohort: cohort._id, status: "waiting" });
+  if (!inLine) {
+    const reserved = await reserveSeat(cohort._id);
+    if (reserved) return { cohort: reserved };
+  }
+
+  return joinWaitlist(cohort, studentId);
+}
+
+/**
+ * Offer the cohort's free seats to the students in line, in the order they joined
+ * @param {string} cohortId
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Array<Object>>} The entries that were offered a seat
+ */
+export async function offerFreeSeats(cohortId, io = null) {
+  const offers = [];
+  const cohort = await Cohort.findById(cohortId);
+  if (!cohort || !isEnrollmentOpen(cohort)) return offers;
+
+  let course = null;
+  while (true) {
+    const next = await CohortWaitlist.findOne({ cohort: cohort._id, status: "waiting" }).sort({ joinedAt: 1 });
+    if (!next || !(await reserveSeat(cohort._id))) break;
+
+    const now = new Date();
+    const expiresAt = getOfferExpiry(cohort.startDate, now);
+    const entry = await CohortWaitlist.findOneAndUpdate(
+      { _id: next._id, status: "waiting" },
+      { $set: { status: "offered", offeredAt: now, offerExpiresAt: expiresAt } },
+      { new: true }
+    );
+    if (!entry) {
+      // The student left the line in the meantime
+      await Cohort.updateOne({ _id: cohort._id }, { $inc: { seatsTaken: -1 } });
+      continue;
+    }
+
+    offers.push(entry);
+    course = course || (await Course.findById(cohort.course).select("title"));
+    await sendNotification(io, entry.student, () =>
+      createWaitlistOfferNotification(entry.student, cohort, course, expiresAt)
+    );
+  }
+  return offers;
+}
+
+/**
+ * Give back a seat (withdrawal, expired or declined offer) and offer it to the next student in line
+ * @param {string} cohortId
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Array<Object>>} The entries that were offered a seat
+ */
+export async function releaseSeat(cohortId, io = null) {
+  await Cohort.updateOne({ _id: cohortId, seatsTaken: { $gt: 0 } }, { $inc: { seatsTaken: -1 } });
+  return offerFreeSeats(cohortId, io);
+}
+
+/**
+ * Take a student out of a cohort's line, giving back the seat they were offered
+ * @param {string} cohortId
+ * @param {string} studentId
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Object|null>} The entry as it was before leaving, or null when the student was not in line
+ */
+export async function leaveWaitlist(cohortId, studentId, io = null) {
+  const entry = await CohortWaitlist.findOneAndUpdate(
+    { cohort: cohortId, student: studentId, status: { $in: OPEN_WAITLIST_STATUSES } },
+    { $set: { status: "cancelled", closedAt: new Date() } }
+  );
+  if (entry?.status === "offered") await releaseSeat(cohortId, io);
+  return entry;
+}
+
+/**
+ * Take a student out of every line for a course, once they are enrolled in one of its cohorts
+ * @param {string} courseId
+ * @param {string} studentId
+ * @param {Object} io - Socket.io instance (optional)
+ */
+export async function leaveCourseWaitlists(courseId, studentId, io = null) {
+  const entries = await CohortWaitlist.find({
+    course: courseId,
+    student: studentId,
+    status: { $in: OPEN_WAITLIST_STATUSES },
+  }).select("cohort");
+
+  for (const entry of entries) {
+    await leaveWaitlist(entry.cohort, studentId, io);
+  }
+}
+
+/**
+ * Expire the seat offers that were not claimed in time and pass the seats on.
+ * Seats that became free without reaching the line (e.g. a student withdrew
+ * while another was joining it) are offered as well.
+ * @param {Object} io - Socket.io instance (optional)
+ * @param {Date} now
+ * @returns {Promise<Object>} { expired, offered, failed }
+ */
+export async function expireSeatOffers(io = null, now = new Date()) {
+  const stats = { expired: 0, offered: 0, failed: 0 };
+  const due = await CohortWaitlist.find({ status: "offered", offerExpiresAt: { $lte: now } }).select("_id");
+
+  for (const { _id } of due) {
+    try {
+      const entry = await CohortWaitlist.findOneAndUpdate(
+        { _id, status: "offered" },
+        { $set: { status: "expired", closedAt: now } },
+        { new: true }
+      );
+      if (!entry) continue;
+
+      stats.expired++;
+      stats.offered += (await releaseSeat(entry.cohort, io)).length;
+    } catch (error) {
+      stats.failed++;
+      console.error(`Failed to expire seat offer ${_id}:`, error);
+    }
+  }
+
+  const waitingCohorts = await CohortWaitlist.distinct("cohort", { status: "waiting" });
+  for (const cohortId of waitingCohorts) {
+    try {
+      stats.offered += (await offerFreeSeats(cohortId, io)).length;
+    } catch (error) {
+      stats.failed++;
+      console.error(`Failed to offer free seats of cohort ${cohortId}:`, error);
+    }
+  }
+  return stats;
+}
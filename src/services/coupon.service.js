@@ -0,0 +1,250 @@
+import mongoose from "mongoose";
+import stripe from "../config/stripe.config.js";
+import { Coupon, CouponRedemption } from "../models/index.js";
+import {
+  calculateDiscount,
+  checkCouponEligibility,
+  getReservationExpiry,
+  normalizeCouponCode,
+} from "../utils/coupon.js";
+
+/**
+ * Coupons
+ *
+ * A coupon is checked and priced when the checkout payment intent is
+ * created, and one redemption of it is reserved for that payment right away,
+ * so concurrent checkouts cannot go past its caps. The reservation becomes a
+ * redemption once the payment succeeds. It is released when the checkout
+ * fails, is replaced or cancelled, or is left unpaid past the reservation time.
+ */
+
+/**
+ * Find a coupon and price it for a plan bought by a user
+ * @param {Object} options
+ * @param {string} options.code - Code entered by the user
+ * @param {string} options.userId
+ * @param {Object} options.plan - SubscriptionPlan being bought
+ * @param {Date} options.now
+ * @returns {Promise<Object>} { coupon, discount } or { error, code } when the coupon cannot be used
+ */
+export async function priceCoupon({ code, userId, plan, now = new Date() }) {
+  const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) });
+  if (!coupon) {
+    return { error: "Coupon code not found", code: "COUPON_NOT_FOUND" };
+  }
+
+  // Reserved redemptions count too: they are checkouts of this user still open
+  const userRedemptions = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+  const eligibility = checkCouponEligibility(coupon, {
+    planId: plan._id,
+    currency: plan.currency || "usd",
+    userRedemptions,
+    now,
+  });
+  if (!eligibility.eligible) {
+    return { error: eligibility.reason, code: eligibility.code };
+  }
+
+  const discount = calculateDiscount(coupon, plan.price);
+  if (discount.discountAmount <= 0) {
+    return { error: "This coupon gives no discount on the selected plan", code: "COUPON_NO_DISCOUNT" };
+  }
+  return { coupon, discount };
+}
+
+/**
+ * Take one redemption of a coupon for a checkout. The count only goes up
+ * while it is under the cap, so two checkouts cannot take the last one.
+ * @param {Object} coupon - Coupon document
+ * @returns {Promise<boolean>} Whether a redemption was left
+ */
+export async function reserveCoupon(coupon) {
+  const reserved = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } }],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true }
+  );
+  return Boolean(reserved);
+}
+
+/**
+ * Give back a redemption taken by reserveCoupon
+ * @param {string} couponId
+ */
+export async function releaseCoupon(couponId) {
+  await Coupon.updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+}
+
+/**
+ * Record the redemption reserved for a checkout payment, so it counts towards
+ * the user's limit and is released if the payment is never made
+ * @param {Object} subscription - Subscription document with the discount of the checkout
+ * @param {Date} now
+ * @returns {Promise<Object>} The reservation
+ */
+export async function recordCouponReservation(subscription, now = new Date()) {
+  const discount = subscription.discount;
+  return CouponRedemption.create({
+    coupon: discount.coupon,
+    code: discount.code,
+    user: subscription.userId,
+    subscription: subscription._id,
+    plan: subscription.planId?._id || subscription.planId,
+    paymentIntentId: discount.paymentIntentId,
+    originalAmount: discount.originalAmount,
+    discountAmount: discount.discountAmount,
+    finalAmount: discount.finalAmount,
+    status: "reserved",
+    expiresAt: getReservationExpiry(now),
+  });
+}
+
+/**
+ * Release the redemption reserved for a checkout payment that will not be paid
+ * @param {string} paymentIntentId
+ * @returns {Promise<boolean>} Whether a reservation was released
+ */
+export async function releaseCouponReservation(paymentIntentId) {
+  const reservation = await CouponRedemption.findOneAndDelete({ paymentIntentId, status: "reserved" });
+  if (!reservation) return false;
+  await releaseCoupon(reservation.coupon);
+  return true;
+}
+
+/**
+ * Record the redemption of the coupon applied to a successful checkout payment.
+ * Safe to call again for the same payment (confirm-payment and the webhook both do).
+ * @param {Object} subscription - Subscription document
+ * @param {string} paymentIntentId - Succeeded checkout payment
+ * @returns {Promise<Object|null>} The redemption, or null when no coupon was applied to this payment
+ */
+export async function redeemCoupon(subscription, paymentIntentId) {
+  const discount = subscription.discount;
+  if (!discount?.coupon || discount.paymentIntentId !== paymentIntentId) return null;
+
+  // The redemption was counted when it was reserved at checkout
+  const reserved = await CouponRedemption.findOneAndUpdate(
+    { paymentIntentId, status: "reserved" },
+    { $set: { status: "redeemed", redeemedAt: new Date() }, $unset: { expiresAt: 1 } },
+    { new: true }
+  );
+  if (reserved) return reserved;
+
+  // No reservation left (released before the payment went through): the payment is made, so count it now
+  try {
+    const redemption = await CouponRedemption.create({
+      coupon: discount.coupon,
+      code: discount.code,
+      user: subscription.userId,
+      subscription: subscription._id,
+      plan: subscription.planId?._id || subscription.planId,
+      paymentIntentId,
+      originalAmount: discount.originalAmount,
+      discountAmount: discount.discountAmount,
+      finalAmount: discount.finalAmount,
+    });
+    await Coupon.updateOne({ _id: discount.coupon }, { $inc: { redemptionCount: 1 } });
+    return redemption;
+  } catch (error) {
+    if (error.code === 11000) return CouponRedemption.findOne({ paymentIntentId });
+    throw error;
+  }
+}
+
+/**
+ * Release the reservations of checkouts left unpaid. Their payment is
+ * cancelled first so the discount cannot be paid after its release. Paid
+ * reservations are redeemed; payments still processing are checked again later.
+ * @param {Date} now
+ * @returns {Promise<Object>} { released, redeemed, failed }
+ */
+export async function expireCouponReservations(now = new Date()) {
+  const due = await CouponRedemption.find({ status: "reserved", expiresAt: { $lte: now } }).select("paymentIntentId");
+
+  const results = { released: 0, redeemed: 0, failed: 0 };
+  for (const reservation of due) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(reservation.paymentIntentId);
+      if (paymentIntent.status === "processing") continue;
+      if (paymentIntent.status === "succeeded") {
+        const redeemed = await CouponRedemption.updateOne(
+          { _id: reservation._id, status: "reserved" },
+          { $set: { status: "redeemed", redeemedAt: now }, $unset: { expiresAt: 1 } }
+        );
+        if (redeemed.modifiedCount) results.redeemed++;
+        continue;
+      }
+      if (paymentIntent.status !== "canceled") {
+        await stripe.paymentIntents.cancel(paymentIntent.id);
+      }
+      if (await releaseCouponReservation(paymentIntent.id)) results.released++;
+    } catch (error) {
+      console.error(`Failed to release coupon reservation ${reservation._id}:`, error);
+      results.failed++;
+    }
+  }
+  return results;
+}
+
+/**
+ * Redemptions grouped by coupon, with the discount given and revenue collected
+ * @param {Object} filters
+ * @param {string} filters.couponId - Limit to one coupon
+ * @param {Date} filters.from - Redeemed on or after
+ * @param {Date} filters.to - Redeemed before
+ * @returns {Promise<Object>} { coupons: [...], totals }
+ */
+export async function getRedemptionReport({ couponId, from, to } = {}) {
+  const match = { status: { $ne: "reserved" } };
+  if (couponId) match.coupon = new mongoose.Types.ObjectId(couponId);
+  if (from || to) {
+    match.redeemedAt = {};
+    if (from) match.redeemedAt.$gte = from;
+    if (to) match.redeemedAt.$lt = to;
+  }
+
+  const coupons = await CouponRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$coupon",
+        code: { $first: "$code" },
+        redemptions: { $sum: 1 },
+        uniqueUsers: { $addToSet: "$user" },
+        discountGiven: { $sum: "$discountAmount" },
+        revenue: { $sum: "$finalAmount" },
+        firstRedeemedAt: { $min: "$redeemedAt" },
+        lastRedeemedAt: { $max: "$redeemedAt" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        couponId: "$_id",
+        code: 1,
+        redemptions: 1,
+        uniqueUsers: { $size: "$uniqueUsers" },
+        discountGiven: { $round: ["$discountGiven", 2] },
+        revenue: { $round: ["$revenue", 2] },
+        firstRedeemedAt: 1,
+        lastRedeemedAt: 1,
+      },
+    },
+    { $sort: { redemptions: -1 } },
+  ]);
+
+  const totals = coupons.reduce(
+    (sum, coupon) => ({
+      redemptions: sum.redemptions + coupon.redemptions,
+      discountGiven: Math.round((sum.discountGiven + coupon.discountGiven) * 100) / 100,
+      revenue: Math.round((sum.revenue + coupon.revenue) * 100) / 100,
+    }),
+    { redemptions: 0, discountGiven: 0, revenue: 0 }
+  );
+
+  return { coupons, totals };
+}
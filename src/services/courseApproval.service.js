@@ -0,0 +1,88 @@
+import { Course, TrainingInstitute } from "../models/index.js";
+import { getApprovalTransition } from "../utils/courseApproval.js";
+import {
+  createCourseApprovalNotification,
+  createCourseCreationNotifications,
+  sendRealTimeNotification,
+} from "./notification.service.js";
+
+/**
+ * Course approval
+ *
+ * Moves courses through the approval workflow (see utils/courseApproval.js).
+ * Each step is applied only if the course is still in the status it was read
+ * in, so two admins deciding at the same time cannot both succeed. Schools
+ * are notified of decisions; a course's first approval also announces it to
+ * the students of the school.
+ */
+
+/**
+ * Apply an approval action to a course
+ * @param {Object} course - Course document, in its current status
+ * @param {string} action - One of APPROVAL_ACTIONS
+ * @param {Object} details
+ * @param {string} details.by - User taking the action
+ * @param {string} details.reason - Decision reason (rejections) or note
+ * @param {Array<string>} details.changesRequested - Changes asked of the school (rejections)
+ * @param {Object} details.updates - Course fields changed by the school (edits)
+ * @returns {Promise<Object>} { course } or { error } when the action is not allowed (anymore)
+ */
+export async function applyApprovalAction(course, action, { by, reason, changesRequested = [], updates = {} } = {}) {
+  const status = getApprovalTransition(course.status, action);
+  if (!status) {
+    return { error: `A course that is ${course.status.replace("_", " ")} cannot be ${action}` };
+  }
+
+  const now = new Date();
+  const approval = action === "submitted" || action === "edited"
+    ? { submittedAt: now }
+    : action === "withdrawn"
+      ? {}
+      : {
+          submittedAt: course.approval?.submittedAt,
+          reviewedAt: now,
+          reviewedBy: by,
+          reason,
+          changesRequested,
+        };
+
+  const fields = Object.keys(updates);
+  const updated = await Course.findOneAndUpdate(
+    { _id: course._id, status: course.status },
+    {
+      $set: { ...updates, status, approval },
+      $push: {
+        approvalHistory: { action, by, at: now, reason, changesRequested, ...(fields.length && { fields }) },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    return { error: "The course was updated in the meantime, please reload it and try again" };
+  }
+  return { course: updated };
+}
+
+/**
+ * Tell the school about an admin decision. The first approval of a course
+ * also announces it to the school's students.
+ * @param {Object} course - Course after the decision
+ * @param {string} decision - approved or rejected
+ * @param {Object} io - Socket.io instance (optional)
+ */
+export async function notifyApprovalDecision(course, decision, io = null) {
+  try {
+    const school = await TrainingInstitute.findById(course.trainingProvider).select("name userId");
+    if (!school?.userId) return;
+
+    const notification = await createCourseApprovalNotification(school.userId, course, decision, course.approval);
+    if (notification && io) sendRealTimeNotification(io, school.userId, notification);
+
+    const approvals = course.approvalHistory.filter((event) => event.action === "approved").length;
+    if (decision === "approved" && approvals === 1) {
+      await createCourseCreationNotifications(course, school.name, io);
+    }
+  } catch (error) {
+    console.error(`Failed to send approval notifications for course ${course._id}:`, error);
+  }
+}
@@ -0,0 +1,331 @@
+import mongoose from "mongoose";
+import stripe from "../config/stripe.config.js";
+import { Course, Enrollment, RevenueLedger, Student, User } from "../models/index.js";
+import { fromStripeAmount } from "../utils/stripeEvents.js";
+import { getCommissionRate, reverseSplit, splitRevenue } from "../utils/coursePayment.js";
+import { getCheckoutHoldCutoff } from "../utils/cohort.js";
+import { releaseSeat } from "./cohort.service.js";
+import {
+  createCourseEnrollmentNotification,
+  createPaymentNotification,
+  createSchoolEnrollmentNotification,
+  sendRealTimeNotification,
+} from "./notification.service.js";
+
+/**
+ * Course purchases
+ *
+ * Enrolling in a paid course creates a "pending_payment" enrollment and a
+ * Stripe PaymentIntent for the course price. The enrollment is activated
+ * once the payment succeeds (confirmed by the student or the webhook,
+ * whichever comes first) and the sale is written to the revenue ledger,
+ * split between the platform commission and the institute's earnings.
+ * An unpaid enrollment in a cohort holds a seat, so it is cancelled when its
+ * payment is cancelled or not made within the checkout hold.
+ */
+
+// PaymentIntent statuses in which the student can still complete the payment
+const OPEN_PAYMENT_STATUSES = ["requires_payment_method", "requires_confirmation", "requires_action"];
+
+const sendNotification = async (io, recipient, create) => {
+  try {
+    const notification = await create();
+    if (notification && io) sendRealTimeNotification(io, recipient, notification);
+  } catch (error) {
+    console.error("Failed to send enrollment notification:", error);
+  }
+};
+
+/**
+ * Follow-up of a newly active enrollment: course count, the student's
+ * enrollment list and notifications to the school and the student
+ * @param {Object} enrollment - Enrollment document
+ * @param {Object} course - Course with trainingProvider populated (userId)
+ * @param {Object} io - Socket.io instance (optional)
+ */
+export async function finalizeEnrollment(enrollment, course, io = null) {
+  const studentId = enrollment.studentId;
+
+  await Course.findByIdAndUpdate(course._id, { $inc: { currentEnrollments: 1 } });
+  await Student.findOneAndUpdate({ userId: studentId }, { $addToSet: { enrollments: enrollment._id } });
+
+  const schoolUserId = course.trainingProvider?.userId;
+  if (schoolUserId) {
+    const student = await User.findById(studentId).select("fullName");
+    await sendNotification(io, schoolUserId, () =>
+      createSchoolEnrollmentNotification(schoolUserId, student?.fullName || "A student", course.title, course._id)
+    );
+  } else {
+    console.warn("⚠️ No training provider user ID found for course:", course._id);
+  }
+
+  await sendNotification(io, studentId, () => createCourseEnrollmentNotification(studentId, course.title, course._id));
+}
+
+/**
+ * Start (or resume) the purchase of a paid course
+ * @param {Object} course - Course document
+ * @param {Object} user - Buying student
+ * @param {Object} pendingEnrollment - The student's unpaid enrollment in this course, if any
+ * @param {string} cohortId - Cohort whose seat the new enrollment holds, if any
+ * @returns {Promise<Object>} { enrollment, clientSecret, paymentIntentId, amount, currency }
+ */
+export async function startCoursePurchase(course, user, pendingEnrollment = null, cohortId = null) {
+  const amount = course.price;
+  const currency = (course.currency || "usd").toLowerCase();
+  const enrollment = pendingEnrollment ||
+    new Enrollment({ studentId: user._id, courseId: course._id, cohort: cohortId || undefined, status: "pending_payment" });
+
+  // An unfinished payment for the same price is picked up again
+  if (enrollment.payment?.paymentIntentId && enrollment.payment.amount === amount) {
+    const existing = await stripe.paymentIntents.retrieve(enrollment.payment.paymentIntentId);
+    if (OPEN_PAYMENT_STATUSES.includes(existing.status)) {
+      return { enrollment, clientSecret: existing.client_secret, paymentIntentId: existing.id, amount, currency };
+    }
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(amount * 100), // Convert to cents
+    currency,
+    payment_method_types: ["card"],
+    receipt_email: user.email,
+    description: `Course: ${course.title}`,
+    metadata: {
+      enrollmentId: enrollment._id.toString(),
+      courseId: course._id.toString(),
+      studentId: user._id.toString(),
+      purpose: "course_purchase",
+    },
+  });
+
+  enrollment.payment = { amount, currency, paymentIntentId: paymentIntent.id, status: "pending" };
+  await enrollment.save();
+
+  return { enrollment, clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id, amount, currency };
+}
+
+// Ledger entry for a sale; safe to call again for the same payment
+const recordSale = async (enrollment, course, paymentIntent) => {
+  if (!course.trainingProvider) {
+    console.warn(`⚠️ Course ${course._id} has no training provider, sale ${paymentIntent.id} not added to the ledger`);
+    return null;
+  }
+
+  try {
+    return await RevenueLedger.create({
+      type: "sale",
+      institute: course.trainingProvider._id || course.trainingProvider,
+      course: course._id,
+      enrollment: enrollment._id,
+      student: enrollment.studentId,
+      transactionId: paymentIntent.id,
+      currency: paymentIntent.currency,
+      ...splitRevenue(fromStripeAmount(paymentIntent.amount_received || paymentIntent.amount), getCommissionRate()),
+    });
+  } catch (error) {
+    if (error.code === 11000) return RevenueLedger.findOne({ type: "sale", transactionId: paymentIntent.id });
+    throw error;
+  }
+};
+
+/**
+ * Activate the enrollment paid for by a succeeded PaymentIntent. Called by the
+ * confirm endpoint and the webhook; only the first call activates it.
+ * @param {Object} paymentIntent - Stripe PaymentIntent with metadata.enrollmentId
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Object|null>} { enrollment, activated } or null when no enrollment matches
+ */
+export async function confirmCoursePayment(paymentIntent, io = null) {
+  const { enrollmentId } = paymentIntent.metadata || {};
+  if (!enrollmentId || !mongoose.Types.ObjectId.isValid(enrollmentId)) return null;
+
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { _id: enrollmentId, status: "pending_payment", "payment.paymentIntentId": paymentIntent.id },
+    {
+      $set: {
+        status: "enrolled",
+        enrollmentDate: new Date(),
+        "payment.status": "paid",
+        "payment.paidAt": new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!enrollment) {
+    const current = await Enrollment.findById(enrollmentId);
+    return current ? { enrollment: current, activated: false } : null;
+  }
+
+  const course = await Course.findById(enrollment.courseId).populate("trainingProvider", "name email userId");
+  await recordSale(enrollment, course, paymentIntent);
+  await finalizeEnrollment(enrollment, course, io);
+  await sendNotification(io, enrollment.studentId, () =>
+    createPaymentNotification(enrollment.studentId, enrollment.payment.amount.toFixed(2), course.title, "received", enrollment._id)
+  );
+
+  return { enrollment, activated: true };
+}
+
+/**
+ * Record a failed course payment; the student can try again from the same enrollment
+ * @param {Object} paymentIntent - Stripe PaymentIntent with metadata.enrollmentId
+ * @returns {Promise<Object|null>} The enrollment, or null when none is waiting for this payment
+ */
+export async function recordCoursePaymentFailure(paymentIntent) {
+  const { enrollmentId } = paymentIntent.metadata || {};
+  if (!enrollmentId || !mongoose.Types.ObjectId.isValid(enrollmentId)) return null;
+
+  return Enrollment.findOneAndUpdate(
+    { _id: enrollmentId, status: "pending_payment", "payment.paymentIntentId": paymentIntent.id },
+    { $set: { "payment.status": "failed" } },
+    { new: true }
+  );
+}
+
+/**
+ * Withdraw the unpaid enrollment of a cancelled PaymentIntent and give back its cohort seat
+ * @param {Object} paymentIntent - Stripe PaymentIntent with metadata.enrollmentId
+ * @param {Object} io - Socket.io instance (optional)
+ * @returns {Promise<Object|null>} The enrollment, or null when none is waiting for this payment
+ */
+export async function cancelCoursePurchase(paymentIntent, io = null) {
+  const { enrollmentId } = paymentIntent.metadata || {};
+  if (!enrollmentId || !mongoose.Types.ObjectId.isValid(enrollmentId)) return null;
+
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { _id: enrollmentId, status: "pending_payment", "payment.paymentIntentId": paymentIntent.id },
+    { $set: { status: "withdrawn" } },
+    { new: true }
+  );
+  if (enrollment?.cohort) await releaseSeat(enrollment.cohort, io);
+  return enrollment;
+}
+
+/**
+ * Cancel the cohort purchases left unpaid past the checkout hold, so their
+ * seats go back to the cohort (and its waitlist). Payments that went through
+ * in the meantime are confirmed instead.
+ * @param {Object} io - Socket.io instance (optional)
+ * @param {Date} now
+ * @returns {Promise<Object>} { expired, confirmed, failed }
+ */
+export async function expirePendingPurchases(io = null, now = new Date()) {
+  const stats = { expired: 0, confirmed: 0, failed: 0 };
+  const due = await Enrollment.find({
+    status: "pending_payment",
+    cohort: { $ne: null },
+    createdAt: { $lte: getCheckoutHoldCutoff(now) },
+  }).select("_id payment");
+
+  for (const enrollment of due) {
+    const paymentIntentId = enrollment.payment?.paymentIntentId;
+    if (!paymentIntentId) continue;
+
+    try {
+      let paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+      if (paymentIntent.status === "succeeded") {
+        if ((await confirmCoursePayment(paymentIntent, io))?.activated) stats.confirmed++;
+        continue;
+      }
+      // A payment being processed is settled by its webhook
+      if (paymentIntent.status === "processing") continue;
+
+      if (paymentIntent.status !== "canceled") {
+        paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId);
+      }
+      if (await cancelCoursePurchase(paymentIntent, io)) stats.expired++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`Failed to expire unpaid enrollment ${enrollment._id}:`, error);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Refund a paid enrollment in full and reverse its sale in the ledger
+ * @param {Object} enrollment - Paid enrollment document (not saved here)
+ * @param {Object} course - Its course
+ * @returns {Promise<Object>} Stripe refund
+ */
+export async function refundEnrollment(enrollment, course) {
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: enrollment.payment.paymentIntentId,
+      reason: "requested_by_customer",
+      metadata: { enrollmentId: enrollment._id.toString(), purpose: "course_refund" },
+    },
+    { idempotencyKey: `course-refund-${enrollment._id}` }
+  );
+
+  enrollment.payment.status = "refunded";
+  enrollment.payment.refundId = refund.id;
+  enrollment.payment.refundedAt = new Date();
+
+  const sale = await RevenueLedger.findOne({ type: "sale", transactionId: enrollment.payment.paymentIntentId });
+  if (sale) {
+    try {
+      await RevenueLedger.create({
+        type: "refund",
+        institute: sale.institute,
+        course: course._id,
+        enrollment: enrollment._id,
+        student: enrollment.studentId,
+        transactionId: refund.id,
+        currency: sale.currency,
+        ...reverseSplit(sale),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return refund;
+}
+
+/**
+ * Sales, refunds and the platform / institute split for an institute, per
+ * currency since courses can be sold in different currencies
+ * @param {string} instituteId - TrainingInstitute ID
+ * @param {Object} filters
+ * @param {Date} filters.from - On or after
+ * @param {Date} filters.to - Before
+ * @returns {Promise<Array>} Most sales first: [{ currency, grossSales, refunds, netSales, platformFees, netEarnings, salesCount, refundsCount }]
+ */
+export async function getInstituteRevenue(instituteId, { from, to } = {}) {
+  const match = { institute: new mongoose.Types.ObjectId(instituteId) };
+  if (from || to) {
+    match.occurredAt = {};
+    if (from) match.occurredAt.$gte = from;
+    if (to) match.occurredAt.$lt = to;
+  }
+
+  const totals = await RevenueLedger.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$currency",
+        grossSales: { $sum: { $cond: [{ $eq: ["$type", "sale"] }, "$grossAmount", 0] } },
+        refunds: { $sum: { $cond: [{ $eq: ["$type", "refund"] }, { $abs: "$grossAmount" }, 0] } },
+        platformFees: { $sum: "$platformFee" },
+        netEarnings: { $sum: "$instituteEarnings" },
+        salesCount: { $sum: { $cond: [{ $eq: ["$type", "sale"] }, 1, 0] } },
+        refundsCount: { $sum: { $cond: [{ $eq: ["$type", "refund"] }, 1, 0] } },
+      },
+    },
+    { $sort: { salesCount: -1, _id: 1 } },
+  ]);
+
+  const round = (value) => Math.round((value || 0) * 100) / 100;
+  return totals.map((total) => ({
+    currency: total._id,
+    grossSales: round(total.grossSales),
+    refunds: round(total.refunds),
+    netSales: round(total.grossSales - total.refunds),
+    platformFees: round(total.platformFees),
+    netEarnings: round(total.netEarnings),
+    salesCount: total.salesCount,
+    refundsCount: total.refundsCount,
+  }));
+}
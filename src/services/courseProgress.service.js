@@ -0,0 +1,132 @@
+import { Course, Enrollment } from "../models/index.js";
+import { calculateCourseProgress, findCourseLesson } from "../utils/courseProgress.js";
+import { recordCourseCompletionEvidence } from "./skillProficiency.service.js";
+import { issueCourseCertificate } from "./certificate.service.js";
+import {
+  createCourseCompletionNotification,
+  sendRealTimeNotification,
+} from "./notification.service.js";
+
+/**
+ * Course progress
+ *
+ * Records lesson progress on an Enrollment and completes the enrollment once
+ * every required lesson is done. Completion (automatic or set by the school)
+ * adds the course skills as evidence, issues a certificate and notifies the student.
+ */
+
+/**
+ * Follow-up work once an enrollment becomes completed. Failures are logged
+ * so they never undo the completion itself.
+ * @param {Object} enrollment - Completed enrollment (studentId/courseId may be populated)
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ */
+export async function handleEnrollmentCompleted(enrollment, io = null) {
+  try {
+    const evidenceCount = await recordCourseCompletionEvidence(enrollment);
+    console.log(`🎓 Recorded course evidence for ${evidenceCount} skill(s)`);
+  } catch (error) {
+    console.error("Failed to record course skill evidence:", error);
+  }
+
+  try {
+    const courseId = enrollment.courseId?._id || enrollment.courseId;
+    const userId = enrollment.studentId?._id || enrollment.studentId;
+    const courseTitle = enrollment.courseId?.title || (await Course.findById(courseId).select("title"))?.title;
+
+    const notification = await createCourseCompletionNotification(userId, courseTitle || "your course", courseId);
+    sendRealTimeNotification(io, userId, notification);
+  } catch (error) {
+    console.error("Failed to send course completion notification:", error);
+  }
+
+  try {
+    const { certificate, created } = await issueCourseCertificate(enrollment, io);
+    if (created) console.log(`📜 Issued certificate ${certificate.verificationCode}`);
+  } catch (error) {
+    console.error("Failed to issue course certificate:", error);
+  }
+}
+
+/**
+ * Start or complete a lesson for an enrollment and recalculate its progress.
+ * Saves the enrollment; completes it when every required lesson is done.
+ * @param {Object} enrollment - Enrollment document (not lean, courseId not populated)
+ * @param {Object} course - Course with modules
+ * @param {string} lessonId - Lesson ID
+ * @param {string} status - "in_progress" or "completed"
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object>} { progress, completedCourse } or { error } when the lesson is not in the course
+ */
+export async function updateLessonProgress(enrollment, course, lessonId, status, io = null) {
+  if (!findCourseLesson(course, lessonId)) {
+    return { error: "Lesson not found in this course" };
+  }
+
+  const now = new Date();
+  let entry = enrollment.lessonProgress.find((item) => String(item.lesson) === String(lessonId));
+  if (!entry) {
+    enrollment.lessonProgress.push({ lesson: lessonId, status: "in_progress", startedAt: now });
+    entry = enrollment.lessonProgress[enrollment.lessonProgress.length - 1];
+  }
+
+  // A completed lesson stays completed when it is opened again
+  if (status === "completed" && entry.status !== "completed") {
+    entry.status = "completed";
+    entry.completedAt = now;
+  }
+
+  const progress = calculateCourseProgress(course, enrollment.lessonProgress);
+  enrollment.progressPercentage = progress.progressPercentage;
+  enrollment.lastAccessedAt = now;
+
+  const completedCourse = progress.isComplete && enrollment.status === "enrolled";
+  if (completedCourse) {
+    enrollment.status = "completed";
+    enrollment.completedAt = now;
+  }
+
+  await enrollment.save();
+
+  if (completedCourse) {
+    await handleEnrollmentCompleted(enrollment, io);
+  }
+
+  return { progress, completedCourse };
+}
+
+/**
+ * Recalculate progress for every active enrollment after the curriculum changed
+ * (lessons added, removed or made optional). Enrollments whose remaining
+ * required lessons are now all done are completed.
+ * @param {Object} course - Course with modules
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object>} { updated, completed }
+ */
+export async function recalculateCourseProgress(course, io = null) {
+  const stats = { updated: 0, completed: 0 };
+  const cursor = Enrollment.find({ courseId: course._id, status: "enrolled" }).cursor();
+
+  for await (const enrollment of cursor) {
+    const progress = calculateCourseProgress(course, enrollment.lessonProgress);
+    // Only enrollments that have started can complete through a curriculum change
+    const completes = progress.isComplete && enrollment.lessonProgress.length > 0;
+
+    if (enrollment.progressPercentage === progress.progressPercentage && !completes) continue;
+
+    enrollment.progressPercentage = progress.progressPercentage;
+    if (completes) {
+      enrollment.status = "completed";
+      enrollment.completedAt = new Date();
+    }
+    await enrollment.save();
+    stats.updated++;
+
+    if (completes) {
+      stats.completed++;
+      await handleEnrollmentCompleted(enrollment, io);
+    }
+  }
+
+  return stats;
+}
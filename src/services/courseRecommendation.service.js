@@ -0,0 +1,165 @@
+import { Course, Enrollment, Job, Notification, Student } from "../models/index.js";
+import {
+  DEFAULT_MATCHING_OPTIONS,
+  collectSkillGaps,
+  getStudentSkillProfile,
+  rankCoursesForSkillGaps,
+} from "../utils/matchingUtils.js";
+import {
+  createCourseRecommendationNotification,
+  sendRealTimeNotification,
+} from "./notification.service.js";
+
+/**
+ * Course recommendations
+ *
+ * Looks at the active jobs a student nearly matches (stored in
+ * Job.matchedCandidates), works out which skills hold those matches back and
+ * ranks approved courses by how many match points they would add. Students
+ * who opted in to communicationPreferences.isCourseRecomendations also get the
+ * top suggestions as notifications.
+ */
+
+// Jobs at or above this stored match count as "nearly matched"
+export const NEAR_MATCH_MIN_PERCENTAGE = 40;
+
+// Most recent near-matched jobs considered per student
+const MAX_GAP_JOBS = 25;
+
+// A course is not suggested again in a notification within this many days
+const RECOMMENDATION_COOLDOWN_DAYS = 30;
+
+const COURSE_FIELDS =
+  "title description category level skills price duration language trainingProvider currentEnrollments maxEnrollments";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Skill gaps of a student across the active jobs they nearly match
+ * @param {Object} student - Student with _id, skills and skillProficiencies
+ * @returns {Promise<Array<Object>>} Gaps as returned by collectSkillGaps
+ */
+export async function getStudentSkillGaps(student) {
+  const jobs = await Job.find({
+    status: "active",
+    isActive: true,
+    matchedCandidates: {
+      $elemMatch: {
+        student: student._id,
+        matchPercentage: { $gte: NEAR_MATCH_MIN_PERCENTAGE, $lt: 100 },
+      },
+    },
+  })
+    .select("jobTitle skillsRequired")
+    .sort({ createdAt: -1 })
+    .limit(MAX_GAP_JOBS)
+    .lean();
+
+  return collectSkillGaps(getStudentSkillProfile(student), jobs, DEFAULT_MATCHING_OPTIONS);
+}
+
+/**
+ * Rank approved courses by how much they close the student's skill gaps.
+ * Courses the student is enrolled in (or completed) and full courses are skipped.
+ * @param {Object} student - Student with _id, userId, skills and skillProficiencies
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { gaps, recommendations: [{ course, score, closesSkills, jobs }] }
+ */
+export async function getCourseRecommendations(student, { limit = 10 } = {}) {
+  const gaps = await getStudentSkillGaps(student);
+  if (gaps.length === 0) {
+    return { gaps, recommendations: [] };
+  }
+
+  const takenCourseIds = await Enrollment.distinct("courseId", {
+    studentId: student.userId,
+    status: { $in: ["enrolled", "completed", "suspended"] },
+  });
+
+  // Course skills are stored with canonical names; the regex also catches older free-text entries
+  const courses = await Course.find({
+    _id: { $nin: takenCourseIds },
+    status: "approved",
+    skills: { $in: gaps.map((gap) => new RegExp(`^${escapeRegex(gap.skill)}$`, "i")) },
+  })
+    .select(COURSE_FIELDS)
+    .populate("trainingProvider", "name")
+    .lean();
+
+  const openCourses = courses.filter(
+    (course) => !course.maxEnrollments || (course.currentEnrollments || 0) < course.maxEnrollments
+  );
+
+  return {
+    gaps,
+    recommendations: rankCoursesForSkillGaps(openCourses, gaps, DEFAULT_MATCHING_OPTIONS).slice(0, limit),
+  };
+}
+
+/**
+ * Notify a student about their top course recommendations, if they opted in.
+ * Courses already suggested within the cooldown period are skipped.
+ * @param {Object} student - Student document
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Created notifications
+ */
+export async function notifyCourseRecommendations(student, io = null, { limit = 3 } = {}) {
+  if (!student.communicationPreferences?.isCourseRecomendations) {
+    return [];
+  }
+
+  const { recommendations } = await getCourseRecommendations(student);
+  if (recommendations.length === 0) {
+    return [];
+  }
+
+  const since = new Date(Date.now() - RECOMMENDATION_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+  const recentCourseIds = await Notification.distinct("relatedEntity.entityId", {
+    recipient: student.userId,
+    type: "course_recommendation",
+    createdAt: { $gte: since },
+  });
+  const recent = new Set(recentCourseIds.map((id) => id.toString()));
+
+  const notifications = [];
+  for (const recommendation of recommendations) {
+    if (notifications.length >= limit) break;
+    if (recent.has(recommendation.course._id.toString())) continue;
+
+    const notification = await createCourseRecommendationNotification(student.userId, recommendation);
+    sendRealTimeNotification(io, student.userId, notification);
+    notifications.push(notification);
+  }
+
+  return notifications;
+}
+
+/**
+ * Send course recommendations to every student who opted in
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object>} { students, notified, notifications, failed }
+ */
+export async function notifyAllCourseRecommendations(io = null) {
+  const stats = { students: 0, notified: 0, notifications: 0, failed: 0 };
+
+  const cursor = Student.find({ "communicationPreferences.isCourseRecomendations": true })
+    .select("userId skills skillProficiencies communicationPreferences")
+    .cursor();
+
+  for await (const student of cursor) {
+    stats.students++;
+    try {
+      const notifications = await notifyCourseRecommendations(student, io);
+      if (notifications.length > 0) {
+        stats.notified++;
+        stats.notifications += notifications.length;
+      }
+    } catch (error) {
+      stats.failed++;
+      console.error(`Failed to send course recommendations to student ${student._id}:`, error.message);
+    }
+  }
+
+  return stats;
+}
@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import { Course } from "../models/index.js";
+import {
+  PRICE_BANDS,
+  buildCourseSearchFilter,
+  buildPriceBandExpression,
+  buildSearchVocabulary,
+  correctSearchTerms,
+  getCourseSearchSort,
+  tokenizeSearchQuery,
+} from "../utils/courseSearch.js";
+
+/**
+ * Course catalog search
+ *
+ * One aggregation returns the page of results, the total and the facet
+ * counts, so a search costs a single round trip. Query words that do not
+ * appear in course titles, skills or categories are matched against those
+ * words and the closest one is searched as well, which tolerates typos
+ * ("pyhton" finds Python courses).
+ */
+
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+const MAX_FACET_VALUES = 20;
+
+// Only approved courses are searchable
+const LISTED = { status: "approved" };
+
+let vocabularyCache = { words: null, loadedAt: 0 };
+
+// Words of course titles, skills and categories, reloaded every few minutes
+const getSearchVocabulary = async () => {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.words;
+  }
+
+  const [titles, skills, categories] = await Promise.all([
+    Course.distinct("title", LISTED),
+    Course.distinct("skills", LISTED),
+    Course.distinct("category", LISTED),
+  ]);
+  vocabularyCache = { words: buildSearchVocabulary([...titles, ...skills, ...categories]), loadedAt: Date.now() };
+  return vocabularyCache.words;
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ""] } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_VALUES },
+];
+
+const toFacet = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+/**
+ * Search the course catalog
+ * @param {Object} options - From parseCourseSearchFilters
+ * @param {Object} options.filters - { q, category, language, type, provider, priceMin, priceMax }
+ * @param {string} options.sort - One of COURSE_SEARCH_SORTS
+ * @param {number} options.page
+ * @param {number} options.limit
+ * @returns {Promise<Object>} { courses, total, facets, corrections }
+ */
+export async function searchCourseCatalog({ filters, sort, page, limit }) {
+  const terms = tokenizeSearchQuery(filters.q);
+
+  // Misspelled words are searched together with their correction
+  let corrections = [];
+  if (terms.length) {
+    ({ corrections } = correctSearchTerms(terms, await getSearchVocabulary()));
+  }
+  const searchTerms = [...new Set([...terms, ...corrections.map(({ to }) => to)])];
+
+  const match = { ...buildCourseSearchFilter(filters, searchTerms), ...LISTED };
+  if (filters.provider) match.trainingProvider = new mongoose.Types.ObjectId(filters.provider);
+
+  const [result] = await Course.aggregate([
+    { $match: match },
+    ...(match.$text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        courses: [
+          { $sort: getCourseSearchSort(sort) },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: "traininginstitutes",
+              localField: "trainingProvider",
+              foreignField: "_id",
+              as: "trainingProvider",
+              pipeline: [{ $project: { name: 1, email: 1 } }],
+            },
+          },
+          { $addFields: { trainingProvider: { $arrayElemAt: ["$trainingProvider", 0] } } },
+        ],
+        total: [{ $count: "count" }],
+        category: countBy("$category"),
+        language: countBy("$language"),
+        type: countBy("$type"),
+        priceBand: [{ $group: { _id: buildPriceBandExpression(), count: { $sum: 1 } } }],
+        provider: [
+          ...countBy("$trainingProvider"),
+          {
+            $lookup: {
+              from: "traininginstitutes",
+              localField: "_id",
+              foreignField: "_id",
+              as: "institute",
+              pipeline: [{ $project: { name: 1 } }],
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const priceCounts = new Map(result.priceBand.map(({ _id, count }) => [_id, count]));
+
+  return {
+    courses: result.courses,
+    total: result.total[0]?.count || 0,
+    facets: {
+      category: toFacet(result.category),
+      language: toFacet(result.language),
+      type: toFacet(result.type),
+      priceBand: PRICE_BANDS.map(({ key, label, min, max }) => ({ key, label, min, max, count: priceCounts.get(key) || 0 })),
+      provider: result.provider.map(({ _id, count, institute }) => ({ id: _id, name: institute[0]?.name || null, count })),
+    },
+    corrections,
+  };
+}
@@ -316,4 +316,492 @@ Talent Bridge Team
     console.error(`Failed to process email for ${email}:`, error.message);
     return { success: false, error: error.message };
   }
-};
\ No newline at end of file
+};
+/**
+ * Send a transactional email from the platform to a user
+ * @param {Object} options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.subject - Email subject
+ * @param {string} options.text - Plain text body
+ * @param {string} options.html - HTML body
+ * @param {Array<Object>} options.attachments - Nodemailer attachments
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendPlatformEmail = async ({ to, subject, text, html, attachments = [] }) => {
+  const mailOptions = {
+    from: `"Talent Bridge" <${process.env.GMAIL_USER}>`,
+    to,
+    subject,
+    text,
+    html,
+    attachments,
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+    console.log(`Email "${subject}" sent to ${to}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`Failed to send email "${subject}" to ${to}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// Only web links are rendered as links; anything else (javascript:, data:, ...) stays text
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Send an interview invite, update or cancellation with an .ics calendar attachment
+ * @param {Object} options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.subject - Email subject
+ * @param {string} options.heading - Heading shown in the email body
+ * @param {Array<{label: string, value: string, href?: string}>} options.details - Interview details to list; href makes the value a link
+ * @param {string} options.icsContent - RFC 5545 calendar content
+ * @param {string} options.method - iCalendar METHOD (REQUEST or CANCEL)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendInterviewEmail = async ({ email, name, subject, heading, details = [], icsContent, method = "REQUEST" }) => {
+  const detailText = details.map((detail) => `${detail.label}: ${detail.value}`).join("\n");
+  // Titles, notes and places are typed by users: escape everything that goes into the HTML
+  const detailRows = details
+    .map((detail) => {
+      const value = isHttpUrl(detail.href)
+        ? `<a href="${escapeHtml(detail.href)}" style="color: #667eea;">${escapeHtml(detail.value)}</a>`
+        : escapeHtml(detail.value);
+      return `
+                <tr>
+                  <td style="padding: 8px 0; font-size: 11px; color: #718096; text-transform: uppercase; font-weight: 600; width: 120px;">${escapeHtml(detail.label)}</td>
+                  <td style="padding: 8px 0; font-size: 15px; color: #2d3748;">${value}</td>
+                </tr>`;
+    })
+    .join("");
+
+  return sendPlatformEmail({
+    to: email,
+    subject,
+    text: `
+Dear ${name},
+
+${heading}
+
+${detailText}
+
+The calendar invite is attached to this email.
+
+Best regards,
+Talent Bridge Team
+`,
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333333; background-color: #f5f7fa; margin: 0; padding: 20px;">
+  <table cellpadding="0" cellspacing="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 5px 15px rgba(0,0,0,0.08);">
+    <tr>
+      <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 600;">Talent Bridge</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 8px 0 0; font-size: 14px;">${escapeHtml(subject)}</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px;">
+        <h2 style="color: #2d3748; margin: 0 0 10px; font-size: 20px;">Hi ${escapeHtml(name)},</h2>
+        <p style="color: #4a5568; font-size: 15px; margin: 0 0 20px;">${escapeHtml(heading)}</p>
+        <table cellpadding="0" cellspacing="0" border="0" width="100%" style="background: #f8faff; border-radius: 8px; border: 1px solid #e2e8f0;">
+          <tr>
+            <td style="padding: 20px;">
+              <table cellpadding="5" cellspacing="0" border="0" width="100%">${detailRows}
+              </table>
+            </td>
+          </tr>
+        </table>
+        <p style="color: #718096; font-size: 13px; margin: 20px 0 0;">The calendar invite is attached to this email.</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e2e8f0;">
+        <p style="margin: 0; color: #a0aec0; font-size: 12px;">© ${new Date().getFullYear()} Talent Bridge. All rights reserved.</p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    attachments: [
+      {
+        filename: "interview.ics",
+        content: icsContent,
+        contentType: `text/calendar; charset=utf-8; method=${method}`,
+      },
+    ],
+  });
+};
+
+/**
+ * Send the digest of new jobs found by a saved search
+ * @param {Object} options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.searchName - Saved search name
+ * @param {Array<Object>} options.jobs - New jobs (jobTitle, location, employmentType, employerName, url)
+ * @param {number} options.total - Number of new jobs (can be more than jobs.length)
+ * @param {string} options.searchUrl - Link to all results of the search
+ * @param {string} options.unsubscribeUrl - Link that turns off alerts for this search only
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendSavedSearchDigestEmail = async ({ email, name, searchName, jobs, total, searchUrl, unsubscribeUrl }) => {
+  const subject = `${total} new job${total === 1 ? "" : "s"} for "${searchName}"`;
+  const moreText = total > jobs.length ? `\n...and ${total - jobs.length} more: ${searchUrl}\n` : "";
+  const jobText = jobs
+    .map((job) => `• ${job.jobTitle} - ${job.employerName || "Employer"} (${job.location}, ${job.employmentType})\n  ${job.url}`)
+    .join("\n");
+  const jobRows = jobs
+    .map((job) => `
+                <tr>
+                  <td style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
+                    <a href="${job.url}" style="color: #667eea; font-size: 16px; font-weight: 600; text-decoration: none;">${escapeHtml(job.jobTitle)}</a>
+                    <div style="color: #718096; font-size: 13px;">${escapeHtml(job.employerName || "Employer")} · ${escapeHtml(job.location)} · ${escapeHtml(job.employmentType)}</div>
+                  </td>
+                </tr>`)
+    .join("");
+
+  return sendPlatformEmail({
+    to: email,
+    subject,
+    text: `
+Dear ${name},
+
+New jobs match your saved search "${searchName}":
+
+${jobText}
+${moreText}
+To stop receiving alerts for this search, open: ${unsubscribeUrl}
+
+Best regards,
+Talent Bridge Team
+`,
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333333; background-color: #f5f7fa; margin: 0; padding: 20px;">
+  <table cellpadding="0" cellspacing="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 5px 15px rgba(0,0,0,0.08);">
+    <tr>
+      <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 600;">Talent Bridge</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 8px 0 0; font-size: 14px;">${escapeHtml(subject)}</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px;">
+        <h2 style="color: #2d3748; margin: 0 0 10px; font-size: 20px;">Hi ${escapeHtml(name)},</h2>
+        <p style="color: #4a5568; font-size: 15px; margin: 0 0 20px;">New jobs match your saved search <strong>${escapeHtml(searchName)}</strong>:</p>
+        <table cellpadding="0" cellspacing="0" border="0" width="100%">${jobRows}
+        </table>
+        ${total > jobs.length ? `<p style="margin: 20px 0 0;"><a href="${searchUrl}" style="color: #667eea;">See all ${total} new jobs</a></p>` : ""}
+      </td>
+    </tr>
+    <tr>
+      <td style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e2e8f0;">
+        <p style="margin: 0 0 8px; color: #a0aec0; font-size: 12px;">You receive this email because you saved this job search.
+          <a href="${unsubscribeUrl}" style="color: #667eea;">Unsubscribe from this search</a></p>
+        <p style="margin: 0; color: #a0aec0; font-size: 12px;">© ${new Date().getFullYear()} Talent Bridge. All rights reserved.</p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+  });
+};
+
+/**
+ * Send an invoice for a subscription payment with its PDF attached
+ * @param {Object} options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {Object} options.invoice - Invoice (invoiceNumber, total, currency, issuedAt, lineItems)
+ * @param {Buffer} options.pdf - Rendered invoice PDF
+ * @param {string} options.invoiceUrl - Link to the invoice in the platform
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendInvoiceEmail = async ({ email, name, invoice, pdf, invoiceUrl }) => {
+  const subject = `Your Talent Bridge invoice ${invoice.invoiceNumber}`;
+  const amount = `${invoice.currency.toUpperCase()} ${invoice.total.toFixed(2)}`;
+  const itemText = invoice.lineItems.map((item) => `• ${item.description}: ${item.amount.toFixed(2)}`).join("\n");
+  const itemRows = invoice.lineItems
+    .map((item) => `
+                <tr>
+                  <td style="padding: 8px 0; font-size: 15px; color: #2d3748;">${escapeHtml(item.description)}</td>
+                  <td style="padding: 8px 0; font-size: 15px; color: #2d3748; text-align: right;">${item.amount.toFixed(2)}</td>
+                </tr>`)
+    .join("");
+
+  return sendPlatformEmail({
+    to: email,
+    subject,
+    text: `
+Dear ${name},
+
+Thank you for your payment of ${amount}. Your invoice ${invoice.invoiceNumber} is attached.
+
+${itemText}
+
+You can also download it at any time: ${invoiceUrl}
+
+Best regards,
+Talent Bridge Team
+`,
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333333; background-color: #f5f7fa; margin: 0; padding: 20px;">
+  <table cellpadding="0" cellspacing="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 5px 15px rgba(0,0,0,0.08);">
+    <tr>
+      <td style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 600;">Talent Bridge</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 8px 0 0; font-size: 14px;">Invoice ${escapeHtml(invoice.invoiceNumber)}</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px;">
+        <h2 style="color: #2d3748; margin: 0 0 10px; font-size: 20px;">Hi ${escapeHtml(name)},</h2>
+        <p style="color: #4a5568; font-size: 15px; margin: 0 0 20px;">Thank you for your payment of <strong>${escapeHtml(amount)}</strong>. Your invoice is attached as a PDF.</p>
+        <table cellpadding="0" cellspacing="0" border="0" width="100%" style="background: #f8faff; border-radius: 8px; border: 1px solid #e2e8f0;">
+          <tr>
+            <td style="padding: 20px;">
+              <table cellpadding="5" cellspacing="0" border="0" width="100%">${itemRows}
+                <tr>
+                  <td style="padding: 8px 0; font-size: 15px; color: #2d3748; font-weight: 600; border-top: 1px solid #e2e8f0;">Total</td>
+                  <td style="padding: 8px 0; font-size: 15px; color: #2d3748; font-weight: 600; border-top: 1px solid #e2e8f0; text-align: right;">${escapeHtml(amount)}</td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+        <p style="margin: 20px 0 0;"><a href="${invoiceUrl}" style="color: #667eea;">Download your invoice</a></p>
+      </td>
+    </tr>
+    <tr>
+      <td style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e2e8f0;">
+        <p style="margin: 0; color: #a0aec0; font-size: 12px;">© ${new Date().getFullYear()} Talent Bridge. All rights reserved.</p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+    attachments: [
+      {
+        filename: `${invoice.invoiceNumber}.pdf`,
+        content: pdf,
+        contentType: "application/pdf",
+      },
+    ],
+  });
+};
+
+// Subject and wording of each dunning email
+const DUNNING_EMAILS = {
+  payment_failed: {
+    subject: "We couldn't renew your Talent Bridge subscription",
+    body: (details) => `We tried to charge ${details.amount} for your ${details.planName} subscription, but the payment did not go through. We will retry automatically over the next few days. Please make sure your card is valid and has sufficient funds. Your access continues until ${details.until}.`,
+  },
+  retry_failed: {
+    subject: "Your Talent Bridge payment is still failing",
+    body: (details) => `Another attempt to charge ${details.amount} for your ${details.planName} subscription failed. Please update your payment method before ${details.until} to avoid losing access.`,
+  },
+  final_notice: {
+    subject: "Final notice: your Talent Bridge subscription is about to end",
+    body: (details) => `All attempts to charge ${details.amount} for your ${details.planName} subscription have failed. Your access ends on ${details.until} unless the payment is completed.`,
+  },
+  expired: {
+    subject: "Your Talent Bridge subscription has expired",
+    body: (details) => `We could not collect the renewal payment for your ${details.planName} subscription, so it has expired. You can subscribe again at any time.`,
+  },
+  recovered: {
+    subject: "Your Talent Bridge subscription is active again",
+    body: (details) => `Thank you! The renewal payment of ${details.amount} for your ${details.planName} subscription went through and your access is fully restored.`,
+  },
+};
+
+/**
+ * Send a reminder for a step of the failed renewal (dunning) process
+ * @param {Object} options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.stage - payment_failed, retry_failed, final_notice, expired or recovered
+ * @param {string} options.planName - Plan display name
+ * @param {string} options.amount - Formatted renewal amount (e.g. "USD 29.99")
+ * @param {Date} options.graceEndsAt - End of the grace period
+ * @param {string} options.billingUrl - Link to the billing page
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendDunningEmail = async ({ email, name, stage, planName, amount, graceEndsAt, billingUrl }) => {
+  const template = DUNNING_EMAILS[stage];
+  const until = graceEndsAt
+    ? new Date(graceEndsAt).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" })
+    : "the end of the grace period";
+  const message = template.body({ planName, amount, until });
+  const isWarning = stage !== "recovered";
+
+  return sendPlatformEmail({
+    to: email,
+    subject: template.subject,
+    text: `
+Dear ${name},
+
+${message}
+
+Manage your billing: ${billingUrl}
+
+Best regards,
+Talent Bridge Team
+`,
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(template.subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333333; background-color: #f5f7fa; margin: 0; padding: 20px;">
+  <table cellpadding="0" cellspacing="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 5px 15px rgba(0,0,0,0.08);">
+    <tr>
+      <td style="background: ${isWarning ? "#dc2626" : "linear-gradient(135deg, #667eea 0%, #764ba2 100%)"}; padding: 30px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 600;">Talent Bridge</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 8px 0 0; font-size: 14px;">${escapeHtml(template.subject)}</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px;">
+        <h2 style="color: #2d3748; margin: 0 0 10px; font-size: 20px;">Hi ${escapeHtml(name)},</h2>
+        <p style="color: #4a5568; font-size: 15px; margin: 0 0 20px;">${escapeHtml(message)}</p>
+        <p style="margin: 0;"><a href="${billingUrl}" style="display: inline-block; background: #667eea; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">Manage billing</a></p>
+      </td>
+    </tr>
+    <tr>
+      <td style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e2e8f0;">
+        <p style="margin: 0; color: #a0aec0; font-size: 12px;">© ${new Date().getFullYear()} Talent Bridge. All rights reserved.</p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+  });
+};
+
+// Subject and wording of each free trial email
+const TRIAL_EMAILS = {
+  ending: {
+    subject: "Your Talent Bridge free trial is ending soon",
+    body: (details) => details.hasPaymentMethod
+      ? `Your free trial of ${details.planName} ends on ${details.endsOn}. We will then charge ${details.amount} to your saved card and your subscription continues without interruption.`
+      : `Your free trial of ${details.planName} ends on ${details.endsOn}. Add a payment method before then to keep your access; the plan costs ${details.amount}.`,
+  },
+  converted: {
+    subject: "Your Talent Bridge subscription has started",
+    body: (details) => `Your free trial has ended and we charged ${details.amount} for your ${details.planName} subscription. Thank you for staying with us!`,
+  },
+  expired: {
+    subject: "Your Talent Bridge free trial has ended",
+    body: (details) => `Your free trial of ${details.planName} ended on ${details.endsOn} without a payment method on file, so your access has stopped. You can subscribe at any time.`,
+  },
+  payment_failed: {
+    subject: "We couldn't start your Talent Bridge subscription",
+    body: (details) => `Your free trial of ${details.planName} has ended, but the payment of ${details.amount} did not go through, so your access has stopped. You can subscribe again with another card at any time.`,
+  },
+};
+
+/**
+ * Send a free trial reminder or outcome
+ * @param {Object} options
+ * @param {string} options.email - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.stage - ending, converted, expired or payment_failed
+ * @param {string} options.planName - Plan display name
+ * @param {string} options.amount - Formatted plan price (e.g. "USD 29.99")
+ * @param {Date} options.trialEndsAt - End of the trial
+ * @param {boolean} options.hasPaymentMethod - Whether a card is saved for the conversion
+ * @param {string} options.billingUrl - Link to the billing page
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendTrialEmail = async ({ email, name, stage, planName, amount, trialEndsAt, hasPaymentMethod, billingUrl }) => {
+  const template = TRIAL_EMAILS[stage];
+  const endsOn = new Date(trialEndsAt).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+  const message = template.body({ planName, amount, endsOn, hasPaymentMethod });
+  const isWarning = stage === "payment_failed" || (stage === "ending" && !hasPaymentMethod);
+
+  return sendPlatformEmail({
+    to: email,
+    subject: template.subject,
+    text: `
+Dear ${name},
+
+${message}
+
+Manage your billing: ${billingUrl}
+
+Best regards,
+Talent Bridge Team
+`,
+    html: `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(template.subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; line-height: 1.6; color: #333333; background-color: #f5f7fa; margin: 0; padding: 20px;">
+  <table cellpadding="0" cellspacing="0" border="0" width="100%" style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border-radius: 10px; overflow: hidden; box-shadow: 0 5px 15px rgba(0,0,0,0.08);">
+    <tr>
+      <td style="background: ${isWarning ? "#dc2626" : "linear-gradient(135deg, #667eea 0%, #764ba2 100%)"}; padding: 30px; text-align: center;">
+        <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 600;">Talent Bridge</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 8px 0 0; font-size: 14px;">${escapeHtml(template.subject)}</p>
+      </td>
+    </tr>
+    <tr>
+      <td style="padding: 30px;">
+        <h2 style="color: #2d3748; margin: 0 0 10px; font-size: 20px;">Hi ${escapeHtml(name)},</h2>
+        <p style="color: #4a5568; font-size: 15px; margin: 0 0 20px;">${escapeHtml(message)}</p>
+        <p style="margin: 0;"><a href="${billingUrl}" style="display: inline-block; background: #667eea; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: 600;">Manage billing</a></p>
+      </td>
+    </tr>
+    <tr>
+      <td style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e2e8f0;">
+        <p style="margin: 0; color: #a0aec0; font-size: 12px;">© ${new Date().getFullYear()} Talent Bridge. All rights reserved.</p>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`,
+  });
+};
@@ -0,0 +1,117 @@
+import { Course, Employer, Job, TrainingInstitute, UsageCounter } from "../models/index.js";
+import { ENTITLEMENTS, buildUsageReport, getUsagePeriod } from "../utils/entitlements.js";
+
+/**
+ * Plan entitlements
+ *
+ * Counts what a subscriber has used of each limit on their plan. Totals
+ * (courses, active job posts) are counted from the records; periodic
+ * allowances (profile views, conversations) are consumed atomically from a
+ * UsageCounter per user, metric and monthly usage period.
+ */
+
+// Live counts for the "total" metrics
+const TOTAL_COUNTERS = {
+  courses: async (userId) => {
+    const school = await TrainingInstitute.findOne({ userId }).select("_id");
+    return school ? Course.countDocuments({ trainingProvider: school._id }) : 0;
+  },
+  activeJobPosts: async (userId) => {
+    const employer = await Employer.findOne({ userId }).select("_id");
+    return employer ? Job.countDocuments({ postedBy: employer._id, status: "active" }) : 0;
+  },
+};
+
+/**
+ * Current usage period of a subscription. Users on the free tier (no
+ * subscription) are counted per calendar month.
+ * @param {Object|null} subscription
+ * @param {Date} now
+ * @returns {Object} { periodStart, periodEnd }
+ */
+export function getSubscriptionUsagePeriod(subscription, now = new Date()) {
+  const anchor = subscription
+    ? subscription.billing?.startDate || subscription.createdAt
+    : new Date(now.getFullYear(), now.getMonth(), 1);
+  return getUsagePeriod(anchor, now);
+}
+
+/**
+ * Amount of a metric a user has used (this period, for periodic metrics)
+ * @param {string} metric - Key of ENTITLEMENTS
+ * @param {string} userId
+ * @param {Object|null} subscription - null on the free tier
+ * @returns {Promise<number>}
+ */
+export async function getUsage(metric, userId, subscription) {
+  if (ENTITLEMENTS[metric].type === "total") {
+    return TOTAL_COUNTERS[metric](userId);
+  }
+
+  const { periodStart } = getSubscriptionUsagePeriod(subscription);
+  const counter = await UsageCounter.findOne({ user: userId, metric, periodStart }).select("count");
+  return counter?.count || 0;
+}
+
+/**
+ * Use one unit of a periodic allowance, unless `key` was already counted this period
+ * @param {Object} options
+ * @param {string} options.metric - Periodic metric
+ * @param {string} options.userId
+ * @param {Object|null} options.subscription - null on the free tier
+ * @param {number|null} options.limit - From the plan, null for unlimited
+ * @param {string} options.key - What is being counted (e.g. the profile viewed)
+ * @returns {Promise<Object>} { allowed, counted, used }
+ */
+export async function consumeUsage({ metric, userId, subscription, limit, key }) {
+  const { periodStart, periodEnd } = getSubscriptionUsagePeriod(subscription);
+  const filter = { user: userId, metric, periodStart };
+
+  const existing = await UsageCounter.findOne(filter).select("count keys");
+  if (existing?.keys.includes(key)) {
+    return { allowed: true, counted: false, used: existing.count };
+  }
+  if (limit === 0) {
+    return { allowed: false, counted: false, used: existing?.count || 0 };
+  }
+
+  // The key and limit conditions make the increment atomic: a counter at its
+  // limit does not match, and the upsert then fails on the unique index
+  const conditions = { ...filter, keys: { $ne: key } };
+  if (limit !== null) conditions.count = { $lt: limit };
+
+  try {
+    const counter = await UsageCounter.findOneAndUpdate(
+      conditions,
+      { $inc: { count: 1 }, $addToSet: { keys: key }, $setOnInsert: { periodEnd } },
+      { new: true, upsert: true }
+    );
+    return { allowed: true, counted: true, used: counter.count };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const counter = await UsageCounter.findOne(filter).select("count keys");
+    return {
+      allowed: Boolean(counter?.keys.includes(key)),
+      counted: false,
+      used: counter?.count || 0,
+    };
+  }
+}
+
+/**
+ * Usage of every entitlement against the plan limits
+ * @param {Object} subscription
+ * @param {Object} plan - SubscriptionPlan
+ * @returns {Promise<Object>} { period, entitlements }
+ */
+export async function getUsageReport(subscription, plan) {
+  const metrics = Object.keys(ENTITLEMENTS);
+  const counts = await Promise.all(metrics.map((metric) => getUsage(metric, subscription.userId, subscription)));
+  const usage = Object.fromEntries(metrics.map((metric, i) => [metric, counts[i]]));
+
+  return {
+    period: getSubscriptionUsagePeriod(subscription),
+    entitlements: buildUsageReport(plan.entitlements, usage),
+  };
+}
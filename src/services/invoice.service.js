@@ -0,0 +1,295 @@
+import PDFDocument from "pdfkit";
+import { Counter, Employer, Invoice, SubscriptionPlan, TrainingInstitute, User } from "../models/index.js";
+import { calculateInvoiceTotals, formatInvoiceNumber, parseTaxRate } from "../utils/invoice.js";
+import { sendInvoiceEmail } from "./email.service.js";
+
+/**
+ * Invoices
+ *
+ * Every completed subscription payment gets one invoice with a sequential
+ * number, the payer's billing details and the plan as a line item. The
+ * invoice is emailed with a PDF copy; users can list and download theirs.
+ */
+
+const getSeller = () => ({
+  name: process.env.INVOICE_COMPANY_NAME || "Talent Bridge",
+  address: process.env.INVOICE_COMPANY_ADDRESS || "",
+  taxId: process.env.INVOICE_TAX_ID || "",
+});
+
+/**
+ * Link to an invoice in the platform
+ * @param {Object} invoice - Invoice document
+ * @returns {string}
+ */
+export function getInvoiceUrl(invoice) {
+  const platformUrl = process.env.PLATFORM_URL || "https://yourplatform.com";
+  return `${platformUrl}/billing/invoices/${invoice._id}`;
+}
+
+// Organization billed for employer and school accounts
+const getOrganizationName = async (user) => {
+  if (user.role === "employer") {
+    return (await Employer.findOne({ userId: user._id }).select("name"))?.name;
+  }
+  if (user.role === "school") {
+    return (await TrainingInstitute.findOne({ userId: user._id }).select("name"))?.name;
+  }
+  return undefined;
+};
+
+// Invoices are stored under a draft number first and only numbered once they exist,
+// so an invalid or duplicate invoice never uses up a number of the sequence
+const DRAFT_PREFIX = "DRAFT-";
+
+const isDraft = (invoice) => invoice.invoiceNumber.startsWith(DRAFT_PREFIX);
+
+// Give a stored draft the next invoice number and email it
+const completeInvoice = async (draft, user = null) => {
+  const invoiceNumber = formatInvoiceNumber(await Counter.next("invoice"));
+  const numbered = await Invoice.findOneAndUpdate(
+    { _id: draft._id, invoiceNumber: draft.invoiceNumber },
+    { $set: { invoiceNumber } },
+    { new: true }
+  );
+  // Numbered concurrently by another call, which also sends it
+  if (!numbered) {
+    return { invoice: await Invoice.findById(draft._id), created: false };
+  }
+
+  try {
+    await emailInvoice(numbered, user);
+  } catch (error) {
+    console.error(`Failed to email invoice ${numbered.invoiceNumber}:`, error);
+  }
+
+  return { invoice: numbered, created: true };
+};
+
+const describePayment = (plan, billingReason) => {
+  const planName = plan ? `${plan.displayName} plan` : "Subscription";
+  if (billingReason === "plan_change") return `${planName} - prorated plan change`;
+  if (billingReason === "subscription_renewal") return `${planName} - renewal`;
+  return plan?.billingCycle === "monthly" ? `${planName} - monthly subscription` : `${planName} - one-time access`;
+};
+
+/**
+ * Issue the invoice for a completed subscription payment and email it.
+ * Safe to call again for the same payment: the existing invoice is returned,
+ * after numbering it when an earlier call stored it but failed to number it.
+ * @param {Object} options
+ * @param {Object} options.subscription - Subscription document holding the payment
+ * @param {Object} options.payment - Entry of subscription.payments (must be completed)
+ * @param {string} options.billingReason - One of INVOICE_BILLING_REASONS
+ * @param {Object} options.plan - SubscriptionPlan billed (defaults to the subscription's plan)
+ * @returns {Promise<Object>} { invoice, created }
+ */
+export async function issueInvoiceForPayment({ subscription, payment, billingReason, plan = null }) {
+  const existing = await Invoice.findOne({ subscription: subscription._id, payment: payment._id });
+  if (existing) {
+    return isDraft(existing) ? completeInvoice(existing) : { invoice: existing, created: false };
+  }
+
+  const planId = subscription.planId?._id || subscription.planId;
+  const billedPlan = plan || (await SubscriptionPlan.findById(planId));
+  const user = await User.findById(subscription.userId).select("fullName email role");
+  if (!user) {
+    throw new Error(`Cannot issue invoice for subscription ${subscription._id}: user not found`);
+  }
+
+  const periodEnd = billingReason === "plan_change" || billedPlan?.billingCycle === "monthly"
+    ? subscription.billing.endDate
+    : undefined;
+
+  // A checkout coupon shows as the full price less the discount
+  const discount = subscription.discount?.paymentIntentId && subscription.discount.paymentIntentId === payment.transactionId
+    ? subscription.discount
+    : null;
+  const lineItems = [{
+    description: describePayment(billedPlan, billingReason),
+    quantity: 1,
+    unitAmount: discount ? discount.originalAmount : payment.amount,
+    periodStart: billingReason === "plan_change" ? payment.paymentDate : subscription.billing.startDate,
+    periodEnd,
+  }];
+  if (discount) {
+    lineItems.push({ description: `Discount (${discount.code})`, quantity: 1, unitAmount: -discount.discountAmount });
+  }
+  const totals = calculateInvoiceTotals(lineItems, parseTaxRate(process.env.INVOICE_TAX_RATE));
+
+  const fields = {
+    user: user._id,
+    subscription: subscription._id,
+    plan: billedPlan?._id,
+    payment: payment._id,
+    transactionId: payment.transactionId,
+    billingReason,
+    billingDetails: {
+      name: user.fullName,
+      email: user.email,
+      organization: await getOrganizationName(user),
+    },
+    ...totals,
+    discount: discount ? { code: discount.code, amount: discount.discountAmount } : undefined,
+    currency: (payment.currency || billedPlan?.currency || "usd").toLowerCase(),
+    amountPaid: totals.total,
+    issuedAt: new Date(),
+    paidAt: payment.paymentDate || new Date(),
+  };
+
+  let draft;
+  try {
+    draft = await Invoice.create({ ...fields, invoiceNumber: `${DRAFT_PREFIX}${payment._id}` });
+  } catch (error) {
+    // Issued concurrently for the same payment (e.g. confirm-payment and the webhook)
+    if (error.code === 11000 && error.keyPattern?.payment) {
+      return { invoice: await Invoice.findOne({ subscription: subscription._id, payment: payment._id }), created: false };
+    }
+    throw error;
+  }
+
+  return completeInvoice(draft, user);
+}
+
+/**
+ * Issue invoices for a subscription's completed payments matching a transaction.
+ * Used where payments are recorded by transaction ID (webhooks, renewals).
+ * @param {Object} subscription - Subscription document
+ * @param {string} transactionId - Stripe PaymentIntent or invoice ID
+ * @param {string} billingReason - One of INVOICE_BILLING_REASONS
+ * @returns {Promise<Object|null>} The invoice, or null when no completed payment matches
+ */
+export async function issueInvoiceForTransaction(subscription, transactionId, billingReason) {
+  const payment = subscription.payments.find(
+    (entry) => entry.transactionId === transactionId && entry.status === "completed"
+  );
+  if (!payment) return null;
+
+  const { invoice } = await issueInvoiceForPayment({ subscription, payment, billingReason });
+  return invoice;
+}
+
+/**
+ * Email an invoice with its PDF to the billed user
+ * @param {Object} invoice - Invoice document
+ * @param {Object} user - User ({ fullName, email }); defaults to the billing details
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+export async function emailInvoice(invoice, user = null) {
+  const pdf = await renderInvoicePdf(invoice);
+  const result = await sendInvoiceEmail({
+    email: user?.email || invoice.billingDetails.email,
+    name: user?.fullName || invoice.billingDetails.name,
+    invoice,
+    pdf,
+    invoiceUrl: getInvoiceUrl(invoice),
+  });
+
+  if (result.success) {
+    invoice.emailedAt = new Date();
+    await invoice.save();
+  }
+  return result.success;
+}
+
+/**
+ * Date as printed on PDF documents, e.g. "3 Mar 2026"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric", timeZone: "UTC" });
+
+/**
+ * Amount with its currency code, e.g. "USD 49.99"
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+export const formatMoney = (amount, currency) => `${currency.toUpperCase()} ${Number(amount).toFixed(2)}`;
+
+/**
+ * Render an invoice as an A4 PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {Promise<Buffer>}
+ */
+export function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Invoice ${invoice.invoiceNumber}`,
+        Author: getSeller().name,
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const seller = getSeller();
+    const { width } = doc.page;
+    const right = width - 50;
+
+    doc.fillColor("#667eea").font("Helvetica-Bold").fontSize(24).text(seller.name, 50, 50);
+    doc.fillColor("#555555").font("Helvetica").fontSize(10);
+    if (seller.address) doc.text(seller.address, 50, 80, { width: 250 });
+    if (seller.taxId) doc.text(`Tax ID: ${seller.taxId}`);
+
+    const title = invoice.status === "paid" ? "INVOICE / RECEIPT" : `INVOICE (${invoice.status.toUpperCase()})`;
+    doc.fillColor("#222222").font("Helvetica-Bold").fontSize(16).text(title, 300, 50, { width: right - 300, align: "right" });
+    doc.font("Helvetica").fontSize(10)
+      .text(`Invoice number: ${invoice.invoiceNumber}`, 300, 75, { width: right - 300, align: "right" })
+      .text(`Issued: ${formatDate(invoice.issuedAt)}`, { width: right - 300, align: "right" })
+      .text(`Paid: ${invoice.paidAt ? formatDate(invoice.paidAt) : "-"}`, { width: right - 300, align: "right" });
+
+    doc.fillColor("#222222").font("Helvetica-Bold").fontSize(11).text("Billed to", 50, 150);
+    doc.font("Helvetica").fontSize(10).text(invoice.billingDetails.name);
+    if (invoice.billingDetails.organization) doc.text(invoice.billingDetails.organization);
+    doc.text(invoice.billingDetails.email);
+
+    // Line items
+    let y = 230;
+    doc.font("Helvetica-Bold").fontSize(10)
+      .text("Description", 50, y)
+      .text("Qty", 330, y, { width: 40, align: "right" })
+      .text("Unit price", 380, y, { width: 80, align: "right" })
+      .text("Amount", 470, y, { width: right - 470, align: "right" });
+    doc.moveTo(50, y + 15).lineTo(right, y + 15).strokeColor("#cccccc").stroke();
+
+    doc.font("Helvetica");
+    for (const item of invoice.lineItems) {
+      y += 25;
+      const period = item.periodStart && item.periodEnd
+        ? `\n${formatDate(item.periodStart)} - ${formatDate(item.periodEnd)}`
+        : "";
+      doc.text(`${item.description}${period}`, 50, y, { width: 270 })
+        .text(String(item.quantity), 330, y, { width: 40, align: "right" })
+        .text(item.unitAmount.toFixed(2), 380, y, { width: 80, align: "right" })
+        .text(item.amount.toFixed(2), 470, y, { width: right - 470, align: "right" });
+      if (period) y += 12;
+    }
+
+    y += 35;
+    doc.moveTo(330, y - 10).lineTo(right, y - 10).stroke();
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica")
+        .text(label, 330, y, { width: 130, align: "right" })
+        .text(value, 470, y, { width: right - 470, align: "right" });
+      y += 18;
+    };
+    totalRow("Subtotal", invoice.subtotal.toFixed(2));
+    totalRow(`Tax (${invoice.taxRate}%, included)`, invoice.taxAmount.toFixed(2));
+    totalRow("Total", formatMoney(invoice.total, invoice.currency), true);
+    totalRow("Amount paid", formatMoney(invoice.amountPaid, invoice.currency));
+
+    if (invoice.transactionId) {
+      doc.fillColor("#888888").font("Helvetica").fontSize(8)
+        .text(`Payment reference: ${invoice.transactionId}`, 50, y + 30, { width: right - 50 });
+    }
+
+    doc.end();
+  });
+}
@@ -408,6 +408,278 @@ export async function createJobApplicationNotification(employerId, applicantName
   });
 }
 
+/**
+ * Create notification for an application stage change (Web App Only)
+ * @param {string} applicantUserId - Applicant user ID
+ * @param {string} jobTitle - Job title
+ * @param {string} stage - New application stage
+ * @param {string} applicationId - Application ID
+ * @param {string} note - Optional note from the employer
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createApplicationStageNotification(applicantUserId, jobTitle, stage, applicationId, note = "") {
+  const stageMessages = {
+    shortlisted: `Good news! You have been shortlisted for ${jobTitle}.`,
+    interview: `You have been moved to the interview stage for ${jobTitle}. The employer will share interview details soon.`,
+    offered: `Congratulations! You have received an offer for ${jobTitle}.`,
+    hired: `Congratulations! You have been hired for ${jobTitle}.`,
+    rejected: `Your application for ${jobTitle} was not successful this time.`,
+  };
+
+  const baseMessage = stageMessages[stage] || `Your application for ${jobTitle} is now: ${stage}.`;
+  const message = note ? `${baseMessage} Note: ${note}` : baseMessage;
+
+  return await createNotification({
+    recipient: applicantUserId,
+    title: "Application Update",
+    message: message.substring(0, 500),
+    type: "application_update",
+    relatedEntity: {
+      entityType: "application",
+      entityId: applicationId,
+    },
+    actionUrl: `/jobs/applications/${applicationId}`,
+    priority: ["offered", "hired"].includes(stage) ? "high" : "normal",
+    metadata: { stage, jobTitle },
+  });
+}
+
+/**
+ * Create notification for an interview invite or update (Web App Only)
+ * @param {string} recipientId - User ID of the recipient
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} interviewId - Interview ID
+ * @param {boolean} isNewBooking - true for invites/confirmed bookings, false for other updates
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createInterviewNotification(recipientId, title, message, interviewId, isNewBooking = true) {
+  return await createNotification({
+    recipient: recipientId,
+    title,
+    message: message.substring(0, 500),
+    type: isNewBooking ? "interview_scheduled" : "interview_updated",
+    relatedEntity: {
+      entityType: "interview",
+      entityId: interviewId,
+    },
+    actionUrl: `/interviews/${interviewId}`,
+    priority: "high",
+  });
+}
+
+/**
+ * Create notification for a completed course (Web App Only)
+ * @param {string} studentId - Student user ID
+ * @param {string} courseTitle - Course title
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createCourseCompletionNotification(studentId, courseTitle, courseId) {
+  return await createNotification({
+    recipient: studentId,
+    title: "Course Completed",
+    message: `Congratulations! You have completed "${courseTitle}". The course skills have been added to your profile.`.substring(0, 500),
+    type: "course_completion",
+    relatedEntity: {
+      entityType: "course",
+      entityId: courseId,
+    },
+    actionUrl: `/courses/${courseId}`,
+    priority: "high",
+  });
+}
+
+/**
+ * Create notification for an admin's decision on a submitted course (Web App Only)
+ * @param {string} schoolUserId - School user ID
+ * @param {Object} course - Course (title, _id)
+ * @param {string} decision - approved or rejected
+ * @param {Object} details - { reason, changesRequested } for rejections
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createCourseApprovalNotification(schoolUserId, course, decision, { reason, changesRequested = [] } = {}) {
+  const approved = decision === "approved";
+
+  return await createNotification({
+    recipient: schoolUserId,
+    title: approved ? "Course Approved" : "Course Not Approved",
+    message: (approved
+      ? `"${course.title}" has been approved and is now listed for students.`
+      : `"${course.title}" was not approved: ${reason}${changesRequested.length ? ` (${changesRequested.length} change(s) requested)` : ""}. Update the course and submit it again.`
+    ).substring(0, 500),
+    type: approved ? "course_approved" : "course_rejected",
+    relatedEntity: {
+      entityType: "course",
+      entityId: course._id,
+    },
+    actionUrl: `/courses/${course._id}`,
+    priority: approved ? "normal" : "high",
+    metadata: approved ? {} : { reason, changesRequested },
+  });
+}
+
+/**
+ * Create notification for a new review of a school's course (Web App Only)
+ * @param {string} schoolUserId - School user ID
+ * @param {Object} review - Review (rating, _id)
+ * @param {Object} course - Reviewed course (title, _id)
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createCourseReviewNotification(schoolUserId, review, course) {
+  return await createNotification({
+    recipient: schoolUserId,
+    title: "New Course Review",
+    message: `"${course.title}" received a ${review.rating}-star review. You can reply to it publicly.`.substring(0, 500),
+    type: "course_review",
+    relatedEntity: {
+      entityType: "review",
+      entityId: review._id,
+    },
+    actionUrl: `/courses/${course._id}/reviews`,
+    metadata: {
+      courseId: course._id,
+      rating: review.rating,
+    },
+  });
+}
+
+/**
+ * Create notification for a school's reply to a student's review (Web App Only)
+ * @param {string} studentId - Reviewer user ID
+ * @param {Object} review - Review (_id)
+ * @param {Object} course - Reviewed course (title, _id)
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createReviewReplyNotification(studentId, review, course) {
+  return await createNotification({
+    recipient: studentId,
+    title: "Reply to Your Review",
+    message: `The training provider of "${course.title}" replied to your review.`.substring(0, 500),
+    type: "review_reply",
+    relatedEntity: {
+      entityType: "review",
+      entityId: review._id,
+    },
+    actionUrl: `/courses/${course._id}/reviews`,
+    priority: "low",
+  });
+}
+
+/**
+ * Create notification for a cohort seat offered to a waitlisted student (Web App Only)
+ * @param {string} studentId - Student user ID
+ * @param {Object} cohort - Cohort (name, startDate, _id)
+ * @param {Object} course - Course (title, _id)
+ * @param {Date} expiresAt - Until when the seat is held
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createWaitlistOfferNotification(studentId, cohort, course, expiresAt) {
+  return await createNotification({
+    recipient: studentId,
+    title: "A Seat Is Available",
+    message: `A seat opened up in "${course.title}" (${cohort.name}). Enroll before ${expiresAt.toUTCString()} to claim it.`.substring(0, 500),
+    type: "waitlist_seat_offered",
+    relatedEntity: {
+      entityType: "course",
+      entityId: course._id,
+    },
+    actionUrl: `/courses/${course._id}`,
+    priority: "high",
+    expiresAt,
+    metadata: {
+      cohortId: cohort._id,
+    },
+  });
+}
+
+/**
+ * Create notification for a certificate issued on course completion (Web App Only)
+ * @param {string} studentId - Student user ID
+ * @param {Object} certificate - Issued certificate (courseTitle, verificationCode, _id)
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createCertificateIssuedNotification(studentId, certificate) {
+  return await createNotification({
+    recipient: studentId,
+    title: "Certificate Issued",
+    message: `Your certificate for "${certificate.courseTitle}" is ready and has been added to your profile. Verification code: ${certificate.verificationCode}`.substring(0, 500),
+    type: "certificate_issued",
+    relatedEntity: {
+      entityType: "certificate",
+      entityId: certificate._id,
+    },
+    actionUrl: `/certificates/${certificate.verificationCode}`,
+    priority: "high",
+    metadata: {
+      courseId: certificate.course,
+      verificationCode: certificate.verificationCode,
+    },
+  });
+}
+
+/**
+ * Create notification for new jobs found by a saved search (Web App Only)
+ * @param {string} userId - Owner of the saved search
+ * @param {Object} search - Saved search (name, _id)
+ * @param {Array<Object>} jobs - New jobs included in the digest
+ * @param {number} total - Number of new jobs (can be more than jobs.length)
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createSavedSearchNotification(userId, search, jobs, total) {
+  const preview = jobs.slice(0, 3).map((job) => job.jobTitle).join(", ");
+  const more = total > 3 ? ` and ${total - 3} more` : "";
+
+  return await createNotification({
+    recipient: userId,
+    title: `${total} new job${total === 1 ? "" : "s"} for "${search.name}"`.substring(0, 100),
+    message: `New jobs match your saved search: ${preview}${more}.`.substring(0, 500),
+    type: "saved_search_alert",
+    relatedEntity: {
+      entityType: "saved_search",
+      entityId: search._id,
+    },
+    actionUrl: `/jobs/saved-searches/${search._id}`,
+    priority: "normal",
+    metadata: {
+      searchName: search.name,
+      jobIds: jobs.map((job) => job._id),
+      total,
+    },
+  });
+}
+
+/**
+ * Create notification recommending a course that closes skill gaps (Web App Only)
+ * @param {string} studentUserId - Student user ID
+ * @param {Object} recommendation - { course, score, closesSkills, jobs } from the course recommendation service
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createCourseRecommendationNotification(studentUserId, recommendation) {
+  const { course, closesSkills, jobs } = recommendation;
+  const skills = closesSkills.map((item) => item.skill).join(", ");
+  const jobText = jobs.length === 1 ? `"${jobs[0].jobTitle}"` : `${jobs.length} jobs you nearly match`;
+
+  return await createNotification({
+    recipient: studentUserId,
+    title: "Recommended Course",
+    message: `"${course.title}" teaches ${skills}, which would improve your match for ${jobText}.`.substring(0, 500),
+    type: "course_recommendation",
+    relatedEntity: {
+      entityType: "course",
+      entityId: course._id,
+    },
+    actionUrl: `/courses/${course._id}`,
+    priority: "low",
+    metadata: {
+      courseTitle: course.title,
+      skills: closesSkills.map((item) => item.skill),
+      jobIds: jobs.map((job) => job._id),
+      score: recommendation.score,
+    },
+  });
+}
+
 /**
  * Create notification for payment (Web App Only)
  * @param {string} userId - User ID
@@ -436,6 +708,133 @@ export async function createPaymentNotification(userId, amount, description, sta
   });
 }
 
+// Wording of each dunning reminder
+const DUNNING_NOTIFICATIONS = {
+  payment_failed: {
+    type: "payment_failed",
+    title: "Subscription Payment Failed",
+    message: (until) => `We couldn't renew your subscription. We'll retry automatically; please check your payment method. Access continues until ${until}.`,
+    priority: "high",
+  },
+  retry_failed: {
+    type: "payment_failed",
+    title: "Subscription Payment Still Failing",
+    message: (until) => `Another attempt to renew your subscription failed. Please update your payment method before ${until} to keep access.`,
+    priority: "high",
+  },
+  final_notice: {
+    type: "payment_failed",
+    title: "Final Notice: Subscription Payment",
+    message: (until) => `We couldn't renew your subscription and there are no retries left. Your access ends on ${until} unless the payment is completed.`,
+    priority: "high",
+  },
+  expired: {
+    type: "subscription_expiry",
+    title: "Subscription Expired",
+    message: () => "Your subscription has expired because the renewal payment could not be collected.",
+    priority: "high",
+  },
+  recovered: {
+    type: "payment_received",
+    title: "Subscription Payment Received",
+    message: () => "Your renewal payment went through and your subscription is active again.",
+    priority: "normal",
+  },
+};
+
+/**
+ * Create notification for a step of the failed renewal (dunning) process (Web App Only)
+ * @param {string} userId - Subscriber user ID
+ * @param {string} stage - payment_failed, retry_failed, final_notice, expired or recovered
+ * @param {Object} subscription - Subscription (with dunning.graceEndsAt)
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createDunningNotification(userId, stage, subscription) {
+  const config = DUNNING_NOTIFICATIONS[stage];
+  const graceEndsAt = subscription.dunning?.graceEndsAt;
+  const until = graceEndsAt
+    ? new Date(graceEndsAt).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" })
+    : "the end of the grace period";
+
+  return await createNotification({
+    recipient: userId,
+    title: config.title,
+    message: config.message(until),
+    type: config.type,
+    relatedEntity: {
+      entityType: "subscription",
+      entityId: subscription._id,
+    },
+    actionUrl: "/billing",
+    priority: config.priority,
+    metadata: {
+      dunningStage: stage,
+      graceEndsAt,
+    },
+  });
+}
+
+const TRIAL_NOTIFICATIONS = {
+  ending: {
+    type: "subscription_expiry",
+    title: "Your Free Trial Is Ending",
+    message: (details) => details.hasPaymentMethod
+      ? `Your free trial ends on ${details.endsOn}. Your saved card will then be charged and your subscription continues.`
+      : `Your free trial ends on ${details.endsOn}. Add a payment method to keep your access.`,
+    priority: "high",
+  },
+  converted: {
+    type: "payment_received",
+    title: "Subscription Started",
+    message: () => "Your free trial has ended and your paid subscription is now active.",
+    priority: "normal",
+  },
+  expired: {
+    type: "subscription_expiry",
+    title: "Free Trial Ended",
+    message: () => "Your free trial has ended. Subscribe to a plan to get your access back.",
+    priority: "high",
+  },
+  payment_failed: {
+    type: "payment_failed",
+    title: "Free Trial Ended",
+    message: () => "Your free trial has ended but the payment for your subscription failed. Subscribe again with another card to get your access back.",
+    priority: "high",
+  },
+};
+
+/**
+ * Create notification for a free trial ending, converting or expiring (Web App Only)
+ * @param {string} userId - Subscriber user ID
+ * @param {string} stage - ending, converted, expired or payment_failed
+ * @param {Object} subscription - Subscription (with trial.endsAt)
+ * @returns {Promise<Object>} Created notification
+ */
+export async function createTrialNotification(userId, stage, subscription) {
+  const config = TRIAL_NOTIFICATIONS[stage];
+  const endsAt = subscription.trial?.endsAt;
+
+  return await createNotification({
+    recipient: userId,
+    title: config.title,
+    message: config.message({
+      endsOn: new Date(endsAt).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" }),
+      hasPaymentMethod: Boolean(subscription.billing?.stripePaymentMethodId),
+    }),
+    type: config.type,
+    relatedEntity: {
+      entityType: "subscription",
+      entityId: subscription._id,
+    },
+    actionUrl: "/billing",
+    priority: config.priority,
+    metadata: {
+      trialStage: stage,
+      trialEndsAt: endsAt,
+    },
+  });
+}
+
 /**
  * Get students who have enrolled in courses from a specific school
  * @param {string} schoolId - Training Institute ID
@@ -0,0 +1,229 @@
+import PDFDocument from "pdfkit";
+import { PayoutStatement, RevenueLedger } from "../models/index.js";
+import { formatPeriod, getPreviousPeriod, toCsv } from "../utils/payout.js";
+import { getInstituteRevenue } from "./coursePayment.service.js";
+import { formatDate, formatMoney } from "./invoice.service.js";
+
+/**
+ * Payout statements
+ *
+ * Each month every institute with course sales or refunds gets a statement
+ * per currency it sold in, built from the revenue ledger. Pending statements are recalculated when
+ * generated again; once finance marks the payout as settled the statement is
+ * kept as it was paid. Statements can be downloaded as CSV (one row per
+ * ledger entry) or PDF.
+ */
+
+const periodFilter = (instituteId, { periodStart, periodEnd }, currency) => ({
+  institute: instituteId,
+  currency,
+  occurredAt: { $gte: periodStart, $lt: periodEnd },
+});
+
+// Create or refresh the statement of one currency; a settled one is left unchanged
+const saveStatement = async (instituteId, { periodStart, periodEnd }, revenue) => {
+  const { currency } = revenue;
+  try {
+    const statement = await PayoutStatement.findOneAndUpdate(
+      { institute: instituteId, periodStart, currency, status: { $ne: "settled" } },
+      {
+        $set: {
+          periodEnd,
+          grossSales: revenue.grossSales,
+          refunds: revenue.refunds,
+          platformFees: revenue.platformFees,
+          netPayable: revenue.netEarnings,
+          salesCount: revenue.salesCount,
+          refundsCount: revenue.refundsCount,
+          generatedAt: new Date(),
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    return { statement, updated: true };
+  } catch (error) {
+    // The statement exists and is settled, so the upsert tried to insert a duplicate
+    if (error.code === 11000) {
+      return { statement: await PayoutStatement.findOne({ institute: instituteId, periodStart, currency }), updated: false };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Create or refresh an institute's statements for a period, one per currency
+ * with ledger entries. Settled statements are left unchanged.
+ * @param {string} instituteId - TrainingInstitute ID
+ * @param {Object} period - { periodStart, periodEnd } from getStatementPeriod
+ * @returns {Promise<Array>} [{ statement, updated }]
+ */
+export async function generateStatements(instituteId, period) {
+  const revenue = await getInstituteRevenue(instituteId, { from: period.periodStart, to: period.periodEnd });
+
+  const results = [];
+  for (const totals of revenue) {
+    results.push(await saveStatement(instituteId, period, totals));
+  }
+  return results;
+}
+
+/**
+ * Generate the statements of every institute with ledger entries in a period
+ * @param {Object} period - { periodStart, periodEnd }; defaults to the previous month
+ * @returns {Promise<Object>} { period, generated, unchanged, failed }
+ */
+export async function generateStatementsForPeriod(period = getPreviousPeriod()) {
+  const institutes = await RevenueLedger.distinct("institute", {
+    occurredAt: { $gte: period.periodStart, $lt: period.periodEnd },
+  });
+
+  const stats = { period: formatPeriod(period.periodStart), generated: 0, unchanged: 0, failed: 0 };
+  for (const instituteId of institutes) {
+    try {
+      const results = await generateStatements(instituteId, period);
+      results.forEach(({ updated }) => {
+        if (updated) stats.generated++;
+        else stats.unchanged++;
+      });
+    } catch (error) {
+      stats.failed++;
+      console.error(`Failed to generate payout statement for institute ${instituteId}:`, error);
+    }
+  }
+  return stats;
+}
+
+/**
+ * Ledger entries making up a statement, oldest first
+ * @param {Object} statement - PayoutStatement document
+ * @returns {Promise<Array>}
+ */
+export function getStatementEntries(statement) {
+  return RevenueLedger.find(periodFilter(statement.institute._id || statement.institute, statement, statement.currency))
+    .sort({ occurredAt: 1 })
+    .populate("course", "title")
+    .lean();
+}
+
+/**
+ * Statement as CSV: one row per sale or refund, then the period totals
+ * @param {Object} statement - PayoutStatement document
+ * @param {Array} entries - From getStatementEntries
+ * @returns {string}
+ */
+export function renderStatementCsv(statement, entries) {
+  const rows = entries.map((entry) => [
+    entry.occurredAt,
+    entry.type,
+    entry.course?.title || "",
+    entry.transactionId,
+    entry.currency,
+    entry.grossAmount.toFixed(2),
+    entry.platformFee.toFixed(2),
+    entry.instituteEarnings.toFixed(2),
+  ]);
+  rows.push([
+    "",
+    "total",
+    `Statement ${formatPeriod(statement.periodStart)}`,
+    "",
+    statement.currency,
+    (statement.grossSales - statement.refunds).toFixed(2),
+    statement.platformFees.toFixed(2),
+    statement.netPayable.toFixed(2),
+  ]);
+
+  return toCsv(
+    ["date", "type", "course", "transaction", "currency", "gross_amount", "platform_fee", "institute_earnings"],
+    rows
+  );
+}
+
+/**
+ * Render a statement as an A4 PDF
+ * @param {Object} statement - PayoutStatement document
+ * @param {Object} institute - TrainingInstitute ({ name, email })
+ * @param {Array} entries - From getStatementEntries
+ * @returns {Promise<Buffer>}
+ */
+export function renderStatementPdf(statement, institute, entries) {
+  return new Promise((resolve, reject) => {
+    const platformName = process.env.INVOICE_COMPANY_NAME || "Talent Bridge";
+    const period = formatPeriod(statement.periodStart);
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: { Title: `Payout statement ${period}`, Author: platformName },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const right = doc.page.width - 50;
+    const lastDay = new Date(statement.periodEnd.getTime() - 1);
+
+    doc.fillColor("#667eea").font("Helvetica-Bold").fontSize(24).text(platformName, 50, 50);
+    doc.fillColor("#222222").font("Helvetica-Bold").fontSize(16)
+      .text("PAYOUT STATEMENT", 300, 50, { width: right - 300, align: "right" });
+    doc.font("Helvetica").fontSize(10)
+      .text(`Period: ${formatDate(statement.periodStart)} - ${formatDate(lastDay)}`, 300, 75, { width: right - 300, align: "right" })
+      .text(`Status: ${statement.status === "settled" ? `settled on ${formatDate(statement.settledAt)}` : "pending"}`, {
+        width: right - 300,
+        align: "right",
+      });
+
+    doc.font("Helvetica-Bold").fontSize(11).text("Payee", 50, 130);
+    doc.font("Helvetica").fontSize(10).text(institute?.name || "-");
+    if (institute?.email) doc.text(institute.email);
+
+    // Totals
+    let y = 200;
+    const totalRow = (label, value, bold = false) => {
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica")
+        .text(label, 50, y, { width: 300 })
+        .text(value, 350, y, { width: right - 350, align: "right" });
+      y += 18;
+    };
+    totalRow(`Gross sales (${statement.salesCount})`, formatMoney(statement.grossSales, statement.currency));
+    totalRow(`Refunds (${statement.refundsCount})`, formatMoney(-statement.refunds, statement.currency));
+    totalRow("Platform fees", formatMoney(-statement.platformFees, statement.currency));
+    doc.moveTo(350, y).lineTo(right, y).strokeColor("#cccccc").stroke();
+    y += 8;
+    totalRow("Net payable", formatMoney(statement.netPayable, statement.currency), true);
+
+    // Ledger entries
+    y += 25;
+    doc.font("Helvetica-Bold").fontSize(9)
+      .text("Date", 50, y)
+      .text("Type", 120, y)
+      .text("Course", 170, y)
+      .text("Gross", 350, y, { width: 60, align: "right" })
+      .text("Fee", 415, y, { width: 60, align: "right" })
+      .text("Earnings", 480, y, { width: right - 480, align: "right" });
+    doc.moveTo(50, y + 13).lineTo(right, y + 13).stroke();
+
+    doc.font("Helvetica");
+    for (const entry of entries) {
+      y += 20;
+      if (y > doc.page.height - 70) {
+        doc.addPage();
+        y = 50;
+      }
+      doc.text(formatDate(entry.occurredAt), 50, y)
+        .text(entry.type, 120, y)
+        .text(entry.course?.title || "-", 170, y, { width: 175, lineBreak: false, ellipsis: true })
+        .text(entry.grossAmount.toFixed(2), 350, y, { width: 60, align: "right" })
+        .text(entry.platformFee.toFixed(2), 415, y, { width: 60, align: "right" })
+        .text(entry.instituteEarnings.toFixed(2), 480, y, { width: right - 480, align: "right" });
+    }
+
+    if (statement.settlementReference) {
+      doc.fillColor("#888888").fontSize(8)
+        .text(`Payment reference: ${statement.settlementReference}`, 50, y + 40, { width: right - 50 });
+    }
+
+    doc.end();
+  });
+}
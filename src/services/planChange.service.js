@@ -0,0 +1,236 @@
+import stripe from "../config/stripe.config.js";
+import { User } from "../models/index.js";
+import { PLAN_ROLES } from "../models/contents/subscriptionPlan.models.js";
+import { calculateProration, getBillingPeriod, getPeriodAmountPaid } from "../utils/proration.js";
+import { issueInvoiceForTransaction } from "./invoice.service.js";
+
+/**
+ * Plan changes
+ *
+ * Moves a subscription to another plan, either right away (prorated against
+ * the time left in the current period and what was paid for it) or when the
+ * current period ends. Every change is appended to the subscription history.
+ */
+
+/**
+ * Price an immediate switch from the current plan to another
+ * @param {Object} subscription - Subscription document
+ * @param {Object} currentPlan - SubscriptionPlan the subscription is on
+ * @param {Object} newPlan - SubscriptionPlan to switch to
+ * @param {Date} now
+ * @returns {Object} Proration (see calculateProration) plus restartPeriod and the new billing period
+ */
+export function quotePlanChange(subscription, currentPlan, newPlan, now = new Date()) {
+  // Switching between monthly and one-time billing starts a fresh period on the new plan
+  const restartPeriod = currentPlan.billingCycle !== newPlan.billingCycle;
+
+  const proration = calculateProration({
+    currentPrice: getPeriodAmountPaid(subscription.billing, subscription.payments, currentPlan.price),
+    newPrice: newPlan.price,
+    periodStart: subscription.billing.startDate,
+    periodEnd: subscription.billing.endDate,
+    restartPeriod,
+    creditBalance: subscription.billing.creditBalance,
+    now,
+  });
+
+  const period = restartPeriod
+    ? getBillingPeriod(newPlan.billingCycle, now)
+    : {
+        startDate: subscription.billing.startDate,
+        endDate: subscription.billing.endDate,
+        nextBillingDate: subscription.billing.nextBillingDate,
+      };
+
+  return { ...proration, restartPeriod, period };
+}
+
+// Charge the saved card for a proration difference
+const chargeDifference = async (subscription, newPlan, amount) => {
+  if (!subscription.billing.stripeCustomerId || !subscription.billing.stripePaymentMethodId) {
+    const error = new Error("No saved payment method to charge the plan difference");
+    error.code = "PAYMENT_METHOD_REQUIRED";
+    throw error;
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: Math.round(amount * 100),
+    currency: (newPlan.currency || "usd").toLowerCase(),
+    customer: subscription.billing.stripeCustomerId,
+    payment_method: subscription.billing.stripePaymentMethodId,
+    off_session: true,
+    confirm: true,
+    metadata: {
+      subscriptionId: subscription._id.toString(),
+      userId: subscription.userId.toString(),
+      planId: newPlan._id.toString(),
+      // Lets the webhook tell this charge apart from a period payment
+      purpose: "plan_change",
+    },
+  });
+
+  if (paymentIntent.status !== "succeeded") {
+    const error = new Error(`Payment for the plan change was not completed (${paymentIntent.status})`);
+    error.code = "PLAN_CHANGE_PAYMENT_FAILED";
+    throw error;
+  }
+  return paymentIntent;
+};
+
+const updateUserRole = async (userId, plan) => {
+  if (!PLAN_ROLES[plan.name]) return;
+  await User.findByIdAndUpdate(userId, { role: PLAN_ROLES[plan.name] });
+};
+
+/**
+ * Switch plans now. The difference is charged to the saved card, or added
+ * to the subscriber's credit balance when the new plan costs less.
+ * @param {Object} subscription - Active subscription document
+ * @param {Object} currentPlan - SubscriptionPlan the subscription is on
+ * @param {Object} newPlan - SubscriptionPlan to switch to
+ * @param {string} performedBy - User ID making the change
+ * @returns {Promise<Object>} { subscription, quote, transactionId }
+ * @throws {Error} When the charge fails; the subscription is left unchanged
+ */
+export async function changePlanNow(subscription, currentPlan, newPlan, performedBy) {
+  const now = new Date();
+  const quote = quotePlanChange(subscription, currentPlan, newPlan, now);
+
+  const paymentIntent = quote.amountToCharge > 0
+    ? await chargeDifference(subscription, newPlan, quote.amountToCharge)
+    : null;
+
+  if (paymentIntent) {
+    subscription.payments.push({
+      amount: quote.amountToCharge,
+      currency: newPlan.currency || "usd",
+      paymentDate: now,
+      paymentMethod: "card",
+      transactionId: paymentIntent.id,
+      status: "completed",
+    });
+  }
+
+  subscription.planId = newPlan._id;
+  subscription.billing.startDate = quote.period.startDate;
+  subscription.billing.endDate = quote.period.endDate;
+  subscription.billing.nextBillingDate = quote.period.nextBillingDate;
+  subscription.billing.autoRenew = newPlan.billingCycle === "monthly";
+  subscription.billing.creditBalance = quote.creditBalance;
+  // The charge or credit settles the rest of the period at the new plan's price
+  subscription.billing.amountPaid = newPlan.price;
+  subscription.pendingPlanChange = undefined;
+  subscription.history.push({
+    event: "plan_changed",
+    fromPlan: currentPlan._id,
+    toPlan: newPlan._id,
+    effectiveAt: now,
+    unusedCredit: quote.unusedCredit,
+    newPlanCost: quote.newPlanCost,
+    amountCharged: quote.amountToCharge,
+    creditApplied: quote.creditApplied,
+    creditAdded: Math.max(0, -quote.difference),
+    transactionId: paymentIntent?.id,
+    performedBy,
+  });
+
+  await subscription.save();
+  await updateUserRole(subscription.userId, newPlan);
+
+  if (paymentIntent) {
+    try {
+      await issueInvoiceForTransaction(subscription, paymentIntent.id, "plan_change");
+    } catch (error) {
+      console.error(`Failed to issue invoice for plan change on subscription ${subscription._id}:`, error);
+    }
+  }
+
+  return { subscription, quote, transactionId: paymentIntent?.id || null };
+}
+
+/**
+ * Switch plans when the current period ends, without proration
+ * @param {Object} subscription - Active subscription document
+ * @param {Object} currentPlan - SubscriptionPlan the subscription is on
+ * @param {Object} newPlan - SubscriptionPlan to switch to
+ * @param {string} performedBy - User ID making the change
+ * @returns {Promise<Object>} The subscription
+ */
+export async function schedulePlanChange(subscription, currentPlan, newPlan, performedBy) {
+  const now = new Date();
+  subscription.pendingPlanChange = {
+    planId: newPlan._id,
+    requestedAt: now,
+    effectiveAt: subscription.billing.endDate,
+  };
+  subscription.history.push({
+    event: "plan_change_scheduled",
+    fromPlan: currentPlan._id,
+    toPlan: newPlan._id,
+    effectiveAt: subscription.billing.endDate,
+    performedBy,
+  });
+
+  await subscription.save();
+  return subscription;
+}
+
+/**
+ * Drop a scheduled plan change
+ * @param {Object} subscription - Subscription with a pendingPlanChange
+ * @param {string} performedBy - User ID making the change
+ * @returns {Promise<Object>} The subscription
+ */
+export async function cancelScheduledPlanChange(subscription, performedBy) {
+  subscription.history.push({
+    event: "plan_change_cancelled",
+    fromPlan: subscription.planId,
+    toPlan: subscription.pendingPlanChange.planId,
+    performedBy,
+  });
+  subscription.pendingPlanChange = undefined;
+
+  await subscription.save();
+  return subscription;
+}
+
+/**
+ * Apply a scheduled change that has come due. Called by the renewal job
+ * before it charges for the next period, so that period is billed on the new plan.
+ * @param {Object} subscription - Subscription document (planId may be populated)
+ * @param {Object} newPlan - SubscriptionPlan from pendingPlanChange
+ * @param {Date} now
+ * @returns {Promise<boolean>} Whether the plan was switched
+ */
+export async function applyScheduledPlanChange(subscription, newPlan, now = new Date()) {
+  const pending = subscription.pendingPlanChange;
+  if (!pending?.planId || !pending.effectiveAt || pending.effectiveAt > now) return false;
+
+  const fromPlan = subscription.planId?._id || subscription.planId;
+  subscription.pendingPlanChange = undefined;
+
+  if (!newPlan?.isActive) {
+    subscription.history.push({
+      event: "plan_change_cancelled",
+      fromPlan,
+      toPlan: pending.planId,
+      note: "The requested plan is no longer available",
+    });
+    await subscription.save();
+    return false;
+  }
+
+  subscription.planId = newPlan._id;
+  subscription.billing.autoRenew = newPlan.billingCycle === "monthly";
+  subscription.history.push({
+    event: "plan_changed",
+    fromPlan,
+    toPlan: newPlan._id,
+    effectiveAt: pending.effectiveAt,
+    note: "Scheduled change applied at the end of the billing period",
+  });
+
+  await subscription.save();
+  await updateUserRole(subscription.userId, newPlan);
+  return true;
+}
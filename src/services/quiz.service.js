@@ -0,0 +1,116 @@
+import { Course, QuizQuestion } from "../models/index.js";
+import { getCourseLessons } from "../utils/courseProgress.js";
+import { gradeAttempt, isAttemptOverdue } from "../utils/quizGrading.js";
+import { updateLessonProgress } from "./courseProgress.service.js";
+import { recordQuizPassEvidence } from "./skillProficiency.service.js";
+
+/**
+ * Quiz attempts
+ *
+ * Grades submitted attempts and keeps the best result per quiz on the
+ * Enrollment. The first pass adds the quiz skills as evidence and completes
+ * the quiz lessons that point at the quiz, which can complete the course.
+ */
+
+/**
+ * Questions of an attempt in the order they were served. Questions removed
+ * from the bank since the attempt started are left out.
+ * @param {Object} attempt - QuizAttempt document
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAttemptQuestions(attempt) {
+  const questions = await QuizQuestion.find({ _id: { $in: attempt.questions } });
+  const byId = new Map(questions.map((question) => [question._id.toString(), question]));
+  return attempt.questions.map((id) => byId.get(id.toString())).filter(Boolean);
+}
+
+/**
+ * Find (or create) the quiz result entry of an enrollment
+ * @param {Object} enrollment - Enrollment document (not lean)
+ * @param {string} quizId - Quiz ID
+ * @returns {Object} quizResults subdocument
+ */
+export function getOrCreateQuizResult(enrollment, quizId) {
+  let result = enrollment.quizResults.find((item) => String(item.quiz) === String(quizId));
+  if (!result) {
+    enrollment.quizResults.push({ quiz: quizId });
+    result = enrollment.quizResults[enrollment.quizResults.length - 1];
+  }
+  return result;
+}
+
+/**
+ * Follow-up work the first time a student passes a quiz. Failures are logged
+ * so they never undo the recorded result.
+ * @param {Object} enrollment - Enrollment document (not lean)
+ * @param {Object} quiz - Passed quiz
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<boolean>} Whether completing the quiz lessons completed the course
+ */
+export async function handleQuizPassed(enrollment, quiz, io = null) {
+  try {
+    const evidenceCount = await recordQuizPassEvidence(enrollment, quiz);
+    console.log(`📝 Recorded quiz evidence for ${evidenceCount} skill(s)`);
+  } catch (error) {
+    console.error("Failed to record quiz skill evidence:", error);
+  }
+
+  let completedCourse = false;
+  try {
+    if (!["enrolled", "completed"].includes(enrollment.status)) return false;
+
+    const course = await Course.findById(quiz.course).select("title modules");
+    const quizLessons = getCourseLessons(course).filter(
+      ({ lesson }) => lesson.contentType === "quiz" && String(lesson.quiz) === String(quiz._id)
+    );
+
+    for (const { lesson } of quizLessons) {
+      const result = await updateLessonProgress(enrollment, course, lesson._id, "completed", io);
+      completedCourse = completedCourse || Boolean(result.completedCourse);
+    }
+  } catch (error) {
+    console.error("Failed to complete quiz lessons:", error);
+  }
+  return completedCourse;
+}
+
+/**
+ * Grade and close an attempt, then record the result on the enrollment.
+ * An attempt submitted after its time limit (plus grace period) is closed as
+ * expired and scores zero.
+ * @param {Object} attempt - In-progress QuizAttempt document
+ * @param {Object} quiz - Quiz being attempted
+ * @param {Object} enrollment - Enrollment document the attempt belongs to (not lean)
+ * @param {Array<Object>} responses - Submitted answers ({ question, answer })
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object>} { attempt, questions, result, passedNow, completedCourse }
+ */
+export async function finalizeQuizAttempt(attempt, quiz, enrollment, responses = [], io = null) {
+  const now = new Date();
+  const expired = isAttemptOverdue(attempt, now);
+  const questions = await getAttemptQuestions(attempt);
+  const graded = gradeAttempt(questions, expired ? [] : responses, quiz.passMark);
+
+  attempt.set({
+    ...graded,
+    status: expired ? "expired" : "submitted",
+    submittedAt: now,
+    passMark: quiz.passMark,
+  });
+  await attempt.save();
+
+  const result = getOrCreateQuizResult(enrollment, quiz._id);
+  const passedNow = attempt.passed && !result.passed;
+  result.attempts = Math.max(result.attempts || 0, attempt.attemptNumber);
+  result.bestPercentage = Math.max(result.bestPercentage || 0, attempt.percentage);
+  result.lastAttemptAt = now;
+  if (passedNow) {
+    result.passed = true;
+    result.passedAt = now;
+  }
+  await enrollment.save();
+
+  const completedCourse = passedNow ? await handleQuizPassed(enrollment, quiz, io) : false;
+
+  return { attempt, questions, result, passedNow, completedCourse };
+}
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import { Course, Review, TrainingInstitute } from "../models/index.js";
+import { summarizeRatings } from "../utils/review.js";
+import {
+  createCourseReviewNotification,
+  createReviewReplyNotification,
+  sendRealTimeNotification,
+} from "./notification.service.js";
+
+/**
+ * Course reviews
+ *
+ * Average ratings are stored on the course (rating) and on its training
+ * institute (stats.averageRating / stats.reviewCount) so course lists can be
+ * sorted by rating without reading the reviews. They are recalculated from
+ * the published reviews whenever a review is written, edited, deleted or
+ * moderated.
+ */
+
+const ratingBuckets = (match) =>
+  Review.aggregate([
+    { $match: { ...match, status: "published" } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+/**
+ * Rating summary of a course's published reviews
+ * @param {string} courseId - Course ID
+ * @returns {Promise<Object>} { average, count, distribution }
+ */
+export async function getCourseRatingSummary(courseId) {
+  return summarizeRatings(await ratingBuckets({ course: new mongoose.Types.ObjectId(courseId) }));
+}
+
+/**
+ * Recalculate the stored ratings of a course and of its institute
+ * @param {string} courseId - Course ID
+ * @param {string} instituteId - TrainingInstitute ID (optional)
+ */
+export async function refreshRatings(courseId, instituteId = null) {
+  const course = await getCourseRatingSummary(courseId);
+  await Course.updateOne({ _id: courseId }, { $set: { rating: { average: course.average, count: course.count } } });
+
+  if (instituteId) {
+    const institute = summarizeRatings(await ratingBuckets({ institute: new mongoose.Types.ObjectId(instituteId) }));
+    await TrainingInstitute.updateOne(
+      { _id: instituteId },
+      { $set: { "stats.averageRating": institute.average, "stats.reviewCount": institute.count } }
+    );
+  }
+}
+
+const sendNotification = async (io, recipient, create) => {
+  try {
+    const notification = await create();
+    if (notification && io) sendRealTimeNotification(io, recipient, notification);
+  } catch (error) {
+    console.error("Failed to send review notification:", error);
+  }
+};
+
+/**
+ * Let the course's school know about a new review
+ * @param {Object} review - Review document
+ * @param {Object} course - Course with trainingProvider populated (userId)
+ * @param {Object} io - Socket.io instance (optional)
+ */
+export async function notifySchoolOfReview(review, course, io = null) {
+  const schoolUserId = course.trainingProvider?.userId;
+  if (!schoolUserId) return;
+  await sendNotification(io, schoolUserId, () => createCourseReviewNotification(schoolUserId, review, course));
+}
+
+/**
+ * Let the reviewer know the school replied
+ * @param {Object} review - Review document
+ * @param {Object} course - Reviewed course
+ * @param {Object} io - Socket.io instance (optional)
+ */
+export async function notifyReviewerOfReply(review, course, io = null) {
+  await sendNotification(io, review.student, () => createReviewReplyNotification(review.student, review, course));
+}
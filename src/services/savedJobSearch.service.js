@@ -0,0 +1,136 @@
+import { Job, SavedJobSearch, User } from "../models/index.js";
+import { buildJobSearchFilter } from "../utils/jobSearch.js";
+import { sendSavedSearchDigestEmail } from "./email.service.js";
+import { createSavedSearchNotification, sendRealTimeNotification } from "./notification.service.js";
+
+/**
+ * Saved job search digests
+ *
+ * Re-runs saved searches on their schedule and sends the jobs posted since the
+ * previous run as one email and one in-app notification. Searches with no new
+ * jobs are only marked as checked.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DIGEST_INTERVALS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+};
+
+// The cron runs once a day; the slack keeps a search from slipping a day when the run time drifts
+const SCHEDULE_SLACK_MS = 60 * 60 * 1000;
+
+// Jobs listed in one digest; the email links to the rest
+const MAX_DIGEST_JOBS = 20;
+
+const platformUrl = () => process.env.PLATFORM_URL || "https://yourplatform.com";
+
+/**
+ * Link that turns off alerts for one saved search (handled by the API, no login needed)
+ * @param {Object} search - Saved search with unsubscribeToken
+ * @returns {string}
+ */
+export function getUnsubscribeUrl(search) {
+  const apiUrl = process.env.API_URL || "http://localhost:4000";
+  return `${apiUrl}/api/v1/saved-searches/unsubscribe/${search.unsubscribeToken}`;
+}
+
+/**
+ * Jobs matching a saved search that were posted after its last check
+ * @param {Object} search - Saved search
+ * @param {Date} until - Upper bound for createdAt (the time of this run)
+ * @returns {Promise<Object>} { jobs, total }
+ */
+export async function findNewJobsForSearch(search, until = new Date()) {
+  const filter = {
+    ...buildJobSearchFilter(search.filters || {}),
+    createdAt: { $gt: search.lastCheckedAt, $lte: until },
+  };
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .select("jobTitle location employmentType category salary postedBy createdAt")
+      .populate("postedBy", "name")
+      .sort("-createdAt")
+      .limit(MAX_DIGEST_JOBS)
+      .lean(),
+    Job.countDocuments(filter),
+  ]);
+
+  return { jobs, total };
+}
+
+/**
+ * Run one saved search and send its digest if it found new jobs
+ * @param {Object} search - Saved search (lean or document)
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @param {Date} now - Time of this run
+ * @returns {Promise<number>} Number of new jobs sent
+ */
+export async function runSavedSearchDigest(search, io = null, now = new Date()) {
+  const { jobs, total } = await findNewJobsForSearch(search, now);
+  const update = { lastCheckedAt: now, lastResultCount: total };
+
+  if (total > 0) {
+    const user = await User.findById(search.user).select("email fullName");
+    if (user) {
+      const searchUrl = `${platformUrl()}/jobs/saved-searches/${search._id}`;
+      await sendSavedSearchDigestEmail({
+        email: user.email,
+        name: user.fullName,
+        searchName: search.name,
+        jobs: jobs.map((job) => ({
+          jobTitle: job.jobTitle,
+          location: job.location,
+          employmentType: job.employmentType,
+          employerName: job.postedBy?.name,
+          url: `${platformUrl()}/jobs/${job._id}`,
+        })),
+        total,
+        searchUrl,
+        unsubscribeUrl: getUnsubscribeUrl(search),
+      });
+
+      const notification = await createSavedSearchNotification(user._id, search, jobs, total);
+      sendRealTimeNotification(io, user._id, notification);
+      update.lastSentAt = now;
+    }
+  }
+
+  await SavedJobSearch.updateOne({ _id: search._id }, { $set: update });
+  return total;
+}
+
+/**
+ * Run every saved search whose daily or weekly interval has passed
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @param {Date} now - Time of this run
+ * @returns {Promise<Object>} { searches, digests, jobs, failed }
+ */
+export async function runDueSavedSearches(io = null, now = new Date()) {
+  const stats = { searches: 0, digests: 0, jobs: 0, failed: 0 };
+
+  const dueConditions = Object.entries(DIGEST_INTERVALS).map(([frequency, interval]) => ({
+    frequency,
+    lastCheckedAt: { $lte: new Date(now.getTime() - interval + SCHEDULE_SLACK_MS) },
+  }));
+
+  const cursor = SavedJobSearch.find({ alertsEnabled: true, $or: dueConditions }).lean().cursor();
+
+  for await (const search of cursor) {
+    stats.searches++;
+    try {
+      const sent = await runSavedSearchDigest(search, io, now);
+      if (sent > 0) {
+        stats.digests++;
+        stats.jobs += sent;
+      }
+    } catch (error) {
+      stats.failed++;
+      console.error(`Failed to run saved search ${search._id}:`, error.message);
+    }
+  }
+
+  return stats;
+}
@@ -0,0 +1,225 @@
+import { Job, Student, SkillMatchIndex } from "../models/index.js";
+import { diffStudentMatches, getSkillListIndexEntries, scoreJobCandidates } from "../utils/matchingUtils.js";
+
+/**
+ * Skill match index
+ *
+ * Keeps Job.matchedCandidates current without scanning every student.
+ * Students and active jobs are registered in SkillMatchIndex, one entry per
+ * normalized key of their skills. When a student or job changes, only the
+ * other side's documents that share a key are scored, where the key must be
+ * one of the skills of at least one side (not just a parent skill or a word).
+ */
+
+// Minimum match percentage stored in Job.matchedCandidates
+export const MATCH_STORE_THRESHOLD = 20;
+
+const STUDENT_MATCH_FIELDS = "skills skillProficiencies isPublic isOpenToWork firstName lastName userId";
+
+const isStudentMatchable = (student) =>
+  Boolean(student?.isPublic && student?.isOpenToWork && student?.skills?.length);
+
+const isJobMatchable = (job) =>
+  Boolean(job && job.status === "active" && job.isActive !== false && job.skillsRequired?.length);
+
+/**
+ * Replace the index entries of one document with a new set of keys
+ * @param {"student"|"job"} kind - Which side of the index to update
+ * @param {ObjectId} entityId - Student or job ID
+ * @param {Array<Object>} entries - { key, primary } the document should be listed under
+ */
+async function syncIndexEntries(kind, entityId, entries) {
+  await SkillMatchIndex.deleteMany({ kind, entityId, key: { $nin: entries.map(({ key }) => key) } });
+
+  if (entries.length > 0) {
+    await SkillMatchIndex.bulkWrite(
+      entries.map(({ key, primary }) => ({
+        updateOne: {
+          filter: { kind, key, entityId },
+          update: { $set: { primary, indexedAt: new Date() } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+}
+
+/**
+ * IDs of the documents of one kind sharing a key with the given entries: any of
+ * their keys for our primary keys, only their primary keys for our broad ones
+ * @param {"student"|"job"} kind
+ * @param {Array<Object>} entries - { key, primary } of the document being matched
+ * @returns {Promise<Array<ObjectId>>} Unique IDs
+ */
+async function findCandidateIds(kind, entries) {
+  const primaryKeys = entries.filter(({ primary }) => primary).map(({ key }) => key);
+  const broadKeys = entries.filter(({ primary }) => !primary).map(({ key }) => key);
+
+  const filters = [];
+  if (primaryKeys.length > 0) filters.push({ key: { $in: primaryKeys } });
+  if (broadKeys.length > 0) filters.push({ key: { $in: broadKeys }, primary: true });
+  if (filters.length === 0) return [];
+
+  return SkillMatchIndex.distinct("entityId", { kind, $or: filters });
+}
+
+/**
+ * Register (or unregister) a student in the index based on skills and privacy flags
+ * @param {Object} student - Student document
+ * @returns {Promise<Array<Object>>} Entries ({ key, primary }) the student is now indexed under
+ */
+export async function indexStudent(student) {
+  const entries = isStudentMatchable(student) ? getSkillListIndexEntries(student.skills) : [];
+  await syncIndexEntries("student", student._id, entries);
+  return entries;
+}
+
+/**
+ * Register (or unregister) a job in the index based on its skills and status
+ * @param {Object} job - Job document
+ * @returns {Promise<Array<Object>>} Entries ({ key, primary }) the job is now indexed under
+ */
+export async function indexJob(job) {
+  const entries = isJobMatchable(job) ? getSkillListIndexEntries(job.skillsRequired) : [];
+  await syncIndexEntries("job", job._id, entries);
+  return entries;
+}
+
+/**
+ * Recompute matchedCandidates for one job using only students that share a skill key
+ * @param {Object|string} jobOrId - Job document or ID
+ * @returns {Promise<Array<Object>>} Stored matches ({ student, matchPercentage, matchedAt })
+ */
+export async function refreshJobMatches(jobOrId) {
+  const job = jobOrId?.skillsRequired ? jobOrId : await Job.findById(jobOrId);
+  if (!job) return [];
+
+  const entries = await indexJob(job);
+  if (entries.length === 0) {
+    // Closed/paused jobs keep their last matches; jobs without skills have none
+    if (!job.skillsRequired?.length) {
+      await Job.updateOne({ _id: job._id }, { $set: { matchedCandidates: [] } });
+      return [];
+    }
+    return job.matchedCandidates || [];
+  }
+
+  const candidateIds = await findCandidateIds("student", entries);
+  const students = candidateIds.length
+    ? await Student.find({ _id: { $in: candidateIds }, isPublic: true, isOpenToWork: true }).select(STUDENT_MATCH_FIELDS)
+    : [];
+
+  const matches = scoreJobCandidates(students, job.skillsRequired, {
+    previousMatches: job.matchedCandidates || [],
+    threshold: MATCH_STORE_THRESHOLD,
+  });
+
+  await Job.updateOne({ _id: job._id }, { $set: { matchedCandidates: matches } });
+  return matches;
+}
+
+/**
+ * Re-index a student and update their entry in every job that shares a skill key.
+ * Jobs the student no longer matches have the student removed.
+ * @param {Object|string} studentOrId - Student document or ID
+ * @returns {Promise<Array<Object>>} Current matches ({ job, matchPercentage, isNew })
+ */
+export async function refreshStudentMatches(studentOrId) {
+  const student = studentOrId?.skills ? studentOrId : await Student.findById(studentOrId).select(STUDENT_MATCH_FIELDS);
+  if (!student) return [];
+
+  const entries = await indexStudent(student);
+  const candidateJobIds = await findCandidateIds("job", entries);
+  const candidateJobs = candidateJobIds.length
+    ? await Job.find({ _id: { $in: candidateJobIds }, status: "active", isActive: true }).select("skillsRequired matchedCandidates")
+    : [];
+
+  const diff = diffStudentMatches(student, candidateJobs, { threshold: MATCH_STORE_THRESHOLD });
+
+  const operations = diff.flatMap(({ job, matchPercentage, matchedAt }) => [
+    { updateOne: { filter: { _id: job }, update: { $pull: { matchedCandidates: { student: student._id } } } } },
+    {
+      updateOne: {
+        filter: { _id: job },
+        update: {
+          $push: {
+            matchedCandidates: {
+              $each: [{ student: student._id, matchPercentage, matchedAt }],
+              $sort: { matchPercentage: -1 },
+            },
+          },
+        },
+      },
+    },
+  ]);
+
+  // Drop the student from jobs they were matched to but no longer match
+  operations.push({
+    updateMany: {
+      filter: {
+        _id: { $nin: diff.map(({ job }) => job) },
+        "matchedCandidates.student": student._id,
+      },
+      update: { $pull: { matchedCandidates: { student: student._id } } },
+    },
+  });
+
+  await Job.bulkWrite(operations, { ordered: true });
+  return diff.map(({ job, matchPercentage, isNew }) => ({ job, matchPercentage, isNew }));
+}
+
+/**
+ * Remove a student from the index and from every job's matchedCandidates
+ * @param {string} studentId
+ */
+export async function removeStudentFromIndex(studentId) {
+  await SkillMatchIndex.deleteMany({ kind: "student", entityId: studentId });
+  await Job.updateMany({ "matchedCandidates.student": studentId }, { $pull: { matchedCandidates: { student: studentId } } });
+}
+
+/**
+ * Remove a job from the index
+ * @param {string} jobId
+ */
+export async function removeJobFromIndex(jobId) {
+  await SkillMatchIndex.deleteMany({ kind: "job", entityId: jobId });
+}
+
+/**
+ * Rebuild the whole index and refresh every active job. Entries are rewritten
+ * in place and the ones left over are removed at the end, so matching keeps
+ * working against the existing index while the rebuild runs.
+ * Only meant for maintenance/backfills; regular updates are incremental.
+ * @returns {Promise<Object>} Rebuild statistics
+ */
+export async function rebuildSkillMatchIndex() {
+  const startedAt = new Date();
+  // Drops the indexes of the earlier one-document-per-key layout
+  await SkillMatchIndex.syncIndexes();
+
+  let studentsIndexed = 0;
+  const studentCursor = Student.find({ isPublic: true, isOpenToWork: true, skills: { $exists: true, $ne: [] } })
+    .select("skills isPublic isOpenToWork")
+    .cursor();
+  for await (const student of studentCursor) {
+    await indexStudent(student);
+    studentsIndexed++;
+  }
+
+  let jobsRefreshed = 0;
+  let totalMatches = 0;
+  const jobCursor = Job.find({ status: "active", isActive: true, skillsRequired: { $exists: true, $ne: [] } })
+    .select("status isActive skillsRequired matchedCandidates")
+    .cursor();
+  for await (const job of jobCursor) {
+    const matches = await refreshJobMatches(job);
+    jobsRefreshed++;
+    totalMatches += matches.length;
+  }
+
+  // Entries of students and jobs that are no longer matchable, or of the earlier layout
+  const { deletedCount: staleEntriesRemoved } = await SkillMatchIndex.deleteMany({ indexedAt: { $not: { $gte: startedAt } } });
+
+  return { studentsIndexed, jobsRefreshed, totalMatches, staleEntriesRemoved };
+}
@@ -0,0 +1,167 @@
+import { Course, Student } from "../models/index.js";
+import { getCanonicalSkillId, normalizeSkillName } from "../utils/skillTaxonomy.js";
+import { refreshStudentMatches } from "./skillMatchIndex.service.js";
+
+/**
+ * Skill proficiency evidence
+ *
+ * Completed courses, passed quizzes and uploaded certifications are recorded as evidence on
+ * Student.skillProficiencies. Evidence can raise the level used for matching
+ * above the student's own assessment, and skills a student proved but never
+ * listed are added to their profile.
+ */
+
+const isSameEvidence = (a, b) =>
+  a.source === b.source &&
+  String(a.course || "") === String(b.course || "") &&
+  String(a.certification || "") === String(b.certification || "") &&
+  String(a.quiz || "") === String(b.quiz || "");
+
+/**
+ * Find (or create) the proficiency entry for a skill
+ * @param {Object} student - Student document (not lean)
+ * @param {string} skill - Skill name
+ * @returns {Object} Proficiency subdocument
+ */
+export function getOrCreateProficiency(student, skill) {
+  const skillId = getCanonicalSkillId(skill);
+  let proficiency = student.skillProficiencies.find((item) => getCanonicalSkillId(item.skill) === skillId);
+  if (!proficiency) {
+    student.skillProficiencies.push({ skill, evidence: [] });
+    proficiency = student.skillProficiencies[student.skillProficiencies.length - 1];
+  }
+  return proficiency;
+}
+
+/**
+ * Add one piece of evidence to several skills of a student (the caller saves the student)
+ * @param {Object} student - Student document (not lean)
+ * @param {Array<string>} skills - Skills the evidence demonstrates
+ * @param {Object} evidence - { source, course, enrollment, certification, title, level }
+ * @returns {number} Number of skills that received new evidence
+ */
+export function addSkillEvidence(student, skills, evidence) {
+  let added = 0;
+
+  for (const rawSkill of skills || []) {
+    const skill = normalizeSkillName(rawSkill);
+    if (!skill) continue;
+
+    const skillId = getCanonicalSkillId(skill);
+    if (!student.skills.some((existing) => getCanonicalSkillId(existing) === skillId)) {
+      student.skills.push(skill);
+    }
+
+    const proficiency = getOrCreateProficiency(student, skill);
+    const existing = proficiency.evidence.find((item) => isSameEvidence(item, evidence));
+    if (existing) {
+      // Keep the latest level/title, e.g. when a certification is edited
+      existing.level = evidence.level;
+      existing.title = evidence.title;
+      continue;
+    }
+
+    proficiency.evidence.push(evidence);
+    added++;
+  }
+
+  return added;
+}
+
+/**
+ * Remove all evidence coming from one course or certification (the caller saves the student)
+ * @param {Object} student - Student document (not lean)
+ * @param {Object} reference - { source, course } or { source, certification }
+ * @returns {number} Number of evidence entries removed
+ */
+export function removeSkillEvidence(student, reference) {
+  let removed = 0;
+  for (const proficiency of student.skillProficiencies) {
+    const before = proficiency.evidence.length;
+    proficiency.evidence = proficiency.evidence.filter((item) => !isSameEvidence(item, reference));
+    removed += before - proficiency.evidence.length;
+  }
+  return removed;
+}
+
+/**
+ * Record the skills of a completed course as evidence for the enrolled student
+ * and refresh their job matches. Safe to call more than once per enrollment.
+ * @param {Object} enrollment - Enrollment document (studentId is the student's user ID)
+ * @returns {Promise<number>} Number of skills that received new evidence
+ */
+export async function recordCourseCompletionEvidence(enrollment) {
+  const courseId = enrollment.courseId?._id || enrollment.courseId;
+  const userId = enrollment.studentId?._id || enrollment.studentId;
+
+  const [course, student] = await Promise.all([
+    Course.findById(courseId).select("title skills level"),
+    Student.findOne({ userId }),
+  ]);
+  if (!course || !student || !course.skills?.length) return 0;
+
+  const added = addSkillEvidence(student, course.skills, {
+    source: "course",
+    course: course._id,
+    enrollment: enrollment._id,
+    title: course.title,
+    level: course.level,
+  });
+
+  if (added > 0) {
+    await student.save();
+    await refreshStudentMatches(student);
+  }
+  return added;
+}
+
+/**
+ * Record a passed quiz as evidence for the enrolled student and refresh their job matches.
+ * Uses the quiz skills, or the course skills when the quiz lists none, at the course level.
+ * @param {Object} enrollment - Enrollment document (studentId is the student's user ID)
+ * @param {Object} quiz - Passed quiz
+ * @returns {Promise<number>} Number of skills that received new evidence
+ */
+export async function recordQuizPassEvidence(enrollment, quiz) {
+  const userId = enrollment.studentId?._id || enrollment.studentId;
+
+  const [course, student] = await Promise.all([
+    Course.findById(quiz.course).select("title skills level"),
+    Student.findOne({ userId }),
+  ]);
+  const skills = quiz.skills?.length ? quiz.skills : course?.skills;
+  if (!course || !student || !skills?.length) return 0;
+
+  const added = addSkillEvidence(student, skills, {
+    source: "quiz",
+    course: course._id,
+    enrollment: enrollment._id,
+    quiz: quiz._id,
+    title: `${quiz.title} (${course.title})`,
+    level: course.level,
+  });
+
+  if (added > 0) {
+    await student.save();
+    await refreshStudentMatches(student);
+  }
+  return added;
+}
+
+/**
+ * Sync a certification's skills into the owning student's evidence and refresh their job matches
+ * @param {Object} student - Student document (not lean)
+ * @param {Object} certification - Certification document
+ */
+export async function syncCertificationEvidence(student, certification) {
+  const reference = { source: "certification", certification: certification._id };
+  removeSkillEvidence(student, reference);
+  addSkillEvidence(student, certification.skills, {
+    ...reference,
+    title: `${certification.name} (${certification.issuedBy})`,
+    level: certification.level,
+  });
+
+  await student.save();
+  await refreshStudentMatches(student);
+}
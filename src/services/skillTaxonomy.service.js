@@ -0,0 +1,92 @@
+import { Skill } from "../models/index.js";
+import {
+  DEFAULT_SKILLS,
+  getSkillAncestors,
+  normalizeSkillTerm,
+  resolveSkill,
+  setSkillTaxonomy,
+} from "../utils/skillTaxonomy.js";
+
+/**
+ * Skill taxonomy
+ *
+ * Loads the Skill collection into the in-memory taxonomy used by the matchers
+ * and the skill setters on Student, Job and Course. The cache is refreshed on
+ * startup and after every admin change; the built-in skills are inserted the
+ * first time the collection is empty.
+ */
+
+/**
+ * Insert the built-in skills (parents are resolved by slug)
+ * @returns {Promise<number>} Number of skills created
+ */
+export async function seedDefaultSkills() {
+  const created = await Skill.insertMany(
+    DEFAULT_SKILLS.map(({ slug, name, aliases, category }) => ({ slug, name, aliases, category }))
+  );
+  const idsBySlug = new Map(created.map((skill) => [skill.slug, skill._id]));
+
+  const parentUpdates = DEFAULT_SKILLS.filter((skill) => skill.parent).map((skill) => ({
+    updateOne: {
+      filter: { _id: idsBySlug.get(skill.slug) },
+      update: { $set: { parent: idsBySlug.get(skill.parent) } },
+    },
+  }));
+  if (parentUpdates.length > 0) {
+    await Skill.bulkWrite(parentUpdates);
+  }
+
+  return created.length;
+}
+
+/**
+ * Load active skills from the database into the in-memory taxonomy
+ * @returns {Promise<number>} Number of skills loaded
+ */
+export async function loadSkillTaxonomy() {
+  if ((await Skill.estimatedDocumentCount()) === 0) {
+    const seeded = await seedDefaultSkills();
+    console.log(`🌱 Seeded ${seeded} default skills`);
+  }
+
+  const skills = await Skill.find({ isActive: true }).select("slug name aliases parent category").lean();
+  const slugsById = new Map(skills.map((skill) => [skill._id.toString(), skill.slug]));
+
+  setSkillTaxonomy(
+    skills.map((skill) => ({
+      slug: skill.slug,
+      name: skill.name,
+      aliases: skill.aliases,
+      category: skill.category,
+      parent: skill.parent ? slugsById.get(skill.parent.toString()) || null : null,
+    }))
+  );
+
+  return skills.length;
+}
+
+/**
+ * Find a skill (other than `excludeSlug`) that already uses one of the given names or aliases
+ * @param {Array<string>} terms - Name and aliases to check
+ * @param {string} [excludeSlug] - Slug of the skill being updated
+ * @returns {Object|null} Conflicting taxonomy skill and the term it uses
+ */
+export function findConflictingSkill(terms, excludeSlug) {
+  for (const term of terms) {
+    const existing = resolveSkill(term);
+    if (existing && existing.id !== excludeSlug) {
+      return { skill: existing, term: normalizeSkillTerm(term) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether making `parentSlug` the parent of `slug` would create a loop
+ * @param {string} slug
+ * @param {string} parentSlug
+ * @returns {boolean}
+ */
+export function createsParentCycle(slug, parentSlug) {
+  return slug === parentSlug || getSkillAncestors(parentSlug).includes(slug);
+}
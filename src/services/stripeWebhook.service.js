@@ -0,0 +1,384 @@
+import stripe from "../config/stripe.config.js";
+import { StripeEvent, Subscription, SubscriptionPlan, User } from "../models/index.js";
+import { PLAN_ROLES } from "../models/contents/subscriptionPlan.models.js";
+import { fromStripeAmount, getLedgerAction } from "../utils/stripeEvents.js";
+import { createPaymentNotification, sendRealTimeNotification } from "./notification.service.js";
+import { issueInvoiceForTransaction } from "./invoice.service.js";
+import { clearDunning } from "./subscriptionRenewal.service.js";
+import { redeemCoupon, releaseCouponReservation } from "./coupon.service.js";
+import { sendTrialEndingReminder } from "./trial.service.js";
+import { cancelCoursePurchase, confirmCoursePayment, recordCoursePaymentFailure } from "./coursePayment.service.js";
+
+/**
+ * Stripe webhooks
+ *
+ * Events are verified against the webhook signing secret, recorded in the
+ * StripeEvent ledger and handled at most once. Handlers must be safe to run
+ * again for the same event: a failed event is retried by Stripe or
+ * re-processed by an admin, and may have been partly applied the first time.
+ */
+
+/**
+ * Verify a webhook delivery and parse its event
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Stripe-Signature header
+ * @param {string} secret - Webhook signing secret
+ * @returns {Object} Stripe event
+ * @throws {Error} When the secret is missing or the signature does not match
+ */
+export function constructStripeEvent(rawBody, signature, secret = process.env.STRIPE_WEBHOOK_SECRET) {
+  if (!secret) {
+    throw new Error("STRIPE_WEBHOOK_SECRET is not configured");
+  }
+  return stripe.webhooks.constructEvent(rawBody, signature, secret);
+}
+
+// Stripe subscription statuses that map onto ours; others leave the subscription unchanged
+const SUBSCRIPTION_STATUSES = {
+  active: "active",
+  trialing: "trialing",
+  canceled: "cancelled",
+  incomplete: "pending",
+  incomplete_expired: "expired",
+};
+
+const findPayment = (subscription, transactionId) =>
+  subscription.payments.find((payment) => payment.transactionId === transactionId);
+
+// Subscription billed through a Stripe subscription or customer
+const findBillingSubscription = async ({ subscription, customer }) => {
+  const conditions = [];
+  if (subscription) conditions.push({ "billing.stripeSubscriptionId": subscription });
+  if (customer) conditions.push({ "billing.stripeCustomerId": customer });
+  if (conditions.length === 0) return null;
+  return Subscription.findOne({ $or: conditions });
+};
+
+const notifyPayment = async (subscription, payment, description, io) => {
+  try {
+    const notification = await createPaymentNotification(
+      subscription.userId,
+      payment.amount.toFixed(2),
+      description,
+      payment.status === "completed" ? "received" : "failed",
+      payment._id
+    );
+    sendRealTimeNotification(io, subscription.userId, notification);
+  } catch (error) {
+    console.error("Failed to send payment notification:", error);
+  }
+};
+
+/**
+ * Record a payment on a subscription, once per Stripe transaction. A failed
+ * record is upgraded when the same transaction later succeeds.
+ * @returns {Object|null} The new or updated payment, or null when nothing changed
+ */
+const recordPayment = (subscription, { transactionId, amount, currency, paymentDate, status }) => {
+  const existing = findPayment(subscription, transactionId);
+  if (existing) {
+    if (existing.status !== "failed" || status !== "completed") return null;
+    existing.status = "completed";
+    existing.paymentDate = paymentDate;
+    return existing;
+  }
+
+  subscription.payments.push({
+    amount,
+    currency,
+    paymentDate,
+    paymentMethod: "card",
+    transactionId,
+    status,
+  });
+  return subscription.payments[subscription.payments.length - 1];
+};
+
+// ===== Event handlers =====
+// Each returns false when the event does not concern any of our records.
+
+const handlePaymentIntentSucceeded = async (paymentIntent, io) => {
+  const { subscriptionId, userId, purpose, renewalDate } = paymentIntent.metadata || {};
+  if (purpose === "course_purchase") {
+    return Boolean(await confirmCoursePayment(paymentIntent, io));
+  }
+  if (!subscriptionId) return false;
+
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription) return false;
+
+  const plan = await SubscriptionPlan.findById(subscription.planId);
+  const payment = recordPayment(subscription, {
+    transactionId: paymentIntent.id,
+    amount: fromStripeAmount(paymentIntent.amount),
+    currency: paymentIntent.currency,
+    paymentDate: new Date(),
+    status: "completed",
+  });
+
+  // Only a new period payment moves the billing period on; plan change charges cover the current
+  // one, and the renewal job and trial conversion set the period themselves when their charge succeeds
+  const setsOwnPeriod = purpose === "plan_change" || purpose === "trial_conversion" || renewalDate;
+  if (payment && !setsOwnPeriod) {
+    subscription.billing.amountPaid = payment.amount;
+  }
+  if (payment && !setsOwnPeriod && plan?.billingCycle === "monthly") {
+    const nextBilling = subscription.billing.nextBillingDate
+      ? new Date(subscription.billing.nextBillingDate)
+      : new Date();
+    nextBilling.setMonth(nextBilling.getMonth() + 1);
+    subscription.billing.nextBillingDate = nextBilling;
+    subscription.billing.endDate = nextBilling;
+  }
+
+  if (!clearDunning(subscription, `Payment received (${paymentIntent.id})`)) {
+    subscription.status = "active";
+  }
+  if (paymentIntent.payment_method) {
+    subscription.billing.stripePaymentMethodId = paymentIntent.payment_method;
+  }
+  await subscription.save();
+
+  const userUpdate = { status: "approved" };
+  if (PLAN_ROLES[plan?.name]) userUpdate.role = PLAN_ROLES[plan.name];
+  await User.findByIdAndUpdate(userId || subscription.userId, userUpdate);
+
+  await redeemCoupon(subscription, paymentIntent.id);
+
+  let billingReason = "subscription_create";
+  if (purpose === "plan_change") billingReason = "plan_change";
+  else if (renewalDate) billingReason = "subscription_renewal";
+  await issueInvoiceForTransaction(subscription, paymentIntent.id, billingReason);
+
+  if (payment) {
+    await notifyPayment(subscription, payment, `your ${plan?.displayName || "subscription"} plan`, io);
+  }
+  return true;
+};
+
+const handlePaymentIntentFailed = async (paymentIntent, io) => {
+  const { subscriptionId, purpose } = paymentIntent.metadata || {};
+  if (purpose === "course_purchase") {
+    return Boolean(await recordCoursePaymentFailure(paymentIntent));
+  }
+  if (!subscriptionId) return false;
+
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription) return false;
+
+  const payment = recordPayment(subscription, {
+    transactionId: paymentIntent.id,
+    amount: fromStripeAmount(paymentIntent.amount),
+    currency: paymentIntent.currency,
+    paymentDate: new Date(),
+    status: "failed",
+  });
+  if (!payment) return true;
+
+  await subscription.save();
+  await notifyPayment(subscription, payment, "your subscription", io);
+  return true;
+};
+
+// A cancelled course purchase drops the unpaid enrollment and its seat; a cancelled
+// subscription checkout gives back the coupon redemption it held
+const handlePaymentIntentCanceled = async (paymentIntent, io) => {
+  const { purpose, couponCode } = paymentIntent.metadata || {};
+  if (purpose === "course_purchase") {
+    return Boolean(await cancelCoursePurchase(paymentIntent, io));
+  }
+  if (!couponCode) return false;
+  return releaseCouponReservation(paymentIntent.id);
+};
+
+const handleInvoicePaymentSucceeded = async (invoice, io) => {
+  const subscription = await findBillingSubscription(invoice);
+  if (!subscription) return false;
+
+  const paidAt = invoice.status_transitions?.paid_at;
+  const payment = recordPayment(subscription, {
+    transactionId: invoice.id,
+    amount: fromStripeAmount(invoice.amount_paid),
+    currency: invoice.currency,
+    paymentDate: paidAt ? new Date(paidAt * 1000) : new Date(),
+    status: "completed",
+  });
+
+  if (!clearDunning(subscription, `Invoice ${invoice.number || invoice.id} paid`)) {
+    subscription.status = "active";
+  }
+  if (invoice.period_end) {
+    subscription.billing.nextBillingDate = new Date(invoice.period_end * 1000);
+  }
+  if (payment) subscription.billing.amountPaid = payment.amount;
+  await subscription.save();
+  await issueInvoiceForTransaction(subscription, invoice.id, "invoice_payment");
+
+  if (payment) await notifyPayment(subscription, payment, `invoice ${invoice.number || invoice.id}`, io);
+  return true;
+};
+
+const handleInvoicePaymentFailed = async (invoice, io) => {
+  const subscription = await findBillingSubscription(invoice);
+  if (!subscription) return false;
+
+  const payment = recordPayment(subscription, {
+    transactionId: invoice.id,
+    amount: fromStripeAmount(invoice.amount_due),
+    currency: invoice.currency,
+    paymentDate: new Date(),
+    status: "failed",
+  });
+  if (!payment) return true;
+
+  await subscription.save();
+  await notifyPayment(subscription, payment, `invoice ${invoice.number || invoice.id}`, io);
+  return true;
+};
+
+const handleSubscriptionUpdated = async (stripeSubscription) => {
+  const subscription = await findBillingSubscription({ subscription: stripeSubscription.id });
+  if (!subscription) return false;
+
+  const status = SUBSCRIPTION_STATUSES[stripeSubscription.status];
+  if (status && subscription.status !== status) {
+    subscription.status = status;
+    await subscription.save();
+  }
+  return true;
+};
+
+// Card saved for the end of a free trial (also saved by the confirm endpoint)
+const handleSetupIntentSucceeded = async (setupIntent) => {
+  const { subscriptionId, purpose } = setupIntent.metadata || {};
+  if (!subscriptionId || purpose !== "trial_payment_method") return false;
+
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription || subscription.status !== "trialing") return false;
+
+  subscription.billing.stripeCustomerId = setupIntent.customer;
+  subscription.billing.stripePaymentMethodId = setupIntent.payment_method;
+  await subscription.save();
+  return true;
+};
+
+// Stripe sends this three days before a Stripe-billed trial ends
+const handleSubscriptionTrialWillEnd = async (stripeSubscription, io) => {
+  const subscription = await findBillingSubscription({ subscription: stripeSubscription.id });
+  if (!subscription) return false;
+
+  if (stripeSubscription.trial_end) {
+    subscription.trial.endsAt = new Date(stripeSubscription.trial_end * 1000);
+    await subscription.save();
+  }
+  const plan = await SubscriptionPlan.findById(subscription.planId);
+  await sendTrialEndingReminder(subscription, plan, io);
+  return true;
+};
+
+const handleSubscriptionDeleted = async (stripeSubscription) => {
+  const subscription = await findBillingSubscription({ subscription: stripeSubscription.id });
+  if (!subscription) return false;
+
+  subscription.status = "cancelled";
+  subscription.billing.autoRenew = false;
+  await subscription.save();
+  return true;
+};
+
+export const STRIPE_EVENT_HANDLERS = {
+  "payment_intent.succeeded": handlePaymentIntentSucceeded,
+  "payment_intent.payment_failed": handlePaymentIntentFailed,
+  "payment_intent.canceled": handlePaymentIntentCanceled,
+  "invoice.payment_succeeded": handleInvoicePaymentSucceeded,
+  "invoice.payment_failed": handleInvoicePaymentFailed,
+  "customer.subscription.updated": handleSubscriptionUpdated,
+  "customer.subscription.deleted": handleSubscriptionDeleted,
+  "customer.subscription.trial_will_end": handleSubscriptionTrialWillEnd,
+  "setup_intent.succeeded": handleSetupIntentSucceeded,
+};
+
+// ===== Ledger =====
+
+/**
+ * Take a ledger entry for processing. The update only matches the state we
+ * read, so two deliveries of the same event cannot both claim it.
+ */
+const claimEntry = (entry, now) =>
+  StripeEvent.findOneAndUpdate(
+    { _id: entry._id, status: entry.status, lastAttemptAt: entry.lastAttemptAt },
+    { $set: { status: "processing", lastAttemptAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+// Run the handler for a claimed entry and record the outcome
+const runEntry = async (entry, io) => {
+  const handler = STRIPE_EVENT_HANDLERS[entry.type];
+
+  try {
+    const handled = handler ? await handler(entry.payload.data.object, io) : false;
+    entry.status = handled ? "processed" : "ignored";
+    entry.processedAt = new Date();
+    entry.lastError = undefined;
+    await entry.save();
+    return { status: entry.status, entry };
+  } catch (error) {
+    entry.status = "failed";
+    entry.lastError = String(error.message || error).substring(0, 1000);
+    await entry.save();
+    throw error;
+  }
+};
+
+/**
+ * Record a verified event and handle it unless it was already handled
+ * @param {Object} event - Verified Stripe event
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object>} { status: "processed"|"ignored"|"duplicate"|"in_progress", entry }
+ * @throws {Error} When the handler fails; the entry is left "failed" for a retry
+ */
+export async function processStripeEvent(event, io = null) {
+  const now = new Date();
+
+  // Only the ledger insert can mean "seen before"; errors from the handler (duplicate keys
+  // included) are failures that runEntry records so Stripe retries the event
+  let entry = null;
+  try {
+    entry = await StripeEvent.create({
+      eventId: event.id,
+      type: event.type,
+      livemode: Boolean(event.livemode),
+      apiVersion: event.api_version,
+      stripeCreatedAt: event.created ? new Date(event.created * 1000) : undefined,
+      payload: event,
+      status: "processing",
+      attempts: 1,
+      lastAttemptAt: now,
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  if (entry) return runEntry(entry, io);
+
+  // Seen before: skip it unless the earlier attempt failed or was abandoned
+  const existing = await StripeEvent.findOne({ eventId: event.id });
+  const action = getLedgerAction(existing, now);
+  if (action !== "process") return { status: action, entry: existing };
+
+  const claimed = await claimEntry(existing, now);
+  if (!claimed) return { status: "in_progress", entry: existing };
+  return runEntry(claimed, io);
+}
+
+/**
+ * Handle a failed event again from its stored payload
+ * @param {Object} entry - Failed StripeEvent entry
+ * @param {Object} io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object|null>} Same as processStripeEvent, or null if another request claimed it first
+ * @throws {Error} When the handler fails again
+ */
+export async function reprocessStripeEvent(entry, io = null) {
+  const claimed = await claimEntry(entry, new Date());
+  if (!claimed) return null;
+  return runEntry(claimed, io);
+}
@@ -0,0 +1,311 @@
+import stripe from "../config/stripe.config.js";
+import { Subscription, User } from "../models/index.js";
+import { applyCreditToRenewal, roundCurrency } from "../utils/proration.js";
+import { getDunningConfig, recordFailedCharge } from "../utils/dunning.js";
+import { issueInvoiceForPayment, issueInvoiceForTransaction } from "./invoice.service.js";
+import { sendDunningEmail } from "./email.service.js";
+import { createDunningNotification, sendRealTimeNotification } from "./notification.service.js";
+
+/**
+ * Subscription renewals and dunning
+ *
+ * Charges monthly renewals off-session. A declined renewal moves the
+ * subscription to "past_due": the charge is retried on the DUNNING_RETRY_DAYS
+ * schedule, the subscriber keeps access for DUNNING_GRACE_DAYS and gets an
+ * escalating reminder after every failure. Once the grace period is over
+ * without payment the subscription expires.
+ */
+
+// Stripe errors that mean the card itself was refused, as opposed to an outage worth retrying soon
+const CARD_ERROR_CODES = ["card_declined", "insufficient_funds", "expired_card", "authentication_required"];
+
+/**
+ * Whether a Stripe error means the card was refused
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isCardError = (error) => error?.type === "StripeCardError" || CARD_ERROR_CODES.includes(error?.code);
+
+const getBillingUrl = () => `${process.env.PLATFORM_URL || "https://yourplatform.com"}/billing`;
+
+// Email and in-app reminder for a dunning step; never fails the caller
+const sendDunningReminder = async (subscription, plan, stage, amount, io = null) => {
+  try {
+    const notification = await createDunningNotification(subscription.userId, stage, subscription);
+    sendRealTimeNotification(io, subscription.userId, notification);
+  } catch (error) {
+    console.error(`Failed to create ${stage} notification for subscription ${subscription._id}:`, error);
+  }
+
+  try {
+    const user = await User.findById(subscription.userId).select("fullName email");
+    if (user) {
+      await sendDunningEmail({
+        email: user.email,
+        name: user.fullName,
+        stage,
+        planName: plan?.displayName || "Talent Bridge",
+        amount: `${(plan?.currency || "usd").toUpperCase()} ${Number(amount || 0).toFixed(2)}`,
+        graceEndsAt: subscription.dunning?.graceEndsAt,
+        billingUrl: getBillingUrl(),
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to send ${stage} email for subscription ${subscription._id}:`, error);
+  }
+};
+
+// Move the paid period on by a month from the date it was due and record what it cost
+const extendPeriod = (subscription, now, amountPaid) => {
+  const newEndDate = new Date(subscription.billing.nextBillingDate || subscription.billing.endDate || now);
+  newEndDate.setMonth(newEndDate.getMonth() + 1);
+
+  subscription.billing.endDate = newEndDate;
+  subscription.billing.nextBillingDate = newEndDate;
+  subscription.billing.lastBillingDate = now;
+  subscription.billing.amountPaid = amountPaid;
+};
+
+/**
+ * Bring a past-due subscription back to active after it has been paid
+ * @param {Object} subscription - Subscription document (not saved here)
+ * @param {string} note - Recorded in the history
+ * @param {string} performedBy - User ID, for changes made by an admin
+ * @returns {boolean} Whether the subscription was past due
+ */
+export function clearDunning(subscription, note, performedBy = undefined) {
+  if (subscription.status !== "past_due") return false;
+
+  subscription.status = "active";
+  subscription.dunning = undefined;
+  subscription.history.push({ event: "payment_recovered", note, performedBy });
+  return true;
+}
+
+// Record a declined renewal and escalate the reminder
+const recordRenewalFailure = async (subscription, plan, { amount, transactionId, reason }, now, io) => {
+  const wasPastDue = subscription.status === "past_due";
+  const state = recordFailedCharge(wasPastDue ? subscription.dunning : null, now, getDunningConfig());
+
+  subscription.status = "past_due";
+  subscription.dunning = { ...state, lastError: reason };
+  subscription.payments.push({
+    amount,
+    currency: plan.currency || "usd",
+    paymentDate: now,
+    paymentMethod: "stripe",
+    transactionId,
+    status: "failed",
+  });
+  subscription.history.push({
+    event: wasPastDue ? "payment_retry_failed" : "past_due",
+    note: reason,
+  });
+  await subscription.save();
+
+  await sendDunningReminder(subscription, plan, state.stage, amount, io);
+  return state.stage;
+};
+
+/**
+ * Charge the next period of a monthly subscription (a due renewal or a
+ * dunning retry) and update it with the outcome.
+ * @param {Object} subscription - Active or past-due subscription document
+ * @param {Object} plan - SubscriptionPlan to bill
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {Object} options.io - Socket.io instance for real-time delivery (optional)
+ * @returns {Promise<Object>} { renewed, transactionId, stage } - stage is the dunning step after a decline
+ * @throws {Error} For errors other than a declined card; nothing is recorded and the job retries later
+ */
+export async function renewSubscription(subscription, plan, { now = new Date(), io = null } = {}) {
+  // Credit left over from a downgrade pays for the period first
+  const renewal = applyCreditToRenewal(plan.price, subscription.billing.creditBalance);
+
+  if (renewal.amountToCharge === 0) {
+    extendPeriod(subscription, now, renewal.creditApplied);
+    subscription.billing.creditBalance = renewal.creditBalance;
+    const recovered = clearDunning(subscription, "Renewed from account credit");
+    await subscription.save();
+    if (recovered) await sendDunningReminder(subscription, plan, "recovered", 0, io);
+    return { renewed: true, transactionId: null };
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.round(renewal.amountToCharge * 100), // Convert to cents
+      currency: plan.currency || "usd",
+      customer: subscription.billing.stripeCustomerId,
+      payment_method: subscription.billing.stripePaymentMethodId,
+      off_session: true, // Indicates this is for a payment without customer present
+      confirm: true,
+      metadata: {
+        subscriptionId: subscription._id.toString(),
+        renewalDate: now.toISOString(),
+        planId: plan._id.toString(),
+        userId: subscription.userId.toString(),
+      },
+    });
+  } catch (error) {
+    if (!isCardError(error)) throw error;
+    const stage = await recordRenewalFailure(subscription, plan, {
+      amount: renewal.amountToCharge,
+      transactionId: error.payment_intent?.id,
+      reason: error.message,
+    }, now, io);
+    return { renewed: false, transactionId: error.payment_intent?.id || null, stage };
+  }
+
+  if (paymentIntent.status !== "succeeded") {
+    const stage = await recordRenewalFailure(subscription, plan, {
+      amount: renewal.amountToCharge,
+      transactionId: paymentIntent.id,
+      reason: `Payment ${paymentIntent.status}`,
+    }, now, io);
+    return { renewed: false, transactionId: paymentIntent.id, stage };
+  }
+
+  const alreadyRecorded = subscription.payments.some((payment) => payment.transactionId === paymentIntent.id);
+  if (!alreadyRecorded) {
+    subscription.payments.push({
+      amount: renewal.amountToCharge,
+      currency: plan.currency || "usd",
+      paymentDate: now,
+      paymentMethod: "stripe",
+      transactionId: paymentIntent.id,
+      status: "completed",
+    });
+  }
+  extendPeriod(subscription, now, roundCurrency(renewal.amountToCharge + renewal.creditApplied));
+  subscription.billing.creditBalance = renewal.creditBalance;
+  const recovered = clearDunning(subscription, `Renewal paid (${paymentIntent.id})`);
+  await subscription.save();
+
+  try {
+    await issueInvoiceForTransaction(subscription, paymentIntent.id, "subscription_renewal");
+  } catch (error) {
+    console.error(`Failed to issue renewal invoice for subscription ${subscription._id}:`, error);
+  }
+  if (recovered) await sendDunningReminder(subscription, plan, "recovered", renewal.amountToCharge, io);
+
+  return { renewed: true, transactionId: paymentIntent.id };
+}
+
+/**
+ * Expire a past-due subscription (grace period over, or by an admin)
+ * @param {Object} subscription - Past-due subscription document
+ * @param {Object} plan - Its SubscriptionPlan, for the reminder wording
+ * @param {Object} options
+ * @param {string} options.note - Recorded in the history
+ * @param {string} options.performedBy - Admin user ID, if any
+ * @param {Object} options.io - Socket.io instance (optional)
+ * @returns {Promise<Object>} The subscription
+ */
+export async function expirePastDueSubscription(subscription, plan, { note, performedBy, io = null } = {}) {
+  subscription.status = "expired";
+  subscription.billing.autoRenew = false;
+  subscription.dunning.stage = "expired";
+  subscription.dunning.nextRetryAt = undefined;
+  subscription.history.push({ event: "expired_unpaid", note, performedBy });
+  await subscription.save();
+
+  await sendDunningReminder(subscription, plan, "expired", plan?.price, io);
+  return subscription;
+}
+
+/**
+ * Past-due subscriptions whose next retry is due
+ * @param {Date} now
+ * @returns {Promise<Array>} Subscriptions with planId populated
+ */
+export function findDueRetries(now = new Date()) {
+  return Subscription.find({
+    status: "past_due",
+    "dunning.nextRetryAt": { $lte: now },
+    "dunning.graceEndsAt": { $gt: now },
+  }).populate("planId");
+}
+
+/**
+ * Expire past-due subscriptions whose grace period has ended
+ * @param {Date} now
+ * @returns {Promise<number>} Number of subscriptions expired
+ */
+export async function expireLapsedSubscriptions(now = new Date()) {
+  const lapsed = await Subscription.find({
+    status: "past_due",
+    "dunning.graceEndsAt": { $lte: now },
+  }).populate("planId");
+
+  let expired = 0;
+  for (const subscription of lapsed) {
+    try {
+      await expirePastDueSubscription(subscription, subscription.planId, {
+        note: "Grace period ended without payment",
+      });
+      expired++;
+    } catch (error) {
+      console.error(`Failed to expire past-due subscription ${subscription._id}:`, error);
+    }
+  }
+  return expired;
+}
+
+/**
+ * Record a renewal paid outside Stripe (e.g. bank transfer) for a past-due subscription
+ * @param {Object} subscription - Past-due subscription document
+ * @param {Object} plan - Its SubscriptionPlan
+ * @param {Object} options
+ * @param {string} options.reference - Payment reference shown on the invoice
+ * @param {string} options.performedBy - Admin user ID
+ * @returns {Promise<Object>} The subscription
+ */
+export async function markPastDuePaid(subscription, plan, { reference, performedBy }) {
+  const now = new Date();
+  subscription.payments.push({
+    amount: plan.price,
+    currency: plan.currency || "usd",
+    paymentDate: now,
+    paymentMethod: "manual",
+    transactionId: reference,
+    status: "completed",
+  });
+  const payment = subscription.payments[subscription.payments.length - 1];
+
+  extendPeriod(subscription, now);
+  clearDunning(subscription, `Marked as paid${reference ? ` (${reference})` : ""}`, performedBy);
+  await subscription.save();
+
+  try {
+    await issueInvoiceForPayment({ subscription, payment, billingReason: "subscription_renewal", plan });
+  } catch (error) {
+    console.error(`Failed to issue invoice for subscription ${subscription._id}:`, error);
+  }
+  await sendDunningReminder(subscription, plan, "recovered", plan.price);
+  return subscription;
+}
+
+/**
+ * Give a past-due subscriber more time to pay
+ * @param {Object} subscription - Past-due subscription document
+ * @param {number} days - Days added to the current grace period
+ * @param {Object} options
+ * @param {string} options.note - Recorded in the history
+ * @param {string} options.performedBy - Admin user ID
+ * @returns {Promise<Object>} The subscription
+ */
+export async function extendGracePeriod(subscription, days, { note, performedBy } = {}) {
+  const graceEndsAt = new Date(Math.max(Date.now(), new Date(subscription.dunning.graceEndsAt).getTime()));
+  graceEndsAt.setDate(graceEndsAt.getDate() + days);
+
+  subscription.dunning.graceEndsAt = graceEndsAt;
+  subscription.history.push({
+    event: "grace_period_extended",
+    effectiveAt: graceEndsAt,
+    note: note || `Grace period extended by ${days} day${days === 1 ? "" : "s"}`,
+    performedBy,
+  });
+  await subscription.save();
+  return subscription;
+}
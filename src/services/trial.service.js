@@ -0,0 +1,277 @@
+import stripe from "../config/stripe.config.js";
+import { Subscription, User } from "../models/index.js";
+import { PLAN_ROLES } from "../models/contents/subscriptionPlan.models.js";
+import { getConvertedPeriod, getDueTrialReminder, getTrialEnd, getTrialReminderDays } from "../utils/trial.js";
+import { issueInvoiceForTransaction } from "./invoice.service.js";
+import { isCardError } from "./subscriptionRenewal.service.js";
+import { sendTrialEmail } from "./email.service.js";
+import { createTrialNotification, sendRealTimeNotification } from "./notification.service.js";
+
+/**
+ * Free trials
+ *
+ * A trial subscription is "trialing" with the plan's full entitlements and
+ * no payment taken. The subscriber can save a card during the trial. The
+ * renewal job sends the TRIAL_REMINDER_DAYS reminders and, once the trial
+ * is over, charges the saved card to start the paid period or expires the
+ * subscription when there is no card or the charge is declined.
+ */
+
+const getBillingUrl = () => `${process.env.PLATFORM_URL || "https://yourplatform.com"}/billing`;
+
+const formatAmount = (plan) => `${(plan?.currency || "usd").toUpperCase()} ${Number(plan?.price || 0).toFixed(2)}`;
+
+// Email and in-app message for a trial step; never fails the caller
+const sendTrialUpdate = async (subscription, plan, stage, io = null) => {
+  try {
+    const notification = await createTrialNotification(subscription.userId, stage, subscription);
+    sendRealTimeNotification(io, subscription.userId, notification);
+  } catch (error) {
+    console.error(`Failed to create trial ${stage} notification for subscription ${subscription._id}:`, error);
+  }
+
+  try {
+    const user = await User.findById(subscription.userId).select("fullName email");
+    if (user) {
+      await sendTrialEmail({
+        email: user.email,
+        name: user.fullName,
+        stage,
+        planName: plan?.displayName || "Talent Bridge",
+        amount: formatAmount(plan),
+        trialEndsAt: subscription.trial.endsAt,
+        hasPaymentMethod: Boolean(subscription.billing.stripePaymentMethodId),
+        billingUrl: getBillingUrl(),
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to send trial ${stage} email for subscription ${subscription._id}:`, error);
+  }
+};
+
+/**
+ * Whether a user has already had a free trial (of any plan)
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+export async function hasHadTrial(userId) {
+  return Boolean(await Subscription.exists({ userId, "trial.startedAt": { $exists: true } }));
+}
+
+/**
+ * Start a free trial of a paid plan. The user gets the plan's role straight away.
+ * @param {string} userId
+ * @param {Object} plan - SubscriptionPlan with trialDays
+ * @param {Date} now
+ * @returns {Promise<Object>} The trialing subscription
+ */
+export async function startTrial(userId, plan, now = new Date()) {
+  const endsAt = getTrialEnd(now, plan.trialDays);
+
+  const subscription = await Subscription.create({
+    userId,
+    planId: plan._id,
+    status: "trialing",
+    billing: {
+      startDate: now,
+      endDate: endsAt,
+      nextBillingDate: endsAt,
+      autoRenew: plan.billingCycle === "monthly",
+    },
+    trial: {
+      startedAt: now,
+      endsAt,
+      remindersSent: [],
+    },
+    history: [{ event: "trial_started", toPlan: plan._id, effectiveAt: endsAt }],
+  });
+
+  const userUpdate = { status: "approved" };
+  if (PLAN_ROLES[plan.name]) userUpdate.role = PLAN_ROLES[plan.name];
+  await User.findByIdAndUpdate(userId, userUpdate);
+
+  return subscription;
+}
+
+/**
+ * Remind a trialing subscriber that the trial ends soon
+ * @param {Object} subscription - Trialing subscription document
+ * @param {Object} plan - Its SubscriptionPlan
+ * @param {Object} io - Socket.io instance (optional)
+ */
+export async function sendTrialEndingReminder(subscription, plan, io = null) {
+  await sendTrialUpdate(subscription, plan, "ending", io);
+}
+
+/**
+ * Send the reminders due before trials end
+ * @param {Date} now
+ * @returns {Promise<number>} Reminders sent
+ */
+export async function sendDueTrialReminders(now = new Date()) {
+  const reminderDays = getTrialReminderDays();
+  const horizon = new Date(now.getTime() + Math.max(...reminderDays) * 24 * 60 * 60 * 1000);
+
+  const trials = await Subscription.find({
+    status: "trialing",
+    "trial.endsAt": { $gt: now, $lte: horizon },
+  }).populate("planId");
+
+  let sent = 0;
+  for (const subscription of trials) {
+    const reminder = getDueTrialReminder(subscription.trial, now, reminderDays);
+    if (!reminder) continue;
+
+    try {
+      subscription.trial.remindersSent = [...(subscription.trial.remindersSent || []), ...reminder.markSent];
+      await subscription.save();
+      await sendTrialEndingReminder(subscription, subscription.planId);
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send trial reminder for subscription ${subscription._id}:`, error);
+    }
+  }
+  return sent;
+}
+
+/**
+ * End a trial without converting it
+ * @param {Object} subscription - Trialing subscription document
+ * @param {Object} plan - Its SubscriptionPlan
+ * @param {Object} options
+ * @param {string} options.stage - Message sent: expired (no card) or payment_failed
+ * @param {string} options.note - Recorded in the history
+ * @param {Date} options.now
+ * @param {Object} options.io - Socket.io instance (optional)
+ * @returns {Promise<Object>} The subscription
+ */
+export async function expireTrial(subscription, plan, { stage = "expired", note, now = new Date(), io = null } = {}) {
+  subscription.status = "expired";
+  subscription.billing.autoRenew = false;
+  subscription.billing.nextBillingDate = undefined;
+  subscription.trial.endedAt = now;
+  subscription.trial.outcome = "expired";
+  subscription.history.push({ event: "trial_expired", note });
+  await subscription.save();
+
+  await sendTrialUpdate(subscription, plan, stage, io);
+  return subscription;
+}
+
+/**
+ * Charge the saved card at the end of a trial and start the paid period
+ * @param {Object} subscription - Trialing subscription document with a saved card
+ * @param {Object} plan - Its SubscriptionPlan
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {Object} options.io - Socket.io instance (optional)
+ * @returns {Promise<Object>} { converted, transactionId }
+ * @throws {Error} For errors other than a declined card; nothing is recorded and the job retries later
+ */
+export async function convertTrial(subscription, plan, { now = new Date(), io = null } = {}) {
+  let paymentIntent;
+  try {
+    // A retry after a charge that went through but was not recorded gets the same payment back
+    paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: Math.round(plan.price * 100), // Convert to cents
+        currency: plan.currency || "usd",
+        customer: subscription.billing.stripeCustomerId,
+        payment_method: subscription.billing.stripePaymentMethodId,
+        off_session: true,
+        confirm: true,
+        metadata: {
+          subscriptionId: subscription._id.toString(),
+          planId: plan._id.toString(),
+          userId: subscription.userId.toString(),
+          purpose: "trial_conversion",
+        },
+      },
+      { idempotencyKey: `trial-conversion-${subscription._id}` }
+    );
+  } catch (error) {
+    if (!isCardError(error)) throw error;
+    subscription.payments.push({
+      amount: plan.price,
+      currency: plan.currency || "usd",
+      paymentDate: now,
+      paymentMethod: "stripe",
+      transactionId: error.payment_intent?.id,
+      status: "failed",
+    });
+    await expireTrial(subscription, plan, { stage: "payment_failed", note: error.message, now, io });
+    return { converted: false, transactionId: error.payment_intent?.id || null };
+  }
+
+  if (paymentIntent.status !== "succeeded") {
+    await expireTrial(subscription, plan, { stage: "payment_failed", note: `Payment ${paymentIntent.status}`, now, io });
+    return { converted: false, transactionId: paymentIntent.id };
+  }
+
+  const alreadyRecorded = subscription.payments.some((payment) => payment.transactionId === paymentIntent.id);
+  if (!alreadyRecorded) {
+    subscription.payments.push({
+      amount: plan.price,
+      currency: plan.currency || "usd",
+      paymentDate: now,
+      paymentMethod: "stripe",
+      transactionId: paymentIntent.id,
+      status: "completed",
+    });
+  }
+
+  const { endDate, nextBillingDate } = getConvertedPeriod(plan.billingCycle, now);
+  subscription.status = "active";
+  subscription.billing.endDate = endDate;
+  subscription.billing.nextBillingDate = nextBillingDate;
+  subscription.billing.lastBillingDate = now;
+  subscription.billing.amountPaid = plan.price;
+  subscription.trial.endedAt = now;
+  subscription.trial.outcome = "converted";
+  subscription.history.push({ event: "trial_converted", toPlan: plan._id, transactionId: paymentIntent.id, amountCharged: plan.price });
+  await subscription.save();
+
+  try {
+    await issueInvoiceForTransaction(subscription, paymentIntent.id, "subscription_create");
+  } catch (error) {
+    console.error(`Failed to issue invoice for converted trial ${subscription._id}:`, error);
+  }
+  await sendTrialUpdate(subscription, plan, "converted", io);
+
+  return { converted: true, transactionId: paymentIntent.id };
+}
+
+/**
+ * Convert or expire the trials that have ended
+ * @param {Date} now
+ * @returns {Promise<Object>} { converted, expired }
+ */
+export async function endFinishedTrials(now = new Date()) {
+  const finished = await Subscription.find({
+    status: "trialing",
+    "trial.endsAt": { $lte: now },
+  }).populate("planId");
+
+  const results = { converted: 0, expired: 0 };
+  for (const subscription of finished) {
+    const plan = subscription.planId;
+
+    try {
+      const hasCard = subscription.billing.stripeCustomerId && subscription.billing.stripePaymentMethodId;
+      if (!plan || !hasCard) {
+        await expireTrial(subscription, plan, { note: "Trial ended without a payment method", now });
+        results.expired++;
+        continue;
+      }
+
+      const { converted } = await convertTrial(subscription, plan, { now });
+      results[converted ? "converted" : "expired"]++;
+    } catch (error) {
+      console.error(`Failed to end trial for subscription ${subscription._id}:`, error.message);
+    }
+
+    // Small delay between charges to avoid rate limits
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+  return results;
+}
@@ -0,0 +1,196 @@
+/**
+ * ATTENDANCE
+ *
+ * Schools schedule sessions for instructor-led courses (optionally for one
+ * cohort) and mark each enrolled student present, late, absent or excused,
+ * one by one or from a CSV file. The attendance rate counts late students as
+ * attending and leaves excused absences out.
+ */
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'excused'];
+
+const MAX_CSV_ROWS = 1000;
+const MAX_NOTE_LENGTH = 300;
+const MAX_SESSION_HOURS = 12;
+
+/**
+ * Attendance counts and rate
+ * @param {Object} counts - Number of records per status ({ present, late, absent, excused })
+ * @returns {Object} - { sessions, present, late, absent, excused, rate } with rate in percent (null when nothing counts yet)
+ */
+const summarizeAttendance = (counts = {}) => {
+    const summary = { sessions: 0 };
+    ATTENDANCE_STATUSES.forEach(status => {
+        summary[status] = counts[status] || 0;
+        summary.sessions += summary[status];
+    });
+
+    const counted = summary.sessions - summary.excused;
+    summary.rate = counted > 0
+        ? Math.round(((summary.present + summary.late) / counted) * 1000) / 10
+        : null;
+    return summary;
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {String} text
+ * @returns {Array<Array<String>>}
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, ''); // Byte order mark added by spreadsheet exports
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+/**
+ * Read an attendance CSV. The header names the columns: email or studentId
+ * to identify the student, status, and an optional note.
+ * @param {String} text - CSV content
+ * @returns {Object} - { records: [{ line, email|studentId, status, note }], errors: [{ line, message }] } or { error }
+ */
+const parseAttendanceCsv = (text) => {
+    const [header, ...lines] = parseCsv(text || '');
+    if (!header) return { error: 'The CSV file is empty' };
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const column = name => columns.indexOf(name.toLowerCase());
+    const emailColumn = column('email');
+    const studentColumn = column('studentId');
+    const statusColumn = column('status');
+    const noteColumn = column('note');
+
+    if (statusColumn === -1 || (emailColumn === -1 && studentColumn === -1)) {
+        return { error: 'The CSV header needs a status column and an email or studentId column' };
+    }
+    if (lines.length > MAX_CSV_ROWS) {
+        return { error: `A CSV file can hold at most ${MAX_CSV_ROWS} rows` };
+    }
+
+    const records = [];
+    const errors = [];
+    lines.forEach((fields, index) => {
+        // Blank lines carry no data
+        if (!fields.some(field => field.trim())) return;
+
+        const line = index + 2;
+        const value = position => (position === -1 ? '' : (fields[position] || '').trim());
+
+        const status = value(statusColumn).toLowerCase();
+        if (!ATTENDANCE_STATUSES.includes(status)) {
+            errors.push({ line, message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}` });
+            return;
+        }
+
+        const record = { line, status };
+        if (value(studentColumn)) record.studentId = value(studentColumn);
+        else if (value(emailColumn)) record.email = value(emailColumn).toLowerCase();
+        else {
+            errors.push({ line, message: 'The student is missing (email or studentId)' });
+            return;
+        }
+
+        const note = value(noteColumn);
+        if (note) record.note = note.slice(0, MAX_NOTE_LENGTH);
+        records.push(record);
+    });
+
+    return { records, errors };
+};
+
+/**
+ * Validate the session fields sent by a school
+ * @param {Object} input - Request body
+ * @param {Object} current - The session being updated; omitted when creating one
+ * @returns {Object} - { fields } or { error }
+ */
+const parseSessionInput = (input = {}, current = null) => {
+    const fields = {};
+    const creating = !current;
+
+    if (input.title !== undefined || creating) {
+        const title = typeof input.title === 'string' ? input.title.trim() : '';
+        if (!title || title.length > 150) return { error: 'A session title of up to 150 characters is required' };
+        fields.title = title;
+    }
+
+    for (const key of ['startsAt', 'endsAt']) {
+        if (input[key] === undefined && !creating) continue;
+        const date = new Date(input[key]);
+        if (!input[key] || Number.isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+        fields[key] = date;
+    }
+    const startsAt = new Date(fields.startsAt || current?.startsAt);
+    const endsAt = new Date(fields.endsAt || current?.endsAt);
+    if (endsAt <= startsAt) return { error: 'endsAt must be after startsAt' };
+    if (endsAt - startsAt > MAX_SESSION_HOURS * 60 * 60 * 1000) {
+        return { error: `A session can last at most ${MAX_SESSION_HOURS} hours` };
+    }
+
+    for (const key of ['location', 'notes']) {
+        if (input[key] === undefined) continue;
+        if (input[key] !== null && typeof input[key] !== 'string') return { error: `${key} must be text` };
+        fields[key] = input[key]?.trim().slice(0, 500) || undefined;
+    }
+
+    return { fields };
+};
+
+/**
+ * Validate one attendance mark sent by a school
+ * @param {Object} record - { studentId, status, note }
+ * @returns {String|null} - Error message, or null when the record is valid
+ */
+const getAttendanceRecordError = (record) => {
+    if (!record || typeof record.studentId !== 'string' || !record.studentId) return 'studentId is required';
+    if (!ATTENDANCE_STATUSES.includes(record.status)) {
+        return `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`;
+    }
+    if (record.note !== undefined && (typeof record.note !== 'string' || record.note.length > MAX_NOTE_LENGTH)) {
+        return `Note must be text of up to ${MAX_NOTE_LENGTH} characters`;
+    }
+    return null;
+};
+
+export {
+    ATTENDANCE_STATUSES,
+    summarizeAttendance,
+    parseCsv,
+    parseAttendanceCsv,
+    parseSessionInput,
+    getAttendanceRecordError
+};
@@ -0,0 +1,206 @@
+/**
+ * COURSE COHORTS
+ *
+ * A cohort is one intake of a course: it starts and ends on given dates, has
+ * a weekly schedule, a place or an online link, and a limited number of
+ * seats. Students enroll until the cohort starts. When it is full they join
+ * its waitlist; a seat that frees up is offered to the first student in line,
+ * who has COHORT_CLAIM_HOURS to enroll before the offer moves on. An unpaid
+ * enrollment holds its seat for COHORT_CHECKOUT_HOLD_MINUTES.
+ */
+
+const DEFAULT_CLAIM_HOURS = 48;
+const DEFAULT_CHECKOUT_HOLD_MINUTES = 60;
+
+// Cancelled cohorts no longer take enrollments
+const COHORT_STATUSES = ['scheduled', 'cancelled'];
+
+// waiting -> offered -> claimed, or expired when the offer is not taken up in time
+const WAITLIST_STATUSES = ['waiting', 'offered', 'claimed', 'expired', 'cancelled'];
+
+// Waitlist entries still in line or holding a seat
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const MAX_CAPACITY = 1000;
+const MAX_SCHEDULE_SLOTS = 14;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Hours a student has to claim an offered seat, from COHORT_CLAIM_HOURS
+ * @param {Object} env - Environment variables
+ * @returns {Number}
+ */
+const getClaimWindowHours = (env = process.env) => {
+    const value = Number(env.COHORT_CLAIM_HOURS);
+    return value > 0 ? value : DEFAULT_CLAIM_HOURS;
+};
+
+/**
+ * Minutes an unpaid enrollment holds its cohort seat, from COHORT_CHECKOUT_HOLD_MINUTES
+ * @param {Object} env - Environment variables
+ * @returns {Number}
+ */
+const getCheckoutHoldMinutes = (env = process.env) => {
+    const value = Number(env.COHORT_CHECKOUT_HOLD_MINUTES);
+    return value > 0 ? value : DEFAULT_CHECKOUT_HOLD_MINUTES;
+};
+
+/**
+ * Unpaid cohort enrollments created before this time have held their seat too long
+ * @param {Date} now
+ * @param {Number} minutes - Checkout hold
+ * @returns {Date}
+ */
+const getCheckoutHoldCutoff = (now = new Date(), minutes = getCheckoutHoldMinutes()) =>
+    new Date(now.getTime() - minutes * 60 * 1000);
+
+/**
+ * When a seat offered now expires. Offers never run past the cohort start.
+ * @param {Date} startDate - Cohort start
+ * @param {Date} now
+ * @param {Number} hours - Claim window
+ * @returns {Date}
+ */
+const getOfferExpiry = (startDate, now = new Date(), hours = getClaimWindowHours()) => {
+    const expiry = new Date(now.getTime() + hours * 60 * 60 * 1000);
+    return startDate && new Date(startDate) < expiry ? new Date(startDate) : expiry;
+};
+
+/**
+ * Seats still free in a cohort
+ * @param {Object} cohort - { capacity, seatsTaken }
+ * @returns {Number}
+ */
+const getSeatsLeft = cohort => Math.max(0, (cohort.capacity || 0) - (cohort.seatsTaken || 0));
+
+/**
+ * Whether students can still enroll in (or wait for) a cohort
+ * @param {Object} cohort - { status, startDate }
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const isEnrollmentOpen = (cohort, now = new Date()) =>
+    cohort.status === 'scheduled' && new Date(cohort.startDate) > now;
+
+const parseDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseSchedule = (schedule) => {
+    if (!Array.isArray(schedule) || schedule.length > MAX_SCHEDULE_SLOTS) {
+        return { error: `Schedule must be a list of at most ${MAX_SCHEDULE_SLOTS} weekly sessions` };
+    }
+
+    const slots = [];
+    for (const slot of schedule) {
+        const day = typeof slot?.day === 'string' ? slot.day.toLowerCase() : '';
+        if (!WEEKDAYS.includes(day)) {
+            return { error: `Schedule day must be one of: ${WEEKDAYS.join(', ')}` };
+        }
+        if (!TIME_PATTERN.test(slot.startTime) || !TIME_PATTERN.test(slot.endTime) || slot.startTime >= slot.endTime) {
+            return { error: 'Schedule sessions need a startTime before their endTime (HH:MM)' };
+        }
+        slots.push({ day, startTime: slot.startTime, endTime: slot.endTime });
+    }
+    return { schedule: slots };
+};
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validate the cohort fields sent by a school
+ * @param {Object} input - Request body
+ * @param {Object} current - The cohort being updated; omitted when creating one
+ * @returns {Object} - { fields } with the fields to set, or { error }
+ */
+const parseCohortInput = (input = {}, current = null) => {
+    const fields = {};
+    const creating = !current;
+
+    if (input.name !== undefined || creating) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > 100) return { error: 'A cohort name of up to 100 characters is required' };
+        fields.name = name;
+    }
+
+    for (const key of ['startDate', 'endDate']) {
+        if (input[key] === undefined && !creating) continue;
+        const date = parseDate(input[key]);
+        if (!date) return { error: `${key} must be a valid date` };
+        fields[key] = date;
+    }
+    const startDate = fields.startDate || current?.startDate;
+    const endDate = fields.endDate || current?.endDate;
+    if (new Date(endDate) <= new Date(startDate)) {
+        return { error: 'endDate must be after startDate' };
+    }
+    if (fields.startDate && fields.startDate <= new Date()) {
+        return { error: 'startDate must be in the future' };
+    }
+
+    if (input.capacity !== undefined || creating) {
+        const capacity = input.capacity;
+        if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+            return { error: `Capacity must be a whole number between 1 and ${MAX_CAPACITY}` };
+        }
+        if (current && capacity < current.seatsTaken) {
+            return { error: `Capacity cannot be lower than the ${current.seatsTaken} seats already taken` };
+        }
+        fields.capacity = capacity;
+    }
+
+    if (input.schedule !== undefined) {
+        const { schedule, error } = parseSchedule(input.schedule);
+        if (error) return { error };
+        fields.schedule = schedule;
+    }
+
+    if (input.timezone !== undefined) {
+        if (typeof input.timezone !== 'string' || !input.timezone.trim()) return { error: 'Timezone must be a time zone name' };
+        fields.timezone = input.timezone.trim();
+    }
+
+    if (input.location !== undefined) {
+        if (input.location !== null && typeof input.location !== 'string') return { error: 'Location must be text' };
+        fields.location = input.location?.trim().slice(0, 300) || undefined;
+    }
+
+    if (input.onlineLink !== undefined) {
+        if (input.onlineLink !== null && input.onlineLink !== '' && !isHttpUrl(input.onlineLink)) {
+            return { error: 'Online link must be an http(s) URL' };
+        }
+        fields.onlineLink = input.onlineLink || undefined;
+    }
+
+    const location = 'location' in fields ? fields.location : current?.location;
+    const onlineLink = 'onlineLink' in fields ? fields.onlineLink : current?.onlineLink;
+    if (!location && !onlineLink) {
+        return { error: 'A location or an online link is required' };
+    }
+
+    return { fields };
+};
+
+export {
+    COHORT_STATUSES,
+    WAITLIST_STATUSES,
+    OPEN_WAITLIST_STATUSES,
+    WEEKDAYS,
+    getClaimWindowHours,
+    getCheckoutHoldMinutes,
+    getCheckoutHoldCutoff,
+    getOfferExpiry,
+    getSeatsLeft,
+    isEnrollmentOpen,
+    parseCohortInput
+};
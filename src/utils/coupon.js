@@ -0,0 +1,102 @@
+/**
+ * COUPONS
+ *
+ * Discount codes applied to the first payment of a subscription at checkout.
+ * A coupon takes a percentage or a fixed amount off the plan price, within
+ * its validity window, redemption caps and plan restrictions. Checkout always
+ * charges at least the Stripe minimum, so a discount never makes it free.
+ * A checkout holds one redemption of its coupon for
+ * COUPON_RESERVATION_MINUTES; unpaid holds are released after that.
+ */
+
+import { MIN_CHARGE_AMOUNT, roundCurrency } from './proration.js';
+
+const COUPON_TYPES = ['percent', 'fixed'];
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const DEFAULT_RESERVATION_MINUTES = 60;
+
+/**
+ * Codes are matched case-insensitively and stored upper case
+ * @param {String} code
+ * @returns {String}
+ */
+const normalizeCouponCode = code => String(code ?? '').trim().toUpperCase();
+
+/**
+ * Discount a coupon gives on a price
+ * @param {Object} coupon - { discountType, amount }
+ * @param {Number} price - Plan price
+ * @returns {Object} - { originalAmount, discountAmount, finalAmount }
+ */
+const calculateDiscount = (coupon, price) => {
+    const rawDiscount = coupon.discountType === 'percent'
+        ? price * coupon.amount / 100
+        : coupon.amount;
+    const maxDiscount = Math.max(0, price - MIN_CHARGE_AMOUNT);
+    const discountAmount = roundCurrency(Math.min(rawDiscount, maxDiscount));
+
+    return {
+        originalAmount: roundCurrency(price),
+        discountAmount,
+        finalAmount: roundCurrency(price - discountAmount)
+    };
+};
+
+/**
+ * Whether a coupon can be used for a plan by a user
+ * @param {Object} coupon - Coupon document
+ * @param {Object} context
+ * @param {String} context.planId - Plan being bought
+ * @param {String} context.currency - Plan currency
+ * @param {Number} context.userRedemptions - Times this user has redeemed it or holds it for a checkout
+ * @param {Date} context.now
+ * @returns {Object} - { eligible: true } or { eligible: false, reason, code }
+ */
+const checkCouponEligibility = (coupon, { planId, currency = 'usd', userRedemptions = 0, now = new Date() }) => {
+    const reject = (reason, code) => ({ eligible: false, reason, code });
+
+    if (!coupon.isActive) {
+        return reject('This coupon is no longer active', 'COUPON_INACTIVE');
+    }
+    if (coupon.startsAt && now < new Date(coupon.startsAt)) {
+        return reject('This coupon is not valid yet', 'COUPON_NOT_STARTED');
+    }
+    if (coupon.expiresAt && now >= new Date(coupon.expiresAt)) {
+        return reject('This coupon has expired', 'COUPON_EXPIRED');
+    }
+    if (coupon.maxRedemptions != null && coupon.redemptionCount >= coupon.maxRedemptions) {
+        return reject('This coupon has been fully redeemed', 'COUPON_REDEMPTION_LIMIT_REACHED');
+    }
+    if (coupon.perUserLimit != null && userRedemptions >= coupon.perUserLimit) {
+        return reject('You have already used this coupon', 'COUPON_USER_LIMIT_REACHED');
+    }
+    const plans = (coupon.applicablePlans || []).map(id => id.toString());
+    if (plans.length > 0 && !plans.includes(planId?.toString())) {
+        return reject('This coupon does not apply to the selected plan', 'COUPON_PLAN_NOT_ELIGIBLE');
+    }
+    if (coupon.discountType === 'fixed' && coupon.currency && coupon.currency !== currency.toLowerCase()) {
+        return reject('This coupon is not valid in the plan currency', 'COUPON_CURRENCY_MISMATCH');
+    }
+    return { eligible: true };
+};
+
+/**
+ * When a redemption held for a checkout started now is released, from COUPON_RESERVATION_MINUTES
+ * @param {Date} now
+ * @param {Object} env - Environment variables
+ * @returns {Date}
+ */
+const getReservationExpiry = (now = new Date(), env = process.env) => {
+    const value = Number(env.COUPON_RESERVATION_MINUTES);
+    const minutes = value > 0 ? value : DEFAULT_RESERVATION_MINUTES;
+    return new Date(now.getTime() + minutes * 60 * 1000);
+};
+
+export {
+    COUPON_TYPES,
+    COUPON_CODE_PATTERN,
+    normalizeCouponCode,
+    calculateDiscount,
+    checkCouponEligibility,
+    getReservationExpiry
+};
@@ -0,0 +1,98 @@
+/**
+ * COURSE APPROVAL
+ *
+ * New courses start as drafts. The school submits a course for review, an
+ * admin approves it (it is then listed to students and open for enrollment)
+ * or rejects it with a reason and the changes requested. A rejected course
+ * can be edited and submitted again. Editing an approved course sends it back
+ * for review, so changes never reach students unchecked. Every step is kept
+ * in the course's approval history.
+ */
+
+import { getCourseLessons } from './courseProgress.js';
+
+const COURSE_STATUSES = ['draft', 'pending_approval', 'approved', 'rejected'];
+
+const APPROVAL_ACTIONS = ['submitted', 'withdrawn', 'approved', 'rejected', 'edited'];
+
+// Status a course must be in for each action, and the status it moves to
+const APPROVAL_TRANSITIONS = {
+    submitted: { from: ['draft', 'rejected'], to: 'pending_approval' },
+    withdrawn: { from: ['pending_approval'], to: 'draft' },
+    approved: { from: ['pending_approval'], to: 'approved' },
+    // An approved course can also be taken down
+    rejected: { from: ['pending_approval', 'approved'], to: 'rejected' },
+    // Changes to a listed course are reviewed like a new submission
+    edited: { from: ['approved'], to: 'pending_approval' }
+};
+
+const MAX_REASON_LENGTH = 1000;
+const MAX_CHANGE_REQUESTS = 20;
+const MAX_CHANGE_REQUEST_LENGTH = 300;
+
+/**
+ * Status a course moves to for an approval action
+ * @param {String} status - Current course status
+ * @param {String} action - One of APPROVAL_ACTIONS
+ * @returns {String|null} - New status, or null when the action is not allowed from this status
+ */
+const getApprovalTransition = (status, action) => {
+    const transition = APPROVAL_TRANSITIONS[action];
+    return transition && transition.from.includes(status) ? transition.to : null;
+};
+
+/**
+ * Statuses from which an approval action is allowed
+ * @param {String} action - One of APPROVAL_ACTIONS
+ * @returns {Array<String>}
+ */
+const getAllowedStatuses = action => APPROVAL_TRANSITIONS[action]?.from || [];
+
+/**
+ * What a course still lacks before it can be submitted for review
+ * @param {Object} course - Course with its curriculum
+ * @returns {Array<String>} - Missing items, empty when the course is ready
+ */
+const getSubmissionIssues = (course) => {
+    const issues = [];
+    if (!course.description?.trim()) issues.push('a description');
+    if (!course.objectives?.length) issues.push('at least one objective');
+    if (!course.skills?.length) issues.push('at least one skill');
+    if (getCourseLessons(course).length === 0) issues.push('at least one lesson in the curriculum');
+    return issues;
+};
+
+/**
+ * Validate an admin's rejection
+ * @param {Object} input - { reason, changesRequested }
+ * @returns {Object} - { reason, changesRequested } or { error }
+ */
+const parseRejection = (input = {}) => {
+    const reason = typeof input.reason === 'string' ? input.reason.trim() : '';
+    if (!reason || reason.length > MAX_REASON_LENGTH) {
+        return { error: `A rejection reason of up to ${MAX_REASON_LENGTH} characters is required` };
+    }
+
+    const requested = input.changesRequested ?? [];
+    if (!Array.isArray(requested) || !requested.every(change => typeof change === 'string')) {
+        return { error: 'changesRequested must be a list of requested changes' };
+    }
+    const changesRequested = requested.map(change => change.trim()).filter(Boolean);
+    if (changesRequested.length > MAX_CHANGE_REQUESTS) {
+        return { error: `At most ${MAX_CHANGE_REQUESTS} changes can be requested at once` };
+    }
+    if (changesRequested.some(change => change.length > MAX_CHANGE_REQUEST_LENGTH)) {
+        return { error: `Each requested change must be at most ${MAX_CHANGE_REQUEST_LENGTH} characters` };
+    }
+
+    return { reason, changesRequested };
+};
+
+export {
+    COURSE_STATUSES,
+    APPROVAL_ACTIONS,
+    getApprovalTransition,
+    getAllowedStatuses,
+    getSubmissionIssues,
+    parseRejection
+};
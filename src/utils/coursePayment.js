@@ -0,0 +1,110 @@
+/**
+ * COURSE PAYMENTS
+ *
+ * Paid courses are bought with one payment per enrollment. Every sale is
+ * split between the platform commission (PLATFORM_COMMISSION_PERCENT) and the
+ * training institute's earnings; a refund reverses the split of its sale.
+ * Students who withdraw within COURSE_REFUND_DAYS of paying are refunded.
+ */
+
+import { roundCurrency } from './proration.js';
+
+const DEFAULT_COMMISSION_PERCENT = 20;
+const DEFAULT_REFUND_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kinds of revenue ledger entries
+const LEDGER_ENTRY_TYPES = ['sale', 'refund'];
+
+const readNumber = (value, fallback, { min = 0, max = Infinity } = {}) => {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) && number >= min && number <= max
+        ? number
+        : fallback;
+};
+
+/**
+ * Platform share of course sales, from PLATFORM_COMMISSION_PERCENT (0-100)
+ * @param {Object} env - Environment variables
+ * @returns {Number} - Rate between 0 and 1
+ */
+const getCommissionRate = (env = process.env) =>
+    readNumber(env.PLATFORM_COMMISSION_PERCENT, DEFAULT_COMMISSION_PERCENT, { max: 100 }) / 100;
+
+/**
+ * Days after payment during which a withdrawal is refunded, from COURSE_REFUND_DAYS
+ * @param {Object} env - Environment variables
+ * @returns {Number}
+ */
+const getRefundWindowDays = (env = process.env) => readNumber(env.COURSE_REFUND_DAYS, DEFAULT_REFUND_DAYS);
+
+/**
+ * Whether enrolling in a course requires a payment
+ * @param {Object} course - { price }
+ * @returns {Boolean}
+ */
+const isPaidCourse = course => Number(course?.price) > 0;
+
+/**
+ * Split a sale between the platform and the institute. The commission is
+ * rounded and the institute gets the rest, so the two always add up.
+ * @param {Number} amount - Amount paid
+ * @param {Number} rate - Commission rate (0-1)
+ * @returns {Object} - { grossAmount, commissionRate, platformFee, instituteEarnings }
+ */
+const splitRevenue = (amount, rate = getCommissionRate()) => {
+    const grossAmount = roundCurrency(amount);
+    const platformFee = roundCurrency(grossAmount * rate);
+
+    return {
+        grossAmount,
+        commissionRate: rate,
+        platformFee,
+        instituteEarnings: roundCurrency(grossAmount - platformFee)
+    };
+};
+
+/**
+ * Ledger amounts reversing a sale
+ * @param {Object} sale - Sale entry { grossAmount, commissionRate, platformFee, instituteEarnings }
+ * @returns {Object} - Same fields, negated
+ */
+const reverseSplit = sale => ({
+    grossAmount: -sale.grossAmount,
+    commissionRate: sale.commissionRate,
+    platformFee: -sale.platformFee,
+    instituteEarnings: -sale.instituteEarnings
+});
+
+/**
+ * Whether withdrawing from a paid enrollment is refunded
+ * @param {Object} enrollment - { status, payment: { status, paidAt } }
+ * @param {Date} now
+ * @param {Number} windowDays - From getRefundWindowDays
+ * @returns {Object} - { eligible: true, refundableUntil } or { eligible: false, reason, code }
+ */
+const checkRefundEligibility = (enrollment, now = new Date(), windowDays = getRefundWindowDays()) => {
+    const payment = enrollment.payment;
+    if (!payment || payment.status !== 'paid') {
+        return { eligible: false, reason: 'No payment to refund', code: 'NOT_PAID' };
+    }
+    if (enrollment.status === 'completed') {
+        return { eligible: false, reason: 'Completed courses are not refunded', code: 'COURSE_COMPLETED' };
+    }
+
+    const refundableUntil = new Date(new Date(payment.paidAt).getTime() + windowDays * DAY_MS);
+    if (now > refundableUntil) {
+        return { eligible: false, reason: `Refunds are only given within ${windowDays} days of payment`, code: 'REFUND_WINDOW_CLOSED' };
+    }
+    return { eligible: true, refundableUntil };
+};
+
+export {
+    LEDGER_ENTRY_TYPES,
+    getCommissionRate,
+    getRefundWindowDays,
+    isPaidCourse,
+    splitRevenue,
+    reverseSplit,
+    checkRefundEligibility
+};
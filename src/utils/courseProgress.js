@@ -0,0 +1,101 @@
+/**
+ * COURSE PROGRESS
+ *
+ * Works out a learner's progress through a course curriculum from the lesson
+ * progress stored on their Enrollment. Progress counts required lessons only
+ * (all lessons when none are marked required), and a course is complete once
+ * every required lesson is completed.
+ */
+
+const LESSON_CONTENT_TYPES = ['video', 'document', 'text', 'quiz'];
+
+// Field holding the content of each lesson type
+const LESSON_CONTENT_FIELDS = {
+    video: 'videoUrl',
+    document: 'documentUrl',
+    text: 'text',
+    quiz: 'quiz'
+};
+
+const LESSON_PROGRESS_STATUSES = ['in_progress', 'completed'];
+
+const byOrder = (a, b) => (a.order ?? 0) - (b.order ?? 0);
+
+/**
+ * All lessons of a course in curriculum order
+ * @param {Object} course - Course with modules[].lessons[]
+ * @returns {Array<Object>} - [{ lesson, module }]
+ */
+const getCourseLessons = (course) => [...(course?.modules || [])]
+    .sort(byOrder)
+    .flatMap(module => [...(module.lessons || [])]
+        .sort(byOrder)
+        .map(lesson => ({ lesson, module })));
+
+/**
+ * Find a lesson and its module by lesson ID
+ * @param {Object} course
+ * @param {String} lessonId
+ * @returns {Object|null} - { lesson, module }
+ */
+const findCourseLesson = (course, lessonId) =>
+    getCourseLessons(course).find(({ lesson }) => String(lesson._id) === String(lessonId)) || null;
+
+/**
+ * Calculate progress through a course
+ * @param {Object} course - Course with modules[].lessons[]
+ * @param {Array<Object>} lessonProgress - Enrollment.lessonProgress entries ({ lesson, status })
+ * @returns {Object} - { totalLessons, completedLessons, requiredLessons, completedRequiredLessons, progressPercentage, isComplete }
+ */
+const calculateCourseProgress = (course, lessonProgress = []) => {
+    const lessons = getCourseLessons(course).map(({ lesson }) => lesson);
+    const completed = new Set(
+        lessonProgress.filter(item => item.status === 'completed').map(item => String(item.lesson))
+    );
+
+    const required = lessons.filter(lesson => lesson.isRequired !== false);
+    const counted = required.length > 0 ? required : lessons;
+    const isDone = lesson => completed.has(String(lesson._id));
+
+    const completedCounted = counted.filter(isDone).length;
+
+    return {
+        totalLessons: lessons.length,
+        completedLessons: lessons.filter(isDone).length,
+        requiredLessons: required.length,
+        completedRequiredLessons: required.filter(isDone).length,
+        progressPercentage: counted.length > 0 ? Math.round((completedCounted / counted.length) * 10000) / 100 : 0,
+        isComplete: counted.length > 0 && completedCounted === counted.length
+    };
+};
+
+/**
+ * Validate lesson content for its type
+ * @param {Object} lesson - { contentType, videoUrl, documentUrl, text, quiz }
+ * @returns {String|null} - Error message, or null when valid
+ */
+const validateLessonContent = (lesson) => {
+    if (!LESSON_CONTENT_TYPES.includes(lesson.contentType)) {
+        return `contentType must be one of: ${LESSON_CONTENT_TYPES.join(', ')}`;
+    }
+
+    const field = LESSON_CONTENT_FIELDS[lesson.contentType];
+    const value = lesson[field];
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return `${field} is required for ${lesson.contentType} lessons`;
+    }
+    if ((field === 'videoUrl' || field === 'documentUrl') && !/^https?:\/\/\S+$/i.test(String(value))) {
+        return `${field} must be a valid http(s) URL`;
+    }
+    return null;
+};
+
+export {
+    LESSON_CONTENT_TYPES,
+    LESSON_CONTENT_FIELDS,
+    LESSON_PROGRESS_STATUSES,
+    getCourseLessons,
+    findCourseLesson,
+    calculateCourseProgress,
+    validateLessonContent
+};
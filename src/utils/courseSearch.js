@@ -0,0 +1,234 @@
+/**
+ * COURSE SEARCH
+ *
+ * Parses course catalog search parameters and turns them into a Course query.
+ * Text queries use the course text index (title, skills, objectives and
+ * description, ranked by relevance); misspelled words are corrected against
+ * the words used in the catalog. Results come with facet counts by category,
+ * language, type, price band and provider.
+ */
+
+import { calculateSimilarity } from './matchingUtils.js';
+
+const COURSE_SEARCH_SORTS = ['relevance', 'newest', 'rating', 'price_asc', 'price_desc'];
+
+// Price bands used for facets; a band holds prices from min (inclusive) to max (exclusive)
+const PRICE_BANDS = [
+    { key: 'free', label: 'Free', min: 0, max: 0 },
+    { key: 'under_50', label: 'Under 50', min: 0, max: 50 },
+    { key: '50_100', label: '50 - 100', min: 50, max: 100 },
+    { key: '100_250', label: '100 - 250', min: 100, max: 250 },
+    { key: '250_plus', label: '250 and more', min: 250, max: null }
+];
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 10;
+const MAX_LIMIT = 50;
+// Shorter words are too ambiguous to correct
+const MIN_CORRECTABLE_LENGTH = 4;
+// Allows one edit in 4-5 letter words and two from 6 letters (a swapped pair of letters is two edits)
+const DEFAULT_CORRECTION_THRESHOLD = 0.65;
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Split a search query into lowercase words (letters, digits, "+" and "#", so "C++" and "C#" survive)
+ * @param {String} query
+ * @returns {Array<String>} - Unique words of at least 2 characters
+ */
+const tokenizeSearchQuery = (query) => {
+    if (typeof query !== 'string') return [];
+    const words = query.toLowerCase().match(/[\p{L}\p{N}+#]+/gu) || [];
+    return [...new Set(words.filter(word => word.length >= 2))].slice(0, MAX_QUERY_TERMS);
+};
+
+/**
+ * Words of the catalog used to correct misspelled search terms
+ * @param {Array<String>} values - Titles, skills, categories...
+ * @returns {Set<String>}
+ */
+const buildSearchVocabulary = (values) => {
+    const vocabulary = new Set();
+    for (const value of values) {
+        for (const word of tokenizeSearchQuery(String(value ?? ''))) {
+            if (word.length >= 3) vocabulary.add(word);
+        }
+    }
+    return vocabulary;
+};
+
+/**
+ * Replace search terms missing from the catalog by the most similar catalog word
+ * @param {Array<String>} terms - From tokenizeSearchQuery
+ * @param {Set<String>} vocabulary - From buildSearchVocabulary
+ * @param {Number} threshold - Minimum similarity (0-1) to accept a correction
+ * @returns {Object} - { terms, corrections: [{ from, to }] }
+ */
+const correctSearchTerms = (terms, vocabulary, threshold = DEFAULT_CORRECTION_THRESHOLD) => {
+    const corrections = [];
+
+    const corrected = terms.map(term => {
+        if (term.length < MIN_CORRECTABLE_LENGTH || vocabulary.has(term)) return term;
+
+        let best = null;
+        let bestScore = threshold;
+        for (const word of vocabulary) {
+            if (Math.abs(word.length - term.length) > 2) continue;
+            const score = calculateSimilarity(term, word);
+            if (score > bestScore || (score === bestScore && !best)) {
+                best = word;
+                bestScore = score;
+            }
+        }
+
+        if (!best) return term;
+        corrections.push({ from: term, to: best });
+        return best;
+    });
+
+    return { terms: corrected, corrections };
+};
+
+/**
+ * Price band a course price falls in
+ * @param {Number} price - Missing or zero for free courses
+ * @returns {String} - PRICE_BANDS key
+ */
+const getPriceBand = (price) => {
+    const amount = Number(price) || 0;
+    if (amount <= 0) return 'free';
+    return PRICE_BANDS.find(band => band.max === null || (amount >= band.min && amount < band.max)).key;
+};
+
+/**
+ * Aggregation expression computing getPriceBand from the price field
+ * @returns {Object}
+ */
+const buildPriceBandExpression = () => ({
+    $switch: {
+        branches: [
+            { case: { $lte: [{ $ifNull: ['$price', 0] }, 0] }, then: 'free' },
+            ...PRICE_BANDS.filter(band => band.key !== 'free' && band.max !== null)
+                .map(band => ({ case: { $lt: ['$price', band.max] }, then: band.key }))
+        ],
+        default: PRICE_BANDS[PRICE_BANDS.length - 1].key
+    }
+});
+
+/**
+ * Validate and normalize course search parameters
+ * @param {Object} input - { q, category, language, type, provider, priceMin, priceMax, sort, page, limit }
+ * @returns {Object} - { filters, sort, page, limit } or { error }
+ */
+const parseCourseSearchFilters = (input = {}) => {
+    const filters = {};
+
+    const q = toText(input.q);
+    if (q) {
+        if (q.length > MAX_QUERY_LENGTH) {
+            return { error: `Search query cannot be longer than ${MAX_QUERY_LENGTH} characters` };
+        }
+        filters.q = q;
+    }
+
+    ['category', 'language', 'type'].forEach(key => {
+        const value = toText(input[key]);
+        if (value) filters[key] = value;
+    });
+
+    if (input.provider !== undefined && input.provider !== '') {
+        if (typeof input.provider !== 'string' || !OBJECT_ID_PATTERN.test(input.provider)) {
+            return { error: 'provider must be a valid training provider ID' };
+        }
+        filters.provider = input.provider;
+    }
+
+    for (const key of ['priceMin', 'priceMax']) {
+        if (input[key] === undefined || input[key] === '' || input[key] === null) continue;
+        const value = Number(input[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `${key} must be a positive number` };
+        }
+        filters[key] = value;
+    }
+    if (filters.priceMin !== undefined && filters.priceMax !== undefined && filters.priceMin > filters.priceMax) {
+        return { error: 'priceMin cannot be greater than priceMax' };
+    }
+
+    const sort = toText(input.sort) || (filters.q ? 'relevance' : 'newest');
+    if (!COURSE_SEARCH_SORTS.includes(sort)) {
+        return { error: `sort must be one of: ${COURSE_SEARCH_SORTS.join(', ')}` };
+    }
+    if (sort === 'relevance' && !filters.q) {
+        return { error: 'Sorting by relevance requires a search query' };
+    }
+
+    const page = Math.max(1, parseInt(input.page) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(input.limit) || 10));
+
+    return { filters, sort, page, limit };
+};
+
+/**
+ * Build the Course query for parsed search filters
+ * @param {Object} filters - From parseCourseSearchFilters
+ * @param {Array<String>} terms - Search words; defaults to the words of filters.q
+ * @returns {Object} - Mongo filter (the $text condition needs the course text index).
+ *                     The provider filter is left to the caller, which matches it as an ObjectId.
+ */
+const buildCourseSearchFilter = (filters = {}, terms = tokenizeSearchQuery(filters.q)) => {
+    const query = {};
+
+    if (terms.length) {
+        query.$text = { $search: terms.join(' ') };
+    }
+
+    ['category', 'language', 'type'].forEach(key => {
+        if (filters[key]) query[key] = new RegExp(`^${escapeRegex(filters[key])}$`, 'i');
+    });
+
+    // Courses without a price are free: $not keeps them under a maximum, $gte drops them above zero
+    const price = {};
+    if (filters.priceMin > 0) price.$gte = filters.priceMin;
+    if (filters.priceMax !== undefined) price.$not = { $gt: filters.priceMax };
+    if (Object.keys(price).length) query.price = price;
+
+    return query;
+};
+
+/**
+ * Sort stage for a search sort option
+ * @param {String} sort - One of COURSE_SEARCH_SORTS
+ * @returns {Object}
+ */
+const getCourseSearchSort = (sort) => {
+    switch (sort) {
+        case 'relevance':
+            return { score: -1, createdAt: -1, _id: 1 };
+        case 'rating':
+            return { 'rating.average': -1, 'rating.count': -1, createdAt: -1, _id: 1 };
+        case 'price_asc':
+            return { price: 1, createdAt: -1, _id: 1 };
+        case 'price_desc':
+            return { price: -1, createdAt: -1, _id: 1 };
+        default:
+            return { createdAt: -1, _id: 1 };
+    }
+};
+
+export {
+    COURSE_SEARCH_SORTS,
+    PRICE_BANDS,
+    tokenizeSearchQuery,
+    buildSearchVocabulary,
+    correctSearchTerms,
+    getPriceBand,
+    buildPriceBandExpression,
+    parseCourseSearchFilters,
+    buildCourseSearchFilter,
+    getCourseSearchSort
+};
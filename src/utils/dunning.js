@@ -0,0 +1,99 @@
+/**
+ * DUNNING
+ *
+ * When an off-session renewal cannot be charged the subscription becomes
+ * "past_due" instead of expiring. The charge is retried on a backoff
+ * schedule counted from the first failure, and the subscriber keeps access
+ * until the grace period ends. Each step escalates the reminder sent.
+ */
+
+const DEFAULT_RETRY_DAYS = [1, 3, 5];
+const DEFAULT_GRACE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminder sent at each step, in escalating order
+const DUNNING_STAGES = ['payment_failed', 'retry_failed', 'final_notice', 'expired', 'recovered'];
+
+/**
+ * Retry schedule and grace period, from DUNNING_RETRY_DAYS (e.g. "1,3,5") and DUNNING_GRACE_DAYS
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { retryDays, graceDays }
+ */
+const getDunningConfig = (env = process.env) => {
+    const graceDays = Number(env.DUNNING_GRACE_DAYS);
+    const retryDays = String(env.DUNNING_RETRY_DAYS ?? '')
+        .split(',')
+        .map(Number)
+        .filter(day => Number.isFinite(day) && day > 0)
+        .sort((a, b) => a - b);
+
+    return {
+        retryDays: retryDays.length ? retryDays : DEFAULT_RETRY_DAYS,
+        graceDays: Number.isFinite(graceDays) && graceDays >= 0 ? graceDays : DEFAULT_GRACE_DAYS
+    };
+};
+
+/**
+ * When the next retry is due, or null when no retry is left before the grace period ends
+ * @param {Date} failedAt - First failure
+ * @param {Number} failures - Failed charges so far (the first one included)
+ * @param {Date} graceEndsAt
+ * @param {Object} config - { retryDays }
+ * @returns {Date|null}
+ */
+const getNextRetryAt = (failedAt, failures, graceEndsAt, config) => {
+    const offset = config.retryDays[failures - 1];
+    if (offset === undefined) return null;
+    const retryAt = new Date(new Date(failedAt).getTime() + offset * DAY_MS);
+    return retryAt < new Date(graceEndsAt) ? retryAt : null;
+};
+
+/**
+ * Dunning state after a failed renewal charge
+ * @param {Object|null} dunning - Current state ({ failedAt, failures, graceEndsAt }), null on the first failure
+ * @param {Date} now
+ * @param {Object} config - From getDunningConfig
+ * @returns {Object} - { failedAt, failures, lastAttemptAt, nextRetryAt, graceEndsAt, stage }
+ */
+const recordFailedCharge = (dunning, now = new Date(), config = getDunningConfig()) => {
+    const failedAt = dunning?.failedAt ? new Date(dunning.failedAt) : now;
+    const failures = (dunning?.failures || 0) + 1;
+    const graceEndsAt = dunning?.graceEndsAt
+        ? new Date(dunning.graceEndsAt)
+        : new Date(failedAt.getTime() + config.graceDays * DAY_MS);
+    const nextRetryAt = getNextRetryAt(failedAt, failures, graceEndsAt, config);
+
+    let stage = failures === 1 ? 'payment_failed' : 'retry_failed';
+    if (!nextRetryAt) stage = 'final_notice';
+
+    return { failedAt, failures, lastAttemptAt: now, nextRetryAt, graceEndsAt, stage };
+};
+
+/**
+ * Whether a past-due subscriber still has access
+ * @param {Object} dunning - { graceEndsAt }
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const isWithinGracePeriod = (dunning, now = new Date()) =>
+    Boolean(dunning?.graceEndsAt) && now < new Date(dunning.graceEndsAt);
+
+/**
+ * Whole days of access left in the grace period (rounded up)
+ * @param {Object} dunning - { graceEndsAt }
+ * @param {Date} now
+ * @returns {Number}
+ */
+const getGraceDaysLeft = (dunning, now = new Date()) => {
+    if (!isWithinGracePeriod(dunning, now)) return 0;
+    return Math.ceil((new Date(dunning.graceEndsAt).getTime() - now.getTime()) / DAY_MS);
+};
+
+export {
+    DUNNING_STAGES,
+    getDunningConfig,
+    getNextRetryAt,
+    recordFailedCharge,
+    isWithinGracePeriod,
+    getGraceDaysLeft
+};
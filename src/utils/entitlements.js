@@ -0,0 +1,147 @@
+/**
+ * PLAN ENTITLEMENTS
+ *
+ * Limits a subscription plan puts on what its subscribers can do. A limit of
+ * null means unlimited and 0 means the feature is not included. Totals are
+ * counted from the records themselves (e.g. courses a school has now);
+ * periodic allowances reset every month from the subscription start date.
+ */
+
+// Metric -> plan field holding its limit
+const ENTITLEMENTS = {
+    courses: { field: 'maxCourses', label: 'Courses', type: 'total' },
+    activeJobPosts: { field: 'maxActiveJobPosts', label: 'Active job posts', type: 'total' },
+    profileViews: { field: 'maxProfileViews', label: 'Candidate profile views', type: 'period' },
+    conversations: { field: 'maxConversations', label: 'Chat conversations', type: 'period' }
+};
+
+const ENTITLEMENT_FIELDS = Object.values(ENTITLEMENTS).map(entitlement => entitlement.field);
+
+// Roles whose plans carry limits; students and admins are never limited
+const LIMITED_ROLES = ['school', 'employer'];
+
+// Limits of schools and employers without an active subscription
+const FREE_TIER_ENTITLEMENTS = {
+    maxCourses: 0,
+    maxActiveJobPosts: 1,
+    maxProfileViews: 10,
+    maxConversations: 10
+};
+
+// Add months, keeping to the last day of shorter months (Jan 31 -> Feb 28)
+const addMonths = (date, months) => {
+    const result = new Date(date);
+    const day = result.getDate();
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+};
+
+/**
+ * Whether plan limits apply to a user of this role
+ * @param {String} role
+ * @returns {Boolean}
+ */
+const isLimitedRole = (role) => LIMITED_ROLES.includes(role);
+
+/**
+ * Limit of a metric on a plan
+ * @param {Object} entitlements - Plan entitlements
+ * @param {String} metric - Key of ENTITLEMENTS
+ * @returns {Number|null} - null when unlimited
+ */
+const getEntitlementLimit = (entitlements, metric) => {
+    const limit = entitlements?.[ENTITLEMENTS[metric].field];
+    return limit === undefined || limit === null ? null : limit;
+};
+
+/**
+ * Monthly usage window containing `now`, counted from the subscription start
+ * @param {Date} anchor - Subscription start date
+ * @param {Date} now
+ * @returns {Object} - { periodStart, periodEnd }
+ */
+const getUsagePeriod = (anchor, now = new Date()) => {
+    const start = new Date(anchor);
+    let months = Math.max(0,
+        (now.getFullYear() - start.getFullYear()) * 12 + now.getMonth() - start.getMonth());
+    if (addMonths(start, months) > now && months > 0) months--;
+
+    return {
+        periodStart: addMonths(start, months),
+        periodEnd: addMonths(start, months + 1)
+    };
+};
+
+/**
+ * Whether `amount` more fits within the limit
+ * @param {Number|null} limit
+ * @param {Number} used
+ * @param {Number} amount
+ * @returns {Object} - { allowed, remaining } (remaining is null when unlimited)
+ */
+const checkQuota = (limit, used, amount = 1) => {
+    if (limit === null) return { allowed: true, remaining: null };
+    return {
+        allowed: used + amount <= limit,
+        remaining: Math.max(0, limit - used)
+    };
+};
+
+/**
+ * Consumption of every metric against the plan limits
+ * @param {Object} entitlements - Plan entitlements
+ * @param {Object} usage - Metric -> amount used
+ * @returns {Array} - [{ metric, label, type, limit, used, remaining, percentage }]
+ */
+const buildUsageReport = (entitlements, usage) =>
+    Object.entries(ENTITLEMENTS).map(([metric, { label, type }]) => {
+        const limit = getEntitlementLimit(entitlements, metric);
+        const used = usage[metric] || 0;
+        return {
+            metric,
+            label,
+            type,
+            limit,
+            used,
+            remaining: checkQuota(limit, used).remaining,
+            percentage: limit ? Math.min(100, Math.round((used / limit) * 100)) : null
+        };
+    });
+
+/**
+ * Validate entitlements sent by an admin
+ * @param {Object} input - Plan field -> limit (whole number, or null for unlimited)
+ * @returns {Object} - { entitlements } or { error }
+ */
+const parseEntitlements = (input) => {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Entitlements must be an object' };
+    }
+
+    const entitlements = {};
+    for (const [field, value] of Object.entries(input)) {
+        if (!ENTITLEMENT_FIELDS.includes(field)) {
+            return { error: `Unknown entitlement "${field}". Allowed: ${ENTITLEMENT_FIELDS.join(', ')}` };
+        }
+        if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+            return { error: `${field} must be a whole number of 0 or more, or null for unlimited` };
+        }
+        entitlements[field] = value;
+    }
+    return { entitlements };
+};
+
+export {
+    ENTITLEMENTS,
+    ENTITLEMENT_FIELDS,
+    FREE_TIER_ENTITLEMENTS,
+    isLimitedRole,
+    getEntitlementLimit,
+    getUsagePeriod,
+    checkQuota,
+    buildUsageReport,
+    parseEntitlements
+};
@@ -0,0 +1,134 @@
+/**
+ * Minimal RFC 5545 (iCalendar) builder used for interview invites.
+ *
+ * Only the pieces we need for a single VEVENT are implemented: UTC date-times,
+ * TEXT escaping, 75-octet line folding and CRLF line endings.
+ */
+
+const CRLF = "\r\n";
+
+/**
+ * Format a date as an iCalendar UTC date-time (e.g. 20250101T093000Z)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeIcsText(value = "") {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets (RFC 5545 section 3.1).
+ * Continuation lines start with a single space.
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    // First line may hold 75 octets, continuation lines 74 plus the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+}
+
+const formatPerson = (property, person, extraParams = []) => {
+  const params = [...extraParams];
+  if (person.name) {
+    params.push(`CN=${String(person.name).replace(/[";:,]/g, "")}`);
+  }
+  const paramString = params.length ? `;${params.join(";")}` : "";
+  return `${property}${paramString}:mailto:${person.email}`;
+};
+
+/**
+ * Build a VCALENDAR containing a single VEVENT
+ * @param {Object} event
+ * @param {string} event.uid - Stable unique ID for the event (reused across updates)
+ * @param {number} event.sequence - Revision number, increment on every change
+ * @param {string} event.method - REQUEST for invites/updates, CANCEL for cancellations
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Event title
+ * @param {string} event.description - Event description
+ * @param {string} event.location - Physical location or meeting link
+ * @param {string} event.url - Related URL
+ * @param {Object} event.organizer - { name, email }
+ * @param {Array<Object>} event.attendees - [{ name, email }]
+ * @param {Date} event.timestamp - DTSTAMP value (defaults to now)
+ * @returns {string} iCalendar content with CRLF line endings
+ */
+export function buildIcsEvent({
+  uid,
+  sequence = 0,
+  method = "REQUEST",
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  organizer,
+  attendees = [],
+  timestamp = new Date(),
+}) {
+  const isCancel = method === "CANCEL";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Talent Bridge//Interviews//EN",
+    "CALSCALE:GREGORIAN",
+    `METHOD:${method}`,
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatIcsDate(timestamp)}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (organizer?.email) lines.push(formatPerson("ORGANIZER", organizer));
+
+  attendees
+    .filter((attendee) => attendee?.email)
+    .forEach((attendee) => {
+      lines.push(formatPerson("ATTENDEE", attendee, ["ROLE=REQ-PARTICIPANT", "PARTSTAT=NEEDS-ACTION", "RSVP=TRUE"]));
+    });
+
+  lines.push(`STATUS:${isCancel ? "CANCELLED" : "CONFIRMED"}`);
+  lines.push("TRANSP:OPAQUE");
+  lines.push("END:VEVENT");
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldIcsLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,62 @@
+/**
+ * INVOICES
+ *
+ * Numbering and totals for the invoices issued for subscription payments.
+ * Amounts charged through Stripe already include tax, so the tax share is
+ * worked back out of the total rather than added on top.
+ */
+
+const INVOICE_PREFIX = 'INV';
+const INVOICE_NUMBER_DIGITS = 6;
+
+const INVOICE_BILLING_REASONS = ['subscription_create', 'subscription_renewal', 'plan_change', 'invoice_payment'];
+
+const roundAmount = amount => Math.round(Number(amount || 0) * 100) / 100;
+
+/**
+ * Invoice number for a sequence value, e.g. 42 -> INV-000042
+ * @param {Number} seq - Value from the "invoice" counter
+ * @returns {String}
+ */
+const formatInvoiceNumber = seq => `${INVOICE_PREFIX}-${String(seq).padStart(INVOICE_NUMBER_DIGITS, '0')}`;
+
+/**
+ * Tax rate applied to invoices, as a percentage
+ * @param {String|Number} value - Configured rate (INVOICE_TAX_RATE)
+ * @returns {Number} - Between 0 and 100; 0 when unset or invalid
+ */
+const parseTaxRate = value => {
+    const rate = Number(value);
+    return Number.isFinite(rate) && rate > 0 && rate <= 100 ? rate : 0;
+};
+
+/**
+ * Totals of an invoice whose line items are priced tax-inclusive
+ * @param {Array<Object>} lineItems - [{ description, quantity, unitAmount }]
+ * @param {Number} taxRate - Percentage included in the prices
+ * @returns {Object} - { lineItems (with amount), subtotal, taxRate, taxAmount, total }
+ */
+const calculateInvoiceTotals = (lineItems, taxRate = 0) => {
+    const items = lineItems.map(item => {
+        const quantity = item.quantity ?? 1;
+        return { ...item, quantity, amount: roundAmount(quantity * item.unitAmount) };
+    });
+
+    const total = roundAmount(items.reduce((sum, item) => sum + item.amount, 0));
+    const subtotal = roundAmount(total / (1 + taxRate / 100));
+
+    return {
+        lineItems: items,
+        subtotal,
+        taxRate,
+        taxAmount: roundAmount(total - subtotal),
+        total
+    };
+};
+
+export {
+    INVOICE_BILLING_REASONS,
+    formatInvoiceNumber,
+    parseTaxRate,
+    calculateInvoiceTotals
+};
@@ -0,0 +1,119 @@
+/**
+ * JOB SEARCH FILTERS
+ *
+ * Parses job search filters (from a query string or a saved search) and
+ * turns them into a Job query. Shared by the advanced job search endpoint
+ * and the saved search digests so both return the same jobs.
+ */
+
+import { getCanonicalSkillId, normalizeSkillName, resolveSkill } from './skillTaxonomy.js';
+
+const EMPLOYMENT_TYPES = ['Full-time', 'Part-time', 'Internship', 'Contract'];
+
+const MAX_SEARCH_SKILLS = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Validate and normalize job search filters
+ * @param {Object} input - { q, location, category, employmentType, minSalary, maxSalary, skills }
+ *                         (skills as an array or a comma-separated string)
+ * @returns {Object} - { filters } or { error }
+ */
+const parseJobSearchFilters = (input = {}) => {
+    const filters = {};
+
+    ['q', 'location', 'category'].forEach(key => {
+        const value = toText(input[key]);
+        if (value) filters[key] = value;
+    });
+
+    if (input.employmentType !== undefined && input.employmentType !== '') {
+        if (!EMPLOYMENT_TYPES.includes(input.employmentType)) {
+            return { error: `employmentType must be one of: ${EMPLOYMENT_TYPES.join(', ')}` };
+        }
+        filters.employmentType = input.employmentType;
+    }
+
+    for (const key of ['minSalary', 'maxSalary']) {
+        if (input[key] === undefined || input[key] === '' || input[key] === null) continue;
+        const value = Number(input[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            return { error: `${key} must be a positive number` };
+        }
+        filters[key] = value;
+    }
+    if (filters.minSalary !== undefined && filters.maxSalary !== undefined && filters.minSalary > filters.maxSalary) {
+        return { error: 'minSalary cannot be greater than maxSalary' };
+    }
+
+    if (input.skills !== undefined && input.skills !== '') {
+        const rawSkills = Array.isArray(input.skills) ? input.skills : String(input.skills).split(',');
+        if (!rawSkills.every(skill => typeof skill === 'string')) {
+            return { error: 'Skills must be strings' };
+        }
+        const skills = [...new Set(rawSkills.map(normalizeSkillName).filter(Boolean))];
+        if (skills.length > MAX_SEARCH_SKILLS) {
+            return { error: `You can search for at most ${MAX_SEARCH_SKILLS} skills` };
+        }
+        if (skills.length > 0) filters.skills = skills;
+    }
+
+    return { filters };
+};
+
+/**
+ * Build the Job query for parsed search filters (active jobs only)
+ * @param {Object} filters - Result of parseJobSearchFilters
+ * @returns {Object} - Mongo filter
+ */
+const buildJobSearchFilter = (filters = {}) => {
+    const query = { status: 'active' };
+
+    if (filters.q) {
+        const pattern = new RegExp(escapeRegex(filters.q), 'i');
+        query.$or = [
+            { jobTitle: pattern },
+            { jobDescription: pattern },
+            { department: pattern }
+        ];
+    }
+
+    if (filters.location) {
+        query.location = new RegExp(escapeRegex(filters.location), 'i');
+    }
+
+    if (filters.category) {
+        query.category = new RegExp(escapeRegex(filters.category), 'i');
+    }
+
+    if (filters.employmentType) {
+        query.employmentType = filters.employmentType;
+    }
+
+    if (filters.minSalary !== undefined) {
+        query['salary.min'] = { $gte: filters.minSalary };
+    }
+    if (filters.maxSalary !== undefined) {
+        query['salary.max'] = { $lte: filters.maxSalary };
+    }
+
+    if (filters.skills?.length) {
+        // Known skills are stored under their canonical name; others match as a substring
+        query['skillsRequired.skill'] = {
+            $in: filters.skills.map(skill => resolveSkill(skill)
+                ? new RegExp(`^${escapeRegex(normalizeSkillName(skill))}$`, 'i')
+                : new RegExp(escapeRegex(getCanonicalSkillId(skill)), 'i'))
+        };
+    }
+
+    return query;
+};
+
+export {
+    EMPLOYMENT_TYPES,
+    parseJobSearchFilters,
+    buildJobSearchFilter
+};
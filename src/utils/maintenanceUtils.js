@@ -6,60 +6,11 @@
  */
 
 import { Job, Student } from "../models/index.js";
-// Note: Matching utilities are now part of the job controller
-// Import the entire job controller module to access matching functions
-
-/**
- * Simple matching function for maintenance tasks
- * This is a simplified version since the full matching utilities are now in the job controller
- */
-const calculateSimpleMatchPercentage = (studentSkills, jobSkills) => {
-    if (!Array.isArray(studentSkills) || !Array.isArray(jobSkills)) return 0;
-    if (studentSkills.length === 0 || jobSkills.length === 0) return 0;
-    
-    const jobSkillNames = jobSkills.map(skill => 
-        typeof skill === 'string' ? skill.toLowerCase() : skill.skill?.toLowerCase()
-    ).filter(Boolean);
-    
-    const normalizedStudentSkills = studentSkills.map(skill => skill.toLowerCase());
-    
-    let matches = 0;
-    for (const jobSkill of jobSkillNames) {
-        if (normalizedStudentSkills.some(studentSkill => 
-            studentSkill.includes(jobSkill) || jobSkill.includes(studentSkill)
-        )) {
-            matches++;
-        }
-    }
-    
-    return (matches / jobSkillNames.length) * 100;
-};
-
-/**
- * Find matching students for maintenance tasks
- */
-const findMatchingStudentsForMaintenance = (students, jobSkills, minMatchPercentage = 20) => {
-    const matchingStudents = [];
-    
-    for (const student of students) {
-        if (!student.skills || !Array.isArray(student.skills)) continue;
-        
-        const matchPercentage = calculateSimpleMatchPercentage(student.skills, jobSkills);
-        
-        if (matchPercentage >= minMatchPercentage) {
-            matchingStudents.push({
-                student: student._id,
-                matchPercentage,
-                studentData: student
-            });
-        }
-    }
-    
-    return matchingStudents.sort((a, b) => b.matchPercentage - a.matchPercentage);
-};
+import { refreshJobMatches, rebuildSkillMatchIndex } from "../services/skillMatchIndex.service.js";
 
 /**
  * Recalculate matched candidates for a specific job
+ * Uses the skill match index, so only students sharing a skill with the job are scored.
  * @param {String} jobId - The job ID to recalculate matches for
  * @returns {Object} - Result object with success status and updated job
  */
@@ -76,35 +27,15 @@ export const recalculateJobMatches = async (jobId) => {
             return { success: false, error: 'Job has no skill requirements' };
         }
         
-        // Fetch all active students with skills
-        const students = await Student.find({
-            skills: { $exists: true, $ne: [] },
-            isPublic: true,
-            isOpenToWork: true
-        }).select('skills firstName lastName email location');
-        
-        // Find matching students with ≥95% match
-        const matchedStudents = findMatchingStudentsForMaintenance(students, job.skillsRequired, 95);
-        
-        // Format matched candidates for storage
-        const formattedMatches = matchedStudents.map(match => ({
-            student: match.student,
-            matchPercentage: match.matchPercentage,
-            matchedAt: new Date()
-        }));
-        
-        // Update job with new matched candidates
-        const updatedJob = await Job.findByIdAndUpdate(
-            jobId,
-            { matchedCandidates: formattedMatches },
-            { new: true }
-        );
+        const previousMatches = job.matchedCandidates ? job.matchedCandidates.length : 0;
+        const matches = await refreshJobMatches(job);
+        const updatedJob = await Job.findById(jobId);
         
         return {
             success: true,
             job: updatedJob,
-            matchesFound: formattedMatches.length,
-            previousMatches: job.matchedCandidates ? job.matchedCandidates.length : 0
+            matchesFound: matches.length,
+            previousMatches
         };
         
     } catch (error) {
@@ -114,114 +45,38 @@ export const recalculateJobMatches = async (jobId) => {
 };
 
 /**
- * Recalculate matched candidates for all active jobs
- * @param {Object} options - Options for bulk recalculation
+ * Rebuild the skill match index and recalculate matched candidates for all active jobs.
+ * Regular updates happen incrementally when students or jobs change; use this for
+ * backfills (e.g. legacy jobs created before the index existed).
  * @returns {Object} - Result object with statistics
  */
-export const recalculateAllJobMatches = async (options = {}) => {
+export const recalculateAllJobMatches = async () => {
     try {
-        const { limit = 100, onlyActiveJobs = true, includeLegacyJobs = true } = options;
-        
-        // Build query filter
-        const filter = {
-            skillsRequired: { $exists: true, $ne: [] }
-        };
-        
-        if (onlyActiveJobs) {
-            filter.isActive = true;
-        }
-        
-        // If includeLegacyJobs is true, include jobs without matchedCandidates or with empty arrays
-        if (includeLegacyJobs) {
-            filter.$or = [
+        const legacyJobsFound = await Job.countDocuments({
+            isActive: true,
+            skillsRequired: { $exists: true, $ne: [] },
+            $or: [
                 { matchedCandidates: { $exists: false } },
-                { matchedCandidates: { $size: 0 } },
-                { matchedCandidates: { $exists: true } } // Include all jobs for recalculation
-            ];
-        }
-        
-        // Find jobs to update
-        const jobs = await Job.find(filter)
-            .limit(limit)
-            .select('_id jobTitle skillsRequired matchedCandidates');
-        
-        if (jobs.length === 0) {
-            return {
-                success: true,
-                message: 'No jobs found to recalculate',
-                stats: {
-                    totalJobs: 0,
-                    updated: 0,
-                    failed: 0,
-                    legacyJobsFound: 0
-                }
-            };
-        }
-        
-        // Fetch all active students once
-        const students = await Student.find({
-            skills: { $exists: true, $ne: [] },
-            isPublic: true,
-            isOpenToWork: true
-        }).select('skills firstName lastName email location');
-        
-        const stats = {
-            totalJobs: jobs.length,
-            updated: 0,
-            failed: 0,
-            totalMatchesFound: 0,
-            legacyJobsFound: 0,
-            errors: []
-        };
+                { matchedCandidates: { $size: 0 } }
+            ]
+        });
         
-        // Process each job
-        for (const job of jobs) {
-            try {
-                // Check if this is a legacy job
-                const isLegacyJob = !job.matchedCandidates || job.matchedCandidates.length === 0;
-                if (isLegacyJob) {
-                    stats.legacyJobsFound++;
-                    console.log(`Processing legacy job: ${job.jobTitle}`);
-                }
-                
-                // Find matching students with ≥95% match
-                const matchedStudents = findMatchingStudents(students, job.skillsRequired, 95);
-                
-                // Format matched candidates for storage
-                const formattedMatches = matchedStudents.map(match => ({
-                    student: match.student,
-                    matchPercentage: match.matchPercentage,
-                    matchedAt: new Date()
-                }));
-                
-                // Update job with new matched candidates
-                await Job.findByIdAndUpdate(job._id, {
-                    matchedCandidates: formattedMatches
-                });
-                
-                stats.updated++;
-                stats.totalMatchesFound += formattedMatches.length;
-                
-                const statusPrefix = isLegacyJob ? 'Migrated legacy job' : 'Updated job';
-                console.log(`${statusPrefix} ${job.jobTitle} with ${formattedMatches.length} matches`);
-                
-            } catch (jobError) {
-                console.error(`Error updating job ${job._id}:`, jobError);
-                stats.failed++;
-                stats.errors.push({
-                    jobId: job._id,
-                    jobTitle: job.jobTitle,
-                    error: jobError.message
-                });
-            }
-        }
+        const { studentsIndexed, jobsRefreshed, totalMatches } = await rebuildSkillMatchIndex();
         
-        const message = `Bulk recalculation completed. Updated ${stats.updated} jobs (${stats.legacyJobsFound} legacy jobs), failed ${stats.failed}`;
+        const message = `Rebuilt skill match index for ${studentsIndexed} students and updated ${jobsRefreshed} jobs (${legacyJobsFound} legacy jobs)`;
+        console.log(message);
         
         return {
             success: true,
             message,
-            stats
+            stats: {
+                totalJobs: jobsRefreshed,
+                updated: jobsRefreshed,
+                failed: 0,
+                totalMatchesFound: totalMatches,
+                legacyJobsFound,
+                studentsIndexed
+            }
         };
         
     } catch (error) {
@@ -324,7 +179,7 @@ export const getMatchingStatistics = async () => {
                     needsMigration: legacyJobs > 0,
                     legacyJobsCount: legacyJobs,
                     migrationRecommended: legacyJobs > 0 ? 
-                        "Run migration script: node scripts/migrate_existing_jobs.js" : 
+                        "Run: node scripts/build_skill_match_index.js" : 
                         "No migration needed"
                 }
             }
@@ -377,8 +232,8 @@ export const checkLegacyJobs = async () => {
                     skillsCount: job.skillsRequired?.length || 0
                 })),
                 recommendations: totalLegacyJobs > 0 ? [
-                    "Run the migration script: node scripts/migrate_existing_jobs.js",
-                    "Or use the maintenance utility: recalculateAllJobMatches({ includeLegacyJobs: true })",
+                    "Build the skill match index: node scripts/build_skill_match_index.js",
+                    "Or use the maintenance utility: recalculateAllJobMatches()",
                     "Consider running this during off-peak hours for large datasets"
                 ] : [
                     "All jobs are up to date with the matching system"
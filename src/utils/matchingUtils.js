@@ -0,0 +1,758 @@
+/**
+ * MATCHING UTILITIES
+ * 
+ * This module provides utility functions for calculating skill matches
+ * between students and job requirements with fuzzy search capabilities.
+ * 
+ * Features:
+ * - Calculate match percentage between student skills and job requirements,
+ *   weighted by required/nice-to-have skills and proficiency level gaps
+ * - Aliases and parent/child skills resolved through the shared skill taxonomy
+ * - Fuzzy search with typo tolerance and similarity scoring
+ * - Support for case-insensitive matching
+ * - Optimized for performance with large datasets
+ */
+
+import { getCanonicalSkillId, getSkillAncestors, getSkillRelation } from './skillTaxonomy.js';
+
+/**
+ * Default weights used when scoring student skills against job requirements
+ */
+const DEFAULT_MATCHING_OPTIONS = {
+    fuzzyThreshold: 0.85, // Higher threshold for stricter matching
+    exactMatchWeight: 1.0,
+    abbreviationMatchWeight: 0.98, // High weight for aliases of the same canonical skill
+    relatedMatchWeight: 0.9, // Parent/child skills in the taxonomy
+    partialMatchWeight: 0.85, // Good weight for partial skill name matches
+    fuzzyMatchWeight: 0.6, // Lower weight for fuzzy matches to prioritize exact names
+    levelGapPenalty: 0.35, // Score lost per proficiency level below the requirement
+    niceToHaveWeight: 0.5 // Nice-to-have skills count half as much as required ones
+};
+
+/**
+ * Proficiency levels used by Job.skillsRequired and Student.skillProficiencies, lowest first
+ */
+const PROFICIENCY_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+// Level assumed when a student has not recorded one (also the Job default)
+const DEFAULT_PROFICIENCY = 'Intermediate';
+
+/**
+ * Number of levels a student is below a required proficiency (0 when at or above it)
+ * @param {String} studentLevel
+ * @param {String} requiredLevel
+ * @returns {Number}
+ */
+const getProficiencyGap = (studentLevel, requiredLevel) => {
+    const studentIndex = PROFICIENCY_LEVELS.indexOf(studentLevel);
+    const requiredIndex = PROFICIENCY_LEVELS.indexOf(requiredLevel);
+    if (studentIndex === -1 || requiredIndex === -1) return 0;
+    return Math.max(0, requiredIndex - studentIndex);
+};
+
+/**
+ * Highest level backed by a student's own assessment or by evidence
+ * (completed courses, certifications)
+ * @param {Object} proficiency - Student.skillProficiencies entry
+ * @returns {String|null}
+ */
+const getEffectiveProficiency = (proficiency) => {
+    const levels = [proficiency?.level, ...(proficiency?.evidence || []).map(item => item.level)]
+        .filter(level => PROFICIENCY_LEVELS.includes(level));
+    if (levels.length === 0) return null;
+    return levels.reduce((highest, level) =>
+        PROFICIENCY_LEVELS.indexOf(level) > PROFICIENCY_LEVELS.indexOf(highest) ? level : highest
+    );
+};
+
+/**
+ * Build the skill entries used for scoring from a student document:
+ * each skill with its effective level and whether evidence backs it
+ * @param {Object} student - Student with skills and skillProficiencies
+ * @returns {Array<Object>} - [{ skill, level, verified }]
+ */
+const getStudentSkillProfile = (student) => {
+    const proficiencies = new Map(
+        (student?.skillProficiencies || []).map(item => [getCanonicalSkillId(item.skill), item])
+    );
+
+    return (student?.skills || []).map(skill => {
+        const proficiency = proficiencies.get(getCanonicalSkillId(skill));
+        return {
+            skill,
+            level: getEffectiveProficiency(proficiency),
+            verified: Boolean(proficiency?.evidence?.length)
+        };
+    });
+};
+
+/**
+ * Calculate Levenshtein distance between two strings
+ * Used for fuzzy matching to handle typos and similar spellings
+ */
+const calculateLevenshteinDistance = (str1, str2) => {
+    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
+    
+    for (let i = 0; i <= str1.length; i++) {
+        matrix[0][i] = i;
+    }
+    
+    for (let j = 0; j <= str2.length; j++) {
+        matrix[j][0] = j;
+    }
+    
+    for (let j = 1; j <= str2.length; j++) {
+        for (let i = 1; i <= str1.length; i++) {
+            const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+            matrix[j][i] = Math.min(
+                matrix[j][i - 1] + 1, // deletion
+                matrix[j - 1][i] + 1, // insertion
+                matrix[j - 1][i - 1] + indicator // substitution
+            );
+        }
+    }
+    
+    return matrix[str2.length][str1.length];
+};
+
+/**
+ * Calculate similarity score between two strings
+ * Returns a score between 0 and 1 (1 being identical)
+ */
+const calculateSimilarity = (str1, str2) => {
+    if (str1 === str2) return 1;
+    
+    const distance = calculateLevenshteinDistance(str1, str2);
+    const maxLength = Math.max(str1.length, str2.length);
+    
+    return 1 - (distance / maxLength);
+};
+
+/**
+ * Check if skills match with emphasis on skill name matching
+ * @param {String} studentSkill - Student's skill
+ * @param {String} jobSkill - Job requirement skill
+ * @param {Number} fuzzyThreshold - Minimum similarity score (0-1) for fuzzy match
+ * @returns {Object} - Match result with score and type
+ */
+const checkSkillMatch = (studentSkill, jobSkill, fuzzyThreshold = 0.85) => {
+    const normalizedStudentSkill = studentSkill.toLowerCase().trim();
+    const normalizedJobSkill = jobSkill.toLowerCase().trim();
+    
+    // Exact skill name match (highest priority)
+    if (normalizedStudentSkill === normalizedJobSkill) {
+        return { isMatch: true, score: 1.0, type: 'exact' };
+    }
+    
+    // Aliases of the same canonical skill in the taxonomy, e.g. "JS" and "JavaScript" (high priority)
+    if (getCanonicalSkillId(normalizedStudentSkill) === getCanonicalSkillId(normalizedJobSkill)) {
+        return { isMatch: true, score: 0.98, type: 'abbreviation' };
+    }
+    
+    // Parent/child skills in the taxonomy. Knowing a child skill (Express)
+    // largely covers its parent (JavaScript); the reverse only partly does.
+    const relation = getSkillRelation(normalizedStudentSkill, normalizedJobSkill);
+    if (relation === 'child') {
+        return { isMatch: true, score: 0.8, type: 'related' };
+    }
+    if (relation === 'parent') {
+        return { isMatch: true, score: 0.5, type: 'related' };
+    }
+    
+    // Skill name contains check (medium priority)
+    // This handles cases like "JavaScript ES6" containing "JavaScript"
+    if (normalizedStudentSkill.includes(normalizedJobSkill) || normalizedJobSkill.includes(normalizedStudentSkill)) {
+        const longerSkill = normalizedStudentSkill.length > normalizedJobSkill.length ? normalizedStudentSkill : normalizedJobSkill;
+        const shorterSkill = normalizedStudentSkill.length <= normalizedJobSkill.length ? normalizedStudentSkill : normalizedJobSkill;
+        
+        // Calculate score based on how much of the skill name matches
+        const score = shorterSkill.length / longerSkill.length;
+        if (score >= 0.7) { // At least 70% of the skill name should match
+            return { isMatch: true, score: 0.9 * score, type: 'partial' };
+        }
+    }
+    
+    // Fuzzy match for typos in skill names (lower priority)
+    const similarity = calculateSimilarity(normalizedStudentSkill, normalizedJobSkill);
+    if (similarity >= fuzzyThreshold) {
+        return { isMatch: true, score: similarity * 0.8, type: 'fuzzy' };
+    }
+    
+    return { isMatch: false, score: similarity, type: 'none' };
+};
+
+// Round to a fixed number of decimal places
+const roundTo = (value, decimals) => {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Normalize student skills given as names or { skill, level, verified } entries
+ */
+const toStudentSkillEntries = (studentSkills) => studentSkills
+    .map(item => {
+        const name = typeof item === 'string' ? item : item?.skill;
+        if (typeof name !== 'string' || !name.trim()) return null;
+        return {
+            name: name.trim(),
+            skill: name.toLowerCase().trim(),
+            level: typeof item === 'string' ? null : item.level || null,
+            verified: typeof item === 'string' ? false : Boolean(item.verified)
+        };
+    })
+    .filter(Boolean);
+
+/**
+ * Normalize job requirements given as names or Job.skillsRequired entries
+ */
+const toJobRequirements = (jobSkills, niceToHaveWeight) => jobSkills
+    .map(item => {
+        const name = typeof item === 'string' ? item : item?.skill;
+        if (typeof name !== 'string' || !name.trim()) return null;
+
+        const required = typeof item === 'string' ? true : item.required !== false;
+        const weight = typeof item !== 'string' && item.weight > 0 ? item.weight : 1;
+        return {
+            name: name.trim(),
+            skill: name.toLowerCase().trim(),
+            proficiency: (typeof item !== 'string' && item.proficiency) || DEFAULT_PROFICIENCY,
+            required,
+            weight: required ? weight : weight * niceToHaveWeight
+        };
+    })
+    .filter(Boolean);
+
+/**
+ * Score a student's skills against job requirements and explain each requirement.
+ * Each requirement is scored by its best matching student skill (name match
+ * weighted by match type, reduced for every level the student is below the
+ * required proficiency). Requirements are averaged by weight; nice-to-have
+ * skills count for `niceToHaveWeight` of their weight.
+ * @param {Array<String|Object>} studentSkills - Skill names or { skill, level, verified } (see getStudentSkillProfile)
+ * @param {Array<String|Object>} jobSkills - Skill names or { skill, proficiency, required, weight }
+ * @param {Object} options - Configuration options
+ * @returns {Object} - { matchPercentage, requirements: [...] }
+ */
+const calculateMatchBreakdown = (studentSkills, jobSkills, options = {}) => {
+    const {
+        fuzzyThreshold = 0.85, // Higher threshold for stricter matching
+        exactMatchWeight = 1.0,
+        abbreviationMatchWeight = 0.98, // High weight for aliases of the same canonical skill
+        relatedMatchWeight = 0.9, // Parent/child skills in the taxonomy
+        partialMatchWeight = 0.85, // Good weight for partial skill name matches
+        fuzzyMatchWeight = 0.6, // Lower weight for fuzzy matches to prioritize exact names
+        levelGapPenalty = 0.35, // Score lost per proficiency level below the requirement
+        niceToHaveWeight = 0.5 // Nice-to-have skills count half as much as required ones
+    } = options;
+
+    const typeWeights = {
+        exact: exactMatchWeight,
+        abbreviation: abbreviationMatchWeight,
+        related: relatedMatchWeight,
+        partial: partialMatchWeight,
+        fuzzy: fuzzyMatchWeight
+    };
+
+    if (!Array.isArray(studentSkills) || !Array.isArray(jobSkills)) {
+        return { matchPercentage: 0, requirements: [] };
+    }
+
+    const studentEntries = toStudentSkillEntries(studentSkills);
+    const requirements = toJobRequirements(jobSkills, niceToHaveWeight);
+    if (requirements.length === 0) {
+        return { matchPercentage: 0, requirements: [] };
+    }
+
+    let totalScore = 0;
+    let totalWeight = 0;
+
+    const details = requirements.map(requirement => {
+        let best = null;
+
+        // Find the best matching student skill for this job requirement
+        for (const entry of studentEntries) {
+            const match = checkSkillMatch(entry.skill, requirement.skill, fuzzyThreshold);
+            if (!match.isMatch) continue;
+
+            const studentLevel = entry.level || DEFAULT_PROFICIENCY;
+            const levelGap = getProficiencyGap(studentLevel, requirement.proficiency);
+            const levelFactor = Math.max(0, 1 - levelGap * levelGapPenalty);
+            const score = match.score * (typeWeights[match.type] ?? 1) * levelFactor;
+
+            if (!best || score > best.score) {
+                best = { entry, match, levelGap, levelFactor, score };
+            }
+        }
+
+        totalWeight += requirement.weight;
+        totalScore += (best?.score || 0) * requirement.weight;
+
+        return {
+            skill: requirement.name,
+            requiredLevel: requirement.proficiency,
+            required: requirement.required,
+            weight: requirement.weight,
+            matched: Boolean(best),
+            matchedSkill: best?.entry.name || null,
+            matchType: best?.match.type || 'none',
+            nameScore: roundTo(best?.match.score || 0, 2),
+            studentLevel: best ? (best.entry.level || null) : null,
+            levelGap: best?.levelGap || 0,
+            levelFactor: roundTo(best?.levelFactor ?? 0, 2),
+            verified: best?.entry.verified || false,
+            score: roundTo(best?.score || 0, 2),
+            rawScore: best?.score || 0
+        };
+    });
+
+    // Each requirement's share of the final percentage (they add up to matchPercentage)
+    details.forEach(detail => {
+        detail.contribution = roundTo((detail.rawScore * detail.weight / totalWeight) * 100, 2);
+        delete detail.rawScore;
+    });
+
+    // Calculate percentage based on weighted job requirements, rounded to 2 decimal places
+    const matchPercentage = roundTo((totalScore / totalWeight) * 100, 2);
+    return { matchPercentage, requirements: details };
+};
+
+/**
+ * Calculate the match percentage between student skills and job required skills with fuzzy search
+ * @param {Array<String|Object>} studentSkills - Student's skills (names or { skill, level, verified })
+ * @param {Array<Object>} jobSkills - Array of job's required skills (objects with skill property)
+ * @param {Object} options - Configuration options
+ * @returns {Number} - Match percentage (0-100)
+ */
+const calculateMatchPercentage = (studentSkills, jobSkills, options = {}) => {
+    try {
+        return calculateMatchBreakdown(studentSkills, jobSkills, options).matchPercentage;
+    } catch (error) {
+        console.error('Error calculating match percentage:', error);
+        return 0;
+    }
+};
+
+/**
+ * Collect the skills a student is missing (or below the required level in)
+ * across several jobs. Skills only covered through a parent/child skill count
+ * as missing. Each gap records how many match percentage points
+ * closing it would add, summed over the jobs that need it.
+ * @param {Array<String|Object>} studentSkills - Skill names or { skill, level, verified } (see getStudentSkillProfile)
+ * @param {Array<Object>} jobs - Jobs with _id, jobTitle and skillsRequired
+ * @param {Object} options - Configuration options (see calculateMatchBreakdown)
+ * @returns {Array<Object>} - [{ skill, skillId, requiredLevel, studentLevel, missing, potentialGain, jobs }], biggest gain first
+ */
+const collectSkillGaps = (studentSkills, jobs, options = {}) => {
+    const gaps = new Map();
+
+    (jobs || []).forEach(job => {
+        const { matchPercentage, requirements } = calculateMatchBreakdown(studentSkills, job.skillsRequired, options);
+        const totalWeight = requirements.reduce((sum, item) => sum + item.weight, 0);
+        if (totalWeight === 0) return;
+
+        requirements
+            .filter(item => !item.matched || item.matchType === 'related' || item.levelGap > 0)
+            .forEach(item => {
+                const skillId = getCanonicalSkillId(item.skill);
+                // A parent/child skill only earns partial credit; the skill itself is still missing
+                const hasSkill = item.matched && item.matchType !== 'related';
+                // Points the job's match would gain if this requirement scored fully
+                const gain = (item.weight / totalWeight) * 100 - item.contribution;
+
+                let gap = gaps.get(skillId);
+                if (!gap) {
+                    gap = {
+                        skill: item.skill,
+                        skillId,
+                        requiredLevel: item.requiredLevel,
+                        studentLevel: hasSkill ? (item.studentLevel || DEFAULT_PROFICIENCY) : null,
+                        missing: !hasSkill,
+                        potentialGain: 0,
+                        jobs: []
+                    };
+                    gaps.set(skillId, gap);
+                }
+
+                if (getProficiencyGap(gap.requiredLevel, item.requiredLevel) > 0) {
+                    gap.requiredLevel = item.requiredLevel;
+                }
+                if (gap.missing && hasSkill) {
+                    gap.missing = false;
+                    gap.studentLevel = item.studentLevel || DEFAULT_PROFICIENCY;
+                }
+                gap.potentialGain += gain;
+                gap.jobs.push({
+                    _id: job._id,
+                    jobTitle: job.jobTitle,
+                    matchPercentage,
+                    potentialGain: roundTo(gain, 2)
+                });
+            });
+    });
+
+    return Array.from(gaps.values())
+        .map(gap => ({ ...gap, potentialGain: roundTo(gap.potentialGain, 2) }))
+        .sort((a, b) => b.potentialGain - a.potentialGain);
+};
+
+/**
+ * Rank courses by how much of the student's skill gaps they close. A course
+ * teaching a gap skill earns the gap's potential gain, reduced by
+ * `levelGapPenalty` per level the course stays below the required level.
+ * Courses that only teach skills the student already has at that level earn nothing.
+ * @param {Array<Object>} courses - Courses with skills and level
+ * @param {Array<Object>} gaps - Result of collectSkillGaps
+ * @param {Object} options - { levelGapPenalty }
+ * @returns {Array<Object>} - [{ course, score, closesSkills, jobs }], best first
+ */
+const rankCoursesForSkillGaps = (courses, gaps, options = {}) => {
+    const { levelGapPenalty = DEFAULT_MATCHING_OPTIONS.levelGapPenalty } = options;
+    const gapsById = new Map((gaps || []).map(gap => [gap.skillId, gap]));
+
+    return (courses || [])
+        .map(course => {
+            const courseLevel = course.level || PROFICIENCY_LEVELS[0];
+            const closesSkills = [];
+            const jobs = new Map();
+            let score = 0;
+
+            new Set((course.skills || []).map(skill => getCanonicalSkillId(skill))).forEach(skillId => {
+                const gap = gapsById.get(skillId);
+                if (!gap) return;
+                // Skills the student already has only improve if the course goes beyond their level
+                if (!gap.missing && getProficiencyGap(gap.studentLevel, courseLevel) === 0) return;
+
+                const levelFactor = Math.max(0, 1 - getProficiencyGap(courseLevel, gap.requiredLevel) * levelGapPenalty);
+                score += gap.potentialGain * levelFactor;
+                closesSkills.push({
+                    skill: gap.skill,
+                    requiredLevel: gap.requiredLevel,
+                    courseLevel,
+                    reachesRequiredLevel: levelFactor === 1
+                });
+                gap.jobs.forEach(job => jobs.set(String(job._id), { _id: job._id, jobTitle: job.jobTitle }));
+            });
+
+            return { course, score: roundTo(score, 2), closesSkills, jobs: Array.from(jobs.values()) };
+        })
+        .filter(item => item.score > 0)
+        .sort((a, b) => b.score - a.score || (b.course.currentEnrollments || 0) - (a.course.currentEnrollments || 0));
+};
+
+/**
+ * Find matching students for a specific job based on skill names
+ * @param {Array<Object>} students - Array of student objects with skills
+ * @param {Array<Object>} jobSkills - Array of job's required skills
+ * @param {Number} minMatchPercentage - Minimum match percentage required (default: 30 for better skill name matching)
+ * @param {Object} fuzzyOptions - Fuzzy search configuration options
+ * @returns {Array<Object>} - Array of matching students with match percentages
+ */
+const findMatchingStudents = (students, jobSkills, minMatchPercentage = 30, fuzzyOptions = {}) => {
+    try {
+        if (!Array.isArray(students) || !Array.isArray(jobSkills)) {
+            return [];
+        }
+        
+        const matchingStudents = [];
+        
+        for (const student of students) {
+            if (!student.skills || !Array.isArray(student.skills)) {
+                continue;
+            }
+            
+            const matchPercentage = calculateMatchPercentage(getStudentSkillProfile(student), jobSkills, fuzzyOptions);
+            
+            if (matchPercentage >= minMatchPercentage) {
+                matchingStudents.push({
+                    student: student._id,
+                    matchPercentage,
+                    studentData: student
+                });
+            }
+        }
+        
+        // Sort by match percentage (highest first)
+        return matchingStudents.sort((a, b) => b.matchPercentage - a.matchPercentage);
+        
+    } catch (error) {
+        console.error('Error finding matching students:', error);
+        return [];
+    }
+};
+
+/**
+ * Filter students by minimum match percentage
+ * @param {Array<Object>} matchedStudents - Array of students with match percentages
+ * @param {Number} minPercentage - Minimum percentage to filter by
+ * @returns {Array<Object>} - Filtered array of students
+ */
+const filterByMatchPercentage = (matchedStudents, minPercentage) => {
+    try {
+        if (!Array.isArray(matchedStudents) || typeof minPercentage !== 'number') {
+            return [];
+        }
+        
+        return matchedStudents.filter(match => match.matchPercentage >= minPercentage);
+        
+    } catch (error) {
+        console.error('Error filtering by match percentage:', error);
+        return [];
+    }
+};
+
+/**
+ * Perform fuzzy text search on a string
+ * @param {String} searchTerm - The term to search for
+ * @param {String} targetText - The text to search in
+ * @param {Number} threshold - Similarity threshold (0-1)
+ * @returns {Boolean} - Whether the search term matches the target text
+ */
+const fuzzyTextSearch = (searchTerm, targetText, threshold = 0.6) => {
+    try {
+        if (!searchTerm || !targetText) {
+            return false;
+        }
+        
+        const normalizedSearchTerm = searchTerm.toLowerCase().trim();
+        const normalizedTargetText = targetText.toLowerCase().trim();
+        
+        // Exact match
+        if (normalizedTargetText.includes(normalizedSearchTerm)) {
+            return true;
+        }
+        
+        // Split search term into words for partial matching
+        const searchWords = normalizedSearchTerm.split(/\s+/);
+        
+        // Check if all search words have fuzzy matches in target text
+        return searchWords.every(word => {
+            if (word.length < 2) return true; // Skip very short words
+            
+            // Check for partial word matches
+            const targetWords = normalizedTargetText.split(/\s+/);
+            
+            return targetWords.some(targetWord => {
+                if (targetWord.includes(word) || word.includes(targetWord)) {
+                    return true;
+                }
+                
+                // Calculate similarity for fuzzy matching
+                const similarity = calculateSimilarity(word, targetWord);
+                return similarity >= threshold;
+            });
+        });
+        
+    } catch (error) {
+        console.error('Error in fuzzy text search:', error);
+        return false;
+    }
+};
+
+/**
+ * Apply fuzzy filters to a collection based on search criteria
+ * @param {Array<Object>} items - Array of items to filter
+ * @param {Object} filters - Filter criteria with fuzzy search support
+ * @param {Object} options - Configuration options
+ * @returns {Array<Object>} - Filtered array of items
+ */
+const fuzzyFilter = (items, filters, options = {}) => {
+    try {
+        const {
+            fuzzyThreshold = 0.6,
+            enableFuzzySearch = true,
+            caseSensitive = false
+        } = options;
+        
+        if (!Array.isArray(items)) {
+            return [];
+        }
+        
+        if (!filters || Object.keys(filters).length === 0) {
+            return items;
+        }
+        
+        return items.filter(item => {
+            return Object.entries(filters).every(([key, searchValue]) => {
+                if (searchValue === undefined || searchValue === null || searchValue === '') {
+                    return true; // Skip empty filters
+                }
+                
+                const itemValue = item[key];
+                
+                if (itemValue === undefined || itemValue === null) {
+                    return false;
+                }
+                
+                // Handle array values (like skills)
+                if (Array.isArray(itemValue)) {
+                    const searchArray = Array.isArray(searchValue) ? searchValue : [searchValue];
+                    
+                    return searchArray.some(searchItem => {
+                        return itemValue.some(itemElement => {
+                            const itemStr = String(itemElement);
+                            const searchStr = String(searchItem);
+                            
+                            if (!enableFuzzySearch) {
+                                return caseSensitive ? 
+                                    itemStr.includes(searchStr) : 
+                                    itemStr.toLowerCase().includes(searchStr.toLowerCase());
+                            }
+                            
+                            return fuzzyTextSearch(searchStr, itemStr, fuzzyThreshold);
+                        });
+                    });
+                }
+                
+                // Handle string/number values
+                const itemStr = String(itemValue);
+                const searchStr = String(searchValue);
+                
+                if (!enableFuzzySearch) {
+                    return caseSensitive ? 
+                        itemStr.includes(searchStr) : 
+                        itemStr.toLowerCase().includes(searchStr.toLowerCase());
+                }
+                
+                return fuzzyTextSearch(searchStr, itemStr, fuzzyThreshold);
+            });
+        });
+        
+    } catch (error) {
+        console.error('Error in fuzzy filter:', error);
+        return items;
+    }
+};
+
+/**
+ * Get the match index keys for a skill name.
+ * A skill is indexed under its canonical skill ID, the IDs of its ancestors in
+ * the taxonomy and the canonical ID of each word it contains, so
+ * "JavaScript ES6" can be found from "JS" and "Express" from "JavaScript".
+ * Typos are not indexed; those only match once a student and job already
+ * share another key.
+ * @param {String} skill - Skill name
+ * @returns {Array<String>} - Unique index keys
+ */
+const getSkillIndexKeys = (skill) => {
+    if (!skill || typeof skill !== 'string') {
+        return [];
+    }
+
+    const normalized = skill.toLowerCase().trim();
+    if (!normalized) {
+        return [];
+    }
+
+    const canonicalId = getCanonicalSkillId(normalized);
+    const keys = new Set([canonicalId, ...getSkillAncestors(canonicalId)]);
+
+    normalized.split(/[\s,/]+/).forEach(word => {
+        if (word.length < 2) return;
+        keys.add(getCanonicalSkillId(word));
+    });
+
+    return Array.from(keys);
+};
+
+/**
+ * Get the match index entries for a list of skills (strings or { skill } objects).
+ * The canonical ID of each skill is a primary key; its ancestors and words are
+ * broad keys, e.g. "javascript" for "Express" or "management" for "Project
+ * Management". Candidates are only looked up through keys that are primary on
+ * at least one side, so a broad key never lists everyone who has a related skill.
+ * @param {Array<String|Object>} skills
+ * @returns {Array<Object>} - { key, primary }, one per unique key
+ */
+const getSkillListIndexEntries = (skills) => {
+    if (!Array.isArray(skills)) {
+        return [];
+    }
+
+    const primaryKeys = new Set();
+    const keys = new Set();
+    skills.forEach(item => {
+        const name = typeof item === 'string' ? item : item?.skill;
+        const skillKeys = getSkillIndexKeys(name);
+        if (skillKeys.length === 0) return;
+
+        primaryKeys.add(getCanonicalSkillId(name.toLowerCase().trim()));
+        skillKeys.forEach(key => keys.add(key));
+    });
+    return Array.from(keys, key => ({ key, primary: primaryKeys.has(key) }));
+};
+
+/**
+ * Score the candidates of a job and keep the ones at or above the threshold,
+ * best match first. Candidates matched before keep their original matchedAt.
+ * @param {Array<Object>} students - Student documents (skills, skillProficiencies)
+ * @param {Array} requiredSkills - job.skillsRequired
+ * @param {Object} options
+ * @param {Array<Object>} options.previousMatches - job.matchedCandidates
+ * @param {Number} options.threshold - Minimum match percentage kept
+ * @param {Date} options.now - matchedAt of new matches
+ * @returns {Array<Object>} - [{ student, matchPercentage, matchedAt }]
+ */
+const scoreJobCandidates = (students, requiredSkills, { previousMatches = [], threshold = 0, now = new Date() } = {}) => {
+    const previousMatchDates = new Map(
+        previousMatches.map(match => [match.student.toString(), match.matchedAt])
+    );
+
+    return students
+        .map(student => ({
+            student: student._id,
+            matchPercentage: calculateMatchPercentage(getStudentSkillProfile(student), requiredSkills, DEFAULT_MATCHING_OPTIONS),
+            matchedAt: previousMatchDates.get(student._id.toString()) || now
+        }))
+        .filter(match => match.matchPercentage >= threshold)
+        .sort((a, b) => b.matchPercentage - a.matchPercentage);
+};
+
+/**
+ * Compare a student with the jobs sharing a skill with them: the jobs they
+ * match at or above the threshold, and whether each match is new to the job.
+ * Jobs left out of the result should no longer list the student.
+ * @param {Object} student - Student document (skills, skillProficiencies)
+ * @param {Array<Object>} jobs - Jobs (skillsRequired, matchedCandidates)
+ * @param {Object} options
+ * @param {Number} options.threshold - Minimum match percentage kept
+ * @param {Date} options.now - matchedAt of new matches
+ * @returns {Array<Object>} - [{ job, matchPercentage, matchedAt, isNew }]
+ */
+const diffStudentMatches = (student, jobs, { threshold = 0, now = new Date() } = {}) => {
+    const profile = getStudentSkillProfile(student);
+    const studentId = student._id.toString();
+
+    return jobs.reduce((matches, job) => {
+        const matchPercentage = calculateMatchPercentage(profile, job.skillsRequired, DEFAULT_MATCHING_OPTIONS);
+        if (matchPercentage < threshold) return matches;
+
+        const existing = (job.matchedCandidates || []).find(match => match.student.toString() === studentId);
+        matches.push({ job: job._id, matchPercentage, matchedAt: existing?.matchedAt || now, isNew: !existing });
+        return matches;
+    }, []);
+};
+
+export {
+    PROFICIENCY_LEVELS,
+    DEFAULT_PROFICIENCY,
+    DEFAULT_MATCHING_OPTIONS,
+    getProficiencyGap,
+    getEffectiveProficiency,
+    getStudentSkillProfile,
+    calculateLevenshteinDistance,
+    calculateSimilarity,
+    checkSkillMatch,
+    calculateMatchBreakdown,
+    calculateMatchPercentage,
+    collectSkillGaps,
+    rankCoursesForSkillGaps,
+    findMatchingStudents,
+    filterByMatchPercentage,
+    fuzzyTextSearch,
+    fuzzyFilter,
+    getSkillIndexKeys,
+    getSkillListIndexEntries,
+    scoreJobCandidates,
+    diffStudentMatches
+};
@@ -0,0 +1,78 @@
+/**
+ * PAYOUT STATEMENTS
+ *
+ * Institutes are paid out once per calendar month (UTC). A statement covers
+ * the revenue ledger entries of one month: sales, refunds, the platform
+ * commission and what is owed to the institute. Refunds count in the month
+ * they are made, so a settled statement never changes afterwards.
+ */
+
+// Statuses of a payout statement
+const PAYOUT_STATUSES = ['pending', 'settled'];
+
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const monthPeriod = (year, month) => ({
+    periodStart: new Date(Date.UTC(year, month, 1)),
+    periodEnd: new Date(Date.UTC(year, month + 1, 1))
+});
+
+/**
+ * Statement period containing a date, or named as "YYYY-MM"
+ * @param {Date|String} value - Date, or month as "YYYY-MM"
+ * @returns {Object|null} - { periodStart, periodEnd } (end exclusive), or null when invalid
+ */
+const getStatementPeriod = value => {
+    if (typeof value === 'string') {
+        const match = PERIOD_PATTERN.exec(value);
+        return match ? monthPeriod(Number(match[1]), Number(match[2]) - 1) : null;
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    return monthPeriod(date.getUTCFullYear(), date.getUTCMonth());
+};
+
+/**
+ * The last full period before a date
+ * @param {Date} now
+ * @returns {Object} - { periodStart, periodEnd }
+ */
+const getPreviousPeriod = (now = new Date()) =>
+    monthPeriod(now.getUTCFullYear(), now.getUTCMonth() - 1);
+
+/**
+ * Short name of a period, as accepted by getStatementPeriod
+ * @param {Date} periodStart
+ * @returns {String} - e.g. "2026-03"
+ */
+const formatPeriod = periodStart => new Date(periodStart).toISOString().slice(0, 7);
+
+// Text a spreadsheet would run as a formula; plain (negative) numbers are left as they are
+const isFormula = text => /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text);
+
+// Quote a CSV field when it contains a separator, quote or line break,
+// and prefix formulas with ' so spreadsheets show them as text
+const escapeCsvField = value => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (isFormula(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array<String>} headers - Column names
+ * @param {Array<Array>} rows - One array of values per row
+ * @returns {String}
+ */
+const toCsv = (headers, rows) =>
+    [headers, ...rows].map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+
+export {
+    PAYOUT_STATUSES,
+    getStatementPeriod,
+    getPreviousPeriod,
+    formatPeriod,
+    toCsv
+};
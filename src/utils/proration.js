@@ -0,0 +1,147 @@
+/**
+ * PLAN CHANGE PRORATION
+ *
+ * When a subscriber switches plans mid-period, the unused part of what they
+ * paid for the current period is credited against the new plan. The remaining
+ * share of the billing period is measured in time, so switching halfway
+ * through a month credits half of what was paid, discounts included.
+ */
+
+// Stripe will not charge less than this; smaller differences are waived
+const MIN_CHARGE_AMOUNT = 0.5;
+
+const PLAN_CHANGE_TIMINGS = ['immediately', 'period_end'];
+
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Start and end of a billing period for a plan, as createSubscription sets them
+ * @param {String} billingCycle - "monthly" or "onetime"
+ * @param {Date} startDate
+ * @returns {Object} - { startDate, endDate, nextBillingDate }
+ */
+const getBillingPeriod = (billingCycle, startDate = new Date()) => {
+    const endDate = new Date(startDate);
+    if (billingCycle === 'monthly') {
+        endDate.setMonth(endDate.getMonth() + 1);
+        return { startDate, endDate, nextBillingDate: endDate };
+    }
+    // One-time plans do not renew
+    endDate.setFullYear(endDate.getFullYear() + 10);
+    return { startDate, endDate, nextBillingDate: null };
+};
+
+/**
+ * Share of the billing period still ahead, between 0 and 1
+ * @param {Date} periodStart
+ * @param {Date} periodEnd
+ * @param {Date} now
+ * @returns {Number}
+ */
+const getRemainingFraction = (periodStart, periodEnd, now = new Date()) => {
+    const total = new Date(periodEnd).getTime() - new Date(periodStart).getTime();
+    if (!(total > 0)) return 0;
+    const remaining = new Date(periodEnd).getTime() - now.getTime();
+    return Math.min(1, Math.max(0, remaining / total));
+};
+
+/**
+ * What the subscriber paid for the current billing period
+ * @param {Object} billing - subscription.billing
+ * @param {Array} payments - subscription.payments
+ * @param {Number} fallbackPrice - Current plan price, when no payment of the period is found
+ * @returns {Number}
+ */
+const getPeriodAmountPaid = (billing = {}, payments = [], fallbackPrice = 0) => {
+    if (billing.amountPaid != null) return billing.amountPaid;
+
+    // Subscriptions paid before the amount was recorded: the last payment made in the period
+    const periodStart = new Date(billing.startDate).getTime();
+    const payment = [...payments].reverse().find(({ status, paymentDate }) =>
+        status === 'completed' && new Date(paymentDate).getTime() >= periodStart
+    );
+    return payment ? payment.amount : fallbackPrice;
+};
+
+/**
+ * Price an immediate plan change
+ * @param {Object} params
+ * @param {Number} params.currentPrice - Amount paid for the current period (see getPeriodAmountPaid)
+ * @param {Number} params.newPrice - Price of the new plan per period
+ * @param {Date} params.periodStart - billing.startDate
+ * @param {Date} params.periodEnd - billing.endDate
+ * @param {Boolean} params.restartPeriod - The new plan starts a full period now (billing cycle changes)
+ * @param {Number} params.creditBalance - Credit already held by the subscriber
+ * @param {Date} params.now
+ * @returns {Object} - { remainingFraction, unusedCredit, newPlanCost, difference, creditApplied, amountToCharge, creditBalance }
+ */
+const calculateProration = ({
+    currentPrice,
+    newPrice,
+    periodStart,
+    periodEnd,
+    restartPeriod = false,
+    creditBalance = 0,
+    now = new Date()
+}) => {
+    const remainingFraction = getRemainingFraction(periodStart, periodEnd, now);
+    const unusedCredit = roundCurrency(Math.max(0, currentPrice) * remainingFraction);
+    const newPlanCost = roundCurrency(Math.max(0, newPrice) * (restartPeriod ? 1 : remainingFraction));
+
+    // Positive: the subscriber owes this much; negative: it is owed to them
+    const difference = roundCurrency(newPlanCost - unusedCredit);
+    const available = roundCurrency(Math.max(0, creditBalance));
+
+    let creditApplied = 0;
+    let amountToCharge = 0;
+    let balance = available;
+
+    if (difference > 0) {
+        creditApplied = Math.min(available, difference);
+        amountToCharge = roundCurrency(difference - creditApplied);
+        if (amountToCharge < MIN_CHARGE_AMOUNT) amountToCharge = 0;
+        balance = roundCurrency(available - creditApplied);
+    } else {
+        balance = roundCurrency(available - difference);
+    }
+
+    return {
+        remainingFraction: Math.round(remainingFraction * 10000) / 10000,
+        unusedCredit,
+        newPlanCost,
+        difference,
+        creditApplied,
+        amountToCharge,
+        creditBalance: balance
+    };
+};
+
+/**
+ * Split a renewal price between held credit and a card charge
+ * @param {Number} price - Plan price for the period
+ * @param {Number} creditBalance - Credit held by the subscriber
+ * @returns {Object} - { creditApplied, amountToCharge, creditBalance }
+ */
+const applyCreditToRenewal = (price, creditBalance = 0) => {
+    const available = roundCurrency(Math.max(0, creditBalance));
+    const creditApplied = Math.min(available, roundCurrency(price));
+    let amountToCharge = roundCurrency(price - creditApplied);
+    if (amountToCharge < MIN_CHARGE_AMOUNT) amountToCharge = 0;
+
+    return {
+        creditApplied,
+        amountToCharge,
+        creditBalance: roundCurrency(available - creditApplied)
+    };
+};
+
+export {
+    MIN_CHARGE_AMOUNT,
+    PLAN_CHANGE_TIMINGS,
+    roundCurrency,
+    getBillingPeriod,
+    getRemainingFraction,
+    getPeriodAmountPaid,
+    calculateProration,
+    applyCreditToRenewal
+};
@@ -0,0 +1,213 @@
+/**
+ * QUIZ GRADING
+ *
+ * Validates question bank entries and auto-grades quiz attempts. Multiple
+ * choice, true/false and short answer questions score all or nothing;
+ * multi-select questions earn a share of their points for each correct option
+ * chosen, less one share per wrong option, never below zero.
+ */
+
+const QUESTION_TYPES = ['multiple_choice', 'multi_select', 'short_answer', 'true_false'];
+
+const CHOICE_QUESTION_TYPES = ['multiple_choice', 'multi_select'];
+
+const ATTEMPT_STATUSES = ['in_progress', 'submitted', 'expired'];
+
+// Submissions arriving this long after the time limit are still accepted (network latency)
+const SUBMISSION_GRACE_SECONDS = 30;
+
+const roundScore = value => Math.round(value * 100) / 100;
+
+const questionPoints = question => question.points ?? 1;
+
+/**
+ * Normalize a short answer for comparison: case, surrounding and repeated whitespace are ignored
+ * @param {*} value
+ * @returns {String}
+ */
+const normalizeTextAnswer = value => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Validate a question bank entry
+ * @param {Object} question - { type, prompt, options, correctAnswer, acceptedAnswers, points }
+ * @returns {String|null} - Error message, or null when valid
+ */
+const validateQuestion = (question) => {
+    if (!QUESTION_TYPES.includes(question.type)) {
+        return `type must be one of: ${QUESTION_TYPES.join(', ')}`;
+    }
+    if (typeof question.prompt !== 'string' || !question.prompt.trim()) {
+        return 'prompt is required';
+    }
+    if (question.points !== undefined && !(Number(question.points) > 0)) {
+        return 'points must be a positive number';
+    }
+
+    if (CHOICE_QUESTION_TYPES.includes(question.type)) {
+        const options = question.options;
+        if (!Array.isArray(options) || options.length < 2) {
+            return 'Choice questions need at least two options';
+        }
+        if (options.some(option => typeof option?.text !== 'string' || !option.text.trim())) {
+            return 'Every option needs text';
+        }
+        const correctCount = options.filter(option => option.isCorrect === true).length;
+        if (question.type === 'multiple_choice' && correctCount !== 1) {
+            return 'Multiple choice questions need exactly one correct option';
+        }
+        if (question.type === 'multi_select' && correctCount < 1) {
+            return 'Multi-select questions need at least one correct option';
+        }
+    }
+
+    if (question.type === 'true_false' && typeof question.correctAnswer !== 'boolean') {
+        return 'correctAnswer must be true or false';
+    }
+
+    if (question.type === 'short_answer') {
+        const accepted = Array.isArray(question.acceptedAnswers) ? question.acceptedAnswers : [];
+        if (!accepted.some(answer => normalizeTextAnswer(answer))) {
+            return 'Short answer questions need at least one accepted answer';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Convert a submitted answer to the shape stored on the attempt
+ * @param {Object} question - Question being answered
+ * @param {*} answer - Option ID (multiple choice), option IDs (multi-select), boolean (true/false) or text (short answer)
+ * @returns {Object} - { selectedOptions, booleanAnswer, textAnswer }
+ */
+const toStoredAnswer = (question, answer) => {
+    if (CHOICE_QUESTION_TYPES.includes(question.type)) {
+        const ids = (Array.isArray(answer) ? answer : [answer])
+            .filter(id => id !== undefined && id !== null && id !== '')
+            .map(String);
+        const unique = [...new Set(ids)];
+        return { selectedOptions: question.type === 'multiple_choice' ? unique.slice(0, 1) : unique };
+    }
+    if (question.type === 'true_false') {
+        if (answer === true || answer === 'true') return { booleanAnswer: true };
+        if (answer === false || answer === 'false') return { booleanAnswer: false };
+        return {};
+    }
+    return answer === undefined || answer === null ? {} : { textAnswer: String(answer).trim() };
+};
+
+/**
+ * Grade one stored answer
+ * @param {Object} question - Question with its correct answer
+ * @param {Object} stored - { selectedOptions, booleanAnswer, textAnswer }
+ * @returns {Object} - { isCorrect, pointsAwarded }
+ */
+const gradeAnswer = (question, stored = {}) => {
+    const points = questionPoints(question);
+    const selected = (stored.selectedOptions || []).map(String);
+    let fraction = 0;
+
+    if (CHOICE_QUESTION_TYPES.includes(question.type)) {
+        const correct = new Set(
+            (question.options || []).filter(option => option.isCorrect).map(option => String(option._id))
+        );
+        const right = selected.filter(id => correct.has(id)).length;
+        const wrong = selected.length - right;
+
+        if (question.type === 'multiple_choice') {
+            fraction = selected.length === 1 && right === 1 ? 1 : 0;
+        } else if (correct.size > 0) {
+            fraction = Math.max(0, (right - wrong) / correct.size);
+        }
+    } else if (question.type === 'true_false') {
+        fraction = stored.booleanAnswer === question.correctAnswer ? 1 : 0;
+    } else if (question.type === 'short_answer') {
+        const given = normalizeTextAnswer(stored.textAnswer);
+        const accepted = (question.acceptedAnswers || []).map(normalizeTextAnswer);
+        fraction = given && accepted.includes(given) ? 1 : 0;
+    }
+
+    return { isCorrect: fraction === 1, pointsAwarded: roundScore(points * fraction) };
+};
+
+/**
+ * Grade a quiz attempt
+ * @param {Array<Object>} questions - Questions served in the attempt, in order
+ * @param {Array<Object>} responses - Submitted answers ({ question, answer }); unanswered questions score zero
+ * @param {Number} passMark - Percentage needed to pass (0-100)
+ * @returns {Object} - { answers, score, maxScore, percentage, passed }
+ */
+const gradeAttempt = (questions, responses = [], passMark = 0) => {
+    const responseByQuestion = new Map(
+        responses.filter(response => response?.question).map(response => [String(response.question), response.answer])
+    );
+
+    const answers = questions.map(question => {
+        const stored = toStoredAnswer(question, responseByQuestion.get(String(question._id)));
+        return { question: question._id, ...stored, ...gradeAnswer(question, stored) };
+    });
+
+    const score = roundScore(answers.reduce((sum, answer) => sum + answer.pointsAwarded, 0));
+    const maxScore = roundScore(questions.reduce((sum, question) => sum + questionPoints(question), 0));
+    const percentage = maxScore > 0 ? roundScore((score / maxScore) * 100) : 0;
+
+    return { answers, score, maxScore, percentage, passed: maxScore > 0 && percentage >= passMark };
+};
+
+/**
+ * Choose the questions served in a new attempt
+ * @param {Array} questionIds - Question IDs of the quiz, in their configured order
+ * @param {Object} options - { questionCount, shuffle, random }
+ * @returns {Array} - Question IDs; a random draw of questionCount when set, shuffled when requested
+ */
+const pickQuizQuestions = (questionIds, { questionCount, shuffle = false, random = Math.random } = {}) => {
+    const shuffled = [...questionIds];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    const drawn = questionCount && questionCount < questionIds.length ? shuffled.slice(0, questionCount) : shuffled;
+    if (shuffle) return drawn;
+
+    const kept = new Set(drawn.map(String));
+    return questionIds.filter(id => kept.has(String(id)));
+};
+
+/**
+ * Whether an attempt's time limit (plus grace period) has passed
+ * @param {Object} attempt - { expiresAt }
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const isAttemptOverdue = (attempt, now = new Date()) =>
+    Boolean(attempt.expiresAt) && now.getTime() > new Date(attempt.expiresAt).getTime() + SUBMISSION_GRACE_SECONDS * 1000;
+
+/**
+ * Question as shown to a student taking the quiz, without the answers
+ * @param {Object} question
+ * @returns {Object}
+ */
+const toStudentQuestion = (question) => ({
+    _id: question._id,
+    type: question.type,
+    prompt: question.prompt,
+    points: questionPoints(question),
+    ...(CHOICE_QUESTION_TYPES.includes(question.type) && {
+        options: (question.options || []).map(option => ({ _id: option._id, text: option.text }))
+    })
+});
+
+export {
+    QUESTION_TYPES,
+    ATTEMPT_STATUSES,
+    SUBMISSION_GRACE_SECONDS,
+    normalizeTextAnswer,
+    validateQuestion,
+    toStoredAnswer,
+    gradeAnswer,
+    gradeAttempt,
+    pickQuizQuestions,
+    isAttemptOverdue,
+    toStudentQuestion
+};
@@ -0,0 +1,93 @@
+/**
+ * COURSE REVIEWS
+ *
+ * Students rate a course from 1 to 5 once they have completed it, or once
+ * their progress reaches REVIEW_MIN_PROGRESS percent. Reported reviews wait
+ * for an admin decision; hidden reviews no longer count in the ratings.
+ */
+
+const DEFAULT_MIN_PROGRESS = 80;
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+// Public reviews count in the ratings; moderators can hide them
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+// What an admin can decide for a reported review
+const MODERATION_ACTIONS = ['keep', 'hide'];
+
+/**
+ * Course progress (percent) from which an enrolled student may review, from REVIEW_MIN_PROGRESS
+ * @param {Object} env - Environment variables
+ * @returns {Number}
+ */
+const getReviewProgressThreshold = (env = process.env) => {
+    const value = Number(env.REVIEW_MIN_PROGRESS);
+    return env.REVIEW_MIN_PROGRESS !== undefined && env.REVIEW_MIN_PROGRESS !== '' && value >= 0 && value <= 100
+        ? value
+        : DEFAULT_MIN_PROGRESS;
+};
+
+/**
+ * Whether a rating is a whole number of stars
+ * @param {*} rating
+ * @returns {Boolean}
+ */
+const isValidRating = rating => RATINGS.includes(rating);
+
+/**
+ * Whether an enrollment allows its student to review the course
+ * @param {Object|null} enrollment - { status, progressPercentage }
+ * @param {Number} minProgress - From getReviewProgressThreshold
+ * @returns {Object} - { eligible: true } or { eligible: false, reason, code }
+ */
+const checkReviewEligibility = (enrollment, minProgress = getReviewProgressThreshold()) => {
+    if (!enrollment || !['enrolled', 'completed'].includes(enrollment.status)) {
+        return { eligible: false, reason: 'Only students enrolled in this course can review it', code: 'NOT_ENROLLED' };
+    }
+    if (enrollment.status === 'enrolled' && (enrollment.progressPercentage || 0) < minProgress) {
+        return {
+            eligible: false,
+            reason: `You can review this course once you have completed it or reached ${minProgress}% progress`,
+            code: 'NOT_ENOUGH_PROGRESS'
+        };
+    }
+    return { eligible: true };
+};
+
+/**
+ * Average and distribution of ratings
+ * @param {Array<Object>} buckets - [{ _id: rating, count }] as grouped by rating
+ * @returns {Object} - { average (one decimal, 0 without ratings), count, distribution: { 1: n, ..., 5: n } }
+ */
+const summarizeRatings = (buckets = []) => {
+    const distribution = Object.fromEntries(RATINGS.map(rating => [rating, 0]));
+    let count = 0;
+    let total = 0;
+
+    for (const { _id: rating, count: bucketCount } of buckets) {
+        if (!isValidRating(rating)) continue;
+        distribution[rating] += bucketCount;
+        count += bucketCount;
+        total += rating * bucketCount;
+    }
+
+    return {
+        average: count ? Math.round((total / count) * 10) / 10 : 0,
+        count,
+        distribution
+    };
+};
+
+export {
+    RATINGS,
+    REVIEW_STATUSES,
+    REPORT_REASONS,
+    MODERATION_ACTIONS,
+    getReviewProgressThreshold,
+    isValidRating,
+    checkReviewEligibility,
+    summarizeRatings
+};
@@ -0,0 +1,196 @@
+/**
+ * SKILL TAXONOMY
+ *
+ * In-memory view of the skill taxonomy shared by every matcher and by the
+ * Student, Job and Course models. Each canonical skill has a stable ID
+ * (slug), a display name, aliases and an optional parent skill.
+ *
+ * The taxonomy starts with the built-in skills below and is replaced with the
+ * Skill collection once services/skillTaxonomy.service.js loads it. Lookups
+ * are synchronous so they can be used from mongoose setters.
+ *
+ * Unknown skills are not rejected: they keep their trimmed name and use the
+ * normalized name as their ID, so free-text skills still compare equal.
+ */
+
+/**
+ * Built-in canonical skills, used to seed the Skill collection
+ */
+const DEFAULT_SKILLS = [
+    { slug: 'javascript', name: 'JavaScript', aliases: ['js', 'ecmascript'], category: 'Programming Languages' },
+    { slug: 'typescript', name: 'TypeScript', aliases: ['ts'], parent: 'javascript', category: 'Programming Languages' },
+    { slug: 'python', name: 'Python', aliases: ['py'], category: 'Programming Languages' },
+    { slug: 'csharp', name: 'C#', aliases: ['c sharp', 'c-sharp'], category: 'Programming Languages' },
+    { slug: 'cplusplus', name: 'C++', aliases: ['cpp', 'c plus plus'], category: 'Programming Languages' },
+    { slug: 'html', name: 'HTML', aliases: ['html5'], category: 'Web Development' },
+    { slug: 'css', name: 'CSS', aliases: ['css3'], category: 'Web Development' },
+    { slug: 'nodejs', name: 'Node.js', aliases: ['node', 'node js'], parent: 'javascript', category: 'Web Development' },
+    { slug: 'express', name: 'Express', aliases: ['expressjs', 'express.js', 'express js'], parent: 'nodejs', category: 'Web Development' },
+    { slug: 'react', name: 'React', aliases: ['reactjs', 'react.js', 'react js'], parent: 'javascript', category: 'Web Development' },
+    { slug: 'vuejs', name: 'Vue.js', aliases: ['vue', 'vue js'], parent: 'javascript', category: 'Web Development' },
+    { slug: 'angular', name: 'Angular', aliases: ['angularjs', 'angular.js'], parent: 'typescript', category: 'Web Development' },
+    { slug: 'database', name: 'Database', aliases: ['db', 'databases'], category: 'Data' },
+    { slug: 'sql', name: 'SQL', aliases: ['structured query language'], parent: 'database', category: 'Data' },
+    { slug: 'postgresql', name: 'PostgreSQL', aliases: ['postgres'], parent: 'sql', category: 'Data' },
+    { slug: 'mysql', name: 'MySQL', aliases: [], parent: 'sql', category: 'Data' },
+    { slug: 'mongodb', name: 'MongoDB', aliases: ['mongo'], parent: 'database', category: 'Data' },
+    { slug: 'artificial-intelligence', name: 'Artificial Intelligence', aliases: ['ai'], category: 'Data' },
+    { slug: 'machine-learning', name: 'Machine Learning', aliases: ['ml'], parent: 'artificial-intelligence', category: 'Data' }
+];
+
+let skillsById = new Map();
+let idsByTerm = new Map();
+
+/**
+ * Normalize a skill name or alias for lookups (lowercase, single spaces)
+ * @param {String} term
+ * @returns {String}
+ */
+const normalizeSkillTerm = (term) => {
+    if (typeof term !== 'string') return '';
+    return term.toLowerCase().trim().replace(/\s+/g, ' ');
+};
+
+/**
+ * Build a canonical skill ID from a display name ("C#" -> "csharp", "Machine Learning" -> "machine-learning")
+ * @param {String} name
+ * @returns {String}
+ */
+const slugifySkill = (name) => normalizeSkillTerm(name)
+    .replace(/#/g, 'sharp')
+    .replace(/\+/g, 'plus')
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Replace the in-memory taxonomy
+ * @param {Array<Object>} skills - Skills with slug, name, aliases and parent (parent slug)
+ */
+const setSkillTaxonomy = (skills) => {
+    const nextSkillsById = new Map();
+    const nextIdsByTerm = new Map();
+
+    (skills || []).forEach(skill => {
+        if (!skill?.slug || !skill?.name) return;
+        nextSkillsById.set(skill.slug, {
+            id: skill.slug,
+            name: skill.name,
+            parent: skill.parent || null,
+            aliases: skill.aliases || [],
+            category: skill.category || null
+        });
+    });
+
+    // Names win over aliases when the same term is used twice
+    nextSkillsById.forEach(skill => {
+        [...skill.aliases, skill.id].forEach(term => {
+            const key = normalizeSkillTerm(term);
+            if (key && !nextIdsByTerm.has(key)) nextIdsByTerm.set(key, skill.id);
+        });
+    });
+    nextSkillsById.forEach(skill => nextIdsByTerm.set(normalizeSkillTerm(skill.name), skill.id));
+
+    skillsById = nextSkillsById;
+    idsByTerm = nextIdsByTerm;
+};
+
+/**
+ * Find the canonical skill for a name or alias
+ * @param {String} name
+ * @returns {Object|null} - { id, name, parent, aliases, category } or null for unknown skills
+ */
+const resolveSkill = (name) => {
+    const id = idsByTerm.get(normalizeSkillTerm(name));
+    return id ? skillsById.get(id) : null;
+};
+
+/**
+ * Canonical skill ID for a name; unknown skills fall back to their normalized name
+ * @param {String} name
+ * @returns {String}
+ */
+const getCanonicalSkillId = (name) => resolveSkill(name)?.id || normalizeSkillTerm(name);
+
+/**
+ * Canonical display name for a skill ("js" -> "JavaScript"); unknown skills are only trimmed
+ * @param {String} name
+ * @returns {String}
+ */
+const normalizeSkillName = (name) => {
+    if (typeof name !== 'string') return name;
+    return resolveSkill(name)?.name || name.trim();
+};
+
+/**
+ * Normalize a list of skill names and drop empty entries and duplicates (by canonical ID)
+ * @param {Array<String>} skills
+ * @returns {Array<String>}
+ */
+const normalizeSkillList = (skills) => {
+    if (!Array.isArray(skills)) return skills;
+
+    const seen = new Set();
+    return skills.reduce((result, skill) => {
+        const name = normalizeSkillName(skill);
+        const id = getCanonicalSkillId(name);
+        if (!id || seen.has(id)) return result;
+        seen.add(id);
+        result.push(name);
+        return result;
+    }, []);
+};
+
+/**
+ * IDs of every ancestor of a skill, closest first ("express" -> ["nodejs", "javascript"])
+ * @param {String} name - Skill name, alias or ID
+ * @returns {Array<String>}
+ */
+const getSkillAncestors = (name) => {
+    const ancestors = [];
+    let current = resolveSkill(name) || skillsById.get(name);
+
+    while (current?.parent && !ancestors.includes(current.parent)) {
+        ancestors.push(current.parent);
+        current = skillsById.get(current.parent);
+    }
+    return ancestors;
+};
+
+/**
+ * Whether one skill is an ancestor of the other (e.g. Express and JavaScript)
+ * @param {String} skill
+ * @param {String} otherSkill
+ * @returns {'parent'|'child'|null} - 'parent' when `skill` is the broader one
+ */
+const getSkillRelation = (skill, otherSkill) => {
+    const skillId = getCanonicalSkillId(skill);
+    const otherId = getCanonicalSkillId(otherSkill);
+    if (!skillId || !otherId || skillId === otherId) return null;
+
+    if (getSkillAncestors(otherId).includes(skillId)) return 'parent';
+    if (getSkillAncestors(skillId).includes(otherId)) return 'child';
+    return null;
+};
+
+/**
+ * Skills currently known to the taxonomy
+ * @returns {Array<Object>}
+ */
+const getTaxonomySkills = () => Array.from(skillsById.values());
+
+setSkillTaxonomy(DEFAULT_SKILLS);
+
+export {
+    DEFAULT_SKILLS,
+    normalizeSkillTerm,
+    slugifySkill,
+    setSkillTaxonomy,
+    resolveSkill,
+    getCanonicalSkillId,
+    normalizeSkillName,
+    normalizeSkillList,
+    getSkillAncestors,
+    getSkillRelation,
+    getTaxonomySkills
+};
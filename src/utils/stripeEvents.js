@@ -0,0 +1,44 @@
+/**
+ * STRIPE EVENT LEDGER
+ *
+ * Every verified Stripe webhook event is recorded by its event ID before it is
+ * handled. Stripe delivers events at least once and retries failures, so the
+ * ledger decides whether a delivery is new, a duplicate, or a retry of an
+ * event that failed (or was abandoned mid-way by a crashed process).
+ */
+
+const STRIPE_EVENT_STATUSES = ['processing', 'processed', 'failed', 'ignored'];
+
+// A "processing" entry older than this was left behind by a process that died mid-way
+const STALE_PROCESSING_MINUTES = 10;
+
+/**
+ * Decide what to do with an event delivery given its ledger entry
+ * @param {Object|null} entry - Existing ledger entry ({ status, lastAttemptAt }), or null for a new event
+ * @param {Date} now
+ * @returns {String} - "process" (new, failed or stale), "duplicate" (already handled) or "in_progress"
+ */
+const getLedgerAction = (entry, now = new Date()) => {
+    if (!entry || entry.status === 'failed') return 'process';
+
+    if (entry.status === 'processing') {
+        const startedAt = entry.lastAttemptAt ? new Date(entry.lastAttemptAt).getTime() : 0;
+        return now.getTime() - startedAt > STALE_PROCESSING_MINUTES * 60 * 1000 ? 'process' : 'in_progress';
+    }
+
+    return 'duplicate';
+};
+
+/**
+ * Amount of a Stripe object in major currency units (Stripe uses cents)
+ * @param {Number} amount - Amount in the smallest currency unit
+ * @returns {Number}
+ */
+const fromStripeAmount = amount => Math.round(Number(amount || 0)) / 100;
+
+export {
+    STRIPE_EVENT_STATUSES,
+    STALE_PROCESSING_MINUTES,
+    getLedgerAction,
+    fromStripeAmount
+};
@@ -0,0 +1,96 @@
+/**
+ * FREE TRIALS
+ *
+ * A paid plan may offer a trial of a number of days. A user gets one trial
+ * ever, starting in "trialing" with the plan's full entitlements. Reminders
+ * go out a few days before the trial ends; at the end the saved card is
+ * charged and the subscription becomes active, or the trial expires.
+ */
+
+const MAX_TRIAL_DAYS = 90;
+const DEFAULT_REMINDER_DAYS = [3, 1];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days before the end of a trial when reminders are sent, from TRIAL_REMINDER_DAYS (e.g. "3,1")
+ * @param {Object} env - Environment variables
+ * @returns {Number[]} - Largest first
+ */
+const getTrialReminderDays = (env = process.env) => {
+    const days = String(env.TRIAL_REMINDER_DAYS ?? '')
+        .split(',')
+        .map(Number)
+        .filter(day => Number.isInteger(day) && day > 0)
+        .sort((a, b) => b - a);
+
+    return days.length ? [...new Set(days)] : DEFAULT_REMINDER_DAYS;
+};
+
+/**
+ * Whether a value is a valid plan trial length (0 = no trial)
+ * @param {*} days
+ * @returns {Boolean}
+ */
+const isValidTrialDays = days => Number.isInteger(days) && days >= 0 && days <= MAX_TRIAL_DAYS;
+
+/**
+ * Whether a user can start a trial of a plan
+ * @param {Object} plan - { price, trialDays }
+ * @param {Boolean} hasHadTrial - Whether the user already had a trial of any plan
+ * @returns {Boolean}
+ */
+const canStartTrial = (plan, hasHadTrial) => plan.price > 0 && plan.trialDays > 0 && !hasHadTrial;
+
+/**
+ * End of a trial started at a date
+ * @param {Date} startedAt
+ * @param {Number} days - Trial length
+ * @returns {Date}
+ */
+const getTrialEnd = (startedAt, days) => new Date(new Date(startedAt).getTime() + days * DAY_MS);
+
+/**
+ * Reminder due for a trial. When the job missed a reminder only the most
+ * urgent one is sent, and the earlier ones are marked sent with it.
+ * @param {Object} trial - { endsAt, remindersSent }
+ * @param {Date} now
+ * @param {Number[]} reminderDays - From getTrialReminderDays
+ * @returns {Object|null} - { days, markSent } or null when nothing is due
+ */
+const getDueTrialReminder = (trial, now = new Date(), reminderDays = getTrialReminderDays()) => {
+    const msLeft = new Date(trial.endsAt).getTime() - now.getTime();
+    if (msLeft <= 0) return null;
+
+    const sent = trial.remindersSent || [];
+    const due = reminderDays.filter(day => msLeft <= day * DAY_MS && !sent.includes(day));
+    if (due.length === 0) return null;
+
+    return { days: Math.min(...due), markSent: due };
+};
+
+/**
+ * Paid period that starts when a trial converts
+ * @param {String} billingCycle - onetime or monthly
+ * @param {Date} from - Conversion date
+ * @returns {Object} - { endDate, nextBillingDate }
+ */
+const getConvertedPeriod = (billingCycle, from) => {
+    const endDate = new Date(from);
+    if (billingCycle === 'monthly') {
+        endDate.setMonth(endDate.getMonth() + 1);
+        return { endDate, nextBillingDate: endDate };
+    }
+    // One-time plans do not expire, as in createSubscription
+    endDate.setFullYear(endDate.getFullYear() + 10);
+    return { endDate, nextBillingDate: null };
+};
+
+export {
+    MAX_TRIAL_DAYS,
+    getTrialReminderDays,
+    isValidTrialDays,
+    canStartTrial,
+    getTrialEnd,
+    getDueTrialReminder,
+    getConvertedPeriod
+};
@@ -39,6 +39,18 @@ const options = {
         name: 'Courses',
         description: 'Course management and search endpoints'
       },
+      {
+        name: 'Reviews',
+        description: 'Course ratings and reviews by enrolled students'
+      },
+      {
+        name: 'Cohorts',
+        description: 'Course intakes with dates, seats and waitlists'
+      },
+      {
+        name: 'Attendance',
+        description: 'Course sessions and student attendance'
+      },
       {
         name: 'Training Providers',
         description: 'Training provider/school management endpoints'
@@ -51,6 +63,22 @@ const options = {
         name: 'Jobs',
         description: 'Job posting and management endpoints'
       },
+      {
+        name: 'Job Applications',
+        description: 'Job applications and employer review stages (under /api/v1/jobs/{id}/applications)'
+      },
+      {
+        name: 'Interviews',
+        description: 'Interview scheduling with calendar (.ics) invites'
+      },
+      {
+        name: 'Saved Searches',
+        description: 'Saved job searches with daily or weekly digest alerts'
+      },
+      {
+        name: 'Skills',
+        description: 'Skill taxonomy: canonical skills, aliases and parent/child relations'
+      },
       {
         name: 'Students',
         description: 'Student profile management endpoints'
@@ -71,6 +99,14 @@ const options = {
         name: 'Enrollments',
         description: 'Course enrollment management and tracking endpoints'
       },
+      {
+        name: 'Quizzes',
+        description: 'Course question banks, quizzes and auto-graded attempts'
+      },
+      {
+        name: 'Certificates',
+        description: 'Course completion certificates with public verification'
+      },
       {
         name: 'Subscription Plans',
         description: 'Subscription plan management endpoints'
@@ -83,6 +119,18 @@ const options = {
         name: 'Payments',
         description: 'Payment processing endpoints'
       },
+      {
+        name: 'Invoices',
+        description: 'Invoices and receipts for subscription payments'
+      },
+      {
+        name: 'Coupons',
+        description: 'Discount codes for subscription checkout'
+      },
+      {
+        name: 'Payouts',
+        description: 'Payout statements and earnings for training institutes'
+      },
       {
         name: 'Webhooks',
         description: 'Webhook handling endpoints'
@@ -241,15 +289,49 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['draft', 'pending_approval', 'approved', 'rejected', 'archived'],
-              description: 'Course approval status',
+              enum: ['draft', 'pending_approval', 'approved', 'rejected'],
+              description: 'Course approval status; only approved courses are listed and open for enrollment',
               example: 'approved'
             },
+            approval: {
+              type: 'object',
+              description: 'Latest submission and admin decision',
+              properties: {
+                submittedAt: { type: 'string', format: 'date-time' },
+                reviewedAt: { type: 'string', format: 'date-time' },
+                reviewedBy: { type: 'string' },
+                reason: { type: 'string', example: 'The curriculum does not cover the advertised skills' },
+                changesRequested: { type: 'array', items: { type: 'string' } }
+              }
+            },
+            approvalHistory: {
+              type: 'array',
+              description: 'Every submission, withdrawal, decision and edit of the approved course (school and admins only)',
+              items: {
+                type: 'object',
+                properties: {
+                  action: { type: 'string', enum: ['submitted', 'withdrawn', 'approved', 'rejected', 'edited'] },
+                  by: { type: 'string' },
+                  at: { type: 'string', format: 'date-time' },
+                  reason: { type: 'string' },
+                  changesRequested: { type: 'array', items: { type: 'string' } },
+                  fields: { type: 'array', items: { type: 'string' }, description: 'Fields changed (edits)' }
+                }
+              }
+            },
             providerId: {
               type: 'string',
               description: 'Training provider (school) ID',
               example: '64f789abc123def456789012'
             },
+            rating: {
+              type: 'object',
+              description: 'Published student reviews',
+              properties: {
+                average: { type: 'number', example: 4.6 },
+                count: { type: 'integer', example: 38 }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -322,6 +404,18 @@ const options = {
                     type: 'string',
                     enum: ['Beginner', 'Intermediate', 'Advanced'],
                     example: 'Intermediate'
+                  },
+                  required: {
+                    type: 'boolean',
+                    default: true,
+                    description: 'false marks a nice-to-have skill, which counts half as much in match scores'
+                  },
+                  weight: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 5,
+                    default: 1,
+                    description: 'Relative importance of the skill in match scores'
                   }
                 }
               }
@@ -399,6 +493,31 @@ const options = {
               description: 'Student skills (required)',
               example: ['JavaScript', 'React', 'Node.js', 'MongoDB']
             },
+            skillProficiencies: {
+              type: 'array',
+              description: 'Proficiency per skill: self-assessed level plus evidence from completed courses and certifications',
+              items: {
+                type: 'object',
+                properties: {
+                  skill: { type: 'string', example: 'React' },
+                  level: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'] },
+                  evidence: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        source: { type: 'string', enum: ['course', 'certification'] },
+                        course: { type: 'string' },
+                        certification: { type: 'string' },
+                        title: { type: 'string' },
+                        level: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'] },
+                        addedAt: { type: 'string', format: 'date-time' }
+                      }
+                    }
+                  }
+                }
+              }
+            },
             certifications: {
               type: 'array',
               items: {
@@ -580,6 +699,17 @@ const options = {
               description: 'URL to certificate file',
               example: 'https://cloudinary.com/certificate.pdf'
             },
+            skills: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Skills the certification demonstrates (added as evidence to the student skills)',
+              example: ['AWS', 'Cloud Architecture']
+            },
+            level: {
+              type: 'string',
+              enum: ['Beginner', 'Intermediate', 'Advanced'],
+              description: 'Proficiency level the certification demonstrates'
+            },
             extracted: {
               type: 'boolean',
               default: false,
@@ -901,6 +1031,31 @@ const options = {
               description: 'Student skills (required)',
               example: ['JavaScript', 'React', 'Node.js', 'MongoDB']
             },
+            skillProficiencies: {
+              type: 'array',
+              description: 'Proficiency per skill: self-assessed level plus evidence from completed courses and certifications',
+              items: {
+                type: 'object',
+                properties: {
+                  skill: { type: 'string', example: 'React' },
+                  level: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'] },
+                  evidence: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        source: { type: 'string', enum: ['course', 'certification'] },
+                        course: { type: 'string' },
+                        certification: { type: 'string' },
+                        title: { type: 'string' },
+                        level: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'] },
+                        addedAt: { type: 'string', format: 'date-time' }
+                      }
+                    }
+                  }
+                }
+              }
+            },
             certifications: {
               type: 'array',
               items: {
@@ -1082,6 +1237,17 @@ const options = {
               description: 'URL to certificate file',
               example: 'https://cloudinary.com/certificate.pdf'
             },
+            skills: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Skills the certification demonstrates (added as evidence to the student skills)',
+              example: ['AWS', 'Cloud Architecture']
+            },
+            level: {
+              type: 'string',
+              enum: ['Beginner', 'Intermediate', 'Advanced'],
+              description: 'Proficiency level the certification demonstrates'
+            },
             extracted: {
               type: 'boolean',
               default: false,
@@ -0,0 +1,113 @@
+/**
+ * Application Tests
+ * Stage transitions employers can make, duplicate applications and applying again after withdrawing
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { APPLICATION_STAGES, APPLICATION_STAGE_TRANSITIONS } from '../src/models/contents/application.models.js';
+
+// Awaitable stand-in for a mongoose query
+const query = (result) => ({
+  select() { return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+describe('APPLICATION_STAGE_TRANSITIONS', () => {
+  it('lists every stage and only moves to known stages', () => {
+    expect(Object.keys(APPLICATION_STAGE_TRANSITIONS).sort()).toEqual([...APPLICATION_STAGES].sort());
+    Object.entries(APPLICATION_STAGE_TRANSITIONS).forEach(([from, targets]) => {
+      targets.forEach((to) => {
+        expect(APPLICATION_STAGES).toContain(to);
+        expect(to).not.toBe(from);
+      });
+    });
+  });
+
+  it('moves applications forward through review', () => {
+    expect(APPLICATION_STAGE_TRANSITIONS.applied).toEqual(['shortlisted', 'interview', 'rejected']);
+    expect(APPLICATION_STAGE_TRANSITIONS.shortlisted).toEqual(['interview', 'offered', 'rejected']);
+    expect(APPLICATION_STAGE_TRANSITIONS.interview).toEqual(['offered', 'rejected']);
+    expect(APPLICATION_STAGE_TRANSITIONS.offered).toEqual(['hired', 'rejected']);
+  });
+
+  it('never lets employers withdraw or reopen an application', () => {
+    Object.values(APPLICATION_STAGE_TRANSITIONS).forEach((targets) => {
+      expect(targets).not.toContain('withdrawn');
+      expect(targets).not.toContain('applied');
+    });
+    expect(APPLICATION_STAGE_TRANSITIONS.hired).toEqual([]);
+    expect(APPLICATION_STAGE_TRANSITIONS.rejected).toEqual([]);
+    expect(APPLICATION_STAGE_TRANSITIONS.withdrawn).toEqual([]);
+  });
+});
+
+describe('POST /api/v1/jobs/:id/applications', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), role: 'student', fullName: 'Ami Student' };
+  const student = { _id: new mongoose.Types.ObjectId(), userId: user._id, firstName: 'Ami', lastName: 'Student', skills: [] };
+  const job = { _id: new mongoose.Types.ObjectId(), postedBy: new mongoose.Types.ObjectId(), status: 'active', isActive: true, skillsRequired: [] };
+
+  let app;
+  let models;
+
+  beforeAll(async () => {
+    process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+    models = await import('../src/models/index.js');
+    const { default: jobsRouter } = await import('../src/routes/jobs.routes.js');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/v1/jobs', jobsRouter);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers a concurrent duplicate application with the already-applied conflict', async () => {
+    jest.spyOn(models.User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(models.Job, 'findById').mockResolvedValue(job);
+    jest.spyOn(models.Student, 'findOne').mockReturnValue(query(student));
+    jest.spyOn(models.Application, 'findOne').mockResolvedValue(null);
+    jest.spyOn(models.Application, 'create').mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+    );
+
+    const token = jwt.sign({ _id: user._id.toString() }, process.env.ACCESS_TOKEN_SECRET);
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job._id}/applications`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ coverNote: 'Hello' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toBe('You have already applied for this job');
+  });
+
+  it('reopens a withdrawn application when the student applies again', async () => {
+    const withdrawn = { _id: new mongoose.Types.ObjectId(), job: job._id, student: student._id, stage: 'withdrawn' };
+    jest.spyOn(models.User, 'findById').mockReturnValue(query(user));
+    jest.spyOn(models.Job, 'findById').mockResolvedValue(job);
+    jest.spyOn(models.Student, 'findOne').mockReturnValue(query(student));
+    jest.spyOn(models.Application, 'findOne').mockResolvedValue(withdrawn);
+    jest.spyOn(models.Employer, 'findById').mockReturnValue(query(null));
+    const create = jest.spyOn(models.Application, 'create');
+    const reopen = jest.spyOn(models.Application, 'findOneAndUpdate').mockResolvedValue({ ...withdrawn, stage: 'applied' });
+
+    const token = jwt.sign({ _id: user._id.toString() }, process.env.ACCESS_TOKEN_SECRET);
+    const response = await request(app)
+      .post(`/api/v1/jobs/${job._id}/applications`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ coverNote: 'Still interested' });
+
+    expect(response.body.success).toBe(true);
+    expect(create).not.toHaveBeenCalled();
+    expect(reopen.mock.calls[0][0]).toEqual({ _id: withdrawn._id, stage: 'withdrawn' });
+    expect(reopen.mock.calls[0][1].$set).toMatchObject({ stage: 'applied', coverNote: 'Still interested' });
+    expect(reopen.mock.calls[0][1].$push.stageHistory).toMatchObject({ from: 'withdrawn', to: 'applied' });
+  });
+});
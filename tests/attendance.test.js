@@ -0,0 +1,107 @@
+/**
+ * Attendance Tests
+ * Attendance rates, CSV imports and session input validation
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  summarizeAttendance,
+  parseCsv,
+  parseAttendanceCsv,
+  parseSessionInput,
+  getAttendanceRecordError,
+} from '../src/utils/attendance.js';
+
+describe('summarizeAttendance', () => {
+  it('counts late students as attending and leaves excused absences out', () => {
+    expect(summarizeAttendance({ present: 5, late: 1, absent: 1, excused: 1 })).toEqual({
+      sessions: 8,
+      present: 5,
+      late: 1,
+      absent: 1,
+      excused: 1,
+      rate: 85.7,
+    });
+  });
+
+  it('has no rate before anything counts', () => {
+    expect(summarizeAttendance().rate).toBeNull();
+    expect(summarizeAttendance({ excused: 2 }).rate).toBeNull();
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes and CRLF line ends', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+    ]);
+  });
+
+  it('drops the byte order mark', () => {
+    expect(parseCsv('\uFEFFemail,status\nami@example.com,present\n')).toEqual([
+      ['email', 'status'],
+      ['ami@example.com', 'present'],
+    ]);
+  });
+});
+
+describe('parseAttendanceCsv', () => {
+  it('reads students by email and reports bad rows with their line', () => {
+    const csv = 'Email,Status,Note\nAmi@Example.com,Present,\nbo@example.com,sleeping,\n,absent,\n\n,,\ncy@example.com,excused,"Doctor, flu"';
+    const { records, errors } = parseAttendanceCsv(csv);
+
+    expect(records).toEqual([
+      { line: 2, email: 'ami@example.com', status: 'present' },
+      { line: 7, email: 'cy@example.com', status: 'excused', note: 'Doctor, flu' },
+    ]);
+    expect(errors.map(({ line }) => line)).toEqual([3, 4]);
+  });
+
+  it('prefers the studentId column', () => {
+    const { records } = parseAttendanceCsv('studentId,email,status\n64e1a2b3c4d5e6f7890a1234,ami@example.com,late');
+    expect(records).toEqual([{ line: 2, studentId: '64e1a2b3c4d5e6f7890a1234', status: 'late' }]);
+  });
+
+  it('rejects files without the required columns', () => {
+    expect(parseAttendanceCsv('').error).toBeDefined();
+    expect(parseAttendanceCsv('name,status\nAmi,present').error).toBeDefined();
+    expect(parseAttendanceCsv('email,attended\nami@example.com,yes').error).toBeDefined();
+  });
+});
+
+describe('parseSessionInput', () => {
+  const session = {
+    title: 'Week 1',
+    startsAt: '2026-01-12T17:00:00.000Z',
+    endsAt: '2026-01-12T19:00:00.000Z',
+  };
+
+  it('accepts a valid session', () => {
+    const { fields, error } = parseSessionInput({ ...session, location: ' Room 4 ' });
+    expect(error).toBeUndefined();
+    expect(fields.location).toBe('Room 4');
+    expect(fields.endsAt).toBeInstanceOf(Date);
+  });
+
+  it('requires the end after the start and at most twelve hours later', () => {
+    expect(parseSessionInput({ ...session, endsAt: session.startsAt }).error).toBeDefined();
+    expect(parseSessionInput({ ...session, endsAt: '2026-01-13T07:00:00.000Z' }).error).toBeDefined();
+    expect(parseSessionInput({ ...session, title: '' }).error).toBeDefined();
+  });
+
+  it('checks partial updates against the current session', () => {
+    const current = { startsAt: new Date(session.startsAt), endsAt: new Date(session.endsAt) };
+    expect(parseSessionInput({ endsAt: '2026-01-12T20:00:00.000Z' }, current).error).toBeUndefined();
+    expect(parseSessionInput({ startsAt: '2026-01-12T20:00:00.000Z' }, current).error).toBeDefined();
+  });
+});
+
+describe('getAttendanceRecordError', () => {
+  it('validates the student, status and note', () => {
+    expect(getAttendanceRecordError({ studentId: 'abc', status: 'present' })).toBeNull();
+    expect(getAttendanceRecordError({ status: 'present' })).toBe('studentId is required');
+    expect(getAttendanceRecordError({ studentId: 'abc', status: 'here' })).toMatch(/Status/);
+    expect(getAttendanceRecordError({ studentId: 'abc', status: 'late', note: 'x'.repeat(301) })).toMatch(/Note/);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Certificate Tests
+ * Verification codes and signatures of course certificates
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  generateVerificationCode,
+  normalizeVerificationCode,
+  signCertificate,
+  verifyCertificateSignature,
+} from '../src/utils/certificate.js';
+
+const certificate = {
+  verificationCode: 'TB-7KQM-X2PD-9WHT',
+  student: '64abc123def456789012def1',
+  course: '64abc123def456789012def2',
+  enrollment: '64abc123def456789012def3',
+  recipientName: 'Jane Doe',
+  courseTitle: 'React Fundamentals',
+  providerName: 'Code Academy',
+  issuedAt: new Date('2024-05-01T12:00:00Z'),
+};
+
+describe('verification codes', () => {
+  it('generates grouped codes without ambiguous characters', () => {
+    const code = generateVerificationCode();
+
+    expect(code).toMatch(/^TB-[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    expect(code).not.toMatch(/[01ILO]/);
+    expect(generateVerificationCode(Buffer.alloc(12))).toBe('TB-AAAA-AAAA-AAAA');
+  });
+
+  it('accepts codes typed in lower case or without dashes', () => {
+    expect(normalizeVerificationCode(' tb-7kqm-x2pd-9wht ')).toBe('TB-7KQM-X2PD-9WHT');
+    expect(normalizeVerificationCode('7KQMX2PD9WHT')).toBe('TB-7KQM-X2PD-9WHT');
+    expect(normalizeVerificationCode('TBQMX2PD9WHT')).toBe('TB-TBQM-X2PD-9WHT');
+    expect(normalizeVerificationCode('TB-7KQM-X2PD')).toBeNull();
+    expect(normalizeVerificationCode('TB-0KQM-X2PD-9WHT')).toBeNull();
+    expect(normalizeVerificationCode(undefined)).toBeNull();
+  });
+});
+
+describe('certificate signatures', () => {
+  it('verifies an unchanged certificate and rejects edited fields', () => {
+    const signed = { ...certificate, signature: signCertificate(certificate, 'secret') };
+
+    expect(verifyCertificateSignature(signed, 'secret')).toBe(true);
+    expect(verifyCertificateSignature(signed, 'other-secret')).toBe(false);
+    expect(verifyCertificateSignature({ ...signed, recipientName: 'John Doe' }, 'secret')).toBe(false);
+    expect(verifyCertificateSignature({ ...signed, signature: 'abc' }, 'secret')).toBe(false);
+    expect(verifyCertificateSignature(certificate, 'secret')).toBe(false);
+  });
+});
+
+describe('issueCourseCertificate', () => {
+  it('refuses to issue without a dedicated signing secret', async () => {
+    const { CourseCertificate } = await import('../src/models/index.js');
+    const { issueCourseCertificate } = await import('../src/services/certificate.service.js');
+    const findExisting = jest.spyOn(CourseCertificate, 'findOne');
+    const previous = process.env.CERTIFICATE_SIGNING_SECRET;
+    delete process.env.CERTIFICATE_SIGNING_SECRET;
+    process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+
+    try {
+      await expect(issueCourseCertificate({ _id: 'enrollment-1' })).rejects.toThrow('CERTIFICATE_SIGNING_SECRET is not configured');
+      expect(findExisting).not.toHaveBeenCalled();
+    } finally {
+      if (previous !== undefined) process.env.CERTIFICATE_SIGNING_SECRET = previous;
+      findExisting.mockRestore();
+    }
+  });
+});
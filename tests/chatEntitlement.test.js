@@ -0,0 +1,61 @@
+/**
+ * Chat Entitlement Tests
+ * Starting a conversation through the chat routes is not limited for students
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+const student = { _id: new mongoose.Types.ObjectId(), role: 'student', fullName: 'Ami Student' };
+const school = { _id: new mongoose.Types.ObjectId(), role: 'school', fullName: 'Bright School' };
+const users = new Map([student, school].map((user) => [user._id.toString(), user]));
+
+// Awaitable stand-in for a mongoose query
+const query = (result) => ({
+  select() { return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+let app;
+let models;
+
+beforeAll(async () => {
+  process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+  models = await import('../src/models/index.js');
+  const { default: chatConversationRouter } = await import('../src/routes/chat.conversation.routes.js');
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/v1/chat', chatConversationRouter);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/v1/chat/conversations/start', () => {
+  it('lets a student without a subscription start a chat with a school', async () => {
+    const conversation = {
+      _id: new mongoose.Types.ObjectId(),
+      getPreviewForUser: () => ({ participants: [student._id, school._id] }),
+    };
+    jest.spyOn(models.User, 'findById').mockImplementation((id) => query(users.get(id.toString()) || null));
+    jest.spyOn(models.ChatConversation, 'findOne').mockImplementation(() => query(conversation));
+    const findSubscription = jest.spyOn(models.Subscription, 'findOne');
+
+    const token = jwt.sign({ _id: student._id.toString() }, process.env.ACCESS_TOKEN_SECRET);
+    const response = await request(app)
+      .post('/api/v1/chat/conversations/start')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ targetUserId: school._id.toString() });
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.payload.conversation).toBeDefined();
+    expect(findSubscription).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Cohort Tests
+ * Seat counting, offer expiry and cohort input validation
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  getClaimWindowHours,
+  getCheckoutHoldMinutes,
+  getCheckoutHoldCutoff,
+  getOfferExpiry,
+  getSeatsLeft,
+  isEnrollmentOpen,
+  parseCohortInput,
+} from '../src/utils/cohort.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY);
+
+const validCohort = () => ({
+  name: 'Spring intake',
+  startDate: inDays(30).toISOString(),
+  endDate: inDays(90).toISOString(),
+  capacity: 20,
+  schedule: [{ day: 'Monday', startTime: '18:00', endTime: '20:00' }],
+  onlineLink: 'https://meet.example.com/spring',
+});
+
+describe('seats and offers', () => {
+  it('counts the seats left without going negative', () => {
+    expect(getSeatsLeft({ capacity: 20, seatsTaken: 18 })).toBe(2);
+    expect(getSeatsLeft({ capacity: 20, seatsTaken: 25 })).toBe(0);
+  });
+
+  it('takes enrollments until a scheduled cohort starts', () => {
+    expect(isEnrollmentOpen({ status: 'scheduled', startDate: inDays(1) })).toBe(true);
+    expect(isEnrollmentOpen({ status: 'scheduled', startDate: inDays(-1) })).toBe(false);
+    expect(isEnrollmentOpen({ status: 'cancelled', startDate: inDays(1) })).toBe(false);
+  });
+
+  it('reads COHORT_CLAIM_HOURS with a default of 48 hours', () => {
+    expect(getClaimWindowHours({})).toBe(48);
+    expect(getClaimWindowHours({ COHORT_CLAIM_HOURS: '12' })).toBe(12);
+    expect(getClaimWindowHours({ COHORT_CLAIM_HOURS: '-3' })).toBe(48);
+  });
+
+  it('holds the seat of an unpaid enrollment for COHORT_CHECKOUT_HOLD_MINUTES (60 by default)', () => {
+    expect(getCheckoutHoldMinutes({})).toBe(60);
+    expect(getCheckoutHoldMinutes({ COHORT_CHECKOUT_HOLD_MINUTES: '30' })).toBe(30);
+    expect(getCheckoutHoldCutoff(new Date('2026-01-01T12:00:00Z'), 30)).toEqual(new Date('2026-01-01T11:30:00Z'));
+  });
+
+  it('ends offers after the claim window, or when the cohort starts', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    expect(getOfferExpiry(new Date('2026-02-01T00:00:00Z'), now, 48)).toEqual(new Date('2026-01-03T00:00:00Z'));
+    expect(getOfferExpiry(new Date('2026-01-02T00:00:00Z'), now, 48)).toEqual(new Date('2026-01-02T00:00:00Z'));
+  });
+});
+
+describe('parseCohortInput', () => {
+  it('accepts a complete cohort and normalizes the schedule', () => {
+    const { fields, error } = parseCohortInput(validCohort());
+    expect(error).toBeUndefined();
+    expect(fields.capacity).toBe(20);
+    expect(fields.schedule).toEqual([{ day: 'monday', startTime: '18:00', endTime: '20:00' }]);
+  });
+
+  it('requires a location or an online link', () => {
+    expect(parseCohortInput({ ...validCohort(), onlineLink: undefined }).error).toMatch(/location or an online link/);
+    expect(parseCohortInput({ ...validCohort(), onlineLink: 'ftp://files' }).error).toBeDefined();
+  });
+
+  it('rejects past starts, reversed dates and bad sessions', () => {
+    expect(parseCohortInput({ ...validCohort(), startDate: inDays(-1).toISOString() }).error).toBeDefined();
+    expect(parseCohortInput({ ...validCohort(), endDate: inDays(10).toISOString() }).error).toMatch(/endDate/);
+    expect(parseCohortInput({ ...validCohort(), schedule: [{ day: 'monday', startTime: '20:00', endTime: '18:00' }] }).error).toBeDefined();
+    expect(parseCohortInput({ ...validCohort(), capacity: 2.5 }).error).toBeDefined();
+  });
+
+  it('only validates the fields sent when updating', () => {
+    const current = { startDate: inDays(30), endDate: inDays(90), capacity: 20, seatsTaken: 12, location: 'Room 4' };
+    expect(parseCohortInput({ capacity: 30 }, current)).toEqual({ fields: { capacity: 30 } });
+    expect(parseCohortInput({ capacity: 10 }, current).error).toMatch(/12 seats/);
+    expect(parseCohortInput({ location: '' }, current).error).toMatch(/location or an online link/);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Coupon Tests
+ * Discount amounts and coupon eligibility at checkout
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  calculateDiscount,
+  checkCouponEligibility,
+  getReservationExpiry,
+  normalizeCouponCode,
+} from '../src/utils/coupon.js';
+
+const planId = '64f123abc456def789012345';
+const coupon = (overrides = {}) => ({
+  code: 'SCHOOLS20',
+  discountType: 'percent',
+  amount: 20,
+  currency: 'usd',
+  isActive: true,
+  maxRedemptions: null,
+  perUserLimit: 1,
+  redemptionCount: 0,
+  applicablePlans: [],
+  ...overrides,
+});
+
+describe('normalizeCouponCode', () => {
+  it('matches codes regardless of case and spacing', () => {
+    expect(normalizeCouponCode('  schools20 ')).toBe('SCHOOLS20');
+    expect(normalizeCouponCode(undefined)).toBe('');
+  });
+});
+
+describe('calculateDiscount', () => {
+  it('takes a percentage or a fixed amount off the price', () => {
+    expect(calculateDiscount(coupon(), 49.99))
+      .toEqual({ originalAmount: 49.99, discountAmount: 10, finalAmount: 39.99 });
+    expect(calculateDiscount(coupon({ discountType: 'fixed', amount: 15 }), 49.99))
+      .toEqual({ originalAmount: 49.99, discountAmount: 15, finalAmount: 34.99 });
+  });
+
+  it('always leaves the minimum charge to pay', () => {
+    expect(calculateDiscount(coupon({ amount: 100 }), 29).finalAmount).toBe(0.5);
+    expect(calculateDiscount(coupon({ discountType: 'fixed', amount: 50 }), 29).discountAmount).toBe(28.5);
+    expect(calculateDiscount(coupon(), 0.5).discountAmount).toBe(0);
+  });
+});
+
+describe('checkCouponEligibility', () => {
+  const now = new Date('2026-05-10T12:00:00Z');
+
+  it('accepts a valid coupon', () => {
+    expect(checkCouponEligibility(coupon(), { planId, now })).toEqual({ eligible: true });
+  });
+
+  it('rejects inactive, not yet valid and expired coupons', () => {
+    expect(checkCouponEligibility(coupon({ isActive: false }), { planId, now }).code).toBe('COUPON_INACTIVE');
+    expect(checkCouponEligibility(coupon({ startsAt: '2026-06-01' }), { planId, now }).code).toBe('COUPON_NOT_STARTED');
+    expect(checkCouponEligibility(coupon({ expiresAt: '2026-05-10T12:00:00Z' }), { planId, now }).code).toBe('COUPON_EXPIRED');
+  });
+
+  it('enforces the redemption caps', () => {
+    expect(checkCouponEligibility(coupon({ maxRedemptions: 100, redemptionCount: 100 }), { planId, now }).code)
+      .toBe('COUPON_REDEMPTION_LIMIT_REACHED');
+    expect(checkCouponEligibility(coupon(), { planId, userRedemptions: 1, now }).code).toBe('COUPON_USER_LIMIT_REACHED');
+    expect(checkCouponEligibility(coupon({ perUserLimit: null }), { planId, userRedemptions: 5, now }).eligible).toBe(true);
+  });
+
+  it('only applies to the plans and currency it was made for', () => {
+    expect(checkCouponEligibility(coupon({ applicablePlans: ['64f123abc456def789000000'] }), { planId, now }).code)
+      .toBe('COUPON_PLAN_NOT_ELIGIBLE');
+    expect(checkCouponEligibility(coupon({ applicablePlans: [planId] }), { planId, now }).eligible).toBe(true);
+    expect(checkCouponEligibility(coupon({ discountType: 'fixed', amount: 10 }), { planId, currency: 'GBP', now }).code)
+      .toBe('COUPON_CURRENCY_MISMATCH');
+  });
+});
+
+describe('getReservationExpiry', () => {
+  it('holds a checkout redemption for an hour unless configured', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    expect(getReservationExpiry(now, {})).toEqual(new Date('2026-01-01T13:00:00Z'));
+    expect(getReservationExpiry(now, { COUPON_RESERVATION_MINUTES: '15' })).toEqual(new Date('2026-01-01T12:15:00Z'));
+    expect(getReservationExpiry(now, { COUPON_RESERVATION_MINUTES: 'soon' })).toEqual(new Date('2026-01-01T13:00:00Z'));
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Coupon Reservation Tests
+ * Checkouts hold coupon redemptions until they are paid or released
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// Awaitable stand-in for a mongoose query
+const query = (result) => ({
+  select() { return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+let stripe;
+let models;
+let coupons;
+
+beforeAll(async () => {
+  process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+  ({ default: stripe } = await import('../src/config/stripe.config.js'));
+  models = await import('../src/models/index.js');
+  coupons = await import('../src/services/coupon.service.js');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const couponId = new mongoose.Types.ObjectId();
+const checkout = (paymentIntentId = 'pi_checkout') => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  planId: new mongoose.Types.ObjectId(),
+  discount: { coupon: couponId, code: 'SCHOOLS20', originalAmount: 50, discountAmount: 10, finalAmount: 40, paymentIntentId },
+});
+
+describe('reserveCoupon', () => {
+  it('only takes a redemption while the coupon is under its cap', async () => {
+    const update = jest.spyOn(models.Coupon, 'findOneAndUpdate').mockResolvedValueOnce({ _id: couponId }).mockResolvedValueOnce(null);
+
+    expect(await coupons.reserveCoupon({ _id: couponId })).toBe(true);
+    expect(await coupons.reserveCoupon({ _id: couponId })).toBe(false);
+
+    const [filter, change] = update.mock.calls[0];
+    expect(filter.$or).toContainEqual({ $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } });
+    expect(change).toEqual({ $inc: { redemptionCount: 1 } });
+  });
+});
+
+describe('redeemCoupon', () => {
+  it('turns the reservation into a redemption without counting it twice', async () => {
+    jest.spyOn(models.CouponRedemption, 'findOneAndUpdate').mockResolvedValue({ status: 'redeemed' });
+    const create = jest.spyOn(models.CouponRedemption, 'create');
+    const count = jest.spyOn(models.Coupon, 'updateOne');
+
+    expect(await coupons.redeemCoupon(checkout(), 'pi_checkout')).toEqual({ status: 'redeemed' });
+    expect(create).not.toHaveBeenCalled();
+    expect(count).not.toHaveBeenCalled();
+  });
+
+  it('counts a payment whose reservation was already released', async () => {
+    jest.spyOn(models.CouponRedemption, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(models.CouponRedemption, 'create').mockResolvedValue({ status: 'redeemed' });
+    const count = jest.spyOn(models.Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await coupons.redeemCoupon(checkout(), 'pi_checkout');
+    expect(count).toHaveBeenCalledWith({ _id: couponId }, { $inc: { redemptionCount: 1 } });
+  });
+});
+
+describe('releaseCouponReservation', () => {
+  it('gives the redemption back once', async () => {
+    jest.spyOn(models.CouponRedemption, 'findOneAndDelete')
+      .mockResolvedValueOnce({ coupon: couponId })
+      .mockResolvedValueOnce(null);
+    const count = jest.spyOn(models.Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await coupons.releaseCouponReservation('pi_checkout')).toBe(true);
+    expect(await coupons.releaseCouponReservation('pi_checkout')).toBe(false);
+    expect(count).toHaveBeenCalledTimes(1);
+    expect(count).toHaveBeenCalledWith({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+  });
+});
+
+describe('expireCouponReservations', () => {
+  const reservation = (paymentIntentId) => ({ _id: new mongoose.Types.ObjectId(), paymentIntentId });
+
+  it('cancels unpaid checkouts before releasing their redemption', async () => {
+    jest.spyOn(models.CouponRedemption, 'find').mockReturnValue(query([reservation('pi_unpaid')]));
+    jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue({ id: 'pi_unpaid', status: 'requires_payment_method' });
+    const cancel = jest.spyOn(stripe.paymentIntents, 'cancel').mockResolvedValue({ id: 'pi_unpaid', status: 'canceled' });
+    jest.spyOn(models.CouponRedemption, 'findOneAndDelete').mockResolvedValue({ coupon: couponId });
+    const count = jest.spyOn(models.Coupon, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await coupons.expireCouponReservations()).toEqual({ released: 1, redeemed: 0, failed: 0 });
+    expect(cancel).toHaveBeenCalledWith('pi_unpaid');
+    expect(count.mock.calls[0][1]).toEqual({ $inc: { redemptionCount: -1 } });
+  });
+
+  it('redeems paid checkouts and keeps the hold when the payment cannot be cancelled', async () => {
+    jest.spyOn(models.CouponRedemption, 'find').mockReturnValue(query([reservation('pi_paid'), reservation('pi_stuck')]));
+    jest.spyOn(stripe.paymentIntents, 'retrieve').mockImplementation(async (id) =>
+      ({ id, status: id === 'pi_paid' ? 'succeeded' : 'requires_action' }));
+    jest.spyOn(stripe.paymentIntents, 'cancel').mockRejectedValue(new Error('Stripe unavailable'));
+    jest.spyOn(models.CouponRedemption, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const release = jest.spyOn(models.CouponRedemption, 'findOneAndDelete');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await coupons.expireCouponReservations()).toEqual({ released: 0, redeemed: 1, failed: 1 });
+    expect(release).not.toHaveBeenCalled();
+  });
+});
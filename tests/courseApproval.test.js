@@ -0,0 +1,81 @@
+/**
+ * Course Approval Tests
+ * Status transitions, submission checks and rejection input
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  getApprovalTransition,
+  getAllowedStatuses,
+  getSubmissionIssues,
+  parseRejection,
+} from '../src/utils/courseApproval.js';
+
+const completeCourse = {
+  description: 'Learn to build web applications',
+  objectives: ['Build a REST API'],
+  skills: ['JavaScript'],
+  modules: [{ order: 1, lessons: [{ order: 1, title: 'Introduction' }] }],
+};
+
+describe('approval transitions', () => {
+  it('lets schools submit drafts and rejected courses', () => {
+    expect(getApprovalTransition('draft', 'submitted')).toBe('pending_approval');
+    expect(getApprovalTransition('rejected', 'submitted')).toBe('pending_approval');
+    expect(getApprovalTransition('approved', 'submitted')).toBeNull();
+    expect(getApprovalTransition('pending_approval', 'submitted')).toBeNull();
+  });
+
+  it('only decides on or withdraws courses pending approval', () => {
+    expect(getApprovalTransition('pending_approval', 'approved')).toBe('approved');
+    expect(getApprovalTransition('pending_approval', 'withdrawn')).toBe('draft');
+    expect(getApprovalTransition('draft', 'approved')).toBeNull();
+    expect(getApprovalTransition('rejected', 'withdrawn')).toBeNull();
+  });
+
+  it('allows approved courses to be taken down', () => {
+    expect(getApprovalTransition('approved', 'rejected')).toBe('rejected');
+    expect(getAllowedStatuses('rejected')).toEqual(['pending_approval', 'approved']);
+    expect(getAllowedStatuses('archived')).toEqual([]);
+  });
+
+  it('sends edited approved courses back for approval', () => {
+    expect(getApprovalTransition('approved', 'edited')).toBe('pending_approval');
+    expect(getApprovalTransition('draft', 'edited')).toBeNull();
+    expect(getApprovalTransition('pending_approval', 'edited')).toBeNull();
+  });
+});
+
+describe('getSubmissionIssues', () => {
+  it('accepts a course with content and a curriculum', () => {
+    expect(getSubmissionIssues(completeCourse)).toEqual([]);
+  });
+
+  it('lists everything a course still lacks', () => {
+    expect(getSubmissionIssues({ ...completeCourse, modules: [{ lessons: [] }] }))
+      .toEqual(['at least one lesson in the curriculum']);
+    expect(getSubmissionIssues({ description: '  ' })).toHaveLength(4);
+  });
+});
+
+describe('parseRejection', () => {
+  it('requires a reason', () => {
+    expect(parseRejection({}).error).toBeDefined();
+    expect(parseRejection({ reason: '   ' }).error).toBeDefined();
+    expect(parseRejection({ reason: 'x'.repeat(1001) }).error).toBeDefined();
+  });
+
+  it('trims the reason and drops empty change requests', () => {
+    expect(parseRejection({ reason: ' Incomplete curriculum ', changesRequested: ['Add quizzes ', ''] })).toEqual({
+      reason: 'Incomplete curriculum',
+      changesRequested: ['Add quizzes'],
+    });
+  });
+
+  it('rejects malformed or too many change requests', () => {
+    expect(parseRejection({ reason: 'No', changesRequested: 'Add quizzes' }).error).toBeDefined();
+    expect(parseRejection({ reason: 'No', changesRequested: [1] }).error).toBeDefined();
+    expect(parseRejection({ reason: 'No', changesRequested: Array(21).fill('Fix') }).error).toBeDefined();
+    expect(parseRejection({ reason: 'No', changesRequested: ['x'.repeat(301)] }).error).toBeDefined();
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Course Payment Tests
+ * Commission split, refund reversal and the refund window
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  getCommissionRate,
+  getRefundWindowDays,
+  isPaidCourse,
+  splitRevenue,
+  reverseSplit,
+  checkRefundEligibility,
+} from '../src/utils/coursePayment.js';
+
+describe('configuration', () => {
+  it('reads the commission and refund window with defaults', () => {
+    expect(getCommissionRate({})).toBe(0.2);
+    expect(getCommissionRate({ PLATFORM_COMMISSION_PERCENT: '12.5' })).toBe(0.125);
+    expect(getCommissionRate({ PLATFORM_COMMISSION_PERCENT: '150' })).toBe(0.2);
+    expect(getRefundWindowDays({})).toBe(14);
+    expect(getRefundWindowDays({ COURSE_REFUND_DAYS: '0' })).toBe(0);
+  });
+
+  it('only charges for courses with a price', () => {
+    expect(isPaidCourse({ price: 49 })).toBe(true);
+    expect(isPaidCourse({ price: 0 })).toBe(false);
+    expect(isPaidCourse({})).toBe(false);
+  });
+});
+
+describe('splitRevenue', () => {
+  it('splits a sale so both shares add up to the amount paid', () => {
+    expect(splitRevenue(49.99, 0.2)).toEqual({
+      grossAmount: 49.99,
+      commissionRate: 0.2,
+      platformFee: 10,
+      instituteEarnings: 39.99,
+    });
+
+    const split = splitRevenue(33.33, 0.15);
+    expect(split.platformFee + split.instituteEarnings).toBeCloseTo(33.33, 2);
+  });
+
+  it('reverses a sale for its refund', () => {
+    const sale = splitRevenue(49.99, 0.2);
+    expect(reverseSplit(sale)).toEqual({
+      grossAmount: -49.99,
+      commissionRate: 0.2,
+      platformFee: -10,
+      instituteEarnings: -39.99,
+    });
+  });
+});
+
+describe('checkRefundEligibility', () => {
+  const paidAt = new Date('2026-04-01T09:00:00Z');
+  const enrollment = (overrides = {}) => ({
+    status: 'enrolled',
+    payment: { status: 'paid', paidAt },
+    ...overrides,
+  });
+
+  it('refunds a withdrawal within the window', () => {
+    const result = checkRefundEligibility(enrollment(), new Date('2026-04-10T09:00:00Z'), 14);
+
+    expect(result.eligible).toBe(true);
+    expect(result.refundableUntil).toEqual(new Date('2026-04-15T09:00:00Z'));
+  });
+
+  it('does not refund after the window, completed courses or unpaid enrollments', () => {
+    expect(checkRefundEligibility(enrollment(), new Date('2026-04-15T09:00:01Z'), 14).code).toBe('REFUND_WINDOW_CLOSED');
+    expect(checkRefundEligibility(enrollment({ status: 'completed' }), paidAt, 14).code).toBe('COURSE_COMPLETED');
+    expect(checkRefundEligibility(enrollment({ payment: { status: 'refunded', paidAt } }), paidAt, 14).code).toBe('NOT_PAID');
+    expect(checkRefundEligibility({ status: 'enrolled' }, paidAt, 14).code).toBe('NOT_PAID');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Course Progress Tests
+ * Curriculum ordering, required lessons and lesson content validation
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  calculateCourseProgress,
+  findCourseLesson,
+  getCourseLessons,
+  validateLessonContent,
+} from '../src/utils/courseProgress.js';
+
+const course = {
+  modules: [
+    {
+      _id: 'm2',
+      order: 2,
+      lessons: [{ _id: 'l4', order: 1, contentType: 'text', isRequired: false }],
+    },
+    {
+      _id: 'm1',
+      order: 1,
+      lessons: [
+        { _id: 'l2', order: 2, contentType: 'document' },
+        { _id: 'l1', order: 1, contentType: 'video', isRequired: true },
+        { _id: 'l3', order: 3, contentType: 'quiz', isRequired: true },
+      ],
+    },
+  ],
+};
+
+describe('getCourseLessons', () => {
+  it('lists lessons in module and lesson order', () => {
+    expect(getCourseLessons(course).map(({ lesson }) => lesson._id)).toEqual(['l1', 'l2', 'l3', 'l4']);
+    expect(findCourseLesson(course, 'l4').module._id).toBe('m2');
+    expect(findCourseLesson(course, 'missing')).toBeNull();
+  });
+});
+
+describe('calculateCourseProgress', () => {
+  it('counts required lessons only', () => {
+    const progress = calculateCourseProgress(course, [
+      { lesson: 'l1', status: 'completed' },
+      { lesson: 'l4', status: 'completed' },
+      { lesson: 'l2', status: 'in_progress' },
+    ]);
+
+    expect(progress).toMatchObject({
+      totalLessons: 4,
+      completedLessons: 2,
+      requiredLessons: 3,
+      completedRequiredLessons: 1,
+      progressPercentage: 33.33,
+      isComplete: false,
+    });
+  });
+
+  it('completes once every required lesson is done, without the optional ones', () => {
+    const progress = calculateCourseProgress(course, ['l1', 'l2', 'l3'].map((lesson) => ({ lesson, status: 'completed' })));
+
+    expect(progress.progressPercentage).toBe(100);
+    expect(progress.isComplete).toBe(true);
+  });
+
+  it('never completes a course without lessons', () => {
+    expect(calculateCourseProgress({ modules: [] }, [])).toMatchObject({ progressPercentage: 0, isComplete: false });
+  });
+});
+
+describe('validateLessonContent', () => {
+  it('requires the content field for the lesson type', () => {
+    expect(validateLessonContent({ contentType: 'video', videoUrl: 'https://videos.example.com/1' })).toBeNull();
+    expect(validateLessonContent({ contentType: 'video', text: 'Hello' })).toMatch(/videoUrl/);
+    expect(validateLessonContent({ contentType: 'document', documentUrl: 'not a url' })).toMatch(/URL/);
+    expect(validateLessonContent({ contentType: 'slides' })).toMatch(/contentType/);
+  });
+});
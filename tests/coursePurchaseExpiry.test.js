@@ -0,0 +1,92 @@
+/**
+ * Course Purchase Expiry Tests
+ * Unpaid cohort enrollments past the checkout hold give their seat back
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const HOUR = 60 * 60 * 1000;
+
+// Awaitable stand-in for a mongoose query
+const query = (result) => ({
+  select() { return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+let stripe;
+let models;
+let expirePendingPurchases;
+
+beforeAll(async () => {
+  process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+  ({ default: stripe } = await import('../src/config/stripe.config.js'));
+  models = await import('../src/models/index.js');
+  ({ expirePendingPurchases } = await import('../src/services/coursePayment.service.js'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const unpaidEnrollment = () => {
+  const _id = new mongoose.Types.ObjectId();
+  return {
+    _id,
+    cohort: new mongoose.Types.ObjectId(),
+    payment: { paymentIntentId: `pi_${_id}` },
+    intent: (status) => ({ id: `pi_${_id}`, status, metadata: { enrollmentId: _id.toString() } }),
+  };
+};
+
+describe('expirePendingPurchases', () => {
+  it('cancels the payment, withdraws the enrollment and frees the cohort seat', async () => {
+    const enrollment = unpaidEnrollment();
+    const find = jest.spyOn(models.Enrollment, 'find').mockReturnValue(query([enrollment]));
+    jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue(enrollment.intent('requires_payment_method'));
+    const cancel = jest.spyOn(stripe.paymentIntents, 'cancel').mockResolvedValue(enrollment.intent('canceled'));
+    const withdraw = jest.spyOn(models.Enrollment, 'findOneAndUpdate')
+      .mockResolvedValue({ _id: enrollment._id, cohort: enrollment.cohort, status: 'withdrawn' });
+    const freeSeat = jest.spyOn(models.Cohort, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(models.Cohort, 'findById').mockResolvedValue(null);
+
+    const now = new Date('2026-01-01T12:00:00Z');
+    const stats = await expirePendingPurchases(null, now);
+
+    expect(stats).toEqual({ expired: 1, confirmed: 0, failed: 0 });
+    expect(find.mock.calls[0][0]).toMatchObject({ status: 'pending_payment', createdAt: { $lte: new Date(now - HOUR) } });
+    expect(cancel).toHaveBeenCalledWith(enrollment.payment.paymentIntentId);
+    expect(withdraw.mock.calls[0][0]).toMatchObject({ status: 'pending_payment', 'payment.paymentIntentId': enrollment.payment.paymentIntentId });
+    expect(withdraw.mock.calls[0][1]).toEqual({ $set: { status: 'withdrawn' } });
+    expect(freeSeat).toHaveBeenCalledWith({ _id: enrollment.cohort, seatsTaken: { $gt: 0 } }, { $inc: { seatsTaken: -1 } });
+  });
+
+  it('leaves payments still being processed alone', async () => {
+    const enrollment = unpaidEnrollment();
+    jest.spyOn(models.Enrollment, 'find').mockReturnValue(query([enrollment]));
+    jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue(enrollment.intent('processing'));
+    const cancel = jest.spyOn(stripe.paymentIntents, 'cancel');
+    const withdraw = jest.spyOn(models.Enrollment, 'findOneAndUpdate');
+
+    const stats = await expirePendingPurchases();
+
+    expect(stats).toEqual({ expired: 0, confirmed: 0, failed: 0 });
+    expect(cancel).not.toHaveBeenCalled();
+    expect(withdraw).not.toHaveBeenCalled();
+  });
+
+  it('keeps the seat when the payment cannot be cancelled', async () => {
+    const enrollment = unpaidEnrollment();
+    jest.spyOn(models.Enrollment, 'find').mockReturnValue(query([enrollment]));
+    jest.spyOn(stripe.paymentIntents, 'retrieve').mockResolvedValue(enrollment.intent('requires_action'));
+    jest.spyOn(stripe.paymentIntents, 'cancel').mockRejectedValue(new Error('Stripe unavailable'));
+    const withdraw = jest.spyOn(models.Enrollment, 'findOneAndUpdate');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const stats = await expirePendingPurchases();
+
+    expect(stats).toEqual({ expired: 0, confirmed: 0, failed: 1 });
+    expect(withdraw).not.toHaveBeenCalled();
+  });
+});
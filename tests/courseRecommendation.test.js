@@ -0,0 +1,93 @@
+/**
+ * Course Recommendation Tests
+ * Skill gaps across near-matched jobs and ranking courses that close them
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { collectSkillGaps, rankCoursesForSkillGaps } from '../src/utils/matchingUtils.js';
+
+const jobs = [
+  {
+    _id: 'job1',
+    jobTitle: 'Frontend Developer',
+    skillsRequired: [
+      { skill: 'JavaScript', proficiency: 'Intermediate' },
+      { skill: 'React', proficiency: 'Intermediate' },
+    ],
+  },
+  {
+    _id: 'job2',
+    jobTitle: 'Full Stack Developer',
+    skillsRequired: [
+      { skill: 'JavaScript', proficiency: 'Advanced' },
+      { skill: 'React', proficiency: 'Intermediate' },
+      { skill: 'MongoDB', proficiency: 'Beginner', required: false },
+    ],
+  },
+];
+
+const student = [{ skill: 'JavaScript', level: 'Intermediate' }];
+
+describe('collectSkillGaps', () => {
+  it('sums the match points a missing skill would add across jobs', () => {
+    // JavaScript covers React only partly (parent skill), so React is still a gap
+    const gaps = collectSkillGaps(student, jobs);
+    const react = gaps.find((gap) => gap.skill === 'React');
+
+    expect(gaps[0].skill).toBe('React');
+    expect(react.missing).toBe(true);
+    expect(react.studentLevel).toBeNull();
+    expect(react.jobs.map((job) => job._id)).toEqual(['job1', 'job2']);
+    expect(react.potentialGain).toBeCloseTo(27.5 + 22, 1);
+  });
+
+  it('records skills the student has below the required level', () => {
+    const javascript = collectSkillGaps(student, jobs).find((gap) => gap.skill === 'JavaScript');
+
+    expect(javascript.missing).toBe(false);
+    expect(javascript.studentLevel).toBe('Intermediate');
+    expect(javascript.requiredLevel).toBe('Advanced');
+    expect(javascript.jobs.map((job) => job._id)).toEqual(['job2']);
+  });
+
+  it('accepts aliases when comparing skills', () => {
+    const gaps = collectSkillGaps([{ skill: 'ReactJS', level: 'Intermediate' }, ...student], [jobs[0]]);
+    expect(gaps).toEqual([]);
+  });
+});
+
+describe('rankCoursesForSkillGaps', () => {
+  const gaps = collectSkillGaps(student, jobs);
+
+  it('ranks courses by the gaps they close and skips unrelated ones', () => {
+    const ranked = rankCoursesForSkillGaps([
+      { _id: 'c1', title: 'Databases 101', skills: ['MongoDB'], level: 'Beginner' },
+      { _id: 'c2', title: 'React in Depth', skills: ['React', 'JavaScript'], level: 'Intermediate' },
+      { _id: 'c3', title: 'Python Basics', skills: ['Python'], level: 'Beginner' },
+    ], gaps);
+
+    expect(ranked.map((item) => item.course._id)).toEqual(['c2', 'c1']);
+    expect(ranked[0].closesSkills.map((item) => item.skill)).toEqual(['React']);
+    expect(ranked[0].jobs.map((job) => job._id)).toEqual(['job1', 'job2']);
+  });
+
+  it('gives less credit to courses below the required level', () => {
+    const [advanced, beginner] = rankCoursesForSkillGaps([
+      { _id: 'beginner', skills: ['React'], level: 'Beginner' },
+      { _id: 'advanced', skills: ['react.js'], level: 'Advanced' },
+    ], gaps);
+
+    expect(advanced.course._id).toBe('advanced');
+    expect(beginner.score).toBeLessThan(advanced.score);
+    expect(beginner.closesSkills[0].reachesRequiredLevel).toBe(false);
+  });
+
+  it('only counts a known skill when the course goes beyond the student level', () => {
+    const ranked = rankCoursesForSkillGaps([
+      { _id: 'intro', skills: ['JavaScript'], level: 'Intermediate' },
+      { _id: 'deep', skills: ['JavaScript'], level: 'Advanced' },
+    ], gaps);
+
+    expect(ranked.map((item) => item.course._id)).toEqual(['deep']);
+  });
+});
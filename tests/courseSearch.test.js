@@ -0,0 +1,89 @@
+/**
+ * Course Search Tests
+ * Search parameter parsing, price bands and typo correction
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  tokenizeSearchQuery,
+  buildSearchVocabulary,
+  correctSearchTerms,
+  getPriceBand,
+  parseCourseSearchFilters,
+  buildCourseSearchFilter,
+} from '../src/utils/courseSearch.js';
+
+describe('parseCourseSearchFilters', () => {
+  it('ranks by relevance with a query and by date without one', () => {
+    expect(parseCourseSearchFilters({ q: ' react ', page: '2' })).toEqual({
+      filters: { q: 'react' },
+      sort: 'relevance',
+      page: 2,
+      limit: 10,
+    });
+    expect(parseCourseSearchFilters({ category: 'Design', limit: '500' })).toEqual({
+      filters: { category: 'Design' },
+      sort: 'newest',
+      page: 1,
+      limit: 50,
+    });
+  });
+
+  it('rejects invalid prices, sorts and providers', () => {
+    expect(parseCourseSearchFilters({ priceMin: '-1' }).error).toMatch(/priceMin/);
+    expect(parseCourseSearchFilters({ priceMin: '100', priceMax: '50' }).error).toMatch(/greater/);
+    expect(parseCourseSearchFilters({ sort: 'relevance' }).error).toMatch(/requires a search query/);
+    expect(parseCourseSearchFilters({ sort: 'popular' }).error).toMatch(/sort must be one of/);
+    expect(parseCourseSearchFilters({ provider: 'abc' }).error).toMatch(/provider/);
+  });
+});
+
+describe('buildCourseSearchFilter', () => {
+  it('combines the text search with exact facet filters', () => {
+    const query = buildCourseSearchFilter({ q: 'Web Dev', category: 'C++ (advanced)' });
+
+    expect(query.$text).toEqual({ $search: 'web dev' });
+    expect(query.category.test('c++ (Advanced)')).toBe(true);
+    expect(query.category.test('C++ (advanced) II')).toBe(false);
+  });
+
+  it('keeps unpriced courses under a maximum price only', () => {
+    expect(buildCourseSearchFilter({ priceMax: 50 }).price).toEqual({ $not: { $gt: 50 } });
+    expect(buildCourseSearchFilter({ priceMin: 0, priceMax: 50 }).price).toEqual({ $not: { $gt: 50 } });
+    expect(buildCourseSearchFilter({ priceMin: 10 }).price).toEqual({ $gte: 10 });
+    expect(buildCourseSearchFilter({}).price).toBeUndefined();
+  });
+});
+
+describe('getPriceBand', () => {
+  it('puts each price in one band', () => {
+    expect(getPriceBand(undefined)).toBe('free');
+    expect(getPriceBand(0)).toBe('free');
+    expect(getPriceBand(49.99)).toBe('under_50');
+    expect(getPriceBand(50)).toBe('50_100');
+    expect(getPriceBand(249)).toBe('100_250');
+    expect(getPriceBand(1000)).toBe('250_plus');
+  });
+});
+
+describe('typo tolerance', () => {
+  const vocabulary = buildSearchVocabulary(['Python for Data Science', 'JavaScript', 'C#', 'Web Development']);
+
+  it('keeps programming language names when splitting queries', () => {
+    expect(tokenizeSearchQuery('C# and C++ for the Web!')).toEqual(['c#', 'and', 'c++', 'for', 'the', 'web']);
+  });
+
+  it('corrects misspelled words to the closest catalog word', () => {
+    expect(correctSearchTerms(['pyhton', 'science'], vocabulary)).toEqual({
+      terms: ['python', 'science'],
+      corrections: [{ from: 'pyhton', to: 'python' }],
+    });
+  });
+
+  it('leaves short and unrelated words alone', () => {
+    expect(correctSearchTerms(['dat', 'cooking'], vocabulary)).toEqual({
+      terms: ['dat', 'cooking'],
+      corrections: [],
+    });
+  });
+});
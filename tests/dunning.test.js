@@ -0,0 +1,70 @@
+/**
+ * Dunning Tests
+ * Retry schedule and grace period after failed renewals
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  getDunningConfig,
+  recordFailedCharge,
+  isWithinGracePeriod,
+  getGraceDaysLeft,
+} from '../src/utils/dunning.js';
+
+const config = { retryDays: [1, 3, 5], graceDays: 7 };
+const firstFailure = new Date('2026-03-01T02:00:00Z');
+const daysAfter = (days) => new Date(firstFailure.getTime() + days * 24 * 60 * 60 * 1000);
+
+describe('getDunningConfig', () => {
+  it('reads the schedule from the environment and falls back to defaults', () => {
+    expect(getDunningConfig({ DUNNING_RETRY_DAYS: '4, 2', DUNNING_GRACE_DAYS: '10' }))
+      .toEqual({ retryDays: [2, 4], graceDays: 10 });
+    expect(getDunningConfig({ DUNNING_RETRY_DAYS: 'soon', DUNNING_GRACE_DAYS: '-1' }))
+      .toEqual({ retryDays: [1, 3, 5], graceDays: 7 });
+  });
+});
+
+describe('recordFailedCharge', () => {
+  it('starts the grace period and schedules the first retry on the first failure', () => {
+    const state = recordFailedCharge(null, firstFailure, config);
+
+    expect(state).toMatchObject({ failures: 1, stage: 'payment_failed' });
+    expect(state.nextRetryAt).toEqual(daysAfter(1));
+    expect(state.graceEndsAt).toEqual(daysAfter(7));
+  });
+
+  it('counts retries from the first failure and keeps the grace period', () => {
+    const first = recordFailedCharge(null, firstFailure, config);
+    const second = recordFailedCharge(first, daysAfter(1), config);
+
+    expect(second).toMatchObject({ failures: 2, stage: 'retry_failed' });
+    expect(second.nextRetryAt).toEqual(daysAfter(3));
+    expect(second.graceEndsAt).toEqual(first.graceEndsAt);
+  });
+
+  it('sends the final notice once no retry is left before the grace period ends', () => {
+    let state = recordFailedCharge(null, firstFailure, config);
+    state = recordFailedCharge(state, daysAfter(1), config);
+    state = recordFailedCharge(state, daysAfter(3), config);
+    expect(state.stage).toBe('retry_failed');
+
+    state = recordFailedCharge(state, daysAfter(5), config);
+    expect(state).toMatchObject({ failures: 4, nextRetryAt: null, stage: 'final_notice' });
+
+    const short = recordFailedCharge(null, firstFailure, { retryDays: [1, 3], graceDays: 2 });
+    const retried = recordFailedCharge(short, daysAfter(1), { retryDays: [1, 3], graceDays: 2 });
+    expect(retried.stage).toBe('final_notice');
+  });
+});
+
+describe('grace period', () => {
+  it('allows access until the grace period ends', () => {
+    const dunning = { graceEndsAt: daysAfter(7) };
+
+    expect(isWithinGracePeriod(dunning, daysAfter(6.5))).toBe(true);
+    expect(getGraceDaysLeft(dunning, daysAfter(6.5))).toBe(1);
+    expect(isWithinGracePeriod(dunning, daysAfter(7))).toBe(false);
+    expect(getGraceDaysLeft(dunning, daysAfter(8))).toBe(0);
+    expect(isWithinGracePeriod({}, firstFailure)).toBe(false);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Enrollment Status Tests
+ * Schools can only change enrollments in their own courses and leave paid withdrawals to the student
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+const schoolUser = { _id: new mongoose.Types.ObjectId(), role: 'school', fullName: 'Bright School' };
+const school = { _id: new mongoose.Types.ObjectId(), userId: schoolUser._id };
+const enrollment = {
+  _id: new mongoose.Types.ObjectId(),
+  courseId: new mongoose.Types.ObjectId(),
+  status: 'in-progress',
+};
+
+// Awaitable stand-in for a mongoose query
+const query = (result) => ({
+  select() { return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+let app;
+let models;
+
+beforeAll(async () => {
+  process.env.ACCESS_TOKEN_SECRET = 'test-access-secret';
+  process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+  models = await import('../src/models/index.js');
+  const { default: enrollmentRouter } = await import('../src/routes/enrollment.routes.js');
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/v1/enrollments', enrollmentRouter);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PATCH /api/v1/enrollments/:id/status', () => {
+  it('refuses a school completing an enrollment in another school\'s course', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(models.User, 'findById').mockReturnValue(query(schoolUser));
+    jest.spyOn(models.Enrollment, 'findById').mockReturnValue(query(enrollment));
+    jest.spyOn(models.Course, 'findById').mockReturnValue(query({ _id: enrollment.courseId, trainingProvider: new mongoose.Types.ObjectId() }));
+    jest.spyOn(models.TrainingInstitute, 'findOne').mockReturnValue(query(school));
+    const update = jest.spyOn(models.Enrollment, 'findOneAndUpdate');
+
+    const token = jwt.sign({ _id: schoolUser._id.toString() }, process.env.ACCESS_TOKEN_SECRET);
+    const response = await request(app)
+      .patch(`/api/v1/enrollments/${enrollment._id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'completed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toBe('You can only update enrollments in your own courses');
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  const ownCourse = { _id: enrollment.courseId, trainingProvider: school._id };
+  const send = (status) => request(app)
+    .patch(`/api/v1/enrollments/${enrollment._id}/status`)
+    .set('Authorization', `Bearer ${jwt.sign({ _id: schoolUser._id.toString() }, process.env.ACCESS_TOKEN_SECRET)}`)
+    .send({ status });
+
+  it('leaves withdrawing a paid enrollment to the student', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(models.User, 'findById').mockReturnValue(query(schoolUser));
+    jest.spyOn(models.Enrollment, 'findById').mockReturnValue(query({ ...enrollment, payment: { status: 'paid' } }));
+    jest.spyOn(models.Course, 'findById').mockReturnValue(query(ownCourse));
+    jest.spyOn(models.TrainingInstitute, 'findOne').mockReturnValue(query(school));
+    const update = jest.spyOn(models.Enrollment, 'findOneAndUpdate');
+
+    const response = await send('withdrawn');
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toMatch(/withdrawn by the student/);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('takes a withdrawn free enrollment off the course count', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(models.User, 'findById').mockReturnValue(query(schoolUser));
+    jest.spyOn(models.Enrollment, 'findById').mockReturnValue(query(enrollment));
+    jest.spyOn(models.Course, 'findById').mockReturnValue(query(ownCourse));
+    jest.spyOn(models.TrainingInstitute, 'findOne').mockReturnValue(query(school));
+    const update = jest.spyOn(models.Enrollment, 'findOneAndUpdate').mockReturnValue(query({ ...enrollment, status: 'withdrawn' }));
+    const count = jest.spyOn(models.Course, 'findByIdAndUpdate').mockResolvedValue(ownCourse);
+
+    const response = await send('withdrawn');
+
+    expect(response.body.success).toBe(true);
+    expect(update.mock.calls[0][0]).toMatchObject({ 'payment.status': { $ne: 'paid' } });
+    expect(count).toHaveBeenCalledWith(enrollment.courseId, { $inc: { currentEnrollments: -1 } });
+  });
+});
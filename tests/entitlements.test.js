@@ -0,0 +1,90 @@
+/**
+ * Entitlement Tests
+ * Plan limits, monthly usage periods and usage reports
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  FREE_TIER_ENTITLEMENTS,
+  isLimitedRole,
+  getEntitlementLimit,
+  getUsagePeriod,
+  checkQuota,
+  buildUsageReport,
+  parseEntitlements,
+} from '../src/utils/entitlements.js';
+
+describe('getEntitlementLimit', () => {
+  it('treats missing limits as unlimited', () => {
+    expect(getEntitlementLimit({ maxCourses: 10 }, 'courses')).toBe(10);
+    expect(getEntitlementLimit({ maxActiveJobPosts: 0 }, 'activeJobPosts')).toBe(0);
+    expect(getEntitlementLimit({ maxProfileViews: null }, 'profileViews')).toBeNull();
+    expect(getEntitlementLimit(undefined, 'conversations')).toBeNull();
+  });
+});
+
+describe('isLimitedRole', () => {
+  it('limits schools and employers only', () => {
+    expect(isLimitedRole('school')).toBe(true);
+    expect(isLimitedRole('employer')).toBe(true);
+    expect(isLimitedRole('student')).toBe(false);
+    expect(isLimitedRole('admin')).toBe(false);
+  });
+
+  it('lets the free tier post a job but not create courses', () => {
+    expect(getEntitlementLimit(FREE_TIER_ENTITLEMENTS, 'activeJobPosts')).toBeGreaterThan(0);
+    expect(getEntitlementLimit(FREE_TIER_ENTITLEMENTS, 'courses')).toBe(0);
+  });
+});
+
+describe('getUsagePeriod', () => {
+  it('runs monthly from the subscription start day', () => {
+    const period = getUsagePeriod(new Date(2026, 0, 15), new Date(2026, 2, 20));
+
+    expect(period.periodStart).toEqual(new Date(2026, 2, 15));
+    expect(period.periodEnd).toEqual(new Date(2026, 3, 15));
+  });
+
+  it('keeps to the end of shorter months', () => {
+    const period = getUsagePeriod(new Date(2026, 0, 31), new Date(2026, 1, 28, 12));
+
+    expect(period.periodStart).toEqual(new Date(2026, 1, 28));
+    expect(period.periodEnd).toEqual(new Date(2026, 2, 31));
+  });
+
+  it('stays in the previous period until the start day comes round', () => {
+    const period = getUsagePeriod(new Date(2026, 0, 15), new Date(2026, 2, 14));
+
+    expect(period.periodStart).toEqual(new Date(2026, 1, 15));
+  });
+});
+
+describe('checkQuota', () => {
+  it('allows use up to the limit', () => {
+    expect(checkQuota(5, 4)).toEqual({ allowed: true, remaining: 1 });
+    expect(checkQuota(5, 5)).toEqual({ allowed: false, remaining: 0 });
+    expect(checkQuota(null, 1000)).toEqual({ allowed: true, remaining: null });
+  });
+});
+
+describe('buildUsageReport', () => {
+  it('reports every entitlement against its limit', () => {
+    const report = buildUsageReport({ maxCourses: 10, maxProfileViews: 0 }, { courses: 4, profileViews: 0 });
+
+    expect(report).toHaveLength(4);
+    expect(report[0]).toMatchObject({ metric: 'courses', type: 'total', limit: 10, used: 4, remaining: 6, percentage: 40 });
+    expect(report.find((item) => item.metric === 'profileViews')).toMatchObject({ limit: 0, remaining: 0, percentage: null });
+    expect(report.find((item) => item.metric === 'conversations')).toMatchObject({ limit: null, used: 0, remaining: null });
+  });
+});
+
+describe('parseEntitlements', () => {
+  it('accepts whole numbers and null for known limits only', () => {
+    expect(parseEntitlements({ maxCourses: 3, maxConversations: null }))
+      .toEqual({ entitlements: { maxCourses: 3, maxConversations: null } });
+    expect(parseEntitlements({ maxSeats: 3 }).error).toMatch('Unknown entitlement');
+    expect(parseEntitlements({ maxCourses: -1 }).error).toMatch('maxCourses');
+    expect(parseEntitlements({ maxCourses: 2.5 }).error).toMatch('maxCourses');
+    expect(parseEntitlements(['maxCourses']).error).toBeDefined();
+  });
+});
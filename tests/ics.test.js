@@ -0,0 +1,70 @@
+/**
+ * ICS Builder Tests
+ * RFC 5545 output used for interview invites
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { buildIcsEvent, escapeIcsText, foldIcsLine, formatIcsDate } from '../src/utils/ics.js';
+
+describe('ICS builder', () => {
+  const baseEvent = {
+    uid: 'abc-123@talentbridge',
+    sequence: 2,
+    start: new Date('2025-06-10T09:00:00.000Z'),
+    end: new Date('2025-06-10T09:45:00.000Z'),
+    summary: 'Interview: Frontend Developer',
+    organizer: { name: 'Acme HR', email: 'hr@acme.test' },
+    attendees: [{ name: 'Jane Doe', email: 'jane@student.test' }],
+    timestamp: new Date('2025-06-01T12:00:00.000Z'),
+  };
+
+  it('formats dates as UTC date-times', () => {
+    expect(formatIcsDate('2025-06-10T09:00:00.123Z')).toBe('20250610T090000Z');
+  });
+
+  it('escapes special characters in text values', () => {
+    expect(escapeIcsText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('folds lines longer than 75 octets', () => {
+    const folded = foldIcsLine(`DESCRIPTION:${'x'.repeat(200)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line) => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    lines.slice(1).forEach((line) => expect(line.startsWith(' ')).toBe(true));
+    expect(lines.map((line, i) => (i === 0 ? line : line.slice(1))).join('')).toBe(`DESCRIPTION:${'x'.repeat(200)}`);
+  });
+
+  it('does not split multi-byte characters when folding', () => {
+    const folded = foldIcsLine(`SUMMARY:${'é'.repeat(60)}`);
+    folded.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+  });
+
+  it('builds a REQUEST event with CRLF line endings', () => {
+    const ics = buildIcsEvent(baseEvent);
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).not.toMatch(/[^\r]\n/);
+    expect(ics).toContain('METHOD:REQUEST');
+    expect(ics).toContain('UID:abc-123@talentbridge');
+    expect(ics).toContain('SEQUENCE:2');
+    expect(ics).toContain('DTSTAMP:20250601T120000Z');
+    expect(ics).toContain('DTSTART:20250610T090000Z');
+    expect(ics).toContain('DTEND:20250610T094500Z');
+    expect(ics).toContain('ORGANIZER;CN=Acme HR:mailto:hr@acme.test');
+    expect(ics).toContain('STATUS:CONFIRMED');
+  });
+
+  it('marks cancellations as CANCELLED', () => {
+    const ics = buildIcsEvent({ ...baseEvent, method: 'CANCEL', sequence: 3 });
+
+    expect(ics).toContain('METHOD:CANCEL');
+    expect(ics).toContain('SEQUENCE:3');
+    expect(ics).toContain('STATUS:CANCELLED');
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Invoice Tests
+ * Invoice numbering and tax-inclusive totals
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { calculateInvoiceTotals, formatInvoiceNumber, parseTaxRate } from '../src/utils/invoice.js';
+
+describe('formatInvoiceNumber', () => {
+  it('pads the sequence so numbers sort in issue order', () => {
+    expect(formatInvoiceNumber(42)).toBe('INV-000042');
+    expect(formatInvoiceNumber(1234567)).toBe('INV-1234567');
+  });
+});
+
+describe('parseTaxRate', () => {
+  it('accepts percentages between 0 and 100 only', () => {
+    expect(parseTaxRate('20')).toBe(20);
+    expect(parseTaxRate(undefined)).toBe(0);
+    expect(parseTaxRate('abc')).toBe(0);
+    expect(parseTaxRate('-5')).toBe(0);
+    expect(parseTaxRate('150')).toBe(0);
+  });
+});
+
+describe('calculateInvoiceTotals', () => {
+  it('works the included tax back out of the charged total', () => {
+    const totals = calculateInvoiceTotals([{ description: 'Employer plan', unitAmount: 120 }], 20);
+
+    expect(totals).toMatchObject({ subtotal: 100, taxRate: 20, taxAmount: 20, total: 120 });
+    expect(totals.lineItems[0]).toMatchObject({ quantity: 1, amount: 120 });
+  });
+
+  it('sums line items and rounds to cents', () => {
+    const totals = calculateInvoiceTotals([
+      { description: 'Plan', quantity: 1, unitAmount: 29.99 },
+      { description: 'Seats', quantity: 3, unitAmount: 0.333 },
+    ], 0);
+
+    expect(totals.lineItems[1].amount).toBe(1);
+    expect(totals).toMatchObject({ subtotal: 30.99, taxAmount: 0, total: 30.99 });
+  });
+});
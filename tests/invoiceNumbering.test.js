@@ -0,0 +1,86 @@
+/**
+ * Invoice Numbering Tests
+ * Invoice numbers are only taken by invoices that were actually stored, and every stored invoice gets one
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// Awaitable stand-in for a mongoose query
+const query = (result) => ({
+  select() { return this; },
+  populate() { return this; },
+  then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); },
+});
+
+let models;
+let issueInvoiceForPayment;
+
+beforeAll(async () => {
+  models = await import('../src/models/index.js');
+  ({ issueInvoiceForPayment } = await import('../src/services/invoice.service.js'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const payment = { _id: new mongoose.Types.ObjectId(), amount: 29.99, currency: 'usd', transactionId: 'pi_paid', paymentDate: new Date() };
+const subscription = {
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  planId: new mongoose.Types.ObjectId(),
+  billing: { startDate: new Date('2026-01-01T00:00:00Z'), endDate: new Date('2026-02-01T00:00:00Z') },
+};
+const plan = { _id: subscription.planId, displayName: 'Pro', billingCycle: 'monthly', currency: 'usd' };
+
+const stubIssue = () => {
+  jest.spyOn(models.User, 'findById').mockReturnValue(query({ _id: subscription.userId, fullName: 'Ami', email: 'ami@example.com', role: 'student' }));
+  return jest.spyOn(models.Counter, 'next').mockResolvedValue(42);
+};
+
+describe('issueInvoiceForPayment', () => {
+  it('returns the invoice of a payment issued concurrently without taking a number', async () => {
+    const existing = { invoiceNumber: 'INV-000041' };
+    jest.spyOn(models.Invoice, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+    jest.spyOn(models.Invoice, 'create').mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern: { subscription: 1, payment: 1 } })
+    );
+    const next = stubIssue();
+
+    await expect(issueInvoiceForPayment({ subscription, payment, billingReason: 'subscription_create', plan }))
+      .resolves.toEqual({ invoice: existing, created: false });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('does not take a number when the invoice cannot be stored', async () => {
+    jest.spyOn(models.Invoice, 'findOne').mockResolvedValue(null);
+    jest.spyOn(models.Invoice, 'create').mockRejectedValue(new Error('Invoice validation failed'));
+    const next = stubIssue();
+
+    await expect(issueInvoiceForPayment({ subscription, payment, billingReason: 'subscription_create', plan }))
+      .rejects.toThrow('Invoice validation failed');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('numbers an invoice an earlier call stored but did not number', async () => {
+    const draft = { _id: new mongoose.Types.ObjectId(), invoiceNumber: `DRAFT-${payment._id}` };
+    jest.spyOn(models.Invoice, 'findOne').mockResolvedValue(draft);
+    const numbered = { ...draft, invoiceNumber: 'INV-000042' };
+    const update = jest.spyOn(models.Invoice, 'findOneAndUpdate').mockResolvedValue(numbered);
+    const create = jest.spyOn(models.Invoice, 'create');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    stubIssue();
+
+    const { invoice, created } = await issueInvoiceForPayment({ subscription, payment, billingReason: 'subscription_create', plan });
+
+    expect(created).toBe(true);
+    expect(invoice).toBe(numbered);
+    expect(create).not.toHaveBeenCalled();
+    expect(update).toHaveBeenCalledWith(
+      { _id: draft._id, invoiceNumber: draft.invoiceNumber },
+      { $set: { invoiceNumber: 'INV-000042' } },
+      { new: true }
+    );
+  });
+});
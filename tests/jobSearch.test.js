@@ -0,0 +1,53 @@
+/**
+ * Job Search Filter Tests
+ * Shared by the advanced job search and saved search digests
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { buildJobSearchFilter, parseJobSearchFilters } from '../src/utils/jobSearch.js';
+
+describe('parseJobSearchFilters', () => {
+  it('normalizes text, salary and skills from a query string', () => {
+    const { filters, error } = parseJobSearchFilters({
+      q: '  frontend ',
+      location: '',
+      minSalary: '30000',
+      skills: 'js, react ,React',
+    });
+
+    expect(error).toBeUndefined();
+    expect(filters).toEqual({ q: 'frontend', minSalary: 30000, skills: ['JavaScript', 'React'] });
+  });
+
+  it('rejects invalid employment types and salary ranges', () => {
+    expect(parseJobSearchFilters({ employmentType: 'Freelance' }).error).toMatch(/employmentType/);
+    expect(parseJobSearchFilters({ minSalary: 'abc' }).error).toMatch(/minSalary/);
+    expect(parseJobSearchFilters({ minSalary: 50000, maxSalary: 40000 }).error).toMatch(/greater/);
+  });
+});
+
+describe('buildJobSearchFilter', () => {
+  it('only returns active jobs and escapes regex characters', () => {
+    const query = buildJobSearchFilter({ q: 'C++ (senior)' });
+
+    expect(query.status).toBe('active');
+    expect(query.$or[0].jobTitle.test('Senior C++ (senior) developer')).toBe(true);
+    expect(query.$or[0].jobTitle.test('C (senior)')).toBe(false);
+  });
+
+  it('matches known skills by canonical name on skillsRequired.skill', () => {
+    const query = buildJobSearchFilter({ skills: ['JavaScript', 'Kubernetes'] });
+    const [javascript, kubernetes] = query['skillsRequired.skill'].$in;
+
+    expect(javascript.test('JavaScript')).toBe(true);
+    expect(javascript.test('JavaScript ES6')).toBe(false);
+    expect(kubernetes.test('Kubernetes (K8s)')).toBe(true);
+  });
+
+  it('applies salary bounds', () => {
+    expect(buildJobSearchFilter({ minSalary: 30000, maxSalary: 60000 })).toMatchObject({
+      'salary.min': { $gte: 30000 },
+      'salary.max': { $lte: 60000 },
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Match Scoring Tests
+ * Proficiency levels, evidence and required/nice-to-have weights
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  calculateMatchBreakdown,
+  calculateMatchPercentage,
+  getEffectiveProficiency,
+  getProficiencyGap,
+  getStudentSkillProfile,
+} from '../src/utils/matchingUtils.js';
+
+describe('Proficiency levels', () => {
+  it('measures how many levels a student is below the requirement', () => {
+    expect(getProficiencyGap('Beginner', 'Advanced')).toBe(2);
+    expect(getProficiencyGap('Intermediate', 'Advanced')).toBe(1);
+    expect(getProficiencyGap('Advanced', 'Beginner')).toBe(0);
+  });
+
+  it('uses the highest of the self-assessed and evidence levels', () => {
+    expect(getEffectiveProficiency({ level: 'Beginner', evidence: [{ source: 'course', level: 'Advanced' }] })).toBe('Advanced');
+    expect(getEffectiveProficiency({ level: 'Intermediate', evidence: [{ source: 'certification' }] })).toBe('Intermediate');
+    expect(getEffectiveProficiency({ evidence: [] })).toBeNull();
+  });
+
+  it('builds a scoring profile from a student document', () => {
+    const profile = getStudentSkillProfile({
+      skills: ['JavaScript', 'Python'],
+      skillProficiencies: [{ skill: 'JavaScript', level: 'Advanced', evidence: [{ source: 'course', level: 'Intermediate' }] }],
+    });
+
+    expect(profile).toEqual([
+      { skill: 'JavaScript', level: 'Advanced', verified: true },
+      { skill: 'Python', level: null, verified: false },
+    ]);
+  });
+});
+
+describe('Weighted match scoring', () => {
+  const jobSkills = [
+    { skill: 'JavaScript', proficiency: 'Advanced' },
+    { skill: 'Docker', proficiency: 'Beginner', required: false },
+  ];
+
+  it('lowers the score for each level below the requirement', () => {
+    const advanced = calculateMatchPercentage([{ skill: 'js', level: 'Advanced' }], [{ skill: 'JavaScript', proficiency: 'Advanced' }]);
+    const intermediate = calculateMatchPercentage([{ skill: 'js', level: 'Intermediate' }], [{ skill: 'JavaScript', proficiency: 'Advanced' }]);
+    const beginner = calculateMatchPercentage([{ skill: 'js', level: 'Beginner' }], [{ skill: 'JavaScript', proficiency: 'Advanced' }]);
+
+    expect(advanced).toBeGreaterThan(intermediate);
+    expect(intermediate).toBeGreaterThan(beginner);
+  });
+
+  it('treats students without a recorded level as Intermediate', () => {
+    expect(calculateMatchPercentage(['JavaScript'], [{ skill: 'JavaScript', proficiency: 'Intermediate' }])).toBe(100);
+  });
+
+  it('counts missing nice-to-have skills less than missing required skills', () => {
+    const missingNiceToHave = calculateMatchPercentage([{ skill: 'JavaScript', level: 'Advanced' }], jobSkills);
+    const missingRequired = calculateMatchPercentage([{ skill: 'Docker', level: 'Beginner' }], jobSkills);
+
+    expect(missingNiceToHave).toBeCloseTo(66.67, 1);
+    expect(missingRequired).toBeCloseTo(33.33, 1);
+  });
+
+  it('applies skill weights', () => {
+    const weighted = [
+      { skill: 'Python', weight: 3 },
+      { skill: 'SQL', weight: 1 },
+    ];
+
+    expect(calculateMatchPercentage(['Python'], weighted)).toBe(75);
+  });
+
+  it('explains each requirement', () => {
+    const { requirements } = calculateMatchBreakdown(
+      [{ skill: 'JS', level: 'Intermediate', verified: true }],
+      jobSkills
+    );
+
+    expect(requirements[0]).toMatchObject({
+      skill: 'JavaScript',
+      requiredLevel: 'Advanced',
+      required: true,
+      matched: true,
+      matchedSkill: 'JS',
+      matchType: 'abbreviation',
+      studentLevel: 'Intermediate',
+      levelGap: 1,
+      verified: true,
+    });
+    expect(requirements[1]).toMatchObject({ skill: 'Docker', required: false, weight: 0.5, matched: false, score: 0 });
+  });
+
+  it('splits the percentage into per-skill contributions', () => {
+    const { matchPercentage, requirements } = calculateMatchBreakdown(
+      [{ skill: 'JavaScript', level: 'Advanced' }, 'Docker'],
+      jobSkills
+    );
+    const total = requirements.reduce((sum, requirement) => sum + requirement.contribution, 0);
+
+    expect(requirements[0].contribution).toBeCloseTo(66.67, 1);
+    expect(total).toBeCloseTo(matchPercentage, 1);
+  });
+});
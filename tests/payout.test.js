@@ -0,0 +1,108 @@
+/**
+ * Payout Statement Tests
+ * Monthly statement periods, statements per currency and CSV output
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import {
+  getStatementPeriod,
+  getPreviousPeriod,
+  formatPeriod,
+  toCsv,
+} from '../src/utils/payout.js';
+
+describe('statement periods', () => {
+  it('covers the UTC calendar month of a date or a YYYY-MM name', () => {
+    const expected = {
+      periodStart: new Date('2026-03-01T00:00:00Z'),
+      periodEnd: new Date('2026-04-01T00:00:00Z'),
+    };
+
+    expect(getStatementPeriod(new Date('2026-03-31T23:59:59Z'))).toEqual(expected);
+    expect(getStatementPeriod('2026-03')).toEqual(expected);
+    expect(formatPeriod(expected.periodStart)).toBe('2026-03');
+  });
+
+  it('rejects malformed periods', () => {
+    expect(getStatementPeriod('2026-13')).toBeNull();
+    expect(getStatementPeriod('March 2026')).toBeNull();
+    expect(getStatementPeriod('not a date')).toBeNull();
+  });
+
+  it('goes back across the turn of the year', () => {
+    expect(getPreviousPeriod(new Date('2026-01-01T03:00:00Z'))).toEqual({
+      periodStart: new Date('2025-12-01T00:00:00Z'),
+      periodEnd: new Date('2026-01-01T00:00:00Z'),
+    });
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes fields containing separators, quotes or line breaks', () => {
+    const csv = toCsv(
+      ['date', 'course', 'amount'],
+      [
+        [new Date('2026-03-02T10:00:00Z'), 'Node, "the good parts"', 49.99],
+        ['', null, undefined],
+      ]
+    );
+
+    expect(csv).toBe(
+      'date,course,amount\r\n' +
+      '2026-03-02T10:00:00.000Z,"Node, ""the good parts""",49.99\r\n' +
+      ',,\r\n'
+    );
+  });
+
+  it('keeps spreadsheets from running text as a formula', () => {
+    const csv = toCsv(['course', 'amount'], [
+      ['=HYPERLINK("http://evil.example")', '-12.50'],
+      ['@SUM(A1)', -3],
+      ['+1 bonus, -2 malus', '0.00'],
+    ]);
+
+    expect(csv).toBe(
+      'course,amount\r\n' +
+      '"\'=HYPERLINK(""http://evil.example"")",-12.50\r\n' +
+      '\'@SUM(A1),-3\r\n' +
+      '"\'+1 bonus, -2 malus",0.00\r\n'
+    );
+  });
+});
+
+describe('generateStatements', () => {
+  let models;
+  let generateStatements;
+
+  beforeAll(async () => {
+    process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+    models = await import('../src/models/index.js');
+    ({ generateStatements } = await import('../src/services/payout.service.js'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives an institute selling in two currencies a statement for each', async () => {
+    const instituteId = new mongoose.Types.ObjectId();
+    const period = getStatementPeriod('2026-03');
+    const aggregate = jest.spyOn(models.RevenueLedger, 'aggregate').mockResolvedValue([
+      { _id: 'usd', grossSales: 100, refunds: 0, platformFees: 20, netEarnings: 80, salesCount: 2, refundsCount: 0 },
+      { _id: 'eur', grossSales: 50, refunds: 50, platformFees: 0, netEarnings: 0, salesCount: 1, refundsCount: 1 },
+    ]);
+    const save = jest.spyOn(models.PayoutStatement, 'findOneAndUpdate')
+      .mockImplementation((filter, update) => Promise.resolve({ currency: filter.currency, ...update.$set }));
+
+    const results = await generateStatements(instituteId, period);
+
+    expect(aggregate.mock.calls[0][0][1].$group._id).toBe('$currency');
+    expect(save.mock.calls.map(([filter]) => filter.currency)).toEqual(['usd', 'eur']);
+    expect(results.map(({ statement }) => [statement.currency, statement.netPayable, statement.grossSales])).toEqual([
+      ['usd', 80, 100],
+      ['eur', 0, 50],
+    ]);
+    expect(results.every(({ updated }) => updated)).toBe(true);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Proration Tests
+ * Pricing of plan changes part-way through a billing period
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  applyCreditToRenewal,
+  calculateProration,
+  getBillingPeriod,
+  getPeriodAmountPaid,
+  getRemainingFraction,
+} from '../src/utils/proration.js';
+
+const periodStart = new Date('2024-03-01T00:00:00Z');
+const periodEnd = new Date('2024-03-31T00:00:00Z');
+const halfway = new Date('2024-03-16T00:00:00Z');
+
+describe('getRemainingFraction', () => {
+  it('measures the time left in the period, clamped to 0..1', () => {
+    expect(getRemainingFraction(periodStart, periodEnd, halfway)).toBe(0.5);
+    expect(getRemainingFraction(periodStart, periodEnd, new Date('2024-04-10T00:00:00Z'))).toBe(0);
+    expect(getRemainingFraction(periodStart, periodEnd, new Date('2024-02-01T00:00:00Z'))).toBe(1);
+    expect(getRemainingFraction(periodEnd, periodStart, halfway)).toBe(0);
+  });
+});
+
+describe('getPeriodAmountPaid', () => {
+  const payments = [
+    { amount: 29.99, status: 'completed', paymentDate: new Date('2024-02-01T00:00:00Z') },
+    { amount: 14.99, status: 'completed', paymentDate: new Date('2024-03-01T00:05:00Z') },
+    { amount: 29.99, status: 'failed', paymentDate: new Date('2024-03-02T00:00:00Z') },
+  ];
+
+  it('uses the amount recorded for the period', () => {
+    expect(getPeriodAmountPaid({ amountPaid: 9.99, startDate: periodStart }, payments, 29.99)).toBe(9.99);
+    expect(getPeriodAmountPaid({ amountPaid: 0, startDate: periodStart }, payments, 29.99)).toBe(0);
+  });
+
+  it('falls back to the last completed payment of the period, then to the plan price', () => {
+    expect(getPeriodAmountPaid({ startDate: periodStart }, payments, 29.99)).toBe(14.99);
+    expect(getPeriodAmountPaid({ startDate: new Date('2024-03-05T00:00:00Z') }, payments, 29.99)).toBe(29.99);
+  });
+});
+
+describe('calculateProration', () => {
+  it('charges the difference for the rest of the period on an upgrade', () => {
+    const quote = calculateProration({ currentPrice: 20, newPrice: 50, periodStart, periodEnd, now: halfway });
+
+    expect(quote).toMatchObject({ unusedCredit: 10, newPlanCost: 25, difference: 15, amountToCharge: 15, creditBalance: 0 });
+  });
+
+  it('credits only the unused part of a discounted payment', () => {
+    const quote = calculateProration({ currentPrice: 10, newPrice: 50, periodStart, periodEnd, now: halfway });
+
+    expect(quote).toMatchObject({ unusedCredit: 5, newPlanCost: 25, amountToCharge: 20 });
+  });
+
+  it('credits the difference on a downgrade and spends credit on the next upgrade', () => {
+    const downgrade = calculateProration({ currentPrice: 50, newPrice: 20, periodStart, periodEnd, now: halfway });
+    expect(downgrade).toMatchObject({ difference: -15, amountToCharge: 0, creditBalance: 15 });
+
+    const upgrade = calculateProration({
+      currentPrice: 20, newPrice: 50, periodStart, periodEnd, now: halfway, creditBalance: downgrade.creditBalance,
+    });
+    expect(upgrade).toMatchObject({ creditApplied: 15, amountToCharge: 0, creditBalance: 0 });
+  });
+
+  it('prices a full new period when the billing period restarts and waives tiny charges', () => {
+    const restart = calculateProration({ currentPrice: 20, newPrice: 100, periodStart, periodEnd, now: halfway, restartPeriod: true });
+    expect(restart).toMatchObject({ newPlanCost: 100, amountToCharge: 90 });
+
+    const tiny = calculateProration({ currentPrice: 20, newPrice: 20.5, periodStart, periodEnd, now: halfway });
+    expect(tiny.difference).toBe(0.25);
+    expect(tiny.amountToCharge).toBe(0);
+  });
+});
+
+describe('billing helpers', () => {
+  it('spends held credit before charging a renewal', () => {
+    expect(applyCreditToRenewal(29.99, 10)).toEqual({ creditApplied: 10, amountToCharge: 19.99, creditBalance: 0 });
+    expect(applyCreditToRenewal(29.99, 40)).toEqual({ creditApplied: 29.99, amountToCharge: 0, creditBalance: 10.01 });
+  });
+
+  it('builds monthly and one-time billing periods', () => {
+    const start = new Date('2024-01-15T00:00:00Z');
+    expect(getBillingPeriod('monthly', start).endDate).toEqual(new Date('2024-02-15T00:00:00Z'));
+    expect(getBillingPeriod('onetime', start)).toMatchObject({ nextBillingDate: null, endDate: new Date('2034-01-15T00:00:00Z') });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Quiz Grading Tests
+ * Question validation, auto-grading per question type and question selection
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  gradeAnswer,
+  gradeAttempt,
+  isAttemptOverdue,
+  pickQuizQuestions,
+  toStudentQuestion,
+  validateQuestion,
+} from '../src/utils/quizGrading.js';
+
+const multipleChoice = {
+  _id: 'q1',
+  type: 'multiple_choice',
+  prompt: 'Which hook stores local state?',
+  options: [
+    { _id: 'a', text: 'useState', isCorrect: true },
+    { _id: 'b', text: 'useEffect', isCorrect: false },
+  ],
+};
+
+const multiSelect = {
+  _id: 'q2',
+  type: 'multi_select',
+  prompt: 'Which are JavaScript frameworks?',
+  points: 2,
+  options: [
+    { _id: 'a', text: 'React', isCorrect: true },
+    { _id: 'b', text: 'Vue', isCorrect: true },
+    { _id: 'c', text: 'Django', isCorrect: false },
+  ],
+};
+
+const trueFalse = { _id: 'q3', type: 'true_false', prompt: 'JSX compiles to function calls', correctAnswer: true };
+
+const shortAnswer = {
+  _id: 'q4',
+  type: 'short_answer',
+  prompt: 'Name the virtual DOM diffing process',
+  acceptedAnswers: ['Reconciliation'],
+};
+
+describe('validateQuestion', () => {
+  it('checks the answer fields of each type', () => {
+    expect(validateQuestion(multipleChoice)).toBeNull();
+    expect(validateQuestion({ ...multipleChoice, options: multiSelect.options })).toMatch(/exactly one/);
+    expect(validateQuestion({ ...trueFalse, correctAnswer: 'yes' })).toMatch(/correctAnswer/);
+    expect(validateQuestion({ ...shortAnswer, acceptedAnswers: ['  '] })).toMatch(/accepted answer/);
+    expect(validateQuestion({ ...multipleChoice, type: 'essay' })).toMatch(/type must be/);
+  });
+});
+
+describe('gradeAnswer', () => {
+  it('gives multi-select partial credit, less wrong options', () => {
+    expect(gradeAnswer(multiSelect, { selectedOptions: ['a', 'b'] })).toEqual({ isCorrect: true, pointsAwarded: 2 });
+    expect(gradeAnswer(multiSelect, { selectedOptions: ['a'] })).toEqual({ isCorrect: false, pointsAwarded: 1 });
+    expect(gradeAnswer(multiSelect, { selectedOptions: ['a', 'c'] })).toEqual({ isCorrect: false, pointsAwarded: 0 });
+    expect(gradeAnswer(multiSelect, { selectedOptions: ['c'] }).pointsAwarded).toBe(0);
+  });
+
+  it('compares short answers ignoring case and whitespace', () => {
+    expect(gradeAnswer(shortAnswer, { textAnswer: '  reconciliation ' }).isCorrect).toBe(true);
+    expect(gradeAnswer(shortAnswer, { textAnswer: '' }).isCorrect).toBe(false);
+  });
+});
+
+describe('gradeAttempt', () => {
+  it('scores submitted answers and applies the pass mark', () => {
+    const questions = [multipleChoice, multiSelect, trueFalse, shortAnswer];
+    const result = gradeAttempt(questions, [
+      { question: 'q1', answer: 'a' },
+      { question: 'q2', answer: ['a'] },
+      { question: 'q3', answer: 'false' },
+      { question: 'unknown', answer: 'x' },
+    ], 40);
+
+    expect(result).toMatchObject({ score: 2, maxScore: 5, percentage: 40, passed: true });
+    expect(result.answers.map(answer => answer.question)).toEqual(['q1', 'q2', 'q3', 'q4']);
+    expect(result.answers[2]).toMatchObject({ booleanAnswer: false, isCorrect: false });
+    expect(result.answers[3].pointsAwarded).toBe(0);
+    expect(gradeAttempt(questions, [], 40).passed).toBe(false);
+  });
+});
+
+describe('question selection and timing', () => {
+  it('draws questionCount questions, keeping their order unless shuffled', () => {
+    const ids = ['q1', 'q2', 'q3', 'q4', 'q5'];
+    const drawn = pickQuizQuestions(ids, { questionCount: 3, random: () => 0 });
+
+    expect(drawn).toHaveLength(3);
+    expect(drawn).toEqual(ids.filter(id => drawn.includes(id)));
+    expect(pickQuizQuestions(ids)).toEqual(ids);
+  });
+
+  it('hides answers from students and allows a grace period after the time limit', () => {
+    expect(toStudentQuestion(multipleChoice).options).toEqual([{ _id: 'a', text: 'useState' }, { _id: 'b', text: 'useEffect' }]);
+    expect(toStudentQuestion(trueFalse)).not.toHaveProperty('correctAnswer');
+
+    const expiresAt = new Date('2024-01-01T10:00:00Z');
+    expect(isAttemptOverdue({ expiresAt }, new Date('2024-01-01T10:00:20Z'))).toBe(false);
+    expect(isAttemptOverdue({ expiresAt }, new Date('2024-01-01T10:01:00Z'))).toBe(true);
+    expect(isAttemptOverdue({}, new Date())).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Course Review Tests
+ * Who may review a course and how ratings are summarized
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  getReviewProgressThreshold,
+  isValidRating,
+  checkReviewEligibility,
+  summarizeRatings,
+} from '../src/utils/review.js';
+
+describe('review eligibility', () => {
+  it('reads REVIEW_MIN_PROGRESS with a default of 80%', () => {
+    expect(getReviewProgressThreshold({})).toBe(80);
+    expect(getReviewProgressThreshold({ REVIEW_MIN_PROGRESS: '50' })).toBe(50);
+    expect(getReviewProgressThreshold({ REVIEW_MIN_PROGRESS: '120' })).toBe(80);
+  });
+
+  it('lets students review completed courses or courses they are far into', () => {
+    expect(checkReviewEligibility({ status: 'completed', progressPercentage: 40 }, 80).eligible).toBe(true);
+    expect(checkReviewEligibility({ status: 'enrolled', progressPercentage: 80 }, 80).eligible).toBe(true);
+    expect(checkReviewEligibility({ status: 'enrolled', progressPercentage: 79 }, 80).code).toBe('NOT_ENOUGH_PROGRESS');
+  });
+
+  it('refuses students without an active or completed enrollment', () => {
+    expect(checkReviewEligibility(null, 80).code).toBe('NOT_ENROLLED');
+    expect(checkReviewEligibility({ status: 'withdrawn', progressPercentage: 100 }, 80).code).toBe('NOT_ENROLLED');
+    expect(checkReviewEligibility({ status: 'pending_payment' }, 80).code).toBe('NOT_ENROLLED');
+  });
+
+  it('accepts whole star ratings only', () => {
+    expect(isValidRating(1)).toBe(true);
+    expect(isValidRating(5)).toBe(true);
+    expect(isValidRating(4.5)).toBe(false);
+    expect(isValidRating('5')).toBe(false);
+    expect(isValidRating(0)).toBe(false);
+  });
+});
+
+describe('summarizeRatings', () => {
+  it('averages the ratings to one decimal with their distribution', () => {
+    expect(summarizeRatings([{ _id: 5, count: 2 }, { _id: 4, count: 1 }, { _id: 1, count: 1 }])).toEqual({
+      average: 3.8,
+      count: 4,
+      distribution: { 1: 1, 2: 0, 3: 0, 4: 1, 5: 2 },
+    });
+  });
+
+  it('reports zero for courses without reviews', () => {
+    expect(summarizeRatings([])).toEqual({
+      average: 0,
+      count: 0,
+      distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Skill Match Index Tests
+ * Index entries, candidate lookup, rebuilds, scoring a job's candidates and diffing a student's job matches
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { diffStudentMatches, getSkillListIndexEntries, scoreJobCandidates } from '../src/utils/matchingUtils.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const now = new Date('2026-03-01T09:00:00Z');
+const earlier = new Date('2026-01-15T09:00:00Z');
+
+const requiredSkills = ['JavaScript', 'React', 'Node.js'];
+const fullStack = { _id: id(), skills: ['JavaScript', 'React', 'Node.js'] };
+const frontEnd = { _id: id(), skills: ['javascript', 'react'] };
+const chef = { _id: id(), skills: ['Cooking'] };
+
+describe('scoreJobCandidates', () => {
+  it('keeps candidates at or above the threshold, best match first', () => {
+    const matches = scoreJobCandidates([frontEnd, chef, fullStack], requiredSkills, { threshold: 20, now });
+
+    expect(matches.map(({ student }) => student)).toEqual([fullStack._id, frontEnd._id]);
+    expect(matches[0].matchPercentage).toBe(100);
+    expect(matches[1].matchPercentage).toBeGreaterThanOrEqual(20);
+    expect(matches[1].matchPercentage).toBeLessThan(100);
+  });
+
+  it('keeps the date a candidate was first matched', () => {
+    const matches = scoreJobCandidates([fullStack, frontEnd], requiredSkills, {
+      previousMatches: [{ student: fullStack._id, matchPercentage: 80, matchedAt: earlier }],
+      now,
+    });
+
+    expect(matches.find(({ student }) => student.equals(fullStack._id)).matchedAt).toBe(earlier);
+    expect(matches.find(({ student }) => student.equals(frontEnd._id)).matchedAt).toBe(now);
+  });
+
+  it('has no matches without candidates', () => {
+    expect(scoreJobCandidates([], requiredSkills, { threshold: 20, now })).toEqual([]);
+  });
+});
+
+describe('diffStudentMatches', () => {
+  const reactJob = { _id: id(), skillsRequired: ['JavaScript', 'React'], matchedCandidates: [] };
+  const nodeJob = { _id: id(), skillsRequired: requiredSkills, matchedCandidates: [{ student: frontEnd._id, matchPercentage: 50, matchedAt: earlier }] };
+  const kitchenJob = { _id: id(), skillsRequired: ['Cooking', 'Baking'], matchedCandidates: [{ student: frontEnd._id, matchPercentage: 40, matchedAt: earlier }] };
+
+  it('flags new matches and keeps the date of existing ones', () => {
+    const diff = diffStudentMatches(frontEnd, [reactJob, nodeJob], { threshold: 20, now });
+
+    expect(diff).toEqual([
+      { job: reactJob._id, matchPercentage: 100, matchedAt: now, isNew: true },
+      { job: nodeJob._id, matchPercentage: expect.any(Number), matchedAt: earlier, isNew: false },
+    ]);
+  });
+
+  it('leaves out jobs the student no longer matches', () => {
+    const diff = diffStudentMatches(frontEnd, [kitchenJob, reactJob], { threshold: 20, now });
+
+    expect(diff.map(({ job }) => job)).toEqual([reactJob._id]);
+  });
+});
+
+describe('getSkillListIndexEntries', () => {
+  it('marks the skills themselves as primary and their parents and words as broad', () => {
+    expect(getSkillListIndexEntries(['Express.js', 'Project Management', { skill: 'JS' }, '', null])).toEqual([
+      { key: 'express', primary: true },
+      { key: 'nodejs', primary: false },
+      { key: 'javascript', primary: true },
+      { key: 'project management', primary: true },
+      { key: 'project', primary: false },
+      { key: 'management', primary: false },
+    ]);
+  });
+});
+
+describe('skill match index service', () => {
+  let models;
+  let refreshJobMatches;
+  let rebuildSkillMatchIndex;
+
+  beforeAll(async () => {
+    models = await import('../src/models/index.js');
+    ({ refreshJobMatches, rebuildSkillMatchIndex } = await import('../src/services/skillMatchIndex.service.js'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('looks up students through the job\'s own skills, and its broad keys only among students listing them', async () => {
+    const job = { _id: id(), status: 'active', isActive: true, skillsRequired: ['Project Management'], matchedCandidates: [] };
+    const sync = jest.spyOn(models.SkillMatchIndex, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(models.SkillMatchIndex, 'deleteMany').mockResolvedValue({});
+    const lookup = jest.spyOn(models.SkillMatchIndex, 'distinct').mockResolvedValue([]);
+    const store = jest.spyOn(models.Job, 'updateOne').mockResolvedValue({});
+
+    await expect(refreshJobMatches(job)).resolves.toEqual([]);
+
+    expect(sync.mock.calls[0][0].map(({ updateOne }) => updateOne.filter)).toEqual([
+      { kind: 'job', key: 'project management', entityId: job._id },
+      { kind: 'job', key: 'project', entityId: job._id },
+      { kind: 'job', key: 'management', entityId: job._id },
+    ]);
+    expect(lookup).toHaveBeenCalledWith('entityId', {
+      kind: 'student',
+      $or: [
+        { key: { $in: ['project management'] } },
+        { key: { $in: ['project', 'management'] }, primary: true },
+      ],
+    });
+    expect(store).toHaveBeenCalledWith({ _id: job._id }, { $set: { matchedCandidates: [] } });
+  });
+
+  it('rebuilds in place and only removes the entries the rebuild did not rewrite', async () => {
+    const student = { _id: id(), skills: ['React'], isPublic: true, isOpenToWork: true };
+    const cursor = (documents) => ({ select() { return this; }, cursor: () => documents });
+    jest.spyOn(models.SkillMatchIndex, 'syncIndexes').mockResolvedValue([]);
+    jest.spyOn(models.Student, 'find').mockReturnValue(cursor([student]));
+    jest.spyOn(models.Job, 'find').mockReturnValue(cursor([]));
+    const write = jest.spyOn(models.SkillMatchIndex, 'bulkWrite').mockResolvedValue({});
+    const remove = jest.spyOn(models.SkillMatchIndex, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+    const before = new Date();
+    const stats = await rebuildSkillMatchIndex();
+
+    expect(stats).toEqual({ studentsIndexed: 1, jobsRefreshed: 0, totalMatches: 0, staleEntriesRemoved: 3 });
+    expect(remove).not.toHaveBeenCalledWith({});
+    const written = write.mock.calls[0][0][0].updateOne.update.$set.indexedAt;
+    const prune = remove.mock.calls[remove.mock.calls.length - 1][0];
+    const startedAt = prune.indexedAt.$not.$gte;
+    expect(startedAt.getTime()).toBeGreaterThanOrEqual(before.getTime());
+    expect(written.getTime()).toBeGreaterThanOrEqual(startedAt.getTime());
+  });
+});
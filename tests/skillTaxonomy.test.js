@@ -0,0 +1,84 @@
+/**
+ * Skill Taxonomy Tests
+ * Canonical skills, aliases and parent/child relations shared by the matchers
+ */
+
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  DEFAULT_SKILLS,
+  getCanonicalSkillId,
+  getSkillAncestors,
+  getSkillRelation,
+  normalizeSkillList,
+  normalizeSkillName,
+  setSkillTaxonomy,
+  slugifySkill,
+} from '../src/utils/skillTaxonomy.js';
+import { calculateMatchPercentage, checkSkillMatch, getSkillIndexKeys } from '../src/utils/matchingUtils.js';
+
+describe('Skill taxonomy', () => {
+  afterEach(() => setSkillTaxonomy(DEFAULT_SKILLS));
+
+  it('resolves aliases to the canonical skill', () => {
+    expect(getCanonicalSkillId('JS')).toBe('javascript');
+    expect(normalizeSkillName(' reactjs ')).toBe('React');
+    expect(normalizeSkillName('Node JS')).toBe('Node.js');
+  });
+
+  it('keeps unknown skills as free text', () => {
+    expect(normalizeSkillName('  Rust ')).toBe('Rust');
+    expect(getCanonicalSkillId('Rust')).toBe('rust');
+  });
+
+  it('normalizes lists and removes duplicates by canonical ID', () => {
+    expect(normalizeSkillList(['js', 'JavaScript', 'py', 'Rust', 'rust', ''])).toEqual(['JavaScript', 'Python', 'Rust']);
+  });
+
+  it('builds slugs from display names', () => {
+    expect(slugifySkill('C#')).toBe('csharp');
+    expect(slugifySkill('Next.js')).toBe('nextjs');
+    expect(slugifySkill('Machine Learning')).toBe('machine-learning');
+  });
+
+  it('walks parent relations', () => {
+    expect(getSkillAncestors('Express')).toEqual(['nodejs', 'javascript']);
+    expect(getSkillRelation('JavaScript', 'expressjs')).toBe('parent');
+    expect(getSkillRelation('Express', 'js')).toBe('child');
+    expect(getSkillRelation('Python', 'js')).toBeNull();
+  });
+
+  it('uses skills loaded at runtime', () => {
+    setSkillTaxonomy([...DEFAULT_SKILLS, { slug: 'nextjs', name: 'Next.js', aliases: ['next'], parent: 'react' }]);
+
+    expect(normalizeSkillName('next')).toBe('Next.js');
+    expect(getSkillAncestors('next')).toEqual(['react', 'javascript']);
+  });
+});
+
+describe('Taxonomy-aware matching', () => {
+  it('treats aliases as the same skill', () => {
+    expect(checkSkillMatch('JS', 'JavaScript')).toMatchObject({ isMatch: true, type: 'abbreviation' });
+    expect(checkSkillMatch('postgres', 'PostgreSQL')).toMatchObject({ isMatch: true, type: 'abbreviation' });
+  });
+
+  it('gives more credit for a child skill than for a parent skill', () => {
+    const childForParent = checkSkillMatch('Express', 'JavaScript');
+    const parentForChild = checkSkillMatch('JavaScript', 'Express');
+
+    expect(childForParent).toMatchObject({ isMatch: true, type: 'related' });
+    expect(parentForChild).toMatchObject({ isMatch: true, type: 'related' });
+    expect(childForParent.score).toBeGreaterThan(parentForChild.score);
+  });
+
+  it('scores job requirements given as objects or strings the same way', () => {
+    const studentSkills = ['js', 'ReactJS'];
+
+    expect(calculateMatchPercentage(studentSkills, [{ skill: 'JavaScript' }, { skill: 'React' }]))
+      .toBe(calculateMatchPercentage(studentSkills, ['JavaScript', 'React']));
+  });
+
+  it('indexes skills under canonical IDs and their parents', () => {
+    expect(getSkillIndexKeys('Express.js')).toEqual(expect.arrayContaining(['express', 'nodejs', 'javascript']));
+    expect(getSkillIndexKeys('JS')).toContain('javascript');
+  });
+});
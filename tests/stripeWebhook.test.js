@@ -0,0 +1,125 @@
+/**
+ * Stripe Webhook Tests
+ * Signature verification with locally signed fixture events and the event ledger rules
+ */
+
+import { describe, it, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import { getLedgerAction, fromStripeAmount } from '../src/utils/stripeEvents.js';
+
+const WEBHOOK_SECRET = 'whsec_test_fixture_secret';
+
+const fixtureEvent = {
+  id: 'evt_test_payment_succeeded',
+  object: 'event',
+  type: 'payment_intent.succeeded',
+  created: 1717000000,
+  livemode: false,
+  data: {
+    object: {
+      id: 'pi_test_123',
+      object: 'payment_intent',
+      amount: 2999,
+      currency: 'usd',
+      metadata: { subscriptionId: '64abc123def456789012def1', userId: '64abc123def456789012def2' },
+    },
+  },
+};
+
+let stripe;
+let StripeEvent;
+let constructStripeEvent;
+let processStripeEvent;
+let STRIPE_EVENT_HANDLERS;
+
+beforeAll(async () => {
+  process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+  ({ default: stripe } = await import('../src/config/stripe.config.js'));
+  ({ StripeEvent } = await import('../src/models/index.js'));
+  ({ constructStripeEvent, processStripeEvent, STRIPE_EVENT_HANDLERS } = await import('../src/services/stripeWebhook.service.js'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sign = (payload, secret = WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000)) =>
+  stripe.webhooks.generateTestHeaderString({ payload, secret, timestamp });
+
+describe('constructStripeEvent', () => {
+  it('accepts a correctly signed raw payload', () => {
+    const payload = JSON.stringify(fixtureEvent);
+    const event = constructStripeEvent(Buffer.from(payload), sign(payload), WEBHOOK_SECRET);
+
+    expect(event.id).toBe(fixtureEvent.id);
+    expect(event.data.object.amount).toBe(2999);
+  });
+
+  it('rejects tampered, foreign, stale and unsigned payloads', () => {
+    const payload = JSON.stringify(fixtureEvent);
+    const tampered = JSON.stringify({ ...fixtureEvent, data: { object: { ...fixtureEvent.data.object, amount: 1 } } });
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 60 * 60;
+
+    expect(() => constructStripeEvent(Buffer.from(tampered), sign(payload), WEBHOOK_SECRET)).toThrow();
+    expect(() => constructStripeEvent(Buffer.from(payload), sign(payload, 'whsec_other'), WEBHOOK_SECRET)).toThrow();
+    expect(() => constructStripeEvent(Buffer.from(payload), sign(payload, WEBHOOK_SECRET, staleTimestamp), WEBHOOK_SECRET)).toThrow();
+    expect(() => constructStripeEvent(Buffer.from(payload), undefined, WEBHOOK_SECRET)).toThrow();
+  });
+
+  it('refuses to verify without a webhook secret', () => {
+    const payload = JSON.stringify(fixtureEvent);
+    expect(() => constructStripeEvent(Buffer.from(payload), sign(payload), '')).toThrow(/STRIPE_WEBHOOK_SECRET/);
+  });
+});
+
+describe('getLedgerAction', () => {
+  const now = new Date('2024-06-01T12:00:00Z');
+
+  it('processes new and failed events and skips handled ones', () => {
+    expect(getLedgerAction(null, now)).toBe('process');
+    expect(getLedgerAction({ status: 'failed' }, now)).toBe('process');
+    expect(getLedgerAction({ status: 'processed' }, now)).toBe('duplicate');
+    expect(getLedgerAction({ status: 'ignored' }, now)).toBe('duplicate');
+  });
+
+  it('takes over a processing entry only once it is stale', () => {
+    expect(getLedgerAction({ status: 'processing', lastAttemptAt: new Date('2024-06-01T11:58:00Z') }, now)).toBe('in_progress');
+    expect(getLedgerAction({ status: 'processing', lastAttemptAt: new Date('2024-06-01T11:30:00Z') }, now)).toBe('process');
+  });
+
+  it('converts Stripe amounts from cents', () => {
+    expect(fromStripeAmount(2999)).toBe(29.99);
+    expect(fromStripeAmount(undefined)).toBe(0);
+  });
+});
+
+describe('processStripeEvent', () => {
+  const ledgerEntry = () => ({
+    type: fixtureEvent.type,
+    payload: fixtureEvent,
+    status: 'processing',
+    save: jest.fn().mockResolvedValue(undefined),
+  });
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  it('skips an event already in the ledger', async () => {
+    jest.spyOn(StripeEvent, 'create').mockRejectedValue(duplicateKey());
+    jest.spyOn(StripeEvent, 'findOne').mockResolvedValue({ status: 'processed' });
+    const handler = jest.spyOn(STRIPE_EVENT_HANDLERS, 'payment_intent.succeeded');
+
+    await expect(processStripeEvent(fixtureEvent)).resolves.toMatchObject({ status: 'duplicate' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('marks the event failed when its handler hits a duplicate key, so Stripe retries it', async () => {
+    const entry = ledgerEntry();
+    jest.spyOn(StripeEvent, 'create').mockResolvedValue(entry);
+    const findOne = jest.spyOn(StripeEvent, 'findOne');
+    jest.spyOn(STRIPE_EVENT_HANDLERS, 'payment_intent.succeeded').mockRejectedValue(duplicateKey());
+
+    await expect(processStripeEvent(fixtureEvent)).rejects.toMatchObject({ code: 11000 });
+    expect(entry.status).toBe('failed');
+    expect(entry.lastError).toMatch(/duplicate key/);
+    expect(entry.save).toHaveBeenCalled();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Free Trial Tests
+ * Trial eligibility, reminder schedule, the conversion charge and the paid period after conversion
+ */
+
+import { describe, it, expect, jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import {
+  getTrialReminderDays,
+  isValidTrialDays,
+  canStartTrial,
+  getTrialEnd,
+  getDueTrialReminder,
+  getConvertedPeriod,
+} from '../src/utils/trial.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('getTrialReminderDays', () => {
+  it('reads TRIAL_REMINDER_DAYS, largest first', () => {
+    expect(getTrialReminderDays({})).toEqual([3, 1]);
+    expect(getTrialReminderDays({ TRIAL_REMINDER_DAYS: '1,7,3,3' })).toEqual([7, 3, 1]);
+    expect(getTrialReminderDays({ TRIAL_REMINDER_DAYS: 'soon' })).toEqual([3, 1]);
+  });
+});
+
+describe('trial eligibility', () => {
+  it('accepts whole trial lengths up to 90 days', () => {
+    expect(isValidTrialDays(0)).toBe(true);
+    expect(isValidTrialDays(14)).toBe(true);
+    expect(isValidTrialDays(91)).toBe(false);
+    expect(isValidTrialDays(1.5)).toBe(false);
+    expect(isValidTrialDays('14')).toBe(false);
+  });
+
+  it('gives one trial per user, on paid plans that offer one', () => {
+    expect(canStartTrial({ price: 29.99, trialDays: 14 }, false)).toBe(true);
+    expect(canStartTrial({ price: 29.99, trialDays: 14 }, true)).toBe(false);
+    expect(canStartTrial({ price: 29.99, trialDays: 0 }, false)).toBe(false);
+    expect(canStartTrial({ price: 0, trialDays: 14 }, false)).toBe(false);
+  });
+});
+
+describe('trial dates', () => {
+  const startedAt = new Date('2026-03-01T10:00:00Z');
+  const trial = { endsAt: getTrialEnd(startedAt, 14), remindersSent: [] };
+
+  it('ends the given number of days after it started', () => {
+    expect(trial.endsAt).toEqual(new Date('2026-03-15T10:00:00Z'));
+  });
+
+  it('sends each reminder once as the end comes closer', () => {
+    const threeDaysBefore = new Date(trial.endsAt.getTime() - 3 * DAY_MS);
+
+    expect(getDueTrialReminder(trial, new Date(threeDaysBefore.getTime() - 1), [3, 1])).toBeNull();
+    expect(getDueTrialReminder(trial, threeDaysBefore, [3, 1])).toEqual({ days: 3, markSent: [3] });
+    expect(getDueTrialReminder({ ...trial, remindersSent: [3] }, threeDaysBefore, [3, 1])).toBeNull();
+  });
+
+  it('only sends the most urgent reminder after a missed run', () => {
+    const hoursBefore = new Date(trial.endsAt.getTime() - 6 * 60 * 60 * 1000);
+
+    expect(getDueTrialReminder(trial, hoursBefore, [3, 1])).toEqual({ days: 1, markSent: [3, 1] });
+    expect(getDueTrialReminder(trial, trial.endsAt, [3, 1])).toBeNull();
+  });
+});
+
+describe('getConvertedPeriod', () => {
+  it('starts a month for monthly plans and a lasting period for one-time plans', () => {
+    const from = new Date('2026-03-15T10:00:00Z');
+
+    expect(getConvertedPeriod('monthly', from)).toEqual({
+      endDate: new Date('2026-04-15T10:00:00Z'),
+      nextBillingDate: new Date('2026-04-15T10:00:00Z'),
+    });
+    expect(getConvertedPeriod('onetime', from)).toEqual({
+      endDate: new Date('2036-03-15T10:00:00Z'),
+      nextBillingDate: null,
+    });
+  });
+});
+
+describe('convertTrial', () => {
+  it('charges the card under a key that makes a retried conversion charge only once', async () => {
+    process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_fixture';
+    const { default: stripe } = await import('../src/config/stripe.config.js');
+    const { convertTrial } = await import('../src/services/trial.service.js');
+    const create = jest.spyOn(stripe.paymentIntents, 'create').mockRejectedValue(new Error('Stripe unavailable'));
+    const subscription = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      billing: { stripeCustomerId: 'cus_1', stripePaymentMethodId: 'pm_1' },
+      payments: [],
+    };
+    const plan = { _id: new mongoose.Types.ObjectId(), price: 29.99, currency: 'usd' };
+
+    try {
+      await expect(convertTrial(subscription, plan)).rejects.toThrow('Stripe unavailable');
+      expect(create.mock.calls[0][1]).toEqual({ idempotencyKey: `trial-conversion-${subscription._id}` });
+    } finally {
+      create.mockRestore();
+    }
+  });
+});